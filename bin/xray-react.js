@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { runCli } from '../lib/cli.js';
+
+runCli(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    // Usage errors are printed by runCli, anything else is unexpected: print the stack
+    console.error('xray-react:', error);
+    process.exitCode = 1;
+  });
@@ -3,6 +3,297 @@
 
   const xrayReactElemCN = 'xray-react-element';
   const xrayReactCompPathAttr = 'data-xray-react-components-path';
+  const xrayReactSourceAttr = 'data-xray-react-source';
+  const xrayReactSourceExactAttr = 'data-xray-react-source-exact';
+
+  const EDITOR_URL_LABELS = {
+    vscode: 'VS Code',
+    cursor: 'Cursor',
+    idea: 'IntelliJ IDEA',
+    jetbrains: 'JetBrains Toolbox',
+    subl: 'Sublime Text',
+  };
+  const EDITOR_URL_SCHEMES = Object.keys(EDITOR_URL_LABELS);
+
+  /**
+   * Minimal source map support for the browser bundle
+   * Loads the maps the dev server already serves for its scripts and maps generated positions
+   * back to original files. Only what stack frame mapping needs: VLQ mappings and source lookup.
+   */
+
+  const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+  /**
+   * Source location helpers shared by the UI and client bundles
+   * A source location is { fileName, lineNumber, columnNumber } (1-based line and column)
+   */
+
+  /**
+   * Parses a `file:line:column` string back to a source location
+   * Line and column are matched from the end so Windows drive letters are kept in the file name
+   * @param {string} value - Serialized location
+   * @returns {Object|null} Source location or null
+   */
+  const parseSourceLocation = (value) => {
+    if (!value) return null;
+
+    const match = String(value).match(/^(.+?):(\d*):(\d*)$/);
+    if (!match) {
+      return { fileName: String(value), lineNumber: null, columnNumber: null };
+    }
+
+    return {
+      fileName: match[1],
+      lineNumber: match[2] ? parseInt(match[2], 10) : null,
+      columnNumber: match[3] ? parseInt(match[3], 10) : null,
+    };
+  };
+
+  /**
+   * Editor URL helpers shared by the UI and client bundles
+   * Instead of the server launching an editor process (which fails when the server runs in a
+   * container or over SSH), the browser can open the resolved file through an editor URL scheme
+   */
+
+  const EDITOR_PREFERENCE_KEY = 'xray-react:editor';
+
+  // Preference value for launching the editor on the server even if the project sets a URL scheme
+  const EDITOR_PREFERENCE_SERVER = 'server';
+
+  /**
+   * Gets the editor the user picked in the action bar
+   * @returns {string} '' (project default), 'server' or an editor URL scheme
+   */
+  const getEditorPreference = () => {
+    try {
+      return window.localStorage.getItem(EDITOR_PREFERENCE_KEY) || '';
+    } catch {
+      return ''; // Storage disabled (e.g., privacy settings)
+    }
+  };
+
+  /**
+   * Gets the URL scheme to open files with: the user's choice, then the project's editorUrl
+   * @returns {string|null} Editor URL scheme, or null to let the server launch the editor
+   */
+  const getEditorUrlScheme = () => {
+    const preference = getEditorPreference();
+    if (preference === EDITOR_PREFERENCE_SERVER) {
+      return null;
+    }
+    if (EDITOR_URL_SCHEMES.includes(preference)) {
+      return preference;
+    }
+
+    const projectScheme = typeof window !== 'undefined' ? window.__XRAY_REACT_EDITOR_URL__ : null;
+    return EDITOR_URL_SCHEMES.includes(projectScheme) ? projectScheme : null;
+  };
+
+  /**
+   * Converts a file path to a URL path: forward slashes and a leading slash (C:\app -> /C:/app)
+   * @param {string} filePath - File path
+   * @returns {string} URL path
+   */
+  const toUrlPath = (filePath) => filePath.replace(/\\/g, '/').replace(/^(?!\/)/, '/');
+
+  /**
+   * Builds the editor URL for a file location
+   * @param {string} scheme - Editor URL scheme ('vscode', 'cursor', 'idea', 'jetbrains', 'subl')
+   * @param {Object} location - File location ({ path, line, column }, 1-based line and column)
+   * @param {Object} options - URL options
+   * @param {string} options.remote - VS Code/Cursor remote authority (e.g., 'dev-container+<id>')
+   * @param {string} options.projectRoot - Project root (JetBrains Toolbox opens project-relative paths)
+   * @returns {string|null} Editor URL or null for unknown schemes
+   */
+  const buildEditorUrl = (scheme, location, options = {}) => {
+    const filePath = toUrlPath(location.path);
+    const line = location.line || 1;
+    const column = location.column || 1;
+
+    switch (scheme) {
+      case 'vscode':
+      case 'cursor': {
+        const target = options.remote
+          ? `vscode-remote/${options.remote}${filePath}`
+          : `file${filePath}`;
+        return `${scheme}://${encodeURI(target)}:${line}:${column}`;
+      }
+      case 'idea':
+        return `idea://open?file=${encodeURIComponent(location.path)}&line=${line}&column=${column}`;
+      case 'jetbrains': {
+        const root = toUrlPath(options.projectRoot || '').replace(/\/+$/, '');
+        const project = root.split('/').pop();
+        const relativePath =
+          root && filePath.startsWith(`${root}/`) ? filePath.slice(root.length + 1) : filePath;
+        // Toolbox navigates to 0-based positions
+        return `jetbrains://idea/navigate/reference?project=${encodeURIComponent(project)}&path=${encodeURIComponent(`${relativePath}:${line - 1}:${column - 1}`)}`;
+      }
+      case 'subl':
+        return `subl://open?url=${encodeURIComponent(`file://${filePath}`)}&line=${line}&column=${column}`;
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Opens an editor URL; the browser hands custom schemes to the OS without leaving the page
+   * @param {string} url - Editor URL
+   */
+  const openEditorUrl = (url) => {
+    window.location.href = url;
+  };
+
+  /**
+   * Feedback for opening a clicked component, shown in the action bar
+   * The server acknowledges each click with a status; ambiguous components get a picker, components
+   * without a file a toast. Picked files are remembered per component path for the browser session.
+   */
+
+  const CHOICES_KEY = 'xray-react:choices';
+  const TOAST_DURATION = 4000;
+
+  const sessionChoices = new Map(); // Fallback when sessionStorage is unavailable
+  let hideTimer = null;
+
+  /**
+   * Reads the remembered picks
+   * @returns {Object} Component path -> picked file (editor path)
+   */
+  const readChoices = () => {
+    try {
+      return JSON.parse(window.sessionStorage.getItem(CHOICES_KEY)) || {};
+    } catch {
+      return Object.fromEntries(sessionChoices); // Storage disabled (e.g., privacy settings)
+    }
+  };
+
+  /**
+   * Gets the file the user picked for a component path in this session
+   * @param {string} componentPath - Component path (e.g., 'App -> Layout -> Header')
+   * @returns {string|null} Picked file (editor path) or null
+   */
+  const getRememberedChoice = (componentPath) => readChoices()[componentPath] || null;
+
+  /**
+   * Remembers the file the user picked for a component path for the rest of the session
+   * @param {string} componentPath - Component path
+   * @param {string} filePath - Picked file (editor path)
+   */
+  const rememberChoice = (componentPath, filePath) => {
+    sessionChoices.set(componentPath, filePath);
+    try {
+      window.sessionStorage.setItem(
+        CHOICES_KEY,
+        JSON.stringify({ ...readChoices(), [componentPath]: filePath }),
+      );
+    } catch {
+      // Storage disabled, the pick only lasts for this page
+    }
+  };
+
+  /**
+   * Gets the notice element of the action bar
+   * @returns {HTMLElement|null} Notice element, or null while the overlay is off
+   */
+  const getNotice = () => document.querySelector('.xray-react-action-bar .xray-react-notice');
+
+  /**
+   * Hides the toast or picker
+   */
+  const hideNotice = () => {
+    clearTimeout(hideTimer);
+    const notice = getNotice();
+    if (notice) {
+      notice.hidden = true;
+      notice.replaceChildren();
+    }
+  };
+
+  /**
+   * Shows a message in the action bar for a few seconds
+   * @param {string} message - Message
+   */
+  const showToast = (message) => {
+    const notice = getNotice();
+    if (!notice) {
+      console.warn(`xray-react: ${message}`);
+      return;
+    }
+
+    hideNotice();
+    const text = document.createElement('span');
+    text.className = 'xray-react-notice-message';
+    text.textContent = message;
+    notice.append(text);
+    notice.hidden = false;
+    hideTimer = setTimeout(hideNotice, TOAST_DURATION);
+  };
+
+  /**
+   * Formats a file path relative to the project root for display
+   * @param {string} filePath - File path
+   * @param {string|null} projectRoot - Project root as the editor sees it
+   * @returns {string} Display path
+   */
+  const formatPath = (filePath, projectRoot) => {
+    const root = projectRoot ? projectRoot.replace(/[/\\]+$/, '') : null;
+    if (root && (filePath.startsWith(`${root}/`) || filePath.startsWith(`${root}\\`))) {
+      return filePath.slice(root.length + 1);
+    }
+    return filePath;
+  };
+
+  /**
+   * Shows a picker for a component that matches several files
+   * @param {string} componentPath - Component path the candidates were resolved for
+   * @param {Array<Object>} candidates - Candidates ({ path, line, context })
+   * @param {Object} options - Picker options
+   * @param {string|null} options.projectRoot - Project root for shorter paths
+   * @param {Function} options.onPick - Called with the picked candidate
+   */
+  const showCandidatePicker = (componentPath, candidates, { projectRoot, onPick }) => {
+    const notice = getNotice();
+    if (!notice) {
+      console.warn(
+        `xray-react: ${componentPath} matches several files:`,
+        candidates.map(({ path }) => path),
+      );
+      return;
+    }
+
+    hideNotice();
+    const componentName = componentPath.split(' -> ').pop();
+    const title = document.createElement('span');
+    title.className = 'xray-react-notice-message';
+    title.textContent = `Several files declare ${componentName}, pick one:`;
+    notice.append(title);
+
+    candidates.forEach((candidate) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'xray-react-candidate';
+      const location = candidate.line ? `:${candidate.line}` : '';
+      button.textContent = `${formatPath(candidate.path, projectRoot)}${location}`;
+      if (candidate.context && candidate.context.length > 0) {
+        button.title = `Context: ${candidate.context.join(', ')}`;
+      }
+      button.addEventListener('click', () => {
+        hideNotice();
+        onPick(candidate);
+      });
+      notice.append(button);
+    });
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'xray-react-notice-close';
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '×';
+    close.addEventListener('click', hideNotice);
+    notice.append(close);
+    notice.hidden = false;
+  };
 
   /**
    * Server-side constants for xray-react
@@ -13,18 +304,140 @@
   const UI_MODE_FULL = 'full';
   const UI_MODE_SIMPLE = 'simple';
   const AVAILABLE_UI_MODES = [UI_MODE_FULL, UI_MODE_SIMPLE];
+  const OPEN_STATUS_NOT_FOUND = 'not-found';
+  const OPEN_STATUS_AMBIGUOUS = 'ambiguous';
+  const OPEN_STATUS_FAILED = 'failed';
+  const TRANSPORT_VITE = 'vite';
+  const TRANSPORT_DEV_SERVER = 'dev-server';
+  const HOT_EVENT_PREFIX = 'xray-react:';
+  const HOT_CONNECT_EVENT = `${HOT_EVENT_PREFIX}connect`;
+  const HOT_ACK_EVENT = `${HOT_EVENT_PREFIX}ack`;
+  // Routes of the event stream transport: GET `${path}/events`, POST `${path}/events/<event>`
+  const EVENT_STREAM_PATH = '/__xray-react';
+  const EVENT_STREAM_TOKEN_HEADER = 'x-xray-react-token';
 
   const getIOConnectURL = () => {
     const port = (typeof window !== 'undefined' && window.__XRAY_REACT_PORT__) || 8124;
     return `http://127.0.0.1:${port}`;
   };
 
+  // Per-session token injected by the bundler plugin next to the port
+  const getIOAuth = () => ({
+    token: (typeof window !== 'undefined' && window.__XRAY_REACT_TOKEN__) || undefined,
+  });
+
+  /**
+   * Waits for the Vite HMR client (`import.meta.hot`) the plugin's hot module exposes
+   * @returns {Promise<Object>} Vite hot context
+   */
+  const getHotContext = () =>
+    new Promise((resolve) => {
+      if (window.__XRAY_REACT_HOT__) {
+        resolve(window.__XRAY_REACT_HOT__);
+        return;
+      }
+      window.addEventListener('xray-react:hot', () => resolve(window.__XRAY_REACT_HOT__), {
+        once: true,
+      });
+    });
+
+  /**
+   * Wraps the Vite HMR client in the Socket.IO socket methods the client uses
+   * Acknowledgements come back as HOT_ACK_EVENT events with the id of their request
+   * @param {Object} hot - Vite hot context
+   * @returns {Object} Socket ({ on, emit, announce })
+   */
+  const createHotSocket = (hot) => {
+    const pendingAcks = new Map(); // request id -> ack callback
+    let nextRequestId = 1;
+
+    hot.on(HOT_ACK_EVENT, ({ id, result }) => {
+      const ack = pendingAcks.get(id);
+      if (ack) {
+        pendingAcks.delete(id);
+        ack(result);
+      }
+    });
+
+    return {
+      on: (event, handler) => hot.on(`${HOT_EVENT_PREFIX}${event}`, handler),
+      emit: (event, payload, ack) => {
+        const id = typeof ack === 'function' ? nextRequestId++ : null;
+        if (id) {
+          pendingAcks.set(id, ack);
+        }
+        hot.send(`${HOT_EVENT_PREFIX}${event}`, { id, payload });
+      },
+      // The server sends the project config and index once the page announces itself
+      announce: () => hot.send(HOT_CONNECT_EVENT, getIOAuth()),
+    };
+  };
+
+  /**
+   * Connects to the event stream the webpack plugin mounts on webpack-dev-server
+   * Server events arrive over Server-Sent Events; the page POSTs its events, and the responses
+   * carry the acknowledgements. Requests go to the page's own origin.
+   * @returns {Object} Socket ({ on, emit })
+   */
+  const createEventStreamSocket = () => {
+    const token = getIOAuth().token;
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    const source = new EventSource(`${EVENT_STREAM_PATH}/events${query}`);
+    let clientId = null;
+    // Events emitted before the server sent the page its id, sent once it arrives
+    const pendingEvents = [];
+
+    const post = (event, payload, ack) => {
+      fetch(`${EVENT_STREAM_PATH}/events/${encodeURIComponent(event)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [EVENT_STREAM_TOKEN_HEADER]: token || '' },
+        body: JSON.stringify({ client: clientId, payload }),
+      })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((body) => {
+          if (body && typeof ack === 'function') {
+            ack(body.result);
+          }
+        })
+        .catch((error) => console.warn('xray-react: Request failed', error));
+    };
+
+    // EventSource reconnects by itself, and each connection gets a new id
+    source.addEventListener(HOT_CONNECT_EVENT, (message) => {
+      clientId = JSON.parse(message.data).id;
+      pendingEvents.splice(0).forEach((args) => post(...args));
+    });
+
+    source.addEventListener('error', () => {
+      // The server forgets the id of a dropped connection
+      clientId = null;
+      if (source.readyState === EventSource.CLOSED) {
+        console.warn('xray-react: Event stream closed');
+      }
+    });
+
+    return {
+      on: (event, handler) =>
+        source.addEventListener(`${HOT_EVENT_PREFIX}${event}`, (message) =>
+          handler(JSON.parse(message.data)),
+        ),
+      emit: (event, payload, ack) => {
+        if (clientId) {
+          post(event, payload, ack);
+        } else {
+          pendingEvents.push([event, payload, ack]);
+        }
+      },
+    };
+  };
+
   /**
    * ClientIO class for handling Socket.IO connections
    */
   class ClientIO {
     constructor() {
       this.client = null;
+      this.editorProjectRoot = null; // Project root as the editor sees it (path mappings applied)
     }
 
     /**
@@ -59,32 +472,62 @@
     }
 
     /**
-     * Initializes Socket.IO connection
-     * @returns {Promise<boolean>} True if connected successfully
+     * Connects to the Socket.IO server, loading the client library first if needed
+     * @returns {Promise<Object|null>} Socket.IO socket or null
      */
-    async init() {
+    async connectSocketIO() {
       if (typeof window.io === 'undefined') {
         const isSuccess = await this.addScript();
         if (!isSuccess) {
-          return false;
+          return null;
         }
       }
 
-      try {
-        // Socket.IO 4.x uses io() instead of io.connect()
-        this.client = window.io(getIOConnectURL(), { transports: ['websocket', 'polling'] });
+      // Socket.IO 4.x uses io() instead of io.connect()
+      const socket = window.io(getIOConnectURL(), {
+        transports: ['websocket', 'polling'],
+        auth: getIOAuth(),
+      });
 
-        this.client.on('connect', () => {
-          // Connected successfully
-        });
+      socket.on('connect', () => {
+        // Connected successfully
+      });
 
-        this.client.on('disconnect', () => {
-          // Disconnected from server
-        });
+      socket.on('disconnect', () => {
+        // Disconnected from server
+      });
 
-        this.client.on('connect_error', (error) => {
-          console.warn('xray-react: Connection error', error);
-        });
+      socket.on('connect_error', (error) => {
+        console.warn('xray-react: Connection error', error);
+      });
+      return socket;
+    }
+
+    /**
+     * Connects over the transport the plugin chose: Vite's HMR WebSocket, the event stream on
+     * webpack-dev-server or the xray-react Socket.IO server
+     * @returns {Promise<Object|null>} Socket or null
+     */
+    async connect() {
+      if (window.__XRAY_REACT_TRANSPORT__ === TRANSPORT_VITE) {
+        return createHotSocket(await getHotContext());
+      }
+      if (window.__XRAY_REACT_TRANSPORT__ === TRANSPORT_DEV_SERVER) {
+        return createEventStreamSocket();
+      }
+      return this.connectSocketIO();
+    }
+
+    /**
+     * Initializes the connection and the handlers of the server's events
+     * @returns {Promise<boolean>} True if connected successfully
+     */
+    async init() {
+      try {
+        this.client = await this.connect();
+        if (!this.client) {
+          return false;
+        }
 
         this.client.on('project-config', (config) => {
           if (config) {
@@ -98,6 +541,18 @@
                 window.xrayReactSetMode(mode);
               }
             }
+            if (typeof window !== 'undefined') {
+              window.__XRAY_REACT_EDITOR_URL__ = config.editorUrl || null;
+              window.__XRAY_REACT_EDITOR_REMOTE__ = config.editorRemote || null;
+            }
+            this.editorProjectRoot = config.editorProjectRoot || config.projectRoot || null;
+            if (typeof window !== 'undefined') {
+              if (window.xrayReactSetWorkspacePackages) {
+                window.xrayReactSetWorkspacePackages(config.workspacePackages || []);
+              } else {
+                window.__XRAY_REACT_WORKSPACE_PACKAGES__ = config.workspacePackages || [];
+              }
+            }
             if (config.projectRoot) {
               if (typeof window !== 'undefined' && window.xrayReactSetProjectRoot) {
                 window.xrayReactSetProjectRoot(config.projectRoot);
@@ -146,6 +601,28 @@
           }
         });
 
+        // Incremental updates pushed by the server's file watcher
+        this.client.on('usage-map-patch', (patch) => {
+          if (patch && typeof window !== 'undefined' && window.xrayReactApplyUsageMapPatch) {
+            window.xrayReactApplyUsageMapPatch(patch);
+          }
+        });
+
+        this.client.on('import-map-patch', (patch) => {
+          if (patch && typeof window !== 'undefined' && window.xrayReactApplyImportMapPatch) {
+            window.xrayReactApplyImportMapPatch(patch);
+          }
+        });
+
+        this.client.on('project-files-patch', (patch) => {
+          if (patch && typeof window !== 'undefined' && window.xrayReactApplyProjectFilesPatch) {
+            window.xrayReactApplyProjectFilesPatch(patch);
+          }
+        });
+
+        if (this.client.announce) {
+          this.client.announce();
+        }
         return true;
       } catch (error) {
         console.error('xray-react: Failed to initialize Socket.IO', error);
@@ -154,6 +631,74 @@
     }
   }
 
+  /**
+   * Asks the server to open a clicked component and handles its acknowledgement
+   * Ambiguous components show a picker; the pick is remembered for the component path
+   * @param {ClientIO} clientIO - Connected client
+   * @param {Object} payload - `xray-react-component` payload ({ structure, source, open, choice })
+   * @param {string|null} editorUrlScheme - Editor URL scheme when the browser opens the file
+   */
+  const requestOpenComponent = (clientIO, payload, editorUrlScheme) => {
+    clientIO.client.emit('xray-react-component', payload, (result) => {
+      if (!result) return;
+
+      const componentName = payload.structure.split(' -> ').pop();
+      if (result.status === OPEN_STATUS_AMBIGUOUS) {
+        showCandidatePicker(payload.structure, result.candidates || [], {
+          projectRoot: clientIO.editorProjectRoot,
+          onPick: (candidate) => {
+            rememberChoice(payload.structure, candidate.path);
+            requestOpenComponent(
+              clientIO,
+              { ...payload, choice: { path: candidate.path } },
+              editorUrlScheme,
+            );
+          },
+        });
+        return;
+      }
+      if (result.status === OPEN_STATUS_NOT_FOUND) {
+        showToast(`No file found for ${componentName}`);
+        return;
+      }
+      if (result.status === OPEN_STATUS_FAILED) {
+        showToast(`Could not open the file of ${componentName}, see the xray-react server log`);
+        return;
+      }
+
+      hideNotice();
+      if (!editorUrlScheme || !result.location) return;
+
+      const url = buildEditorUrl(editorUrlScheme, result.location, {
+        remote: window.__XRAY_REACT_EDITOR_REMOTE__,
+        projectRoot: clientIO.editorProjectRoot,
+      });
+      if (url) {
+        openEditorUrl(url);
+      }
+    });
+  };
+
+  /**
+   * Opens the file of a component path, with the user's remembered pick for ambiguous components
+   * @param {ClientIO} clientIO - Connected client
+   * @param {string} componentPath - Component path (e.g., 'App -> Layout -> Header')
+   * @param {Object|null} source - Source location of the clicked element
+   */
+  const openComponentPath = (clientIO, componentPath, source = null) => {
+    // Either the server launches the editor, or it resolves the file for an editor URL
+    const editorUrlScheme = getEditorUrlScheme();
+    const choice = getRememberedChoice(componentPath);
+    const payload = {
+      structure: componentPath,
+      source,
+      open: editorUrlScheme ? 'url' : 'editor',
+      choice: choice ? { path: choice } : null,
+    };
+
+    requestOpenComponent(clientIO, payload, editorUrlScheme);
+  };
+
   /**
    * Initializes Socket.IO and sets up click listeners
    */
@@ -162,12 +707,23 @@
     const isSuccess = await clientIO.init();
 
     if (isSuccess) {
+      // Lets integrations (e.g., the Storybook addon) open component paths without an overlay
+      window.xrayReactOpenComponentPath = (componentPath) => {
+        if (clientIO.client) {
+          openComponentPath(clientIO, componentPath);
+        }
+      };
+
       document.body.addEventListener('click', (event) => {
         const target = event.target;
         if (target.classList.contains(xrayReactElemCN)) {
           const componentPath = target.getAttribute(xrayReactCompPathAttr);
           if (componentPath && clientIO.client) {
-            clientIO.client.emit('xray-react-component', componentPath);
+            const source = parseSourceLocation(target.getAttribute(xrayReactSourceAttr));
+            if (source) {
+              source.exact = target.hasAttribute(xrayReactSourceExactAttr);
+            }
+            openComponentPath(clientIO, componentPath, source);
           }
         }
       });
@@ -181,4 +737,4 @@
   }
 
 })();
-//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoieHJheS1yZWFjdC1jbGllbnQubWluLmpzIiwic291cmNlcyI6WyIuLi9zcmMvY29uc3RhbnRzLmpzIiwiLi4vbGliL2NvbnN0YW50cy5qcyIsIi4uL2xpYi94cmF5LXJlYWN0LWNsaWVudC5qcyJdLCJzb3VyY2VzQ29udGVudCI6WyJleHBvcnQgY29uc3QgeHJheVJlYWN0RWxlbUNOID0gJ3hyYXktcmVhY3QtZWxlbWVudCc7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0V3JhcHBlckNOID0gJ3hyYXktcmVhY3QtZWxlbWVudHMtd3JhcHBlcic7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0Q29tcFBhdGhBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1jb21wb25lbnRzLXBhdGgnO1xuZXhwb3J0IGNvbnN0IHhyYXlSZWFjdEZpbHRlcmVkQ29tcFBhdGhBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1maWx0ZXJlZC1jb21wb25lbnRzLXBhdGgnO1xuZXhwb3J0IGNvbnN0IHpJbmRleCA9IDEwMDAwO1xuXG5leHBvcnQgY29uc3QgVUlfTU9ERV9GVUxMID0gJ2Z1bGwnO1xuZXhwb3J0IGNvbnN0IFVJX01PREVfU0lNUExFID0gJ3NpbXBsZSc7XG5leHBvcnQgY29uc3QgQVZBSUxBQkxFX1VJX01PREVTID0gW1VJX01PREVfRlVMTCwgVUlfTU9ERV9TSU1QTEVdO1xuXG5leHBvcnQgY29uc3QgSFRNTF9FTEVNRU5UUyA9IG5ldyBTZXQoW1xuICAnZGl2JyxcbiAgJ3NwYW4nLFxuICAnZm9ybScsXG4gICdidXR0b24nLFxuICAnaW5wdXQnLFxuICAnYScsXG4gICdpbWcnLFxuICAncCcsXG4gICdoMScsXG4gICdoMicsXG4gICdoMycsXG4gICdoNCcsXG4gICdoNScsXG4gICdoNicsXG4gICd1bCcsXG4gICdsaScsXG4gICdvbCcsXG4gICd0YWJsZScsXG4gICd0cicsXG4gICd0ZCcsXG4gICd0aCcsXG4gICd0aGVhZCcsXG4gICd0Ym9keScsXG4gICd0Zm9vdCcsXG4gICdzZWN0aW9uJyxcbiAgJ2FydGljbGUnLFxuICAnaGVhZGVyJyxcbiAgJ2Zvb3RlcicsXG4gICduYXYnLFxuICAnbWFpbicsXG4gICdhc2lkZScsXG4gICdsYWJlbCcsXG4gICdzZWxlY3QnLFxuICAnb3B0aW9uJyxcbiAgJ3RleHRhcmVhJyxcbiAgJ2ZpZWxkc2V0JyxcbiAgJ2xlZ2VuZCcsXG4gICdicicsXG4gICdocicsXG4gICdzdHJvbmcnLFxuICAnZW0nLFxuICAnYicsXG4gICdpJyxcbiAgJ3UnLFxuICAnc21hbGwnLFxuICAnc3ViJyxcbiAgJ3N1cCcsXG4gICdkbCcsXG4gICdkdCcsXG4gICdkZCcsXG4gICdwcmUnLFxuICAnY29kZScsXG4gICdibG9ja3F1b3RlJyxcbiAgJ2NpdGUnLFxuICAnY2FudmFzJyxcbiAgJ3N2ZycsXG4gICdwYXRoJyxcbiAgJ2NpcmNsZScsXG4gICdyZWN0JyxcbiAgJ2xpbmUnLFxuICAncG9seWxpbmUnLFxuICAncG9seWdvbicsXG4gICdpZnJhbWUnLFxuICAnZW1iZWQnLFxuICAnb2JqZWN0JyxcbiAgJ3ZpZGVvJyxcbiAgJ2F1ZGlvJyxcbiAgJ3NvdXJjZScsXG4gICd0cmFjaycsXG4gICdtZXRhJyxcbiAgJ2xpbmsnLFxuICAnc3R5bGUnLFxuICAnc2NyaXB0JyxcbiAgJ25vc2NyaXB0JyxcbiAgJ3RlbXBsYXRlJyxcbl0pO1xuIiwiLyoqXG4gKiBTZXJ2ZXItc2lkZSBjb25zdGFudHMgZm9yIHhyYXktcmVhY3RcbiAqIFNoYXJlZCBhY3Jvc3Mgc2VydmVyLmpzIGFuZCBhbGwgYnVuZGxlciBwbHVnaW5zXG4gKi9cblxuZXhwb3J0IGNvbnN0IFJFQUNUX0ZJTEVfRVhUUyA9IFsnLmpzeCcsICcuanMnLCAnLnRzeCcsICcudHMnXTtcblxuZXhwb3J0IGNvbnN0IFVJX01PREVfRlVMTCA9ICdmdWxsJztcbmV4cG9ydCBjb25zdCBVSV9NT0RFX1NJTVBMRSA9ICdzaW1wbGUnO1xuZXhwb3J0IGNvbnN0IEFWQUlMQUJMRV9VSV9NT0RFUyA9IFtVSV9NT0RFX0ZVTEwsIFVJX01PREVfU0lNUExFXTtcblxuZXhwb3J0IGNvbnN0IEVYQ0xVREVEX0ZJTEVfUEFUVEVSTlMgPSBbXG4gIC9cXC5zdHlsZXNcXC4odHN8anN8dHN4fGpzeCkkL2ksXG4gIC9cXC5zdHlsZVxcLih0c3xqc3x0c3h8anN4KSQvaSxcbiAgL1xcLnN0eWxcXC4odHN8anN8dHN4fGpzeCkkL2ksXG4gIC9cXC5jc3NcXC4odHN8anN8dHN4fGpzeCkkL2ksXG4gIC9cXC50ZXN0XFwuKHRzfGpzfHRzeHxqc3gpJC9pLFxuICAvXFwuc3BlY1xcLih0c3xqc3x0c3h8anN4KSQvaSxcbiAgL1xcLmRcXC50cyQvaSwgLy8gVHlwZVNjcmlwdCBkZWNsYXJhdGlvbiBmaWxlc1xuXTtcblxuZXhwb3J0IGNvbnN0IEhUTUxfRUxFTUVOVFMgPSBbXG4gICdkaXYnLFxuICAnc3BhbicsXG4gICdmb3JtJyxcbiAgJ2J1dHRvbicsXG4gICdpbnB1dCcsXG4gICdhJyxcbiAgJ2ltZycsXG4gICdwJyxcbiAgJ2gxJyxcbiAgJ2gyJyxcbiAgJ2gzJyxcbiAgJ2g0JyxcbiAgJ2g1JyxcbiAgJ2g2JyxcbiAgJ3VsJyxcbiAgJ2xpJyxcbiAgJ29sJyxcbiAgJ3RhYmxlJyxcbiAgJ3RyJyxcbiAgJ3RkJyxcbiAgJ3RoJyxcbiAgJ3RoZWFkJyxcbiAgJ3Rib2R5JyxcbiAgJ3NlY3Rpb24nLFxuICAnYXJ0aWNsZScsXG4gICdoZWFkZXInLFxuICAnZm9vdGVyJyxcbiAgJ25hdicsXG4gICdtYWluJyxcbiAgJ2FzaWRlJyxcbiAgJ2JyJyxcbiAgJ2hyJyxcbiAgJ3N0cm9uZycsXG4gICdlbScsXG4gICdiJyxcbiAgJ2knLFxuICAndScsXG4gICdsYWJlbCcsXG4gICdzZWxlY3QnLFxuICAnb3B0aW9uJyxcbiAgJ3RleHRhcmVhJyxcbiAgJ2ZpZWxkc2V0JyxcbiAgJ2xlZ2VuZCcsXG4gICdjYW52YXMnLFxuICAnc3ZnJyxcbiAgJ3BhdGgnLFxuICAnY2lyY2xlJyxcbiAgJ3JlY3QnLFxuICAnbGluZScsXG5dO1xuXG5leHBvcnQgY29uc3QgSlNfS0VZV09SRFMgPSBbXG4gICdmdW5jdGlvbicsXG4gICdjb25zdCcsXG4gICdsZXQnLFxuICAndmFyJyxcbiAgJ2NsYXNzJyxcbiAgJ2ludGVyZmFjZScsXG4gICd0eXBlJyxcbiAgJ2VudW0nLFxuICAnZXhwb3J0JyxcbiAgJ2ltcG9ydCcsXG4gICdkZWZhdWx0JyxcbiAgJ3JldHVybicsXG4gICdpZicsXG4gICdlbHNlJyxcbiAgJ2ZvcicsXG4gICd3aGlsZScsXG4gICdzd2l0Y2gnLFxuICAnY2FzZScsXG4gICdicmVhaycsXG4gICdjb250aW51ZScsXG4gICd0cnknLFxuICAnY2F0Y2gnLFxuICAnZmluYWxseScsXG4gICd0aHJvdycsXG4gICduZXcnLFxuICAndGhpcycsXG4gICdzdXBlcicsXG4gICdleHRlbmRzJyxcbiAgJ2ltcGxlbWVudHMnLFxuICAnc3RhdGljJyxcbiAgJ2FzeW5jJyxcbiAgJ2F3YWl0JyxcbiAgJ3Byb21pc2UnLFxuICAnYXJyYXknLFxuICAnb2JqZWN0JyxcbiAgJ3N0cmluZycsXG4gICdudW1iZXInLFxuICAnYm9vbGVhbicsXG4gICdudWxsJyxcbiAgJ3VuZGVmaW5lZCcsXG4gICd2b2lkJyxcbl07XG5cbmV4cG9ydCBjb25zdCBDT01NT05fU09VUkNFX0RJUlMgPSBbXG4gIC8vIFByb2plY3Qgc3RydWN0dXJlXG4gICdzcmMnLFxuICAnYXBwJyxcbiAgJ2xpYicsXG4gICd1dGlscycsXG4gIC8vIEF0b21pYy9VSSBjb21wb25lbnRzXG4gICdhdG9tcycsXG4gICd1aScsXG4gIC8vIFNoYXJlZC9jb21tb24gY29tcG9uZW50c1xuICAnY29tbW9uJyxcbiAgJ3NoYXJlZCcsXG4gIC8vIENvbXBvbmVudCBvcmdhbml6YXRpb25cbiAgJ2NvbXBvbmVudHMnLFxuICAnc2VjdGlvbnMnLFxuICAnZm9ybXMnLFxuICAnY29udGFpbmVycycsXG4gIC8vIExheW91dHMgYW5kIHRlbXBsYXRlc1xuICAnbGF5b3V0cycsXG4gICd0ZW1wbGF0ZXMnLFxuICAvLyBWaWV3cyBhbmQgcGFnZXNcbiAgJ3ZpZXdzJyxcbiAgJ3NjcmVlbnMnLFxuICAncGFnZXMnLFxuXTtcbiIsImltcG9ydCAqIGFzIGNvbnN0YW50cyBmcm9tICcuLi9zcmMvY29uc3RhbnRzLmpzJztcbmltcG9ydCB7IFVJX01PREVfRlVMTCwgQVZBSUxBQkxFX1VJX01PREVTIH0gZnJvbSAnLi4vbGliL2NvbnN0YW50cy5qcyc7XG5cbmNvbnN0IGdldElPQ29ubmVjdFVSTCA9ICgpID0+IHtcbiAgY29uc3QgcG9ydCA9ICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cuX19YUkFZX1JFQUNUX1BPUlRfXykgfHwgODEyNDtcbiAgcmV0dXJuIGBodHRwOi8vMTI3LjAuMC4xOiR7cG9ydH1gO1xufTtcblxuLyoqXG4gKiBDbGllbnRJTyBjbGFzcyBmb3IgaGFuZGxpbmcgU29ja2V0LklPIGNvbm5lY3Rpb25zXG4gKi9cbmNsYXNzIENsaWVudElPIHtcbiAgY29uc3RydWN0b3IoKSB7XG4gICAgdGhpcy5jbGllbnQgPSBudWxsO1xuICB9XG5cbiAgLyoqXG4gICAqIER5bmFtaWNhbGx5IGxvYWRzIFNvY2tldC5JTyBjbGllbnQgbGlicmFyeVxuICAgKiBAcmV0dXJucyB7UHJvbWlzZTxib29sZWFuPn0gVHJ1ZSBpZiBsb2FkZWQgc3VjY2Vzc2Z1bGx5XG4gICAqL1xuICBhZGRTY3JpcHQoKSB7XG4gICAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlKSA9PiB7XG4gICAgICBpZiAodHlwZW9mIHdpbmRvdy5pbyAhPT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgICAgcmVzb2x2ZSh0cnVlKTtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuXG4gICAgICBjb25zdCBzY3JpcHQgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdzY3JpcHQnKTtcbiAgICAgIHNjcmlwdC50eXBlID0gJ3RleHQvamF2YXNjcmlwdCc7XG4gICAgICBzY3JpcHQuYXN5bmMgPSB0cnVlO1xuICAgICAgc2NyaXB0LnNyYyA9ICdodHRwczovL2Nkbi5zb2NrZXQuaW8vNC44LjEvc29ja2V0LmlvLm1pbi5qcyc7XG5cbiAgICAgIHNjcmlwdC5hZGRFdmVudExpc3RlbmVyKCdsb2FkJywgKCkgPT4ge1xuICAgICAgICByZXNvbHZlKHRydWUpO1xuICAgICAgICBzY3JpcHQucmVtb3ZlKCk7XG4gICAgICB9KTtcblxuICAgICAgc2NyaXB0LmFkZEV2ZW50TGlzdGVuZXIoJ2Vycm9yJywgKCkgPT4ge1xuICAgICAgICBjb25zb2xlLmVycm9yKCd4cmF5LXJlYWN0OiBGYWlsZWQgdG8gbG9hZCBTb2NrZXQuSU8gY2xpZW50IGxpYnJhcnknKTtcbiAgICAgICAgcmVzb2x2ZShmYWxzZSk7XG4gICAgICAgIHNjcmlwdC5yZW1vdmUoKTtcbiAgICAgIH0pO1xuXG4gICAgICBkb2N1bWVudC5ib2R5LmFwcGVuZENoaWxkKHNjcmlwdCk7XG4gICAgfSk7XG4gIH1cblxuICAvKipcbiAgICogSW5pdGlhbGl6ZXMgU29ja2V0LklPIGNvbm5lY3Rpb25cbiAgICogQHJldHVybnMge1Byb21pc2U8Ym9vbGVhbj59IFRydWUgaWYgY29ubmVjdGVkIHN1Y2Nlc3NmdWxseVxuICAgKi9cbiAgYXN5bmMgaW5pdCgpIHtcbiAgICBpZiAodHlwZW9mIHdpbmRvdy5pbyA9PT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgIGNvbnN0IGlzU3VjY2VzcyA9IGF3YWl0IHRoaXMuYWRkU2NyaXB0KCk7XG4gICAgICBpZiAoIWlzU3VjY2Vzcykge1xuICAgICAgICByZXR1cm4gZmFsc2U7XG4gICAgICB9XG4gICAgfVxuXG4gICAgdHJ5IHtcbiAgICAgIC8vIFNvY2tldC5JTyA0LnggdXNlcyBpbygpIGluc3RlYWQgb2YgaW8uY29ubmVjdCgpXG4gICAgICB0aGlzLmNsaWVudCA9IHdpbmRvdy5pbyhnZXRJT0Nvbm5lY3RVUkwoKSwgeyB0cmFuc3BvcnRzOiBbJ3dlYnNvY2tldCcsICdwb2xsaW5nJ10gfSk7XG5cbiAgICAgIHRoaXMuY2xpZW50Lm9uKCdjb25uZWN0JywgKCkgPT4ge1xuICAgICAgICAvLyBDb25uZWN0ZWQgc3VjY2Vzc2Z1bGx5XG4gICAgICB9KTtcblxuICAgICAgdGhpcy5jbGllbnQub24oJ2Rpc2Nvbm5lY3QnLCAoKSA9PiB7XG4gICAgICAgIC8vIERpc2Nvbm5lY3RlZCBmcm9tIHNlcnZlclxuICAgICAgfSk7XG5cbiAgICAgIHRoaXMuY2xpZW50Lm9uKCdjb25uZWN0X2Vycm9yJywgKGVycm9yKSA9PiB7XG4gICAgICAgIGNvbnNvbGUud2FybigneHJheS1yZWFjdDogQ29ubmVjdGlvbiBlcnJvcicsIGVycm9yKTtcbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbigncHJvamVjdC1jb25maWcnLCAoY29uZmlnKSA9PiB7XG4gICAgICAgIGlmIChjb25maWcpIHtcbiAgICAgICAgICBpZiAoY29uZmlnLnBvcnQgJiYgdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUE9SVF9fID0gY29uZmlnLnBvcnQ7XG4gICAgICAgICAgfVxuICAgICAgICAgIGlmIChjb25maWcubW9kZSAmJiB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgY29uc3QgbW9kZSA9IEFWQUlMQUJMRV9VSV9NT0RFUy5pbmNsdWRlcyhjb25maWcubW9kZSkgPyBjb25maWcubW9kZSA6IFVJX01PREVfRlVMTDtcbiAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfTU9ERV9fID0gbW9kZTtcbiAgICAgICAgICAgIGlmICh3aW5kb3cueHJheVJlYWN0U2V0TW9kZSkge1xuICAgICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0TW9kZShtb2RlKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgICAgaWYgKGNvbmZpZy5wcm9qZWN0Um9vdCkge1xuICAgICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnICYmIHdpbmRvdy54cmF5UmVhY3RTZXRQcm9qZWN0Um9vdCkge1xuICAgICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0UHJvamVjdFJvb3QoY29uZmlnLnByb2plY3RSb290KTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9ST09UX18gPSBjb25maWcucHJvamVjdFJvb3Q7XG4gICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbigndXNhZ2UtbWFwJywgKGRhdGEpID0+IHtcbiAgICAgICAgaWYgKGRhdGEgJiYgZGF0YS51c2FnZSkge1xuICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cueHJheVJlYWN0U2V0VXNhZ2VNYXApIHtcbiAgICAgICAgICAgIHdpbmRvdy54cmF5UmVhY3RTZXRVc2FnZU1hcChkYXRhLnVzYWdlKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfVVNBR0VfTUFQX18gPSBkYXRhLnVzYWdlO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfSk7XG5cbiAgICAgIHRoaXMuY2xpZW50Lm9uKCdpbXBvcnQtbWFwJywgKGRhdGEpID0+IHtcbiAgICAgICAgaWYgKGRhdGEgJiYgZGF0YS5pbXBvcnRzKSB7XG4gICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnICYmIHdpbmRvdy54cmF5UmVhY3RTZXRJbXBvcnRNYXApIHtcbiAgICAgICAgICAgIHdpbmRvdy54cmF5UmVhY3RTZXRJbXBvcnRNYXAoZGF0YS5pbXBvcnRzKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfSU1QT1JUX01BUF9fID0gZGF0YS5pbXBvcnRzO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfSk7XG5cbiAgICAgIHRoaXMuY2xpZW50Lm9uKCdwcm9qZWN0LWZpbGVzJywgKGRhdGEpID0+IHtcbiAgICAgICAgaWYgKGRhdGEgJiYgZGF0YS5maWxlcykge1xuICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cueHJheVJlYWN0U2V0UHJvamVjdEZpbGVzKSB7XG4gICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0UHJvamVjdEZpbGVzKGRhdGEuZmlsZXMpO1xuICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgICAgICAgICAgd2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX0ZJTEVTX18gPSBkYXRhLmZpbGVzO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfSk7XG5cbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH0gY2F0Y2ggKGVycm9yKSB7XG4gICAgICBjb25zb2xlLmVycm9yKCd4cmF5LXJlYWN0OiBGYWlsZWQgdG8gaW5pdGlhbGl6ZSBTb2NrZXQuSU8nLCBlcnJvcik7XG4gICAgICByZXR1cm4gZmFsc2U7XG4gICAgfVxuICB9XG59XG5cbi8qKlxuICogSW5pdGlhbGl6ZXMgU29ja2V0LklPIGFuZCBzZXRzIHVwIGNsaWNrIGxpc3RlbmVyc1xuICovXG5jb25zdCBpbml0SU9BbmRMaXN0ZW5lcnMgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnN0IGNsaWVudElPID0gbmV3IENsaWVudElPKCk7XG4gIGNvbnN0IGlzU3VjY2VzcyA9IGF3YWl0IGNsaWVudElPLmluaXQoKTtcblxuICBpZiAoaXNTdWNjZXNzKSB7XG4gICAgZG9jdW1lbnQuYm9keS5hZGRFdmVudExpc3RlbmVyKCdjbGljaycsIChldmVudCkgPT4ge1xuICAgICAgY29uc3QgdGFyZ2V0ID0gZXZlbnQudGFyZ2V0O1xuICAgICAgaWYgKHRhcmdldC5jbGFzc0xpc3QuY29udGFpbnMoY29uc3RhbnRzLnhyYXlSZWFjdEVsZW1DTikpIHtcbiAgICAgICAgY29uc3QgY29tcG9uZW50UGF0aCA9IHRhcmdldC5nZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlSZWFjdENvbXBQYXRoQXR0cik7XG4gICAgICAgIGlmIChjb21wb25lbnRQYXRoICYmIGNsaWVudElPLmNsaWVudCkge1xuICAgICAgICAgIGNsaWVudElPLmNsaWVudC5lbWl0KCd4cmF5LXJlYWN0LWNvbXBvbmVudCcsIGNvbXBvbmVudFBhdGgpO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfSk7XG4gIH1cbn07XG5cbmlmIChkb2N1bWVudC5yZWFkeVN0YXRlID09PSAnbG9hZGluZycpIHtcbiAgZG9jdW1lbnQuYWRkRXZlbnRMaXN0ZW5lcignRE9NQ29udGVudExvYWRlZCcsIGluaXRJT0FuZExpc3RlbmVycyk7XG59IGVsc2Uge1xuICBpbml0SU9BbmRMaXN0ZW5lcnMoKTtcbn1cbiJdLCJuYW1lcyI6WyJjb25zdGFudHMueHJheVJlYWN0RWxlbUNOIiwiY29uc3RhbnRzLnhyYXlSZWFjdENvbXBQYXRoQXR0ciJdLCJtYXBwaW5ncyI6Ijs7O0VBQU8sTUFBTSxlQUFlLEdBQUcsb0JBQW9CO0VBRTVDLE1BQU0scUJBQXFCLEdBQUcsaUNBQWlDOztFQ0Z0RTtFQUNBO0VBQ0E7RUFDQTs7O0VBSU8sTUFBTSxZQUFZLEdBQUcsTUFBTTtFQUMzQixNQUFNLGNBQWMsR0FBRyxRQUFRO0VBQy9CLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxZQUFZLEVBQUUsY0FBYyxDQUFDOztFQ05oRSxNQUFNLGVBQWUsR0FBRyxNQUFNO0VBQzlCLEVBQUUsTUFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLG1CQUFtQixLQUFLLElBQUk7RUFDcEYsRUFBRSxPQUFPLENBQUMsaUJBQWlCLEVBQUUsSUFBSSxDQUFDLENBQUM7RUFDbkMsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQSxNQUFNLFFBQVEsQ0FBQztFQUNmLEVBQUUsV0FBVyxHQUFHO0VBQ2hCLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJO0VBQ3RCLEVBQUU7O0VBRUY7RUFDQTtFQUNBO0VBQ0E7RUFDQSxFQUFFLFNBQVMsR0FBRztFQUNkLElBQUksT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sS0FBSztFQUNwQyxNQUFNLElBQUksT0FBTyxNQUFNLENBQUMsRUFBRSxLQUFLLFdBQVcsRUFBRTtFQUM1QyxRQUFRLE9BQU8sQ0FBQyxJQUFJLENBQUM7RUFDckIsUUFBUTtFQUNSLE1BQU07O0VBRU4sTUFBTSxNQUFNLE1BQU0sR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQztFQUNyRCxNQUFNLE1BQU0sQ0FBQyxJQUFJLEdBQUcsaUJBQWlCO0VBQ3JDLE1BQU0sTUFBTSxDQUFDLEtBQUssR0FBRyxJQUFJO0VBQ3pCLE1BQU0sTUFBTSxDQUFDLEdBQUcsR0FBRyw4Q0FBOEM7O0VBRWpFLE1BQU0sTUFBTSxDQUFDLGdCQUFnQixDQUFDLE1BQU0sRUFBRSxNQUFNO0VBQzVDLFFBQVEsT0FBTyxDQUFDLElBQUksQ0FBQztFQUNyQixRQUFRLE1BQU0sQ0FBQyxNQUFNLEVBQUU7RUFDdkIsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxNQUFNLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLE1BQU07RUFDN0MsUUFBUSxPQUFPLENBQUMsS0FBSyxDQUFDLHFEQUFxRCxDQUFDO0VBQzVFLFFBQVEsT0FBTyxDQUFDLEtBQUssQ0FBQztFQUN0QixRQUFRLE1BQU0sQ0FBQyxNQUFNLEVBQUU7RUFDdkIsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxRQUFRLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUM7RUFDdkMsSUFBSSxDQUFDLENBQUM7RUFDTixFQUFFOztFQUVGO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsRUFBRSxNQUFNLElBQUksR0FBRztFQUNmLElBQUksSUFBSSxPQUFPLE1BQU0sQ0FBQyxFQUFFLEtBQUssV0FBVyxFQUFFO0VBQzFDLE1BQU0sTUFBTSxTQUFTLEdBQUcsTUFBTSxJQUFJLENBQUMsU0FBUyxFQUFFO0VBQzlDLE1BQU0sSUFBSSxDQUFDLFNBQVMsRUFBRTtFQUN0QixRQUFRLE9BQU8sS0FBSztFQUNwQixNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLElBQUk7RUFDUjtFQUNBLE1BQU0sSUFBSSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLGVBQWUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLENBQUMsV0FBVyxFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUM7O0VBRTFGLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsU0FBUyxFQUFFLE1BQU07RUFDdEM7RUFDQSxNQUFNLENBQUMsQ0FBQzs7RUFFUixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLFlBQVksRUFBRSxNQUFNO0VBQ3pDO0VBQ0EsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxlQUFlLEVBQUUsQ0FBQyxLQUFLLEtBQUs7RUFDakQsUUFBUSxPQUFPLENBQUMsSUFBSSxDQUFDLDhCQUE4QixFQUFFLEtBQUssQ0FBQztFQUMzRCxNQUFNLENBQUMsQ0FBQzs7RUFFUixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGdCQUFnQixFQUFFLENBQUMsTUFBTSxLQUFLO0VBQ25ELFFBQVEsSUFBSSxNQUFNLEVBQUU7RUFDcEIsVUFBVSxJQUFJLE1BQU0sQ0FBQyxJQUFJLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQzVELFlBQVksTUFBTSxDQUFDLG1CQUFtQixHQUFHLE1BQU0sQ0FBQyxJQUFJO0VBQ3BELFVBQVU7RUFDVixVQUFVLElBQUksTUFBTSxDQUFDLElBQUksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDNUQsWUFBWSxNQUFNLElBQUksR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxJQUFJLEdBQUcsWUFBWTtFQUM5RixZQUFZLE1BQU0sQ0FBQyxtQkFBbUIsR0FBRyxJQUFJO0VBQzdDLFlBQVksSUFBSSxNQUFNLENBQUMsZ0JBQWdCLEVBQUU7RUFDekMsY0FBYyxNQUFNLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDO0VBQzNDLFlBQVk7RUFDWixVQUFVO0VBQ1YsVUFBVSxJQUFJLE1BQU0sQ0FBQyxXQUFXLEVBQUU7RUFDbEMsWUFBWSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsdUJBQXVCLEVBQUU7RUFDakYsY0FBYyxNQUFNLENBQUMsdUJBQXVCLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQztFQUNoRSxZQUFZLENBQUMsTUFBTTtFQUNuQixjQUFjLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQ2pELGdCQUFnQixNQUFNLENBQUMsMkJBQTJCLEdBQUcsTUFBTSxDQUFDLFdBQVc7RUFDdkUsY0FBYztFQUNkLFlBQVk7RUFDWixVQUFVO0VBQ1YsUUFBUTtFQUNSLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxLQUFLO0VBQzVDLFFBQVEsSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtFQUNoQyxVQUFVLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxJQUFJLE1BQU0sQ0FBQyxvQkFBb0IsRUFBRTtFQUM1RSxZQUFZLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDO0VBQ25ELFVBQVUsQ0FBQyxNQUFNO0VBQ2pCLFlBQVksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDL0MsY0FBYyxNQUFNLENBQUMsd0JBQXdCLEdBQUcsSUFBSSxDQUFDLEtBQUs7RUFDMUQsWUFBWTtFQUNaLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxJQUFJLEtBQUs7RUFDN0MsUUFBUSxJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFO0VBQ2xDLFVBQVUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLHFCQUFxQixFQUFFO0VBQzdFLFlBQVksTUFBTSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7RUFDdEQsVUFBVSxDQUFDLE1BQU07RUFDakIsWUFBWSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsRUFBRTtFQUMvQyxjQUFjLE1BQU0sQ0FBQyx5QkFBeUIsR0FBRyxJQUFJLENBQUMsT0FBTztFQUM3RCxZQUFZO0VBQ1osVUFBVTtFQUNWLFFBQVE7RUFDUixNQUFNLENBQUMsQ0FBQzs7RUFFUixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGVBQWUsRUFBRSxDQUFDLElBQUksS0FBSztFQUNoRCxRQUFRLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLEVBQUU7RUFDaEMsVUFBVSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsd0JBQXdCLEVBQUU7RUFDaEYsWUFBWSxNQUFNLENBQUMsd0JBQXdCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQztFQUN2RCxVQUFVLENBQUMsTUFBTTtFQUNqQixZQUFZLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQy9DLGNBQWMsTUFBTSxDQUFDLDRCQUE0QixHQUFHLElBQUksQ0FBQyxLQUFLO0VBQzlELFlBQVk7RUFDWixVQUFVO0VBQ1YsUUFBUTtFQUNSLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sT0FBTyxJQUFJO0VBQ2pCLElBQUksQ0FBQyxDQUFDLE9BQU8sS0FBSyxFQUFFO0VBQ3BCLE1BQU0sT0FBTyxDQUFDLEtBQUssQ0FBQyw0Q0FBNEMsRUFBRSxLQUFLLENBQUM7RUFDeEUsTUFBTSxPQUFPLEtBQUs7RUFDbEIsSUFBSTtFQUNKLEVBQUU7RUFDRjs7RUFFQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGtCQUFrQixHQUFHLFlBQVk7RUFDdkMsRUFBRSxNQUFNLFFBQVEsR0FBRyxJQUFJLFFBQVEsRUFBRTtFQUNqQyxFQUFFLE1BQU0sU0FBUyxHQUFHLE1BQU0sUUFBUSxDQUFDLElBQUksRUFBRTs7RUFFekMsRUFBRSxJQUFJLFNBQVMsRUFBRTtFQUNqQixJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLENBQUMsS0FBSyxLQUFLO0VBQ3ZELE1BQU0sTUFBTSxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU07RUFDakMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDQSxlQUF5QixDQUFDLEVBQUU7RUFDaEUsUUFBUSxNQUFNLGFBQWEsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDQyxxQkFBK0IsQ0FBQztFQUNsRixRQUFRLElBQUksYUFBYSxJQUFJLFFBQVEsQ0FBQyxNQUFNLEVBQUU7RUFDOUMsVUFBVSxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsRUFBRSxhQUFhLENBQUM7RUFDckUsUUFBUTtFQUNSLE1BQU07RUFDTixJQUFJLENBQUMsQ0FBQztFQUNOLEVBQUU7RUFDRixDQUFDOztFQUVELElBQUksUUFBUSxDQUFDLFVBQVUsS0FBSyxTQUFTLEVBQUU7RUFDdkMsRUFBRSxRQUFRLENBQUMsZ0JBQWdCLENBQUMsa0JBQWtCLEVBQUUsa0JBQWtCLENBQUM7RUFDbkUsQ0FBQyxNQUFNO0VBQ1AsRUFBRSxrQkFBa0IsRUFBRTtFQUN0Qjs7Ozs7OyJ9
+//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoieHJheS1yZWFjdC1jbGllbnQubWluLmpzIiwic291cmNlcyI6WyIuLi9zcmMvY29uc3RhbnRzLmpzIiwiLi4vc3JjL3NvdXJjZS1tYXAuanMiLCIuLi9zcmMvc291cmNlLWxvY2F0aW9uLmpzIiwiLi4vc3JjL2VkaXRvci11cmwuanMiLCIuLi9zcmMvb3Blbi1yZXN1bHQuanMiLCIuLi9saWIvY29uc3RhbnRzLmpzIiwiLi4vbGliL3hyYXktcmVhY3QtY2xpZW50LmpzIl0sInNvdXJjZXNDb250ZW50IjpbImV4cG9ydCBjb25zdCB4cmF5UmVhY3RFbGVtQ04gPSAneHJheS1yZWFjdC1lbGVtZW50JztcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RXcmFwcGVyQ04gPSAneHJheS1yZWFjdC1lbGVtZW50cy13cmFwcGVyJztcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RDb21wUGF0aEF0dHIgPSAnZGF0YS14cmF5LXJlYWN0LWNvbXBvbmVudHMtcGF0aCc7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0RmlsdGVyZWRDb21wUGF0aEF0dHIgPSAnZGF0YS14cmF5LXJlYWN0LWZpbHRlcmVkLWNvbXBvbmVudHMtcGF0aCc7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0U291cmNlQXR0ciA9ICdkYXRhLXhyYXktcmVhY3Qtc291cmNlJztcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RTb3VyY2VFeGFjdEF0dHIgPSAnZGF0YS14cmF5LXJlYWN0LXNvdXJjZS1leGFjdCc7XG4vLyBOYW1lcyBvZiB0aGUgUmVhY3QgU2VydmVyIENvbXBvbmVudHMgaW4gYW4gb3ZlcmxheSdzIHBhdGhcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RTZXJ2ZXJDb21wc0F0dHIgPSAnZGF0YS14cmF5LXJlYWN0LXNlcnZlci1jb21wb25lbnRzJztcbi8vIFJvdXRlIGlkcyBvZiB0aGUgcm91dGUgbW9kdWxlcyBpbiBhbiBvdmVybGF5J3MgcGF0aCAoUmVhY3QgUm91dGVyIGZyYW1ld29yayBtb2RlLCBSZW1peClcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RSb3V0ZU1vZHVsZXNBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1yb3V0ZS1tb2R1bGVzJztcbi8vIFN0YW1wZWQgb24gaG9zdCBlbGVtZW50cyBhdCBidWlsZCB0aW1lIGJ5IHRoZSB4cmF5LXJlYWN0IEpTWCB0cmFuc2Zvcm1zXG5leHBvcnQgY29uc3QgeHJheVNvdXJjZUF0dHIgPSAnZGF0YS14cmF5LXNvdXJjZSc7XG5leHBvcnQgY29uc3QgeHJheUNvbXBvbmVudEF0dHIgPSAnZGF0YS14cmF5LWNvbXBvbmVudCc7XG5leHBvcnQgY29uc3QgekluZGV4ID0gMTAwMDA7XG5cbmV4cG9ydCBjb25zdCBVSV9NT0RFX0ZVTEwgPSAnZnVsbCc7XG5leHBvcnQgY29uc3QgVUlfTU9ERV9TSU1QTEUgPSAnc2ltcGxlJztcbmV4cG9ydCBjb25zdCBBVkFJTEFCTEVfVUlfTU9ERVMgPSBbVUlfTU9ERV9GVUxMLCBVSV9NT0RFX1NJTVBMRV07XG5cbmV4cG9ydCBjb25zdCBFRElUT1JfVVJMX0xBQkVMUyA9IHtcbiAgdnNjb2RlOiAnVlMgQ29kZScsXG4gIGN1cnNvcjogJ0N1cnNvcicsXG4gIGlkZWE6ICdJbnRlbGxpSiBJREVBJyxcbiAgamV0YnJhaW5zOiAnSmV0QnJhaW5zIFRvb2xib3gnLFxuICBzdWJsOiAnU3VibGltZSBUZXh0Jyxcbn07XG5leHBvcnQgY29uc3QgRURJVE9SX1VSTF9TQ0hFTUVTID0gT2JqZWN0LmtleXMoRURJVE9SX1VSTF9MQUJFTFMpO1xuXG5leHBvcnQgY29uc3QgSFRNTF9FTEVNRU5UUyA9IG5ldyBTZXQoW1xuICAnZGl2JyxcbiAgJ3NwYW4nLFxuICAnZm9ybScsXG4gICdidXR0b24nLFxuICAnaW5wdXQnLFxuICAnYScsXG4gICdpbWcnLFxuICAncCcsXG4gICdoMScsXG4gICdoMicsXG4gICdoMycsXG4gICdoNCcsXG4gICdoNScsXG4gICdoNicsXG4gICd1bCcsXG4gICdsaScsXG4gICdvbCcsXG4gICd0YWJsZScsXG4gICd0cicsXG4gICd0ZCcsXG4gICd0aCcsXG4gICd0aGVhZCcsXG4gICd0Ym9keScsXG4gICd0Zm9vdCcsXG4gICdzZWN0aW9uJyxcbiAgJ2FydGljbGUnLFxuICAnaGVhZGVyJyxcbiAgJ2Zvb3RlcicsXG4gICduYXYnLFxuICAnbWFpbicsXG4gICdhc2lkZScsXG4gICdsYWJlbCcsXG4gICdzZWxlY3QnLFxuICAnb3B0aW9uJyxcbiAgJ3RleHRhcmVhJyxcbiAgJ2ZpZWxkc2V0JyxcbiAgJ2xlZ2VuZCcsXG4gICdicicsXG4gICdocicsXG4gICdzdHJvbmcnLFxuICAnZW0nLFxuICAnYicsXG4gICdpJyxcbiAgJ3UnLFxuICAnc21hbGwnLFxuICAnc3ViJyxcbiAgJ3N1cCcsXG4gICdkbCcsXG4gICdkdCcsXG4gICdkZCcsXG4gICdwcmUnLFxuICAnY29kZScsXG4gICdibG9ja3F1b3RlJyxcbiAgJ2NpdGUnLFxuICAnY2FudmFzJyxcbiAgJ3N2ZycsXG4gICdwYXRoJyxcbiAgJ2NpcmNsZScsXG4gICdyZWN0JyxcbiAgJ2xpbmUnLFxuICAncG9seWxpbmUnLFxuICAncG9seWdvbicsXG4gICdpZnJhbWUnLFxuICAnZW1iZWQnLFxuICAnb2JqZWN0JyxcbiAgJ3ZpZGVvJyxcbiAgJ2F1ZGlvJyxcbiAgJ3NvdXJjZScsXG4gICd0cmFjaycsXG4gICdtZXRhJyxcbiAgJ2xpbmsnLFxuICAnc3R5bGUnLFxuICAnc2NyaXB0JyxcbiAgJ25vc2NyaXB0JyxcbiAgJ3RlbXBsYXRlJyxcbl0pO1xuIiwiLyoqXG4gKiBNaW5pbWFsIHNvdXJjZSBtYXAgc3VwcG9ydCBmb3IgdGhlIGJyb3dzZXIgYnVuZGxlXG4gKiBMb2FkcyB0aGUgbWFwcyB0aGUgZGV2IHNlcnZlciBhbHJlYWR5IHNlcnZlcyBmb3IgaXRzIHNjcmlwdHMgYW5kIG1hcHMgZ2VuZXJhdGVkIHBvc2l0aW9uc1xuICogYmFjayB0byBvcmlnaW5hbCBmaWxlcy4gT25seSB3aGF0IHN0YWNrIGZyYW1lIG1hcHBpbmcgbmVlZHM6IFZMUSBtYXBwaW5ncyBhbmQgc291cmNlIGxvb2t1cC5cbiAqL1xuXG5jb25zdCBCQVNFNjRfQ0hBUlMgPSAnQUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVphYmNkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ejAxMjM0NTY3ODkrLyc7XG5jb25zdCBCQVNFNjRfVkFMVUVTID0gbmV3IE1hcChbLi4uQkFTRTY0X0NIQVJTXS5tYXAoKGNoYXIsIGluZGV4KSA9PiBbY2hhciwgaW5kZXhdKSk7XG5cbi8qKlxuICogRGVjb2RlcyBvbmUgbGluZSBvZiBWTFEtZW5jb2RlZCBzZWdtZW50c1xuICogQHBhcmFtIHtzdHJpbmd9IGxpbmUgLSBFbmNvZGVkIHNlZ21lbnRzIG9mIGEgZ2VuZXJhdGVkIGxpbmUsIHNlcGFyYXRlZCBieSBjb21tYXNcbiAqIEBwYXJhbSB7QXJyYXk8bnVtYmVyPn0gc3RhdGUgLSBSdW5uaW5nIFtzb3VyY2VJbmRleCwgc291cmNlTGluZSwgc291cmNlQ29sdW1uXSBzaGFyZWQgYWNyb3NzIGxpbmVzXG4gKiBAcmV0dXJucyB7QXJyYXk8QXJyYXk8bnVtYmVyPj59IFNlZ21lbnRzIGFzIFtnZW5lcmF0ZWRDb2x1bW4sIHNvdXJjZUluZGV4LCBzb3VyY2VMaW5lLCBzb3VyY2VDb2x1bW5dXG4gKi9cbmNvbnN0IGRlY29kZU1hcHBpbmdzTGluZSA9IChsaW5lLCBzdGF0ZSkgPT4ge1xuICBjb25zdCBzZWdtZW50cyA9IFtdO1xuICBsZXQgZ2VuZXJhdGVkQ29sdW1uID0gMDtcblxuICBmb3IgKGNvbnN0IGVuY29kZWQgb2YgbGluZS5zcGxpdCgnLCcpKSB7XG4gICAgaWYgKCFlbmNvZGVkKSBjb250aW51ZTtcblxuICAgIGNvbnN0IHZhbHVlcyA9IFtdO1xuICAgIGxldCB2YWx1ZSA9IDA7XG4gICAgbGV0IHNoaWZ0ID0gMDtcblxuICAgIGZvciAoY29uc3QgY2hhciBvZiBlbmNvZGVkKSB7XG4gICAgICBjb25zdCBkaWdpdCA9IEJBU0U2NF9WQUxVRVMuZ2V0KGNoYXIpO1xuICAgICAgaWYgKGRpZ2l0ID09PSB1bmRlZmluZWQpIGJyZWFrO1xuXG4gICAgICB2YWx1ZSArPSAoZGlnaXQgJiAzMSkgPDwgc2hpZnQ7XG4gICAgICBpZiAoZGlnaXQgJiAzMikge1xuICAgICAgICBzaGlmdCArPSA1O1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgdmFsdWVzLnB1c2godmFsdWUgJiAxID8gLSh2YWx1ZSA+PiAxKSA6IHZhbHVlID4+IDEpO1xuICAgICAgICB2YWx1ZSA9IDA7XG4gICAgICAgIHNoaWZ0ID0gMDtcbiAgICAgIH1cbiAgICB9XG5cbiAgICBnZW5lcmF0ZWRDb2x1bW4gKz0gdmFsdWVzWzBdIHx8IDA7XG4gICAgaWYgKHZhbHVlcy5sZW5ndGggPj0gNCkge1xuICAgICAgc3RhdGVbMF0gKz0gdmFsdWVzWzFdO1xuICAgICAgc3RhdGVbMV0gKz0gdmFsdWVzWzJdO1xuICAgICAgc3RhdGVbMl0gKz0gdmFsdWVzWzNdO1xuICAgICAgc2VnbWVudHMucHVzaChbZ2VuZXJhdGVkQ29sdW1uLCBzdGF0ZVswXSwgc3RhdGVbMV0sIHN0YXRlWzJdXSk7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHNlZ21lbnRzO1xufTtcblxuLyoqXG4gKiBDb252ZXJ0cyBhIHNjcmlwdCBVUkwgc2VydmVkIGJ5IGEgZGV2IHNlcnZlciB0byBhIGZpbGUgbmFtZVxuICogQHBhcmFtIHtzdHJpbmd9IHVybCAtIFNjcmlwdCBVUkwgKGh0dHAocyk6Ly8sIHdlYnBhY2staW50ZXJuYWw6Ly8sIGZpbGU6Ly8pXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBGaWxlIG5hbWUgKGFic29sdXRlIHBhdGgsIG9yIHBhdGggcmVsYXRpdmUgdG8gdGhlIGRldiBzZXJ2ZXIgcm9vdClcbiAqL1xuZXhwb3J0IGNvbnN0IHVybFRvRmlsZU5hbWUgPSAodXJsKSA9PiB7XG4gIGlmICghdXJsKSByZXR1cm4gdXJsO1xuXG4gIGlmICh1cmwuc3RhcnRzV2l0aCgnd2VicGFjay1pbnRlcm5hbDovLy8nKSkge1xuICAgIHJldHVybiB1cmwucmVwbGFjZSgnd2VicGFjay1pbnRlcm5hbDovLy8nLCAnJykucmVwbGFjZSgvXlxcLlxcLy8sICcnKS5yZXBsYWNlKC9cXD8uKiQvLCAnJyk7XG4gIH1cblxuICB0cnkge1xuICAgIGNvbnN0IHBhcnNlZCA9IG5ldyBVUkwodXJsKTtcbiAgICBpZiAocGFyc2VkLnByb3RvY29sID09PSAnZmlsZTonKSB7XG4gICAgICByZXR1cm4gZGVjb2RlVVJJQ29tcG9uZW50KHBhcnNlZC5wYXRobmFtZSk7XG4gICAgfVxuXG4gICAgY29uc3QgcGF0aG5hbWUgPSBkZWNvZGVVUklDb21wb25lbnQocGFyc2VkLnBhdGhuYW1lKTtcbiAgICBpZiAocGF0aG5hbWUuc3RhcnRzV2l0aCgnL0Bmcy8nKSkge1xuICAgICAgcmV0dXJuIHBhdGhuYW1lLnNsaWNlKCcvQGZzJy5sZW5ndGgpO1xuICAgIH1cbiAgICByZXR1cm4gcGF0aG5hbWUucmVwbGFjZSgvXlxcLysvLCAnJyk7XG4gIH0gY2F0Y2gge1xuICAgIHJldHVybiB1cmwucmVwbGFjZSgvXFw/LiokLywgJycpO1xuICB9XG59O1xuXG4vKipcbiAqIENvbnZlcnRzIGEgc291cmNlIG1hcCBgc291cmNlc2AgZW50cnkgdG8gYSBmaWxlIG5hbWVcbiAqIFN0cmlwcyBidW5kbGVyIFVSTCBzY2hlbWVzICh3ZWJwYWNrOi8vLCAvQGZzLykgYW5kIHJlc29sdmVzIHJlbGF0aXZlIGVudHJpZXMgYWdhaW5zdCB0aGUgbWFwIFVSTFxuICogQHBhcmFtIHtzdHJpbmd9IHNvdXJjZSAtIFNvdXJjZSBlbnRyeVxuICogQHBhcmFtIHtzdHJpbmd9IG1hcFVybCAtIFVSTCBvZiB0aGUgc291cmNlIG1hcFxuICogQHJldHVybnMge3N0cmluZ30gRmlsZSBuYW1lIChhYnNvbHV0ZSBwYXRoLCBvciBwYXRoIHJlbGF0aXZlIHRvIHRoZSBkZXYgc2VydmVyIHJvb3QpXG4gKi9cbmV4cG9ydCBjb25zdCBub3JtYWxpemVTb3VyY2VOYW1lID0gKHNvdXJjZSwgbWFwVXJsKSA9PiB7XG4gIGlmICghc291cmNlKSByZXR1cm4gc291cmNlO1xuXG4gIGNvbnN0IHdlYnBhY2tNYXRjaCA9IHNvdXJjZS5tYXRjaCgvXndlYnBhY2s6XFwvXFwvW14vXSpcXC8oLiopJC8pO1xuICBpZiAod2VicGFja01hdGNoKSB7XG4gICAgcmV0dXJuIHdlYnBhY2tNYXRjaFsxXS5yZXBsYWNlKC9eXFwuXFwvLywgJycpO1xuICB9XG5cbiAgaWYgKC9eZmlsZTpcXC9cXC8vaS50ZXN0KHNvdXJjZSkpIHtcbiAgICByZXR1cm4gZGVjb2RlVVJJQ29tcG9uZW50KHNvdXJjZS5yZXBsYWNlKC9eZmlsZTpcXC9cXC8vaSwgJycpKTtcbiAgfVxuXG4gIGlmIChzb3VyY2Uuc3RhcnRzV2l0aCgnLycpKSB7XG4gICAgcmV0dXJuIHNvdXJjZS5yZXBsYWNlKC9eXFwvQGZzXFwvLywgJy8nKTtcbiAgfVxuXG4gIHRyeSB7XG4gICAgcmV0dXJuIHVybFRvRmlsZU5hbWUobmV3IFVSTChzb3VyY2UsIG1hcFVybCkuaHJlZik7XG4gIH0gY2F0Y2gge1xuICAgIHJldHVybiBzb3VyY2U7XG4gIH1cbn07XG5cbi8qKlxuICogUGFyc2VzIGEgc291cmNlIG1hcCBvYmplY3QgaW50byBhIGxvb2t1cC1mcmllbmRseSBzdHJ1Y3R1cmVcbiAqIEluZGV4IG1hcHMgKHdpdGggYHNlY3Rpb25zYCkgYXJlIG5vdCBzdXBwb3J0ZWRcbiAqIEBwYXJhbSB7T2JqZWN0fSByYXdNYXAgLSBTb3VyY2UgbWFwIEpTT05cbiAqIEBwYXJhbSB7c3RyaW5nfSBtYXBVcmwgLSBVUkwgdGhlIG1hcCB3YXMgbG9hZGVkIGZyb20sIHVzZWQgdG8gcmVzb2x2ZSByZWxhdGl2ZSBzb3VyY2VzXG4gKiBAcmV0dXJucyB7T2JqZWN0fG51bGx9IFBhcnNlZCBzb3VyY2UgbWFwIG9yIG51bGwgaWYgdW5zdXBwb3J0ZWRcbiAqL1xuZXhwb3J0IGNvbnN0IHBhcnNlU291cmNlTWFwID0gKHJhd01hcCwgbWFwVXJsKSA9PiB7XG4gIGlmICghcmF3TWFwIHx8IHR5cGVvZiByYXdNYXAubWFwcGluZ3MgIT09ICdzdHJpbmcnIHx8ICFBcnJheS5pc0FycmF5KHJhd01hcC5zb3VyY2VzKSkge1xuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgY29uc3Qgc291cmNlUm9vdCA9IHJhd01hcC5zb3VyY2VSb290IHx8ICcnO1xuICBjb25zdCBzb3VyY2VzID0gcmF3TWFwLnNvdXJjZXMubWFwKChzb3VyY2UpID0+IHtcbiAgICBjb25zdCB3aXRoUm9vdCA9IHNvdXJjZVJvb3QgJiYgIS9eW2Etel0rOi9pLnRlc3Qoc291cmNlKSA/IGAke3NvdXJjZVJvb3R9JHtzb3VyY2V9YCA6IHNvdXJjZTtcbiAgICByZXR1cm4gbm9ybWFsaXplU291cmNlTmFtZSh3aXRoUm9vdCwgbWFwVXJsKTtcbiAgfSk7XG5cbiAgY29uc3Qgc3RhdGUgPSBbMCwgMCwgMF07XG4gIGNvbnN0IGxpbmVzID0gcmF3TWFwLm1hcHBpbmdzLnNwbGl0KCc7JykubWFwKChsaW5lKSA9PiBkZWNvZGVNYXBwaW5nc0xpbmUobGluZSwgc3RhdGUpKTtcblxuICByZXR1cm4geyBzb3VyY2VzLCBsaW5lcyB9O1xufTtcblxuLyoqXG4gKiBGaW5kcyB0aGUgb3JpZ2luYWwgcG9zaXRpb24gb2YgYSBnZW5lcmF0ZWQgcG9zaXRpb25cbiAqIEBwYXJhbSB7T2JqZWN0fSBtYXAgLSBQYXJzZWQgc291cmNlIG1hcFxuICogQHBhcmFtIHtudW1iZXJ9IGxpbmUgLSAxLWJhc2VkIGdlbmVyYXRlZCBsaW5lXG4gKiBAcGFyYW0ge251bWJlcn0gY29sdW1uIC0gMS1iYXNlZCBnZW5lcmF0ZWQgY29sdW1uXG4gKiBAcmV0dXJucyB7T2JqZWN0fG51bGx9IE9yaWdpbmFsIHBvc2l0aW9uICh7IGZpbGVOYW1lLCBsaW5lTnVtYmVyLCBjb2x1bW5OdW1iZXIgfSkgb3IgbnVsbFxuICovXG5leHBvcnQgY29uc3Qgb3JpZ2luYWxQb3NpdGlvbkZvciA9IChtYXAsIGxpbmUsIGNvbHVtbikgPT4ge1xuICBjb25zdCBzZWdtZW50cyA9IG1hcD8ubGluZXNbbGluZSAtIDFdO1xuICBpZiAoIXNlZ21lbnRzIHx8IHNlZ21lbnRzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIG51bGw7XG5cbiAgY29uc3QgZ2VuZXJhdGVkQ29sdW1uID0gTWF0aC5tYXgoMCwgKGNvbHVtbiB8fCAxKSAtIDEpO1xuICBsZXQgbWF0Y2ggPSBudWxsO1xuICBmb3IgKGNvbnN0IHNlZ21lbnQgb2Ygc2VnbWVudHMpIHtcbiAgICBpZiAoc2VnbWVudFswXSA+IGdlbmVyYXRlZENvbHVtbikgYnJlYWs7XG4gICAgbWF0Y2ggPSBzZWdtZW50O1xuICB9XG4gIG1hdGNoID0gbWF0Y2ggfHwgc2VnbWVudHNbMF07XG5cbiAgY29uc3QgZmlsZU5hbWUgPSBtYXAuc291cmNlc1ttYXRjaFsxXV07XG4gIGlmICghZmlsZU5hbWUpIHJldHVybiBudWxsO1xuXG4gIHJldHVybiB7IGZpbGVOYW1lLCBsaW5lTnVtYmVyOiBtYXRjaFsyXSArIDEsIGNvbHVtbk51bWJlcjogbWF0Y2hbM10gKyAxIH07XG59O1xuXG4vKipcbiAqIERlY29kZXMgYSBiYXNlNjQgZGF0YSBVUkwgcGF5bG9hZCBhcyBVVEYtOCB0ZXh0XG4gKiBAcGFyYW0ge3N0cmluZ30gZGF0YVVybCAtIGRhdGE6IFVSTFxuICogQHJldHVybnMge3N0cmluZ30gRGVjb2RlZCB0ZXh0XG4gKi9cbmNvbnN0IGRlY29kZURhdGFVcmwgPSAoZGF0YVVybCkgPT4ge1xuICBjb25zdCBbaGVhZGVyLCBwYXlsb2FkID0gJyddID0gZGF0YVVybC5zcGxpdCgnLCcpO1xuICBpZiAoIWhlYWRlci5pbmNsdWRlcygnO2Jhc2U2NCcpKSB7XG4gICAgcmV0dXJuIGRlY29kZVVSSUNvbXBvbmVudChwYXlsb2FkKTtcbiAgfVxuXG4gIGNvbnN0IGJpbmFyeSA9IGF0b2IocGF5bG9hZCk7XG4gIGNvbnN0IGJ5dGVzID0gVWludDhBcnJheS5mcm9tKGJpbmFyeSwgKGNoYXIpID0+IGNoYXIuY2hhckNvZGVBdCgwKSk7XG4gIHJldHVybiBuZXcgVGV4dERlY29kZXIoKS5kZWNvZGUoYnl0ZXMpO1xufTtcblxuLyoqXG4gKiBMb2FkcyBhbmQgcGFyc2VzIHRoZSBzb3VyY2UgbWFwIG9mIGEgc2NyaXB0IHNlcnZlZCBieSB0aGUgZGV2IHNlcnZlclxuICogU3VwcG9ydHMgaW5saW5lIChkYXRhOiBVUkwpIGFuZCBleHRlcm5hbCBgc291cmNlTWFwcGluZ1VSTGAgcmVmZXJlbmNlc1xuICogQHBhcmFtIHtzdHJpbmd9IHNjcmlwdFVybCAtIFNjcmlwdCBVUkxcbiAqIEByZXR1cm5zIHtQcm9taXNlPE9iamVjdHxudWxsPn0gUGFyc2VkIHNvdXJjZSBtYXAgb3IgbnVsbCBpZiB1bmF2YWlsYWJsZVxuICovXG5leHBvcnQgY29uc3QgbG9hZFNvdXJjZU1hcCA9IGFzeW5jIChzY3JpcHRVcmwpID0+IHtcbiAgdHJ5IHtcbiAgICBjb25zdCByZXNwb25zZSA9IGF3YWl0IGZldGNoKHNjcmlwdFVybCk7XG4gICAgaWYgKCFyZXNwb25zZS5vaykgcmV0dXJuIG51bGw7XG5cbiAgICBjb25zdCBjb2RlID0gYXdhaXQgcmVzcG9uc2UudGV4dCgpO1xuICAgIGNvbnN0IHJlZmVyZW5jZXMgPSBbLi4uY29kZS5tYXRjaEFsbCgvXFwvXFwvWyNAXVxccypzb3VyY2VNYXBwaW5nVVJMPShcXFMrKS9nKV07XG4gICAgaWYgKHJlZmVyZW5jZXMubGVuZ3RoID09PSAwKSByZXR1cm4gbnVsbDtcblxuICAgIGNvbnN0IHJlZmVyZW5jZSA9IHJlZmVyZW5jZXNbcmVmZXJlbmNlcy5sZW5ndGggLSAxXVsxXTtcblxuICAgIGlmIChyZWZlcmVuY2Uuc3RhcnRzV2l0aCgnZGF0YTonKSkge1xuICAgICAgcmV0dXJuIHBhcnNlU291cmNlTWFwKEpTT04ucGFyc2UoZGVjb2RlRGF0YVVybChyZWZlcmVuY2UpKSwgc2NyaXB0VXJsKTtcbiAgICB9XG5cbiAgICBjb25zdCBtYXBVcmwgPSBuZXcgVVJMKHJlZmVyZW5jZSwgc2NyaXB0VXJsKS5ocmVmO1xuICAgIGNvbnN0IG1hcFJlc3BvbnNlID0gYXdhaXQgZmV0Y2gobWFwVXJsKTtcbiAgICBpZiAoIW1hcFJlc3BvbnNlLm9rKSByZXR1cm4gbnVsbDtcblxuICAgIHJldHVybiBwYXJzZVNvdXJjZU1hcChhd2FpdCBtYXBSZXNwb25zZS5qc29uKCksIG1hcFVybCk7XG4gIH0gY2F0Y2gge1xuICAgIHJldHVybiBudWxsO1xuICB9XG59O1xuIiwiLyoqXG4gKiBTb3VyY2UgbG9jYXRpb24gaGVscGVycyBzaGFyZWQgYnkgdGhlIFVJIGFuZCBjbGllbnQgYnVuZGxlc1xuICogQSBzb3VyY2UgbG9jYXRpb24gaXMgeyBmaWxlTmFtZSwgbGluZU51bWJlciwgY29sdW1uTnVtYmVyIH0gKDEtYmFzZWQgbGluZSBhbmQgY29sdW1uKVxuICovXG5pbXBvcnQgeyBsb2FkU291cmNlTWFwLCBvcmlnaW5hbFBvc2l0aW9uRm9yLCB1cmxUb0ZpbGVOYW1lIH0gZnJvbSAnLi9zb3VyY2UtbWFwLmpzJztcblxuY29uc3Qgc291cmNlTWFwcyA9IG5ldyBNYXAoKTsgLy8gc2NyaXB0IFVSTCAtPiBwYXJzZWQgc291cmNlIG1hcCwgb3IgbnVsbCB3aGVuIHVuYXZhaWxhYmxlXG5jb25zdCBwZW5kaW5nU2NyaXB0VXJscyA9IG5ldyBTZXQoKTtcbmNvbnN0IHN0YWNrU291cmNlQ2FjaGUgPSBuZXcgV2Vha01hcCgpOyAvLyBfZGVidWdTdGFjayBFcnJvciAtPiByZXNvbHZlZCBzb3VyY2UgbG9jYXRpb25cblxuLy8gRnJhbWVzIGNyZWF0ZWQgYnkgUmVhY3QgaXRzZWxmIChKU1ggcnVudGltZSwgcmVjb25jaWxlcikgcmF0aGVyIHRoYW4gYnkgYSBjb21wb25lbnQncyByZW5kZXJcbmNvbnN0IFJFQUNUX0lOVEVSTkFMX0ZVTkNUSU9OUyA9IG5ldyBTZXQoWydqc3hERVYnLCAnanN4JywgJ2pzeHMnLCAnY3JlYXRlRWxlbWVudCddKTtcbmNvbnN0IFJFQUNUX0lOVEVSTkFMX0ZJTEVTID1cbiAgL25vZGVfbW9kdWxlc1svXFxcXF0ocmVhY3R8cmVhY3QtZG9tfHNjaGVkdWxlcilbL1xcXFxdfHJlYWN0Wy1fXWpzeFstX11kZXZbLV9dcnVudGltZXxyZWFjdFstX11qc3hbLV9dcnVudGltZXxyZWFjdC1kb21bLV9dY2xpZW50fHJlYWN0LWRvbVxcLmRldmVsb3BtZW50L2k7XG5cbi8qKlxuICogUGFyc2VzIGFuIEVycm9yIHN0YWNrIGludG8gZnJhbWVzXG4gKiBTdXBwb3J0cyBWOCAoYGF0IGZuICh1cmw6bGluZTpjb2wpYCkgYW5kIEZpcmVmb3gvU2FmYXJpIChgZm5AdXJsOmxpbmU6Y29sYCkgZm9ybWF0c1xuICogQHBhcmFtIHtzdHJpbmd9IHN0YWNrIC0gRXJyb3Igc3RhY2sgc3RyaW5nXG4gKiBAcmV0dXJucyB7QXJyYXk8T2JqZWN0Pn0gRnJhbWVzICh7IGZ1bmN0aW9uTmFtZSwgdXJsLCBsaW5lTnVtYmVyLCBjb2x1bW5OdW1iZXIgfSlcbiAqL1xuZXhwb3J0IGNvbnN0IHBhcnNlU3RhY2tGcmFtZXMgPSAoc3RhY2spID0+IHtcbiAgaWYgKCFzdGFjayB8fCB0eXBlb2Ygc3RhY2sgIT09ICdzdHJpbmcnKSByZXR1cm4gW107XG5cbiAgY29uc3QgZnJhbWVzID0gW107XG4gIGZvciAoY29uc3QgbGluZSBvZiBzdGFjay5zcGxpdCgnXFxuJykpIHtcbiAgICBjb25zdCBtYXRjaCA9XG4gICAgICBsaW5lLm1hdGNoKC9eXFxzKmF0ICg/OiguKj8pIFxcKCk/KC4rPyk6KFxcZCspOihcXGQrKVxcKT9cXHMqJC8pIHx8XG4gICAgICBsaW5lLm1hdGNoKC9eXFxzKiguKj8pQCguKz8pOihcXGQrKTooXFxkKylcXHMqJC8pO1xuXG4gICAgaWYgKG1hdGNoKSB7XG4gICAgICBmcmFtZXMucHVzaCh7XG4gICAgICAgIGZ1bmN0aW9uTmFtZTogKG1hdGNoWzFdIHx8ICcnKVxuICAgICAgICAgIC5yZXBsYWNlKC9eKGFzeW5jfG5ldykgLywgJycpXG4gICAgICAgICAgLnNwbGl0KCcuJylcbiAgICAgICAgICAucG9wKCksXG4gICAgICAgIHVybDogbWF0Y2hbMl0sXG4gICAgICAgIGxpbmVOdW1iZXI6IHBhcnNlSW50KG1hdGNoWzNdLCAxMCksXG4gICAgICAgIGNvbHVtbk51bWJlcjogcGFyc2VJbnQobWF0Y2hbNF0sIDEwKSxcbiAgICAgIH0pO1xuICAgIH1cbiAgfVxuXG4gIHJldHVybiBmcmFtZXM7XG59O1xuXG4vKipcbiAqIE1hcHMgYSBzdGFjayBmcmFtZSB0byBhbiBvcmlnaW5hbCBzb3VyY2UgbG9jYXRpb25cbiAqIFVzZXMgdGhlIHNjcmlwdCdzIHNvdXJjZSBtYXAgd2hlbiBpdCBoYXMgYmVlbiBsb2FkZWQsIG90aGVyd2lzZSBxdWV1ZXMgaXQgZm9yIGxvYWRpbmdcbiAqIGFuZCBmYWxscyBiYWNrIHRvIHRoZSBnZW5lcmF0ZWQgcG9zaXRpb25cbiAqIEBwYXJhbSB7T2JqZWN0fSBmcmFtZSAtIFN0YWNrIGZyYW1lXG4gKiBAcmV0dXJucyB7e3NvdXJjZTogT2JqZWN0LCBpc01hcHBlZDogYm9vbGVhbn19IFNvdXJjZSBsb2NhdGlvbiBhbmQgd2hldGhlciBpdCBpcyBmaW5hbFxuICovXG5jb25zdCBtYXBTdGFja0ZyYW1lID0gKGZyYW1lKSA9PiB7XG4gIGNvbnN0IHNjcmlwdFVybCA9IGZyYW1lLnVybDtcbiAgY29uc3QgaXNGZXRjaGFibGUgPSAvXmh0dHBzPzpcXC9cXC8vaS50ZXN0KHNjcmlwdFVybCk7XG5cbiAgaWYgKGlzRmV0Y2hhYmxlICYmIHNvdXJjZU1hcHMuaGFzKHNjcmlwdFVybCkpIHtcbiAgICBjb25zdCBtYXAgPSBzb3VyY2VNYXBzLmdldChzY3JpcHRVcmwpO1xuICAgIGNvbnN0IG9yaWdpbmFsID0gbWFwICYmIG9yaWdpbmFsUG9zaXRpb25Gb3IobWFwLCBmcmFtZS5saW5lTnVtYmVyLCBmcmFtZS5jb2x1bW5OdW1iZXIpO1xuICAgIGlmIChvcmlnaW5hbCkge1xuICAgICAgcmV0dXJuIHsgc291cmNlOiBvcmlnaW5hbCwgaXNNYXBwZWQ6IHRydWUgfTtcbiAgICB9XG4gIH0gZWxzZSBpZiAoaXNGZXRjaGFibGUpIHtcbiAgICBwZW5kaW5nU2NyaXB0VXJscy5hZGQoc2NyaXB0VXJsKTtcbiAgfVxuXG4gIHJldHVybiB7XG4gICAgc291cmNlOiB7XG4gICAgICBmaWxlTmFtZTogdXJsVG9GaWxlTmFtZShmcmFtZS51cmwpLFxuICAgICAgbGluZU51bWJlcjogZnJhbWUubGluZU51bWJlcixcbiAgICAgIGNvbHVtbk51bWJlcjogZnJhbWUuY29sdW1uTnVtYmVyLFxuICAgIH0sXG4gICAgaXNNYXBwZWQ6ICFpc0ZldGNoYWJsZSB8fCBzb3VyY2VNYXBzLmhhcyhzY3JpcHRVcmwpLFxuICB9O1xufTtcblxuLyoqXG4gKiBSZXNvbHZlcyB0aGUgc291cmNlIGxvY2F0aW9uIGZyb20gYSBSZWFjdCAxOSBgX2RlYnVnU3RhY2tgXG4gKiBUaGUgZmlyc3QgZnJhbWUgb3V0c2lkZSBSZWFjdCBpbnRlcm5hbHMgaXMgdGhlIHJlbmRlciB0aGF0IGNyZWF0ZWQgdGhlIGVsZW1lbnQsXG4gKiB3aGljaCBpcyB3aGF0IGBfZGVidWdTb3VyY2VgIHVzZWQgdG8gZGVzY3JpYmVcbiAqIEBwYXJhbSB7RXJyb3J8c3RyaW5nfSBkZWJ1Z1N0YWNrIC0gRmliZXIgYF9kZWJ1Z1N0YWNrYFxuICogQHJldHVybnMge09iamVjdHxudWxsfSBTb3VyY2UgbG9jYXRpb24gb3IgbnVsbFxuICovXG5jb25zdCBnZXRTdGFja1NvdXJjZSA9IChkZWJ1Z1N0YWNrKSA9PiB7XG4gIGNvbnN0IGlzRXJyb3JPYmplY3QgPSB0eXBlb2YgZGVidWdTdGFjayA9PT0gJ29iamVjdCcgJiYgZGVidWdTdGFjayAhPT0gbnVsbDtcbiAgaWYgKGlzRXJyb3JPYmplY3QgJiYgc3RhY2tTb3VyY2VDYWNoZS5oYXMoZGVidWdTdGFjaykpIHtcbiAgICByZXR1cm4gc3RhY2tTb3VyY2VDYWNoZS5nZXQoZGVidWdTdGFjayk7XG4gIH1cblxuICBjb25zdCBmcmFtZXMgPSBwYXJzZVN0YWNrRnJhbWVzKGlzRXJyb3JPYmplY3QgPyBkZWJ1Z1N0YWNrLnN0YWNrIDogZGVidWdTdGFjayk7XG4gIGxldCByZXN1bHQgPSBudWxsO1xuICBsZXQgaXNGaW5hbCA9IHRydWU7XG5cbiAgZm9yIChjb25zdCBmcmFtZSBvZiBmcmFtZXMpIHtcbiAgICBpZiAoUkVBQ1RfSU5URVJOQUxfRlVOQ1RJT05TLmhhcyhmcmFtZS5mdW5jdGlvbk5hbWUpKSBjb250aW51ZTtcblxuICAgIGNvbnN0IHsgc291cmNlLCBpc01hcHBlZCB9ID0gbWFwU3RhY2tGcmFtZShmcmFtZSk7XG4gICAgaXNGaW5hbCA9IGlzRmluYWwgJiYgaXNNYXBwZWQ7XG5cbiAgICBpZiAoc291cmNlLmZpbGVOYW1lICYmICFSRUFDVF9JTlRFUk5BTF9GSUxFUy50ZXN0KHNvdXJjZS5maWxlTmFtZSkpIHtcbiAgICAgIHJlc3VsdCA9IHNvdXJjZTtcbiAgICAgIGJyZWFrO1xuICAgIH1cbiAgfVxuXG4gIGlmIChpc0Vycm9yT2JqZWN0ICYmIGlzRmluYWwpIHtcbiAgICBzdGFja1NvdXJjZUNhY2hlLnNldChkZWJ1Z1N0YWNrLCByZXN1bHQpO1xuICB9XG5cbiAgcmV0dXJuIHJlc3VsdDtcbn07XG5cbi8qKlxuICogR2V0cyB0aGUgc291cmNlIGxvY2F0aW9uIFJlYWN0IHJlY29yZGVkIGZvciBhIGZpYmVyXG4gKiBVc2VzIGBfZGVidWdTb3VyY2VgIChSZWFjdCA8PSAxOCkgYW5kIGZhbGxzIGJhY2sgdG8gYF9kZWJ1Z1N0YWNrYCAoUmVhY3QgMTkrKVxuICogQHBhcmFtIHtPYmplY3R9IGZpYmVyIC0gUmVhY3QgZmliZXIgbm9kZVxuICogQHJldHVybnMge09iamVjdHxudWxsfSBTb3VyY2UgbG9jYXRpb24gb3IgbnVsbCBpZiBub3QgYXZhaWxhYmxlXG4gKi9cbmV4cG9ydCBjb25zdCBnZXRGaWJlclNvdXJjZSA9IChmaWJlcikgPT4ge1xuICBjb25zdCBzb3VyY2UgPSBmaWJlcj8uX2RlYnVnU291cmNlO1xuICBpZiAoc291cmNlICYmIHNvdXJjZS5maWxlTmFtZSkge1xuICAgIHJldHVybiB7XG4gICAgICBmaWxlTmFtZTogc291cmNlLmZpbGVOYW1lLFxuICAgICAgbGluZU51bWJlcjogc291cmNlLmxpbmVOdW1iZXIgfHwgbnVsbCxcbiAgICAgIGNvbHVtbk51bWJlcjogc291cmNlLmNvbHVtbk51bWJlciB8fCBudWxsLFxuICAgIH07XG4gIH1cblxuICBpZiAoZmliZXI/Ll9kZWJ1Z1N0YWNrKSB7XG4gICAgdHJ5IHtcbiAgICAgIHJldHVybiBnZXRTdGFja1NvdXJjZShmaWJlci5fZGVidWdTdGFjayk7XG4gICAgfSBjYXRjaCB7XG4gICAgICByZXR1cm4gbnVsbDtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gbnVsbDtcbn07XG5cbi8qKlxuICogTG9hZHMgc291cmNlIG1hcHMgZm9yIHNjcmlwdHMgc2VlbiBpbiBzdGFjayBmcmFtZXMgc2luY2UgdGhlIGxhc3QgY2FsbFxuICogQWZ0ZXIgaXQgcmVzb2x2ZXMsIGdldEZpYmVyU291cmNlIHJldHVybnMgb3JpZ2luYWwgZmlsZSBwb3NpdGlvbnMgZm9yIHRob3NlIHNjcmlwdHNcbiAqIEByZXR1cm5zIHtQcm9taXNlPGJvb2xlYW4+fSBUcnVlIGlmIGFueSBuZXcgc291cmNlIG1hcCB3YXMgbG9hZGVkXG4gKi9cbmV4cG9ydCBjb25zdCBsb2FkUGVuZGluZ1NvdXJjZU1hcHMgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnN0IHNjcmlwdFVybHMgPSBbLi4ucGVuZGluZ1NjcmlwdFVybHNdLmZpbHRlcigodXJsKSA9PiAhc291cmNlTWFwcy5oYXModXJsKSk7XG4gIHBlbmRpbmdTY3JpcHRVcmxzLmNsZWFyKCk7XG5cbiAgaWYgKHNjcmlwdFVybHMubGVuZ3RoID09PSAwKSByZXR1cm4gZmFsc2U7XG5cbiAgY29uc3QgbWFwcyA9IGF3YWl0IFByb21pc2UuYWxsKHNjcmlwdFVybHMubWFwKCh1cmwpID0+IGxvYWRTb3VyY2VNYXAodXJsKSkpO1xuICBzY3JpcHRVcmxzLmZvckVhY2goKHVybCwgaW5kZXgpID0+IHNvdXJjZU1hcHMuc2V0KHVybCwgbWFwc1tpbmRleF0pKTtcblxuICByZXR1cm4gbWFwcy5zb21lKEJvb2xlYW4pO1xufTtcblxuLyoqXG4gKiBTZXJpYWxpemVzIGEgc291cmNlIGxvY2F0aW9uIHRvIHRoZSBgZmlsZTpsaW5lOmNvbHVtbmAgZm9ybWF0IHVzZWQgaW4gRE9NIGF0dHJpYnV0ZXNcbiAqIEBwYXJhbSB7T2JqZWN0fSBzb3VyY2UgLSBTb3VyY2UgbG9jYXRpb25cbiAqIEByZXR1cm5zIHtzdHJpbmd9IFNlcmlhbGl6ZWQgbG9jYXRpb24gb3IgZW1wdHkgc3RyaW5nXG4gKi9cbmV4cG9ydCBjb25zdCBmb3JtYXRTb3VyY2VMb2NhdGlvbiA9IChzb3VyY2UpID0+IHtcbiAgaWYgKCFzb3VyY2UgfHwgIXNvdXJjZS5maWxlTmFtZSkgcmV0dXJuICcnO1xuICByZXR1cm4gYCR7c291cmNlLmZpbGVOYW1lfToke3NvdXJjZS5saW5lTnVtYmVyIHx8ICcnfToke3NvdXJjZS5jb2x1bW5OdW1iZXIgfHwgJyd9YDtcbn07XG5cbi8qKlxuICogUGFyc2VzIGEgYGZpbGU6bGluZTpjb2x1bW5gIHN0cmluZyBiYWNrIHRvIGEgc291cmNlIGxvY2F0aW9uXG4gKiBMaW5lIGFuZCBjb2x1bW4gYXJlIG1hdGNoZWQgZnJvbSB0aGUgZW5kIHNvIFdpbmRvd3MgZHJpdmUgbGV0dGVycyBhcmUga2VwdCBpbiB0aGUgZmlsZSBuYW1lXG4gKiBAcGFyYW0ge3N0cmluZ30gdmFsdWUgLSBTZXJpYWxpemVkIGxvY2F0aW9uXG4gKiBAcmV0dXJucyB7T2JqZWN0fG51bGx9IFNvdXJjZSBsb2NhdGlvbiBvciBudWxsXG4gKi9cbmV4cG9ydCBjb25zdCBwYXJzZVNvdXJjZUxvY2F0aW9uID0gKHZhbHVlKSA9PiB7XG4gIGlmICghdmFsdWUpIHJldHVybiBudWxsO1xuXG4gIGNvbnN0IG1hdGNoID0gU3RyaW5nKHZhbHVlKS5tYXRjaCgvXiguKz8pOihcXGQqKTooXFxkKikkLyk7XG4gIGlmICghbWF0Y2gpIHtcbiAgICByZXR1cm4geyBmaWxlTmFtZTogU3RyaW5nKHZhbHVlKSwgbGluZU51bWJlcjogbnVsbCwgY29sdW1uTnVtYmVyOiBudWxsIH07XG4gIH1cblxuICByZXR1cm4ge1xuICAgIGZpbGVOYW1lOiBtYXRjaFsxXSxcbiAgICBsaW5lTnVtYmVyOiBtYXRjaFsyXSA/IHBhcnNlSW50KG1hdGNoWzJdLCAxMCkgOiBudWxsLFxuICAgIGNvbHVtbk51bWJlcjogbWF0Y2hbM10gPyBwYXJzZUludChtYXRjaFszXSwgMTApIDogbnVsbCxcbiAgfTtcbn07XG4iLCIvKipcbiAqIEVkaXRvciBVUkwgaGVscGVycyBzaGFyZWQgYnkgdGhlIFVJIGFuZCBjbGllbnQgYnVuZGxlc1xuICogSW5zdGVhZCBvZiB0aGUgc2VydmVyIGxhdW5jaGluZyBhbiBlZGl0b3IgcHJvY2VzcyAod2hpY2ggZmFpbHMgd2hlbiB0aGUgc2VydmVyIHJ1bnMgaW4gYVxuICogY29udGFpbmVyIG9yIG92ZXIgU1NIKSwgdGhlIGJyb3dzZXIgY2FuIG9wZW4gdGhlIHJlc29sdmVkIGZpbGUgdGhyb3VnaCBhbiBlZGl0b3IgVVJMIHNjaGVtZVxuICovXG5pbXBvcnQgeyBFRElUT1JfVVJMX1NDSEVNRVMgfSBmcm9tICcuL2NvbnN0YW50cy5qcyc7XG5cbmNvbnN0IEVESVRPUl9QUkVGRVJFTkNFX0tFWSA9ICd4cmF5LXJlYWN0OmVkaXRvcic7XG5cbi8vIFByZWZlcmVuY2UgdmFsdWUgZm9yIGxhdW5jaGluZyB0aGUgZWRpdG9yIG9uIHRoZSBzZXJ2ZXIgZXZlbiBpZiB0aGUgcHJvamVjdCBzZXRzIGEgVVJMIHNjaGVtZVxuZXhwb3J0IGNvbnN0IEVESVRPUl9QUkVGRVJFTkNFX1NFUlZFUiA9ICdzZXJ2ZXInO1xuXG4vKipcbiAqIEdldHMgdGhlIGVkaXRvciB0aGUgdXNlciBwaWNrZWQgaW4gdGhlIGFjdGlvbiBiYXJcbiAqIEByZXR1cm5zIHtzdHJpbmd9ICcnIChwcm9qZWN0IGRlZmF1bHQpLCAnc2VydmVyJyBvciBhbiBlZGl0b3IgVVJMIHNjaGVtZVxuICovXG5leHBvcnQgY29uc3QgZ2V0RWRpdG9yUHJlZmVyZW5jZSA9ICgpID0+IHtcbiAgdHJ5IHtcbiAgICByZXR1cm4gd2luZG93LmxvY2FsU3RvcmFnZS5nZXRJdGVtKEVESVRPUl9QUkVGRVJFTkNFX0tFWSkgfHwgJyc7XG4gIH0gY2F0Y2gge1xuICAgIHJldHVybiAnJzsgLy8gU3RvcmFnZSBkaXNhYmxlZCAoZS5nLiwgcHJpdmFjeSBzZXR0aW5ncylcbiAgfVxufTtcblxuLyoqXG4gKiBTdG9yZXMgdGhlIGVkaXRvciB0aGUgdXNlciBwaWNrZWQgaW4gdGhlIGFjdGlvbiBiYXJcbiAqIEBwYXJhbSB7c3RyaW5nfSBwcmVmZXJlbmNlIC0gJycgKHByb2plY3QgZGVmYXVsdCksICdzZXJ2ZXInIG9yIGFuIGVkaXRvciBVUkwgc2NoZW1lXG4gKi9cbmV4cG9ydCBjb25zdCBzZXRFZGl0b3JQcmVmZXJlbmNlID0gKHByZWZlcmVuY2UpID0+IHtcbiAgdHJ5IHtcbiAgICBpZiAocHJlZmVyZW5jZSkge1xuICAgICAgd2luZG93LmxvY2FsU3RvcmFnZS5zZXRJdGVtKEVESVRPUl9QUkVGRVJFTkNFX0tFWSwgcHJlZmVyZW5jZSk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHdpbmRvdy5sb2NhbFN0b3JhZ2UucmVtb3ZlSXRlbShFRElUT1JfUFJFRkVSRU5DRV9LRVkpO1xuICAgIH1cbiAgfSBjYXRjaCB7XG4gICAgLy8gU3RvcmFnZSBkaXNhYmxlZCwgdGhlIGNob2ljZSBvbmx5IGxhc3RzIGZvciB0aGlzIHBhZ2VcbiAgfVxufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBVUkwgc2NoZW1lIHRvIG9wZW4gZmlsZXMgd2l0aDogdGhlIHVzZXIncyBjaG9pY2UsIHRoZW4gdGhlIHByb2plY3QncyBlZGl0b3JVcmxcbiAqIEByZXR1cm5zIHtzdHJpbmd8bnVsbH0gRWRpdG9yIFVSTCBzY2hlbWUsIG9yIG51bGwgdG8gbGV0IHRoZSBzZXJ2ZXIgbGF1bmNoIHRoZSBlZGl0b3JcbiAqL1xuZXhwb3J0IGNvbnN0IGdldEVkaXRvclVybFNjaGVtZSA9ICgpID0+IHtcbiAgY29uc3QgcHJlZmVyZW5jZSA9IGdldEVkaXRvclByZWZlcmVuY2UoKTtcbiAgaWYgKHByZWZlcmVuY2UgPT09IEVESVRPUl9QUkVGRVJFTkNFX1NFUlZFUikge1xuICAgIHJldHVybiBudWxsO1xuICB9XG4gIGlmIChFRElUT1JfVVJMX1NDSEVNRVMuaW5jbHVkZXMocHJlZmVyZW5jZSkpIHtcbiAgICByZXR1cm4gcHJlZmVyZW5jZTtcbiAgfVxuXG4gIGNvbnN0IHByb2plY3RTY2hlbWUgPSB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyA/IHdpbmRvdy5fX1hSQVlfUkVBQ1RfRURJVE9SX1VSTF9fIDogbnVsbDtcbiAgcmV0dXJuIEVESVRPUl9VUkxfU0NIRU1FUy5pbmNsdWRlcyhwcm9qZWN0U2NoZW1lKSA/IHByb2plY3RTY2hlbWUgOiBudWxsO1xufTtcblxuLyoqXG4gKiBDb252ZXJ0cyBhIGZpbGUgcGF0aCB0byBhIFVSTCBwYXRoOiBmb3J3YXJkIHNsYXNoZXMgYW5kIGEgbGVhZGluZyBzbGFzaCAoQzpcXGFwcCAtPiAvQzovYXBwKVxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gRmlsZSBwYXRoXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBVUkwgcGF0aFxuICovXG5jb25zdCB0b1VybFBhdGggPSAoZmlsZVBhdGgpID0+IGZpbGVQYXRoLnJlcGxhY2UoL1xcXFwvZywgJy8nKS5yZXBsYWNlKC9eKD8hXFwvKS8sICcvJyk7XG5cbi8qKlxuICogQnVpbGRzIHRoZSBlZGl0b3IgVVJMIGZvciBhIGZpbGUgbG9jYXRpb25cbiAqIEBwYXJhbSB7c3RyaW5nfSBzY2hlbWUgLSBFZGl0b3IgVVJMIHNjaGVtZSAoJ3ZzY29kZScsICdjdXJzb3InLCAnaWRlYScsICdqZXRicmFpbnMnLCAnc3VibCcpXG4gKiBAcGFyYW0ge09iamVjdH0gbG9jYXRpb24gLSBGaWxlIGxvY2F0aW9uICh7IHBhdGgsIGxpbmUsIGNvbHVtbiB9LCAxLWJhc2VkIGxpbmUgYW5kIGNvbHVtbilcbiAqIEBwYXJhbSB7T2JqZWN0fSBvcHRpb25zIC0gVVJMIG9wdGlvbnNcbiAqIEBwYXJhbSB7c3RyaW5nfSBvcHRpb25zLnJlbW90ZSAtIFZTIENvZGUvQ3Vyc29yIHJlbW90ZSBhdXRob3JpdHkgKGUuZy4sICdkZXYtY29udGFpbmVyKzxpZD4nKVxuICogQHBhcmFtIHtzdHJpbmd9IG9wdGlvbnMucHJvamVjdFJvb3QgLSBQcm9qZWN0IHJvb3QgKEpldEJyYWlucyBUb29sYm94IG9wZW5zIHByb2plY3QtcmVsYXRpdmUgcGF0aHMpXG4gKiBAcmV0dXJucyB7c3RyaW5nfG51bGx9IEVkaXRvciBVUkwgb3IgbnVsbCBmb3IgdW5rbm93biBzY2hlbWVzXG4gKi9cbmV4cG9ydCBjb25zdCBidWlsZEVkaXRvclVybCA9IChzY2hlbWUsIGxvY2F0aW9uLCBvcHRpb25zID0ge30pID0+IHtcbiAgY29uc3QgZmlsZVBhdGggPSB0b1VybFBhdGgobG9jYXRpb24ucGF0aCk7XG4gIGNvbnN0IGxpbmUgPSBsb2NhdGlvbi5saW5lIHx8IDE7XG4gIGNvbnN0IGNvbHVtbiA9IGxvY2F0aW9uLmNvbHVtbiB8fCAxO1xuXG4gIHN3aXRjaCAoc2NoZW1lKSB7XG4gICAgY2FzZSAndnNjb2RlJzpcbiAgICBjYXNlICdjdXJzb3InOiB7XG4gICAgICBjb25zdCB0YXJnZXQgPSBvcHRpb25zLnJlbW90ZVxuICAgICAgICA/IGB2c2NvZGUtcmVtb3RlLyR7b3B0aW9ucy5yZW1vdGV9JHtmaWxlUGF0aH1gXG4gICAgICAgIDogYGZpbGUke2ZpbGVQYXRofWA7XG4gICAgICByZXR1cm4gYCR7c2NoZW1lfTovLyR7ZW5jb2RlVVJJKHRhcmdldCl9OiR7bGluZX06JHtjb2x1bW59YDtcbiAgICB9XG4gICAgY2FzZSAnaWRlYSc6XG4gICAgICByZXR1cm4gYGlkZWE6Ly9vcGVuP2ZpbGU9JHtlbmNvZGVVUklDb21wb25lbnQobG9jYXRpb24ucGF0aCl9JmxpbmU9JHtsaW5lfSZjb2x1bW49JHtjb2x1bW59YDtcbiAgICBjYXNlICdqZXRicmFpbnMnOiB7XG4gICAgICBjb25zdCByb290ID0gdG9VcmxQYXRoKG9wdGlvbnMucHJvamVjdFJvb3QgfHwgJycpLnJlcGxhY2UoL1xcLyskLywgJycpO1xuICAgICAgY29uc3QgcHJvamVjdCA9IHJvb3Quc3BsaXQoJy8nKS5wb3AoKTtcbiAgICAgIGNvbnN0IHJlbGF0aXZlUGF0aCA9XG4gICAgICAgIHJvb3QgJiYgZmlsZVBhdGguc3RhcnRzV2l0aChgJHtyb290fS9gKSA/IGZpbGVQYXRoLnNsaWNlKHJvb3QubGVuZ3RoICsgMSkgOiBmaWxlUGF0aDtcbiAgICAgIC8vIFRvb2xib3ggbmF2aWdhdGVzIHRvIDAtYmFzZWQgcG9zaXRpb25zXG4gICAgICByZXR1cm4gYGpldGJyYWluczovL2lkZWEvbmF2aWdhdGUvcmVmZXJlbmNlP3Byb2plY3Q9JHtlbmNvZGVVUklDb21wb25lbnQocHJvamVjdCl9JnBhdGg9JHtlbmNvZGVVUklDb21wb25lbnQoYCR7cmVsYXRpdmVQYXRofToke2xpbmUgLSAxfToke2NvbHVtbiAtIDF9YCl9YDtcbiAgICB9XG4gICAgY2FzZSAnc3VibCc6XG4gICAgICByZXR1cm4gYHN1Ymw6Ly9vcGVuP3VybD0ke2VuY29kZVVSSUNvbXBvbmVudChgZmlsZTovLyR7ZmlsZVBhdGh9YCl9JmxpbmU9JHtsaW5lfSZjb2x1bW49JHtjb2x1bW59YDtcbiAgICBkZWZhdWx0OlxuICAgICAgcmV0dXJuIG51bGw7XG4gIH1cbn07XG5cbi8qKlxuICogT3BlbnMgYW4gZWRpdG9yIFVSTDsgdGhlIGJyb3dzZXIgaGFuZHMgY3VzdG9tIHNjaGVtZXMgdG8gdGhlIE9TIHdpdGhvdXQgbGVhdmluZyB0aGUgcGFnZVxuICogQHBhcmFtIHtzdHJpbmd9IHVybCAtIEVkaXRvciBVUkxcbiAqL1xuZXhwb3J0IGNvbnN0IG9wZW5FZGl0b3JVcmwgPSAodXJsKSA9PiB7XG4gIHdpbmRvdy5sb2NhdGlvbi5ocmVmID0gdXJsO1xufTtcbiIsIi8qKlxuICogRmVlZGJhY2sgZm9yIG9wZW5pbmcgYSBjbGlja2VkIGNvbXBvbmVudCwgc2hvd24gaW4gdGhlIGFjdGlvbiBiYXJcbiAqIFRoZSBzZXJ2ZXIgYWNrbm93bGVkZ2VzIGVhY2ggY2xpY2sgd2l0aCBhIHN0YXR1czsgYW1iaWd1b3VzIGNvbXBvbmVudHMgZ2V0IGEgcGlja2VyLCBjb21wb25lbnRzXG4gKiB3aXRob3V0IGEgZmlsZSBhIHRvYXN0LiBQaWNrZWQgZmlsZXMgYXJlIHJlbWVtYmVyZWQgcGVyIGNvbXBvbmVudCBwYXRoIGZvciB0aGUgYnJvd3NlciBzZXNzaW9uLlxuICovXG5cbmNvbnN0IENIT0lDRVNfS0VZID0gJ3hyYXktcmVhY3Q6Y2hvaWNlcyc7XG5jb25zdCBUT0FTVF9EVVJBVElPTiA9IDQwMDA7XG5cbmNvbnN0IHNlc3Npb25DaG9pY2VzID0gbmV3IE1hcCgpOyAvLyBGYWxsYmFjayB3aGVuIHNlc3Npb25TdG9yYWdlIGlzIHVuYXZhaWxhYmxlXG5sZXQgaGlkZVRpbWVyID0gbnVsbDtcblxuLyoqXG4gKiBSZWFkcyB0aGUgcmVtZW1iZXJlZCBwaWNrc1xuICogQHJldHVybnMge09iamVjdH0gQ29tcG9uZW50IHBhdGggLT4gcGlja2VkIGZpbGUgKGVkaXRvciBwYXRoKVxuICovXG5jb25zdCByZWFkQ2hvaWNlcyA9ICgpID0+IHtcbiAgdHJ5IHtcbiAgICByZXR1cm4gSlNPTi5wYXJzZSh3aW5kb3cuc2Vzc2lvblN0b3JhZ2UuZ2V0SXRlbShDSE9JQ0VTX0tFWSkpIHx8IHt9O1xuICB9IGNhdGNoIHtcbiAgICByZXR1cm4gT2JqZWN0LmZyb21FbnRyaWVzKHNlc3Npb25DaG9pY2VzKTsgLy8gU3RvcmFnZSBkaXNhYmxlZCAoZS5nLiwgcHJpdmFjeSBzZXR0aW5ncylcbiAgfVxufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBmaWxlIHRoZSB1c2VyIHBpY2tlZCBmb3IgYSBjb21wb25lbnQgcGF0aCBpbiB0aGlzIHNlc3Npb25cbiAqIEBwYXJhbSB7c3RyaW5nfSBjb21wb25lbnRQYXRoIC0gQ29tcG9uZW50IHBhdGggKGUuZy4sICdBcHAgLT4gTGF5b3V0IC0+IEhlYWRlcicpXG4gKiBAcmV0dXJucyB7c3RyaW5nfG51bGx9IFBpY2tlZCBmaWxlIChlZGl0b3IgcGF0aCkgb3IgbnVsbFxuICovXG5leHBvcnQgY29uc3QgZ2V0UmVtZW1iZXJlZENob2ljZSA9IChjb21wb25lbnRQYXRoKSA9PiByZWFkQ2hvaWNlcygpW2NvbXBvbmVudFBhdGhdIHx8IG51bGw7XG5cbi8qKlxuICogUmVtZW1iZXJzIHRoZSBmaWxlIHRoZSB1c2VyIHBpY2tlZCBmb3IgYSBjb21wb25lbnQgcGF0aCBmb3IgdGhlIHJlc3Qgb2YgdGhlIHNlc3Npb25cbiAqIEBwYXJhbSB7c3RyaW5nfSBjb21wb25lbnRQYXRoIC0gQ29tcG9uZW50IHBhdGhcbiAqIEBwYXJhbSB7c3RyaW5nfSBmaWxlUGF0aCAtIFBpY2tlZCBmaWxlIChlZGl0b3IgcGF0aClcbiAqL1xuZXhwb3J0IGNvbnN0IHJlbWVtYmVyQ2hvaWNlID0gKGNvbXBvbmVudFBhdGgsIGZpbGVQYXRoKSA9PiB7XG4gIHNlc3Npb25DaG9pY2VzLnNldChjb21wb25lbnRQYXRoLCBmaWxlUGF0aCk7XG4gIHRyeSB7XG4gICAgd2luZG93LnNlc3Npb25TdG9yYWdlLnNldEl0ZW0oXG4gICAgICBDSE9JQ0VTX0tFWSxcbiAgICAgIEpTT04uc3RyaW5naWZ5KHsgLi4ucmVhZENob2ljZXMoKSwgW2NvbXBvbmVudFBhdGhdOiBmaWxlUGF0aCB9KSxcbiAgICApO1xuICB9IGNhdGNoIHtcbiAgICAvLyBTdG9yYWdlIGRpc2FibGVkLCB0aGUgcGljayBvbmx5IGxhc3RzIGZvciB0aGlzIHBhZ2VcbiAgfVxufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBub3RpY2UgZWxlbWVudCBvZiB0aGUgYWN0aW9uIGJhclxuICogQHJldHVybnMge0hUTUxFbGVtZW50fG51bGx9IE5vdGljZSBlbGVtZW50LCBvciBudWxsIHdoaWxlIHRoZSBvdmVybGF5IGlzIG9mZlxuICovXG5jb25zdCBnZXROb3RpY2UgPSAoKSA9PiBkb2N1bWVudC5xdWVyeVNlbGVjdG9yKCcueHJheS1yZWFjdC1hY3Rpb24tYmFyIC54cmF5LXJlYWN0LW5vdGljZScpO1xuXG4vKipcbiAqIEhpZGVzIHRoZSB0b2FzdCBvciBwaWNrZXJcbiAqL1xuZXhwb3J0IGNvbnN0IGhpZGVOb3RpY2UgPSAoKSA9PiB7XG4gIGNsZWFyVGltZW91dChoaWRlVGltZXIpO1xuICBjb25zdCBub3RpY2UgPSBnZXROb3RpY2UoKTtcbiAgaWYgKG5vdGljZSkge1xuICAgIG5vdGljZS5oaWRkZW4gPSB0cnVlO1xuICAgIG5vdGljZS5yZXBsYWNlQ2hpbGRyZW4oKTtcbiAgfVxufTtcblxuLyoqXG4gKiBTaG93cyBhIG1lc3NhZ2UgaW4gdGhlIGFjdGlvbiBiYXIgZm9yIGEgZmV3IHNlY29uZHNcbiAqIEBwYXJhbSB7c3RyaW5nfSBtZXNzYWdlIC0gTWVzc2FnZVxuICovXG5leHBvcnQgY29uc3Qgc2hvd1RvYXN0ID0gKG1lc3NhZ2UpID0+IHtcbiAgY29uc3Qgbm90aWNlID0gZ2V0Tm90aWNlKCk7XG4gIGlmICghbm90aWNlKSB7XG4gICAgY29uc29sZS53YXJuKGB4cmF5LXJlYWN0OiAke21lc3NhZ2V9YCk7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgaGlkZU5vdGljZSgpO1xuICBjb25zdCB0ZXh0ID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgnc3BhbicpO1xuICB0ZXh0LmNsYXNzTmFtZSA9ICd4cmF5LXJlYWN0LW5vdGljZS1tZXNzYWdlJztcbiAgdGV4dC50ZXh0Q29udGVudCA9IG1lc3NhZ2U7XG4gIG5vdGljZS5hcHBlbmQodGV4dCk7XG4gIG5vdGljZS5oaWRkZW4gPSBmYWxzZTtcbiAgaGlkZVRpbWVyID0gc2V0VGltZW91dChoaWRlTm90aWNlLCBUT0FTVF9EVVJBVElPTik7XG59O1xuXG4vKipcbiAqIEZvcm1hdHMgYSBmaWxlIHBhdGggcmVsYXRpdmUgdG8gdGhlIHByb2plY3Qgcm9vdCBmb3IgZGlzcGxheVxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gRmlsZSBwYXRoXG4gKiBAcGFyYW0ge3N0cmluZ3xudWxsfSBwcm9qZWN0Um9vdCAtIFByb2plY3Qgcm9vdCBhcyB0aGUgZWRpdG9yIHNlZXMgaXRcbiAqIEByZXR1cm5zIHtzdHJpbmd9IERpc3BsYXkgcGF0aFxuICovXG5jb25zdCBmb3JtYXRQYXRoID0gKGZpbGVQYXRoLCBwcm9qZWN0Um9vdCkgPT4ge1xuICBjb25zdCByb290ID0gcHJvamVjdFJvb3QgPyBwcm9qZWN0Um9vdC5yZXBsYWNlKC9bL1xcXFxdKyQvLCAnJykgOiBudWxsO1xuICBpZiAocm9vdCAmJiAoZmlsZVBhdGguc3RhcnRzV2l0aChgJHtyb290fS9gKSB8fCBmaWxlUGF0aC5zdGFydHNXaXRoKGAke3Jvb3R9XFxcXGApKSkge1xuICAgIHJldHVybiBmaWxlUGF0aC5zbGljZShyb290Lmxlbmd0aCArIDEpO1xuICB9XG4gIHJldHVybiBmaWxlUGF0aDtcbn07XG5cbi8qKlxuICogU2hvd3MgYSBwaWNrZXIgZm9yIGEgY29tcG9uZW50IHRoYXQgbWF0Y2hlcyBzZXZlcmFsIGZpbGVzXG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50UGF0aCAtIENvbXBvbmVudCBwYXRoIHRoZSBjYW5kaWRhdGVzIHdlcmUgcmVzb2x2ZWQgZm9yXG4gKiBAcGFyYW0ge0FycmF5PE9iamVjdD59IGNhbmRpZGF0ZXMgLSBDYW5kaWRhdGVzICh7IHBhdGgsIGxpbmUsIGNvbnRleHQgfSlcbiAqIEBwYXJhbSB7T2JqZWN0fSBvcHRpb25zIC0gUGlja2VyIG9wdGlvbnNcbiAqIEBwYXJhbSB7c3RyaW5nfG51bGx9IG9wdGlvbnMucHJvamVjdFJvb3QgLSBQcm9qZWN0IHJvb3QgZm9yIHNob3J0ZXIgcGF0aHNcbiAqIEBwYXJhbSB7RnVuY3Rpb259IG9wdGlvbnMub25QaWNrIC0gQ2FsbGVkIHdpdGggdGhlIHBpY2tlZCBjYW5kaWRhdGVcbiAqL1xuZXhwb3J0IGNvbnN0IHNob3dDYW5kaWRhdGVQaWNrZXIgPSAoY29tcG9uZW50UGF0aCwgY2FuZGlkYXRlcywgeyBwcm9qZWN0Um9vdCwgb25QaWNrIH0pID0+IHtcbiAgY29uc3Qgbm90aWNlID0gZ2V0Tm90aWNlKCk7XG4gIGlmICghbm90aWNlKSB7XG4gICAgY29uc29sZS53YXJuKFxuICAgICAgYHhyYXktcmVhY3Q6ICR7Y29tcG9uZW50UGF0aH0gbWF0Y2hlcyBzZXZlcmFsIGZpbGVzOmAsXG4gICAgICBjYW5kaWRhdGVzLm1hcCgoeyBwYXRoIH0pID0+IHBhdGgpLFxuICAgICk7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgaGlkZU5vdGljZSgpO1xuICBjb25zdCBjb21wb25lbnROYW1lID0gY29tcG9uZW50UGF0aC5zcGxpdCgnIC0+ICcpLnBvcCgpO1xuICBjb25zdCB0aXRsZSA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ3NwYW4nKTtcbiAgdGl0bGUuY2xhc3NOYW1lID0gJ3hyYXktcmVhY3Qtbm90aWNlLW1lc3NhZ2UnO1xuICB0aXRsZS50ZXh0Q29udGVudCA9IGBTZXZlcmFsIGZpbGVzIGRlY2xhcmUgJHtjb21wb25lbnROYW1lfSwgcGljayBvbmU6YDtcbiAgbm90aWNlLmFwcGVuZCh0aXRsZSk7XG5cbiAgY2FuZGlkYXRlcy5mb3JFYWNoKChjYW5kaWRhdGUpID0+IHtcbiAgICBjb25zdCBidXR0b24gPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdidXR0b24nKTtcbiAgICBidXR0b24udHlwZSA9ICdidXR0b24nO1xuICAgIGJ1dHRvbi5jbGFzc05hbWUgPSAneHJheS1yZWFjdC1jYW5kaWRhdGUnO1xuICAgIGNvbnN0IGxvY2F0aW9uID0gY2FuZGlkYXRlLmxpbmUgPyBgOiR7Y2FuZGlkYXRlLmxpbmV9YCA6ICcnO1xuICAgIGJ1dHRvbi50ZXh0Q29udGVudCA9IGAke2Zvcm1hdFBhdGgoY2FuZGlkYXRlLnBhdGgsIHByb2plY3RSb290KX0ke2xvY2F0aW9ufWA7XG4gICAgaWYgKGNhbmRpZGF0ZS5jb250ZXh0ICYmIGNhbmRpZGF0ZS5jb250ZXh0Lmxlbmd0aCA+IDApIHtcbiAgICAgIGJ1dHRvbi50aXRsZSA9IGBDb250ZXh0OiAke2NhbmRpZGF0ZS5jb250ZXh0LmpvaW4oJywgJyl9YDtcbiAgICB9XG4gICAgYnV0dG9uLmFkZEV2ZW50TGlzdGVuZXIoJ2NsaWNrJywgKCkgPT4ge1xuICAgICAgaGlkZU5vdGljZSgpO1xuICAgICAgb25QaWNrKGNhbmRpZGF0ZSk7XG4gICAgfSk7XG4gICAgbm90aWNlLmFwcGVuZChidXR0b24pO1xuICB9KTtcblxuICBjb25zdCBjbG9zZSA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ2J1dHRvbicpO1xuICBjbG9zZS50eXBlID0gJ2J1dHRvbic7XG4gIGNsb3NlLmNsYXNzTmFtZSA9ICd4cmF5LXJlYWN0LW5vdGljZS1jbG9zZSc7XG4gIGNsb3NlLnNldEF0dHJpYnV0ZSgnYXJpYS1sYWJlbCcsICdDbG9zZScpO1xuICBjbG9zZS50ZXh0Q29udGVudCA9ICfDlyc7XG4gIGNsb3NlLmFkZEV2ZW50TGlzdGVuZXIoJ2NsaWNrJywgaGlkZU5vdGljZSk7XG4gIG5vdGljZS5hcHBlbmQoY2xvc2UpO1xuICBub3RpY2UuaGlkZGVuID0gZmFsc2U7XG59O1xuIiwiLyoqXG4gKiBTZXJ2ZXItc2lkZSBjb25zdGFudHMgZm9yIHhyYXktcmVhY3RcbiAqIFNoYXJlZCBhY3Jvc3Mgc2VydmVyLmpzIGFuZCBhbGwgYnVuZGxlciBwbHVnaW5zXG4gKi9cblxuZXhwb3J0IGNvbnN0IFJFQUNUX0ZJTEVfRVhUUyA9IFsnLmpzeCcsICcuanMnLCAnLnRzeCcsICcudHMnXTtcblxuZXhwb3J0IGNvbnN0IFVJX01PREVfRlVMTCA9ICdmdWxsJztcbmV4cG9ydCBjb25zdCBVSV9NT0RFX1NJTVBMRSA9ICdzaW1wbGUnO1xuZXhwb3J0IGNvbnN0IEFWQUlMQUJMRV9VSV9NT0RFUyA9IFtVSV9NT0RFX0ZVTEwsIFVJX01PREVfU0lNUExFXTtcblxuLy8gRWRpdG9yIFVSTCBzY2hlbWVzIHRoZSBicm93c2VyIGNhbiBvcGVuIGZpbGVzIHdpdGggaW5zdGVhZCBvZiB0aGUgc2VydmVyIGxhdW5jaGluZyBhbiBlZGl0b3JcbmV4cG9ydCBjb25zdCBFRElUT1JfVVJMX1NDSEVNRVMgPSBbJ3ZzY29kZScsICdjdXJzb3InLCAnaWRlYScsICdqZXRicmFpbnMnLCAnc3VibCddO1xuXG4vLyBTdGF0dXNlcyBvZiB0aGUgYHhyYXktcmVhY3QtY29tcG9uZW50YCBhY2tub3dsZWRnZW1lbnRcbmV4cG9ydCBjb25zdCBPUEVOX1NUQVRVU19PUEVORUQgPSAnb3BlbmVkJztcbmV4cG9ydCBjb25zdCBPUEVOX1NUQVRVU19OT1RfRk9VTkQgPSAnbm90LWZvdW5kJztcbmV4cG9ydCBjb25zdCBPUEVOX1NUQVRVU19BTUJJR1VPVVMgPSAnYW1iaWd1b3VzJztcbmV4cG9ydCBjb25zdCBPUEVOX1NUQVRVU19GQUlMRUQgPSAnZmFpbGVkJztcblxuLy8gSG93IHRoZSBjbGllbnQgdGFsa3MgdG8gdGhlIHNlcnZlcjogaXRzIG93biBTb2NrZXQuSU8gcG9ydCwgdGhlIFdlYlNvY2tldCBvZiBWaXRlJ3MgZGV2XG4vLyBzZXJ2ZXIsIG9yIGFuIGV2ZW50IHN0cmVhbSBtb3VudGVkIG9uIHdlYnBhY2stZGV2LXNlcnZlci4gRXZlbnRzIG9uIHRoZSBkZXYgc2VydmVycyBhcmVcbi8vIHByZWZpeGVkOyBhY2tub3dsZWRnZW1lbnRzIGNvbWUgYmFjayBhcyBzZXBhcmF0ZSBldmVudHMgKFZpdGUpIG9yIHJlc3BvbnNlcyAoZXZlbnQgc3RyZWFtKS5cbmV4cG9ydCBjb25zdCBUUkFOU1BPUlRfU09DS0VUX0lPID0gJ3NvY2tldC5pbyc7XG5leHBvcnQgY29uc3QgVFJBTlNQT1JUX1ZJVEUgPSAndml0ZSc7XG5leHBvcnQgY29uc3QgVFJBTlNQT1JUX0RFVl9TRVJWRVIgPSAnZGV2LXNlcnZlcic7XG5leHBvcnQgY29uc3QgQVZBSUxBQkxFX1RSQU5TUE9SVFMgPSBbVFJBTlNQT1JUX1NPQ0tFVF9JTywgVFJBTlNQT1JUX1ZJVEUsIFRSQU5TUE9SVF9ERVZfU0VSVkVSXTtcbmV4cG9ydCBjb25zdCBIT1RfRVZFTlRfUFJFRklYID0gJ3hyYXktcmVhY3Q6JztcbmV4cG9ydCBjb25zdCBIT1RfQ09OTkVDVF9FVkVOVCA9IGAke0hPVF9FVkVOVF9QUkVGSVh9Y29ubmVjdGA7XG5leHBvcnQgY29uc3QgSE9UX0FDS19FVkVOVCA9IGAke0hPVF9FVkVOVF9QUkVGSVh9YWNrYDtcbi8vIFJvdXRlcyBvZiB0aGUgZXZlbnQgc3RyZWFtIHRyYW5zcG9ydDogR0VUIGAke3BhdGh9L2V2ZW50c2AsIFBPU1QgYCR7cGF0aH0vZXZlbnRzLzxldmVudD5gXG5leHBvcnQgY29uc3QgRVZFTlRfU1RSRUFNX1BBVEggPSAnL19feHJheS1yZWFjdCc7XG5leHBvcnQgY29uc3QgRVZFTlRfU1RSRUFNX1RPS0VOX0hFQURFUiA9ICd4LXhyYXktcmVhY3QtdG9rZW4nO1xuXG4vLyBTdG9yeWJvb2sgc3RvcnkgZmlsZXMgKENTRilcbmV4cG9ydCBjb25zdCBTVE9SWV9GSUxFX1BBVFRFUk4gPSAvXFwuc3Rvcmllc1xcLih0c3xqc3x0c3h8anN4fG1qcykkL2k7XG5cbi8vIEF0dHJpYnV0ZXMgc3RhbXBlZCBvbiBob3N0IEpTWCBlbGVtZW50cyBieSB0aGUgYnVpbGQtdGltZSBzb3VyY2UgdHJhbnNmb3JtXG5leHBvcnQgY29uc3QgWFJBWV9TT1VSQ0VfQVRUUiA9ICdkYXRhLXhyYXktc291cmNlJztcbmV4cG9ydCBjb25zdCBYUkFZX0NPTVBPTkVOVF9BVFRSID0gJ2RhdGEteHJheS1jb21wb25lbnQnO1xuXG4vLyBEaXJlY3RvcmllcyBuZXZlciBzY2FubmVkIG9yIHdhdGNoZWQgKG1pcnJvcnMgRVhURVJOQUxfUEFUVEVSTlMgaW4gc3JjL3VpLXV0aWxzLmpzKVxuZXhwb3J0IGNvbnN0IElHTk9SRURfRElSUyA9IFtcbiAgJ25vZGVfbW9kdWxlcycsXG4gICcubmV4dCcsXG4gICdkaXN0JyxcbiAgJ2J1aWxkJyxcbiAgJy5naXQnLFxuICAnLmNhY2hlJyxcbiAgJ2NvdmVyYWdlJyxcbl07XG5cbmV4cG9ydCBjb25zdCBFWENMVURFRF9GSUxFX1BBVFRFUk5TID0gW1xuICAvXFwuc3R5bGVzXFwuKHRzfGpzfHRzeHxqc3gpJC9pLFxuICAvXFwuc3R5bGVcXC4odHN8anN8dHN4fGpzeCkkL2ksXG4gIC9cXC5zdHlsXFwuKHRzfGpzfHRzeHxqc3gpJC9pLFxuICAvXFwuY3NzXFwuKHRzfGpzfHRzeHxqc3gpJC9pLFxuICAvXFwudGVzdFxcLih0c3xqc3x0c3h8anN4KSQvaSxcbiAgL1xcLnNwZWNcXC4odHN8anN8dHN4fGpzeCkkL2ksXG4gIC9cXC5kXFwudHMkL2ksIC8vIFR5cGVTY3JpcHQgZGVjbGFyYXRpb24gZmlsZXNcbl07XG5cbmV4cG9ydCBjb25zdCBIVE1MX0VMRU1FTlRTID0gW1xuICAnZGl2JyxcbiAgJ3NwYW4nLFxuICAnZm9ybScsXG4gICdidXR0b24nLFxuICAnaW5wdXQnLFxuICAnYScsXG4gICdpbWcnLFxuICAncCcsXG4gICdoMScsXG4gICdoMicsXG4gICdoMycsXG4gICdoNCcsXG4gICdoNScsXG4gICdoNicsXG4gICd1bCcsXG4gICdsaScsXG4gICdvbCcsXG4gICd0YWJsZScsXG4gICd0cicsXG4gICd0ZCcsXG4gICd0aCcsXG4gICd0aGVhZCcsXG4gICd0Ym9keScsXG4gICdzZWN0aW9uJyxcbiAgJ2FydGljbGUnLFxuICAnaGVhZGVyJyxcbiAgJ2Zvb3RlcicsXG4gICduYXYnLFxuICAnbWFpbicsXG4gICdhc2lkZScsXG4gICdicicsXG4gICdocicsXG4gICdzdHJvbmcnLFxuICAnZW0nLFxuICAnYicsXG4gICdpJyxcbiAgJ3UnLFxuICAnbGFiZWwnLFxuICAnc2VsZWN0JyxcbiAgJ29wdGlvbicsXG4gICd0ZXh0YXJlYScsXG4gICdmaWVsZHNldCcsXG4gICdsZWdlbmQnLFxuICAnY2FudmFzJyxcbiAgJ3N2ZycsXG4gICdwYXRoJyxcbiAgJ2NpcmNsZScsXG4gICdyZWN0JyxcbiAgJ2xpbmUnLFxuXTtcblxuZXhwb3J0IGNvbnN0IEpTX0tFWVdPUkRTID0gW1xuICAnZnVuY3Rpb24nLFxuICAnY29uc3QnLFxuICAnbGV0JyxcbiAgJ3ZhcicsXG4gICdjbGFzcycsXG4gICdpbnRlcmZhY2UnLFxuICAndHlwZScsXG4gICdlbnVtJyxcbiAgJ2V4cG9ydCcsXG4gICdpbXBvcnQnLFxuICAnZGVmYXVsdCcsXG4gICdyZXR1cm4nLFxuICAnaWYnLFxuICAnZWxzZScsXG4gICdmb3InLFxuICAnd2hpbGUnLFxuICAnc3dpdGNoJyxcbiAgJ2Nhc2UnLFxuICAnYnJlYWsnLFxuICAnY29udGludWUnLFxuICAndHJ5JyxcbiAgJ2NhdGNoJyxcbiAgJ2ZpbmFsbHknLFxuICAndGhyb3cnLFxuICAnbmV3JyxcbiAgJ3RoaXMnLFxuICAnc3VwZXInLFxuICAnZXh0ZW5kcycsXG4gICdpbXBsZW1lbnRzJyxcbiAgJ3N0YXRpYycsXG4gICdhc3luYycsXG4gICdhd2FpdCcsXG4gICdwcm9taXNlJyxcbiAgJ2FycmF5JyxcbiAgJ29iamVjdCcsXG4gICdzdHJpbmcnLFxuICAnbnVtYmVyJyxcbiAgJ2Jvb2xlYW4nLFxuICAnbnVsbCcsXG4gICd1bmRlZmluZWQnLFxuICAndm9pZCcsXG5dO1xuXG5leHBvcnQgY29uc3QgQ09NTU9OX1NPVVJDRV9ESVJTID0gW1xuICAvLyBQcm9qZWN0IHN0cnVjdHVyZVxuICAnc3JjJyxcbiAgJ2FwcCcsXG4gICdsaWInLFxuICAndXRpbHMnLFxuICAvLyBBdG9taWMvVUkgY29tcG9uZW50c1xuICAnYXRvbXMnLFxuICAndWknLFxuICAvLyBTaGFyZWQvY29tbW9uIGNvbXBvbmVudHNcbiAgJ2NvbW1vbicsXG4gICdzaGFyZWQnLFxuICAvLyBDb21wb25lbnQgb3JnYW5pemF0aW9uXG4gICdjb21wb25lbnRzJyxcbiAgJ3NlY3Rpb25zJyxcbiAgJ2Zvcm1zJyxcbiAgJ2NvbnRhaW5lcnMnLFxuICAvLyBMYXlvdXRzIGFuZCB0ZW1wbGF0ZXNcbiAgJ2xheW91dHMnLFxuICAndGVtcGxhdGVzJyxcbiAgLy8gVmlld3MgYW5kIHBhZ2VzXG4gICd2aWV3cycsXG4gICdzY3JlZW5zJyxcbiAgJ3BhZ2VzJyxcbl07XG4iLCJpbXBvcnQgKiBhcyBjb25zdGFudHMgZnJvbSAnLi4vc3JjL2NvbnN0YW50cy5qcyc7XG5pbXBvcnQgeyBwYXJzZVNvdXJjZUxvY2F0aW9uIH0gZnJvbSAnLi4vc3JjL3NvdXJjZS1sb2NhdGlvbi5qcyc7XG5pbXBvcnQgeyBnZXRFZGl0b3JVcmxTY2hlbWUsIGJ1aWxkRWRpdG9yVXJsLCBvcGVuRWRpdG9yVXJsIH0gZnJvbSAnLi4vc3JjL2VkaXRvci11cmwuanMnO1xuaW1wb3J0IHtcbiAgZ2V0UmVtZW1iZXJlZENob2ljZSxcbiAgcmVtZW1iZXJDaG9pY2UsXG4gIGhpZGVOb3RpY2UsXG4gIHNob3dUb2FzdCxcbiAgc2hvd0NhbmRpZGF0ZVBpY2tlcixcbn0gZnJvbSAnLi4vc3JjL29wZW4tcmVzdWx0LmpzJztcbmltcG9ydCB7XG4gIFVJX01PREVfRlVMTCxcbiAgQVZBSUxBQkxFX1VJX01PREVTLFxuICBPUEVOX1NUQVRVU19BTUJJR1VPVVMsXG4gIE9QRU5fU1RBVFVTX05PVF9GT1VORCxcbiAgT1BFTl9TVEFUVVNfRkFJTEVELFxuICBUUkFOU1BPUlRfVklURSxcbiAgVFJBTlNQT1JUX0RFVl9TRVJWRVIsXG4gIEhPVF9FVkVOVF9QUkVGSVgsXG4gIEhPVF9DT05ORUNUX0VWRU5ULFxuICBIT1RfQUNLX0VWRU5ULFxuICBFVkVOVF9TVFJFQU1fUEFUSCxcbiAgRVZFTlRfU1RSRUFNX1RPS0VOX0hFQURFUixcbn0gZnJvbSAnLi4vbGliL2NvbnN0YW50cy5qcyc7XG5cbmNvbnN0IGdldElPQ29ubmVjdFVSTCA9ICgpID0+IHtcbiAgY29uc3QgcG9ydCA9ICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cuX19YUkFZX1JFQUNUX1BPUlRfXykgfHwgODEyNDtcbiAgcmV0dXJuIGBodHRwOi8vMTI3LjAuMC4xOiR7cG9ydH1gO1xufTtcblxuLy8gUGVyLXNlc3Npb24gdG9rZW4gaW5qZWN0ZWQgYnkgdGhlIGJ1bmRsZXIgcGx1Z2luIG5leHQgdG8gdGhlIHBvcnRcbmNvbnN0IGdldElPQXV0aCA9ICgpID0+ICh7XG4gIHRva2VuOiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93Ll9fWFJBWV9SRUFDVF9UT0tFTl9fKSB8fCB1bmRlZmluZWQsXG59KTtcblxuLyoqXG4gKiBXYWl0cyBmb3IgdGhlIFZpdGUgSE1SIGNsaWVudCAoYGltcG9ydC5tZXRhLmhvdGApIHRoZSBwbHVnaW4ncyBob3QgbW9kdWxlIGV4cG9zZXNcbiAqIEByZXR1cm5zIHtQcm9taXNlPE9iamVjdD59IFZpdGUgaG90IGNvbnRleHRcbiAqL1xuY29uc3QgZ2V0SG90Q29udGV4dCA9ICgpID0+XG4gIG5ldyBQcm9taXNlKChyZXNvbHZlKSA9PiB7XG4gICAgaWYgKHdpbmRvdy5fX1hSQVlfUkVBQ1RfSE9UX18pIHtcbiAgICAgIHJlc29sdmUod2luZG93Ll9fWFJBWV9SRUFDVF9IT1RfXyk7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIHdpbmRvdy5hZGRFdmVudExpc3RlbmVyKCd4cmF5LXJlYWN0OmhvdCcsICgpID0+IHJlc29sdmUod2luZG93Ll9fWFJBWV9SRUFDVF9IT1RfXyksIHtcbiAgICAgIG9uY2U6IHRydWUsXG4gICAgfSk7XG4gIH0pO1xuXG4vKipcbiAqIFdyYXBzIHRoZSBWaXRlIEhNUiBjbGllbnQgaW4gdGhlIFNvY2tldC5JTyBzb2NrZXQgbWV0aG9kcyB0aGUgY2xpZW50IHVzZXNcbiAqIEFja25vd2xlZGdlbWVudHMgY29tZSBiYWNrIGFzIEhPVF9BQ0tfRVZFTlQgZXZlbnRzIHdpdGggdGhlIGlkIG9mIHRoZWlyIHJlcXVlc3RcbiAqIEBwYXJhbSB7T2JqZWN0fSBob3QgLSBWaXRlIGhvdCBjb250ZXh0XG4gKiBAcmV0dXJucyB7T2JqZWN0fSBTb2NrZXQgKHsgb24sIGVtaXQsIGFubm91bmNlIH0pXG4gKi9cbmNvbnN0IGNyZWF0ZUhvdFNvY2tldCA9IChob3QpID0+IHtcbiAgY29uc3QgcGVuZGluZ0Fja3MgPSBuZXcgTWFwKCk7IC8vIHJlcXVlc3QgaWQgLT4gYWNrIGNhbGxiYWNrXG4gIGxldCBuZXh0UmVxdWVzdElkID0gMTtcblxuICBob3Qub24oSE9UX0FDS19FVkVOVCwgKHsgaWQsIHJlc3VsdCB9KSA9PiB7XG4gICAgY29uc3QgYWNrID0gcGVuZGluZ0Fja3MuZ2V0KGlkKTtcbiAgICBpZiAoYWNrKSB7XG4gICAgICBwZW5kaW5nQWNrcy5kZWxldGUoaWQpO1xuICAgICAgYWNrKHJlc3VsdCk7XG4gICAgfVxuICB9KTtcblxuICByZXR1cm4ge1xuICAgIG9uOiAoZXZlbnQsIGhhbmRsZXIpID0+IGhvdC5vbihgJHtIT1RfRVZFTlRfUFJFRklYfSR7ZXZlbnR9YCwgaGFuZGxlciksXG4gICAgZW1pdDogKGV2ZW50LCBwYXlsb2FkLCBhY2spID0+IHtcbiAgICAgIGNvbnN0IGlkID0gdHlwZW9mIGFjayA9PT0gJ2Z1bmN0aW9uJyA/IG5leHRSZXF1ZXN0SWQrKyA6IG51bGw7XG4gICAgICBpZiAoaWQpIHtcbiAgICAgICAgcGVuZGluZ0Fja3Muc2V0KGlkLCBhY2spO1xuICAgICAgfVxuICAgICAgaG90LnNlbmQoYCR7SE9UX0VWRU5UX1BSRUZJWH0ke2V2ZW50fWAsIHsgaWQsIHBheWxvYWQgfSk7XG4gICAgfSxcbiAgICAvLyBUaGUgc2VydmVyIHNlbmRzIHRoZSBwcm9qZWN0IGNvbmZpZyBhbmQgaW5kZXggb25jZSB0aGUgcGFnZSBhbm5vdW5jZXMgaXRzZWxmXG4gICAgYW5ub3VuY2U6ICgpID0+IGhvdC5zZW5kKEhPVF9DT05ORUNUX0VWRU5ULCBnZXRJT0F1dGgoKSksXG4gIH07XG59O1xuXG4vKipcbiAqIENvbm5lY3RzIHRvIHRoZSBldmVudCBzdHJlYW0gdGhlIHdlYnBhY2sgcGx1Z2luIG1vdW50cyBvbiB3ZWJwYWNrLWRldi1zZXJ2ZXJcbiAqIFNlcnZlciBldmVudHMgYXJyaXZlIG92ZXIgU2VydmVyLVNlbnQgRXZlbnRzOyB0aGUgcGFnZSBQT1NUcyBpdHMgZXZlbnRzLCBhbmQgdGhlIHJlc3BvbnNlc1xuICogY2FycnkgdGhlIGFja25vd2xlZGdlbWVudHMuIFJlcXVlc3RzIGdvIHRvIHRoZSBwYWdlJ3Mgb3duIG9yaWdpbi5cbiAqIEByZXR1cm5zIHtPYmplY3R9IFNvY2tldCAoeyBvbiwgZW1pdCB9KVxuICovXG5jb25zdCBjcmVhdGVFdmVudFN0cmVhbVNvY2tldCA9ICgpID0+IHtcbiAgY29uc3QgdG9rZW4gPSBnZXRJT0F1dGgoKS50b2tlbjtcbiAgY29uc3QgcXVlcnkgPSB0b2tlbiA/IGA/dG9rZW49JHtlbmNvZGVVUklDb21wb25lbnQodG9rZW4pfWAgOiAnJztcbiAgY29uc3Qgc291cmNlID0gbmV3IEV2ZW50U291cmNlKGAke0VWRU5UX1NUUkVBTV9QQVRIfS9ldmVudHMke3F1ZXJ5fWApO1xuICBsZXQgY2xpZW50SWQgPSBudWxsO1xuICAvLyBFdmVudHMgZW1pdHRlZCBiZWZvcmUgdGhlIHNlcnZlciBzZW50IHRoZSBwYWdlIGl0cyBpZCwgc2VudCBvbmNlIGl0IGFycml2ZXNcbiAgY29uc3QgcGVuZGluZ0V2ZW50cyA9IFtdO1xuXG4gIGNvbnN0IHBvc3QgPSAoZXZlbnQsIHBheWxvYWQsIGFjaykgPT4ge1xuICAgIGZldGNoKGAke0VWRU5UX1NUUkVBTV9QQVRIfS9ldmVudHMvJHtlbmNvZGVVUklDb21wb25lbnQoZXZlbnQpfWAsIHtcbiAgICAgIG1ldGhvZDogJ1BPU1QnLFxuICAgICAgaGVhZGVyczogeyAnQ29udGVudC1UeXBlJzogJ2FwcGxpY2F0aW9uL2pzb24nLCBbRVZFTlRfU1RSRUFNX1RPS0VOX0hFQURFUl06IHRva2VuIHx8ICcnIH0sXG4gICAgICBib2R5OiBKU09OLnN0cmluZ2lmeSh7IGNsaWVudDogY2xpZW50SWQsIHBheWxvYWQgfSksXG4gICAgfSlcbiAgICAgIC50aGVuKChyZXNwb25zZSkgPT4gKHJlc3BvbnNlLm9rID8gcmVzcG9uc2UuanNvbigpIDogbnVsbCkpXG4gICAgICAudGhlbigoYm9keSkgPT4ge1xuICAgICAgICBpZiAoYm9keSAmJiB0eXBlb2YgYWNrID09PSAnZnVuY3Rpb24nKSB7XG4gICAgICAgICAgYWNrKGJvZHkucmVzdWx0KTtcbiAgICAgICAgfVxuICAgICAgfSlcbiAgICAgIC5jYXRjaCgoZXJyb3IpID0+IGNvbnNvbGUud2FybigneHJheS1yZWFjdDogUmVxdWVzdCBmYWlsZWQnLCBlcnJvcikpO1xuICB9O1xuXG4gIC8vIEV2ZW50U291cmNlIHJlY29ubmVjdHMgYnkgaXRzZWxmLCBhbmQgZWFjaCBjb25uZWN0aW9uIGdldHMgYSBuZXcgaWRcbiAgc291cmNlLmFkZEV2ZW50TGlzdGVuZXIoSE9UX0NPTk5FQ1RfRVZFTlQsIChtZXNzYWdlKSA9PiB7XG4gICAgY2xpZW50SWQgPSBKU09OLnBhcnNlKG1lc3NhZ2UuZGF0YSkuaWQ7XG4gICAgcGVuZGluZ0V2ZW50cy5zcGxpY2UoMCkuZm9yRWFjaCgoYXJncykgPT4gcG9zdCguLi5hcmdzKSk7XG4gIH0pO1xuXG4gIHNvdXJjZS5hZGRFdmVudExpc3RlbmVyKCdlcnJvcicsICgpID0+IHtcbiAgICAvLyBUaGUgc2VydmVyIGZvcmdldHMgdGhlIGlkIG9mIGEgZHJvcHBlZCBjb25uZWN0aW9uXG4gICAgY2xpZW50SWQgPSBudWxsO1xuICAgIGlmIChzb3VyY2UucmVhZHlTdGF0ZSA9PT0gRXZlbnRTb3VyY2UuQ0xPU0VEKSB7XG4gICAgICBjb25zb2xlLndhcm4oJ3hyYXktcmVhY3Q6IEV2ZW50IHN0cmVhbSBjbG9zZWQnKTtcbiAgICB9XG4gIH0pO1xuXG4gIHJldHVybiB7XG4gICAgb246IChldmVudCwgaGFuZGxlcikgPT5cbiAgICAgIHNvdXJjZS5hZGRFdmVudExpc3RlbmVyKGAke0hPVF9FVkVOVF9QUkVGSVh9JHtldmVudH1gLCAobWVzc2FnZSkgPT5cbiAgICAgICAgaGFuZGxlcihKU09OLnBhcnNlKG1lc3NhZ2UuZGF0YSkpLFxuICAgICAgKSxcbiAgICBlbWl0OiAoZXZlbnQsIHBheWxvYWQsIGFjaykgPT4ge1xuICAgICAgaWYgKGNsaWVudElkKSB7XG4gICAgICAgIHBvc3QoZXZlbnQsIHBheWxvYWQsIGFjayk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBwZW5kaW5nRXZlbnRzLnB1c2goW2V2ZW50LCBwYXlsb2FkLCBhY2tdKTtcbiAgICAgIH1cbiAgICB9LFxuICB9O1xufTtcblxuLyoqXG4gKiBDbGllbnRJTyBjbGFzcyBmb3IgaGFuZGxpbmcgU29ja2V0LklPIGNvbm5lY3Rpb25zXG4gKi9cbmNsYXNzIENsaWVudElPIHtcbiAgY29uc3RydWN0b3IoKSB7XG4gICAgdGhpcy5jbGllbnQgPSBudWxsO1xuICAgIHRoaXMuZWRpdG9yUHJvamVjdFJvb3QgPSBudWxsOyAvLyBQcm9qZWN0IHJvb3QgYXMgdGhlIGVkaXRvciBzZWVzIGl0IChwYXRoIG1hcHBpbmdzIGFwcGxpZWQpXG4gIH1cblxuICAvKipcbiAgICogRHluYW1pY2FsbHkgbG9hZHMgU29ja2V0LklPIGNsaWVudCBsaWJyYXJ5XG4gICAqIEByZXR1cm5zIHtQcm9taXNlPGJvb2xlYW4+fSBUcnVlIGlmIGxvYWRlZCBzdWNjZXNzZnVsbHlcbiAgICovXG4gIGFkZFNjcmlwdCgpIHtcbiAgICByZXR1cm4gbmV3IFByb21pc2UoKHJlc29sdmUpID0+IHtcbiAgICAgIGlmICh0eXBlb2Ygd2luZG93LmlvICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICByZXNvbHZlKHRydWUpO1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IHNjcmlwdCA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ3NjcmlwdCcpO1xuICAgICAgc2NyaXB0LnR5cGUgPSAndGV4dC9qYXZhc2NyaXB0JztcbiAgICAgIHNjcmlwdC5hc3luYyA9IHRydWU7XG4gICAgICBzY3JpcHQuc3JjID0gJ2h0dHBzOi8vY2RuLnNvY2tldC5pby80LjguMS9zb2NrZXQuaW8ubWluLmpzJztcblxuICAgICAgc2NyaXB0LmFkZEV2ZW50TGlzdGVuZXIoJ2xvYWQnLCAoKSA9PiB7XG4gICAgICAgIHJlc29sdmUodHJ1ZSk7XG4gICAgICAgIHNjcmlwdC5yZW1vdmUoKTtcbiAgICAgIH0pO1xuXG4gICAgICBzY3JpcHQuYWRkRXZlbnRMaXN0ZW5lcignZXJyb3InLCAoKSA9PiB7XG4gICAgICAgIGNvbnNvbGUuZXJyb3IoJ3hyYXktcmVhY3Q6IEZhaWxlZCB0byBsb2FkIFNvY2tldC5JTyBjbGllbnQgbGlicmFyeScpO1xuICAgICAgICByZXNvbHZlKGZhbHNlKTtcbiAgICAgICAgc2NyaXB0LnJlbW92ZSgpO1xuICAgICAgfSk7XG5cbiAgICAgIGRvY3VtZW50LmJvZHkuYXBwZW5kQ2hpbGQoc2NyaXB0KTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKlxuICAgKiBDb25uZWN0cyB0byB0aGUgU29ja2V0LklPIHNlcnZlciwgbG9hZGluZyB0aGUgY2xpZW50IGxpYnJhcnkgZmlyc3QgaWYgbmVlZGVkXG4gICAqIEByZXR1cm5zIHtQcm9taXNlPE9iamVjdHxudWxsPn0gU29ja2V0LklPIHNvY2tldCBvciBudWxsXG4gICAqL1xuICBhc3luYyBjb25uZWN0U29ja2V0SU8oKSB7XG4gICAgaWYgKHR5cGVvZiB3aW5kb3cuaW8gPT09ICd1bmRlZmluZWQnKSB7XG4gICAgICBjb25zdCBpc1N1Y2Nlc3MgPSBhd2FpdCB0aGlzLmFkZFNjcmlwdCgpO1xuICAgICAgaWYgKCFpc1N1Y2Nlc3MpIHtcbiAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICB9XG4gICAgfVxuXG4gICAgLy8gU29ja2V0LklPIDQueCB1c2VzIGlvKCkgaW5zdGVhZCBvZiBpby5jb25uZWN0KClcbiAgICBjb25zdCBzb2NrZXQgPSB3aW5kb3cuaW8oZ2V0SU9Db25uZWN0VVJMKCksIHtcbiAgICAgIHRyYW5zcG9ydHM6IFsnd2Vic29ja2V0JywgJ3BvbGxpbmcnXSxcbiAgICAgIGF1dGg6IGdldElPQXV0aCgpLFxuICAgIH0pO1xuXG4gICAgc29ja2V0Lm9uKCdjb25uZWN0JywgKCkgPT4ge1xuICAgICAgLy8gQ29ubmVjdGVkIHN1Y2Nlc3NmdWxseVxuICAgIH0pO1xuXG4gICAgc29ja2V0Lm9uKCdkaXNjb25uZWN0JywgKCkgPT4ge1xuICAgICAgLy8gRGlzY29ubmVjdGVkIGZyb20gc2VydmVyXG4gICAgfSk7XG5cbiAgICBzb2NrZXQub24oJ2Nvbm5lY3RfZXJyb3InLCAoZXJyb3IpID0+IHtcbiAgICAgIGNvbnNvbGUud2FybigneHJheS1yZWFjdDogQ29ubmVjdGlvbiBlcnJvcicsIGVycm9yKTtcbiAgICB9KTtcbiAgICByZXR1cm4gc29ja2V0O1xuICB9XG5cbiAgLyoqXG4gICAqIENvbm5lY3RzIG92ZXIgdGhlIHRyYW5zcG9ydCB0aGUgcGx1Z2luIGNob3NlOiBWaXRlJ3MgSE1SIFdlYlNvY2tldCwgdGhlIGV2ZW50IHN0cmVhbSBvblxuICAgKiB3ZWJwYWNrLWRldi1zZXJ2ZXIgb3IgdGhlIHhyYXktcmVhY3QgU29ja2V0LklPIHNlcnZlclxuICAgKiBAcmV0dXJucyB7UHJvbWlzZTxPYmplY3R8bnVsbD59IFNvY2tldCBvciBudWxsXG4gICAqL1xuICBhc3luYyBjb25uZWN0KCkge1xuICAgIGlmICh3aW5kb3cuX19YUkFZX1JFQUNUX1RSQU5TUE9SVF9fID09PSBUUkFOU1BPUlRfVklURSkge1xuICAgICAgcmV0dXJuIGNyZWF0ZUhvdFNvY2tldChhd2FpdCBnZXRIb3RDb250ZXh0KCkpO1xuICAgIH1cbiAgICBpZiAod2luZG93Ll9fWFJBWV9SRUFDVF9UUkFOU1BPUlRfXyA9PT0gVFJBTlNQT1JUX0RFVl9TRVJWRVIpIHtcbiAgICAgIHJldHVybiBjcmVhdGVFdmVudFN0cmVhbVNvY2tldCgpO1xuICAgIH1cbiAgICByZXR1cm4gdGhpcy5jb25uZWN0U29ja2V0SU8oKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBJbml0aWFsaXplcyB0aGUgY29ubmVjdGlvbiBhbmQgdGhlIGhhbmRsZXJzIG9mIHRoZSBzZXJ2ZXIncyBldmVudHNcbiAgICogQHJldHVybnMge1Byb21pc2U8Ym9vbGVhbj59IFRydWUgaWYgY29ubmVjdGVkIHN1Y2Nlc3NmdWxseVxuICAgKi9cbiAgYXN5bmMgaW5pdCgpIHtcbiAgICB0cnkge1xuICAgICAgdGhpcy5jbGllbnQgPSBhd2FpdCB0aGlzLmNvbm5lY3QoKTtcbiAgICAgIGlmICghdGhpcy5jbGllbnQpIHtcbiAgICAgICAgcmV0dXJuIGZhbHNlO1xuICAgICAgfVxuXG4gICAgICB0aGlzLmNsaWVudC5vbigncHJvamVjdC1jb25maWcnLCAoY29uZmlnKSA9PiB7XG4gICAgICAgIGlmIChjb25maWcpIHtcbiAgICAgICAgICBpZiAoY29uZmlnLnBvcnQgJiYgdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUE9SVF9fID0gY29uZmlnLnBvcnQ7XG4gICAgICAgICAgfVxuICAgICAgICAgIGlmIChjb25maWcubW9kZSAmJiB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgY29uc3QgbW9kZSA9IEFWQUlMQUJMRV9VSV9NT0RFUy5pbmNsdWRlcyhjb25maWcubW9kZSkgPyBjb25maWcubW9kZSA6IFVJX01PREVfRlVMTDtcbiAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfTU9ERV9fID0gbW9kZTtcbiAgICAgICAgICAgIGlmICh3aW5kb3cueHJheVJlYWN0U2V0TW9kZSkge1xuICAgICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0TW9kZShtb2RlKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgICAgICAgICB3aW5kb3cuX19YUkFZX1JFQUNUX0VESVRPUl9VUkxfXyA9IGNvbmZpZy5lZGl0b3JVcmwgfHwgbnVsbDtcbiAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfRURJVE9SX1JFTU9URV9fID0gY29uZmlnLmVkaXRvclJlbW90ZSB8fCBudWxsO1xuICAgICAgICAgIH1cbiAgICAgICAgICB0aGlzLmVkaXRvclByb2plY3RSb290ID0gY29uZmlnLmVkaXRvclByb2plY3RSb290IHx8IGNvbmZpZy5wcm9qZWN0Um9vdCB8fCBudWxsO1xuICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgaWYgKHdpbmRvdy54cmF5UmVhY3RTZXRXb3Jrc3BhY2VQYWNrYWdlcykge1xuICAgICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0V29ya3NwYWNlUGFja2FnZXMoY29uZmlnLndvcmtzcGFjZVBhY2thZ2VzIHx8IFtdKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfV09SS1NQQUNFX1BBQ0tBR0VTX18gPSBjb25maWcud29ya3NwYWNlUGFja2FnZXMgfHwgW107XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICAgIGlmIChjb25maWcucHJvamVjdFJvb3QpIHtcbiAgICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cueHJheVJlYWN0U2V0UHJvamVjdFJvb3QpIHtcbiAgICAgICAgICAgICAgd2luZG93LnhyYXlSZWFjdFNldFByb2plY3RSb290KGNvbmZpZy5wcm9qZWN0Um9vdCk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcpIHtcbiAgICAgICAgICAgICAgICB3aW5kb3cuX19YUkFZX1JFQUNUX1BST0pFQ1RfUk9PVF9fID0gY29uZmlnLnByb2plY3RSb290O1xuICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9KTtcblxuICAgICAgdGhpcy5jbGllbnQub24oJ3VzYWdlLW1hcCcsIChkYXRhKSA9PiB7XG4gICAgICAgIGlmIChkYXRhICYmIGRhdGEudXNhZ2UpIHtcbiAgICAgICAgICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93LnhyYXlSZWFjdFNldFVzYWdlTWFwKSB7XG4gICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0VXNhZ2VNYXAoZGF0YS51c2FnZSk7XG4gICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgICB3aW5kb3cuX19YUkFZX1JFQUNUX1VTQUdFX01BUF9fID0gZGF0YS51c2FnZTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbignaW1wb3J0LW1hcCcsIChkYXRhKSA9PiB7XG4gICAgICAgIGlmIChkYXRhICYmIGRhdGEuaW1wb3J0cykge1xuICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cueHJheVJlYWN0U2V0SW1wb3J0TWFwKSB7XG4gICAgICAgICAgICB3aW5kb3cueHJheVJlYWN0U2V0SW1wb3J0TWFwKGRhdGEuaW1wb3J0cyk7XG4gICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgICAgICAgICAgICB3aW5kb3cuX19YUkFZX1JFQUNUX0lNUE9SVF9NQVBfXyA9IGRhdGEuaW1wb3J0cztcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbigncHJvamVjdC1maWxlcycsIChkYXRhKSA9PiB7XG4gICAgICAgIGlmIChkYXRhICYmIGRhdGEuZmlsZXMpIHtcbiAgICAgICAgICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93LnhyYXlSZWFjdFNldFByb2plY3RGaWxlcykge1xuICAgICAgICAgICAgd2luZG93LnhyYXlSZWFjdFNldFByb2plY3RGaWxlcyhkYXRhLmZpbGVzKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgICAgICAgICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9GSUxFU19fID0gZGF0YS5maWxlcztcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICAvLyBJbmNyZW1lbnRhbCB1cGRhdGVzIHB1c2hlZCBieSB0aGUgc2VydmVyJ3MgZmlsZSB3YXRjaGVyXG4gICAgICB0aGlzLmNsaWVudC5vbigndXNhZ2UtbWFwLXBhdGNoJywgKHBhdGNoKSA9PiB7XG4gICAgICAgIGlmIChwYXRjaCAmJiB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cueHJheVJlYWN0QXBwbHlVc2FnZU1hcFBhdGNoKSB7XG4gICAgICAgICAgd2luZG93LnhyYXlSZWFjdEFwcGx5VXNhZ2VNYXBQYXRjaChwYXRjaCk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbignaW1wb3J0LW1hcC1wYXRjaCcsIChwYXRjaCkgPT4ge1xuICAgICAgICBpZiAocGF0Y2ggJiYgdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93LnhyYXlSZWFjdEFwcGx5SW1wb3J0TWFwUGF0Y2gpIHtcbiAgICAgICAgICB3aW5kb3cueHJheVJlYWN0QXBwbHlJbXBvcnRNYXBQYXRjaChwYXRjaCk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICB0aGlzLmNsaWVudC5vbigncHJvamVjdC1maWxlcy1wYXRjaCcsIChwYXRjaCkgPT4ge1xuICAgICAgICBpZiAocGF0Y2ggJiYgdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93LnhyYXlSZWFjdEFwcGx5UHJvamVjdEZpbGVzUGF0Y2gpIHtcbiAgICAgICAgICB3aW5kb3cueHJheVJlYWN0QXBwbHlQcm9qZWN0RmlsZXNQYXRjaChwYXRjaCk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICBpZiAodGhpcy5jbGllbnQuYW5ub3VuY2UpIHtcbiAgICAgICAgdGhpcy5jbGllbnQuYW5ub3VuY2UoKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH0gY2F0Y2ggKGVycm9yKSB7XG4gICAgICBjb25zb2xlLmVycm9yKCd4cmF5LXJlYWN0OiBGYWlsZWQgdG8gaW5pdGlhbGl6ZSBTb2NrZXQuSU8nLCBlcnJvcik7XG4gICAgICByZXR1cm4gZmFsc2U7XG4gICAgfVxuICB9XG59XG5cbi8qKlxuICogQXNrcyB0aGUgc2VydmVyIHRvIG9wZW4gYSBjbGlja2VkIGNvbXBvbmVudCBhbmQgaGFuZGxlcyBpdHMgYWNrbm93bGVkZ2VtZW50XG4gKiBBbWJpZ3VvdXMgY29tcG9uZW50cyBzaG93IGEgcGlja2VyOyB0aGUgcGljayBpcyByZW1lbWJlcmVkIGZvciB0aGUgY29tcG9uZW50IHBhdGhcbiAqIEBwYXJhbSB7Q2xpZW50SU99IGNsaWVudElPIC0gQ29ubmVjdGVkIGNsaWVudFxuICogQHBhcmFtIHtPYmplY3R9IHBheWxvYWQgLSBgeHJheS1yZWFjdC1jb21wb25lbnRgIHBheWxvYWQgKHsgc3RydWN0dXJlLCBzb3VyY2UsIG9wZW4sIGNob2ljZSB9KVxuICogQHBhcmFtIHtzdHJpbmd8bnVsbH0gZWRpdG9yVXJsU2NoZW1lIC0gRWRpdG9yIFVSTCBzY2hlbWUgd2hlbiB0aGUgYnJvd3NlciBvcGVucyB0aGUgZmlsZVxuICovXG5jb25zdCByZXF1ZXN0T3BlbkNvbXBvbmVudCA9IChjbGllbnRJTywgcGF5bG9hZCwgZWRpdG9yVXJsU2NoZW1lKSA9PiB7XG4gIGNsaWVudElPLmNsaWVudC5lbWl0KCd4cmF5LXJlYWN0LWNvbXBvbmVudCcsIHBheWxvYWQsIChyZXN1bHQpID0+IHtcbiAgICBpZiAoIXJlc3VsdCkgcmV0dXJuO1xuXG4gICAgY29uc3QgY29tcG9uZW50TmFtZSA9IHBheWxvYWQuc3RydWN0dXJlLnNwbGl0KCcgLT4gJykucG9wKCk7XG4gICAgaWYgKHJlc3VsdC5zdGF0dXMgPT09IE9QRU5fU1RBVFVTX0FNQklHVU9VUykge1xuICAgICAgc2hvd0NhbmRpZGF0ZVBpY2tlcihwYXlsb2FkLnN0cnVjdHVyZSwgcmVzdWx0LmNhbmRpZGF0ZXMgfHwgW10sIHtcbiAgICAgICAgcHJvamVjdFJvb3Q6IGNsaWVudElPLmVkaXRvclByb2plY3RSb290LFxuICAgICAgICBvblBpY2s6IChjYW5kaWRhdGUpID0+IHtcbiAgICAgICAgICByZW1lbWJlckNob2ljZShwYXlsb2FkLnN0cnVjdHVyZSwgY2FuZGlkYXRlLnBhdGgpO1xuICAgICAgICAgIHJlcXVlc3RPcGVuQ29tcG9uZW50KFxuICAgICAgICAgICAgY2xpZW50SU8sXG4gICAgICAgICAgICB7IC4uLnBheWxvYWQsIGNob2ljZTogeyBwYXRoOiBjYW5kaWRhdGUucGF0aCB9IH0sXG4gICAgICAgICAgICBlZGl0b3JVcmxTY2hlbWUsXG4gICAgICAgICAgKTtcbiAgICAgICAgfSxcbiAgICAgIH0pO1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBpZiAocmVzdWx0LnN0YXR1cyA9PT0gT1BFTl9TVEFUVVNfTk9UX0ZPVU5EKSB7XG4gICAgICBzaG93VG9hc3QoYE5vIGZpbGUgZm91bmQgZm9yICR7Y29tcG9uZW50TmFtZX1gKTtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgaWYgKHJlc3VsdC5zdGF0dXMgPT09IE9QRU5fU1RBVFVTX0ZBSUxFRCkge1xuICAgICAgc2hvd1RvYXN0KGBDb3VsZCBub3Qgb3BlbiB0aGUgZmlsZSBvZiAke2NvbXBvbmVudE5hbWV9LCBzZWUgdGhlIHhyYXktcmVhY3Qgc2VydmVyIGxvZ2ApO1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGhpZGVOb3RpY2UoKTtcbiAgICBpZiAoIWVkaXRvclVybFNjaGVtZSB8fCAhcmVzdWx0LmxvY2F0aW9uKSByZXR1cm47XG5cbiAgICBjb25zdCB1cmwgPSBidWlsZEVkaXRvclVybChlZGl0b3JVcmxTY2hlbWUsIHJlc3VsdC5sb2NhdGlvbiwge1xuICAgICAgcmVtb3RlOiB3aW5kb3cuX19YUkFZX1JFQUNUX0VESVRPUl9SRU1PVEVfXyxcbiAgICAgIHByb2plY3RSb290OiBjbGllbnRJTy5lZGl0b3JQcm9qZWN0Um9vdCxcbiAgICB9KTtcbiAgICBpZiAodXJsKSB7XG4gICAgICBvcGVuRWRpdG9yVXJsKHVybCk7XG4gICAgfVxuICB9KTtcbn07XG5cbi8qKlxuICogT3BlbnMgdGhlIGZpbGUgb2YgYSBjb21wb25lbnQgcGF0aCwgd2l0aCB0aGUgdXNlcidzIHJlbWVtYmVyZWQgcGljayBmb3IgYW1iaWd1b3VzIGNvbXBvbmVudHNcbiAqIEBwYXJhbSB7Q2xpZW50SU99IGNsaWVudElPIC0gQ29ubmVjdGVkIGNsaWVudFxuICogQHBhcmFtIHtzdHJpbmd9IGNvbXBvbmVudFBhdGggLSBDb21wb25lbnQgcGF0aCAoZS5nLiwgJ0FwcCAtPiBMYXlvdXQgLT4gSGVhZGVyJylcbiAqIEBwYXJhbSB7T2JqZWN0fG51bGx9IHNvdXJjZSAtIFNvdXJjZSBsb2NhdGlvbiBvZiB0aGUgY2xpY2tlZCBlbGVtZW50XG4gKi9cbmNvbnN0IG9wZW5Db21wb25lbnRQYXRoID0gKGNsaWVudElPLCBjb21wb25lbnRQYXRoLCBzb3VyY2UgPSBudWxsKSA9PiB7XG4gIC8vIEVpdGhlciB0aGUgc2VydmVyIGxhdW5jaGVzIHRoZSBlZGl0b3IsIG9yIGl0IHJlc29sdmVzIHRoZSBmaWxlIGZvciBhbiBlZGl0b3IgVVJMXG4gIGNvbnN0IGVkaXRvclVybFNjaGVtZSA9IGdldEVkaXRvclVybFNjaGVtZSgpO1xuICBjb25zdCBjaG9pY2UgPSBnZXRSZW1lbWJlcmVkQ2hvaWNlKGNvbXBvbmVudFBhdGgpO1xuICBjb25zdCBwYXlsb2FkID0ge1xuICAgIHN0cnVjdHVyZTogY29tcG9uZW50UGF0aCxcbiAgICBzb3VyY2UsXG4gICAgb3BlbjogZWRpdG9yVXJsU2NoZW1lID8gJ3VybCcgOiAnZWRpdG9yJyxcbiAgICBjaG9pY2U6IGNob2ljZSA/IHsgcGF0aDogY2hvaWNlIH0gOiBudWxsLFxuICB9O1xuXG4gIHJlcXVlc3RPcGVuQ29tcG9uZW50KGNsaWVudElPLCBwYXlsb2FkLCBlZGl0b3JVcmxTY2hlbWUpO1xufTtcblxuLyoqXG4gKiBJbml0aWFsaXplcyBTb2NrZXQuSU8gYW5kIHNldHMgdXAgY2xpY2sgbGlzdGVuZXJzXG4gKi9cbmNvbnN0IGluaXRJT0FuZExpc3RlbmVycyA9IGFzeW5jICgpID0+IHtcbiAgY29uc3QgY2xpZW50SU8gPSBuZXcgQ2xpZW50SU8oKTtcbiAgY29uc3QgaXNTdWNjZXNzID0gYXdhaXQgY2xpZW50SU8uaW5pdCgpO1xuXG4gIGlmIChpc1N1Y2Nlc3MpIHtcbiAgICAvLyBMZXRzIGludGVncmF0aW9ucyAoZS5nLiwgdGhlIFN0b3J5Ym9vayBhZGRvbikgb3BlbiBjb21wb25lbnQgcGF0aHMgd2l0aG91dCBhbiBvdmVybGF5XG4gICAgd2luZG93LnhyYXlSZWFjdE9wZW5Db21wb25lbnRQYXRoID0gKGNvbXBvbmVudFBhdGgpID0+IHtcbiAgICAgIGlmIChjbGllbnRJTy5jbGllbnQpIHtcbiAgICAgICAgb3BlbkNvbXBvbmVudFBhdGgoY2xpZW50SU8sIGNvbXBvbmVudFBhdGgpO1xuICAgICAgfVxuICAgIH07XG5cbiAgICBkb2N1bWVudC5ib2R5LmFkZEV2ZW50TGlzdGVuZXIoJ2NsaWNrJywgKGV2ZW50KSA9PiB7XG4gICAgICBjb25zdCB0YXJnZXQgPSBldmVudC50YXJnZXQ7XG4gICAgICBpZiAodGFyZ2V0LmNsYXNzTGlzdC5jb250YWlucyhjb25zdGFudHMueHJheVJlYWN0RWxlbUNOKSkge1xuICAgICAgICBjb25zdCBjb21wb25lbnRQYXRoID0gdGFyZ2V0LmdldEF0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0Q29tcFBhdGhBdHRyKTtcbiAgICAgICAgaWYgKGNvbXBvbmVudFBhdGggJiYgY2xpZW50SU8uY2xpZW50KSB7XG4gICAgICAgICAgY29uc3Qgc291cmNlID0gcGFyc2VTb3VyY2VMb2NhdGlvbih0YXJnZXQuZ2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RTb3VyY2VBdHRyKSk7XG4gICAgICAgICAgaWYgKHNvdXJjZSkge1xuICAgICAgICAgICAgc291cmNlLmV4YWN0ID0gdGFyZ2V0Lmhhc0F0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0U291cmNlRXhhY3RBdHRyKTtcbiAgICAgICAgICB9XG4gICAgICAgICAgb3BlbkNvbXBvbmVudFBhdGgoY2xpZW50SU8sIGNvbXBvbmVudFBhdGgsIHNvdXJjZSk7XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9KTtcbiAgfVxufTtcblxuaWYgKGRvY3VtZW50LnJlYWR5U3RhdGUgPT09ICdsb2FkaW5nJykge1xuICBkb2N1bWVudC5hZGRFdmVudExpc3RlbmVyKCdET01Db250ZW50TG9hZGVkJywgaW5pdElPQW5kTGlzdGVuZXJzKTtcbn0gZWxzZSB7XG4gIGluaXRJT0FuZExpc3RlbmVycygpO1xufVxuIl0sIm5hbWVzIjpbImNvbnN0YW50cy54cmF5UmVhY3RFbGVtQ04iLCJjb25zdGFudHMueHJheVJlYWN0Q29tcFBhdGhBdHRyIiwiY29uc3RhbnRzLnhyYXlSZWFjdFNvdXJjZUF0dHIiLCJjb25zdGFudHMueHJheVJlYWN0U291cmNlRXhhY3RBdHRyIl0sIm1hcHBpbmdzIjoiOzs7RUFBTyxNQUFNLGVBQWUsR0FBRyxvQkFBb0I7RUFFNUMsTUFBTSxxQkFBcUIsR0FBRyxpQ0FBaUM7RUFFL0QsTUFBTSxtQkFBbUIsR0FBRyx3QkFBd0I7RUFDcEQsTUFBTSx3QkFBd0IsR0FBRyw4QkFBOEI7O0VBYy9ELE1BQU0saUJBQWlCLEdBQUc7RUFDakMsRUFBRSxNQUFNLEVBQUUsU0FBUztFQUNuQixFQUFFLE1BQU0sRUFBRSxRQUFRO0VBQ2xCLEVBQUUsSUFBSSxFQUFFLGVBQWU7RUFDdkIsRUFBRSxTQUFTLEVBQUUsbUJBQW1CO0VBQ2hDLEVBQUUsSUFBSSxFQUFFLGNBQWM7RUFDdEIsQ0FBQztFQUNNLE1BQU0sa0JBQWtCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQzs7RUMxQmhFO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7O0VBRUEsTUFBTSxZQUFZLEdBQUcsa0VBQWtFO0VBQ2pFLElBQUksR0FBRyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDOztFQ1BuRjtFQUNBO0VBQ0E7RUFDQTs7RUFvS0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxDQUFDLEtBQUssS0FBSztFQUM5QyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsT0FBTyxJQUFJOztFQUV6QixFQUFFLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMscUJBQXFCLENBQUM7RUFDMUQsRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFO0VBQ2QsSUFBSSxPQUFPLEVBQUUsUUFBUSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUU7RUFDNUUsRUFBRTs7RUFFRixFQUFFLE9BQU87RUFDVCxJQUFJLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0VBQ3RCLElBQUksVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxHQUFHLElBQUk7RUFDeEQsSUFBSSxZQUFZLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsSUFBSTtFQUMxRCxHQUFHO0VBQ0gsQ0FBQzs7RUMxTEQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTs7RUFHQSxNQUFNLHFCQUFxQixHQUFHLG1CQUFtQjs7RUFFakQ7RUFDTyxNQUFNLHdCQUF3QixHQUFHLFFBQVE7O0VBRWhEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxNQUFNO0VBQ3pDLEVBQUUsSUFBSTtFQUNOLElBQUksT0FBTyxNQUFNLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLEVBQUU7RUFDbkUsRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWLElBQUksT0FBTyxFQUFFLENBQUM7RUFDZCxFQUFFO0VBQ0YsQ0FBQzs7RUFrQkQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGtCQUFrQixHQUFHLE1BQU07RUFDeEMsRUFBRSxNQUFNLFVBQVUsR0FBRyxtQkFBbUIsRUFBRTtFQUMxQyxFQUFFLElBQUksVUFBVSxLQUFLLHdCQUF3QixFQUFFO0VBQy9DLElBQUksT0FBTyxJQUFJO0VBQ2YsRUFBRTtFQUNGLEVBQUUsSUFBSSxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLEVBQUU7RUFDL0MsSUFBSSxPQUFPLFVBQVU7RUFDckIsRUFBRTs7RUFFRixFQUFFLE1BQU0sYUFBYSxHQUFHLE9BQU8sTUFBTSxLQUFLLFdBQVcsR0FBRyxNQUFNLENBQUMseUJBQXlCLEdBQUcsSUFBSTtFQUMvRixFQUFFLE9BQU8sa0JBQWtCLENBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxHQUFHLGFBQWEsR0FBRyxJQUFJO0VBQzFFLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sU0FBUyxHQUFHLENBQUMsUUFBUSxLQUFLLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDOztFQUVwRjtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGNBQWMsR0FBRyxDQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsT0FBTyxHQUFHLEVBQUUsS0FBSztFQUNsRSxFQUFFLE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDO0VBQzNDLEVBQUUsTUFBTSxJQUFJLEdBQUcsUUFBUSxDQUFDLElBQUksSUFBSSxDQUFDO0VBQ2pDLEVBQUUsTUFBTSxNQUFNLEdBQUcsUUFBUSxDQUFDLE1BQU0sSUFBSSxDQUFDOztFQUVyQyxFQUFFLFFBQVEsTUFBTTtFQUNoQixJQUFJLEtBQUssUUFBUTtFQUNqQixJQUFJLEtBQUssUUFBUSxFQUFFO0VBQ25CLE1BQU0sTUFBTSxNQUFNLEdBQUcsT0FBTyxDQUFDO0VBQzdCLFVBQVUsQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLFFBQVEsQ0FBQztFQUNyRCxVQUFVLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0VBQzNCLE1BQU0sT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLEdBQUcsRUFBRSxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7RUFDakUsSUFBSTtFQUNKLElBQUksS0FBSyxNQUFNO0VBQ2YsTUFBTSxPQUFPLENBQUMsaUJBQWlCLEVBQUUsa0JBQWtCLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0VBQ2xHLElBQUksS0FBSyxXQUFXLEVBQUU7RUFDdEIsTUFBTSxNQUFNLElBQUksR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQztFQUMzRSxNQUFNLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFO0VBQzNDLE1BQU0sTUFBTSxZQUFZO0VBQ3hCLFFBQVEsSUFBSSxJQUFJLFFBQVEsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRO0VBQzVGO0VBQ0EsTUFBTSxPQUFPLENBQUMsNENBQTRDLEVBQUUsa0JBQWtCLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFLGtCQUFrQixDQUFDLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQyxFQUFFLElBQUksR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztFQUNqSyxJQUFJO0VBQ0osSUFBSSxLQUFLLE1BQU07RUFDZixNQUFNLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7RUFDeEcsSUFBSTtFQUNKLE1BQU0sT0FBTyxJQUFJO0VBQ2pCO0VBQ0EsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNPLE1BQU0sYUFBYSxHQUFHLENBQUMsR0FBRyxLQUFLO0VBQ3RDLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxJQUFJLEdBQUcsR0FBRztFQUM1QixDQUFDOztFQzdHRDtFQUNBO0VBQ0E7RUFDQTtFQUNBOztFQUVBLE1BQU0sV0FBVyxHQUFHLG9CQUFvQjtFQUN4QyxNQUFNLGNBQWMsR0FBRyxJQUFJOztFQUUzQixNQUFNLGNBQWMsR0FBRyxJQUFJLEdBQUcsRUFBRSxDQUFDO0VBQ2pDLElBQUksU0FBUyxHQUFHLElBQUk7O0VBRXBCO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxXQUFXLEdBQUcsTUFBTTtFQUMxQixFQUFFLElBQUk7RUFDTixJQUFJLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxJQUFJLEVBQUU7RUFDdkUsRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWLElBQUksT0FBTyxNQUFNLENBQUMsV0FBVyxDQUFDLGNBQWMsQ0FBQyxDQUFDO0VBQzlDLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG1CQUFtQixHQUFHLENBQUMsYUFBYSxLQUFLLFdBQVcsRUFBRSxDQUFDLGFBQWEsQ0FBQyxJQUFJLElBQUk7O0VBRTFGO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGNBQWMsR0FBRyxDQUFDLGFBQWEsRUFBRSxRQUFRLEtBQUs7RUFDM0QsRUFBRSxjQUFjLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxRQUFRLENBQUM7RUFDN0MsRUFBRSxJQUFJO0VBQ04sSUFBSSxNQUFNLENBQUMsY0FBYyxDQUFDLE9BQU87RUFDakMsTUFBTSxXQUFXO0VBQ2pCLE1BQU0sSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLEdBQUcsV0FBVyxFQUFFLEVBQUUsQ0FBQyxhQUFhLEdBQUcsUUFBUSxFQUFFLENBQUM7RUFDckUsS0FBSztFQUNMLEVBQUUsQ0FBQyxDQUFDLE1BQU07RUFDVjtFQUNBLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxTQUFTLEdBQUcsTUFBTSxRQUFRLENBQUMsYUFBYSxDQUFDLDJDQUEyQyxDQUFDOztFQUUzRjtFQUNBO0VBQ0E7RUFDTyxNQUFNLFVBQVUsR0FBRyxNQUFNO0VBQ2hDLEVBQUUsWUFBWSxDQUFDLFNBQVMsQ0FBQztFQUN6QixFQUFFLE1BQU0sTUFBTSxHQUFHLFNBQVMsRUFBRTtFQUM1QixFQUFFLElBQUksTUFBTSxFQUFFO0VBQ2QsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLElBQUk7RUFDeEIsSUFBSSxNQUFNLENBQUMsZUFBZSxFQUFFO0VBQzVCLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxTQUFTLEdBQUcsQ0FBQyxPQUFPLEtBQUs7RUFDdEMsRUFBRSxNQUFNLE1BQU0sR0FBRyxTQUFTLEVBQUU7RUFDNUIsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFO0VBQ2YsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7RUFDMUMsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxVQUFVLEVBQUU7RUFDZCxFQUFFLE1BQU0sSUFBSSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDO0VBQzdDLEVBQUUsSUFBSSxDQUFDLFNBQVMsR0FBRywyQkFBMkI7RUFDOUMsRUFBRSxJQUFJLENBQUMsV0FBVyxHQUFHLE9BQU87RUFDNUIsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztFQUNyQixFQUFFLE1BQU0sQ0FBQyxNQUFNLEdBQUcsS0FBSztFQUN2QixFQUFFLFNBQVMsR0FBRyxVQUFVLENBQUMsVUFBVSxFQUFFLGNBQWMsQ0FBQztFQUNwRCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sVUFBVSxHQUFHLENBQUMsUUFBUSxFQUFFLFdBQVcsS0FBSztFQUM5QyxFQUFFLE1BQU0sSUFBSSxHQUFHLFdBQVcsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJO0VBQ3RFLEVBQUUsSUFBSSxJQUFJLEtBQUssUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRTtFQUNyRixJQUFJLE9BQU8sUUFBUSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztFQUMxQyxFQUFFO0VBQ0YsRUFBRSxPQUFPLFFBQVE7RUFDakIsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxDQUFDLGFBQWEsRUFBRSxVQUFVLEVBQUUsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLEtBQUs7RUFDM0YsRUFBRSxNQUFNLE1BQU0sR0FBRyxTQUFTLEVBQUU7RUFDNUIsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFO0VBQ2YsSUFBSSxPQUFPLENBQUMsSUFBSTtFQUNoQixNQUFNLENBQUMsWUFBWSxFQUFFLGFBQWEsQ0FBQyx1QkFBdUIsQ0FBQztFQUMzRCxNQUFNLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLElBQUksQ0FBQztFQUN4QyxLQUFLO0VBQ0wsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxVQUFVLEVBQUU7RUFDZCxFQUFFLE1BQU0sYUFBYSxHQUFHLGFBQWEsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFO0VBQ3pELEVBQUUsTUFBTSxLQUFLLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxNQUFNLENBQUM7RUFDOUMsRUFBRSxLQUFLLENBQUMsU0FBUyxHQUFHLDJCQUEyQjtFQUMvQyxFQUFFLEtBQUssQ0FBQyxXQUFXLEdBQUcsQ0FBQyxzQkFBc0IsRUFBRSxhQUFhLENBQUMsV0FBVyxDQUFDO0VBQ3pFLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUM7O0VBRXRCLEVBQUUsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFNBQVMsS0FBSztFQUNwQyxJQUFJLE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDO0VBQ25ELElBQUksTUFBTSxDQUFDLElBQUksR0FBRyxRQUFRO0VBQzFCLElBQUksTUFBTSxDQUFDLFNBQVMsR0FBRyxzQkFBc0I7RUFDN0MsSUFBSSxNQUFNLFFBQVEsR0FBRyxTQUFTLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUU7RUFDL0QsSUFBSSxNQUFNLENBQUMsV0FBVyxHQUFHLENBQUMsRUFBRSxVQUFVLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxXQUFXLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0VBQ2hGLElBQUksSUFBSSxTQUFTLENBQUMsT0FBTyxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUMzRCxNQUFNLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxTQUFTLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztFQUMvRCxJQUFJO0VBQ0osSUFBSSxNQUFNLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLE1BQU07RUFDM0MsTUFBTSxVQUFVLEVBQUU7RUFDbEIsTUFBTSxNQUFNLENBQUMsU0FBUyxDQUFDO0VBQ3ZCLElBQUksQ0FBQyxDQUFDO0VBQ04sSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztFQUN6QixFQUFFLENBQUMsQ0FBQzs7RUFFSixFQUFFLE1BQU0sS0FBSyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDO0VBQ2hELEVBQUUsS0FBSyxDQUFDLElBQUksR0FBRyxRQUFRO0VBQ3ZCLEVBQUUsS0FBSyxDQUFDLFNBQVMsR0FBRyx5QkFBeUI7RUFDN0MsRUFBRSxLQUFLLENBQUMsWUFBWSxDQUFDLFlBQVksRUFBRSxPQUFPLENBQUM7RUFDM0MsRUFBRSxLQUFLLENBQUMsV0FBVyxHQUFHLEdBQUc7RUFDekIsRUFBRSxLQUFLLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLFVBQVUsQ0FBQztFQUM3QyxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDO0VBQ3RCLEVBQUUsTUFBTSxDQUFDLE1BQU0sR0FBRyxLQUFLO0VBQ3ZCLENBQUM7O0VDckpEO0VBQ0E7RUFDQTtFQUNBOzs7RUFJTyxNQUFNLFlBQVksR0FBRyxNQUFNO0VBQzNCLE1BQU0sY0FBYyxHQUFHLFFBQVE7RUFDL0IsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLFlBQVksRUFBRSxjQUFjLENBQUM7RUFPekQsTUFBTSxxQkFBcUIsR0FBRyxXQUFXO0VBQ3pDLE1BQU0scUJBQXFCLEdBQUcsV0FBVztFQUN6QyxNQUFNLGtCQUFrQixHQUFHLFFBQVE7RUFNbkMsTUFBTSxjQUFjLEdBQUcsTUFBTTtFQUM3QixNQUFNLG9CQUFvQixHQUFHLFlBQVk7RUFFekMsTUFBTSxnQkFBZ0IsR0FBRyxhQUFhO0VBQ3RDLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLE9BQU8sQ0FBQztFQUN0RCxNQUFNLGFBQWEsR0FBRyxDQUFDLEVBQUUsZ0JBQWdCLENBQUMsR0FBRyxDQUFDO0VBQ3JEO0VBQ08sTUFBTSxpQkFBaUIsR0FBRyxlQUFlO0VBQ3pDLE1BQU0seUJBQXlCLEdBQUcsb0JBQW9COztFQ1A3RCxNQUFNLGVBQWUsR0FBRyxNQUFNO0VBQzlCLEVBQUUsTUFBTSxJQUFJLEdBQUcsQ0FBQyxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLG1CQUFtQixLQUFLLElBQUk7RUFDcEYsRUFBRSxPQUFPLENBQUMsaUJBQWlCLEVBQUUsSUFBSSxDQUFDLENBQUM7RUFDbkMsQ0FBQzs7RUFFRDtFQUNBLE1BQU0sU0FBUyxHQUFHLE9BQU87RUFDekIsRUFBRSxLQUFLLEVBQUUsQ0FBQyxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLG9CQUFvQixLQUFLLFNBQVM7RUFDcEYsQ0FBQyxDQUFDOztFQUVGO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxhQUFhLEdBQUc7RUFDdEIsRUFBRSxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sS0FBSztFQUMzQixJQUFJLElBQUksTUFBTSxDQUFDLGtCQUFrQixFQUFFO0VBQ25DLE1BQU0sT0FBTyxDQUFDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQztFQUN4QyxNQUFNO0VBQ04sSUFBSTtFQUNKLElBQUksTUFBTSxDQUFDLGdCQUFnQixDQUFDLGdCQUFnQixFQUFFLE1BQU0sT0FBTyxDQUFDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFO0VBQ3hGLE1BQU0sSUFBSSxFQUFFLElBQUk7RUFDaEIsS0FBSyxDQUFDO0VBQ04sRUFBRSxDQUFDLENBQUM7O0VBRUo7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxlQUFlLEdBQUcsQ0FBQyxHQUFHLEtBQUs7RUFDakMsRUFBRSxNQUFNLFdBQVcsR0FBRyxJQUFJLEdBQUcsRUFBRSxDQUFDO0VBQ2hDLEVBQUUsSUFBSSxhQUFhLEdBQUcsQ0FBQzs7RUFFdkIsRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLGFBQWEsRUFBRSxDQUFDLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxLQUFLO0VBQzVDLElBQUksTUFBTSxHQUFHLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7RUFDbkMsSUFBSSxJQUFJLEdBQUcsRUFBRTtFQUNiLE1BQU0sV0FBVyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7RUFDNUIsTUFBTSxHQUFHLENBQUMsTUFBTSxDQUFDO0VBQ2pCLElBQUk7RUFDSixFQUFFLENBQUMsQ0FBQzs7RUFFSixFQUFFLE9BQU87RUFDVCxJQUFJLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPLEtBQUssR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsZ0JBQWdCLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztFQUMxRSxJQUFJLElBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsR0FBRyxLQUFLO0VBQ25DLE1BQU0sTUFBTSxFQUFFLEdBQUcsT0FBTyxHQUFHLEtBQUssVUFBVSxHQUFHLGFBQWEsRUFBRSxHQUFHLElBQUk7RUFDbkUsTUFBTSxJQUFJLEVBQUUsRUFBRTtFQUNkLFFBQVEsV0FBVyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDO0VBQ2hDLE1BQU07RUFDTixNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsQ0FBQztFQUM5RCxJQUFJLENBQUM7RUFDTDtFQUNBLElBQUksUUFBUSxFQUFFLE1BQU0sR0FBRyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxTQUFTLEVBQUUsQ0FBQztFQUM1RCxHQUFHO0VBQ0gsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHVCQUF1QixHQUFHLE1BQU07RUFDdEMsRUFBRSxNQUFNLEtBQUssR0FBRyxTQUFTLEVBQUUsQ0FBQyxLQUFLO0VBQ2pDLEVBQUUsTUFBTSxLQUFLLEdBQUcsS0FBSyxHQUFHLENBQUMsT0FBTyxFQUFFLGtCQUFrQixDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxFQUFFO0VBQ2xFLEVBQUUsTUFBTSxNQUFNLEdBQUcsSUFBSSxXQUFXLENBQUMsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0VBQ3ZFLEVBQUUsSUFBSSxRQUFRLEdBQUcsSUFBSTtFQUNyQjtFQUNBLEVBQUUsTUFBTSxhQUFhLEdBQUcsRUFBRTs7RUFFMUIsRUFBRSxNQUFNLElBQUksR0FBRyxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsR0FBRyxLQUFLO0VBQ3hDLElBQUksS0FBSyxDQUFDLENBQUMsRUFBRSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFO0VBQ3RFLE1BQU0sTUFBTSxFQUFFLE1BQU07RUFDcEIsTUFBTSxPQUFPLEVBQUUsRUFBRSxjQUFjLEVBQUUsa0JBQWtCLEVBQUUsQ0FBQyx5QkFBeUIsR0FBRyxLQUFLLElBQUksRUFBRSxFQUFFO0VBQy9GLE1BQU0sSUFBSSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxDQUFDO0VBQ3pELEtBQUs7RUFDTCxPQUFPLElBQUksQ0FBQyxDQUFDLFFBQVEsTUFBTSxRQUFRLENBQUMsRUFBRSxHQUFHLFFBQVEsQ0FBQyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUM7RUFDaEUsT0FBTyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUs7RUFDdEIsUUFBUSxJQUFJLElBQUksSUFBSSxPQUFPLEdBQUcsS0FBSyxVQUFVLEVBQUU7RUFDL0MsVUFBVSxHQUFHLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztFQUMxQixRQUFRO0VBQ1IsTUFBTSxDQUFDO0VBQ1AsT0FBTyxLQUFLLENBQUMsQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDLElBQUksQ0FBQyw0QkFBNEIsRUFBRSxLQUFLLENBQUMsQ0FBQztFQUMxRSxFQUFFLENBQUM7O0VBRUg7RUFDQSxFQUFFLE1BQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLE9BQU8sS0FBSztFQUMxRCxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFO0VBQzFDLElBQUksYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7RUFDNUQsRUFBRSxDQUFDLENBQUM7O0VBRUosRUFBRSxNQUFNLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLE1BQU07RUFDekM7RUFDQSxJQUFJLFFBQVEsR0FBRyxJQUFJO0VBQ25CLElBQUksSUFBSSxNQUFNLENBQUMsVUFBVSxLQUFLLFdBQVcsQ0FBQyxNQUFNLEVBQUU7RUFDbEQsTUFBTSxPQUFPLENBQUMsSUFBSSxDQUFDLGlDQUFpQyxDQUFDO0VBQ3JELElBQUk7RUFDSixFQUFFLENBQUMsQ0FBQzs7RUFFSixFQUFFLE9BQU87RUFDVCxJQUFJLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPO0VBQ3ZCLE1BQU0sTUFBTSxDQUFDLGdCQUFnQixDQUFDLENBQUMsRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxPQUFPO0VBQ3JFLFFBQVEsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO0VBQ3pDLE9BQU87RUFDUCxJQUFJLElBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxPQUFPLEVBQUUsR0FBRyxLQUFLO0VBQ25DLE1BQU0sSUFBSSxRQUFRLEVBQUU7RUFDcEIsUUFBUSxJQUFJLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUM7RUFDakMsTUFBTSxDQUFDLE1BQU07RUFDYixRQUFRLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0VBQ2pELE1BQU07RUFDTixJQUFJLENBQUM7RUFDTCxHQUFHO0VBQ0gsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQSxNQUFNLFFBQVEsQ0FBQztFQUNmLEVBQUUsV0FBVyxHQUFHO0VBQ2hCLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJO0VBQ3RCLElBQUksSUFBSSxDQUFDLGlCQUFpQixHQUFHLElBQUksQ0FBQztFQUNsQyxFQUFFOztFQUVGO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsRUFBRSxTQUFTLEdBQUc7RUFDZCxJQUFJLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEtBQUs7RUFDcEMsTUFBTSxJQUFJLE9BQU8sTUFBTSxDQUFDLEVBQUUsS0FBSyxXQUFXLEVBQUU7RUFDNUMsUUFBUSxPQUFPLENBQUMsSUFBSSxDQUFDO0VBQ3JCLFFBQVE7RUFDUixNQUFNOztFQUVOLE1BQU0sTUFBTSxNQUFNLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUM7RUFDckQsTUFBTSxNQUFNLENBQUMsSUFBSSxHQUFHLGlCQUFpQjtFQUNyQyxNQUFNLE1BQU0sQ0FBQyxLQUFLLEdBQUcsSUFBSTtFQUN6QixNQUFNLE1BQU0sQ0FBQyxHQUFHLEdBQUcsOENBQThDOztFQUVqRSxNQUFNLE1BQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLEVBQUUsTUFBTTtFQUM1QyxRQUFRLE9BQU8sQ0FBQyxJQUFJLENBQUM7RUFDckIsUUFBUSxNQUFNLENBQUMsTUFBTSxFQUFFO0VBQ3ZCLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sTUFBTSxDQUFDLGdCQUFnQixDQUFDLE9BQU8sRUFBRSxNQUFNO0VBQzdDLFFBQVEsT0FBTyxDQUFDLEtBQUssQ0FBQyxxREFBcUQsQ0FBQztFQUM1RSxRQUFRLE9BQU8sQ0FBQyxLQUFLLENBQUM7RUFDdEIsUUFBUSxNQUFNLENBQUMsTUFBTSxFQUFFO0VBQ3ZCLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sUUFBUSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDO0VBQ3ZDLElBQUksQ0FBQyxDQUFDO0VBQ04sRUFBRTs7RUFFRjtFQUNBO0VBQ0E7RUFDQTtFQUNBLEVBQUUsTUFBTSxlQUFlLEdBQUc7RUFDMUIsSUFBSSxJQUFJLE9BQU8sTUFBTSxDQUFDLEVBQUUsS0FBSyxXQUFXLEVBQUU7RUFDMUMsTUFBTSxNQUFNLFNBQVMsR0FBRyxNQUFNLElBQUksQ0FBQyxTQUFTLEVBQUU7RUFDOUMsTUFBTSxJQUFJLENBQUMsU0FBUyxFQUFFO0VBQ3RCLFFBQVEsT0FBTyxJQUFJO0VBQ25CLE1BQU07RUFDTixJQUFJOztFQUVKO0VBQ0EsSUFBSSxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLGVBQWUsRUFBRSxFQUFFO0VBQ2hELE1BQU0sVUFBVSxFQUFFLENBQUMsV0FBVyxFQUFFLFNBQVMsQ0FBQztFQUMxQyxNQUFNLElBQUksRUFBRSxTQUFTLEVBQUU7RUFDdkIsS0FBSyxDQUFDOztFQUVOLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQyxTQUFTLEVBQUUsTUFBTTtFQUMvQjtFQUNBLElBQUksQ0FBQyxDQUFDOztFQUVOLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQyxZQUFZLEVBQUUsTUFBTTtFQUNsQztFQUNBLElBQUksQ0FBQyxDQUFDOztFQUVOLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQyxlQUFlLEVBQUUsQ0FBQyxLQUFLLEtBQUs7RUFDMUMsTUFBTSxPQUFPLENBQUMsSUFBSSxDQUFDLDhCQUE4QixFQUFFLEtBQUssQ0FBQztFQUN6RCxJQUFJLENBQUMsQ0FBQztFQUNOLElBQUksT0FBTyxNQUFNO0VBQ2pCLEVBQUU7O0VBRUY7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLEVBQUUsTUFBTSxPQUFPLEdBQUc7RUFDbEIsSUFBSSxJQUFJLE1BQU0sQ0FBQyx3QkFBd0IsS0FBSyxjQUFjLEVBQUU7RUFDNUQsTUFBTSxPQUFPLGVBQWUsQ0FBQyxNQUFNLGFBQWEsRUFBRSxDQUFDO0VBQ25ELElBQUk7RUFDSixJQUFJLElBQUksTUFBTSxDQUFDLHdCQUF3QixLQUFLLG9CQUFvQixFQUFFO0VBQ2xFLE1BQU0sT0FBTyx1QkFBdUIsRUFBRTtFQUN0QyxJQUFJO0VBQ0osSUFBSSxPQUFPLElBQUksQ0FBQyxlQUFlLEVBQUU7RUFDakMsRUFBRTs7RUFFRjtFQUNBO0VBQ0E7RUFDQTtFQUNBLEVBQUUsTUFBTSxJQUFJLEdBQUc7RUFDZixJQUFJLElBQUk7RUFDUixNQUFNLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxJQUFJLENBQUMsT0FBTyxFQUFFO0VBQ3hDLE1BQU0sSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUU7RUFDeEIsUUFBUSxPQUFPLEtBQUs7RUFDcEIsTUFBTTs7RUFFTixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGdCQUFnQixFQUFFLENBQUMsTUFBTSxLQUFLO0VBQ25ELFFBQVEsSUFBSSxNQUFNLEVBQUU7RUFDcEIsVUFBVSxJQUFJLE1BQU0sQ0FBQyxJQUFJLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQzVELFlBQVksTUFBTSxDQUFDLG1CQUFtQixHQUFHLE1BQU0sQ0FBQyxJQUFJO0VBQ3BELFVBQVU7RUFDVixVQUFVLElBQUksTUFBTSxDQUFDLElBQUksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDNUQsWUFBWSxNQUFNLElBQUksR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxJQUFJLEdBQUcsWUFBWTtFQUM5RixZQUFZLE1BQU0sQ0FBQyxtQkFBbUIsR0FBRyxJQUFJO0VBQzdDLFlBQVksSUFBSSxNQUFNLENBQUMsZ0JBQWdCLEVBQUU7RUFDekMsY0FBYyxNQUFNLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDO0VBQzNDLFlBQVk7RUFDWixVQUFVO0VBQ1YsVUFBVSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsRUFBRTtFQUM3QyxZQUFZLE1BQU0sQ0FBQyx5QkFBeUIsR0FBRyxNQUFNLENBQUMsU0FBUyxJQUFJLElBQUk7RUFDdkUsWUFBWSxNQUFNLENBQUMsNEJBQTRCLEdBQUcsTUFBTSxDQUFDLFlBQVksSUFBSSxJQUFJO0VBQzdFLFVBQVU7RUFDVixVQUFVLElBQUksQ0FBQyxpQkFBaUIsR0FBRyxNQUFNLENBQUMsaUJBQWlCLElBQUksTUFBTSxDQUFDLFdBQVcsSUFBSSxJQUFJO0VBQ3pGLFVBQVUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDN0MsWUFBWSxJQUFJLE1BQU0sQ0FBQyw2QkFBNkIsRUFBRTtFQUN0RCxjQUFjLE1BQU0sQ0FBQyw2QkFBNkIsQ0FBQyxNQUFNLENBQUMsaUJBQWlCLElBQUksRUFBRSxDQUFDO0VBQ2xGLFlBQVksQ0FBQyxNQUFNO0VBQ25CLGNBQWMsTUFBTSxDQUFDLGlDQUFpQyxHQUFHLE1BQU0sQ0FBQyxpQkFBaUIsSUFBSSxFQUFFO0VBQ3ZGLFlBQVk7RUFDWixVQUFVO0VBQ1YsVUFBVSxJQUFJLE1BQU0sQ0FBQyxXQUFXLEVBQUU7RUFDbEMsWUFBWSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsdUJBQXVCLEVBQUU7RUFDakYsY0FBYyxNQUFNLENBQUMsdUJBQXVCLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQztFQUNoRSxZQUFZLENBQUMsTUFBTTtFQUNuQixjQUFjLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQ2pELGdCQUFnQixNQUFNLENBQUMsMkJBQTJCLEdBQUcsTUFBTSxDQUFDLFdBQVc7RUFDdkUsY0FBYztFQUNkLFlBQVk7RUFDWixVQUFVO0VBQ1YsUUFBUTtFQUNSLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxLQUFLO0VBQzVDLFFBQVEsSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtFQUNoQyxVQUFVLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxJQUFJLE1BQU0sQ0FBQyxvQkFBb0IsRUFBRTtFQUM1RSxZQUFZLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDO0VBQ25ELFVBQVUsQ0FBQyxNQUFNO0VBQ2pCLFlBQVksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDL0MsY0FBYyxNQUFNLENBQUMsd0JBQXdCLEdBQUcsSUFBSSxDQUFDLEtBQUs7RUFDMUQsWUFBWTtFQUNaLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxJQUFJLEtBQUs7RUFDN0MsUUFBUSxJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFO0VBQ2xDLFVBQVUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLHFCQUFxQixFQUFFO0VBQzdFLFlBQVksTUFBTSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7RUFDdEQsVUFBVSxDQUFDLE1BQU07RUFDakIsWUFBWSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsRUFBRTtFQUMvQyxjQUFjLE1BQU0sQ0FBQyx5QkFBeUIsR0FBRyxJQUFJLENBQUMsT0FBTztFQUM3RCxZQUFZO0VBQ1osVUFBVTtFQUNWLFFBQVE7RUFDUixNQUFNLENBQUMsQ0FBQzs7RUFFUixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGVBQWUsRUFBRSxDQUFDLElBQUksS0FBSztFQUNoRCxRQUFRLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLEVBQUU7RUFDaEMsVUFBVSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsd0JBQXdCLEVBQUU7RUFDaEYsWUFBWSxNQUFNLENBQUMsd0JBQXdCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQztFQUN2RCxVQUFVLENBQUMsTUFBTTtFQUNqQixZQUFZLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQy9DLGNBQWMsTUFBTSxDQUFDLDRCQUE0QixHQUFHLElBQUksQ0FBQyxLQUFLO0VBQzlELFlBQVk7RUFDWixVQUFVO0VBQ1YsUUFBUTtFQUNSLE1BQU0sQ0FBQyxDQUFDOztFQUVSO0VBQ0EsTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLEtBQUssS0FBSztFQUNuRCxRQUFRLElBQUksS0FBSyxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsMkJBQTJCLEVBQUU7RUFDMUYsVUFBVSxNQUFNLENBQUMsMkJBQTJCLENBQUMsS0FBSyxDQUFDO0VBQ25ELFFBQVE7RUFDUixNQUFNLENBQUMsQ0FBQzs7RUFFUixNQUFNLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGtCQUFrQixFQUFFLENBQUMsS0FBSyxLQUFLO0VBQ3BELFFBQVEsSUFBSSxLQUFLLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxJQUFJLE1BQU0sQ0FBQyw0QkFBNEIsRUFBRTtFQUMzRixVQUFVLE1BQU0sQ0FBQyw0QkFBNEIsQ0FBQyxLQUFLLENBQUM7RUFDcEQsUUFBUTtFQUNSLE1BQU0sQ0FBQyxDQUFDOztFQUVSLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMscUJBQXFCLEVBQUUsQ0FBQyxLQUFLLEtBQUs7RUFDdkQsUUFBUSxJQUFJLEtBQUssSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLCtCQUErQixFQUFFO0VBQzlGLFVBQVUsTUFBTSxDQUFDLCtCQUErQixDQUFDLEtBQUssQ0FBQztFQUN2RCxRQUFRO0VBQ1IsTUFBTSxDQUFDLENBQUM7O0VBRVIsTUFBTSxJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFO0VBQ2hDLFFBQVEsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUU7RUFDOUIsTUFBTTtFQUNOLE1BQU0sT0FBTyxJQUFJO0VBQ2pCLElBQUksQ0FBQyxDQUFDLE9BQU8sS0FBSyxFQUFFO0VBQ3BCLE1BQU0sT0FBTyxDQUFDLEtBQUssQ0FBQyw0Q0FBNEMsRUFBRSxLQUFLLENBQUM7RUFDeEUsTUFBTSxPQUFPLEtBQUs7RUFDbEIsSUFBSTtFQUNKLEVBQUU7RUFDRjs7RUFFQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLGVBQWUsS0FBSztFQUNyRSxFQUFFLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLHNCQUFzQixFQUFFLE9BQU8sRUFBRSxDQUFDLE1BQU0sS0FBSztFQUNwRSxJQUFJLElBQUksQ0FBQyxNQUFNLEVBQUU7O0VBRWpCLElBQUksTUFBTSxhQUFhLEdBQUcsT0FBTyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFO0VBQy9ELElBQUksSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLHFCQUFxQixFQUFFO0VBQ2pELE1BQU0sbUJBQW1CLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsVUFBVSxJQUFJLEVBQUUsRUFBRTtFQUN0RSxRQUFRLFdBQVcsRUFBRSxRQUFRLENBQUMsaUJBQWlCO0VBQy9DLFFBQVEsTUFBTSxFQUFFLENBQUMsU0FBUyxLQUFLO0VBQy9CLFVBQVUsY0FBYyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsU0FBUyxDQUFDLElBQUksQ0FBQztFQUMzRCxVQUFVLG9CQUFvQjtFQUM5QixZQUFZLFFBQVE7RUFDcEIsWUFBWSxFQUFFLEdBQUcsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsSUFBSSxFQUFFLEVBQUU7RUFDNUQsWUFBWSxlQUFlO0VBQzNCLFdBQVc7RUFDWCxRQUFRLENBQUM7RUFDVCxPQUFPLENBQUM7RUFDUixNQUFNO0VBQ04sSUFBSTtFQUNKLElBQUksSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLHFCQUFxQixFQUFFO0VBQ2pELE1BQU0sU0FBUyxDQUFDLENBQUMsa0JBQWtCLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQztFQUNyRCxNQUFNO0VBQ04sSUFBSTtFQUNKLElBQUksSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLGtCQUFrQixFQUFFO0VBQzlDLE1BQU0sU0FBUyxDQUFDLENBQUMsMkJBQTJCLEVBQUUsYUFBYSxDQUFDLCtCQUErQixDQUFDLENBQUM7RUFDN0YsTUFBTTtFQUNOLElBQUk7O0VBRUosSUFBSSxVQUFVLEVBQUU7RUFDaEIsSUFBSSxJQUFJLENBQUMsZUFBZSxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRTs7RUFFOUMsSUFBSSxNQUFNLEdBQUcsR0FBRyxjQUFjLENBQUMsZUFBZSxFQUFFLE1BQU0sQ0FBQyxRQUFRLEVBQUU7RUFDakUsTUFBTSxNQUFNLEVBQUUsTUFBTSxDQUFDLDRCQUE0QjtFQUNqRCxNQUFNLFdBQVcsRUFBRSxRQUFRLENBQUMsaUJBQWlCO0VBQzdDLEtBQUssQ0FBQztFQUNOLElBQUksSUFBSSxHQUFHLEVBQUU7RUFDYixNQUFNLGFBQWEsQ0FBQyxHQUFHLENBQUM7RUFDeEIsSUFBSTtFQUNKLEVBQUUsQ0FBQyxDQUFDO0VBQ0osQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGlCQUFpQixHQUFHLENBQUMsUUFBUSxFQUFFLGFBQWEsRUFBRSxNQUFNLEdBQUcsSUFBSSxLQUFLO0VBQ3RFO0VBQ0EsRUFBRSxNQUFNLGVBQWUsR0FBRyxrQkFBa0IsRUFBRTtFQUM5QyxFQUFFLE1BQU0sTUFBTSxHQUFHLG1CQUFtQixDQUFDLGFBQWEsQ0FBQztFQUNuRCxFQUFFLE1BQU0sT0FBTyxHQUFHO0VBQ2xCLElBQUksU0FBUyxFQUFFLGFBQWE7RUFDNUIsSUFBSSxNQUFNO0VBQ1YsSUFBSSxJQUFJLEVBQUUsZUFBZSxHQUFHLEtBQUssR0FBRyxRQUFRO0VBQzVDLElBQUksTUFBTSxFQUFFLE1BQU0sR0FBRyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsR0FBRyxJQUFJO0VBQzVDLEdBQUc7O0VBRUgsRUFBRSxvQkFBb0IsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLGVBQWUsQ0FBQztFQUMxRCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBLE1BQU0sa0JBQWtCLEdBQUcsWUFBWTtFQUN2QyxFQUFFLE1BQU0sUUFBUSxHQUFHLElBQUksUUFBUSxFQUFFO0VBQ2pDLEVBQUUsTUFBTSxTQUFTLEdBQUcsTUFBTSxRQUFRLENBQUMsSUFBSSxFQUFFOztFQUV6QyxFQUFFLElBQUksU0FBUyxFQUFFO0VBQ2pCO0VBQ0EsSUFBSSxNQUFNLENBQUMsMEJBQTBCLEdBQUcsQ0FBQyxhQUFhLEtBQUs7RUFDM0QsTUFBTSxJQUFJLFFBQVEsQ0FBQyxNQUFNLEVBQUU7RUFDM0IsUUFBUSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDO0VBQ2xELE1BQU07RUFDTixJQUFJLENBQUM7O0VBRUwsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLE9BQU8sRUFBRSxDQUFDLEtBQUssS0FBSztFQUN2RCxNQUFNLE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNO0VBQ2pDLE1BQU0sSUFBSSxNQUFNLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQ0EsZUFBeUIsQ0FBQyxFQUFFO0VBQ2hFLFFBQVEsTUFBTSxhQUFhLEdBQUcsTUFBTSxDQUFDLFlBQVksQ0FBQ0MscUJBQStCLENBQUM7RUFDbEYsUUFBUSxJQUFJLGFBQWEsSUFBSSxRQUFRLENBQUMsTUFBTSxFQUFFO0VBQzlDLFVBQVUsTUFBTSxNQUFNLEdBQUcsbUJBQW1CLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQ0MsbUJBQTZCLENBQUMsQ0FBQztFQUNoRyxVQUFVLElBQUksTUFBTSxFQUFFO0VBQ3RCLFlBQVksTUFBTSxDQUFDLEtBQUssR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDQyx3QkFBa0MsQ0FBQztFQUNsRixVQUFVO0VBQ1YsVUFBVSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsYUFBYSxFQUFFLE1BQU0sQ0FBQztFQUM1RCxRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUksQ0FBQyxDQUFDO0VBQ04sRUFBRTtFQUNGLENBQUM7O0VBRUQsSUFBSSxRQUFRLENBQUMsVUFBVSxLQUFLLFNBQVMsRUFBRTtFQUN2QyxFQUFFLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxrQkFBa0IsRUFBRSxrQkFBa0IsQ0FBQztFQUNuRSxDQUFDLE1BQU07RUFDUCxFQUFFLGtCQUFrQixFQUFFO0VBQ3RCOzs7Ozs7In0=
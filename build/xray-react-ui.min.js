@@ -5,12 +5,29 @@
   const xrayReactWrapperCN = 'xray-react-elements-wrapper';
   const xrayReactCompPathAttr = 'data-xray-react-components-path';
   const xrayReactFilteredCompPathAttr = 'data-xray-react-filtered-components-path';
+  const xrayReactSourceAttr = 'data-xray-react-source';
+  const xrayReactSourceExactAttr = 'data-xray-react-source-exact';
+  // Names of the React Server Components in an overlay's path
+  const xrayReactServerCompsAttr = 'data-xray-react-server-components';
+  // Route ids of the route modules in an overlay's path (React Router framework mode, Remix)
+  const xrayReactRouteModulesAttr = 'data-xray-react-route-modules';
+  // Stamped on host elements at build time by the xray-react JSX transforms
+  const xraySourceAttr = 'data-xray-source';
+  const xrayComponentAttr = 'data-xray-component';
   const zIndex = 10000;
 
   const UI_MODE_FULL = 'full';
   const UI_MODE_SIMPLE = 'simple';
   const AVAILABLE_UI_MODES = [UI_MODE_FULL, UI_MODE_SIMPLE];
 
+  const EDITOR_URL_LABELS = {
+    vscode: 'VS Code',
+    cursor: 'Cursor',
+    idea: 'IntelliJ IDEA',
+    jetbrains: 'JetBrains Toolbox',
+    subl: 'Sublime Text',
+  };
+
   const HTML_ELEMENTS = new Set([
     'div',
     'span',
@@ -150,6 +167,27 @@
   .xray-react-element.-highlighted {
     z-index: 99999 !important;
   }
+  .xray-react-element.-server {
+    background-color: rgba(128, 0, 128, 0.25);
+    border-color: purple;
+  }
+  .xray-react-element.-server::after {
+    background-color: purple;
+  }
+  .xray-react-element.-server:hover,
+  .xray-react-element.-server.-highlighted {
+    background-color: rgba(128, 0, 128, 0.75);
+    border-color: violet;
+  }
+  .xray-react-element.-server:hover::before,
+  .xray-react-element.-server.-highlighted::before {
+    color: violet;
+  }
+  .xray-react-element.-server:hover::after,
+  .xray-react-element.-server.-highlighted::after {
+    background-color: violet;
+    color: purple;
+  }
   .xray-react-action-bar {
     align-items: center;
     background-color: darkblue;
@@ -239,6 +277,12 @@
     white-space: nowrap;
     word-break: keep-all;
   }
+  .components-path .server-component {
+    color: violet;
+  }
+  .components-path .route-module {
+    color: gold;
+  }
   .components-path::-webkit-scrollbar {
     height: 4px;
   }
@@ -252,6 +296,65 @@
   .components-path::-webkit-scrollbar-thumb:hover {
     background: #00ffff;
   }
+  .editor-select-wrapper {
+    align-items: center;
+    color: lightgray;
+    display: flex;
+    flex-shrink: 0;
+    font-size: 11px;
+    gap: 6px;
+    margin-left: 15px;
+  }
+  #xray-react-editor {
+    background-color: lightgray;
+    border-radius: 3px;
+    border: 0;
+    font-size: 12px;
+    height: 24px;
+    outline: 0;
+  }
+  .xray-react-notice {
+    align-items: center;
+    background-color: darkblue;
+    border: 1px solid cyan;
+    border-radius: 3px;
+    bottom: 60px;
+    color: white;
+    display: flex;
+    flex-wrap: wrap;
+    font-family: "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    font-size: 12px;
+    gap: 6px;
+    left: 10px;
+    max-width: calc(100vw - 40px);
+    padding: 8px 10px;
+    position: fixed;
+    z-index: 1000000;
+  }
+  .xray-react-notice[hidden] {
+    display: none;
+  }
+  .xray-react-candidate {
+    background-color: lightgray;
+    border: 0;
+    border-radius: 3px;
+    color: darkblue;
+    cursor: pointer;
+    font-size: 12px;
+    padding: 3px 8px;
+  }
+  .xray-react-candidate:hover {
+    background-color: cyan;
+  }
+  .xray-react-notice-close {
+    background: none;
+    border: 0;
+    color: lightgray;
+    cursor: pointer;
+    font-size: 16px;
+    line-height: 1;
+    margin-left: auto;
+  }
   .xray-react-element-temp {
     display: flex !important;
     align-items: center !important;
@@ -300,21 +403,464 @@
         </button>
       </div>
       <div class="components-path"></div>
+      <label class="editor-select-wrapper">
+        <span>Open in</span>
+        <select id="xray-react-editor" aria-label="Editor to open files in"></select>
+      </label>
     </div>
+    <div class="xray-react-notice" role="status" hidden></div>
   </div>
 `;
 
+  /**
+   * Minimal source map support for the browser bundle
+   * Loads the maps the dev server already serves for its scripts and maps generated positions
+   * back to original files. Only what stack frame mapping needs: VLQ mappings and source lookup.
+   */
+
+  const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const BASE64_VALUES = new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+  /**
+   * Decodes one line of VLQ-encoded segments
+   * @param {string} line - Encoded segments of a generated line, separated by commas
+   * @param {Array<number>} state - Running [sourceIndex, sourceLine, sourceColumn] shared across lines
+   * @returns {Array<Array<number>>} Segments as [generatedColumn, sourceIndex, sourceLine, sourceColumn]
+   */
+  const decodeMappingsLine = (line, state) => {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const encoded of line.split(',')) {
+      if (!encoded) continue;
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+
+      for (const char of encoded) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) break;
+
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      generatedColumn += values[0] || 0;
+      if (values.length >= 4) {
+        state[0] += values[1];
+        state[1] += values[2];
+        state[2] += values[3];
+        segments.push([generatedColumn, state[0], state[1], state[2]]);
+      }
+    }
+
+    return segments;
+  };
+
+  /**
+   * Converts a script URL served by a dev server to a file name
+   * @param {string} url - Script URL (http(s)://, webpack-internal://, file://)
+   * @returns {string} File name (absolute path, or path relative to the dev server root)
+   */
+  const urlToFileName = (url) => {
+    if (!url) return url;
+
+    if (url.startsWith('webpack-internal:///')) {
+      return url.replace('webpack-internal:///', '').replace(/^\.\//, '').replace(/\?.*$/, '');
+    }
+
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'file:') {
+        return decodeURIComponent(parsed.pathname);
+      }
+
+      const pathname = decodeURIComponent(parsed.pathname);
+      if (pathname.startsWith('/@fs/')) {
+        return pathname.slice('/@fs'.length);
+      }
+      return pathname.replace(/^\/+/, '');
+    } catch {
+      return url.replace(/\?.*$/, '');
+    }
+  };
+
+  /**
+   * Converts a source map `sources` entry to a file name
+   * Strips bundler URL schemes (webpack://, /@fs/) and resolves relative entries against the map URL
+   * @param {string} source - Source entry
+   * @param {string} mapUrl - URL of the source map
+   * @returns {string} File name (absolute path, or path relative to the dev server root)
+   */
+  const normalizeSourceName = (source, mapUrl) => {
+    if (!source) return source;
+
+    const webpackMatch = source.match(/^webpack:\/\/[^/]*\/(.*)$/);
+    if (webpackMatch) {
+      return webpackMatch[1].replace(/^\.\//, '');
+    }
+
+    if (/^file:\/\//i.test(source)) {
+      return decodeURIComponent(source.replace(/^file:\/\//i, ''));
+    }
+
+    if (source.startsWith('/')) {
+      return source.replace(/^\/@fs\//, '/');
+    }
+
+    try {
+      return urlToFileName(new URL(source, mapUrl).href);
+    } catch {
+      return source;
+    }
+  };
+
+  /**
+   * Parses a source map object into a lookup-friendly structure
+   * Index maps (with `sections`) are not supported
+   * @param {Object} rawMap - Source map JSON
+   * @param {string} mapUrl - URL the map was loaded from, used to resolve relative sources
+   * @returns {Object|null} Parsed source map or null if unsupported
+   */
+  const parseSourceMap = (rawMap, mapUrl) => {
+    if (!rawMap || typeof rawMap.mappings !== 'string' || !Array.isArray(rawMap.sources)) {
+      return null;
+    }
+
+    const sourceRoot = rawMap.sourceRoot || '';
+    const sources = rawMap.sources.map((source) => {
+      const withRoot = sourceRoot && !/^[a-z]+:/i.test(source) ? `${sourceRoot}${source}` : source;
+      return normalizeSourceName(withRoot, mapUrl);
+    });
+
+    const state = [0, 0, 0];
+    const lines = rawMap.mappings.split(';').map((line) => decodeMappingsLine(line, state));
+
+    return { sources, lines };
+  };
+
+  /**
+   * Finds the original position of a generated position
+   * @param {Object} map - Parsed source map
+   * @param {number} line - 1-based generated line
+   * @param {number} column - 1-based generated column
+   * @returns {Object|null} Original position ({ fileName, lineNumber, columnNumber }) or null
+   */
+  const originalPositionFor = (map, line, column) => {
+    const segments = map?.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    const generatedColumn = Math.max(0, (column || 1) - 1);
+    let match = null;
+    for (const segment of segments) {
+      if (segment[0] > generatedColumn) break;
+      match = segment;
+    }
+    match = match || segments[0];
+
+    const fileName = map.sources[match[1]];
+    if (!fileName) return null;
+
+    return { fileName, lineNumber: match[2] + 1, columnNumber: match[3] + 1 };
+  };
+
+  /**
+   * Decodes a base64 data URL payload as UTF-8 text
+   * @param {string} dataUrl - data: URL
+   * @returns {string} Decoded text
+   */
+  const decodeDataUrl = (dataUrl) => {
+    const [header, payload = ''] = dataUrl.split(',');
+    if (!header.includes(';base64')) {
+      return decodeURIComponent(payload);
+    }
+
+    const binary = atob(payload);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  };
+
+  /**
+   * Loads and parses the source map of a script served by the dev server
+   * Supports inline (data: URL) and external `sourceMappingURL` references
+   * @param {string} scriptUrl - Script URL
+   * @returns {Promise<Object|null>} Parsed source map or null if unavailable
+   */
+  const loadSourceMap = async (scriptUrl) => {
+    try {
+      const response = await fetch(scriptUrl);
+      if (!response.ok) return null;
+
+      const code = await response.text();
+      const references = [...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)/g)];
+      if (references.length === 0) return null;
+
+      const reference = references[references.length - 1][1];
+
+      if (reference.startsWith('data:')) {
+        return parseSourceMap(JSON.parse(decodeDataUrl(reference)), scriptUrl);
+      }
+
+      const mapUrl = new URL(reference, scriptUrl).href;
+      const mapResponse = await fetch(mapUrl);
+      if (!mapResponse.ok) return null;
+
+      return parseSourceMap(await mapResponse.json(), mapUrl);
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Source location helpers shared by the UI and client bundles
+   * A source location is { fileName, lineNumber, columnNumber } (1-based line and column)
+   */
+
+  const sourceMaps = new Map(); // script URL -> parsed source map, or null when unavailable
+  const pendingScriptUrls = new Set();
+  const stackSourceCache = new WeakMap(); // _debugStack Error -> resolved source location
+
+  // Frames created by React itself (JSX runtime, reconciler) rather than by a component's render
+  const REACT_INTERNAL_FUNCTIONS = new Set(['jsxDEV', 'jsx', 'jsxs', 'createElement']);
+  const REACT_INTERNAL_FILES =
+    /node_modules[/\\](react|react-dom|scheduler)[/\\]|react[-_]jsx[-_]dev[-_]runtime|react[-_]jsx[-_]runtime|react-dom[-_]client|react-dom\.development/i;
+
+  /**
+   * Parses an Error stack into frames
+   * Supports V8 (`at fn (url:line:col)`) and Firefox/Safari (`fn@url:line:col`) formats
+   * @param {string} stack - Error stack string
+   * @returns {Array<Object>} Frames ({ functionName, url, lineNumber, columnNumber })
+   */
+  const parseStackFrames = (stack) => {
+    if (!stack || typeof stack !== 'string') return [];
+
+    const frames = [];
+    for (const line of stack.split('\n')) {
+      const match =
+        line.match(/^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+        line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+
+      if (match) {
+        frames.push({
+          functionName: (match[1] || '')
+            .replace(/^(async|new) /, '')
+            .split('.')
+            .pop(),
+          url: match[2],
+          lineNumber: parseInt(match[3], 10),
+          columnNumber: parseInt(match[4], 10),
+        });
+      }
+    }
+
+    return frames;
+  };
+
+  /**
+   * Maps a stack frame to an original source location
+   * Uses the script's source map when it has been loaded, otherwise queues it for loading
+   * and falls back to the generated position
+   * @param {Object} frame - Stack frame
+   * @returns {{source: Object, isMapped: boolean}} Source location and whether it is final
+   */
+  const mapStackFrame = (frame) => {
+    const scriptUrl = frame.url;
+    const isFetchable = /^https?:\/\//i.test(scriptUrl);
+
+    if (isFetchable && sourceMaps.has(scriptUrl)) {
+      const map = sourceMaps.get(scriptUrl);
+      const original = map && originalPositionFor(map, frame.lineNumber, frame.columnNumber);
+      if (original) {
+        return { source: original, isMapped: true };
+      }
+    } else if (isFetchable) {
+      pendingScriptUrls.add(scriptUrl);
+    }
+
+    return {
+      source: {
+        fileName: urlToFileName(frame.url),
+        lineNumber: frame.lineNumber,
+        columnNumber: frame.columnNumber,
+      },
+      isMapped: !isFetchable || sourceMaps.has(scriptUrl),
+    };
+  };
+
+  /**
+   * Resolves the source location from a React 19 `_debugStack`
+   * The first frame outside React internals is the render that created the element,
+   * which is what `_debugSource` used to describe
+   * @param {Error|string} debugStack - Fiber `_debugStack`
+   * @returns {Object|null} Source location or null
+   */
+  const getStackSource = (debugStack) => {
+    const isErrorObject = typeof debugStack === 'object' && debugStack !== null;
+    if (isErrorObject && stackSourceCache.has(debugStack)) {
+      return stackSourceCache.get(debugStack);
+    }
+
+    const frames = parseStackFrames(isErrorObject ? debugStack.stack : debugStack);
+    let result = null;
+    let isFinal = true;
+
+    for (const frame of frames) {
+      if (REACT_INTERNAL_FUNCTIONS.has(frame.functionName)) continue;
+
+      const { source, isMapped } = mapStackFrame(frame);
+      isFinal = isFinal && isMapped;
+
+      if (source.fileName && !REACT_INTERNAL_FILES.test(source.fileName)) {
+        result = source;
+        break;
+      }
+    }
+
+    if (isErrorObject && isFinal) {
+      stackSourceCache.set(debugStack, result);
+    }
+
+    return result;
+  };
+
+  /**
+   * Gets the source location React recorded for a fiber
+   * Uses `_debugSource` (React <= 18) and falls back to `_debugStack` (React 19+)
+   * @param {Object} fiber - React fiber node
+   * @returns {Object|null} Source location or null if not available
+   */
+  const getFiberSource = (fiber) => {
+    const source = fiber?._debugSource;
+    if (source && source.fileName) {
+      return {
+        fileName: source.fileName,
+        lineNumber: source.lineNumber || null,
+        columnNumber: source.columnNumber || null,
+      };
+    }
+
+    if (fiber?._debugStack) {
+      try {
+        return getStackSource(fiber._debugStack);
+      } catch {
+        return null;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Loads source maps for scripts seen in stack frames since the last call
+   * After it resolves, getFiberSource returns original file positions for those scripts
+   * @returns {Promise<boolean>} True if any new source map was loaded
+   */
+  const loadPendingSourceMaps = async () => {
+    const scriptUrls = [...pendingScriptUrls].filter((url) => !sourceMaps.has(url));
+    pendingScriptUrls.clear();
+
+    if (scriptUrls.length === 0) return false;
+
+    const maps = await Promise.all(scriptUrls.map((url) => loadSourceMap(url)));
+    scriptUrls.forEach((url, index) => sourceMaps.set(url, maps[index]));
+
+    return maps.some(Boolean);
+  };
+
+  /**
+   * Serializes a source location to the `file:line:column` format used in DOM attributes
+   * @param {Object} source - Source location
+   * @returns {string} Serialized location or empty string
+   */
+  const formatSourceLocation = (source) => {
+    if (!source || !source.fileName) return '';
+    return `${source.fileName}:${source.lineNumber || ''}:${source.columnNumber || ''}`;
+  };
+
+  /**
+   * Parses a `file:line:column` string back to a source location
+   * Line and column are matched from the end so Windows drive letters are kept in the file name
+   * @param {string} value - Serialized location
+   * @returns {Object|null} Source location or null
+   */
+  const parseSourceLocation = (value) => {
+    if (!value) return null;
+
+    const match = String(value).match(/^(.+?):(\d*):(\d*)$/);
+    if (!match) {
+      return { fileName: String(value), lineNumber: null, columnNumber: null };
+    }
+
+    return {
+      fileName: match[1],
+      lineNumber: match[2] ? parseInt(match[2], 10) : null,
+      columnNumber: match[3] ? parseInt(match[3], 10) : null,
+    };
+  };
+
+  /**
+   * Editor URL helpers shared by the UI and client bundles
+   * Instead of the server launching an editor process (which fails when the server runs in a
+   * container or over SSH), the browser can open the resolved file through an editor URL scheme
+   */
+
+  const EDITOR_PREFERENCE_KEY = 'xray-react:editor';
+
+  // Preference value for launching the editor on the server even if the project sets a URL scheme
+  const EDITOR_PREFERENCE_SERVER = 'server';
+
+  /**
+   * Gets the editor the user picked in the action bar
+   * @returns {string} '' (project default), 'server' or an editor URL scheme
+   */
+  const getEditorPreference = () => {
+    try {
+      return window.localStorage.getItem(EDITOR_PREFERENCE_KEY) || '';
+    } catch {
+      return ''; // Storage disabled (e.g., privacy settings)
+    }
+  };
+
+  /**
+   * Stores the editor the user picked in the action bar
+   * @param {string} preference - '' (project default), 'server' or an editor URL scheme
+   */
+  const setEditorPreference = (preference) => {
+    try {
+      if (preference) {
+        window.localStorage.setItem(EDITOR_PREFERENCE_KEY, preference);
+      } else {
+        window.localStorage.removeItem(EDITOR_PREFERENCE_KEY);
+      }
+    } catch {
+      // Storage disabled, the choice only lasts for this page
+    }
+  };
+
   const MAX_FIBER_DEPTH = 50; // Prevent infinite loops
 
   let projectRoot = null;
+  let workspacePackages = []; // [{ name, path }] with normalized paths and lowercase names
   let usageMap = {};
-  let importMap = {};
+  let importMap = {}; // filePath -> { importedName -> resolved file or null }
   let projectFilePaths = new Set();
   let normalizedProjectFilePaths = new Set(); // Pre-normalized paths for O(1) lookup
   let componentNameToFilesIndex = new Map(); // componentName -> Set<filePath> for O(1) lookup
   const normalizePathCache = new Map(); // Memoization cache for normalizePath
   let currentMode = UI_MODE_FULL;
+  const stampedInstanceIds = new WeakMap(); // root element of a stamped component -> overlay uid
+  const serverComponentIds = new WeakMap(); // server component info -> overlay uid
+  let nextStampedInstanceId = 0;
+  let nextServerComponentId = 0;
 
+  // Keep in sync with IGNORED_DIRS in lib/constants.js, which the server skips when scanning
   const EXTERNAL_PATTERNS = [
     /node_modules/i,
     /\.next[/\\]/i,
@@ -359,6 +905,28 @@
     return EXTERNAL_PATTERNS.some((pattern) => pattern.test(normalized));
   };
 
+  /**
+   * Checks if a file path belongs to a workspace package the project depends on
+   * Matches the package directory and node_modules symlinks to it (node_modules/<name>/...)
+   * @param {string} filePath - File path to check
+   * @returns {boolean} True for workspace package files
+   */
+  const isWorkspacePath = (filePath) => {
+    if (!filePath || workspacePackages.length === 0) return false;
+
+    const normalized = normalizePath(filePath);
+    const linkIndex = normalized.lastIndexOf('node_modules/');
+    return workspacePackages.some(({ name, path }) => {
+      if (normalized.startsWith(`${path}/`)) {
+        // Dependencies installed inside the package are not part of it
+        return !normalized.slice(path.length).includes('/node_modules/');
+      }
+      return (
+        linkIndex !== -1 && normalized.startsWith(`${name}/`, linkIndex + 'node_modules/'.length)
+      );
+    });
+  };
+
   /**
    * Detects project root from a file path by finding common base path
    * @param {Array<string>} filePaths - Array of file paths from fibers
@@ -465,6 +1033,32 @@
     }
   };
 
+  /**
+   * Fills the editor select of the action bar and stores the user's choice
+   * The choice is kept in localStorage, so it applies to every page of the project
+   */
+  const setupEditorSelect = () => {
+    const select = document.getElementById('xray-react-editor');
+    if (!select || select.hasAttribute('data-listener-attached')) {
+      return;
+    }
+
+    const projectScheme = window.__XRAY_REACT_EDITOR_URL__;
+    const projectDefault = EDITOR_URL_LABELS[projectScheme] || 'editor on server';
+    const options = [
+      ['', `Project default (${projectDefault})`],
+      [EDITOR_PREFERENCE_SERVER, 'Editor on server'],
+      ...Object.entries(EDITOR_URL_LABELS),
+    ];
+
+    select.innerHTML = options
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    select.value = getEditorPreference();
+    select.setAttribute('data-listener-attached', 'true');
+    select.addEventListener('change', () => setEditorPreference(select.value));
+  };
+
   /**
    * Gets the current mode from window or defaults to UI_MODE_FULL
    * @returns {string} Current mode (UI_MODE_FULL or UI_MODE_SIMPLE)
@@ -492,13 +1086,18 @@
    * Creates an overlay element for a React component
    * @param {HTMLElement} elem - The DOM element
    * @param {string} componentName - Name of the React component
+   * @param {Object} source - Optional source location of the rendered element
+   * @param {boolean} isServer - Whether the component is a React Server Component
    * @returns {Object} Object containing original element and overlay element
    */
-  const createElemForComponent = (elem, componentName) => {
+  const createElemForComponent = (elem, componentName, source = null, isServer = false) => {
     const xrayReactElem = document.createElement('div');
     const boundingClientRect = elem.getBoundingClientRect();
 
     xrayReactElem.className = xrayReactElemCN;
+    if (isServer) {
+      xrayReactElem.classList.add('-server');
+    }
     xrayReactElem.setAttribute('data-xray-react-element-name', componentName);
     xrayReactElem.setAttribute('data-xray-react-element-search-name', componentName.toLowerCase());
     xrayReactElem.style.height = `${boundingClientRect.height}px`;
@@ -507,6 +1106,13 @@
     xrayReactElem.style.left = `${boundingClientRect.left + window.scrollX}px`;
     xrayReactElem.style.zIndex = zIndex;
 
+    if (source) {
+      xrayReactElem.setAttribute(xrayReactSourceAttr, formatSourceLocation(source));
+      if (source.exact) {
+        xrayReactElem.setAttribute(xrayReactSourceExactAttr, 'true');
+      }
+    }
+
     return { elem, xrayReactElem };
   };
 
@@ -520,6 +1126,88 @@
     return HTML_ELEMENTS.has(name.toLowerCase());
   };
 
+  /**
+   * Reads the component name and source location stamped on a host element at build time
+   * @param {HTMLElement} elem - DOM element
+   * @returns {Object|null} Object with owner component name and exact source, or null
+   */
+  const getStampedComponent = (elem) => {
+    const value = elem && elem.getAttribute ? elem.getAttribute(xraySourceAttr) : null;
+    if (!value) return null;
+
+    return {
+      name: elem.getAttribute(xrayComponentAttr) || null,
+      source: { ...parseSourceLocation(value), exact: true },
+    };
+  };
+
+  /**
+   * Gets a stable overlay uid for a stamped component instance without React internals
+   * The instance is identified by its outermost element stamped with the same component name
+   * @param {HTMLElement} elem - Stamped DOM element
+   * @param {string} componentName - Owner component name from the stamp
+   * @returns {string} Overlay uid
+   */
+  const getStampedInstanceId = (elem, componentName) => {
+    let rootElem = elem;
+    while (
+      rootElem.parentElement &&
+      rootElem.parentElement.getAttribute(xrayComponentAttr) === componentName
+    ) {
+      rootElem = rootElem.parentElement;
+    }
+
+    if (!stampedInstanceIds.has(rootElem)) {
+      stampedInstanceIds.set(rootElem, `xray-${nextStampedInstanceId++}`);
+    }
+    return stampedInstanceIds.get(rootElem);
+  };
+
+  /**
+   * Picks the source location to open for an overlay
+   * A build-time stamp is exact when it was written inside the overlay's own component,
+   * otherwise the location React reported is used
+   * @param {HTMLElement} elem - DOM element the overlay covers
+   * @param {string} componentName - Overlay component name
+   * @param {Object} fiberSource - Source location from React fibers
+   * @returns {Object|null} Source location
+   */
+  const getOverlaySource = (elem, componentName, fiberSource) => {
+    const stamped = getStampedComponent(elem);
+    if (stamped && stamped.name === componentName) {
+      return stamped.source;
+    }
+
+    return fiberSource || (stamped ? { ...stamped.source, exact: false } : null);
+  };
+
+  /**
+   * Builds the component list of an element from build-time stamps on it and its ancestors
+   * Used when React internals are not available (e.g., Preact or stripped fibers)
+   * @param {HTMLElement} elem - DOM element
+   * @returns {Array} Component objects in parent -> child order
+   */
+  const getStampedComponentsFromElement = (elem) => {
+    const components = [];
+    let currentElem = elem;
+
+    while (currentElem && currentElem !== document.body) {
+      const stamped = getStampedComponent(currentElem);
+      const lastComponent = components[components.length - 1];
+      if (stamped && stamped.name && (!lastComponent || lastComponent.name !== stamped.name)) {
+        components.push({
+          name: stamped.name,
+          file: stamped.source.fileName,
+          isInternal: true,
+          isStamped: true,
+        });
+      }
+      currentElem = currentElem.parentElement;
+    }
+
+    return components.reverse();
+  };
+
   /**
    * Resolves component name from element type and fiber
    * Handles function components, class components, forwardRef, memo, etc.
@@ -558,8 +1246,9 @@
       }
     }
 
-    if (fiber && fiber._debugSource) {
-      const fileName = fiber._debugSource.fileName;
+    const fiberSource = getFiberSource(fiber);
+    if (fiberSource) {
+      const fileName = fiberSource.fileName;
       if (fileName) {
         const match = fileName.match(/([^/\\]+)\.(jsx?|tsx?)$/);
         if (match) {
@@ -583,9 +1272,13 @@
       return true;
     }
 
-    const filePath = fiber?._debugSource?.fileName;
+    const filePath = getFiberSource(fiber)?.fileName;
 
     if (filePath) {
+      if (isWorkspacePath(filePath)) {
+        return true;
+      }
+
       if (isExternalPath(filePath)) {
         return false;
       }
@@ -631,6 +1324,18 @@
     }
   };
 
+  /**
+   * Sets the workspace packages whose components count as project components
+   * @param {Array<Object>} packages - Workspace packages ({ name, path })
+   */
+  const setWorkspacePackages = (packages) => {
+    workspacePackages = (packages || [])
+      .filter(
+        (workspacePackage) => workspacePackage && workspacePackage.name && workspacePackage.path,
+      )
+      .map(({ name, path }) => ({ name: name.toLowerCase(), path: normalizePath(path) }));
+  };
+
   /**
    * Sets the usage map for filtering external components
    * @param {Object} map - Usage map (file path -> Array of component names)
@@ -671,6 +1376,60 @@
     Object.keys(importMap || {}).forEach((filePath) => projectFilePaths.add(filePath));
   };
 
+  /**
+   * Gets the keys a project file is indexed under: its file name and directory names
+   * @param {string} normalized - Normalized file path
+   * @returns {Array<string>} Index keys
+   */
+  const getProjectFileIndexKeys = (normalized) => {
+    const pathParts = normalized.split('/');
+    const filename = pathParts[pathParts.length - 1] || '';
+    const filenameWithoutExt = filename.replace(/\.(tsx?|jsx?)$/, '');
+    const keys = filenameWithoutExt ? [filenameWithoutExt] : [];
+
+    for (const part of pathParts.slice(0, -1)) {
+      if (part && part.length > 1) {
+        keys.push(part);
+      }
+    }
+
+    return keys;
+  };
+
+  /**
+   * Adds a project file to the normalized paths and component name index
+   * @param {string} filePath - Project file path
+   */
+  const indexProjectFile = (filePath) => {
+    const normalized = normalizePath(filePath);
+    normalizedProjectFilePaths.add(normalized);
+
+    for (const key of getProjectFileIndexKeys(normalized)) {
+      if (!componentNameToFilesIndex.has(key)) {
+        componentNameToFilesIndex.set(key, new Set());
+      }
+      componentNameToFilesIndex.get(key).add(filePath);
+    }
+  };
+
+  /**
+   * Removes a project file from the normalized paths and component name index
+   * @param {string} filePath - Project file path
+   */
+  const unindexProjectFile = (filePath) => {
+    const normalized = normalizePath(filePath);
+    normalizedProjectFilePaths.delete(normalized);
+
+    for (const key of getProjectFileIndexKeys(normalized)) {
+      const files = componentNameToFilesIndex.get(key);
+      if (!files) continue;
+      files.delete(filePath);
+      if (files.size === 0) {
+        componentNameToFilesIndex.delete(key);
+      }
+    }
+  };
+
   /**
    * Sets the list of all project files found in sourcePath folders
    * @param {Array<string>} files - Array of all file paths found in sourcePath
@@ -696,72 +1455,121 @@
     componentNameToFilesIndex.clear();
 
     for (const filePath of fileList) {
-      const normalized = normalizePath(filePath);
-      normalizedProjectFilePaths.add(normalized);
+      indexProjectFile(filePath);
+    }
+  };
+
+  /**
+   * Applies a usage map delta sent by the server after files changed
+   * @param {Object} patch - Delta ({ set: {filePath: Array<string>}, remove: Array<string> })
+   */
+  const applyUsageMapPatch = (patch) => {
+    if (!patch) return;
+
+    Object.entries(patch.set || {}).forEach(([filePath, components]) => {
+      usageMap[filePath] = components;
+      projectFilePaths.add(filePath);
+    });
+    (patch.remove || []).forEach((filePath) => {
+      delete usageMap[filePath];
+    });
+  };
 
-      const pathParts = normalized.split('/');
-      const filename = pathParts[pathParts.length - 1] || '';
-      const filenameWithoutExt = filename.replace(/\.(tsx?|jsx?)$/, '');
+  /**
+   * Applies an import map delta sent by the server after files changed
+   * @param {Object} patch - Delta ({ set: {filePath: {name: resolvedFile}}, remove: Array<string> })
+   */
+  const applyImportMapPatch = (patch) => {
+    if (!patch) return;
+
+    Object.entries(patch.set || {}).forEach(([filePath, components]) => {
+      importMap[filePath] = components;
+      projectFilePaths.add(filePath);
+    });
+    (patch.remove || []).forEach((filePath) => {
+      delete importMap[filePath];
+    });
+  };
 
-      if (filenameWithoutExt) {
-        if (!componentNameToFilesIndex.has(filenameWithoutExt)) {
-          componentNameToFilesIndex.set(filenameWithoutExt, new Set());
-        }
-        componentNameToFilesIndex.get(filenameWithoutExt).add(filePath);
-      }
+  /**
+   * Applies a project files delta sent by the server after files were added or deleted
+   * @param {Object} patch - Delta ({ added: Array<string>, removed: Array<string> })
+   */
+  const applyProjectFilesPatch = (patch) => {
+    if (!patch) return;
+
+    (patch.added || []).forEach((filePath) => {
+      if (projectFilePaths.has(filePath)) return;
+      projectFilePaths.add(filePath);
+      indexProjectFile(filePath);
+    });
+    (patch.removed || []).forEach((filePath) => {
+      projectFilePaths.delete(filePath);
+      unindexProjectFile(filePath);
+    });
+  };
+
+  /**
+   * Samples file paths of project components from React fibers found in the DOM
+   * @returns {Array<string>} Source file paths
+   */
+  const collectFilePathsFromDOM = () => {
+    const filePaths = [];
+    const maxSamples = 50; // Limit samples for performance
+    let samples = 0;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, null, false);
 
-      for (const part of pathParts.slice(0, -1)) {
-        if (part && part.length > 1) {
-          if (!componentNameToFilesIndex.has(part)) {
-            componentNameToFilesIndex.set(part, new Set());
+    let node;
+    while ((node = walker.nextNode()) && samples < maxSamples) {
+      const fiberKey = Object.keys(node).find(
+        (key) => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'),
+      );
+
+      if (fiberKey) {
+        const fiber = node[fiberKey];
+        let currentFiber = fiber;
+        let depth = 0;
+
+        while (currentFiber && depth < 10) {
+          const fiberSource = getFiberSource(currentFiber);
+          if (fiberSource) {
+            const filePath = fiberSource.fileName;
+            if (!isExternalPath(filePath)) {
+              filePaths.push(filePath);
+            }
           }
-          componentNameToFilesIndex.get(part).add(filePath);
+          currentFiber = currentFiber.return;
+          depth++;
+          samples++;
         }
       }
     }
+
+    return filePaths;
   };
 
   /**
    * Attempts to detect project root from fiber tree when server is not available
    * Scans DOM for React fibers and extracts file paths to infer project root
    */
-  const detectProjectRootFromDOM = () => {
+  const detectProjectRootFromDOM = async () => {
     if (projectRoot) {
       return;
     }
 
     try {
-      const filePaths = [];
-      const maxSamples = 50; // Limit samples for performance
-      let samples = 0;
-
-      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, null, false);
-
-      let node;
-      while ((node = walker.nextNode()) && samples < maxSamples) {
-        const fiberKey = Object.keys(node).find(
-          (key) => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'),
-        );
+      // The first pass queues the scripts behind stack-based locations (React 19) so the
+      // second pass sees original files instead of bundle URLs
+      collectFilePathsFromDOM();
+      await loadPendingSourceMaps();
 
-        if (fiberKey) {
-          const fiber = node[fiberKey];
-          let currentFiber = fiber;
-          let depth = 0;
-
-          while (currentFiber && depth < 10) {
-            if (currentFiber._debugSource && currentFiber._debugSource.fileName) {
-              const filePath = currentFiber._debugSource.fileName;
-              if (!isExternalPath(filePath)) {
-                filePaths.push(filePath);
-              }
-            }
-            currentFiber = currentFiber.return;
-            depth++;
-            samples++;
-          }
-        }
+      if (projectRoot) {
+        return;
       }
 
+      const filePaths = collectFilePathsFromDOM();
+
       if (filePaths.length > 0) {
         const detectedRoot = detectProjectRootFromPaths(filePaths);
         if (detectedRoot) {
@@ -799,16 +1607,64 @@
         }
       }
 
-      if (importMap[filePath] && Array.isArray(importMap[filePath])) {
-        if (importMap[filePath].includes(componentName)) {
-          return true;
-        }
+      // Imported name -> resolved file, or a plain name list (window.__XRAY_REACT_IMPORT_MAP__)
+      const imports = importMap[filePath];
+      if (
+        Array.isArray(imports)
+          ? imports.includes(componentName)
+          : imports?.[componentName] !== undefined
+      ) {
+        return true;
       }
     }
 
     return false;
   };
 
+  /**
+   * Gets the React Server Components that returned a fiber's element
+   * Server components leave no fiber; React 19 attaches their component info from the RSC
+   * payload to the fibers of the elements they returned
+   * @param {Object} fiber - React fiber node
+   * @returns {Array<Object>} Component infos ({ name, env, ... }) in child -> parent order
+   */
+  const getServerComponentInfos = (fiber) => {
+    if (!Array.isArray(fiber._debugInfo)) return [];
+
+    // Other entries are timings and awaited I/O
+    return fiber._debugInfo
+      .filter((info) => info && typeof info.name === 'string' && 'env' in info)
+      .reverse();
+  };
+
+  /**
+   * Gets a stable overlay uid for a server component instance
+   * @param {Object} info - Server component info shared by the fibers of its elements
+   * @returns {string} Overlay uid
+   */
+  const getServerComponentId = (info) => {
+    if (!serverComponentIds.has(info)) {
+      serverComponentIds.set(info, `xray-server-${nextServerComponentId++}`);
+    }
+    return serverComponentIds.get(info);
+  };
+
+  /**
+   * Gets the route module a React Router route fiber renders in framework mode
+   * React Router v7 framework mode and Remix render each matched route in a `RenderedRoute`; the
+   * ids of their routes are route module paths (e.g., 'routes/home') listed in the route manifest
+   * @param {Object} fiber - React fiber node
+   * @returns {string|null} Route id, or null if the fiber does not render a route module
+   */
+  const getRouteModuleId = (fiber) => {
+    const props = fiber.memoizedProps;
+    const routeId = props?.match?.route?.id;
+    if (typeof routeId !== 'string' || !props.routeContext) return null;
+
+    const manifest = window.__reactRouterManifest || window.__remixManifest;
+    return manifest?.routes?.[routeId] ? routeId : null;
+  };
+
   /**
    * Traverses the fiber tree to find React components, skipping HTML elements
    * Filters out external library components based on usage/import maps
@@ -823,6 +1679,7 @@
     let depth = 0;
     // Performance improvements
     const visited = new Set();
+    const seenServerInfos = new Set();
 
     while (currentFiber && depth < maxDepth) {
       if (visited.has(currentFiber)) {
@@ -839,10 +1696,7 @@
           if (!isHTMLElement(componentName)) {
             const isInternal = isProjectComponent(currentFiber, projectRoot, componentName);
 
-            let filePath = null;
-            if (currentFiber._debugSource && currentFiber._debugSource.fileName) {
-              filePath = currentFiber._debugSource.fileName;
-            }
+            const filePath = getFiberSource(currentFiber)?.fileName || null;
 
             allComponents.push({
               name: componentName,
@@ -860,6 +1714,39 @@
         }
       }
 
+      // Route modules are project files, the server finds them by route id
+      const routeId = getRouteModuleId(currentFiber);
+      if (routeId) {
+        allComponents.push({
+          name: routeId,
+          fiber: currentFiber,
+          elementType: null,
+          depth: depth,
+          isInternal: true,
+          isRoute: true,
+          file: null,
+        });
+        internalComponents.push({ name: routeId, file: null });
+      }
+
+      // Server components render in the project's own RSC payload, so they are project components
+      for (const info of getServerComponentInfos(currentFiber)) {
+        if (seenServerInfos.has(info)) continue;
+        seenServerInfos.add(info);
+
+        allComponents.push({
+          name: info.name,
+          fiber: currentFiber,
+          elementType: null,
+          depth: depth,
+          isInternal: true,
+          isServer: true,
+          serverInfo: info,
+          file: null,
+        });
+        internalComponents.push({ name: info.name, file: null });
+      }
+
       currentFiber = currentFiber.return || currentFiber._owner;
       depth++;
     }
@@ -874,6 +1761,9 @@
           depth: comp.depth,
           file: comp.file,
           isInternal: comp.isInternal,
+          isServer: comp.isServer,
+          serverInfo: comp.serverInfo,
+          isRoute: comp.isRoute,
         });
       } else {
         if (isUsedByInternalComponents(comp.name, internalComponents)) {
@@ -897,7 +1787,7 @@
    * Supports React 18+ and falls back to legacy detection for older versions
    * Enhanced to skip HTML elements and find actual React components
    * @param {HTMLElement} elem - The DOM element
-   * @returns {Object} Object with component name and optional uid
+   * @returns {Object} Object with component name, optional uid and source location
    */
   const getComponentObj = (elem) => {
     if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
@@ -912,11 +1802,22 @@
 
           if (components.length > 0) {
             const firstComponent = components[0];
-            const uid =
-              firstComponent.fiber._debugID ||
-              `${firstComponent.fiber.index || ''}${firstComponent.fiber.key || ''}`;
+            const uid = firstComponent.isServer
+              ? getServerComponentId(firstComponent.serverInfo)
+              : firstComponent.fiber._debugID ||
+                `${firstComponent.fiber.index || ''}${firstComponent.fiber.key || ''}`;
             const reversedHierarchy = components.reverse().map((c) => c.name);
-            return { name: firstComponent.name, uid, hierarchy: reversedHierarchy };
+            const stamped = getStampedComponent(elem);
+            // Minified display names do not appear in the hierarchy, prefer the stamped owner
+            const name =
+              stamped && stamped.name && !reversedHierarchy.includes(stamped.name)
+                ? stamped.name
+                : firstComponent.name;
+            // The host element's own location points inside the component that rendered it
+            const fiberSource = getFiberSource(fiber) || getFiberSource(firstComponent.fiber);
+            const source = getOverlaySource(elem, name, fiberSource);
+            const isServer = Boolean(firstComponent.isServer) && name === firstComponent.name;
+            return { name, uid, hierarchy: reversedHierarchy, source, isServer };
           }
         }
       } catch {
@@ -937,6 +1838,7 @@
                 name: firstComponent.name,
                 uid: `${fiberNode._mountIndex || ''}${fiberNode._mountOrder || ''}`,
                 hierarchy: reversedHierarchy,
+                source: getFiberSource(fiberNode) || getFiberSource(firstComponent.fiber),
               };
             }
           } catch {
@@ -968,6 +1870,15 @@
       }
     }
 
+    const stamped = getStampedComponent(elem);
+    if (stamped && stamped.name) {
+      return {
+        name: stamped.name,
+        uid: getStampedInstanceId(elem, stamped.name),
+        source: stamped.source,
+      };
+    }
+
     const tagName = elem.tagName?.toLowerCase();
     if (tagName && isHTMLElement(tagName)) {
       return { name: tagName };
@@ -984,16 +1895,16 @@
     // Performance improvements
     const uids = new Set();
     return (elem) => {
-      const { name, uid } = getComponentObj(elem);
+      const { name, uid, source, isServer } = getComponentObj(elem);
 
       if (name && name !== 'Unknown') {
         if (uid) {
           if (!uids.has(uid)) {
             uids.add(uid);
-            return createElemForComponent(elem, name);
+            return createElemForComponent(elem, name, source, isServer);
           }
         } else {
-          return createElemForComponent(elem, name);
+          return createElemForComponent(elem, name, source, isServer);
         }
       }
       return null;
@@ -1043,6 +1954,27 @@
       }
     }
 
+    if (components.length === 0) {
+      return getStampedComponentsFromElement(elem);
+    }
+
+    // Components that stamped this element or its ancestors at build time are project components
+    const stampedFiles = new Map();
+    for (let current = elem; current && current !== document.body; current = current.parentElement) {
+      const stamped = getStampedComponent(current);
+      if (stamped && stamped.name && !stampedFiles.has(stamped.name)) {
+        stampedFiles.set(stamped.name, stamped.source.fileName);
+      }
+    }
+
+    for (const comp of components) {
+      if (stampedFiles.has(comp.name)) {
+        comp.isInternal = true;
+        comp.isStamped = true;
+        comp.file = comp.file || stampedFiles.get(comp.name);
+      }
+    }
+
     return components;
   };
 
@@ -1124,6 +2056,16 @@
 
         const normalizedName = comp.name.toLowerCase();
 
+        // Components stamped at build time are known project components, no name matching needed
+        if (comp.isStamped) {
+          const componentKey = `${normalizedName}:${normalizePath(comp.file)}`;
+          if (!seenComponents.has(componentKey)) {
+            seenComponents.add(componentKey);
+            projectOwnedComponents.push(comp);
+          }
+          continue;
+        }
+
         if (comp.file) {
           const normalizedFile = comp.file.toLowerCase();
           const pathParts = normalizedFile.split(/[/\\]/);
@@ -1236,6 +2178,65 @@
 
     xrayReactElem.setAttribute(xrayReactCompPathAttr, fullStructure);
     xrayReactElem.setAttribute(xrayReactFilteredCompPathAttr, filteredStructure);
+
+    // The paths keep plain names so the server can resolve them, server components and route
+    // modules are marked apart
+    const serverComponents = new Set(components.filter((c) => c.isServer).map((c) => c.name));
+    if (xrayReactElem.classList.contains('-server')) {
+      serverComponents.add(currentComponentName);
+    }
+    if (serverComponents.size > 0) {
+      xrayReactElem.setAttribute(xrayReactServerCompsAttr, [...serverComponents].join(','));
+    }
+    const routeModules = components.filter((c) => c.isRoute).map((c) => c.name);
+    if (routeModules.length > 0) {
+      xrayReactElem.setAttribute(xrayReactRouteModulesAttr, routeModules.join(','));
+    }
+
+    // Source maps may have loaded since the overlay was created, refresh stack-based locations
+    const fiberKey = Object.keys(elem).find((key) => key.startsWith('__reactFiber$'));
+    const leafComponent = components[components.length - 1];
+    const fiberSource =
+      (fiberKey && getFiberSource(elem[fiberKey])) ||
+      (leafComponent && leafComponent.fiber && getFiberSource(leafComponent.fiber));
+    const source = getOverlaySource(elem, currentComponentName, fiberSource);
+    if (source) {
+      xrayReactElem.setAttribute(xrayReactSourceAttr, formatSourceLocation(source));
+    }
+  };
+
+  /**
+   * Reads a comma-separated list of names from an overlay attribute
+   * @param {HTMLElement} xrayReactElem - Overlay element
+   * @param {string} attr - Attribute name
+   * @returns {Array<string>} Names
+   */
+  const getNamesAttr = (xrayReactElem, attr) =>
+    (xrayReactElem.getAttribute(attr) || '').split(',').filter(Boolean);
+
+  /**
+   * Renders a component path in the action bar, marking server components and route modules
+   * @param {HTMLElement} pathElement - Path element of the action bar
+   * @param {string} componentsPath - Component path (e.g., 'root -> routes/home -> Home')
+   * @param {Map<string, Object>} marks - Marked names -> { className, title }
+   */
+  const renderComponentsPath = (pathElement, componentsPath, marks) => {
+    pathElement.replaceChildren();
+    componentsPath.split(' -> ').forEach((name, index) => {
+      if (index > 0) {
+        pathElement.append(' -> ');
+      }
+      const mark = marks.get(name);
+      if (mark) {
+        const markedName = document.createElement('span');
+        markedName.className = mark.className;
+        markedName.title = mark.title;
+        markedName.textContent = name;
+        pathElement.append(markedName);
+      } else {
+        pathElement.append(name);
+      }
+    });
   };
 
   /**
@@ -1251,7 +2252,14 @@
         '';
       const pathElement = document.querySelector('.xray-react-actions-wrapper .components-path');
       if (pathElement) {
-        pathElement.innerHTML = componentsPath;
+        const marks = new Map();
+        getNamesAttr(target, xrayReactServerCompsAttr).forEach((name) =>
+          marks.set(name, { className: 'server-component', title: 'React Server Component' }),
+        );
+        getNamesAttr(target, xrayReactRouteModulesAttr).forEach((name) =>
+          marks.set(name, { className: 'route-module', title: 'Route module' }),
+        );
+        renderComponentsPath(pathElement, componentsPath, marks);
       }
     }
   };
@@ -1325,6 +2333,7 @@
         clearButton.setAttribute('data-listener-attached', 'true');
         clearButton.addEventListener('click', handleSearchClear);
       }
+      setupEditorSelect();
       body.addEventListener('mouseover', onXrayReactMouseover);
 
       const existingWrapper = document.querySelector(`.${xrayReactWrapperCN}`);
@@ -1412,7 +2421,10 @@
               }
             };
 
-            setTimeout(processPaths, 1);
+            // Resolve stack-based locations (React 19) through the dev server's source maps first
+            loadPendingSourceMaps()
+              .catch(() => false)
+              .then(() => setTimeout(processPaths, 1));
           }
         };
 
@@ -1471,6 +2483,26 @@
     isHandlerRegistered = true;
   };
 
+  /**
+   * Turns the overlays on or off (e.g., from the Storybook toolbar)
+   * @param {boolean} isEnabled - Whether the overlays should be shown
+   */
+  const setXrayReactEnabled = (isEnabled) => {
+    if (document.body.classList.contains('xray-react-enabled') !== Boolean(isEnabled)) {
+      toggleXrayReact();
+    }
+  };
+
+  /**
+   * Rebuilds the overlays for the current DOM if they are shown (e.g., after a story re-renders)
+   */
+  const refreshXrayReact = () => {
+    if (document.body.classList.contains('xray-react-enabled')) {
+      toggleXrayReact();
+      toggleXrayReact();
+    }
+  };
+
   /**
    * Enables xray-react functionality
    */
@@ -1487,6 +2519,15 @@
       }
     }
 
+    if (workspacePackages.length === 0 && typeof window !== 'undefined') {
+      setWorkspacePackages(window.__XRAY_REACT_WORKSPACE_PACKAGES__);
+    }
+
+    // Integrations with a toggle of their own (e.g., the Storybook toolbar) turn the shortcut off
+    if (typeof window !== 'undefined' && window.__XRAY_REACT_SHORTCUT__ === false) {
+      return;
+    }
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', handleXrayReactToggle);
     } else {
@@ -1497,13 +2538,19 @@
   // Expose functions globally for client bundle to use
   if (typeof window !== 'undefined') {
     window.xrayReactSetProjectRoot = setProjectRoot;
+    window.xrayReactSetWorkspacePackages = setWorkspacePackages;
     window.xrayReactSetUsageMap = setUsageMap;
     window.xrayReactSetImportMap = setImportMap;
     window.xrayReactSetProjectFiles = setProjectFiles;
+    window.xrayReactApplyUsageMapPatch = applyUsageMapPatch;
+    window.xrayReactApplyImportMapPatch = applyImportMapPatch;
+    window.xrayReactApplyProjectFilesPatch = applyProjectFilesPatch;
     window.xrayReactSetMode = setMode;
+    window.xrayReactSetEnabled = setXrayReactEnabled;
+    window.xrayReactRefresh = refreshXrayReact;
   }
 
   enableXrayReact();
 
 })();
-//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoieHJheS1yZWFjdC11aS5taW4uanMiLCJzb3VyY2VzIjpbIi4uL3NyYy9jb25zdGFudHMuanMiLCIuLi9zcmMvY3NzLmpzIiwiLi4vc3JjL3BhcnRpYWxzLmpzIiwiLi4vc3JjL3VpLXV0aWxzLmpzIiwiLi4vbGliL3hyYXktcmVhY3QtdWkuanMiXSwic291cmNlc0NvbnRlbnQiOlsiZXhwb3J0IGNvbnN0IHhyYXlSZWFjdEVsZW1DTiA9ICd4cmF5LXJlYWN0LWVsZW1lbnQnO1xuZXhwb3J0IGNvbnN0IHhyYXlSZWFjdFdyYXBwZXJDTiA9ICd4cmF5LXJlYWN0LWVsZW1lbnRzLXdyYXBwZXInO1xuZXhwb3J0IGNvbnN0IHhyYXlSZWFjdENvbXBQYXRoQXR0ciA9ICdkYXRhLXhyYXktcmVhY3QtY29tcG9uZW50cy1wYXRoJztcbmV4cG9ydCBjb25zdCB4cmF5UmVhY3RGaWx0ZXJlZENvbXBQYXRoQXR0ciA9ICdkYXRhLXhyYXktcmVhY3QtZmlsdGVyZWQtY29tcG9uZW50cy1wYXRoJztcbmV4cG9ydCBjb25zdCB6SW5kZXggPSAxMDAwMDtcblxuZXhwb3J0IGNvbnN0IFVJX01PREVfRlVMTCA9ICdmdWxsJztcbmV4cG9ydCBjb25zdCBVSV9NT0RFX1NJTVBMRSA9ICdzaW1wbGUnO1xuZXhwb3J0IGNvbnN0IEFWQUlMQUJMRV9VSV9NT0RFUyA9IFtVSV9NT0RFX0ZVTEwsIFVJX01PREVfU0lNUExFXTtcblxuZXhwb3J0IGNvbnN0IEhUTUxfRUxFTUVOVFMgPSBuZXcgU2V0KFtcbiAgJ2RpdicsXG4gICdzcGFuJyxcbiAgJ2Zvcm0nLFxuICAnYnV0dG9uJyxcbiAgJ2lucHV0JyxcbiAgJ2EnLFxuICAnaW1nJyxcbiAgJ3AnLFxuICAnaDEnLFxuICAnaDInLFxuICAnaDMnLFxuICAnaDQnLFxuICAnaDUnLFxuICAnaDYnLFxuICAndWwnLFxuICAnbGknLFxuICAnb2wnLFxuICAndGFibGUnLFxuICAndHInLFxuICAndGQnLFxuICAndGgnLFxuICAndGhlYWQnLFxuICAndGJvZHknLFxuICAndGZvb3QnLFxuICAnc2VjdGlvbicsXG4gICdhcnRpY2xlJyxcbiAgJ2hlYWRlcicsXG4gICdmb290ZXInLFxuICAnbmF2JyxcbiAgJ21haW4nLFxuICAnYXNpZGUnLFxuICAnbGFiZWwnLFxuICAnc2VsZWN0JyxcbiAgJ29wdGlvbicsXG4gICd0ZXh0YXJlYScsXG4gICdmaWVsZHNldCcsXG4gICdsZWdlbmQnLFxuICAnYnInLFxuICAnaHInLFxuICAnc3Ryb25nJyxcbiAgJ2VtJyxcbiAgJ2InLFxuICAnaScsXG4gICd1JyxcbiAgJ3NtYWxsJyxcbiAgJ3N1YicsXG4gICdzdXAnLFxuICAnZGwnLFxuICAnZHQnLFxuICAnZGQnLFxuICAncHJlJyxcbiAgJ2NvZGUnLFxuICAnYmxvY2txdW90ZScsXG4gICdjaXRlJyxcbiAgJ2NhbnZhcycsXG4gICdzdmcnLFxuICAncGF0aCcsXG4gICdjaXJjbGUnLFxuICAncmVjdCcsXG4gICdsaW5lJyxcbiAgJ3BvbHlsaW5lJyxcbiAgJ3BvbHlnb24nLFxuICAnaWZyYW1lJyxcbiAgJ2VtYmVkJyxcbiAgJ29iamVjdCcsXG4gICd2aWRlbycsXG4gICdhdWRpbycsXG4gICdzb3VyY2UnLFxuICAndHJhY2snLFxuICAnbWV0YScsXG4gICdsaW5rJyxcbiAgJ3N0eWxlJyxcbiAgJ3NjcmlwdCcsXG4gICdub3NjcmlwdCcsXG4gICd0ZW1wbGF0ZScsXG5dKTtcbiIsImV4cG9ydCBkZWZhdWx0IGBcbiAgLnhyYXktcmVhY3QtZW5hYmxlZCB7XG4gICAgbWFyZ2luLWJvdHRvbTogNTBweCAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnRzLXdyYXBwZXIge1xuICAgIGJvdHRvbTogMDtcbiAgICBmb250LWZhbWlseTogXCJTZWdvZSBVSVwiLCBSb2JvdG8sIFwiSGVsdmV0aWNhIE5ldWVcIiwgQXJpYWwsIHNhbnMtc2VyaWY7XG4gICAgZm9udC1zdHlsZTogbm9ybWFsO1xuICAgIGxlZnQ6IDA7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICAgIHJpZ2h0OiAwO1xuICAgIHRvcDogMDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50IHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiByZ2JhKDAsIDAsIDI1NSwgMC4yNSk7XG4gICAgYm9yZGVyOiAycHggc29saWQgYmx1ZTtcbiAgICBjdXJzb3I6IHBvaW50ZXI7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6OmJlZm9yZSB7XG4gICAgYWxpZ24tc2VsZjogY2VudGVyO1xuICAgIGNvbG9yOiB3aGl0ZTtcbiAgICBjb250ZW50OiBhdHRyKGRhdGEteHJheS1yZWFjdC1lbGVtZW50LW5hbWUpO1xuICAgIGRpc3BsYXk6IHRhYmxlO1xuICAgIGZvbnQtc2l6ZTogMThweDtcbiAgICBmb250LXdlaWdodDogNDAwO1xuICAgIGxlZnQ6IDUwJTtcbiAgICBwb3NpdGlvbjogYWJzb2x1dGU7XG4gICAgcmlnaHQ6IDA7XG4gICAgdGV4dC1hbGlnbjogY2VudGVyO1xuICAgIHRvcDogNTAlO1xuICAgIHRyYW5zZm9ybTogdHJhbnNsYXRlKC01MCUsIC01MCUpO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6OmFmdGVyIHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBkYXJrYmx1ZTtcbiAgICBjb2xvcjogd2hpdGU7XG4gICAgY29udGVudDogYXR0cihkYXRhLXhyYXktcmVhY3QtZWxlbWVudC1uYW1lKTtcbiAgICBkaXNwbGF5OiBpbmxpbmUtYmxvY2s7XG4gICAgZm9udC1zaXplOiAxMHB4O1xuICAgIGxlZnQ6IDA7XG4gICAgcGFkZGluZzogMCA1cHg7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICAgIHRvcDogMDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50OmhvdmVyLFxuICAueHJheS1yZWFjdC1lbGVtZW50Li1oaWdobGlnaHRlZCB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogcmdiYSgwLCAwLCAyNTUsIDAuNzUpO1xuICAgIGJvcmRlci1jb2xvcjogY3lhbjtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50OmhvdmVyOjpiZWZvcmUsXG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLWhpZ2hsaWdodGVkOjpiZWZvcmUge1xuICAgIGNvbG9yOiBjeWFuO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6aG92ZXI6OmFmdGVyLFxuICAueHJheS1yZWFjdC1lbGVtZW50Li1oaWdobGlnaHRlZDo6YWZ0ZXIge1xuICAgIGJhY2tncm91bmQtY29sb3I6IGN5YW47XG4gICAgY29sb3I6IGRhcmtibHVlO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLWhpZ2hsaWdodGVkIHtcbiAgICB6LWluZGV4OiA5OTk5OSAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LWFjdGlvbi1iYXIge1xuICAgIGFsaWduLWl0ZW1zOiBjZW50ZXI7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogZGFya2JsdWU7XG4gICAgYm90dG9tOiAwO1xuICAgIGRpc3BsYXk6IGZsZXg7XG4gICAgZmxleC1kaXJlY3Rpb246IGNvbHVtbjtcbiAgICBqdXN0aWZ5LWNvbnRlbnQ6IGNlbnRlcjtcbiAgICBtYXgtaGVpZ2h0OiAxMDBweDtcbiAgICBtaW4taGVpZ2h0OiA1MHB4O1xuICAgIG92ZXJmbG93LXk6IGF1dG87XG4gICAgcGFkZGluZzogMCAxMHB4O1xuICAgIHBvc2l0aW9uOiBmaXhlZDtcbiAgICB3aWR0aDogMTAwdnc7XG4gICAgei1pbmRleDogOTk5OTk5O1xuICB9XG4gIC54cmF5LXJlYWN0LWFjdGlvbi1iYXI6Oi13ZWJraXQtc2Nyb2xsYmFyIHtcbiAgICB3aWR0aDogOHB4O1xuICB9XG4gIC54cmF5LXJlYWN0LWFjdGlvbi1iYXI6Oi13ZWJraXQtc2Nyb2xsYmFyLXRyYWNrIHtcbiAgICBiYWNrZ3JvdW5kOiByZ2JhKDI1NSwgMjU1LCAyNTUsIDAuMSk7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9uLWJhcjo6LXdlYmtpdC1zY3JvbGxiYXItdGh1bWIge1xuICAgIGJhY2tncm91bmQ6IGN5YW47XG4gICAgYm9yZGVyLXJhZGl1czogNHB4O1xuICB9XG4gIC54cmF5LXJlYWN0LWFjdGlvbi1iYXI6Oi13ZWJraXQtc2Nyb2xsYmFyLXRodW1iOmhvdmVyIHtcbiAgICBiYWNrZ3JvdW5kOiAjMDBmZmZmO1xuICB9XG4gIC54cmF5LXJlYWN0LWFjdGlvbnMtd3JhcHBlciB7XG4gICAgYWxpZ24taXRlbXM6IGNlbnRlcjtcbiAgICBkaXNwbGF5OiBmbGV4O1xuICAgIGZvbnQtZmFtaWx5OiBcIlNlZ29lIFVJXCIsIFJvYm90bywgXCJIZWx2ZXRpY2EgTmV1ZVwiLCBBcmlhbCwgc2Fucy1zZXJpZjtcbiAgICBmb250LXN0eWxlOiBub3JtYWw7XG4gICAgbWluLWhlaWdodDogNTBweDtcbiAgICBwYWRkaW5nOiA1cHggMDtcbiAgICBwb3NpdGlvbjogc3RpY2t5O1xuICAgIHRvcDogMDtcbiAgICB3aWR0aDogMTAwJTtcbiAgfVxuICAuc2VhcmNoLXdyYXBwZXIge1xuICAgIHBvc2l0aW9uOiByZWxhdGl2ZTtcbiAgICBhbGlnbi1zZWxmOiBjZW50ZXI7XG4gICAgZmxleC1zaHJpbms6IDA7XG4gICAgbWFyZ2luLXJpZ2h0OiAxNXB4O1xuICAgIG1pbi13aWR0aDogMjAwcHg7XG4gICAgd2lkdGg6IDI1JTtcbiAgfVxuICAjc2VhcmNoLWNvbXBvbmVudCB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogbGlnaHRncmF5O1xuICAgIGJvcmRlci1yYWRpdXM6IDNweDtcbiAgICBib3JkZXI6IDA7XG4gICAgZm9udC1zaXplOiAxNHB4O1xuICAgIGhlaWdodDogMzBweDtcbiAgICBsaW5lLWhlaWdodDogMjBweDtcbiAgICBvdXRsaW5lOiAwO1xuICAgIHBhZGRpbmc6IDVweCAzMHB4IDVweCAxMHB4O1xuICAgIHdpZHRoOiAxMDAlO1xuICAgIGJveC1zaXppbmc6IGJvcmRlci1ib3g7XG4gIH1cbiAgLnNlYXJjaC1jbGVhciB7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICAgIHJpZ2h0OiA0cHg7XG4gICAgdG9wOiA1MCU7XG4gICAgdHJhbnNmb3JtOiB0cmFuc2xhdGVZKC01MCUpO1xuICAgIGJhY2tncm91bmQ6IG5vbmU7XG4gICAgYm9yZGVyOiBub25lO1xuICAgIGN1cnNvcjogcG9pbnRlcjtcbiAgICBwYWRkaW5nOiA0cHg7XG4gICAgZGlzcGxheTogZmxleDtcbiAgICBhbGlnbi1pdGVtczogY2VudGVyO1xuICAgIGp1c3RpZnktY29udGVudDogY2VudGVyO1xuICAgIGNvbG9yOiAjNjY2O1xuICAgIG9wYWNpdHk6IDAuNjtcbiAgICB0cmFuc2l0aW9uOiBvcGFjaXR5IDAuMnM7XG4gIH1cbiAgLnNlYXJjaC1jbGVhcjpob3ZlciB7XG4gICAgb3BhY2l0eTogMTtcbiAgfVxuICAuY29tcG9uZW50cy1wYXRoIHtcbiAgICBjb2xvcjogY3lhbjtcbiAgICBmbGV4OiAxO1xuICAgIGZvbnQtc2l6ZTogMTFweDtcbiAgICBsaW5lLWhlaWdodDogMS40O1xuICAgIG1pbi13aWR0aDogMDtcbiAgICBvdmVyZmxvdy14OiBhdXRvO1xuICAgIG92ZXJmbG93LXk6IHZpc2libGU7XG4gICAgd2hpdGUtc3BhY2U6IG5vd3JhcDtcbiAgICB3b3JkLWJyZWFrOiBrZWVwLWFsbDtcbiAgfVxuICAuY29tcG9uZW50cy1wYXRoOjotd2Via2l0LXNjcm9sbGJhciB7XG4gICAgaGVpZ2h0OiA0cHg7XG4gIH1cbiAgLmNvbXBvbmVudHMtcGF0aDo6LXdlYmtpdC1zY3JvbGxiYXItdHJhY2sge1xuICAgIGJhY2tncm91bmQ6IHJnYmEoMjU1LCAyNTUsIDI1NSwgMC4xKTtcbiAgfVxuICAuY29tcG9uZW50cy1wYXRoOjotd2Via2l0LXNjcm9sbGJhci10aHVtYiB7XG4gICAgYmFja2dyb3VuZDogY3lhbjtcbiAgICBib3JkZXItcmFkaXVzOiAycHg7XG4gIH1cbiAgLmNvbXBvbmVudHMtcGF0aDo6LXdlYmtpdC1zY3JvbGxiYXItdGh1bWI6aG92ZXIge1xuICAgIGJhY2tncm91bmQ6ICMwMGZmZmY7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wIHtcbiAgICBkaXNwbGF5OiBmbGV4ICFpbXBvcnRhbnQ7XG4gICAgYWxpZ24taXRlbXM6IGNlbnRlciAhaW1wb3J0YW50O1xuICAgIGp1c3RpZnktY29udGVudDogY2VudGVyICFpbXBvcnRhbnQ7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wOjpiZWZvcmUge1xuICAgIGRpc3BsYXk6IG5vbmUgIWltcG9ydGFudDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50LXRlbXA6OmFmdGVyIHtcbiAgICBkaXNwbGF5OiBub25lICFpbXBvcnRhbnQ7XG4gIH1cbiAgLnhyYXktcmVhY3Qtc3Bpbm5lciB7XG4gICAgd2lkdGg6IDUwcHg7XG4gICAgaGVpZ2h0OiA1MHB4O1xuICAgIGJvcmRlcjogNHB4IHNvbGlkIHJnYmEoMCwgMjU1LCAyNTUsIDAuMyk7XG4gICAgYm9yZGVyLXRvcC1jb2xvcjogY3lhbjtcbiAgICBib3JkZXItcmFkaXVzOiA1MCU7XG4gICAgYW5pbWF0aW9uOiB4cmF5LXJlYWN0LXNwaW4gMXMgbGluZWFyIGluZmluaXRlO1xuICAgIHBvc2l0aW9uOiByZWxhdGl2ZTtcbiAgICB6LWluZGV4OiAxO1xuICB9XG4gIEBrZXlmcmFtZXMgeHJheS1yZWFjdC1zcGluIHtcbiAgICB0byB7IHRyYW5zZm9ybTogcm90YXRlKDM2MGRlZyk7IH1cbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50cy13cmFwcGVyLi1zaW1wbGUtbW9kZSAueHJheS1yZWFjdC1lbGVtZW50IHtcbiAgICBvcGFjaXR5OiAwO1xuICAgIHBvaW50ZXItZXZlbnRzOiBhdXRvO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnRzLXdyYXBwZXIuLXNpbXBsZS1tb2RlIC54cmF5LXJlYWN0LWVsZW1lbnQ6aG92ZXIge1xuICAgIG9wYWNpdHk6IDE7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudHMtd3JhcHBlci4tc2ltcGxlLW1vZGUgLnhyYXktcmVhY3QtZWxlbWVudC4taGlnaGxpZ2h0ZWQge1xuICAgIG9wYWNpdHk6IDE7XG4gIH1cbmA7XG4iLCJpbXBvcnQgY3NzIGZyb20gJy4vY3NzLmpzJztcblxuZXhwb3J0IGNvbnN0IHN0eWxlVGFnID0gYDxzdHlsZSBjbGFzcz1cInhyYXktcmVhY3Qtc3R5bGUtdGFnXCI+JHtjc3N9PC9zdHlsZT5gO1xuZXhwb3J0IGNvbnN0IGFjdGlvbkJhciA9IGBcbiAgPGRpdiBjbGFzcz1cInhyYXktcmVhY3QtYWN0aW9uLWJhclwiPlxuICAgIDxkaXYgY2xhc3M9XCJ4cmF5LXJlYWN0LWFjdGlvbnMtd3JhcHBlclwiPlxuICAgICAgPGRpdiBjbGFzcz1cInNlYXJjaC13cmFwcGVyXCI+XG4gICAgICAgIDxpbnB1dCBpZD1cInNlYXJjaC1jb21wb25lbnRcIiB0eXBlPVwidGV4dFwiIHBsYWNlaG9sZGVyPVwiU2VhcmNoIGNvbXBvbmVudCBieSBuYW1lLi4uXCIvPlxuICAgICAgICA8YnV0dG9uIHR5cGU9XCJidXR0b25cIiBjbGFzcz1cInNlYXJjaC1jbGVhclwiIGFyaWEtbGFiZWw9XCJDbGVhciBzZWFyY2hcIiBzdHlsZT1cImRpc3BsYXk6IG5vbmU7XCI+XG4gICAgICAgICAgPHN2ZyB3aWR0aD1cIjE0XCIgaGVpZ2h0PVwiMTRcIiB2aWV3Qm94PVwiMCAwIDE0IDE0XCIgZmlsbD1cIm5vbmVcIiB4bWxucz1cImh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnXCI+XG4gICAgICAgICAgICA8cGF0aCBkPVwiTTEzIDFMMSAxM00xIDFMMTMgMTNcIiBzdHJva2U9XCJjdXJyZW50Q29sb3JcIiBzdHJva2Utd2lkdGg9XCIyXCIgc3Ryb2tlLWxpbmVjYXA9XCJyb3VuZFwiLz5cbiAgICAgICAgICA8L3N2Zz5cbiAgICAgICAgPC9idXR0b24+XG4gICAgICA8L2Rpdj5cbiAgICAgIDxkaXYgY2xhc3M9XCJjb21wb25lbnRzLXBhdGhcIj48L2Rpdj5cbiAgICA8L2Rpdj5cbiAgPC9kaXY+XG5gO1xuIiwiaW1wb3J0ICogYXMgY29uc3RhbnRzIGZyb20gJy4vY29uc3RhbnRzLmpzJztcbmltcG9ydCB7IGFjdGlvbkJhciB9IGZyb20gJy4vcGFydGlhbHMuanMnO1xuaW1wb3J0IGNzcyBmcm9tICcuL2Nzcy5qcyc7XG5pbXBvcnQgeyBVSV9NT0RFX0ZVTEwsIFVJX01PREVfU0lNUExFLCBBVkFJTEFCTEVfVUlfTU9ERVMgfSBmcm9tICcuL2NvbnN0YW50cy5qcyc7XG5cbmNvbnN0IE1BWF9GSUJFUl9ERVBUSCA9IDUwOyAvLyBQcmV2ZW50IGluZmluaXRlIGxvb3BzXG5cbmxldCBwcm9qZWN0Um9vdCA9IG51bGw7XG5sZXQgdXNhZ2VNYXAgPSB7fTtcbmxldCBpbXBvcnRNYXAgPSB7fTtcbmxldCBwcm9qZWN0RmlsZVBhdGhzID0gbmV3IFNldCgpO1xubGV0IG5vcm1hbGl6ZWRQcm9qZWN0RmlsZVBhdGhzID0gbmV3IFNldCgpOyAvLyBQcmUtbm9ybWFsaXplZCBwYXRocyBmb3IgTygxKSBsb29rdXBcbmxldCBjb21wb25lbnROYW1lVG9GaWxlc0luZGV4ID0gbmV3IE1hcCgpOyAvLyBjb21wb25lbnROYW1lIC0+IFNldDxmaWxlUGF0aD4gZm9yIE8oMSkgbG9va3VwXG5jb25zdCBub3JtYWxpemVQYXRoQ2FjaGUgPSBuZXcgTWFwKCk7IC8vIE1lbW9pemF0aW9uIGNhY2hlIGZvciBub3JtYWxpemVQYXRoXG5sZXQgY3VycmVudE1vZGUgPSBVSV9NT0RFX0ZVTEw7XG5cbmNvbnN0IEVYVEVSTkFMX1BBVFRFUk5TID0gW1xuICAvbm9kZV9tb2R1bGVzL2ksXG4gIC9cXC5uZXh0Wy9cXFxcXS9pLFxuICAvZGlzdFsvXFxcXF0vaSxcbiAgL2J1aWxkWy9cXFxcXS9pLFxuICAvXFwuZ2l0Wy9cXFxcXS9pLFxuICAvXFwuY2FjaGVbL1xcXFxdL2ksXG4gIC9jb3ZlcmFnZVsvXFxcXF0vaSxcbl07XG5cbi8qKlxuICogTm9ybWFsaXplcyBhIGZpbGUgcGF0aCBmb3IgY29tcGFyaXNvblxuICogSGFuZGxlcyBib3RoIFVuaXggYW5kIFdpbmRvd3MgcGF0aHMsIHJlbGF0aXZlIGFuZCBhYnNvbHV0ZVxuICogVXNlcyBtZW1vaXphdGlvbiBjYWNoZSBmb3IgcmVwZWF0ZWQgY2FsbHMgd2l0aCBzYW1lIHBhdGhcbiAqIEBwYXJhbSB7c3RyaW5nfSBmaWxlUGF0aCAtIEZpbGUgcGF0aCB0byBub3JtYWxpemVcbiAqIEByZXR1cm5zIHtzdHJpbmd9IE5vcm1hbGl6ZWQgcGF0aFxuICovXG5jb25zdCBub3JtYWxpemVQYXRoID0gKGZpbGVQYXRoKSA9PiB7XG4gIGlmICghZmlsZVBhdGgpIHJldHVybiAnJztcblxuICBjb25zdCBjYWNoZWQgPSBub3JtYWxpemVQYXRoQ2FjaGUuZ2V0KGZpbGVQYXRoKTtcbiAgaWYgKGNhY2hlZCAhPT0gdW5kZWZpbmVkKSByZXR1cm4gY2FjaGVkO1xuXG4gIGxldCBub3JtYWxpemVkID0gU3RyaW5nKGZpbGVQYXRoKS5yZXBsYWNlKC9cXFxcL2csICcvJyk7XG4gIG5vcm1hbGl6ZWQgPSBub3JtYWxpemVkLnJlcGxhY2UoL15cXC8rfFxcLyskL2csICcnKTtcbiAgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZWQudG9Mb3dlckNhc2UoKTtcblxuICBub3JtYWxpemVQYXRoQ2FjaGUuc2V0KGZpbGVQYXRoLCBub3JtYWxpemVkKTtcbiAgcmV0dXJuIG5vcm1hbGl6ZWQ7XG59O1xuXG4vKipcbiAqIENoZWNrcyBpZiBhIGZpbGUgcGF0aCBpcyBleHRlcm5hbCAobm9kZV9tb2R1bGVzLCBidWlsZCBhcnRpZmFjdHMsIGV0Yy4pXG4gKiBAcGFyYW0ge3N0cmluZ30gZmlsZVBhdGggLSBGaWxlIHBhdGggdG8gY2hlY2tcbiAqIEByZXR1cm5zIHtib29sZWFufSBUcnVlIGlmIHBhdGggaXMgZXh0ZXJuYWxcbiAqL1xuY29uc3QgaXNFeHRlcm5hbFBhdGggPSAoZmlsZVBhdGgpID0+IHtcbiAgaWYgKCFmaWxlUGF0aCkgcmV0dXJuIGZhbHNlO1xuXG4gIGNvbnN0IG5vcm1hbGl6ZWQgPSBub3JtYWxpemVQYXRoKGZpbGVQYXRoKTtcblxuICByZXR1cm4gRVhURVJOQUxfUEFUVEVSTlMuc29tZSgocGF0dGVybikgPT4gcGF0dGVybi50ZXN0KG5vcm1hbGl6ZWQpKTtcbn07XG5cbi8qKlxuICogRGV0ZWN0cyBwcm9qZWN0IHJvb3QgZnJvbSBhIGZpbGUgcGF0aCBieSBmaW5kaW5nIGNvbW1vbiBiYXNlIHBhdGhcbiAqIEBwYXJhbSB7QXJyYXk8c3RyaW5nPn0gZmlsZVBhdGhzIC0gQXJyYXkgb2YgZmlsZSBwYXRocyBmcm9tIGZpYmVyc1xuICogQHJldHVybnMge3N0cmluZ3xudWxsfSBEZXRlY3RlZCBwcm9qZWN0IHJvb3Qgb3IgbnVsbFxuICovXG5jb25zdCBkZXRlY3RQcm9qZWN0Um9vdEZyb21QYXRocyA9IChmaWxlUGF0aHMpID0+IHtcbiAgaWYgKCFmaWxlUGF0aHMgfHwgZmlsZVBhdGhzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIG51bGw7XG5cbiAgY29uc3QgcHJvamVjdFBhdGhzID0gZmlsZVBhdGhzLmZpbHRlcigocGF0aCkgPT4gcGF0aCAmJiAhaXNFeHRlcm5hbFBhdGgocGF0aCkpLm1hcChub3JtYWxpemVQYXRoKTtcblxuICBpZiAocHJvamVjdFBhdGhzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIG51bGw7XG5cbiAgY29uc3QgcGF0aFBhcnRzID0gcHJvamVjdFBhdGhzLm1hcCgocGF0aCkgPT4gcGF0aC5zcGxpdCgnLycpKTtcbiAgY29uc3QgbWluTGVuZ3RoID0gTWF0aC5taW4oLi4ucGF0aFBhcnRzLm1hcCgocGFydHMpID0+IHBhcnRzLmxlbmd0aCkpO1xuXG4gIGxldCBjb21tb25QYXJ0cyA9IFtdO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IG1pbkxlbmd0aDsgaSsrKSB7XG4gICAgY29uc3QgcGFydCA9IHBhdGhQYXJ0c1swXVtpXTtcbiAgICBpZiAocGF0aFBhcnRzLmV2ZXJ5KChwYXJ0cykgPT4gcGFydHNbaV0gPT09IHBhcnQpKSB7XG4gICAgICBjb21tb25QYXJ0cy5wdXNoKHBhcnQpO1xuICAgIH0gZWxzZSB7XG4gICAgICBicmVhaztcbiAgICB9XG4gIH1cblxuICBpZiAoY29tbW9uUGFydHMubGVuZ3RoID4gMCkge1xuICAgIHJldHVybiAnLycgKyBjb21tb25QYXJ0cy5qb2luKCcvJyk7XG4gIH1cblxuICBjb25zdCBmaXJzdFBhdGggPSBwcm9qZWN0UGF0aHNbMF07XG4gIGNvbnN0IGxhc3RTbGFzaCA9IGZpcnN0UGF0aC5sYXN0SW5kZXhPZignLycpO1xuICBpZiAobGFzdFNsYXNoID4gMCkge1xuICAgIHJldHVybiAnLycgKyBmaXJzdFBhdGguc3Vic3RyaW5nKDAsIGxhc3RTbGFzaCk7XG4gIH1cblxuICByZXR1cm4gbnVsbDtcbn07XG5cbi8qKlxuICogUmVtb3ZlcyBjb25zZWN1dGl2ZSBkdXBsaWNhdGUgY29tcG9uZW50IG5hbWVzIGZyb20gYW4gYXJyYXlcbiAqIEBwYXJhbSB7QXJyYXk8c3RyaW5nPn0gcGF0aCAtIEFycmF5IG9mIGNvbXBvbmVudCBuYW1lc1xuICogQHJldHVybnMge0FycmF5PHN0cmluZz59IEFycmF5IHdpdGggY29uc2VjdXRpdmUgZHVwbGljYXRlcyByZW1vdmVkXG4gKi9cbmNvbnN0IHJlbW92ZUNvbnNlY3V0aXZlRHVwbGljYXRlcyA9IChwYXRoKSA9PiB7XG4gIGlmIChwYXRoLmxlbmd0aCA9PT0gMCkgcmV0dXJuIHBhdGg7XG5cbiAgY29uc3QgcmVzdWx0ID0gW3BhdGhbMF1dO1xuICBmb3IgKGxldCBpID0gMTsgaSA8IHBhdGgubGVuZ3RoOyBpKyspIHtcbiAgICBpZiAocGF0aFtpXS50b0xvd2VyQ2FzZSgpICE9PSBwYXRoW2kgLSAxXS50b0xvd2VyQ2FzZSgpKSB7XG4gICAgICByZXN1bHQucHVzaChwYXRoW2ldKTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHJlc3VsdDtcbn07XG5cbi8qKlxuICogVXBkYXRlcyB0aGUgY2xlYXIgYnV0dG9uIHZpc2liaWxpdHkgYmFzZWQgb24gaW5wdXQgdmFsdWVcbiAqIEBwYXJhbSB7SFRNTElucHV0RWxlbWVudH0gaW5wdXQgLSBTZWFyY2ggaW5wdXQgZWxlbWVudFxuICovXG5jb25zdCB1cGRhdGVDbGVhckJ1dHRvbiA9IChpbnB1dCkgPT4ge1xuICBjb25zdCBjbGVhckJ1dHRvbiA9IGlucHV0Py5wYXJlbnRFbGVtZW50Py5xdWVyeVNlbGVjdG9yKCcuc2VhcmNoLWNsZWFyJyk7XG4gIGlmIChjbGVhckJ1dHRvbikge1xuICAgIGNsZWFyQnV0dG9uLnN0eWxlLmRpc3BsYXkgPSBpbnB1dC52YWx1ZS5sZW5ndGggPiAwID8gJ2ZsZXgnIDogJ25vbmUnO1xuICB9XG59O1xuXG4vKipcbiAqIEhhbmRsZXMgc2VhcmNoIGlucHV0IGNoYW5nZXMgdG8gaGlnaGxpZ2h0IG1hdGNoaW5nIGNvbXBvbmVudHNcbiAqIEBwYXJhbSB7RXZlbnR9IGV2ZW50IC0gSW5wdXQgZXZlbnRcbiAqL1xuY29uc3QgaGFuZGxlU2VhcmNoQ2hhbmdlID0gKGV2ZW50KSA9PiB7XG4gIGNvbnN0IGlucHV0ID0gZXZlbnQudGFyZ2V0O1xuICBjb25zdCB2YWx1ZSA9IGlucHV0LnZhbHVlLnRvTG93ZXJDYXNlKCk7XG4gIGNvbnN0IHJlZ0V4cCA9IG5ldyBSZWdFeHAoYF4ke3ZhbHVlfXwke3ZhbHVlfSRgKTtcbiAgY29uc3QgZWxlbWVudHMgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yQWxsKGAuJHtjb25zdGFudHMueHJheVJlYWN0RWxlbUNOfWApO1xuXG4gIHVwZGF0ZUNsZWFyQnV0dG9uKGlucHV0KTtcblxuICBmb3IgKGNvbnN0IGVsZW0gb2YgZWxlbWVudHMpIHtcbiAgICBpZiAodmFsdWUubGVuZ3RoID49IDIpIHtcbiAgICAgIGNvbnN0IHNlYXJjaE5hbWUgPSBlbGVtLmdldEF0dHJpYnV0ZSgnZGF0YS14cmF5LXJlYWN0LWVsZW1lbnQtc2VhcmNoLW5hbWUnKTtcbiAgICAgIGlmIChzZWFyY2hOYW1lICYmIHNlYXJjaE5hbWUubWF0Y2gocmVnRXhwKSkge1xuICAgICAgICBlbGVtLmNsYXNzTGlzdC5hZGQoJy1oaWdobGlnaHRlZCcpO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgZWxlbS5jbGFzc0xpc3QucmVtb3ZlKCctaGlnaGxpZ2h0ZWQnKTtcbiAgICAgIH1cbiAgICB9IGVsc2Uge1xuICAgICAgZWxlbS5jbGFzc0xpc3QucmVtb3ZlKCctaGlnaGxpZ2h0ZWQnKTtcbiAgICB9XG4gIH1cbn07XG5cbi8qKlxuICogSGFuZGxlcyBjbGVhciBidXR0b24gY2xpY2sgdG8gcmVzZXQgc2VhcmNoXG4gKi9cbmNvbnN0IGhhbmRsZVNlYXJjaENsZWFyID0gKCkgPT4ge1xuICBjb25zdCBpbnB1dCA9IGRvY3VtZW50LmdldEVsZW1lbnRCeUlkKCdzZWFyY2gtY29tcG9uZW50Jyk7XG4gIGlmIChpbnB1dCkge1xuICAgIGlucHV0LnZhbHVlID0gJyc7XG4gICAgaW5wdXQuZm9jdXMoKTtcbiAgICB1cGRhdGVDbGVhckJ1dHRvbihpbnB1dCk7XG4gICAgY29uc3QgZWxlbWVudHMgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yQWxsKGAuJHtjb25zdGFudHMueHJheVJlYWN0RWxlbUNOfWApO1xuICAgIGVsZW1lbnRzLmZvckVhY2goKGVsZW0pID0+IGVsZW0uY2xhc3NMaXN0LnJlbW92ZSgnLWhpZ2hsaWdodGVkJykpO1xuICB9XG59O1xuXG4vKipcbiAqIEdldHMgdGhlIGN1cnJlbnQgbW9kZSBmcm9tIHdpbmRvdyBvciBkZWZhdWx0cyB0byBVSV9NT0RFX0ZVTExcbiAqIEByZXR1cm5zIHtzdHJpbmd9IEN1cnJlbnQgbW9kZSAoVUlfTU9ERV9GVUxMIG9yIFVJX01PREVfU0lNUExFKVxuICovXG5jb25zdCBnZXRDdXJyZW50TW9kZSA9ICgpID0+IHtcbiAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnICYmIHdpbmRvdy5fX1hSQVlfUkVBQ1RfTU9ERV9fKSB7XG4gICAgY29uc3QgbW9kZSA9IHdpbmRvdy5fX1hSQVlfUkVBQ1RfTU9ERV9fO1xuICAgIHJldHVybiBBVkFJTEFCTEVfVUlfTU9ERVMuaW5jbHVkZXMobW9kZSkgPyBtb2RlIDogVUlfTU9ERV9GVUxMO1xuICB9XG4gIHJldHVybiBVSV9NT0RFX0ZVTEw7XG59O1xuXG4vKipcbiAqIFNldHMgdGhlIGN1cnJlbnQgbW9kZVxuICogQHBhcmFtIHtzdHJpbmd9IG1vZGUgLSBNb2RlIHRvIHNldCAoVUlfTU9ERV9GVUxMIG9yIFVJX01PREVfU0lNUExFKVxuICovXG5leHBvcnQgY29uc3Qgc2V0TW9kZSA9IChtb2RlKSA9PiB7XG4gIGN1cnJlbnRNb2RlID0gQVZBSUxBQkxFX1VJX01PREVTLmluY2x1ZGVzKG1vZGUpID8gbW9kZSA6IFVJX01PREVfRlVMTDtcbiAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgd2luZG93Ll9fWFJBWV9SRUFDVF9NT0RFX18gPSBjdXJyZW50TW9kZTtcbiAgfVxufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBjdXJyZW50IG1vZGVcbiAqIEByZXR1cm5zIHtzdHJpbmd9IEN1cnJlbnQgbW9kZVxuICovXG5leHBvcnQgY29uc3QgZ2V0TW9kZSA9ICgpID0+IHtcbiAgcmV0dXJuIGN1cnJlbnRNb2RlO1xufTtcblxuLyoqXG4gKiBDcmVhdGVzIGFuIG92ZXJsYXkgZWxlbWVudCBmb3IgYSBSZWFjdCBjb21wb25lbnRcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBUaGUgRE9NIGVsZW1lbnRcbiAqIEBwYXJhbSB7c3RyaW5nfSBjb21wb25lbnROYW1lIC0gTmFtZSBvZiB0aGUgUmVhY3QgY29tcG9uZW50XG4gKiBAcmV0dXJucyB7T2JqZWN0fSBPYmplY3QgY29udGFpbmluZyBvcmlnaW5hbCBlbGVtZW50IGFuZCBvdmVybGF5IGVsZW1lbnRcbiAqL1xuY29uc3QgY3JlYXRlRWxlbUZvckNvbXBvbmVudCA9IChlbGVtLCBjb21wb25lbnROYW1lKSA9PiB7XG4gIGNvbnN0IHhyYXlSZWFjdEVsZW0gPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdkaXYnKTtcbiAgY29uc3QgYm91bmRpbmdDbGllbnRSZWN0ID0gZWxlbS5nZXRCb3VuZGluZ0NsaWVudFJlY3QoKTtcblxuICB4cmF5UmVhY3RFbGVtLmNsYXNzTmFtZSA9IGNvbnN0YW50cy54cmF5UmVhY3RFbGVtQ047XG4gIHhyYXlSZWFjdEVsZW0uc2V0QXR0cmlidXRlKCdkYXRhLXhyYXktcmVhY3QtZWxlbWVudC1uYW1lJywgY29tcG9uZW50TmFtZSk7XG4gIHhyYXlSZWFjdEVsZW0uc2V0QXR0cmlidXRlKCdkYXRhLXhyYXktcmVhY3QtZWxlbWVudC1zZWFyY2gtbmFtZScsIGNvbXBvbmVudE5hbWUudG9Mb3dlckNhc2UoKSk7XG4gIHhyYXlSZWFjdEVsZW0uc3R5bGUuaGVpZ2h0ID0gYCR7Ym91bmRpbmdDbGllbnRSZWN0LmhlaWdodH1weGA7XG4gIHhyYXlSZWFjdEVsZW0uc3R5bGUud2lkdGggPSBgJHtib3VuZGluZ0NsaWVudFJlY3Qud2lkdGh9cHhgO1xuICB4cmF5UmVhY3RFbGVtLnN0eWxlLnRvcCA9IGAke2JvdW5kaW5nQ2xpZW50UmVjdC50b3AgKyB3aW5kb3cuc2Nyb2xsWX1weGA7XG4gIHhyYXlSZWFjdEVsZW0uc3R5bGUubGVmdCA9IGAke2JvdW5kaW5nQ2xpZW50UmVjdC5sZWZ0ICsgd2luZG93LnNjcm9sbFh9cHhgO1xuICB4cmF5UmVhY3RFbGVtLnN0eWxlLnpJbmRleCA9IGNvbnN0YW50cy56SW5kZXg7XG5cbiAgcmV0dXJuIHsgZWxlbSwgeHJheVJlYWN0RWxlbSB9O1xufTtcblxuLyoqXG4gKiBDaGVja3MgaWYgYSBuYW1lIGlzIGFuIEhUTUwgZWxlbWVudFxuICogQHBhcmFtIHtzdHJpbmd9IG5hbWUgLSBDb21wb25lbnQgb3IgZWxlbWVudCBuYW1lXG4gKiBAcmV0dXJucyB7Ym9vbGVhbn0gVHJ1ZSBpZiBpdCdzIGFuIEhUTUwgZWxlbWVudFxuICovXG5jb25zdCBpc0hUTUxFbGVtZW50ID0gKG5hbWUpID0+IHtcbiAgaWYgKCFuYW1lIHx8IHR5cGVvZiBuYW1lICE9PSAnc3RyaW5nJykgcmV0dXJuIGZhbHNlO1xuICByZXR1cm4gY29uc3RhbnRzLkhUTUxfRUxFTUVOVFMuaGFzKG5hbWUudG9Mb3dlckNhc2UoKSk7XG59O1xuXG4vKipcbiAqIFJlc29sdmVzIGNvbXBvbmVudCBuYW1lIGZyb20gZWxlbWVudCB0eXBlIGFuZCBmaWJlclxuICogSGFuZGxlcyBmdW5jdGlvbiBjb21wb25lbnRzLCBjbGFzcyBjb21wb25lbnRzLCBmb3J3YXJkUmVmLCBtZW1vLCBldGMuXG4gKiBAcGFyYW0geyp9IGVsZW1lbnRUeXBlIC0gUmVhY3QgZWxlbWVudCB0eXBlXG4gKiBAcGFyYW0ge09iamVjdH0gZmliZXIgLSBSZWFjdCBmaWJlciBub2RlXG4gKiBAcmV0dXJucyB7c3RyaW5nfG51bGx9IENvbXBvbmVudCBuYW1lIG9yIG51bGxcbiAqL1xuY29uc3QgcmVzb2x2ZUNvbXBvbmVudE5hbWUgPSAoZWxlbWVudFR5cGUsIGZpYmVyID0gbnVsbCkgPT4ge1xuICBpZiAoIWVsZW1lbnRUeXBlKSByZXR1cm4gbnVsbDtcblxuICBpZiAodHlwZW9mIGVsZW1lbnRUeXBlID09PSAnZnVuY3Rpb24nKSB7XG4gICAgaWYgKGVsZW1lbnRUeXBlLmRpc3BsYXlOYW1lKSB7XG4gICAgICByZXR1cm4gZWxlbWVudFR5cGUuZGlzcGxheU5hbWU7XG4gICAgfVxuXG4gICAgaWYgKGVsZW1lbnRUeXBlLm5hbWUgJiYgZWxlbWVudFR5cGUubmFtZSAhPT0gJ0Fub255bW91cycpIHtcbiAgICAgIHJldHVybiBlbGVtZW50VHlwZS5uYW1lO1xuICAgIH1cblxuICAgIGlmIChlbGVtZW50VHlwZS5yZW5kZXIpIHtcbiAgICAgIHJldHVybiByZXNvbHZlQ29tcG9uZW50TmFtZShlbGVtZW50VHlwZS5yZW5kZXIsIGZpYmVyKTtcbiAgICB9XG5cbiAgICBpZiAoZWxlbWVudFR5cGUuJCR0eXBlb2YgJiYgZWxlbWVudFR5cGUudHlwZSkge1xuICAgICAgcmV0dXJuIHJlc29sdmVDb21wb25lbnROYW1lKGVsZW1lbnRUeXBlLnR5cGUsIGZpYmVyKTtcbiAgICB9XG4gIH1cblxuICBpZiAodHlwZW9mIGVsZW1lbnRUeXBlID09PSAnc3RyaW5nJykge1xuICAgIHJldHVybiBlbGVtZW50VHlwZTtcbiAgfVxuXG4gIGlmIChlbGVtZW50VHlwZSAmJiBlbGVtZW50VHlwZS4kJHR5cGVvZikge1xuICAgIGlmIChlbGVtZW50VHlwZS50eXBlKSB7XG4gICAgICByZXR1cm4gcmVzb2x2ZUNvbXBvbmVudE5hbWUoZWxlbWVudFR5cGUudHlwZSwgZmliZXIpO1xuICAgIH1cbiAgfVxuXG4gIGlmIChmaWJlciAmJiBmaWJlci5fZGVidWdTb3VyY2UpIHtcbiAgICBjb25zdCBmaWxlTmFtZSA9IGZpYmVyLl9kZWJ1Z1NvdXJjZS5maWxlTmFtZTtcbiAgICBpZiAoZmlsZU5hbWUpIHtcbiAgICAgIGNvbnN0IG1hdGNoID0gZmlsZU5hbWUubWF0Y2goLyhbXi9cXFxcXSspXFwuKGpzeD98dHN4PykkLyk7XG4gICAgICBpZiAobWF0Y2gpIHtcbiAgICAgICAgcmV0dXJuIG1hdGNoWzFdO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBudWxsO1xufTtcblxuLyoqXG4gKiBDaGVja3MgaWYgYSBjb21wb25lbnQgYmVsb25ncyB0byB0aGUgcHJvamVjdCBiYXNlZCBvbiBpdHMgc291cmNlIGZpbGUgcGF0aFxuICogQHBhcmFtIHtPYmplY3R9IGZpYmVyIC0gUmVhY3QgZmliZXIgbm9kZVxuICogQHBhcmFtIHtzdHJpbmd9IHByb2plY3RSb290UGF0aCAtIFByb2plY3Qgcm9vdCBwYXRoIGZvciBjb21wYXJpc29uXG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50TmFtZSAtIE9wdGlvbmFsIGNvbXBvbmVudCBuYW1lIHRvIGNoZWNrIGFnYWluc3QgcHJvamVjdCBmaWxlc1xuICogQHJldHVybnMge2Jvb2xlYW59IFRydWUgaWYgY29tcG9uZW50IGJlbG9uZ3MgdG8gcHJvamVjdFxuICovXG5jb25zdCBpc1Byb2plY3RDb21wb25lbnQgPSAoZmliZXIsIHByb2plY3RSb290UGF0aCwgY29tcG9uZW50TmFtZSA9IG51bGwpID0+IHtcbiAgaWYgKCFwcm9qZWN0Um9vdFBhdGgpIHtcbiAgICByZXR1cm4gdHJ1ZTtcbiAgfVxuXG4gIGNvbnN0IGZpbGVQYXRoID0gZmliZXI/Ll9kZWJ1Z1NvdXJjZT8uZmlsZU5hbWU7XG5cbiAgaWYgKGZpbGVQYXRoKSB7XG4gICAgaWYgKGlzRXh0ZXJuYWxQYXRoKGZpbGVQYXRoKSkge1xuICAgICAgcmV0dXJuIGZhbHNlO1xuICAgIH1cblxuICAgIGNvbnN0IG5vcm1hbGl6ZWRGaWxlUGF0aCA9IG5vcm1hbGl6ZVBhdGgoZmlsZVBhdGgpO1xuICAgIGNvbnN0IG5vcm1hbGl6ZWRQcm9qZWN0Um9vdCA9IG5vcm1hbGl6ZVBhdGgocHJvamVjdFJvb3RQYXRoKTtcblxuICAgIGlmIChub3JtYWxpemVkRmlsZVBhdGguc3RhcnRzV2l0aChub3JtYWxpemVkUHJvamVjdFJvb3QpKSB7XG4gICAgICByZXR1cm4gdHJ1ZTtcbiAgICB9XG5cbiAgICBpZiAoXG4gICAgICAhbm9ybWFsaXplZEZpbGVQYXRoLmluY2x1ZGVzKCdub2RlX21vZHVsZXMnKSAmJlxuICAgICAgIW5vcm1hbGl6ZWRGaWxlUGF0aC5zdGFydHNXaXRoKCcvJykgJiZcbiAgICAgICFub3JtYWxpemVkRmlsZVBhdGgubWF0Y2goL15bYS16XTovaSlcbiAgICApIHtcbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH1cblxuICAgIHJldHVybiBmYWxzZTtcbiAgfVxuXG4gIGlmIChjb21wb25lbnROYW1lKSB7XG4gICAgY29uc3Qgbm9ybWFsaXplZENvbXBvbmVudE5hbWUgPSBjb21wb25lbnROYW1lLnRvTG93ZXJDYXNlKCk7XG4gICAgLy8gTygxKSBsb29rdXAgdXNpbmcgcHJlLWJ1aWx0IGluZGV4IGluc3RlYWQgb2YgTyhtKSBsb29wIHRocm91Z2ggYWxsIGZpbGVzXG4gICAgaWYgKGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguaGFzKG5vcm1hbGl6ZWRDb21wb25lbnROYW1lKSkge1xuICAgICAgcmV0dXJuIHRydWU7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGZhbHNlO1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBwcm9qZWN0IHJvb3QgcGF0aCBmb3IgZmlsdGVyaW5nXG4gKiBAcGFyYW0ge3N0cmluZ30gcm9vdFBhdGggLSBQcm9qZWN0IHJvb3QgcGF0aFxuICovXG5leHBvcnQgY29uc3Qgc2V0UHJvamVjdFJvb3QgPSAocm9vdFBhdGgpID0+IHtcbiAgcHJvamVjdFJvb3QgPSByb290UGF0aCA/IG5vcm1hbGl6ZVBhdGgocm9vdFBhdGgpIDogbnVsbDtcblxuICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX1JPT1RfXyAmJiAhcHJvamVjdFJvb3QpIHtcbiAgICBwcm9qZWN0Um9vdCA9IG5vcm1hbGl6ZVBhdGgod2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX1JPT1RfXyk7XG4gIH1cbn07XG5cbi8qKlxuICogR2V0cyB0aGUgY3VycmVudCBwcm9qZWN0IHJvb3QgcGF0aFxuICogQHJldHVybnMge3N0cmluZ3xudWxsfSBQcm9qZWN0IHJvb3QgcGF0aCBvciBudWxsXG4gKi9cbmV4cG9ydCBjb25zdCBnZXRQcm9qZWN0Um9vdCA9ICgpID0+IHtcbiAgcmV0dXJuIHByb2plY3RSb290O1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSB1c2FnZSBtYXAgZm9yIGZpbHRlcmluZyBleHRlcm5hbCBjb21wb25lbnRzXG4gKiBAcGFyYW0ge09iamVjdH0gbWFwIC0gVXNhZ2UgbWFwIChmaWxlIHBhdGggLT4gQXJyYXkgb2YgY29tcG9uZW50IG5hbWVzKVxuICovXG5leHBvcnQgY29uc3Qgc2V0VXNhZ2VNYXAgPSAobWFwKSA9PiB7XG4gIHVzYWdlTWFwID0gbWFwIHx8IHt9O1xuXG4gIGlmIChcbiAgICB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJlxuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfVVNBR0VfTUFQX18gJiZcbiAgICBPYmplY3Qua2V5cyh1c2FnZU1hcCkubGVuZ3RoID09PSAwXG4gICkge1xuICAgIHVzYWdlTWFwID0gd2luZG93Ll9fWFJBWV9SRUFDVF9VU0FHRV9NQVBfXztcbiAgfVxuXG4gIGlmIChwcm9qZWN0RmlsZVBhdGhzLnNpemUgPT09IDApIHtcbiAgICBwcm9qZWN0RmlsZVBhdGhzID0gbmV3IFNldChPYmplY3Qua2V5cyh1c2FnZU1hcCB8fCB7fSkpO1xuICB9IGVsc2Uge1xuICAgIE9iamVjdC5rZXlzKHVzYWdlTWFwIHx8IHt9KS5mb3JFYWNoKChmaWxlUGF0aCkgPT4gcHJvamVjdEZpbGVQYXRocy5hZGQoZmlsZVBhdGgpKTtcbiAgfVxufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBpbXBvcnQgbWFwIGZvciBmaWx0ZXJpbmcgZXh0ZXJuYWwgY29tcG9uZW50cyAoZmFsbGJhY2spXG4gKiBAcGFyYW0ge09iamVjdH0gbWFwIC0gSW1wb3J0IG1hcCAoZmlsZSBwYXRoIC0+IEFycmF5IG9mIGNvbXBvbmVudCBuYW1lcylcbiAqL1xuZXhwb3J0IGNvbnN0IHNldEltcG9ydE1hcCA9IChtYXApID0+IHtcbiAgaW1wb3J0TWFwID0gbWFwIHx8IHt9O1xuXG4gIGlmIChcbiAgICB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJlxuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfSU1QT1JUX01BUF9fICYmXG4gICAgT2JqZWN0LmtleXMoaW1wb3J0TWFwKS5sZW5ndGggPT09IDBcbiAgKSB7XG4gICAgaW1wb3J0TWFwID0gd2luZG93Ll9fWFJBWV9SRUFDVF9JTVBPUlRfTUFQX187XG4gIH1cblxuICBPYmplY3Qua2V5cyhpbXBvcnRNYXAgfHwge30pLmZvckVhY2goKGZpbGVQYXRoKSA9PiBwcm9qZWN0RmlsZVBhdGhzLmFkZChmaWxlUGF0aCkpO1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBsaXN0IG9mIGFsbCBwcm9qZWN0IGZpbGVzIGZvdW5kIGluIHNvdXJjZVBhdGggZm9sZGVyc1xuICogQHBhcmFtIHtBcnJheTxzdHJpbmc+fSBmaWxlcyAtIEFycmF5IG9mIGFsbCBmaWxlIHBhdGhzIGZvdW5kIGluIHNvdXJjZVBhdGhcbiAqL1xuZXhwb3J0IGNvbnN0IHNldFByb2plY3RGaWxlcyA9IChmaWxlcykgPT4ge1xuICBsZXQgZmlsZUxpc3QgPSBmaWxlcyB8fCBbXTtcblxuICBpZiAoXG4gICAgdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiZcbiAgICB3aW5kb3cuX19YUkFZX1JFQUNUX1BST0pFQ1RfRklMRVNfXyAmJlxuICAgIGZpbGVMaXN0Lmxlbmd0aCA9PT0gMFxuICApIHtcbiAgICBjb25zdCBnbG9iYWxGaWxlcyA9IHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9GSUxFU19fO1xuICAgIGlmIChBcnJheS5pc0FycmF5KGdsb2JhbEZpbGVzKSkge1xuICAgICAgZmlsZUxpc3QgPSBbLi4uZ2xvYmFsRmlsZXNdO1xuICAgIH1cbiAgfVxuXG4gIHByb2plY3RGaWxlUGF0aHMgPSBuZXcgU2V0KGZpbGVMaXN0KTtcblxuICAvLyBQcmUtY29tcHV0ZSBub3JtYWxpemVkIHBhdGhzIGFuZCBjb21wb25lbnQgbmFtZSBpbmRleCBmb3IgTygxKSBsb29rdXBzXG4gIG5vcm1hbGl6ZWRQcm9qZWN0RmlsZVBhdGhzLmNsZWFyKCk7XG4gIGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguY2xlYXIoKTtcblxuICBmb3IgKGNvbnN0IGZpbGVQYXRoIG9mIGZpbGVMaXN0KSB7XG4gICAgY29uc3Qgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZVBhdGgoZmlsZVBhdGgpO1xuICAgIG5vcm1hbGl6ZWRQcm9qZWN0RmlsZVBhdGhzLmFkZChub3JtYWxpemVkKTtcblxuICAgIGNvbnN0IHBhdGhQYXJ0cyA9IG5vcm1hbGl6ZWQuc3BsaXQoJy8nKTtcbiAgICBjb25zdCBmaWxlbmFtZSA9IHBhdGhQYXJ0c1twYXRoUGFydHMubGVuZ3RoIC0gMV0gfHwgJyc7XG4gICAgY29uc3QgZmlsZW5hbWVXaXRob3V0RXh0ID0gZmlsZW5hbWUucmVwbGFjZSgvXFwuKHRzeD98anN4PykkLywgJycpO1xuXG4gICAgaWYgKGZpbGVuYW1lV2l0aG91dEV4dCkge1xuICAgICAgaWYgKCFjb21wb25lbnROYW1lVG9GaWxlc0luZGV4LmhhcyhmaWxlbmFtZVdpdGhvdXRFeHQpKSB7XG4gICAgICAgIGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguc2V0KGZpbGVuYW1lV2l0aG91dEV4dCwgbmV3IFNldCgpKTtcbiAgICAgIH1cbiAgICAgIGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguZ2V0KGZpbGVuYW1lV2l0aG91dEV4dCkuYWRkKGZpbGVQYXRoKTtcbiAgICB9XG5cbiAgICBmb3IgKGNvbnN0IHBhcnQgb2YgcGF0aFBhcnRzLnNsaWNlKDAsIC0xKSkge1xuICAgICAgaWYgKHBhcnQgJiYgcGFydC5sZW5ndGggPiAxKSB7XG4gICAgICAgIGlmICghY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleC5oYXMocGFydCkpIHtcbiAgICAgICAgICBjb21wb25lbnROYW1lVG9GaWxlc0luZGV4LnNldChwYXJ0LCBuZXcgU2V0KCkpO1xuICAgICAgICB9XG4gICAgICAgIGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguZ2V0KHBhcnQpLmFkZChmaWxlUGF0aCk7XG4gICAgICB9XG4gICAgfVxuICB9XG59O1xuXG4vKipcbiAqIEF0dGVtcHRzIHRvIGRldGVjdCBwcm9qZWN0IHJvb3QgZnJvbSBmaWJlciB0cmVlIHdoZW4gc2VydmVyIGlzIG5vdCBhdmFpbGFibGVcbiAqIFNjYW5zIERPTSBmb3IgUmVhY3QgZmliZXJzIGFuZCBleHRyYWN0cyBmaWxlIHBhdGhzIHRvIGluZmVyIHByb2plY3Qgcm9vdFxuICovXG5jb25zdCBkZXRlY3RQcm9qZWN0Um9vdEZyb21ET00gPSAoKSA9PiB7XG4gIGlmIChwcm9qZWN0Um9vdCkge1xuICAgIHJldHVybjtcbiAgfVxuXG4gIHRyeSB7XG4gICAgY29uc3QgZmlsZVBhdGhzID0gW107XG4gICAgY29uc3QgbWF4U2FtcGxlcyA9IDUwOyAvLyBMaW1pdCBzYW1wbGVzIGZvciBwZXJmb3JtYW5jZVxuICAgIGxldCBzYW1wbGVzID0gMDtcblxuICAgIGNvbnN0IHdhbGtlciA9IGRvY3VtZW50LmNyZWF0ZVRyZWVXYWxrZXIoZG9jdW1lbnQuYm9keSwgTm9kZUZpbHRlci5TSE9XX0VMRU1FTlQsIG51bGwsIGZhbHNlKTtcblxuICAgIGxldCBub2RlO1xuICAgIHdoaWxlICgobm9kZSA9IHdhbGtlci5uZXh0Tm9kZSgpKSAmJiBzYW1wbGVzIDwgbWF4U2FtcGxlcykge1xuICAgICAgY29uc3QgZmliZXJLZXkgPSBPYmplY3Qua2V5cyhub2RlKS5maW5kKFxuICAgICAgICAoa2V5KSA9PiBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEZpYmVyJCcpIHx8IGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSxcbiAgICAgICk7XG5cbiAgICAgIGlmIChmaWJlcktleSkge1xuICAgICAgICBjb25zdCBmaWJlciA9IG5vZGVbZmliZXJLZXldO1xuICAgICAgICBsZXQgY3VycmVudEZpYmVyID0gZmliZXI7XG4gICAgICAgIGxldCBkZXB0aCA9IDA7XG5cbiAgICAgICAgd2hpbGUgKGN1cnJlbnRGaWJlciAmJiBkZXB0aCA8IDEwKSB7XG4gICAgICAgICAgaWYgKGN1cnJlbnRGaWJlci5fZGVidWdTb3VyY2UgJiYgY3VycmVudEZpYmVyLl9kZWJ1Z1NvdXJjZS5maWxlTmFtZSkge1xuICAgICAgICAgICAgY29uc3QgZmlsZVBhdGggPSBjdXJyZW50RmliZXIuX2RlYnVnU291cmNlLmZpbGVOYW1lO1xuICAgICAgICAgICAgaWYgKCFpc0V4dGVybmFsUGF0aChmaWxlUGF0aCkpIHtcbiAgICAgICAgICAgICAgZmlsZVBhdGhzLnB1c2goZmlsZVBhdGgpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgICBjdXJyZW50RmliZXIgPSBjdXJyZW50RmliZXIucmV0dXJuO1xuICAgICAgICAgIGRlcHRoKys7XG4gICAgICAgICAgc2FtcGxlcysrO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuXG4gICAgaWYgKGZpbGVQYXRocy5sZW5ndGggPiAwKSB7XG4gICAgICBjb25zdCBkZXRlY3RlZFJvb3QgPSBkZXRlY3RQcm9qZWN0Um9vdEZyb21QYXRocyhmaWxlUGF0aHMpO1xuICAgICAgaWYgKGRldGVjdGVkUm9vdCkge1xuICAgICAgICBwcm9qZWN0Um9vdCA9IGRldGVjdGVkUm9vdDtcbiAgICAgIH1cbiAgICB9XG4gIH0gY2F0Y2gge1xuICAgIC8vIFNpbGVudGx5IGZhaWwgLSBwcm9qZWN0IHJvb3QgZGV0ZWN0aW9uIGlzIG9wdGlvbmFsXG4gIH1cbn07XG5cbi8qKlxuICogQ2hlY2tzIGlmIGFuIGV4dGVybmFsIGNvbXBvbmVudCBpcyB1c2VkIGJ5IGFueSBpbnRlcm5hbCBjb21wb25lbnQgaW4gdGhlIHNlZW4gbGlzdFxuICogQ2hlY2tzIHVzYWdlIG1hcCBmaXJzdCAocHJpbWFyeSksIHRoZW4gaW1wb3J0IG1hcCAoZmFsbGJhY2spXG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50TmFtZSAtIEV4dGVybmFsIGNvbXBvbmVudCBuYW1lIHRvIGNoZWNrXG4gKiBAcGFyYW0ge0FycmF5fSBzZWVuSW50ZXJuYWxDb21wb25lbnRzIC0gQXJyYXkgb2YgaW50ZXJuYWwgY29tcG9uZW50cyBzZWVuIHNvIGZhciBpbiBwYXRoXG4gKiBAcmV0dXJucyB7Ym9vbGVhbn0gVHJ1ZSBpZiBjb21wb25lbnQgaXMgdXNlZCBieSBhbnkgc2VlbiBpbnRlcm5hbCBjb21wb25lbnRcbiAqL1xuY29uc3QgaXNVc2VkQnlJbnRlcm5hbENvbXBvbmVudHMgPSAoY29tcG9uZW50TmFtZSwgc2VlbkludGVybmFsQ29tcG9uZW50cykgPT4ge1xuICBpZiAoIWNvbXBvbmVudE5hbWUgfHwgc2VlbkludGVybmFsQ29tcG9uZW50cy5sZW5ndGggPT09IDApIHtcbiAgICByZXR1cm4gZmFsc2U7XG4gIH1cblxuICBpZiAoT2JqZWN0LmtleXModXNhZ2VNYXApLmxlbmd0aCA9PT0gMCAmJiBPYmplY3Qua2V5cyhpbXBvcnRNYXApLmxlbmd0aCA9PT0gMCkge1xuICAgIHJldHVybiB0cnVlO1xuICB9XG5cbiAgZm9yIChjb25zdCBpbnRlcm5hbENvbXAgb2Ygc2VlbkludGVybmFsQ29tcG9uZW50cykge1xuICAgIGNvbnN0IGZpbGVQYXRoID0gaW50ZXJuYWxDb21wLmZpbGU7XG4gICAgaWYgKCFmaWxlUGF0aCkgY29udGludWU7XG5cbiAgICBpZiAodXNhZ2VNYXBbZmlsZVBhdGhdICYmIEFycmF5LmlzQXJyYXkodXNhZ2VNYXBbZmlsZVBhdGhdKSkge1xuICAgICAgaWYgKHVzYWdlTWFwW2ZpbGVQYXRoXS5pbmNsdWRlcyhjb21wb25lbnROYW1lKSkge1xuICAgICAgICByZXR1cm4gdHJ1ZTtcbiAgICAgIH1cbiAgICB9XG5cbiAgICBpZiAoaW1wb3J0TWFwW2ZpbGVQYXRoXSAmJiBBcnJheS5pc0FycmF5KGltcG9ydE1hcFtmaWxlUGF0aF0pKSB7XG4gICAgICBpZiAoaW1wb3J0TWFwW2ZpbGVQYXRoXS5pbmNsdWRlcyhjb21wb25lbnROYW1lKSkge1xuICAgICAgICByZXR1cm4gdHJ1ZTtcbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICByZXR1cm4gZmFsc2U7XG59O1xuXG4vKipcbiAqIFRyYXZlcnNlcyB0aGUgZmliZXIgdHJlZSB0byBmaW5kIFJlYWN0IGNvbXBvbmVudHMsIHNraXBwaW5nIEhUTUwgZWxlbWVudHNcbiAqIEZpbHRlcnMgb3V0IGV4dGVybmFsIGxpYnJhcnkgY29tcG9uZW50cyBiYXNlZCBvbiB1c2FnZS9pbXBvcnQgbWFwc1xuICogQHBhcmFtIHtPYmplY3R9IGZpYmVyIC0gU3RhcnRpbmcgZmliZXIgbm9kZVxuICogQHBhcmFtIHtudW1iZXJ9IG1heERlcHRoIC0gTWF4aW11bSBkZXB0aCB0byB0cmF2ZXJzZVxuICogQHJldHVybnMge0FycmF5fSBBcnJheSBvZiBjb21wb25lbnQgaW5mb3JtYXRpb24gb2JqZWN0c1xuICovXG5jb25zdCB0cmF2ZXJzZUZpYmVyVHJlZSA9IChmaWJlciwgbWF4RGVwdGggPSBNQVhfRklCRVJfREVQVEgpID0+IHtcbiAgY29uc3QgYWxsQ29tcG9uZW50cyA9IFtdO1xuICBjb25zdCBpbnRlcm5hbENvbXBvbmVudHMgPSBbXTtcbiAgbGV0IGN1cnJlbnRGaWJlciA9IGZpYmVyO1xuICBsZXQgZGVwdGggPSAwO1xuICAvLyBQZXJmb3JtYW5jZSBpbXByb3ZlbWVudHNcbiAgY29uc3QgdmlzaXRlZCA9IG5ldyBTZXQoKTtcblxuICB3aGlsZSAoY3VycmVudEZpYmVyICYmIGRlcHRoIDwgbWF4RGVwdGgpIHtcbiAgICBpZiAodmlzaXRlZC5oYXMoY3VycmVudEZpYmVyKSkge1xuICAgICAgYnJlYWs7XG4gICAgfVxuICAgIHZpc2l0ZWQuYWRkKGN1cnJlbnRGaWJlcik7XG5cbiAgICBjb25zdCBlbGVtZW50VHlwZSA9IGN1cnJlbnRGaWJlci5lbGVtZW50VHlwZSB8fCBjdXJyZW50RmliZXIudHlwZTtcblxuICAgIGlmIChlbGVtZW50VHlwZSkge1xuICAgICAgY29uc3QgY29tcG9uZW50TmFtZSA9IHJlc29sdmVDb21wb25lbnROYW1lKGVsZW1lbnRUeXBlLCBjdXJyZW50RmliZXIpO1xuXG4gICAgICBpZiAoY29tcG9uZW50TmFtZSkge1xuICAgICAgICBpZiAoIWlzSFRNTEVsZW1lbnQoY29tcG9uZW50TmFtZSkpIHtcbiAgICAgICAgICBjb25zdCBpc0ludGVybmFsID0gaXNQcm9qZWN0Q29tcG9uZW50KGN1cnJlbnRGaWJlciwgcHJvamVjdFJvb3QsIGNvbXBvbmVudE5hbWUpO1xuXG4gICAgICAgICAgbGV0IGZpbGVQYXRoID0gbnVsbDtcbiAgICAgICAgICBpZiAoY3VycmVudEZpYmVyLl9kZWJ1Z1NvdXJjZSAmJiBjdXJyZW50RmliZXIuX2RlYnVnU291cmNlLmZpbGVOYW1lKSB7XG4gICAgICAgICAgICBmaWxlUGF0aCA9IGN1cnJlbnRGaWJlci5fZGVidWdTb3VyY2UuZmlsZU5hbWU7XG4gICAgICAgICAgfVxuXG4gICAgICAgICAgYWxsQ29tcG9uZW50cy5wdXNoKHtcbiAgICAgICAgICAgIG5hbWU6IGNvbXBvbmVudE5hbWUsXG4gICAgICAgICAgICBmaWJlcjogY3VycmVudEZpYmVyLFxuICAgICAgICAgICAgZWxlbWVudFR5cGU6IGVsZW1lbnRUeXBlLFxuICAgICAgICAgICAgZGVwdGg6IGRlcHRoLFxuICAgICAgICAgICAgaXNJbnRlcm5hbDogaXNJbnRlcm5hbCxcbiAgICAgICAgICAgIGZpbGU6IGZpbGVQYXRoLFxuICAgICAgICAgIH0pO1xuXG4gICAgICAgICAgaWYgKGlzSW50ZXJuYWwpIHtcbiAgICAgICAgICAgIGludGVybmFsQ29tcG9uZW50cy5wdXNoKHsgbmFtZTogY29tcG9uZW50TmFtZSwgZmlsZTogZmlsZVBhdGggfSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuXG4gICAgY3VycmVudEZpYmVyID0gY3VycmVudEZpYmVyLnJldHVybiB8fCBjdXJyZW50RmliZXIuX293bmVyO1xuICAgIGRlcHRoKys7XG4gIH1cblxuICBjb25zdCBmaWx0ZXJlZENvbXBvbmVudHMgPSBbXTtcbiAgZm9yIChjb25zdCBjb21wIG9mIGFsbENvbXBvbmVudHMpIHtcbiAgICBpZiAoY29tcC5pc0ludGVybmFsKSB7XG4gICAgICBmaWx0ZXJlZENvbXBvbmVudHMucHVzaCh7XG4gICAgICAgIG5hbWU6IGNvbXAubmFtZSxcbiAgICAgICAgZmliZXI6IGNvbXAuZmliZXIsXG4gICAgICAgIGVsZW1lbnRUeXBlOiBjb21wLmVsZW1lbnRUeXBlLFxuICAgICAgICBkZXB0aDogY29tcC5kZXB0aCxcbiAgICAgICAgZmlsZTogY29tcC5maWxlLFxuICAgICAgICBpc0ludGVybmFsOiBjb21wLmlzSW50ZXJuYWwsXG4gICAgICB9KTtcbiAgICB9IGVsc2Uge1xuICAgICAgaWYgKGlzVXNlZEJ5SW50ZXJuYWxDb21wb25lbnRzKGNvbXAubmFtZSwgaW50ZXJuYWxDb21wb25lbnRzKSkge1xuICAgICAgICBmaWx0ZXJlZENvbXBvbmVudHMucHVzaCh7XG4gICAgICAgICAgbmFtZTogY29tcC5uYW1lLFxuICAgICAgICAgIGZpYmVyOiBjb21wLmZpYmVyLFxuICAgICAgICAgIGVsZW1lbnRUeXBlOiBjb21wLmVsZW1lbnRUeXBlLFxuICAgICAgICAgIGRlcHRoOiBjb21wLmRlcHRoLFxuICAgICAgICAgIGZpbGU6IGNvbXAuZmlsZSxcbiAgICAgICAgICBpc0ludGVybmFsOiBjb21wLmlzSW50ZXJuYWwsXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBmaWx0ZXJlZENvbXBvbmVudHM7XG59O1xuXG4vKipcbiAqIEdldHMgUmVhY3QgY29tcG9uZW50IGluZm9ybWF0aW9uIGZyb20gYSBET00gZWxlbWVudCB1c2luZyBSZWFjdCBEZXZUb29scyBwcm90b2NvbFxuICogU3VwcG9ydHMgUmVhY3QgMTgrIGFuZCBmYWxscyBiYWNrIHRvIGxlZ2FjeSBkZXRlY3Rpb24gZm9yIG9sZGVyIHZlcnNpb25zXG4gKiBFbmhhbmNlZCB0byBza2lwIEhUTUwgZWxlbWVudHMgYW5kIGZpbmQgYWN0dWFsIFJlYWN0IGNvbXBvbmVudHNcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBUaGUgRE9NIGVsZW1lbnRcbiAqIEByZXR1cm5zIHtPYmplY3R9IE9iamVjdCB3aXRoIGNvbXBvbmVudCBuYW1lIGFuZCBvcHRpb25hbCB1aWRcbiAqL1xuY29uc3QgZ2V0Q29tcG9uZW50T2JqID0gKGVsZW0pID0+IHtcbiAgaWYgKHdpbmRvdy5fX1JFQUNUX0RFVlRPT0xTX0dMT0JBTF9IT09LX18pIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgZmliZXJLZXkgPSBPYmplY3Qua2V5cyhlbGVtKS5maW5kKFxuICAgICAgICAoa2V5KSA9PiBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEZpYmVyJCcpIHx8IGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSxcbiAgICAgICk7XG5cbiAgICAgIGlmIChmaWJlcktleSkge1xuICAgICAgICBjb25zdCBmaWJlciA9IGVsZW1bZmliZXJLZXldO1xuICAgICAgICBjb25zdCBjb21wb25lbnRzID0gdHJhdmVyc2VGaWJlclRyZWUoZmliZXIpO1xuXG4gICAgICAgIGlmIChjb21wb25lbnRzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICBjb25zdCBmaXJzdENvbXBvbmVudCA9IGNvbXBvbmVudHNbMF07XG4gICAgICAgICAgY29uc3QgdWlkID1cbiAgICAgICAgICAgIGZpcnN0Q29tcG9uZW50LmZpYmVyLl9kZWJ1Z0lEIHx8XG4gICAgICAgICAgICBgJHtmaXJzdENvbXBvbmVudC5maWJlci5pbmRleCB8fCAnJ30ke2ZpcnN0Q29tcG9uZW50LmZpYmVyLmtleSB8fCAnJ31gO1xuICAgICAgICAgIGNvbnN0IHJldmVyc2VkSGllcmFyY2h5ID0gY29tcG9uZW50cy5yZXZlcnNlKCkubWFwKChjKSA9PiBjLm5hbWUpO1xuICAgICAgICAgIHJldHVybiB7IG5hbWU6IGZpcnN0Q29tcG9uZW50Lm5hbWUsIHVpZCwgaGllcmFyY2h5OiByZXZlcnNlZEhpZXJhcmNoeSB9O1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfSBjYXRjaCB7XG4gICAgICAvLyBTaWxlbnRseSBmYWxsIGJhY2sgdG8gbGVnYWN5IGRldGVjdGlvblxuICAgIH1cbiAgfVxuXG4gIGZvciAoY29uc3Qga2V5IG9mIE9iamVjdC5rZXlzKGVsZW0pKSB7XG4gICAgaWYgKGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSkge1xuICAgICAgY29uc3QgZmliZXJOb2RlID0gZWxlbVtrZXldO1xuICAgICAgaWYgKGZpYmVyTm9kZSkge1xuICAgICAgICB0cnkge1xuICAgICAgICAgIGNvbnN0IGNvbXBvbmVudHMgPSB0cmF2ZXJzZUZpYmVyVHJlZShmaWJlck5vZGUpO1xuICAgICAgICAgIGlmIChjb21wb25lbnRzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICAgIGNvbnN0IGZpcnN0Q29tcG9uZW50ID0gY29tcG9uZW50c1swXTtcbiAgICAgICAgICAgIGNvbnN0IHJldmVyc2VkSGllcmFyY2h5ID0gY29tcG9uZW50cy5yZXZlcnNlKCkubWFwKChjKSA9PiBjLm5hbWUpO1xuICAgICAgICAgICAgcmV0dXJuIHtcbiAgICAgICAgICAgICAgbmFtZTogZmlyc3RDb21wb25lbnQubmFtZSxcbiAgICAgICAgICAgICAgdWlkOiBgJHtmaWJlck5vZGUuX21vdW50SW5kZXggfHwgJyd9JHtmaWJlck5vZGUuX21vdW50T3JkZXIgfHwgJyd9YCxcbiAgICAgICAgICAgICAgaGllcmFyY2h5OiByZXZlcnNlZEhpZXJhcmNoeSxcbiAgICAgICAgICAgIH07XG4gICAgICAgICAgfVxuICAgICAgICB9IGNhdGNoIHtcbiAgICAgICAgICAvLyBDb250aW51ZSB0byBvbGQgbGVnYWN5IGRldGVjdGlvblxuICAgICAgICB9XG4gICAgICB9XG5cbiAgICAgIGlmIChmaWJlck5vZGUgJiYgZmliZXJOb2RlLl9jdXJyZW50RWxlbWVudCkge1xuICAgICAgICBjb25zdCBvd25lciA9IGZpYmVyTm9kZS5fY3VycmVudEVsZW1lbnQuX293bmVyO1xuICAgICAgICBjb25zdCBmaWJlciA9IG93bmVyICYmIG93bmVyLl9pbnN0YW5jZTtcbiAgICAgICAgaWYgKGZpYmVyKSB7XG4gICAgICAgICAgY29uc3QgY29tcG9uZW50TmFtZSA9IGZpYmVyLmNvbnN0cnVjdG9yLm5hbWU7XG4gICAgICAgICAgaWYgKCFpc0hUTUxFbGVtZW50KGNvbXBvbmVudE5hbWUpKSB7XG4gICAgICAgICAgICByZXR1cm4ge1xuICAgICAgICAgICAgICBuYW1lOiBjb21wb25lbnROYW1lLFxuICAgICAgICAgICAgICB1aWQ6IGAke293bmVyLl9tb3VudEluZGV4IHx8ICcnfSR7b3duZXIuX21vdW50T3JkZXIgfHwgJyd9YCxcbiAgICAgICAgICAgIH07XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9IGVsc2UgaWYgKGZpYmVyTm9kZSkge1xuICAgICAgICBjb25zdCBmaWJlciA9IGZpYmVyTm9kZS5yZXR1cm4/LnN0YXRlTm9kZT8uX3JlYWN0SW50ZXJuYWxGaWJlcjtcbiAgICAgICAgaWYgKGZpYmVyKSB7XG4gICAgICAgICAgY29uc3QgY29tcG9uZW50TmFtZSA9IGZpYmVyLnR5cGU/Lm5hbWUgfHwgJ1Vua25vd24nO1xuICAgICAgICAgIGlmIChjb21wb25lbnROYW1lICE9PSAnVW5rbm93bicgJiYgIWlzSFRNTEVsZW1lbnQoY29tcG9uZW50TmFtZSkpIHtcbiAgICAgICAgICAgIHJldHVybiB7IG5hbWU6IGNvbXBvbmVudE5hbWUgfTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICBjb25zdCB0YWdOYW1lID0gZWxlbS50YWdOYW1lPy50b0xvd2VyQ2FzZSgpO1xuICBpZiAodGFnTmFtZSAmJiBpc0hUTUxFbGVtZW50KHRhZ05hbWUpKSB7XG4gICAgcmV0dXJuIHsgbmFtZTogdGFnTmFtZSB9O1xuICB9XG5cbiAgcmV0dXJuIHt9O1xufTtcblxuLyoqXG4gKiBDcmVhdGVzIGEgY2FjaGVkIGZ1bmN0aW9uIGZvciBzZWFyY2hpbmcgYW5kIGNyZWF0aW5nIGNvbXBvbmVudCBvdmVybGF5c1xuICogQHJldHVybnMge0Z1bmN0aW9ufSBGdW5jdGlvbiB0aGF0IGNyZWF0ZXMgb3ZlcmxheSBlbGVtZW50cyBmb3IgY29tcG9uZW50c1xuICovXG5jb25zdCBzZWFyY2hBbmRDcmVhdGVDb21wb25lbnRDYWNoZWQgPSAoKSA9PiB7XG4gIC8vIFBlcmZvcm1hbmNlIGltcHJvdmVtZW50c1xuICBjb25zdCB1aWRzID0gbmV3IFNldCgpO1xuICByZXR1cm4gKGVsZW0pID0+IHtcbiAgICBjb25zdCB7IG5hbWUsIHVpZCB9ID0gZ2V0Q29tcG9uZW50T2JqKGVsZW0pO1xuXG4gICAgaWYgKG5hbWUgJiYgbmFtZSAhPT0gJ1Vua25vd24nKSB7XG4gICAgICBpZiAodWlkKSB7XG4gICAgICAgIGlmICghdWlkcy5oYXModWlkKSkge1xuICAgICAgICAgIHVpZHMuYWRkKHVpZCk7XG4gICAgICAgICAgcmV0dXJuIGNyZWF0ZUVsZW1Gb3JDb21wb25lbnQoZWxlbSwgbmFtZSk7XG4gICAgICAgIH1cbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHJldHVybiBjcmVhdGVFbGVtRm9yQ29tcG9uZW50KGVsZW0sIG5hbWUpO1xuICAgICAgfVxuICAgIH1cbiAgICByZXR1cm4gbnVsbDtcbiAgfTtcbn07XG5cbi8qKlxuICogRXh0cmFjdHMgY29tcG9uZW50IG9iamVjdHMgZnJvbSBSZWFjdCBmaWJlciB0cmVlXG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSBlbGVtIC0gRE9NIGVsZW1lbnQgdG8gZXh0cmFjdCBjb21wb25lbnRzIGZyb21cbiAqIEByZXR1cm5zIHtBcnJheX0gQXJyYXkgb2YgY29tcG9uZW50IG9iamVjdHMgZnJvbSBmaWJlciB0cmVlXG4gKi9cbmNvbnN0IGdldENvbXBvbmVudHNGcm9tRWxlbWVudCA9IChlbGVtKSA9PiB7XG4gIGxldCBjb21wb25lbnRzID0gW107XG5cbiAgaWYgKHdpbmRvdy5fX1JFQUNUX0RFVlRPT0xTX0dMT0JBTF9IT09LX18pIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgZmliZXJLZXkgPSBPYmplY3Qua2V5cyhlbGVtKS5maW5kKFxuICAgICAgICAoa2V5KSA9PiBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEZpYmVyJCcpIHx8IGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSxcbiAgICAgICk7XG5cbiAgICAgIGlmIChmaWJlcktleSkge1xuICAgICAgICBjb25zdCBmaWJlciA9IGVsZW1bZmliZXJLZXldO1xuICAgICAgICBjb21wb25lbnRzID0gdHJhdmVyc2VGaWJlclRyZWUoZmliZXIpO1xuICAgICAgICAvLyBSZXZlcnNlIHRvIGdldCBwYXJlbnQgLT4gY2hpbGQgb3JkZXIgKHRyYXZlcnNhbCBnb2VzIGNoaWxkIC0+IHBhcmVudClcbiAgICAgICAgY29tcG9uZW50cyA9IGNvbXBvbmVudHMucmV2ZXJzZSgpO1xuICAgICAgfVxuICAgIH0gY2F0Y2gge1xuICAgICAgLy8gU2lsZW50bHkgZmFsbCBiYWNrIHRvIGxlZ2FjeSBkZXRlY3Rpb25cbiAgICB9XG4gIH1cblxuICBpZiAoY29tcG9uZW50cy5sZW5ndGggPT09IDApIHtcbiAgICBmb3IgKGNvbnN0IGtleSBvZiBPYmplY3Qua2V5cyhlbGVtKSkge1xuICAgICAgaWYgKGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSkge1xuICAgICAgICBjb25zdCBmaWJlck5vZGUgPSBlbGVtW2tleV07XG4gICAgICAgIGlmIChmaWJlck5vZGUpIHtcbiAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgY29tcG9uZW50cyA9IHRyYXZlcnNlRmliZXJUcmVlKGZpYmVyTm9kZSk7XG4gICAgICAgICAgICAvLyBSZXZlcnNlIHRvIGdldCBwYXJlbnQgLT4gY2hpbGQgb3JkZXJcbiAgICAgICAgICAgIGNvbXBvbmVudHMgPSBjb21wb25lbnRzLnJldmVyc2UoKTtcbiAgICAgICAgICAgIGJyZWFrO1xuICAgICAgICAgIH0gY2F0Y2gge1xuICAgICAgICAgICAgLy8gU2lsZW50bHkgY29udGludWUgdG8gbmV4dCBkZXRlY3Rpb24gbWV0aG9kXG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGNvbXBvbmVudHM7XG59O1xuXG4vKipcbiAqIEdldHMgY29tcG9uZW50IHBhdGggZnJvbSBET00gdHJhdmVyc2FsIChmYWxsYmFjayBtZXRob2QpXG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSBlbGVtIC0gRE9NIGVsZW1lbnQgdG8gc3RhcnQgdHJhdmVyc2FsIGZyb21cbiAqIEByZXR1cm5zIHtBcnJheX0gQXJyYXkgb2YgY29tcG9uZW50IG5hbWVzIGZyb20gRE9NIHRyYXZlcnNhbFxuICovXG5jb25zdCBnZXREb21QYXRoID0gKGVsZW0pID0+IHtcbiAgbGV0IGN1cnJlbnRFbGVtID0gZWxlbTtcbiAgY29uc3QgZG9tUGF0aCA9IFtdO1xuICBjb25zdCBzZWVuQ29tcG9uZW50TmFtZXMgPSBuZXcgU2V0KCk7XG5cbiAgd2hpbGUgKGN1cnJlbnRFbGVtICYmIGN1cnJlbnRFbGVtLnBhcmVudE5vZGUgJiYgZG9tUGF0aC5sZW5ndGggPCAyMCkge1xuICAgIGN1cnJlbnRFbGVtID0gY3VycmVudEVsZW0ucGFyZW50Tm9kZTtcbiAgICBjb25zdCB7IG5hbWU6IGNvbXBvbmVudCB9ID0gZ2V0Q29tcG9uZW50T2JqKGN1cnJlbnRFbGVtKTtcbiAgICBpZiAoY29tcG9uZW50ICYmIGNvbXBvbmVudCAhPT0gJ1Vua25vd24nICYmICFpc0hUTUxFbGVtZW50KGNvbXBvbmVudCkpIHtcbiAgICAgIGNvbnN0IG5vcm1hbGl6ZWROYW1lID0gY29tcG9uZW50LnRvTG93ZXJDYXNlKCk7XG4gICAgICBpZiAoIXNlZW5Db21wb25lbnROYW1lcy5oYXMobm9ybWFsaXplZE5hbWUpKSB7XG4gICAgICAgIHNlZW5Db21wb25lbnROYW1lcy5hZGQobm9ybWFsaXplZE5hbWUpO1xuICAgICAgICBkb21QYXRoLnVuc2hpZnQoY29tcG9uZW50KTtcbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICByZXR1cm4gZG9tUGF0aDtcbn07XG5cbi8qKlxuICogQnVpbGRzIGZ1bGwgY29tcG9uZW50IHN0cnVjdHVyZSBwYXRoIChpbmNsdWRlcyBhbGwgY29tcG9uZW50cylcbiAqIEBwYXJhbSB7QXJyYXl9IGNvbXBvbmVudHMgLSBDb21wb25lbnQgb2JqZWN0cyBmcm9tIGZpYmVyIHRyZWVcbiAqIEBwYXJhbSB7c3RyaW5nfSBjdXJyZW50Q29tcG9uZW50TmFtZSAtIE5hbWUgb2YgY3VycmVudCBjb21wb25lbnRcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBPcmlnaW5hbCBET00gZWxlbWVudCBmb3IgZmFsbGJhY2tcbiAqIEByZXR1cm5zIHtzdHJpbmd9IEZ1bGwgY29tcG9uZW50IHBhdGggc3RydWN0dXJlXG4gKi9cbmNvbnN0IGJ1aWxkRnVsbFN0cnVjdHVyZSA9IChjb21wb25lbnRzLCBjdXJyZW50Q29tcG9uZW50TmFtZSwgZWxlbSkgPT4ge1xuICBpZiAoY29tcG9uZW50cy5sZW5ndGggPiAwKSB7XG4gICAgY29uc3QgZmlsdGVyZWRDb21wb25lbnRzID0gY29tcG9uZW50cy5maWx0ZXIoXG4gICAgICAoY29tcCkgPT4gY29tcC5uYW1lICE9PSBjdXJyZW50Q29tcG9uZW50TmFtZSAmJiAhaXNIVE1MRWxlbWVudChjb21wLm5hbWUpLFxuICAgICk7XG5cbiAgICBpZiAoZmlsdGVyZWRDb21wb25lbnRzLmxlbmd0aCA+IDApIHtcbiAgICAgIGNvbnN0IGZ1bGxQYXRoID0gZmlsdGVyZWRDb21wb25lbnRzLm1hcCgoY29tcCkgPT4gY29tcC5uYW1lKTtcbiAgICAgIHJldHVybiBbLi4uZnVsbFBhdGgsIGN1cnJlbnRDb21wb25lbnROYW1lXS5qb2luKCcgLT4gJyk7XG4gICAgfVxuXG4gICAgcmV0dXJuIGN1cnJlbnRDb21wb25lbnROYW1lO1xuICB9XG5cbiAgY29uc3QgZG9tUGF0aCA9IGdldERvbVBhdGgoZWxlbSk7XG5cbiAgaWYgKGRvbVBhdGgubGVuZ3RoID4gMCkge1xuICAgIHJldHVybiBbLi4uZG9tUGF0aCwgY3VycmVudENvbXBvbmVudE5hbWVdLmpvaW4oJyAtPiAnKTtcbiAgfVxuXG4gIHJldHVybiBjdXJyZW50Q29tcG9uZW50TmFtZTtcbn07XG5cbi8qKlxuICogQnVpbGRzIGZpbHRlcmVkIGNvbXBvbmVudCBzdHJ1Y3R1cmUgcGF0aCAob25seSBwcm9qZWN0LW93bmVkIGNvbXBvbmVudHMpXG4gKiBAcGFyYW0ge0FycmF5fSBjb21wb25lbnRzIC0gQ29tcG9uZW50IG9iamVjdHMgZnJvbSBmaWJlciB0cmVlXG4gKiBAcGFyYW0ge3N0cmluZ30gY3VycmVudENvbXBvbmVudE5hbWUgLSBOYW1lIG9mIGN1cnJlbnQgY29tcG9uZW50XG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSBlbGVtIC0gT3JpZ2luYWwgRE9NIGVsZW1lbnQgZm9yIGZhbGxiYWNrXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBGaWx0ZXJlZCBjb21wb25lbnQgcGF0aCBzdHJ1Y3R1cmVcbiAqL1xuY29uc3QgYnVpbGRGaWx0ZXJlZFN0cnVjdHVyZSA9IChjb21wb25lbnRzLCBjdXJyZW50Q29tcG9uZW50TmFtZSwgZWxlbSkgPT4ge1xuICBpZiAoY29tcG9uZW50cy5sZW5ndGggPiAwKSB7XG4gICAgY29uc3QgZmlsdGVyZWRDb21wb25lbnRzID0gY29tcG9uZW50cy5maWx0ZXIoXG4gICAgICAoY29tcCkgPT4gY29tcC5uYW1lICE9PSBjdXJyZW50Q29tcG9uZW50TmFtZSAmJiAhaXNIVE1MRWxlbWVudChjb21wLm5hbWUpLFxuICAgICk7XG5cbiAgICBjb25zdCBzZWVuQ29tcG9uZW50cyA9IG5ldyBTZXQoKTtcbiAgICBjb25zdCBwcm9qZWN0T3duZWRDb21wb25lbnRzID0gW107XG5cbiAgICBmb3IgKGNvbnN0IGNvbXAgb2YgZmlsdGVyZWRDb21wb25lbnRzKSB7XG4gICAgICBpZiAoIWNvbXAuaXNJbnRlcm5hbCkge1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cblxuICAgICAgY29uc3Qgbm9ybWFsaXplZE5hbWUgPSBjb21wLm5hbWUudG9Mb3dlckNhc2UoKTtcblxuICAgICAgaWYgKGNvbXAuZmlsZSkge1xuICAgICAgICBjb25zdCBub3JtYWxpemVkRmlsZSA9IGNvbXAuZmlsZS50b0xvd2VyQ2FzZSgpO1xuICAgICAgICBjb25zdCBwYXRoUGFydHMgPSBub3JtYWxpemVkRmlsZS5zcGxpdCgvWy9cXFxcXS8pO1xuICAgICAgICBjb25zdCBmaWxlbmFtZSA9IHBhdGhQYXJ0c1twYXRoUGFydHMubGVuZ3RoIC0gMV07XG4gICAgICAgIGNvbnN0IGZpbGVuYW1lV2l0aG91dEV4dCA9IGZpbGVuYW1lLnJlcGxhY2UoL1xcLih0c3g/fGpzeD8pJC8sICcnKTtcblxuICAgICAgICBjb25zdCBuYW1lTWF0Y2hlc0ZpbGUgPVxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmluY2x1ZGVzKGAvJHtub3JtYWxpemVkTmFtZX1gKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmluY2x1ZGVzKGBcXFxcJHtub3JtYWxpemVkTmFtZX1gKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGAvJHtub3JtYWxpemVkTmFtZX0udHN4YCkgfHxcbiAgICAgICAgICBub3JtYWxpemVkRmlsZS5lbmRzV2l0aChgLyR7bm9ybWFsaXplZE5hbWV9LnRzYCkgfHxcbiAgICAgICAgICBub3JtYWxpemVkRmlsZS5lbmRzV2l0aChgLyR7bm9ybWFsaXplZE5hbWV9LmpzeGApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuZW5kc1dpdGgoYC8ke25vcm1hbGl6ZWROYW1lfS5qc2ApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuZW5kc1dpdGgoYFxcXFwke25vcm1hbGl6ZWROYW1lfS50c3hgKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGBcXFxcJHtub3JtYWxpemVkTmFtZX0udHNgKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGBcXFxcJHtub3JtYWxpemVkTmFtZX0uanN4YCkgfHxcbiAgICAgICAgICBub3JtYWxpemVkRmlsZS5lbmRzV2l0aChgXFxcXCR7bm9ybWFsaXplZE5hbWV9LmpzYCkgfHxcbiAgICAgICAgICBmaWxlbmFtZVdpdGhvdXRFeHQgPT09IG5vcm1hbGl6ZWROYW1lO1xuXG4gICAgICAgIC8vIE8oMSkgbG9va3VwIHVzaW5nIHByZS1idWlsdCBpbmRleCBpbnN0ZWFkIG9mIE8obSkgc3ByZWFkICsgc29tZSArIGluY2x1ZGVzXG4gICAgICAgIGNvbnN0IGluUHJvamVjdEZpbGVQYXRocyA9IGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguaGFzKG5vcm1hbGl6ZWROYW1lKTtcblxuICAgICAgICBpZiAoIW5hbWVNYXRjaGVzRmlsZSAmJiAhaW5Qcm9qZWN0RmlsZVBhdGhzKSB7XG4gICAgICAgICAgY29udGludWU7XG4gICAgICAgIH1cblxuICAgICAgICAvLyBEZWR1cGxpY2F0ZSBieSBjb21wb25lbnQgaWRlbnRpdHk6IHVzZSBub3JtYWxpemVkIG5hbWUgKyBub3JtYWxpemVkIGZpbGUgcGF0aCBhcyB1bmlxdWUga2V5XG4gICAgICAgIC8vIFRoaXMgZW5zdXJlcyB0aGF0OlxuICAgICAgICAvLyAxLiBUaGUgc2FtZSBjb21wb25lbnQgKHNhbWUgbmFtZSwgc2FtZSBmaWxlKSBhcHBlYXJpbmcgbXVsdGlwbGUgdGltZXMgaXMgb25seSBzaG93biBvbmNlXG4gICAgICAgIC8vICAgIChlLmcuLCBXZWJBcHBMYXlvdXQgLT4gV2ViQXBwTGF5b3V0IC0+IFdlYkFwcExheW91dClcbiAgICAgICAgLy8gMi4gRGlmZmVyZW50IGNvbXBvbmVudHMgd2l0aCB0aGUgc2FtZSBuYW1lIGJ1dCBkaWZmZXJlbnQgZmlsZXMgYXJlIGJvdGggc2hvd25cbiAgICAgICAgLy8gICAgKGUuZy4sIGNvbXBvbmVudHNfbGVmdC9QYXJlbnQuanN4IHZzIGNvbXBvbmVudHNfcmlnaHQvUGFyZW50LmpzeClcbiAgICAgICAgY29uc3Qgbm9ybWFsaXplZEZpbGVQYXRoID0gbm9ybWFsaXplUGF0aChjb21wLmZpbGUpO1xuICAgICAgICBjb25zdCBjb21wb25lbnRLZXkgPSBgJHtub3JtYWxpemVkTmFtZX06JHtub3JtYWxpemVkRmlsZVBhdGh9YDtcblxuICAgICAgICBpZiAoc2VlbkNvbXBvbmVudHMuaGFzKGNvbXBvbmVudEtleSkpIHtcbiAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgfVxuXG4gICAgICAgIHNlZW5Db21wb25lbnRzLmFkZChjb21wb25lbnRLZXkpO1xuICAgICAgICBwcm9qZWN0T3duZWRDb21wb25lbnRzLnB1c2goY29tcCk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBjb25zdCBjb21wb25lbnRLZXkgPSBub3JtYWxpemVkTmFtZTtcblxuICAgICAgICBpZiAoc2VlbkNvbXBvbmVudHMuaGFzKGNvbXBvbmVudEtleSkpIHtcbiAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgfVxuXG4gICAgICAgIHNlZW5Db21wb25lbnRzLmFkZChjb21wb25lbnRLZXkpO1xuICAgICAgICBwcm9qZWN0T3duZWRDb21wb25lbnRzLnB1c2goY29tcCk7XG4gICAgICB9XG4gICAgfVxuXG4gICAgaWYgKHByb2plY3RPd25lZENvbXBvbmVudHMubGVuZ3RoID4gMCkge1xuICAgICAgY29uc3QgZmlsdGVyZWRQYXRoID0gcHJvamVjdE93bmVkQ29tcG9uZW50cy5tYXAoKGNvbXApID0+IGNvbXAubmFtZSk7XG4gICAgICBjb25zdCBjdXJyZW50TmFtZUxvd2VyID0gY3VycmVudENvbXBvbmVudE5hbWUudG9Mb3dlckNhc2UoKTtcbiAgICAgIGNvbnN0IHBhdGhDb250YWluc0N1cnJlbnQgPSBmaWx0ZXJlZFBhdGguc29tZShcbiAgICAgICAgKG5hbWUpID0+IG5hbWUudG9Mb3dlckNhc2UoKSA9PT0gY3VycmVudE5hbWVMb3dlcixcbiAgICAgICk7XG5cbiAgICAgIGxldCBmaW5hbFBhdGg7XG4gICAgICBpZiAoIXBhdGhDb250YWluc0N1cnJlbnQpIHtcbiAgICAgICAgZmluYWxQYXRoID0gWy4uLmZpbHRlcmVkUGF0aCwgY3VycmVudENvbXBvbmVudE5hbWVdO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgZmluYWxQYXRoID0gZmlsdGVyZWRQYXRoO1xuICAgICAgfVxuXG4gICAgICAvLyBSZW1vdmUgY29uc2VjdXRpdmUgZHVwbGljYXRlcyBvZiB0aGUgc2FtZSBjb21wb25lbnRzIGJlZm9yZSBqb2luaW5nXG4gICAgICBmaW5hbFBhdGggPSByZW1vdmVDb25zZWN1dGl2ZUR1cGxpY2F0ZXMoZmluYWxQYXRoKTtcbiAgICAgIHJldHVybiBmaW5hbFBhdGguam9pbignIC0+ICcpO1xuICAgIH1cblxuICAgIHJldHVybiBjdXJyZW50Q29tcG9uZW50TmFtZTtcbiAgfVxuXG4gIGNvbnN0IGRvbVBhdGggPSBnZXREb21QYXRoKGVsZW0pO1xuXG4gIGlmIChkb21QYXRoLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBjdXJyZW50TmFtZUxvd2VyID0gY3VycmVudENvbXBvbmVudE5hbWUudG9Mb3dlckNhc2UoKTtcbiAgICBjb25zdCBwYXRoQ29udGFpbnNDdXJyZW50ID0gZG9tUGF0aC5zb21lKChuYW1lKSA9PiBuYW1lLnRvTG93ZXJDYXNlKCkgPT09IGN1cnJlbnROYW1lTG93ZXIpO1xuXG4gICAgbGV0IGZpbmFsUGF0aDtcbiAgICBpZiAoIXBhdGhDb250YWluc0N1cnJlbnQpIHtcbiAgICAgIGZpbmFsUGF0aCA9IFsuLi5kb21QYXRoLCBjdXJyZW50Q29tcG9uZW50TmFtZV07XG4gICAgfSBlbHNlIHtcbiAgICAgIGZpbmFsUGF0aCA9IGRvbVBhdGg7XG4gICAgfVxuXG4gICAgLy8gUmVtb3ZlIGNvbnNlY3V0aXZlIGR1cGxpY2F0ZXMgb2YgdGhlIHNhbWUgY29tcG9uZW50cyBiZWZvcmUgam9pbmluZ1xuICAgIGZpbmFsUGF0aCA9IHJlbW92ZUNvbnNlY3V0aXZlRHVwbGljYXRlcyhmaW5hbFBhdGgpO1xuICAgIHJldHVybiBmaW5hbFBhdGguam9pbignIC0+ICcpO1xuICB9XG5cbiAgcmV0dXJuIGN1cnJlbnRDb21wb25lbnROYW1lO1xufTtcblxuLyoqXG4gKiBBZGRzIHRoZSBhYnNvbHV0ZSBjb21wb25lbnQgcGF0aCB0byBhbiBvdmVybGF5IGVsZW1lbnRcbiAqIFVzZXMgZmliZXItYmFzZWQgaGllcmFyY2h5IGZvciBhY2N1cmF0ZSBSZWFjdCBjb21wb25lbnQgcGF0aHNcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBPcmlnaW5hbCBET00gZWxlbWVudFxuICogQHBhcmFtIHtIVE1MRWxlbWVudH0geHJheVJlYWN0RWxlbSAtIE92ZXJsYXkgZWxlbWVudFxuICovXG5jb25zdCBhZGRBYnNvbHV0ZUNvbXBvbmVudFBhdGggPSAoZWxlbSwgeHJheVJlYWN0RWxlbSkgPT4ge1xuICBjb25zdCBjdXJyZW50Q29tcG9uZW50TmFtZSA9IHhyYXlSZWFjdEVsZW0uZ2V0QXR0cmlidXRlKCdkYXRhLXhyYXktcmVhY3QtZWxlbWVudC1uYW1lJykgfHwgJyc7XG5cbiAgY29uc3QgY29tcG9uZW50cyA9IGdldENvbXBvbmVudHNGcm9tRWxlbWVudChlbGVtKTtcblxuICBjb25zdCBmdWxsU3RydWN0dXJlID0gYnVpbGRGdWxsU3RydWN0dXJlKGNvbXBvbmVudHMsIGN1cnJlbnRDb21wb25lbnROYW1lLCBlbGVtKTtcbiAgY29uc3QgZmlsdGVyZWRTdHJ1Y3R1cmUgPSBidWlsZEZpbHRlcmVkU3RydWN0dXJlKGNvbXBvbmVudHMsIGN1cnJlbnRDb21wb25lbnROYW1lLCBlbGVtKTtcblxuICB4cmF5UmVhY3RFbGVtLnNldEF0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0Q29tcFBhdGhBdHRyLCBmdWxsU3RydWN0dXJlKTtcbiAgeHJheVJlYWN0RWxlbS5zZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlSZWFjdEZpbHRlcmVkQ29tcFBhdGhBdHRyLCBmaWx0ZXJlZFN0cnVjdHVyZSk7XG59O1xuXG4vKipcbiAqIEhhbmRsZXMgbW91c2VvdmVyIGV2ZW50cyBvbiBvdmVybGF5IGVsZW1lbnRzXG4gKiBAcGFyYW0ge0V2ZW50fSBldmVudCAtIE1vdXNlb3ZlciBldmVudFxuICovXG5jb25zdCBvblhyYXlSZWFjdE1vdXNlb3ZlciA9IChldmVudCkgPT4ge1xuICBjb25zdCB7IHRhcmdldCB9ID0gZXZlbnQ7XG4gIGlmICh0YXJnZXQuY2xhc3NMaXN0LmNvbnRhaW5zKGNvbnN0YW50cy54cmF5UmVhY3RFbGVtQ04pKSB7XG4gICAgY29uc3QgY29tcG9uZW50c1BhdGggPVxuICAgICAgdGFyZ2V0LmdldEF0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0RmlsdGVyZWRDb21wUGF0aEF0dHIpIHx8XG4gICAgICB0YXJnZXQuZ2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RDb21wUGF0aEF0dHIpIHx8XG4gICAgICAnJztcbiAgICBjb25zdCBwYXRoRWxlbWVudCA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoJy54cmF5LXJlYWN0LWFjdGlvbnMtd3JhcHBlciAuY29tcG9uZW50cy1wYXRoJyk7XG4gICAgaWYgKHBhdGhFbGVtZW50KSB7XG4gICAgICBwYXRoRWxlbWVudC5pbm5lckhUTUwgPSBjb21wb25lbnRzUGF0aDtcbiAgICB9XG4gIH1cbn07XG5cbi8qKlxuICogVG9nZ2xlcyB0aGUgeHJheS1yZWFjdCBvdmVybGF5IG9uL29mZlxuICovXG5jb25zdCB0b2dnbGVYcmF5UmVhY3QgPSAoKSA9PiB7XG4gIGNvbnN0IGJvZHkgPSBkb2N1bWVudC5ib2R5O1xuXG4gIGlmIChib2R5LmNsYXNzTGlzdC5jb250YWlucygneHJheS1yZWFjdC1lbmFibGVkJykpIHtcbiAgICBib2R5LmNsYXNzTGlzdC5yZW1vdmUoJ3hyYXktcmVhY3QtZW5hYmxlZCcpO1xuICAgIGNvbnN0IHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoYC4ke2NvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ059YCk7XG4gICAgY29uc3QgeHJheVJlYWN0QWN0aW9uQmFyID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3QtYWN0aW9uLWJhcicpO1xuICAgIGNvbnN0IHhyYXlSZWFjdFN0eWxlVGFnID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3Qtc3R5bGUtdGFnJyk7XG4gICAgY29uc3QgdGVtcEVsZW1lbnRzID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvckFsbCgnLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wJyk7XG5cbiAgICBpZiAoeHJheVJlYWN0QWN0aW9uQmFyKSB7XG4gICAgICB4cmF5UmVhY3RBY3Rpb25CYXIuY2xhc3NMaXN0LnJlbW92ZSgnLXNpbXBsZS1tb2RlJyk7XG4gICAgfVxuICAgIGlmICh4cmF5UmVhY3RFbGVtZW50c1dyYXBwZXIpIHtcbiAgICAgIHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlci5yZW1vdmUoKTtcbiAgICB9XG4gICAgaWYgKHhyYXlSZWFjdEFjdGlvbkJhcikgeHJheVJlYWN0QWN0aW9uQmFyLnJlbW92ZSgpO1xuICAgIGlmICh4cmF5UmVhY3RTdHlsZVRhZykgeHJheVJlYWN0U3R5bGVUYWcucmVtb3ZlKCk7XG4gICAgdGVtcEVsZW1lbnRzLmZvckVhY2goKGVsKSA9PiBlbC5yZW1vdmUoKSk7XG5cbiAgICBib2R5LnJlbW92ZUV2ZW50TGlzdGVuZXIoJ21vdXNlb3ZlcicsIG9uWHJheVJlYWN0TW91c2VvdmVyKTtcbiAgfSBlbHNlIHtcbiAgICBib2R5LmNsYXNzTGlzdC5hZGQoJ3hyYXktcmVhY3QtZW5hYmxlZCcpO1xuXG4gICAgY3VycmVudE1vZGUgPSBnZXRDdXJyZW50TW9kZSgpO1xuXG4gICAgbGV0IHN0eWxlRWxlbWVudCA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoJy54cmF5LXJlYWN0LXN0eWxlLXRhZycpO1xuICAgIGlmICghc3R5bGVFbGVtZW50KSB7XG4gICAgICBzdHlsZUVsZW1lbnQgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdzdHlsZScpO1xuICAgICAgc3R5bGVFbGVtZW50LmNsYXNzTmFtZSA9ICd4cmF5LXJlYWN0LXN0eWxlLXRhZyc7XG4gICAgICBzdHlsZUVsZW1lbnQudGV4dENvbnRlbnQgPSBjc3M7XG4gICAgICBkb2N1bWVudC5oZWFkLmFwcGVuZENoaWxkKHN0eWxlRWxlbWVudCk7XG4gICAgfVxuXG4gICAgY29uc3QgZXhpc3RpbmdBY3Rpb25CYXIgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yKCcueHJheS1yZWFjdC1hY3Rpb24tYmFyJyk7XG4gICAgaWYgKCFleGlzdGluZ0FjdGlvbkJhcikge1xuICAgICAgYm9keS5pbnNlcnRBZGphY2VudEhUTUwoJ2JlZm9yZWVuZCcsIGFjdGlvbkJhcik7XG4gICAgfSBlbHNlIHtcbiAgICAgIGNvbnN0IGV4aXN0aW5nQ2xlYXJCdXR0b24gPSBleGlzdGluZ0FjdGlvbkJhci5xdWVyeVNlbGVjdG9yKCcuc2VhcmNoLWNsZWFyJyk7XG4gICAgICBpZiAoZXhpc3RpbmdDbGVhckJ1dHRvbiAmJiAhZXhpc3RpbmdDbGVhckJ1dHRvbi5oYXNBdHRyaWJ1dGUoJ2RhdGEtbGlzdGVuZXItYXR0YWNoZWQnKSkge1xuICAgICAgICBleGlzdGluZ0NsZWFyQnV0dG9uLnNldEF0dHJpYnV0ZSgnZGF0YS1saXN0ZW5lci1hdHRhY2hlZCcsICd0cnVlJyk7XG4gICAgICAgIGV4aXN0aW5nQ2xlYXJCdXR0b24uYWRkRXZlbnRMaXN0ZW5lcignY2xpY2snLCBoYW5kbGVTZWFyY2hDbGVhcik7XG4gICAgICB9XG4gICAgfVxuICAgIGlmIChjdXJyZW50TW9kZSA9PT0gVUlfTU9ERV9TSU1QTEUgJiYgZXhpc3RpbmdBY3Rpb25CYXIpIHtcbiAgICAgIGV4aXN0aW5nQWN0aW9uQmFyLmNsYXNzTGlzdC5hZGQoJy1zaW1wbGUtbW9kZScpO1xuICAgIH0gZWxzZSBpZiAoY3VycmVudE1vZGUgPT09IFVJX01PREVfU0lNUExFICYmICFleGlzdGluZ0FjdGlvbkJhcikge1xuICAgICAgc2V0VGltZW91dCgoKSA9PiB7XG4gICAgICAgIGNvbnN0IGFjdGlvbkJhciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoJy54cmF5LXJlYWN0LWFjdGlvbi1iYXInKTtcbiAgICAgICAgaWYgKGFjdGlvbkJhcikge1xuICAgICAgICAgIGFjdGlvbkJhci5jbGFzc0xpc3QuYWRkKCctc2ltcGxlLW1vZGUnKTtcbiAgICAgICAgfVxuICAgICAgfSwgMCk7XG4gICAgfSBlbHNlIGlmIChjdXJyZW50TW9kZSAhPT0gVUlfTU9ERV9TSU1QTEUgJiYgZXhpc3RpbmdBY3Rpb25CYXIpIHtcbiAgICAgIGV4aXN0aW5nQWN0aW9uQmFyLmNsYXNzTGlzdC5yZW1vdmUoJy1zaW1wbGUtbW9kZScpO1xuICAgIH1cbiAgICBjb25zdCBzZWFyY2hJbnB1dCA9IGRvY3VtZW50LmdldEVsZW1lbnRCeUlkKCdzZWFyY2gtY29tcG9uZW50Jyk7XG4gICAgaWYgKHNlYXJjaElucHV0KSB7XG4gICAgICBzZWFyY2hJbnB1dC5hZGRFdmVudExpc3RlbmVyKCdpbnB1dCcsIGhhbmRsZVNlYXJjaENoYW5nZSk7XG4gICAgICB1cGRhdGVDbGVhckJ1dHRvbihzZWFyY2hJbnB1dCk7XG4gICAgfVxuICAgIGNvbnN0IGNsZWFyQnV0dG9uID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnNlYXJjaC1jbGVhcicpO1xuICAgIGlmIChjbGVhckJ1dHRvbiAmJiAhY2xlYXJCdXR0b24uaGFzQXR0cmlidXRlKCdkYXRhLWxpc3RlbmVyLWF0dGFjaGVkJykpIHtcbiAgICAgIGNsZWFyQnV0dG9uLnNldEF0dHJpYnV0ZSgnZGF0YS1saXN0ZW5lci1hdHRhY2hlZCcsICd0cnVlJyk7XG4gICAgICBjbGVhckJ1dHRvbi5hZGRFdmVudExpc3RlbmVyKCdjbGljaycsIGhhbmRsZVNlYXJjaENsZWFyKTtcbiAgICB9XG4gICAgYm9keS5hZGRFdmVudExpc3RlbmVyKCdtb3VzZW92ZXInLCBvblhyYXlSZWFjdE1vdXNlb3Zlcik7XG5cbiAgICBjb25zdCBleGlzdGluZ1dyYXBwZXIgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yKGAuJHtjb25zdGFudHMueHJheVJlYWN0V3JhcHBlckNOfWApO1xuICAgIGlmIChleGlzdGluZ1dyYXBwZXIpIHtcbiAgICAgIGV4aXN0aW5nV3JhcHBlci5yZW1vdmUoKTtcbiAgICB9XG5cbiAgICBjb25zdCB4cmF5UmVhY3RFbGVtZW50c1dyYXBwZXIgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdkaXYnKTtcbiAgICB4cmF5UmVhY3RFbGVtZW50c1dyYXBwZXIuY2xhc3NOYW1lID0gY29uc3RhbnRzLnhyYXlSZWFjdFdyYXBwZXJDTjtcbiAgICBpZiAoY3VycmVudE1vZGUgPT09IFVJX01PREVfU0lNUExFKSB7XG4gICAgICB4cmF5UmVhY3RFbGVtZW50c1dyYXBwZXIuY2xhc3NMaXN0LmFkZCgnLXNpbXBsZS1tb2RlJyk7XG4gICAgfVxuICAgIGJvZHkuYXBwZW5kKHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlcik7XG4gICAgaWYgKGN1cnJlbnRNb2RlID09PSBVSV9NT0RFX1NJTVBMRSkge1xuICAgICAgY29uc3QgYWN0aW9uQmFyID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3QtYWN0aW9uLWJhcicpO1xuICAgICAgaWYgKGFjdGlvbkJhcikge1xuICAgICAgICBhY3Rpb25CYXIuY2xhc3NMaXN0LmFkZCgnLXNpbXBsZS1tb2RlJyk7XG4gICAgICB9XG4gICAgfVxuICAgIGNvbnN0IGV4aXN0aW5nTG9hZGluZyA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3JBbGwoJy54cmF5LXJlYWN0LWVsZW1lbnQtdGVtcCcpO1xuICAgIGV4aXN0aW5nTG9hZGluZy5mb3JFYWNoKChlbCkgPT4gZWwucmVtb3ZlKCkpO1xuXG4gICAgY29uc3QgbG9hZGluZ0VsZW1lbnQgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdkaXYnKTtcbiAgICBsb2FkaW5nRWxlbWVudC5jbGFzc05hbWUgPSAneHJheS1yZWFjdC1lbGVtZW50IHhyYXktcmVhY3QtZWxlbWVudC10ZW1wJztcbiAgICBsb2FkaW5nRWxlbWVudC5zdHlsZS5oZWlnaHQgPSBgJHt3aW5kb3cuaW5uZXJIZWlnaHR9cHhgO1xuICAgIGxvYWRpbmdFbGVtZW50LnN0eWxlLndpZHRoID0gYCR7d2luZG93LmlubmVyV2lkdGh9cHhgO1xuICAgIGxvYWRpbmdFbGVtZW50LnN0eWxlLnRvcCA9IGAke3dpbmRvdy5zY3JvbGxZfXB4YDtcbiAgICBsb2FkaW5nRWxlbWVudC5zdHlsZS5sZWZ0ID0gYCR7d2luZG93LnNjcm9sbFh9cHhgO1xuICAgIGxvYWRpbmdFbGVtZW50LnN0eWxlLnpJbmRleCA9ICcxMDAwMCc7XG4gICAgbG9hZGluZ0VsZW1lbnQuaW5uZXJIVE1MID0gJzxkaXYgY2xhc3M9XCJ4cmF5LXJlYWN0LXNwaW5uZXIgeHJheS1yZWFjdC1lbGVtZW50LXRlbXBcIj48L2Rpdj4nO1xuICAgIHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlci5hcHBlbmRDaGlsZChsb2FkaW5nRWxlbWVudCk7XG5cbiAgICAvLyBQZXJmb3JtYW5jZSBpbXByb3ZlbWVudHNcbiAgICBjb25zdCBwcm9jZXNzRWxlbWVudHNBc3luYyA9ICgpID0+IHtcbiAgICAgIGNvbnN0IHhyYXlSZWFjdE9iamVjdHMgPSBbXTtcbiAgICAgIGNvbnN0IHNlYXJjaEFuZENyZWF0ZUNvbXBvbmVudCA9IHNlYXJjaEFuZENyZWF0ZUNvbXBvbmVudENhY2hlZCgpO1xuICAgICAgY29uc3QgYWxsRWxlbWVudHMgPSBBcnJheS5mcm9tKGJvZHkuZ2V0RWxlbWVudHNCeVRhZ05hbWUoJyonKSkuZmlsdGVyKChlbGVtKSA9PiB7XG4gICAgICAgIHJldHVybiAoXG4gICAgICAgICAgIWVsZW0uY2xhc3NMaXN0LmNvbnRhaW5zKCd4cmF5LXJlYWN0LWVsZW1lbnQtdGVtcCcpICYmXG4gICAgICAgICAgIWVsZW0uY2xvc2VzdCgnLnhyYXktcmVhY3QtYWN0aW9uLWJhcicpICYmXG4gICAgICAgICAgIWVsZW0uY2xvc2VzdChgLiR7Y29uc3RhbnRzLnhyYXlSZWFjdFdyYXBwZXJDTn1gKVxuICAgICAgICApO1xuICAgICAgfSk7XG4gICAgICBjb25zdCBiYXRjaFNpemUgPSAyMDtcbiAgICAgIGxldCBpbmRleCA9IDA7XG5cbiAgICAgIGNvbnN0IHByb2Nlc3NCYXRjaCA9ICgpID0+IHtcbiAgICAgICAgY29uc3QgZW5kSW5kZXggPSBNYXRoLm1pbihpbmRleCArIGJhdGNoU2l6ZSwgYWxsRWxlbWVudHMubGVuZ3RoKTtcblxuICAgICAgICBmb3IgKGxldCBpID0gaW5kZXg7IGkgPCBlbmRJbmRleDsgaSsrKSB7XG4gICAgICAgICAgY29uc3QgZWxlbSA9IGFsbEVsZW1lbnRzW2ldO1xuICAgICAgICAgIGNvbnN0IHhyYXlSZWFjdE9iaiA9IHNlYXJjaEFuZENyZWF0ZUNvbXBvbmVudChlbGVtKTtcbiAgICAgICAgICBpZiAoeHJheVJlYWN0T2JqKSB7XG4gICAgICAgICAgICB4cmF5UmVhY3RPYmplY3RzLnB1c2goeHJheVJlYWN0T2JqKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBpbmRleCA9IGVuZEluZGV4O1xuXG4gICAgICAgIGlmIChpbmRleCA8IGFsbEVsZW1lbnRzLmxlbmd0aCkge1xuICAgICAgICAgIHNldFRpbWVvdXQocHJvY2Vzc0JhdGNoLCAxKTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICBsZXQgcGF0aEluZGV4ID0gMDtcbiAgICAgICAgICBjb25zdCBwYXRoQmF0Y2hTaXplID0gMTA7XG5cbiAgICAgICAgICBjb25zdCBwcm9jZXNzUGF0aHMgPSAoKSA9PiB7XG4gICAgICAgICAgICBjb25zdCBlbmRJbmRleCA9IE1hdGgubWluKHBhdGhJbmRleCArIHBhdGhCYXRjaFNpemUsIHhyYXlSZWFjdE9iamVjdHMubGVuZ3RoKTtcblxuICAgICAgICAgICAgZm9yIChsZXQgaSA9IHBhdGhJbmRleDsgaSA8IGVuZEluZGV4OyBpKyspIHtcbiAgICAgICAgICAgICAgY29uc3QgeyBlbGVtLCB4cmF5UmVhY3RFbGVtIH0gPSB4cmF5UmVhY3RPYmplY3RzW2ldO1xuICAgICAgICAgICAgICBhZGRBYnNvbHV0ZUNvbXBvbmVudFBhdGgoZWxlbSwgeHJheVJlYWN0RWxlbSk7XG4gICAgICAgICAgICB9XG5cbiAgICAgICAgICAgIHBhdGhJbmRleCA9IGVuZEluZGV4O1xuXG4gICAgICAgICAgICBpZiAocGF0aEluZGV4IDwgeHJheVJlYWN0T2JqZWN0cy5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgc2V0VGltZW91dChwcm9jZXNzUGF0aHMsIDEpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgY29uc3Qgd3JhcHBlciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoYC4ke2NvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ059YCk7XG4gICAgICAgICAgICAgIGlmICh3cmFwcGVyKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgdGVtcEVsZW1lbnRzID0gd3JhcHBlci5xdWVyeVNlbGVjdG9yQWxsKCcueHJheS1yZWFjdC1lbGVtZW50LXRlbXAnKTtcbiAgICAgICAgICAgICAgICB0ZW1wRWxlbWVudHMuZm9yRWFjaCgoZWwpID0+IGVsLnJlbW92ZSgpKTtcbiAgICAgICAgICAgICAgICB3cmFwcGVyLmFwcGVuZCguLi54cmF5UmVhY3RPYmplY3RzLm1hcCgob2JqKSA9PiBvYmoueHJheVJlYWN0RWxlbSkpO1xuICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfTtcblxuICAgICAgICAgIHNldFRpbWVvdXQocHJvY2Vzc1BhdGhzLCAxKTtcbiAgICAgICAgfVxuICAgICAgfTtcblxuICAgICAgc2V0VGltZW91dChwcm9jZXNzQmF0Y2gsIDEpO1xuICAgIH07XG5cbiAgICBwcm9jZXNzRWxlbWVudHNBc3luYygpO1xuICB9XG59O1xuXG4vKipcbiAqIEtleWRvd24gZXZlbnQgaGFuZGxlciBmb3IgeHJheS1yZWFjdCBzaG9ydGN1dHNcbiAqIE1hdGNoZXMgeHJheS1yYWlsczogQ21kK1NoaWZ0K1ggKE1hYykgLyBDdHJsK1NoaWZ0K1ggKFdpbmRvd3MvTGludXgpXG4gKi9cbmxldCBrZXlkb3duSGFuZGxlciA9IG51bGw7XG5sZXQgaXNIYW5kbGVyUmVnaXN0ZXJlZCA9IGZhbHNlO1xuXG5jb25zdCBjcmVhdGVLZXlkb3duSGFuZGxlciA9ICgpID0+IHtcbiAgcmV0dXJuIChldmVudCkgPT4ge1xuICAgIGlmIChldmVudC5rZXkgPT09ICdFc2NhcGUnKSB7XG4gICAgICBjb25zdCBib2R5ID0gZG9jdW1lbnQuYm9keTtcbiAgICAgIGlmIChib2R5ICYmIGJvZHkuY2xhc3NMaXN0LmNvbnRhaW5zKCd4cmF5LXJlYWN0LWVuYWJsZWQnKSkge1xuICAgICAgICB0b2dnbGVYcmF5UmVhY3QoKTtcbiAgICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcbiAgICAgIH1cbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBpc01hYyA9IG5hdmlnYXRvci5wbGF0Zm9ybS50b1VwcGVyQ2FzZSgpLmluZGV4T2YoJ01BQycpID49IDA7XG4gICAgY29uc3QgaXNNZXRhT3JDdHJsID0gaXNNYWMgPyBldmVudC5tZXRhS2V5IDogZXZlbnQuY3RybEtleTtcbiAgICBjb25zdCBpc1NoaWZ0ID0gZXZlbnQuc2hpZnRLZXk7XG4gICAgY29uc3QgaXNYID0gZXZlbnQua2V5ID09PSAneCcgfHwgZXZlbnQua2V5ID09PSAnWCcgfHwgZXZlbnQua2V5Q29kZSA9PT0gODg7XG5cbiAgICBpZiAoaXNNZXRhT3JDdHJsICYmIGlzU2hpZnQgJiYgaXNYKSB7XG4gICAgICB0b2dnbGVYcmF5UmVhY3QoKTtcbiAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICBldmVudC5zdG9wUHJvcGFnYXRpb24oKTtcbiAgICB9XG4gIH07XG59O1xuXG4vKipcbiAqIEhhbmRsZXMga2V5Ym9hcmQgc2hvcnRjdXQgdG8gdG9nZ2xlIHhyYXktcmVhY3RcbiAqIEVuc3VyZXMgdGhlIGxpc3RlbmVyIGlzIG9ubHkgcmVnaXN0ZXJlZCBvbmNlXG4gKi9cbmNvbnN0IGhhbmRsZVhyYXlSZWFjdFRvZ2dsZSA9ICgpID0+IHtcbiAgaWYgKGlzSGFuZGxlclJlZ2lzdGVyZWQpIHtcbiAgICByZXR1cm47XG4gIH1cblxuICBpZiAoIWtleWRvd25IYW5kbGVyKSB7XG4gICAga2V5ZG93bkhhbmRsZXIgPSBjcmVhdGVLZXlkb3duSGFuZGxlcigpO1xuICB9XG5cbiAgZG9jdW1lbnQuYWRkRXZlbnRMaXN0ZW5lcigna2V5ZG93bicsIGtleWRvd25IYW5kbGVyLCB0cnVlKTtcbiAgaXNIYW5kbGVyUmVnaXN0ZXJlZCA9IHRydWU7XG59O1xuXG4vKipcbiAqIEVuYWJsZXMgeHJheS1yZWFjdCBmdW5jdGlvbmFsaXR5XG4gKi9cbmV4cG9ydCBjb25zdCBlbmFibGVYcmF5UmVhY3QgPSAoKSA9PiB7XG4gIGN1cnJlbnRNb2RlID0gZ2V0Q3VycmVudE1vZGUoKTtcblxuICBpZiAoIXByb2plY3RSb290KSB7XG4gICAgaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnICYmIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9ST09UX18pIHtcbiAgICAgIHByb2plY3RSb290ID0gbm9ybWFsaXplUGF0aCh3aW5kb3cuX19YUkFZX1JFQUNUX1BST0pFQ1RfUk9PVF9fKTtcbiAgICB9IGVsc2Uge1xuICAgICAgc2V0VGltZW91dCgoKSA9PiB7XG4gICAgICAgIGRldGVjdFByb2plY3RSb290RnJvbURPTSgpO1xuICAgICAgfSwgMTAwMCk7XG4gICAgfVxuICB9XG5cbiAgaWYgKGRvY3VtZW50LnJlYWR5U3RhdGUgPT09ICdsb2FkaW5nJykge1xuICAgIGRvY3VtZW50LmFkZEV2ZW50TGlzdGVuZXIoJ0RPTUNvbnRlbnRMb2FkZWQnLCBoYW5kbGVYcmF5UmVhY3RUb2dnbGUpO1xuICB9IGVsc2Uge1xuICAgIGhhbmRsZVhyYXlSZWFjdFRvZ2dsZSgpO1xuICB9XG59O1xuIiwiaW1wb3J0IHtcbiAgZW5hYmxlWHJheVJlYWN0LFxuICBzZXRQcm9qZWN0Um9vdCxcbiAgc2V0VXNhZ2VNYXAsXG4gIHNldEltcG9ydE1hcCxcbiAgc2V0UHJvamVjdEZpbGVzLFxuICBzZXRNb2RlLFxufSBmcm9tICcuLi9zcmMvdWktdXRpbHMuanMnO1xuXG4vLyBFeHBvc2UgZnVuY3Rpb25zIGdsb2JhbGx5IGZvciBjbGllbnQgYnVuZGxlIHRvIHVzZVxuaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gIHdpbmRvdy54cmF5UmVhY3RTZXRQcm9qZWN0Um9vdCA9IHNldFByb2plY3RSb290O1xuICB3aW5kb3cueHJheVJlYWN0U2V0VXNhZ2VNYXAgPSBzZXRVc2FnZU1hcDtcbiAgd2luZG93LnhyYXlSZWFjdFNldEltcG9ydE1hcCA9IHNldEltcG9ydE1hcDtcbiAgd2luZG93LnhyYXlSZWFjdFNldFByb2plY3RGaWxlcyA9IHNldFByb2plY3RGaWxlcztcbiAgd2luZG93LnhyYXlSZWFjdFNldE1vZGUgPSBzZXRNb2RlO1xufVxuXG5lbmFibGVYcmF5UmVhY3QoKTtcbiJdLCJuYW1lcyI6WyJjb25zdGFudHMueHJheVJlYWN0RWxlbUNOIiwiY29uc3RhbnRzLnpJbmRleCIsImNvbnN0YW50cy5IVE1MX0VMRU1FTlRTIiwiY29uc3RhbnRzLnhyYXlSZWFjdENvbXBQYXRoQXR0ciIsImNvbnN0YW50cy54cmF5UmVhY3RGaWx0ZXJlZENvbXBQYXRoQXR0ciIsImNvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ04iXSwibWFwcGluZ3MiOiI7OztFQUFPLE1BQU0sZUFBZSxHQUFHLG9CQUFvQjtFQUM1QyxNQUFNLGtCQUFrQixHQUFHLDZCQUE2QjtFQUN4RCxNQUFNLHFCQUFxQixHQUFHLGlDQUFpQztFQUMvRCxNQUFNLDZCQUE2QixHQUFHLDBDQUEwQztFQUNoRixNQUFNLE1BQU0sR0FBRyxLQUFLOztFQUVwQixNQUFNLFlBQVksR0FBRyxNQUFNO0VBQzNCLE1BQU0sY0FBYyxHQUFHLFFBQVE7RUFDL0IsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLFlBQVksRUFBRSxjQUFjLENBQUM7O0VBRXpELE1BQU0sYUFBYSxHQUFHLElBQUksR0FBRyxDQUFDO0VBQ3JDLEVBQUUsS0FBSztFQUNQLEVBQUUsTUFBTTtFQUNSLEVBQUUsTUFBTTtFQUNSLEVBQUUsUUFBUTtFQUNWLEVBQUUsT0FBTztFQUNULEVBQUUsR0FBRztFQUNMLEVBQUUsS0FBSztFQUNQLEVBQUUsR0FBRztFQUNMLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsT0FBTztFQUNULEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsT0FBTztFQUNULEVBQUUsT0FBTztFQUNULEVBQUUsT0FBTztFQUNULEVBQUUsU0FBUztFQUNYLEVBQUUsU0FBUztFQUNYLEVBQUUsUUFBUTtFQUNWLEVBQUUsUUFBUTtFQUNWLEVBQUUsS0FBSztFQUNQLEVBQUUsTUFBTTtFQUNSLEVBQUUsT0FBTztFQUNULEVBQUUsT0FBTztFQUNULEVBQUUsUUFBUTtFQUNWLEVBQUUsUUFBUTtFQUNWLEVBQUUsVUFBVTtFQUNaLEVBQUUsVUFBVTtFQUNaLEVBQUUsUUFBUTtFQUNWLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsUUFBUTtFQUNWLEVBQUUsSUFBSTtFQUNOLEVBQUUsR0FBRztFQUNMLEVBQUUsR0FBRztFQUNMLEVBQUUsR0FBRztFQUNMLEVBQUUsT0FBTztFQUNULEVBQUUsS0FBSztFQUNQLEVBQUUsS0FBSztFQUNQLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsSUFBSTtFQUNOLEVBQUUsS0FBSztFQUNQLEVBQUUsTUFBTTtFQUNSLEVBQUUsWUFBWTtFQUNkLEVBQUUsTUFBTTtFQUNSLEVBQUUsUUFBUTtFQUNWLEVBQUUsS0FBSztFQUNQLEVBQUUsTUFBTTtFQUNSLEVBQUUsUUFBUTtFQUNWLEVBQUUsTUFBTTtFQUNSLEVBQUUsTUFBTTtFQUNSLEVBQUUsVUFBVTtFQUNaLEVBQUUsU0FBUztFQUNYLEVBQUUsUUFBUTtFQUNWLEVBQUUsT0FBTztFQUNULEVBQUUsUUFBUTtFQUNWLEVBQUUsT0FBTztFQUNULEVBQUUsT0FBTztFQUNULEVBQUUsUUFBUTtFQUNWLEVBQUUsT0FBTztFQUNULEVBQUUsTUFBTTtFQUNSLEVBQUUsTUFBTTtFQUNSLEVBQUUsT0FBTztFQUNULEVBQUUsUUFBUTtFQUNWLEVBQUUsVUFBVTtFQUNaLEVBQUUsVUFBVTtFQUNaLENBQUMsQ0FBQzs7QUN0RkYsWUFBZTtBQUNmO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0EsQ0FBQzs7RUNsTU0sTUFBTSxTQUFTLEdBQUc7QUFDekI7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQSxDQUFDOztFQ1pELE1BQU0sZUFBZSxHQUFHLEVBQUUsQ0FBQzs7RUFFM0IsSUFBSSxXQUFXLEdBQUcsSUFBSTtFQUN0QixJQUFJLFFBQVEsR0FBRyxFQUFFO0VBQ2pCLElBQUksU0FBUyxHQUFHLEVBQUU7RUFDbEIsSUFBSSxnQkFBZ0IsR0FBRyxJQUFJLEdBQUcsRUFBRTtFQUNoQyxJQUFJLDBCQUEwQixHQUFHLElBQUksR0FBRyxFQUFFLENBQUM7RUFDM0MsSUFBSSx5QkFBeUIsR0FBRyxJQUFJLEdBQUcsRUFBRSxDQUFDO0VBQzFDLE1BQU0sa0JBQWtCLEdBQUcsSUFBSSxHQUFHLEVBQUUsQ0FBQztFQUNyQyxJQUFJLFdBQVcsR0FBRyxZQUFZOztFQUU5QixNQUFNLGlCQUFpQixHQUFHO0VBQzFCLEVBQUUsZUFBZTtFQUNqQixFQUFFLGNBQWM7RUFDaEIsRUFBRSxZQUFZO0VBQ2QsRUFBRSxhQUFhO0VBQ2YsRUFBRSxhQUFhO0VBQ2YsRUFBRSxlQUFlO0VBQ2pCLEVBQUUsZ0JBQWdCO0VBQ2xCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGFBQWEsR0FBRyxDQUFDLFFBQVEsS0FBSztFQUNwQyxFQUFFLElBQUksQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFOztFQUUxQixFQUFFLE1BQU0sTUFBTSxHQUFHLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUM7RUFDakQsRUFBRSxJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUUsT0FBTyxNQUFNOztFQUV6QyxFQUFFLElBQUksVUFBVSxHQUFHLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQztFQUN2RCxFQUFFLFVBQVUsR0FBRyxVQUFVLENBQUMsT0FBTyxDQUFDLFlBQVksRUFBRSxFQUFFLENBQUM7RUFDbkQsRUFBRSxVQUFVLEdBQUcsVUFBVSxDQUFDLFdBQVcsRUFBRTs7RUFFdkMsRUFBRSxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQztFQUM5QyxFQUFFLE9BQU8sVUFBVTtFQUNuQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGNBQWMsR0FBRyxDQUFDLFFBQVEsS0FBSztFQUNyQyxFQUFFLElBQUksQ0FBQyxRQUFRLEVBQUUsT0FBTyxLQUFLOztFQUU3QixFQUFFLE1BQU0sVUFBVSxHQUFHLGFBQWEsQ0FBQyxRQUFRLENBQUM7O0VBRTVDLEVBQUUsT0FBTyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLEtBQUssT0FBTyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztFQUN0RSxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLDBCQUEwQixHQUFHLENBQUMsU0FBUyxLQUFLO0VBQ2xELEVBQUUsSUFBSSxDQUFDLFNBQVMsSUFBSSxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxPQUFPLElBQUk7O0VBRXZELEVBQUUsTUFBTSxZQUFZLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDOztFQUVuRyxFQUFFLElBQUksWUFBWSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsT0FBTyxJQUFJOztFQUU1QyxFQUFFLE1BQU0sU0FBUyxHQUFHLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztFQUMvRCxFQUFFLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQzs7RUFFdkUsRUFBRSxJQUFJLFdBQVcsR0FBRyxFQUFFO0VBQ3RCLEVBQUUsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLEVBQUUsRUFBRTtFQUN0QyxJQUFJLE1BQU0sSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7RUFDaEMsSUFBSSxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxFQUFFO0VBQ3ZELE1BQU0sV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7RUFDNUIsSUFBSSxDQUFDLE1BQU07RUFDWCxNQUFNO0VBQ04sSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFdBQVcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzlCLElBQUksT0FBTyxHQUFHLEdBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7RUFDdEMsRUFBRTs7RUFFRixFQUFFLE1BQU0sU0FBUyxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUM7RUFDbkMsRUFBRSxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQztFQUM5QyxFQUFFLElBQUksU0FBUyxHQUFHLENBQUMsRUFBRTtFQUNyQixJQUFJLE9BQU8sR0FBRyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQztFQUNsRCxFQUFFOztFQUVGLEVBQUUsT0FBTyxJQUFJO0VBQ2IsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSwyQkFBMkIsR0FBRyxDQUFDLElBQUksS0FBSztFQUM5QyxFQUFFLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsT0FBTyxJQUFJOztFQUVwQyxFQUFFLE1BQU0sTUFBTSxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0VBQzFCLEVBQUUsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7RUFDeEMsSUFBSSxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxFQUFFO0VBQzdELE1BQU0sTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7RUFDMUIsSUFBSTtFQUNKLEVBQUU7RUFDRixFQUFFLE9BQU8sTUFBTTtFQUNmLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGlCQUFpQixHQUFHLENBQUMsS0FBSyxLQUFLO0VBQ3JDLEVBQUUsTUFBTSxXQUFXLEdBQUcsS0FBSyxFQUFFLGFBQWEsRUFBRSxhQUFhLENBQUMsZUFBZSxDQUFDO0VBQzFFLEVBQUUsSUFBSSxXQUFXLEVBQUU7RUFDbkIsSUFBSSxXQUFXLENBQUMsS0FBSyxDQUFDLE9BQU8sR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsTUFBTSxHQUFHLE1BQU07RUFDeEUsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGtCQUFrQixHQUFHLENBQUMsS0FBSyxLQUFLO0VBQ3RDLEVBQUUsTUFBTSxLQUFLLEdBQUcsS0FBSyxDQUFDLE1BQU07RUFDNUIsRUFBRSxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRTtFQUN6QyxFQUFFLE1BQU0sTUFBTSxHQUFHLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0VBQ2xELEVBQUUsTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxFQUFFQSxlQUF5QixDQUFDLENBQUMsQ0FBQzs7RUFFN0UsRUFBRSxpQkFBaUIsQ0FBQyxLQUFLLENBQUM7O0VBRTFCLEVBQUUsS0FBSyxNQUFNLElBQUksSUFBSSxRQUFRLEVBQUU7RUFDL0IsSUFBSSxJQUFJLEtBQUssQ0FBQyxNQUFNLElBQUksQ0FBQyxFQUFFO0VBQzNCLE1BQU0sTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxxQ0FBcUMsQ0FBQztFQUNqRixNQUFNLElBQUksVUFBVSxJQUFJLFVBQVUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUU7RUFDbEQsUUFBUSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUM7RUFDMUMsTUFBTSxDQUFDLE1BQU07RUFDYixRQUFRLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUM3QyxNQUFNO0VBQ04sSUFBSSxDQUFDLE1BQU07RUFDWCxNQUFNLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUMzQyxJQUFJO0VBQ0osRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0EsTUFBTSxpQkFBaUIsR0FBRyxNQUFNO0VBQ2hDLEVBQUUsTUFBTSxLQUFLLEdBQUcsUUFBUSxDQUFDLGNBQWMsQ0FBQyxrQkFBa0IsQ0FBQztFQUMzRCxFQUFFLElBQUksS0FBSyxFQUFFO0VBQ2IsSUFBSSxLQUFLLENBQUMsS0FBSyxHQUFHLEVBQUU7RUFDcEIsSUFBSSxLQUFLLENBQUMsS0FBSyxFQUFFO0VBQ2pCLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDO0VBQzVCLElBQUksTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxFQUFFQSxlQUF5QixDQUFDLENBQUMsQ0FBQztFQUMvRSxJQUFJLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUM7RUFDckUsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGNBQWMsR0FBRyxNQUFNO0VBQzdCLEVBQUUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLG1CQUFtQixFQUFFO0VBQ25FLElBQUksTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDLG1CQUFtQjtFQUMzQyxJQUFJLE9BQU8sa0JBQWtCLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksR0FBRyxZQUFZO0VBQ2xFLEVBQUU7RUFDRixFQUFFLE9BQU8sWUFBWTtFQUNyQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxPQUFPLEdBQUcsQ0FBQyxJQUFJLEtBQUs7RUFDakMsRUFBRSxXQUFXLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksR0FBRyxZQUFZO0VBQ3ZFLEVBQUUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDckMsSUFBSSxNQUFNLENBQUMsbUJBQW1CLEdBQUcsV0FBVztFQUM1QyxFQUFFO0VBQ0YsQ0FBQzs7RUFVRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHNCQUFzQixHQUFHLENBQUMsSUFBSSxFQUFFLGFBQWEsS0FBSztFQUN4RCxFQUFFLE1BQU0sYUFBYSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDO0VBQ3JELEVBQUUsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLENBQUMscUJBQXFCLEVBQUU7O0VBRXpELEVBQUUsYUFBYSxDQUFDLFNBQVMsR0FBR0EsZUFBeUI7RUFDckQsRUFBRSxhQUFhLENBQUMsWUFBWSxDQUFDLDhCQUE4QixFQUFFLGFBQWEsQ0FBQztFQUMzRSxFQUFFLGFBQWEsQ0FBQyxZQUFZLENBQUMscUNBQXFDLEVBQUUsYUFBYSxDQUFDLFdBQVcsRUFBRSxDQUFDO0VBQ2hHLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7RUFDL0QsRUFBRSxhQUFhLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLEVBQUUsa0JBQWtCLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztFQUM3RCxFQUFFLGFBQWEsQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUMsRUFBRSxrQkFBa0IsQ0FBQyxHQUFHLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7RUFDMUUsRUFBRSxhQUFhLENBQUMsS0FBSyxDQUFDLElBQUksR0FBRyxDQUFDLEVBQUUsa0JBQWtCLENBQUMsSUFBSSxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDO0VBQzVFLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUdDLE1BQWdCOztFQUUvQyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFO0VBQ2hDLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sYUFBYSxHQUFHLENBQUMsSUFBSSxLQUFLO0VBQ2hDLEVBQUUsSUFBSSxDQUFDLElBQUksSUFBSSxPQUFPLElBQUksS0FBSyxRQUFRLEVBQUUsT0FBTyxLQUFLO0VBQ3JELEVBQUUsT0FBT0MsYUFBdUIsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDO0VBQ3hELENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLG9CQUFvQixHQUFHLENBQUMsV0FBVyxFQUFFLEtBQUssR0FBRyxJQUFJLEtBQUs7RUFDNUQsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFLE9BQU8sSUFBSTs7RUFFL0IsRUFBRSxJQUFJLE9BQU8sV0FBVyxLQUFLLFVBQVUsRUFBRTtFQUN6QyxJQUFJLElBQUksV0FBVyxDQUFDLFdBQVcsRUFBRTtFQUNqQyxNQUFNLE9BQU8sV0FBVyxDQUFDLFdBQVc7RUFDcEMsSUFBSTs7RUFFSixJQUFJLElBQUksV0FBVyxDQUFDLElBQUksSUFBSSxXQUFXLENBQUMsSUFBSSxLQUFLLFdBQVcsRUFBRTtFQUM5RCxNQUFNLE9BQU8sV0FBVyxDQUFDLElBQUk7RUFDN0IsSUFBSTs7RUFFSixJQUFJLElBQUksV0FBVyxDQUFDLE1BQU0sRUFBRTtFQUM1QixNQUFNLE9BQU8sb0JBQW9CLENBQUMsV0FBVyxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUM7RUFDNUQsSUFBSTs7RUFFSixJQUFJLElBQUksV0FBVyxDQUFDLFFBQVEsSUFBSSxXQUFXLENBQUMsSUFBSSxFQUFFO0VBQ2xELE1BQU0sT0FBTyxvQkFBb0IsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQztFQUMxRCxJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLElBQUksT0FBTyxXQUFXLEtBQUssUUFBUSxFQUFFO0VBQ3ZDLElBQUksT0FBTyxXQUFXO0VBQ3RCLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFdBQVcsSUFBSSxXQUFXLENBQUMsUUFBUSxFQUFFO0VBQzNDLElBQUksSUFBSSxXQUFXLENBQUMsSUFBSSxFQUFFO0VBQzFCLE1BQU0sT0FBTyxvQkFBb0IsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQztFQUMxRCxJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLElBQUksS0FBSyxJQUFJLEtBQUssQ0FBQyxZQUFZLEVBQUU7RUFDbkMsSUFBSSxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsWUFBWSxDQUFDLFFBQVE7RUFDaEQsSUFBSSxJQUFJLFFBQVEsRUFBRTtFQUNsQixNQUFNLE1BQU0sS0FBSyxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMseUJBQXlCLENBQUM7RUFDN0QsTUFBTSxJQUFJLEtBQUssRUFBRTtFQUNqQixRQUFRLE9BQU8sS0FBSyxDQUFDLENBQUMsQ0FBQztFQUN2QixNQUFNO0VBQ04sSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLElBQUk7RUFDYixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLEtBQUssRUFBRSxlQUFlLEVBQUUsYUFBYSxHQUFHLElBQUksS0FBSztFQUM3RSxFQUFFLElBQUksQ0FBQyxlQUFlLEVBQUU7RUFDeEIsSUFBSSxPQUFPLElBQUk7RUFDZixFQUFFOztFQUVGLEVBQUUsTUFBTSxRQUFRLEdBQUcsS0FBSyxFQUFFLFlBQVksRUFBRSxRQUFROztFQUVoRCxFQUFFLElBQUksUUFBUSxFQUFFO0VBQ2hCLElBQUksSUFBSSxjQUFjLENBQUMsUUFBUSxDQUFDLEVBQUU7RUFDbEMsTUFBTSxPQUFPLEtBQUs7RUFDbEIsSUFBSTs7RUFFSixJQUFJLE1BQU0sa0JBQWtCLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQztFQUN0RCxJQUFJLE1BQU0scUJBQXFCLEdBQUcsYUFBYSxDQUFDLGVBQWUsQ0FBQzs7RUFFaEUsSUFBSSxJQUFJLGtCQUFrQixDQUFDLFVBQVUsQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFO0VBQzlELE1BQU0sT0FBTyxJQUFJO0VBQ2pCLElBQUk7O0VBRUosSUFBSTtFQUNKLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDO0VBQ2xELE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDO0VBQ3pDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxLQUFLLENBQUMsVUFBVTtFQUMxQyxNQUFNO0VBQ04sTUFBTSxPQUFPLElBQUk7RUFDakIsSUFBSTs7RUFFSixJQUFJLE9BQU8sS0FBSztFQUNoQixFQUFFOztFQUVGLEVBQUUsSUFBSSxhQUFhLEVBQUU7RUFDckIsSUFBSSxNQUFNLHVCQUF1QixHQUFHLGFBQWEsQ0FBQyxXQUFXLEVBQUU7RUFDL0Q7RUFDQSxJQUFJLElBQUkseUJBQXlCLENBQUMsR0FBRyxDQUFDLHVCQUF1QixDQUFDLEVBQUU7RUFDaEUsTUFBTSxPQUFPLElBQUk7RUFDakIsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLEtBQUs7RUFDZCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxjQUFjLEdBQUcsQ0FBQyxRQUFRLEtBQUs7RUFDNUMsRUFBRSxXQUFXLEdBQUcsUUFBUSxHQUFHLGFBQWEsQ0FBQyxRQUFRLENBQUMsR0FBRyxJQUFJOztFQUV6RCxFQUFFLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxJQUFJLE1BQU0sQ0FBQywyQkFBMkIsSUFBSSxDQUFDLFdBQVcsRUFBRTtFQUMzRixJQUFJLFdBQVcsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLDJCQUEyQixDQUFDO0VBQ25FLEVBQUU7RUFDRixDQUFDOztFQVVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxXQUFXLEdBQUcsQ0FBQyxHQUFHLEtBQUs7RUFDcEMsRUFBRSxRQUFRLEdBQUcsR0FBRyxJQUFJLEVBQUU7O0VBRXRCLEVBQUU7RUFDRixJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVc7RUFDakMsSUFBSSxNQUFNLENBQUMsd0JBQXdCO0VBQ25DLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLEtBQUs7RUFDckMsSUFBSTtFQUNKLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyx3QkFBd0I7RUFDOUMsRUFBRTs7RUFFRixFQUFFLElBQUksZ0JBQWdCLENBQUMsSUFBSSxLQUFLLENBQUMsRUFBRTtFQUNuQyxJQUFJLGdCQUFnQixHQUFHLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0VBQzNELEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLEtBQUssZ0JBQWdCLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0VBQ3JGLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxZQUFZLEdBQUcsQ0FBQyxHQUFHLEtBQUs7RUFDckMsRUFBRSxTQUFTLEdBQUcsR0FBRyxJQUFJLEVBQUU7O0VBRXZCLEVBQUU7RUFDRixJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVc7RUFDakMsSUFBSSxNQUFNLENBQUMseUJBQXlCO0VBQ3BDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEtBQUs7RUFDdEMsSUFBSTtFQUNKLElBQUksU0FBUyxHQUFHLE1BQU0sQ0FBQyx5QkFBeUI7RUFDaEQsRUFBRTs7RUFFRixFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLFFBQVEsS0FBSyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7RUFDcEYsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNPLE1BQU0sZUFBZSxHQUFHLENBQUMsS0FBSyxLQUFLO0VBQzFDLEVBQUUsSUFBSSxRQUFRLEdBQUcsS0FBSyxJQUFJLEVBQUU7O0VBRTVCLEVBQUU7RUFDRixJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVc7RUFDakMsSUFBSSxNQUFNLENBQUMsNEJBQTRCO0VBQ3ZDLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSztFQUN4QixJQUFJO0VBQ0osSUFBSSxNQUFNLFdBQVcsR0FBRyxNQUFNLENBQUMsNEJBQTRCO0VBQzNELElBQUksSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxFQUFFO0VBQ3BDLE1BQU0sUUFBUSxHQUFHLENBQUMsR0FBRyxXQUFXLENBQUM7RUFDakMsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxnQkFBZ0IsR0FBRyxJQUFJLEdBQUcsQ0FBQyxRQUFRLENBQUM7O0VBRXRDO0VBQ0EsRUFBRSwwQkFBMEIsQ0FBQyxLQUFLLEVBQUU7RUFDcEMsRUFBRSx5QkFBeUIsQ0FBQyxLQUFLLEVBQUU7O0VBRW5DLEVBQUUsS0FBSyxNQUFNLFFBQVEsSUFBSSxRQUFRLEVBQUU7RUFDbkMsSUFBSSxNQUFNLFVBQVUsR0FBRyxhQUFhLENBQUMsUUFBUSxDQUFDO0VBQzlDLElBQUksMEJBQTBCLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQzs7RUFFOUMsSUFBSSxNQUFNLFNBQVMsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQztFQUMzQyxJQUFJLE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUU7RUFDMUQsSUFBSSxNQUFNLGtCQUFrQixHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsZ0JBQWdCLEVBQUUsRUFBRSxDQUFDOztFQUVyRSxJQUFJLElBQUksa0JBQWtCLEVBQUU7RUFDNUIsTUFBTSxJQUFJLENBQUMseUJBQXlCLENBQUMsR0FBRyxDQUFDLGtCQUFrQixDQUFDLEVBQUU7RUFDOUQsUUFBUSx5QkFBeUIsQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEVBQUUsSUFBSSxHQUFHLEVBQUUsQ0FBQztFQUNwRSxNQUFNO0VBQ04sTUFBTSx5QkFBeUIsQ0FBQyxHQUFHLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0VBQ3JFLElBQUk7O0VBRUosSUFBSSxLQUFLLE1BQU0sSUFBSSxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFO0VBQy9DLE1BQU0sSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDbkMsUUFBUSxJQUFJLENBQUMseUJBQXlCLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO0VBQ2xELFVBQVUseUJBQXlCLENBQUMsR0FBRyxDQUFDLElBQUksRUFBRSxJQUFJLEdBQUcsRUFBRSxDQUFDO0VBQ3hELFFBQVE7RUFDUixRQUFRLHlCQUF5QixDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0VBQ3pELE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHdCQUF3QixHQUFHLE1BQU07RUFDdkMsRUFBRSxJQUFJLFdBQVcsRUFBRTtFQUNuQixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLElBQUk7RUFDTixJQUFJLE1BQU0sU0FBUyxHQUFHLEVBQUU7RUFDeEIsSUFBSSxNQUFNLFVBQVUsR0FBRyxFQUFFLENBQUM7RUFDMUIsSUFBSSxJQUFJLE9BQU8sR0FBRyxDQUFDOztFQUVuQixJQUFJLE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLFVBQVUsQ0FBQyxZQUFZLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQzs7RUFFakcsSUFBSSxJQUFJLElBQUk7RUFDWixJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsTUFBTSxDQUFDLFFBQVEsRUFBRSxLQUFLLE9BQU8sR0FBRyxVQUFVLEVBQUU7RUFDL0QsTUFBTSxNQUFNLFFBQVEsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUk7RUFDN0MsUUFBUSxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsVUFBVSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsMEJBQTBCLENBQUM7RUFDOUYsT0FBTzs7RUFFUCxNQUFNLElBQUksUUFBUSxFQUFFO0VBQ3BCLFFBQVEsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQztFQUNwQyxRQUFRLElBQUksWUFBWSxHQUFHLEtBQUs7RUFDaEMsUUFBUSxJQUFJLEtBQUssR0FBRyxDQUFDOztFQUVyQixRQUFRLE9BQU8sWUFBWSxJQUFJLEtBQUssR0FBRyxFQUFFLEVBQUU7RUFDM0MsVUFBVSxJQUFJLFlBQVksQ0FBQyxZQUFZLElBQUksWUFBWSxDQUFDLFlBQVksQ0FBQyxRQUFRLEVBQUU7RUFDL0UsWUFBWSxNQUFNLFFBQVEsR0FBRyxZQUFZLENBQUMsWUFBWSxDQUFDLFFBQVE7RUFDL0QsWUFBWSxJQUFJLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxFQUFFO0VBQzNDLGNBQWMsU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUM7RUFDdEMsWUFBWTtFQUNaLFVBQVU7RUFDVixVQUFVLFlBQVksR0FBRyxZQUFZLENBQUMsTUFBTTtFQUM1QyxVQUFVLEtBQUssRUFBRTtFQUNqQixVQUFVLE9BQU8sRUFBRTtFQUNuQixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7O0VBRUosSUFBSSxJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzlCLE1BQU0sTUFBTSxZQUFZLEdBQUcsMEJBQTBCLENBQUMsU0FBUyxDQUFDO0VBQ2hFLE1BQU0sSUFBSSxZQUFZLEVBQUU7RUFDeEIsUUFBUSxXQUFXLEdBQUcsWUFBWTtFQUNsQyxNQUFNO0VBQ04sSUFBSTtFQUNKLEVBQUUsQ0FBQyxDQUFDLE1BQU07RUFDVjtFQUNBLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSwwQkFBMEIsR0FBRyxDQUFDLGFBQWEsRUFBRSxzQkFBc0IsS0FBSztFQUM5RSxFQUFFLElBQUksQ0FBQyxhQUFhLElBQUksc0JBQXNCLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtFQUM3RCxJQUFJLE9BQU8sS0FBSztFQUNoQixFQUFFOztFQUVGLEVBQUUsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO0VBQ2pGLElBQUksT0FBTyxJQUFJO0VBQ2YsRUFBRTs7RUFFRixFQUFFLEtBQUssTUFBTSxZQUFZLElBQUksc0JBQXNCLEVBQUU7RUFDckQsSUFBSSxNQUFNLFFBQVEsR0FBRyxZQUFZLENBQUMsSUFBSTtFQUN0QyxJQUFJLElBQUksQ0FBQyxRQUFRLEVBQUU7O0VBRW5CLElBQUksSUFBSSxRQUFRLENBQUMsUUFBUSxDQUFDLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRTtFQUNqRSxNQUFNLElBQUksUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsRUFBRTtFQUN0RCxRQUFRLE9BQU8sSUFBSTtFQUNuQixNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLElBQUksU0FBUyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUU7RUFDbkUsTUFBTSxJQUFJLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLEVBQUU7RUFDdkQsUUFBUSxPQUFPLElBQUk7RUFDbkIsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxLQUFLO0VBQ2QsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxLQUFLLEVBQUUsUUFBUSxHQUFHLGVBQWUsS0FBSztFQUNqRSxFQUFFLE1BQU0sYUFBYSxHQUFHLEVBQUU7RUFDMUIsRUFBRSxNQUFNLGtCQUFrQixHQUFHLEVBQUU7RUFDL0IsRUFBRSxJQUFJLFlBQVksR0FBRyxLQUFLO0VBQzFCLEVBQUUsSUFBSSxLQUFLLEdBQUcsQ0FBQztFQUNmO0VBQ0EsRUFBRSxNQUFNLE9BQU8sR0FBRyxJQUFJLEdBQUcsRUFBRTs7RUFFM0IsRUFBRSxPQUFPLFlBQVksSUFBSSxLQUFLLEdBQUcsUUFBUSxFQUFFO0VBQzNDLElBQUksSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxFQUFFO0VBQ25DLE1BQU07RUFDTixJQUFJO0VBQ0osSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQzs7RUFFN0IsSUFBSSxNQUFNLFdBQVcsR0FBRyxZQUFZLENBQUMsV0FBVyxJQUFJLFlBQVksQ0FBQyxJQUFJOztFQUVyRSxJQUFJLElBQUksV0FBVyxFQUFFO0VBQ3JCLE1BQU0sTUFBTSxhQUFhLEdBQUcsb0JBQW9CLENBQUMsV0FBVyxFQUFFLFlBQVksQ0FBQzs7RUFFM0UsTUFBTSxJQUFJLGFBQWEsRUFBRTtFQUN6QixRQUFRLElBQUksQ0FBQyxhQUFhLENBQUMsYUFBYSxDQUFDLEVBQUU7RUFDM0MsVUFBVSxNQUFNLFVBQVUsR0FBRyxrQkFBa0IsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLGFBQWEsQ0FBQzs7RUFFekYsVUFBVSxJQUFJLFFBQVEsR0FBRyxJQUFJO0VBQzdCLFVBQVUsSUFBSSxZQUFZLENBQUMsWUFBWSxJQUFJLFlBQVksQ0FBQyxZQUFZLENBQUMsUUFBUSxFQUFFO0VBQy9FLFlBQVksUUFBUSxHQUFHLFlBQVksQ0FBQyxZQUFZLENBQUMsUUFBUTtFQUN6RCxVQUFVOztFQUVWLFVBQVUsYUFBYSxDQUFDLElBQUksQ0FBQztFQUM3QixZQUFZLElBQUksRUFBRSxhQUFhO0VBQy9CLFlBQVksS0FBSyxFQUFFLFlBQVk7RUFDL0IsWUFBWSxXQUFXLEVBQUUsV0FBVztFQUNwQyxZQUFZLEtBQUssRUFBRSxLQUFLO0VBQ3hCLFlBQVksVUFBVSxFQUFFLFVBQVU7RUFDbEMsWUFBWSxJQUFJLEVBQUUsUUFBUTtFQUMxQixXQUFXLENBQUM7O0VBRVosVUFBVSxJQUFJLFVBQVUsRUFBRTtFQUMxQixZQUFZLGtCQUFrQixDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxDQUFDO0VBQzVFLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7O0VBRUosSUFBSSxZQUFZLEdBQUcsWUFBWSxDQUFDLE1BQU0sSUFBSSxZQUFZLENBQUMsTUFBTTtFQUM3RCxJQUFJLEtBQUssRUFBRTtFQUNYLEVBQUU7O0VBRUYsRUFBRSxNQUFNLGtCQUFrQixHQUFHLEVBQUU7RUFDL0IsRUFBRSxLQUFLLE1BQU0sSUFBSSxJQUFJLGFBQWEsRUFBRTtFQUNwQyxJQUFJLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtFQUN6QixNQUFNLGtCQUFrQixDQUFDLElBQUksQ0FBQztFQUM5QixRQUFRLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtFQUN2QixRQUFRLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSztFQUN6QixRQUFRLFdBQVcsRUFBRSxJQUFJLENBQUMsV0FBVztFQUNyQyxRQUFRLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSztFQUN6QixRQUFRLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtFQUN2QixRQUFRLFVBQVUsRUFBRSxJQUFJLENBQUMsVUFBVTtFQUNuQyxPQUFPLENBQUM7RUFDUixJQUFJLENBQUMsTUFBTTtFQUNYLE1BQU0sSUFBSSwwQkFBMEIsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLGtCQUFrQixDQUFDLEVBQUU7RUFDckUsUUFBUSxrQkFBa0IsQ0FBQyxJQUFJLENBQUM7RUFDaEMsVUFBVSxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7RUFDekIsVUFBVSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7RUFDM0IsVUFBVSxXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVc7RUFDdkMsVUFBVSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7RUFDM0IsVUFBVSxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7RUFDekIsVUFBVSxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7RUFDckMsU0FBUyxDQUFDO0VBQ1YsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxrQkFBa0I7RUFDM0IsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sZUFBZSxHQUFHLENBQUMsSUFBSSxLQUFLO0VBQ2xDLEVBQUUsSUFBSSxNQUFNLENBQUMsOEJBQThCLEVBQUU7RUFDN0MsSUFBSSxJQUFJO0VBQ1IsTUFBTSxNQUFNLFFBQVEsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUk7RUFDN0MsUUFBUSxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsVUFBVSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsMEJBQTBCLENBQUM7RUFDOUYsT0FBTzs7RUFFUCxNQUFNLElBQUksUUFBUSxFQUFFO0VBQ3BCLFFBQVEsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQztFQUNwQyxRQUFRLE1BQU0sVUFBVSxHQUFHLGlCQUFpQixDQUFDLEtBQUssQ0FBQzs7RUFFbkQsUUFBUSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQ25DLFVBQVUsTUFBTSxjQUFjLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQztFQUM5QyxVQUFVLE1BQU0sR0FBRztFQUNuQixZQUFZLGNBQWMsQ0FBQyxLQUFLLENBQUMsUUFBUTtFQUN6QyxZQUFZLENBQUMsRUFBRSxjQUFjLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsRUFBRSxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsSUFBSSxFQUFFLENBQUMsQ0FBQztFQUNsRixVQUFVLE1BQU0saUJBQWlCLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0VBQzNFLFVBQVUsT0FBTyxFQUFFLElBQUksRUFBRSxjQUFjLENBQUMsSUFBSSxFQUFFLEdBQUcsRUFBRSxTQUFTLEVBQUUsaUJBQWlCLEVBQUU7RUFDakYsUUFBUTtFQUNSLE1BQU07RUFDTixJQUFJLENBQUMsQ0FBQyxNQUFNO0VBQ1o7RUFDQSxJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLEtBQUssTUFBTSxHQUFHLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtFQUN2QyxJQUFJLElBQUksR0FBRyxDQUFDLFVBQVUsQ0FBQywwQkFBMEIsQ0FBQyxFQUFFO0VBQ3BELE1BQU0sTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQztFQUNqQyxNQUFNLElBQUksU0FBUyxFQUFFO0VBQ3JCLFFBQVEsSUFBSTtFQUNaLFVBQVUsTUFBTSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsU0FBUyxDQUFDO0VBQ3pELFVBQVUsSUFBSSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUNyQyxZQUFZLE1BQU0sY0FBYyxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUM7RUFDaEQsWUFBWSxNQUFNLGlCQUFpQixHQUFHLFVBQVUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQztFQUM3RSxZQUFZLE9BQU87RUFDbkIsY0FBYyxJQUFJLEVBQUUsY0FBYyxDQUFDLElBQUk7RUFDdkMsY0FBYyxHQUFHLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQztFQUNqRixjQUFjLFNBQVMsRUFBRSxpQkFBaUI7RUFDMUMsYUFBYTtFQUNiLFVBQVU7RUFDVixRQUFRLENBQUMsQ0FBQyxNQUFNO0VBQ2hCO0VBQ0EsUUFBUTtFQUNSLE1BQU07O0VBRU4sTUFBTSxJQUFJLFNBQVMsSUFBSSxTQUFTLENBQUMsZUFBZSxFQUFFO0VBQ2xELFFBQVEsTUFBTSxLQUFLLEdBQUcsU0FBUyxDQUFDLGVBQWUsQ0FBQyxNQUFNO0VBQ3RELFFBQVEsTUFBTSxLQUFLLEdBQUcsS0FBSyxJQUFJLEtBQUssQ0FBQyxTQUFTO0VBQzlDLFFBQVEsSUFBSSxLQUFLLEVBQUU7RUFDbkIsVUFBVSxNQUFNLGFBQWEsR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDLElBQUk7RUFDdEQsVUFBVSxJQUFJLENBQUMsYUFBYSxDQUFDLGFBQWEsQ0FBQyxFQUFFO0VBQzdDLFlBQVksT0FBTztFQUNuQixjQUFjLElBQUksRUFBRSxhQUFhO0VBQ2pDLGNBQWMsR0FBRyxFQUFFLENBQUMsRUFBRSxLQUFLLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEtBQUssQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUM7RUFDekUsYUFBYTtFQUNiLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTSxDQUFDLE1BQU0sSUFBSSxTQUFTLEVBQUU7RUFDNUIsUUFBUSxNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxFQUFFLFNBQVMsRUFBRSxtQkFBbUI7RUFDdEUsUUFBUSxJQUFJLEtBQUssRUFBRTtFQUNuQixVQUFVLE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxJQUFJLEVBQUUsSUFBSSxJQUFJLFNBQVM7RUFDN0QsVUFBVSxJQUFJLGFBQWEsS0FBSyxTQUFTLElBQUksQ0FBQyxhQUFhLENBQUMsYUFBYSxDQUFDLEVBQUU7RUFDNUUsWUFBWSxPQUFPLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRTtFQUMxQyxVQUFVO0VBQ1YsUUFBUTtFQUNSLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsV0FBVyxFQUFFO0VBQzdDLEVBQUUsSUFBSSxPQUFPLElBQUksYUFBYSxDQUFDLE9BQU8sQ0FBQyxFQUFFO0VBQ3pDLElBQUksT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUU7RUFDNUIsRUFBRTs7RUFFRixFQUFFLE9BQU8sRUFBRTtFQUNYLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLDhCQUE4QixHQUFHLE1BQU07RUFDN0M7RUFDQSxFQUFFLE1BQU0sSUFBSSxHQUFHLElBQUksR0FBRyxFQUFFO0VBQ3hCLEVBQUUsT0FBTyxDQUFDLElBQUksS0FBSztFQUNuQixJQUFJLE1BQU0sRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLEdBQUcsZUFBZSxDQUFDLElBQUksQ0FBQzs7RUFFL0MsSUFBSSxJQUFJLElBQUksSUFBSSxJQUFJLEtBQUssU0FBUyxFQUFFO0VBQ3BDLE1BQU0sSUFBSSxHQUFHLEVBQUU7RUFDZixRQUFRLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFO0VBQzVCLFVBQVUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUM7RUFDdkIsVUFBVSxPQUFPLHNCQUFzQixDQUFDLElBQUksRUFBRSxJQUFJLENBQUM7RUFDbkQsUUFBUTtFQUNSLE1BQU0sQ0FBQyxNQUFNO0VBQ2IsUUFBUSxPQUFPLHNCQUFzQixDQUFDLElBQUksRUFBRSxJQUFJLENBQUM7RUFDakQsTUFBTTtFQUNOLElBQUk7RUFDSixJQUFJLE9BQU8sSUFBSTtFQUNmLEVBQUUsQ0FBQztFQUNILENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sd0JBQXdCLEdBQUcsQ0FBQyxJQUFJLEtBQUs7RUFDM0MsRUFBRSxJQUFJLFVBQVUsR0FBRyxFQUFFOztFQUVyQixFQUFFLElBQUksTUFBTSxDQUFDLDhCQUE4QixFQUFFO0VBQzdDLElBQUksSUFBSTtFQUNSLE1BQU0sTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJO0VBQzdDLFFBQVEsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxlQUFlLENBQUMsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLDBCQUEwQixDQUFDO0VBQzlGLE9BQU87O0VBRVAsTUFBTSxJQUFJLFFBQVEsRUFBRTtFQUNwQixRQUFRLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7RUFDcEMsUUFBUSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsS0FBSyxDQUFDO0VBQzdDO0VBQ0EsUUFBUSxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRTtFQUN6QyxNQUFNO0VBQ04sSUFBSSxDQUFDLENBQUMsTUFBTTtFQUNaO0VBQ0EsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO0VBQy9CLElBQUksS0FBSyxNQUFNLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO0VBQ3pDLE1BQU0sSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLDBCQUEwQixDQUFDLEVBQUU7RUFDdEQsUUFBUSxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDO0VBQ25DLFFBQVEsSUFBSSxTQUFTLEVBQUU7RUFDdkIsVUFBVSxJQUFJO0VBQ2QsWUFBWSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsU0FBUyxDQUFDO0VBQ3JEO0VBQ0EsWUFBWSxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRTtFQUM3QyxZQUFZO0VBQ1osVUFBVSxDQUFDLENBQUMsTUFBTTtFQUNsQjtFQUNBLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxVQUFVO0VBQ25CLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sVUFBVSxHQUFHLENBQUMsSUFBSSxLQUFLO0VBQzdCLEVBQUUsSUFBSSxXQUFXLEdBQUcsSUFBSTtFQUN4QixFQUFFLE1BQU0sT0FBTyxHQUFHLEVBQUU7RUFDcEIsRUFBRSxNQUFNLGtCQUFrQixHQUFHLElBQUksR0FBRyxFQUFFOztFQUV0QyxFQUFFLE9BQU8sV0FBVyxJQUFJLFdBQVcsQ0FBQyxVQUFVLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxFQUFFLEVBQUU7RUFDdkUsSUFBSSxXQUFXLEdBQUcsV0FBVyxDQUFDLFVBQVU7RUFDeEMsSUFBSSxNQUFNLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxHQUFHLGVBQWUsQ0FBQyxXQUFXLENBQUM7RUFDNUQsSUFBSSxJQUFJLFNBQVMsSUFBSSxTQUFTLEtBQUssU0FBUyxJQUFJLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxFQUFFO0VBQzNFLE1BQU0sTUFBTSxjQUFjLEdBQUcsU0FBUyxDQUFDLFdBQVcsRUFBRTtFQUNwRCxNQUFNLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLEVBQUU7RUFDbkQsUUFBUSxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDO0VBQzlDLFFBQVEsT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUM7RUFDbEMsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxPQUFPO0VBQ2hCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGtCQUFrQixHQUFHLENBQUMsVUFBVSxFQUFFLG9CQUFvQixFQUFFLElBQUksS0FBSztFQUN2RSxFQUFFLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDN0IsSUFBSSxNQUFNLGtCQUFrQixHQUFHLFVBQVUsQ0FBQyxNQUFNO0VBQ2hELE1BQU0sQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLElBQUksS0FBSyxvQkFBb0IsSUFBSSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO0VBQy9FLEtBQUs7O0VBRUwsSUFBSSxJQUFJLGtCQUFrQixDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDdkMsTUFBTSxNQUFNLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQztFQUNsRSxNQUFNLE9BQU8sQ0FBQyxHQUFHLFFBQVEsRUFBRSxvQkFBb0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUM7RUFDN0QsSUFBSTs7RUFFSixJQUFJLE9BQU8sb0JBQW9CO0VBQy9CLEVBQUU7O0VBRUYsRUFBRSxNQUFNLE9BQU8sR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDOztFQUVsQyxFQUFFLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDMUIsSUFBSSxPQUFPLENBQUMsR0FBRyxPQUFPLEVBQUUsb0JBQW9CLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO0VBQzFELEVBQUU7O0VBRUYsRUFBRSxPQUFPLG9CQUFvQjtFQUM3QixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxzQkFBc0IsR0FBRyxDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLEtBQUs7RUFDM0UsRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzdCLElBQUksTUFBTSxrQkFBa0IsR0FBRyxVQUFVLENBQUMsTUFBTTtFQUNoRCxNQUFNLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxJQUFJLEtBQUssb0JBQW9CLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUMvRSxLQUFLOztFQUVMLElBQUksTUFBTSxjQUFjLEdBQUcsSUFBSSxHQUFHLEVBQUU7RUFDcEMsSUFBSSxNQUFNLHNCQUFzQixHQUFHLEVBQUU7O0VBRXJDLElBQUksS0FBSyxNQUFNLElBQUksSUFBSSxrQkFBa0IsRUFBRTtFQUMzQyxNQUFNLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFO0VBQzVCLFFBQVE7RUFDUixNQUFNOztFQUVOLE1BQU0sTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUU7O0VBRXBELE1BQU0sSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFO0VBQ3JCLFFBQVEsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUU7RUFDdEQsUUFBUSxNQUFNLFNBQVMsR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQztFQUN2RCxRQUFRLE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztFQUN4RCxRQUFRLE1BQU0sa0JBQWtCLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLENBQUM7O0VBRXpFLFFBQVEsTUFBTSxlQUFlO0VBQzdCLFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQyxDQUFDO0VBQ3ZELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsRUFBRSxjQUFjLENBQUMsQ0FBQyxDQUFDO0VBQ3hELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7RUFDM0QsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztFQUMxRCxVQUFVLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDO0VBQzNELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUM7RUFDMUQsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxFQUFFLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQztFQUM1RCxVQUFVLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQUUsY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0VBQzNELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsRUFBRSxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7RUFDNUQsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztFQUMzRCxVQUFVLGtCQUFrQixLQUFLLGNBQWM7O0VBRS9DO0VBQ0EsUUFBUSxNQUFNLGtCQUFrQixHQUFHLHlCQUF5QixDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUM7O0VBRWhGLFFBQVEsSUFBSSxDQUFDLGVBQWUsSUFBSSxDQUFDLGtCQUFrQixFQUFFO0VBQ3JELFVBQVU7RUFDVixRQUFROztFQUVSO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLFFBQVEsTUFBTSxrQkFBa0IsR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUMzRCxRQUFRLE1BQU0sWUFBWSxHQUFHLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLENBQUM7O0VBRXRFLFFBQVEsSUFBSSxjQUFjLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxFQUFFO0VBQzlDLFVBQVU7RUFDVixRQUFROztFQUVSLFFBQVEsY0FBYyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUM7RUFDeEMsUUFBUSxzQkFBc0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO0VBQ3pDLE1BQU0sQ0FBQyxNQUFNO0VBQ2IsUUFBUSxNQUFNLFlBQVksR0FBRyxjQUFjOztFQUUzQyxRQUFRLElBQUksY0FBYyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRTtFQUM5QyxVQUFVO0VBQ1YsUUFBUTs7RUFFUixRQUFRLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDO0VBQ3hDLFFBQVEsc0JBQXNCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUN6QyxNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLElBQUksc0JBQXNCLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUMzQyxNQUFNLE1BQU0sWUFBWSxHQUFHLHNCQUFzQixDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDO0VBQzFFLE1BQU0sTUFBTSxnQkFBZ0IsR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLEVBQUU7RUFDakUsTUFBTSxNQUFNLG1CQUFtQixHQUFHLFlBQVksQ0FBQyxJQUFJO0VBQ25ELFFBQVEsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLGdCQUFnQjtFQUN6RCxPQUFPOztFQUVQLE1BQU0sSUFBSSxTQUFTO0VBQ25CLE1BQU0sSUFBSSxDQUFDLG1CQUFtQixFQUFFO0VBQ2hDLFFBQVEsU0FBUyxHQUFHLENBQUMsR0FBRyxZQUFZLEVBQUUsb0JBQW9CLENBQUM7RUFDM0QsTUFBTSxDQUFDLE1BQU07RUFDYixRQUFRLFNBQVMsR0FBRyxZQUFZO0VBQ2hDLE1BQU07O0VBRU47RUFDQSxNQUFNLFNBQVMsR0FBRywyQkFBMkIsQ0FBQyxTQUFTLENBQUM7RUFDeEQsTUFBTSxPQUFPLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO0VBQ25DLElBQUk7O0VBRUosSUFBSSxPQUFPLG9CQUFvQjtFQUMvQixFQUFFOztFQUVGLEVBQUUsTUFBTSxPQUFPLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQzs7RUFFbEMsRUFBRSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzFCLElBQUksTUFBTSxnQkFBZ0IsR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLEVBQUU7RUFDL0QsSUFBSSxNQUFNLG1CQUFtQixHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLGdCQUFnQixDQUFDOztFQUUvRixJQUFJLElBQUksU0FBUztFQUNqQixJQUFJLElBQUksQ0FBQyxtQkFBbUIsRUFBRTtFQUM5QixNQUFNLFNBQVMsR0FBRyxDQUFDLEdBQUcsT0FBTyxFQUFFLG9CQUFvQixDQUFDO0VBQ3BELElBQUksQ0FBQyxNQUFNO0VBQ1gsTUFBTSxTQUFTLEdBQUcsT0FBTztFQUN6QixJQUFJOztFQUVKO0VBQ0EsSUFBSSxTQUFTLEdBQUcsMkJBQTJCLENBQUMsU0FBUyxDQUFDO0VBQ3RELElBQUksT0FBTyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztFQUNqQyxFQUFFOztFQUVGLEVBQUUsT0FBTyxvQkFBb0I7RUFDN0IsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHdCQUF3QixHQUFHLENBQUMsSUFBSSxFQUFFLGFBQWEsS0FBSztFQUMxRCxFQUFFLE1BQU0sb0JBQW9CLEdBQUcsYUFBYSxDQUFDLFlBQVksQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUU7O0VBRS9GLEVBQUUsTUFBTSxVQUFVLEdBQUcsd0JBQXdCLENBQUMsSUFBSSxDQUFDOztFQUVuRCxFQUFFLE1BQU0sYUFBYSxHQUFHLGtCQUFrQixDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLENBQUM7RUFDbEYsRUFBRSxNQUFNLGlCQUFpQixHQUFHLHNCQUFzQixDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLENBQUM7O0VBRTFGLEVBQUUsYUFBYSxDQUFDLFlBQVksQ0FBQ0MscUJBQStCLEVBQUUsYUFBYSxDQUFDO0VBQzVFLEVBQUUsYUFBYSxDQUFDLFlBQVksQ0FBQ0MsNkJBQXVDLEVBQUUsaUJBQWlCLENBQUM7RUFDeEYsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxLQUFLLEtBQUs7RUFDeEMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsS0FBSztFQUMxQixFQUFFLElBQUksTUFBTSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUNKLGVBQXlCLENBQUMsRUFBRTtFQUM1RCxJQUFJLE1BQU0sY0FBYztFQUN4QixNQUFNLE1BQU0sQ0FBQyxZQUFZLENBQUNJLDZCQUF1QyxDQUFDO0VBQ2xFLE1BQU0sTUFBTSxDQUFDLFlBQVksQ0FBQ0QscUJBQStCLENBQUM7RUFDMUQsTUFBTSxFQUFFO0VBQ1IsSUFBSSxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLDhDQUE4QyxDQUFDO0VBQzlGLElBQUksSUFBSSxXQUFXLEVBQUU7RUFDckIsTUFBTSxXQUFXLENBQUMsU0FBUyxHQUFHLGNBQWM7RUFDNUMsSUFBSTtFQUNKLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBLE1BQU0sZUFBZSxHQUFHLE1BQU07RUFDOUIsRUFBRSxNQUFNLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSTs7RUFFNUIsRUFBRSxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDLEVBQUU7RUFDckQsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQztFQUMvQyxJQUFJLE1BQU0sd0JBQXdCLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRUUsa0JBQTRCLENBQUMsQ0FBQyxDQUFDO0VBQy9GLElBQUksTUFBTSxrQkFBa0IsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLHdCQUF3QixDQUFDO0VBQy9FLElBQUksTUFBTSxpQkFBaUIsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLHVCQUF1QixDQUFDO0VBQzdFLElBQUksTUFBTSxZQUFZLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLDBCQUEwQixDQUFDOztFQUU5RSxJQUFJLElBQUksa0JBQWtCLEVBQUU7RUFDNUIsTUFBTSxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUN6RCxJQUFJO0VBQ0osSUFBSSxJQUFJLHdCQUF3QixFQUFFO0VBQ2xDLE1BQU0sd0JBQXdCLENBQUMsTUFBTSxFQUFFO0VBQ3ZDLElBQUk7RUFDSixJQUFJLElBQUksa0JBQWtCLEVBQUUsa0JBQWtCLENBQUMsTUFBTSxFQUFFO0VBQ3ZELElBQUksSUFBSSxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBQyxNQUFNLEVBQUU7RUFDckQsSUFBSSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQzs7RUFFN0MsSUFBSSxJQUFJLENBQUMsbUJBQW1CLENBQUMsV0FBVyxFQUFFLG9CQUFvQixDQUFDO0VBQy9ELEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsQ0FBQzs7RUFFNUMsSUFBSSxXQUFXLEdBQUcsY0FBYyxFQUFFOztFQUVsQyxJQUFJLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsdUJBQXVCLENBQUM7RUFDdEUsSUFBSSxJQUFJLENBQUMsWUFBWSxFQUFFO0VBQ3ZCLE1BQU0sWUFBWSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDO0VBQ3BELE1BQU0sWUFBWSxDQUFDLFNBQVMsR0FBRyxzQkFBc0I7RUFDckQsTUFBTSxZQUFZLENBQUMsV0FBVyxHQUFHLEdBQUc7RUFDcEMsTUFBTSxRQUFRLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxZQUFZLENBQUM7RUFDN0MsSUFBSTs7RUFFSixJQUFJLE1BQU0saUJBQWlCLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyx3QkFBd0IsQ0FBQztFQUM5RSxJQUFJLElBQUksQ0FBQyxpQkFBaUIsRUFBRTtFQUM1QixNQUFNLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxXQUFXLEVBQUUsU0FBUyxDQUFDO0VBQ3JELElBQUksQ0FBQyxNQUFNO0VBQ1gsTUFBTSxNQUFNLG1CQUFtQixHQUFHLGlCQUFpQixDQUFDLGFBQWEsQ0FBQyxlQUFlLENBQUM7RUFDbEYsTUFBTSxJQUFJLG1CQUFtQixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7RUFDOUYsUUFBUSxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsd0JBQXdCLEVBQUUsTUFBTSxDQUFDO0VBQzFFLFFBQVEsbUJBQW1CLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLGlCQUFpQixDQUFDO0VBQ3hFLE1BQU07RUFDTixJQUFJO0VBQ0osSUFBSSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksaUJBQWlCLEVBQUU7RUFDN0QsTUFBTSxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQztFQUNyRCxJQUFJLENBQUMsTUFBTSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksQ0FBQyxpQkFBaUIsRUFBRTtFQUNyRSxNQUFNLFVBQVUsQ0FBQyxNQUFNO0VBQ3ZCLFFBQVEsTUFBTSxTQUFTLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyx3QkFBd0IsQ0FBQztFQUMxRSxRQUFRLElBQUksU0FBUyxFQUFFO0VBQ3ZCLFVBQVUsU0FBUyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDO0VBQ2pELFFBQVE7RUFDUixNQUFNLENBQUMsRUFBRSxDQUFDLENBQUM7RUFDWCxJQUFJLENBQUMsTUFBTSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksaUJBQWlCLEVBQUU7RUFDcEUsTUFBTSxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUN4RCxJQUFJO0VBQ0osSUFBSSxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsY0FBYyxDQUFDLGtCQUFrQixDQUFDO0VBQ25FLElBQUksSUFBSSxXQUFXLEVBQUU7RUFDckIsTUFBTSxXQUFXLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLGtCQUFrQixDQUFDO0VBQy9ELE1BQU0saUJBQWlCLENBQUMsV0FBVyxDQUFDO0VBQ3BDLElBQUk7RUFDSixJQUFJLE1BQU0sV0FBVyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsZUFBZSxDQUFDO0VBQy9ELElBQUksSUFBSSxXQUFXLElBQUksQ0FBQyxXQUFXLENBQUMsWUFBWSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7RUFDNUUsTUFBTSxXQUFXLENBQUMsWUFBWSxDQUFDLHdCQUF3QixFQUFFLE1BQU0sQ0FBQztFQUNoRSxNQUFNLFdBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxPQUFPLEVBQUUsaUJBQWlCLENBQUM7RUFDOUQsSUFBSTtFQUNKLElBQUksSUFBSSxDQUFDLGdCQUFnQixDQUFDLFdBQVcsRUFBRSxvQkFBb0IsQ0FBQzs7RUFFNUQsSUFBSSxNQUFNLGVBQWUsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxFQUFFQSxrQkFBNEIsQ0FBQyxDQUFDLENBQUM7RUFDdEYsSUFBSSxJQUFJLGVBQWUsRUFBRTtFQUN6QixNQUFNLGVBQWUsQ0FBQyxNQUFNLEVBQUU7RUFDOUIsSUFBSTs7RUFFSixJQUFJLE1BQU0sd0JBQXdCLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUM7RUFDbEUsSUFBSSx3QkFBd0IsQ0FBQyxTQUFTLEdBQUdBLGtCQUE0QjtFQUNyRSxJQUFJLElBQUksV0FBVyxLQUFLLGNBQWMsRUFBRTtFQUN4QyxNQUFNLHdCQUF3QixDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDO0VBQzVELElBQUk7RUFDSixJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsd0JBQXdCLENBQUM7RUFDekMsSUFBSSxJQUFJLFdBQVcsS0FBSyxjQUFjLEVBQUU7RUFDeEMsTUFBTSxNQUFNLFNBQVMsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLHdCQUF3QixDQUFDO0VBQ3hFLE1BQU0sSUFBSSxTQUFTLEVBQUU7RUFDckIsUUFBUSxTQUFTLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUM7RUFDL0MsTUFBTTtFQUNOLElBQUk7RUFDSixJQUFJLE1BQU0sZUFBZSxHQUFHLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQywwQkFBMEIsQ0FBQztFQUNqRixJQUFJLGVBQWUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDOztFQUVoRCxJQUFJLE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDO0VBQ3hELElBQUksY0FBYyxDQUFDLFNBQVMsR0FBRyw0Q0FBNEM7RUFDM0UsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUM7RUFDM0QsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUM7RUFDekQsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7RUFDcEQsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLElBQUksR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7RUFDckQsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxPQUFPO0VBQ3pDLElBQUksY0FBYyxDQUFDLFNBQVMsR0FBRyxnRUFBZ0U7RUFDL0YsSUFBSSx3QkFBd0IsQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDOztFQUV4RDtFQUNBLElBQUksTUFBTSxvQkFBb0IsR0FBRyxNQUFNO0VBQ3ZDLE1BQU0sTUFBTSxnQkFBZ0IsR0FBRyxFQUFFO0VBQ2pDLE1BQU0sTUFBTSx3QkFBd0IsR0FBRyw4QkFBOEIsRUFBRTtFQUN2RSxNQUFNLE1BQU0sV0FBVyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLG9CQUFvQixDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxLQUFLO0VBQ3RGLFFBQVE7RUFDUixVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMseUJBQXlCLENBQUM7RUFDN0QsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsd0JBQXdCLENBQUM7RUFDakQsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUVBLGtCQUE0QixDQUFDLENBQUM7RUFDMUQ7RUFDQSxNQUFNLENBQUMsQ0FBQztFQUNSLE1BQU0sTUFBTSxTQUFTLEdBQUcsRUFBRTtFQUMxQixNQUFNLElBQUksS0FBSyxHQUFHLENBQUM7O0VBRW5CLE1BQU0sTUFBTSxZQUFZLEdBQUcsTUFBTTtFQUNqQyxRQUFRLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxHQUFHLFNBQVMsRUFBRSxXQUFXLENBQUMsTUFBTSxDQUFDOztFQUV4RSxRQUFRLEtBQUssSUFBSSxDQUFDLEdBQUcsS0FBSyxFQUFFLENBQUMsR0FBRyxRQUFRLEVBQUUsQ0FBQyxFQUFFLEVBQUU7RUFDL0MsVUFBVSxNQUFNLElBQUksR0FBRyxXQUFXLENBQUMsQ0FBQyxDQUFDO0VBQ3JDLFVBQVUsTUFBTSxZQUFZLEdBQUcsd0JBQXdCLENBQUMsSUFBSSxDQUFDO0VBQzdELFVBQVUsSUFBSSxZQUFZLEVBQUU7RUFDNUIsWUFBWSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDO0VBQy9DLFVBQVU7RUFDVixRQUFROztFQUVSLFFBQVEsS0FBSyxHQUFHLFFBQVE7O0VBRXhCLFFBQVEsSUFBSSxLQUFLLEdBQUcsV0FBVyxDQUFDLE1BQU0sRUFBRTtFQUN4QyxVQUFVLFVBQVUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO0VBQ3JDLFFBQVEsQ0FBQyxNQUFNO0VBQ2YsVUFBVSxJQUFJLFNBQVMsR0FBRyxDQUFDO0VBQzNCLFVBQVUsTUFBTSxhQUFhLEdBQUcsRUFBRTs7RUFFbEMsVUFBVSxNQUFNLFlBQVksR0FBRyxNQUFNO0VBQ3JDLFlBQVksTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLEdBQUcsYUFBYSxFQUFFLGdCQUFnQixDQUFDLE1BQU0sQ0FBQzs7RUFFekYsWUFBWSxLQUFLLElBQUksQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLEdBQUcsUUFBUSxFQUFFLENBQUMsRUFBRSxFQUFFO0VBQ3ZELGNBQWMsTUFBTSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUM7RUFDakUsY0FBYyx3QkFBd0IsQ0FBQyxJQUFJLEVBQUUsYUFBYSxDQUFDO0VBQzNELFlBQVk7O0VBRVosWUFBWSxTQUFTLEdBQUcsUUFBUTs7RUFFaEMsWUFBWSxJQUFJLFNBQVMsR0FBRyxnQkFBZ0IsQ0FBQyxNQUFNLEVBQUU7RUFDckQsY0FBYyxVQUFVLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztFQUN6QyxZQUFZLENBQUMsTUFBTTtFQUNuQixjQUFjLE1BQU0sT0FBTyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLEVBQUVBLGtCQUE0QixDQUFDLENBQUMsQ0FBQztFQUN4RixjQUFjLElBQUksT0FBTyxFQUFFO0VBQzNCLGdCQUFnQixNQUFNLFlBQVksR0FBRyxPQUFPLENBQUMsZ0JBQWdCLENBQUMsMEJBQTBCLENBQUM7RUFDekYsZ0JBQWdCLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDO0VBQ3pELGdCQUFnQixPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxhQUFhLENBQUMsQ0FBQztFQUNuRixjQUFjO0VBQ2QsWUFBWTtFQUNaLFVBQVUsQ0FBQzs7RUFFWCxVQUFVLFVBQVUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO0VBQ3JDLFFBQVE7RUFDUixNQUFNLENBQUM7O0VBRVAsTUFBTSxVQUFVLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztFQUNqQyxJQUFJLENBQUM7O0VBRUwsSUFBSSxvQkFBb0IsRUFBRTtFQUMxQixFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLElBQUksY0FBYyxHQUFHLElBQUk7RUFDekIsSUFBSSxtQkFBbUIsR0FBRyxLQUFLOztFQUUvQixNQUFNLG9CQUFvQixHQUFHLE1BQU07RUFDbkMsRUFBRSxPQUFPLENBQUMsS0FBSyxLQUFLO0VBQ3BCLElBQUksSUFBSSxLQUFLLENBQUMsR0FBRyxLQUFLLFFBQVEsRUFBRTtFQUNoQyxNQUFNLE1BQU0sSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJO0VBQ2hDLE1BQU0sSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsb0JBQW9CLENBQUMsRUFBRTtFQUNqRSxRQUFRLGVBQWUsRUFBRTtFQUN6QixRQUFRLEtBQUssQ0FBQyxjQUFjLEVBQUU7RUFDOUIsTUFBTTtFQUNOLE1BQU07RUFDTixJQUFJOztFQUVKLElBQUksTUFBTSxLQUFLLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQztFQUN0RSxJQUFJLE1BQU0sWUFBWSxHQUFHLEtBQUssR0FBRyxLQUFLLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQyxPQUFPO0VBQzlELElBQUksTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLFFBQVE7RUFDbEMsSUFBSSxNQUFNLEdBQUcsR0FBRyxLQUFLLENBQUMsR0FBRyxLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsR0FBRyxLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsT0FBTyxLQUFLLEVBQUU7O0VBRTlFLElBQUksSUFBSSxZQUFZLElBQUksT0FBTyxJQUFJLEdBQUcsRUFBRTtFQUN4QyxNQUFNLGVBQWUsRUFBRTtFQUN2QixNQUFNLEtBQUssQ0FBQyxjQUFjLEVBQUU7RUFDNUIsTUFBTSxLQUFLLENBQUMsZUFBZSxFQUFFO0VBQzdCLElBQUk7RUFDSixFQUFFLENBQUM7RUFDSCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxxQkFBcUIsR0FBRyxNQUFNO0VBQ3BDLEVBQUUsSUFBSSxtQkFBbUIsRUFBRTtFQUMzQixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLElBQUksQ0FBQyxjQUFjLEVBQUU7RUFDdkIsSUFBSSxjQUFjLEdBQUcsb0JBQW9CLEVBQUU7RUFDM0MsRUFBRTs7RUFFRixFQUFFLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxTQUFTLEVBQUUsY0FBYyxFQUFFLElBQUksQ0FBQztFQUM1RCxFQUFFLG1CQUFtQixHQUFHLElBQUk7RUFDNUIsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDTyxNQUFNLGVBQWUsR0FBRyxNQUFNO0VBQ3JDLEVBQUUsV0FBVyxHQUFHLGNBQWMsRUFBRTs7RUFFaEMsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFO0VBQ3BCLElBQUksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLDJCQUEyQixFQUFFO0VBQzdFLE1BQU0sV0FBVyxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsMkJBQTJCLENBQUM7RUFDckUsSUFBSSxDQUFDLE1BQU07RUFDWCxNQUFNLFVBQVUsQ0FBQyxNQUFNO0VBQ3ZCLFFBQVEsd0JBQXdCLEVBQUU7RUFDbEMsTUFBTSxDQUFDLEVBQUUsSUFBSSxDQUFDO0VBQ2QsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFFBQVEsQ0FBQyxVQUFVLEtBQUssU0FBUyxFQUFFO0VBQ3pDLElBQUksUUFBUSxDQUFDLGdCQUFnQixDQUFDLGtCQUFrQixFQUFFLHFCQUFxQixDQUFDO0VBQ3hFLEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxxQkFBcUIsRUFBRTtFQUMzQixFQUFFO0VBQ0YsQ0FBQzs7RUNockNEO0VBQ0EsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDbkMsRUFBRSxNQUFNLENBQUMsdUJBQXVCLEdBQUcsY0FBYztFQUNqRCxFQUFFLE1BQU0sQ0FBQyxvQkFBb0IsR0FBRyxXQUFXO0VBQzNDLEVBQUUsTUFBTSxDQUFDLHFCQUFxQixHQUFHLFlBQVk7RUFDN0MsRUFBRSxNQUFNLENBQUMsd0JBQXdCLEdBQUcsZUFBZTtFQUNuRCxFQUFFLE1BQU0sQ0FBQyxnQkFBZ0IsR0FBRyxPQUFPO0VBQ25DOztFQUVBLGVBQWUsRUFBRTs7Ozs7OyJ9
+//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoieHJheS1yZWFjdC11aS5taW4uanMiLCJzb3VyY2VzIjpbIi4uL3NyYy9jb25zdGFudHMuanMiLCIuLi9zcmMvY3NzLmpzIiwiLi4vc3JjL3BhcnRpYWxzLmpzIiwiLi4vc3JjL3NvdXJjZS1tYXAuanMiLCIuLi9zcmMvc291cmNlLWxvY2F0aW9uLmpzIiwiLi4vc3JjL2VkaXRvci11cmwuanMiLCIuLi9zcmMvdWktdXRpbHMuanMiLCIuLi9saWIveHJheS1yZWFjdC11aS5qcyJdLCJzb3VyY2VzQ29udGVudCI6WyJleHBvcnQgY29uc3QgeHJheVJlYWN0RWxlbUNOID0gJ3hyYXktcmVhY3QtZWxlbWVudCc7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0V3JhcHBlckNOID0gJ3hyYXktcmVhY3QtZWxlbWVudHMtd3JhcHBlcic7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0Q29tcFBhdGhBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1jb21wb25lbnRzLXBhdGgnO1xuZXhwb3J0IGNvbnN0IHhyYXlSZWFjdEZpbHRlcmVkQ29tcFBhdGhBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1maWx0ZXJlZC1jb21wb25lbnRzLXBhdGgnO1xuZXhwb3J0IGNvbnN0IHhyYXlSZWFjdFNvdXJjZUF0dHIgPSAnZGF0YS14cmF5LXJlYWN0LXNvdXJjZSc7XG5leHBvcnQgY29uc3QgeHJheVJlYWN0U291cmNlRXhhY3RBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1zb3VyY2UtZXhhY3QnO1xuLy8gTmFtZXMgb2YgdGhlIFJlYWN0IFNlcnZlciBDb21wb25lbnRzIGluIGFuIG92ZXJsYXkncyBwYXRoXG5leHBvcnQgY29uc3QgeHJheVJlYWN0U2VydmVyQ29tcHNBdHRyID0gJ2RhdGEteHJheS1yZWFjdC1zZXJ2ZXItY29tcG9uZW50cyc7XG4vLyBSb3V0ZSBpZHMgb2YgdGhlIHJvdXRlIG1vZHVsZXMgaW4gYW4gb3ZlcmxheSdzIHBhdGggKFJlYWN0IFJvdXRlciBmcmFtZXdvcmsgbW9kZSwgUmVtaXgpXG5leHBvcnQgY29uc3QgeHJheVJlYWN0Um91dGVNb2R1bGVzQXR0ciA9ICdkYXRhLXhyYXktcmVhY3Qtcm91dGUtbW9kdWxlcyc7XG4vLyBTdGFtcGVkIG9uIGhvc3QgZWxlbWVudHMgYXQgYnVpbGQgdGltZSBieSB0aGUgeHJheS1yZWFjdCBKU1ggdHJhbnNmb3Jtc1xuZXhwb3J0IGNvbnN0IHhyYXlTb3VyY2VBdHRyID0gJ2RhdGEteHJheS1zb3VyY2UnO1xuZXhwb3J0IGNvbnN0IHhyYXlDb21wb25lbnRBdHRyID0gJ2RhdGEteHJheS1jb21wb25lbnQnO1xuZXhwb3J0IGNvbnN0IHpJbmRleCA9IDEwMDAwO1xuXG5leHBvcnQgY29uc3QgVUlfTU9ERV9GVUxMID0gJ2Z1bGwnO1xuZXhwb3J0IGNvbnN0IFVJX01PREVfU0lNUExFID0gJ3NpbXBsZSc7XG5leHBvcnQgY29uc3QgQVZBSUxBQkxFX1VJX01PREVTID0gW1VJX01PREVfRlVMTCwgVUlfTU9ERV9TSU1QTEVdO1xuXG5leHBvcnQgY29uc3QgRURJVE9SX1VSTF9MQUJFTFMgPSB7XG4gIHZzY29kZTogJ1ZTIENvZGUnLFxuICBjdXJzb3I6ICdDdXJzb3InLFxuICBpZGVhOiAnSW50ZWxsaUogSURFQScsXG4gIGpldGJyYWluczogJ0pldEJyYWlucyBUb29sYm94JyxcbiAgc3VibDogJ1N1YmxpbWUgVGV4dCcsXG59O1xuZXhwb3J0IGNvbnN0IEVESVRPUl9VUkxfU0NIRU1FUyA9IE9iamVjdC5rZXlzKEVESVRPUl9VUkxfTEFCRUxTKTtcblxuZXhwb3J0IGNvbnN0IEhUTUxfRUxFTUVOVFMgPSBuZXcgU2V0KFtcbiAgJ2RpdicsXG4gICdzcGFuJyxcbiAgJ2Zvcm0nLFxuICAnYnV0dG9uJyxcbiAgJ2lucHV0JyxcbiAgJ2EnLFxuICAnaW1nJyxcbiAgJ3AnLFxuICAnaDEnLFxuICAnaDInLFxuICAnaDMnLFxuICAnaDQnLFxuICAnaDUnLFxuICAnaDYnLFxuICAndWwnLFxuICAnbGknLFxuICAnb2wnLFxuICAndGFibGUnLFxuICAndHInLFxuICAndGQnLFxuICAndGgnLFxuICAndGhlYWQnLFxuICAndGJvZHknLFxuICAndGZvb3QnLFxuICAnc2VjdGlvbicsXG4gICdhcnRpY2xlJyxcbiAgJ2hlYWRlcicsXG4gICdmb290ZXInLFxuICAnbmF2JyxcbiAgJ21haW4nLFxuICAnYXNpZGUnLFxuICAnbGFiZWwnLFxuICAnc2VsZWN0JyxcbiAgJ29wdGlvbicsXG4gICd0ZXh0YXJlYScsXG4gICdmaWVsZHNldCcsXG4gICdsZWdlbmQnLFxuICAnYnInLFxuICAnaHInLFxuICAnc3Ryb25nJyxcbiAgJ2VtJyxcbiAgJ2InLFxuICAnaScsXG4gICd1JyxcbiAgJ3NtYWxsJyxcbiAgJ3N1YicsXG4gICdzdXAnLFxuICAnZGwnLFxuICAnZHQnLFxuICAnZGQnLFxuICAncHJlJyxcbiAgJ2NvZGUnLFxuICAnYmxvY2txdW90ZScsXG4gICdjaXRlJyxcbiAgJ2NhbnZhcycsXG4gICdzdmcnLFxuICAncGF0aCcsXG4gICdjaXJjbGUnLFxuICAncmVjdCcsXG4gICdsaW5lJyxcbiAgJ3BvbHlsaW5lJyxcbiAgJ3BvbHlnb24nLFxuICAnaWZyYW1lJyxcbiAgJ2VtYmVkJyxcbiAgJ29iamVjdCcsXG4gICd2aWRlbycsXG4gICdhdWRpbycsXG4gICdzb3VyY2UnLFxuICAndHJhY2snLFxuICAnbWV0YScsXG4gICdsaW5rJyxcbiAgJ3N0eWxlJyxcbiAgJ3NjcmlwdCcsXG4gICdub3NjcmlwdCcsXG4gICd0ZW1wbGF0ZScsXG5dKTtcbiIsImV4cG9ydCBkZWZhdWx0IGBcbiAgLnhyYXktcmVhY3QtZW5hYmxlZCB7XG4gICAgbWFyZ2luLWJvdHRvbTogNTBweCAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnRzLXdyYXBwZXIge1xuICAgIGJvdHRvbTogMDtcbiAgICBmb250LWZhbWlseTogXCJTZWdvZSBVSVwiLCBSb2JvdG8sIFwiSGVsdmV0aWNhIE5ldWVcIiwgQXJpYWwsIHNhbnMtc2VyaWY7XG4gICAgZm9udC1zdHlsZTogbm9ybWFsO1xuICAgIGxlZnQ6IDA7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICAgIHJpZ2h0OiAwO1xuICAgIHRvcDogMDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50IHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiByZ2JhKDAsIDAsIDI1NSwgMC4yNSk7XG4gICAgYm9yZGVyOiAycHggc29saWQgYmx1ZTtcbiAgICBjdXJzb3I6IHBvaW50ZXI7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6OmJlZm9yZSB7XG4gICAgYWxpZ24tc2VsZjogY2VudGVyO1xuICAgIGNvbG9yOiB3aGl0ZTtcbiAgICBjb250ZW50OiBhdHRyKGRhdGEteHJheS1yZWFjdC1lbGVtZW50LW5hbWUpO1xuICAgIGRpc3BsYXk6IHRhYmxlO1xuICAgIGZvbnQtc2l6ZTogMThweDtcbiAgICBmb250LXdlaWdodDogNDAwO1xuICAgIGxlZnQ6IDUwJTtcbiAgICBwb3NpdGlvbjogYWJzb2x1dGU7XG4gICAgcmlnaHQ6IDA7XG4gICAgdGV4dC1hbGlnbjogY2VudGVyO1xuICAgIHRvcDogNTAlO1xuICAgIHRyYW5zZm9ybTogdHJhbnNsYXRlKC01MCUsIC01MCUpO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6OmFmdGVyIHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBkYXJrYmx1ZTtcbiAgICBjb2xvcjogd2hpdGU7XG4gICAgY29udGVudDogYXR0cihkYXRhLXhyYXktcmVhY3QtZWxlbWVudC1uYW1lKTtcbiAgICBkaXNwbGF5OiBpbmxpbmUtYmxvY2s7XG4gICAgZm9udC1zaXplOiAxMHB4O1xuICAgIGxlZnQ6IDA7XG4gICAgcGFkZGluZzogMCA1cHg7XG4gICAgcG9zaXRpb246IGFic29sdXRlO1xuICAgIHRvcDogMDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50OmhvdmVyLFxuICAueHJheS1yZWFjdC1lbGVtZW50Li1oaWdobGlnaHRlZCB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogcmdiYSgwLCAwLCAyNTUsIDAuNzUpO1xuICAgIGJvcmRlci1jb2xvcjogY3lhbjtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50OmhvdmVyOjpiZWZvcmUsXG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLWhpZ2hsaWdodGVkOjpiZWZvcmUge1xuICAgIGNvbG9yOiBjeWFuO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQ6aG92ZXI6OmFmdGVyLFxuICAueHJheS1yZWFjdC1lbGVtZW50Li1oaWdobGlnaHRlZDo6YWZ0ZXIge1xuICAgIGJhY2tncm91bmQtY29sb3I6IGN5YW47XG4gICAgY29sb3I6IGRhcmtibHVlO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLWhpZ2hsaWdodGVkIHtcbiAgICB6LWluZGV4OiA5OTk5OSAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLXNlcnZlciB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogcmdiYSgxMjgsIDAsIDEyOCwgMC4yNSk7XG4gICAgYm9yZGVyLWNvbG9yOiBwdXJwbGU7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudC4tc2VydmVyOjphZnRlciB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogcHVycGxlO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLXNlcnZlcjpob3ZlcixcbiAgLnhyYXktcmVhY3QtZWxlbWVudC4tc2VydmVyLi1oaWdobGlnaHRlZCB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogcmdiYSgxMjgsIDAsIDEyOCwgMC43NSk7XG4gICAgYm9yZGVyLWNvbG9yOiB2aW9sZXQ7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudC4tc2VydmVyOmhvdmVyOjpiZWZvcmUsXG4gIC54cmF5LXJlYWN0LWVsZW1lbnQuLXNlcnZlci4taGlnaGxpZ2h0ZWQ6OmJlZm9yZSB7XG4gICAgY29sb3I6IHZpb2xldDtcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50Li1zZXJ2ZXI6aG92ZXI6OmFmdGVyLFxuICAueHJheS1yZWFjdC1lbGVtZW50Li1zZXJ2ZXIuLWhpZ2hsaWdodGVkOjphZnRlciB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogdmlvbGV0O1xuICAgIGNvbG9yOiBwdXJwbGU7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9uLWJhciB7XG4gICAgYWxpZ24taXRlbXM6IGNlbnRlcjtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBkYXJrYmx1ZTtcbiAgICBib3R0b206IDA7XG4gICAgZGlzcGxheTogZmxleDtcbiAgICBmbGV4LWRpcmVjdGlvbjogY29sdW1uO1xuICAgIGp1c3RpZnktY29udGVudDogY2VudGVyO1xuICAgIG1heC1oZWlnaHQ6IDEwMHB4O1xuICAgIG1pbi1oZWlnaHQ6IDUwcHg7XG4gICAgb3ZlcmZsb3cteTogYXV0bztcbiAgICBwYWRkaW5nOiAwIDEwcHg7XG4gICAgcG9zaXRpb246IGZpeGVkO1xuICAgIHdpZHRoOiAxMDB2dztcbiAgICB6LWluZGV4OiA5OTk5OTk7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9uLWJhcjo6LXdlYmtpdC1zY3JvbGxiYXIge1xuICAgIHdpZHRoOiA4cHg7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9uLWJhcjo6LXdlYmtpdC1zY3JvbGxiYXItdHJhY2sge1xuICAgIGJhY2tncm91bmQ6IHJnYmEoMjU1LCAyNTUsIDI1NSwgMC4xKTtcbiAgfVxuICAueHJheS1yZWFjdC1hY3Rpb24tYmFyOjotd2Via2l0LXNjcm9sbGJhci10aHVtYiB7XG4gICAgYmFja2dyb3VuZDogY3lhbjtcbiAgICBib3JkZXItcmFkaXVzOiA0cHg7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9uLWJhcjo6LXdlYmtpdC1zY3JvbGxiYXItdGh1bWI6aG92ZXIge1xuICAgIGJhY2tncm91bmQ6ICMwMGZmZmY7XG4gIH1cbiAgLnhyYXktcmVhY3QtYWN0aW9ucy13cmFwcGVyIHtcbiAgICBhbGlnbi1pdGVtczogY2VudGVyO1xuICAgIGRpc3BsYXk6IGZsZXg7XG4gICAgZm9udC1mYW1pbHk6IFwiU2Vnb2UgVUlcIiwgUm9ib3RvLCBcIkhlbHZldGljYSBOZXVlXCIsIEFyaWFsLCBzYW5zLXNlcmlmO1xuICAgIGZvbnQtc3R5bGU6IG5vcm1hbDtcbiAgICBtaW4taGVpZ2h0OiA1MHB4O1xuICAgIHBhZGRpbmc6IDVweCAwO1xuICAgIHBvc2l0aW9uOiBzdGlja3k7XG4gICAgdG9wOiAwO1xuICAgIHdpZHRoOiAxMDAlO1xuICB9XG4gIC5zZWFyY2gtd3JhcHBlciB7XG4gICAgcG9zaXRpb246IHJlbGF0aXZlO1xuICAgIGFsaWduLXNlbGY6IGNlbnRlcjtcbiAgICBmbGV4LXNocmluazogMDtcbiAgICBtYXJnaW4tcmlnaHQ6IDE1cHg7XG4gICAgbWluLXdpZHRoOiAyMDBweDtcbiAgICB3aWR0aDogMjUlO1xuICB9XG4gICNzZWFyY2gtY29tcG9uZW50IHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBsaWdodGdyYXk7XG4gICAgYm9yZGVyLXJhZGl1czogM3B4O1xuICAgIGJvcmRlcjogMDtcbiAgICBmb250LXNpemU6IDE0cHg7XG4gICAgaGVpZ2h0OiAzMHB4O1xuICAgIGxpbmUtaGVpZ2h0OiAyMHB4O1xuICAgIG91dGxpbmU6IDA7XG4gICAgcGFkZGluZzogNXB4IDMwcHggNXB4IDEwcHg7XG4gICAgd2lkdGg6IDEwMCU7XG4gICAgYm94LXNpemluZzogYm9yZGVyLWJveDtcbiAgfVxuICAuc2VhcmNoLWNsZWFyIHtcbiAgICBwb3NpdGlvbjogYWJzb2x1dGU7XG4gICAgcmlnaHQ6IDRweDtcbiAgICB0b3A6IDUwJTtcbiAgICB0cmFuc2Zvcm06IHRyYW5zbGF0ZVkoLTUwJSk7XG4gICAgYmFja2dyb3VuZDogbm9uZTtcbiAgICBib3JkZXI6IG5vbmU7XG4gICAgY3Vyc29yOiBwb2ludGVyO1xuICAgIHBhZGRpbmc6IDRweDtcbiAgICBkaXNwbGF5OiBmbGV4O1xuICAgIGFsaWduLWl0ZW1zOiBjZW50ZXI7XG4gICAganVzdGlmeS1jb250ZW50OiBjZW50ZXI7XG4gICAgY29sb3I6ICM2NjY7XG4gICAgb3BhY2l0eTogMC42O1xuICAgIHRyYW5zaXRpb246IG9wYWNpdHkgMC4ycztcbiAgfVxuICAuc2VhcmNoLWNsZWFyOmhvdmVyIHtcbiAgICBvcGFjaXR5OiAxO1xuICB9XG4gIC5jb21wb25lbnRzLXBhdGgge1xuICAgIGNvbG9yOiBjeWFuO1xuICAgIGZsZXg6IDE7XG4gICAgZm9udC1zaXplOiAxMXB4O1xuICAgIGxpbmUtaGVpZ2h0OiAxLjQ7XG4gICAgbWluLXdpZHRoOiAwO1xuICAgIG92ZXJmbG93LXg6IGF1dG87XG4gICAgb3ZlcmZsb3cteTogdmlzaWJsZTtcbiAgICB3aGl0ZS1zcGFjZTogbm93cmFwO1xuICAgIHdvcmQtYnJlYWs6IGtlZXAtYWxsO1xuICB9XG4gIC5jb21wb25lbnRzLXBhdGggLnNlcnZlci1jb21wb25lbnQge1xuICAgIGNvbG9yOiB2aW9sZXQ7XG4gIH1cbiAgLmNvbXBvbmVudHMtcGF0aCAucm91dGUtbW9kdWxlIHtcbiAgICBjb2xvcjogZ29sZDtcbiAgfVxuICAuY29tcG9uZW50cy1wYXRoOjotd2Via2l0LXNjcm9sbGJhciB7XG4gICAgaGVpZ2h0OiA0cHg7XG4gIH1cbiAgLmNvbXBvbmVudHMtcGF0aDo6LXdlYmtpdC1zY3JvbGxiYXItdHJhY2sge1xuICAgIGJhY2tncm91bmQ6IHJnYmEoMjU1LCAyNTUsIDI1NSwgMC4xKTtcbiAgfVxuICAuY29tcG9uZW50cy1wYXRoOjotd2Via2l0LXNjcm9sbGJhci10aHVtYiB7XG4gICAgYmFja2dyb3VuZDogY3lhbjtcbiAgICBib3JkZXItcmFkaXVzOiAycHg7XG4gIH1cbiAgLmNvbXBvbmVudHMtcGF0aDo6LXdlYmtpdC1zY3JvbGxiYXItdGh1bWI6aG92ZXIge1xuICAgIGJhY2tncm91bmQ6ICMwMGZmZmY7XG4gIH1cbiAgLmVkaXRvci1zZWxlY3Qtd3JhcHBlciB7XG4gICAgYWxpZ24taXRlbXM6IGNlbnRlcjtcbiAgICBjb2xvcjogbGlnaHRncmF5O1xuICAgIGRpc3BsYXk6IGZsZXg7XG4gICAgZmxleC1zaHJpbms6IDA7XG4gICAgZm9udC1zaXplOiAxMXB4O1xuICAgIGdhcDogNnB4O1xuICAgIG1hcmdpbi1sZWZ0OiAxNXB4O1xuICB9XG4gICN4cmF5LXJlYWN0LWVkaXRvciB7XG4gICAgYmFja2dyb3VuZC1jb2xvcjogbGlnaHRncmF5O1xuICAgIGJvcmRlci1yYWRpdXM6IDNweDtcbiAgICBib3JkZXI6IDA7XG4gICAgZm9udC1zaXplOiAxMnB4O1xuICAgIGhlaWdodDogMjRweDtcbiAgICBvdXRsaW5lOiAwO1xuICB9XG4gIC54cmF5LXJlYWN0LW5vdGljZSB7XG4gICAgYWxpZ24taXRlbXM6IGNlbnRlcjtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBkYXJrYmx1ZTtcbiAgICBib3JkZXI6IDFweCBzb2xpZCBjeWFuO1xuICAgIGJvcmRlci1yYWRpdXM6IDNweDtcbiAgICBib3R0b206IDYwcHg7XG4gICAgY29sb3I6IHdoaXRlO1xuICAgIGRpc3BsYXk6IGZsZXg7XG4gICAgZmxleC13cmFwOiB3cmFwO1xuICAgIGZvbnQtZmFtaWx5OiBcIlNlZ29lIFVJXCIsIFJvYm90bywgXCJIZWx2ZXRpY2EgTmV1ZVwiLCBBcmlhbCwgc2Fucy1zZXJpZjtcbiAgICBmb250LXNpemU6IDEycHg7XG4gICAgZ2FwOiA2cHg7XG4gICAgbGVmdDogMTBweDtcbiAgICBtYXgtd2lkdGg6IGNhbGMoMTAwdncgLSA0MHB4KTtcbiAgICBwYWRkaW5nOiA4cHggMTBweDtcbiAgICBwb3NpdGlvbjogZml4ZWQ7XG4gICAgei1pbmRleDogMTAwMDAwMDtcbiAgfVxuICAueHJheS1yZWFjdC1ub3RpY2VbaGlkZGVuXSB7XG4gICAgZGlzcGxheTogbm9uZTtcbiAgfVxuICAueHJheS1yZWFjdC1jYW5kaWRhdGUge1xuICAgIGJhY2tncm91bmQtY29sb3I6IGxpZ2h0Z3JheTtcbiAgICBib3JkZXI6IDA7XG4gICAgYm9yZGVyLXJhZGl1czogM3B4O1xuICAgIGNvbG9yOiBkYXJrYmx1ZTtcbiAgICBjdXJzb3I6IHBvaW50ZXI7XG4gICAgZm9udC1zaXplOiAxMnB4O1xuICAgIHBhZGRpbmc6IDNweCA4cHg7XG4gIH1cbiAgLnhyYXktcmVhY3QtY2FuZGlkYXRlOmhvdmVyIHtcbiAgICBiYWNrZ3JvdW5kLWNvbG9yOiBjeWFuO1xuICB9XG4gIC54cmF5LXJlYWN0LW5vdGljZS1jbG9zZSB7XG4gICAgYmFja2dyb3VuZDogbm9uZTtcbiAgICBib3JkZXI6IDA7XG4gICAgY29sb3I6IGxpZ2h0Z3JheTtcbiAgICBjdXJzb3I6IHBvaW50ZXI7XG4gICAgZm9udC1zaXplOiAxNnB4O1xuICAgIGxpbmUtaGVpZ2h0OiAxO1xuICAgIG1hcmdpbi1sZWZ0OiBhdXRvO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQtdGVtcCB7XG4gICAgZGlzcGxheTogZmxleCAhaW1wb3J0YW50O1xuICAgIGFsaWduLWl0ZW1zOiBjZW50ZXIgIWltcG9ydGFudDtcbiAgICBqdXN0aWZ5LWNvbnRlbnQ6IGNlbnRlciAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnQtdGVtcDo6YmVmb3JlIHtcbiAgICBkaXNwbGF5OiBub25lICFpbXBvcnRhbnQ7XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wOjphZnRlciB7XG4gICAgZGlzcGxheTogbm9uZSAhaW1wb3J0YW50O1xuICB9XG4gIC54cmF5LXJlYWN0LXNwaW5uZXIge1xuICAgIHdpZHRoOiA1MHB4O1xuICAgIGhlaWdodDogNTBweDtcbiAgICBib3JkZXI6IDRweCBzb2xpZCByZ2JhKDAsIDI1NSwgMjU1LCAwLjMpO1xuICAgIGJvcmRlci10b3AtY29sb3I6IGN5YW47XG4gICAgYm9yZGVyLXJhZGl1czogNTAlO1xuICAgIGFuaW1hdGlvbjogeHJheS1yZWFjdC1zcGluIDFzIGxpbmVhciBpbmZpbml0ZTtcbiAgICBwb3NpdGlvbjogcmVsYXRpdmU7XG4gICAgei1pbmRleDogMTtcbiAgfVxuICBAa2V5ZnJhbWVzIHhyYXktcmVhY3Qtc3BpbiB7XG4gICAgdG8geyB0cmFuc2Zvcm06IHJvdGF0ZSgzNjBkZWcpOyB9XG4gIH1cbiAgLnhyYXktcmVhY3QtZWxlbWVudHMtd3JhcHBlci4tc2ltcGxlLW1vZGUgLnhyYXktcmVhY3QtZWxlbWVudCB7XG4gICAgb3BhY2l0eTogMDtcbiAgICBwb2ludGVyLWV2ZW50czogYXV0bztcbiAgfVxuICAueHJheS1yZWFjdC1lbGVtZW50cy13cmFwcGVyLi1zaW1wbGUtbW9kZSAueHJheS1yZWFjdC1lbGVtZW50OmhvdmVyIHtcbiAgICBvcGFjaXR5OiAxO1xuICB9XG4gIC54cmF5LXJlYWN0LWVsZW1lbnRzLXdyYXBwZXIuLXNpbXBsZS1tb2RlIC54cmF5LXJlYWN0LWVsZW1lbnQuLWhpZ2hsaWdodGVkIHtcbiAgICBvcGFjaXR5OiAxO1xuICB9XG5gO1xuIiwiaW1wb3J0IGNzcyBmcm9tICcuL2Nzcy5qcyc7XG5cbmV4cG9ydCBjb25zdCBzdHlsZVRhZyA9IGA8c3R5bGUgY2xhc3M9XCJ4cmF5LXJlYWN0LXN0eWxlLXRhZ1wiPiR7Y3NzfTwvc3R5bGU+YDtcbmV4cG9ydCBjb25zdCBhY3Rpb25CYXIgPSBgXG4gIDxkaXYgY2xhc3M9XCJ4cmF5LXJlYWN0LWFjdGlvbi1iYXJcIj5cbiAgICA8ZGl2IGNsYXNzPVwieHJheS1yZWFjdC1hY3Rpb25zLXdyYXBwZXJcIj5cbiAgICAgIDxkaXYgY2xhc3M9XCJzZWFyY2gtd3JhcHBlclwiPlxuICAgICAgICA8aW5wdXQgaWQ9XCJzZWFyY2gtY29tcG9uZW50XCIgdHlwZT1cInRleHRcIiBwbGFjZWhvbGRlcj1cIlNlYXJjaCBjb21wb25lbnQgYnkgbmFtZS4uLlwiLz5cbiAgICAgICAgPGJ1dHRvbiB0eXBlPVwiYnV0dG9uXCIgY2xhc3M9XCJzZWFyY2gtY2xlYXJcIiBhcmlhLWxhYmVsPVwiQ2xlYXIgc2VhcmNoXCIgc3R5bGU9XCJkaXNwbGF5OiBub25lO1wiPlxuICAgICAgICAgIDxzdmcgd2lkdGg9XCIxNFwiIGhlaWdodD1cIjE0XCIgdmlld0JveD1cIjAgMCAxNCAxNFwiIGZpbGw9XCJub25lXCIgeG1sbnM9XCJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Z1wiPlxuICAgICAgICAgICAgPHBhdGggZD1cIk0xMyAxTDEgMTNNMSAxTDEzIDEzXCIgc3Ryb2tlPVwiY3VycmVudENvbG9yXCIgc3Ryb2tlLXdpZHRoPVwiMlwiIHN0cm9rZS1saW5lY2FwPVwicm91bmRcIi8+XG4gICAgICAgICAgPC9zdmc+XG4gICAgICAgIDwvYnV0dG9uPlxuICAgICAgPC9kaXY+XG4gICAgICA8ZGl2IGNsYXNzPVwiY29tcG9uZW50cy1wYXRoXCI+PC9kaXY+XG4gICAgICA8bGFiZWwgY2xhc3M9XCJlZGl0b3Itc2VsZWN0LXdyYXBwZXJcIj5cbiAgICAgICAgPHNwYW4+T3BlbiBpbjwvc3Bhbj5cbiAgICAgICAgPHNlbGVjdCBpZD1cInhyYXktcmVhY3QtZWRpdG9yXCIgYXJpYS1sYWJlbD1cIkVkaXRvciB0byBvcGVuIGZpbGVzIGluXCI+PC9zZWxlY3Q+XG4gICAgICA8L2xhYmVsPlxuICAgIDwvZGl2PlxuICAgIDxkaXYgY2xhc3M9XCJ4cmF5LXJlYWN0LW5vdGljZVwiIHJvbGU9XCJzdGF0dXNcIiBoaWRkZW4+PC9kaXY+XG4gIDwvZGl2PlxuYDtcbiIsIi8qKlxuICogTWluaW1hbCBzb3VyY2UgbWFwIHN1cHBvcnQgZm9yIHRoZSBicm93c2VyIGJ1bmRsZVxuICogTG9hZHMgdGhlIG1hcHMgdGhlIGRldiBzZXJ2ZXIgYWxyZWFkeSBzZXJ2ZXMgZm9yIGl0cyBzY3JpcHRzIGFuZCBtYXBzIGdlbmVyYXRlZCBwb3NpdGlvbnNcbiAqIGJhY2sgdG8gb3JpZ2luYWwgZmlsZXMuIE9ubHkgd2hhdCBzdGFjayBmcmFtZSBtYXBwaW5nIG5lZWRzOiBWTFEgbWFwcGluZ3MgYW5kIHNvdXJjZSBsb29rdXAuXG4gKi9cblxuY29uc3QgQkFTRTY0X0NIQVJTID0gJ0FCQ0RFRkdISUpLTE1OT1BRUlNUVVZXWFlaYWJjZGVmZ2hpamtsbW5vcHFyc3R1dnd4eXowMTIzNDU2Nzg5Ky8nO1xuY29uc3QgQkFTRTY0X1ZBTFVFUyA9IG5ldyBNYXAoWy4uLkJBU0U2NF9DSEFSU10ubWFwKChjaGFyLCBpbmRleCkgPT4gW2NoYXIsIGluZGV4XSkpO1xuXG4vKipcbiAqIERlY29kZXMgb25lIGxpbmUgb2YgVkxRLWVuY29kZWQgc2VnbWVudHNcbiAqIEBwYXJhbSB7c3RyaW5nfSBsaW5lIC0gRW5jb2RlZCBzZWdtZW50cyBvZiBhIGdlbmVyYXRlZCBsaW5lLCBzZXBhcmF0ZWQgYnkgY29tbWFzXG4gKiBAcGFyYW0ge0FycmF5PG51bWJlcj59IHN0YXRlIC0gUnVubmluZyBbc291cmNlSW5kZXgsIHNvdXJjZUxpbmUsIHNvdXJjZUNvbHVtbl0gc2hhcmVkIGFjcm9zcyBsaW5lc1xuICogQHJldHVybnMge0FycmF5PEFycmF5PG51bWJlcj4+fSBTZWdtZW50cyBhcyBbZ2VuZXJhdGVkQ29sdW1uLCBzb3VyY2VJbmRleCwgc291cmNlTGluZSwgc291cmNlQ29sdW1uXVxuICovXG5jb25zdCBkZWNvZGVNYXBwaW5nc0xpbmUgPSAobGluZSwgc3RhdGUpID0+IHtcbiAgY29uc3Qgc2VnbWVudHMgPSBbXTtcbiAgbGV0IGdlbmVyYXRlZENvbHVtbiA9IDA7XG5cbiAgZm9yIChjb25zdCBlbmNvZGVkIG9mIGxpbmUuc3BsaXQoJywnKSkge1xuICAgIGlmICghZW5jb2RlZCkgY29udGludWU7XG5cbiAgICBjb25zdCB2YWx1ZXMgPSBbXTtcbiAgICBsZXQgdmFsdWUgPSAwO1xuICAgIGxldCBzaGlmdCA9IDA7XG5cbiAgICBmb3IgKGNvbnN0IGNoYXIgb2YgZW5jb2RlZCkge1xuICAgICAgY29uc3QgZGlnaXQgPSBCQVNFNjRfVkFMVUVTLmdldChjaGFyKTtcbiAgICAgIGlmIChkaWdpdCA9PT0gdW5kZWZpbmVkKSBicmVhaztcblxuICAgICAgdmFsdWUgKz0gKGRpZ2l0ICYgMzEpIDw8IHNoaWZ0O1xuICAgICAgaWYgKGRpZ2l0ICYgMzIpIHtcbiAgICAgICAgc2hpZnQgKz0gNTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHZhbHVlcy5wdXNoKHZhbHVlICYgMSA/IC0odmFsdWUgPj4gMSkgOiB2YWx1ZSA+PiAxKTtcbiAgICAgICAgdmFsdWUgPSAwO1xuICAgICAgICBzaGlmdCA9IDA7XG4gICAgICB9XG4gICAgfVxuXG4gICAgZ2VuZXJhdGVkQ29sdW1uICs9IHZhbHVlc1swXSB8fCAwO1xuICAgIGlmICh2YWx1ZXMubGVuZ3RoID49IDQpIHtcbiAgICAgIHN0YXRlWzBdICs9IHZhbHVlc1sxXTtcbiAgICAgIHN0YXRlWzFdICs9IHZhbHVlc1syXTtcbiAgICAgIHN0YXRlWzJdICs9IHZhbHVlc1szXTtcbiAgICAgIHNlZ21lbnRzLnB1c2goW2dlbmVyYXRlZENvbHVtbiwgc3RhdGVbMF0sIHN0YXRlWzFdLCBzdGF0ZVsyXV0pO1xuICAgIH1cbiAgfVxuXG4gIHJldHVybiBzZWdtZW50cztcbn07XG5cbi8qKlxuICogQ29udmVydHMgYSBzY3JpcHQgVVJMIHNlcnZlZCBieSBhIGRldiBzZXJ2ZXIgdG8gYSBmaWxlIG5hbWVcbiAqIEBwYXJhbSB7c3RyaW5nfSB1cmwgLSBTY3JpcHQgVVJMIChodHRwKHMpOi8vLCB3ZWJwYWNrLWludGVybmFsOi8vLCBmaWxlOi8vKVxuICogQHJldHVybnMge3N0cmluZ30gRmlsZSBuYW1lIChhYnNvbHV0ZSBwYXRoLCBvciBwYXRoIHJlbGF0aXZlIHRvIHRoZSBkZXYgc2VydmVyIHJvb3QpXG4gKi9cbmV4cG9ydCBjb25zdCB1cmxUb0ZpbGVOYW1lID0gKHVybCkgPT4ge1xuICBpZiAoIXVybCkgcmV0dXJuIHVybDtcblxuICBpZiAodXJsLnN0YXJ0c1dpdGgoJ3dlYnBhY2staW50ZXJuYWw6Ly8vJykpIHtcbiAgICByZXR1cm4gdXJsLnJlcGxhY2UoJ3dlYnBhY2staW50ZXJuYWw6Ly8vJywgJycpLnJlcGxhY2UoL15cXC5cXC8vLCAnJykucmVwbGFjZSgvXFw/LiokLywgJycpO1xuICB9XG5cbiAgdHJ5IHtcbiAgICBjb25zdCBwYXJzZWQgPSBuZXcgVVJMKHVybCk7XG4gICAgaWYgKHBhcnNlZC5wcm90b2NvbCA9PT0gJ2ZpbGU6Jykge1xuICAgICAgcmV0dXJuIGRlY29kZVVSSUNvbXBvbmVudChwYXJzZWQucGF0aG5hbWUpO1xuICAgIH1cblxuICAgIGNvbnN0IHBhdGhuYW1lID0gZGVjb2RlVVJJQ29tcG9uZW50KHBhcnNlZC5wYXRobmFtZSk7XG4gICAgaWYgKHBhdGhuYW1lLnN0YXJ0c1dpdGgoJy9AZnMvJykpIHtcbiAgICAgIHJldHVybiBwYXRobmFtZS5zbGljZSgnL0BmcycubGVuZ3RoKTtcbiAgICB9XG4gICAgcmV0dXJuIHBhdGhuYW1lLnJlcGxhY2UoL15cXC8rLywgJycpO1xuICB9IGNhdGNoIHtcbiAgICByZXR1cm4gdXJsLnJlcGxhY2UoL1xcPy4qJC8sICcnKTtcbiAgfVxufTtcblxuLyoqXG4gKiBDb252ZXJ0cyBhIHNvdXJjZSBtYXAgYHNvdXJjZXNgIGVudHJ5IHRvIGEgZmlsZSBuYW1lXG4gKiBTdHJpcHMgYnVuZGxlciBVUkwgc2NoZW1lcyAod2VicGFjazovLywgL0Bmcy8pIGFuZCByZXNvbHZlcyByZWxhdGl2ZSBlbnRyaWVzIGFnYWluc3QgdGhlIG1hcCBVUkxcbiAqIEBwYXJhbSB7c3RyaW5nfSBzb3VyY2UgLSBTb3VyY2UgZW50cnlcbiAqIEBwYXJhbSB7c3RyaW5nfSBtYXBVcmwgLSBVUkwgb2YgdGhlIHNvdXJjZSBtYXBcbiAqIEByZXR1cm5zIHtzdHJpbmd9IEZpbGUgbmFtZSAoYWJzb2x1dGUgcGF0aCwgb3IgcGF0aCByZWxhdGl2ZSB0byB0aGUgZGV2IHNlcnZlciByb290KVxuICovXG5leHBvcnQgY29uc3Qgbm9ybWFsaXplU291cmNlTmFtZSA9IChzb3VyY2UsIG1hcFVybCkgPT4ge1xuICBpZiAoIXNvdXJjZSkgcmV0dXJuIHNvdXJjZTtcblxuICBjb25zdCB3ZWJwYWNrTWF0Y2ggPSBzb3VyY2UubWF0Y2goL153ZWJwYWNrOlxcL1xcL1teL10qXFwvKC4qKSQvKTtcbiAgaWYgKHdlYnBhY2tNYXRjaCkge1xuICAgIHJldHVybiB3ZWJwYWNrTWF0Y2hbMV0ucmVwbGFjZSgvXlxcLlxcLy8sICcnKTtcbiAgfVxuXG4gIGlmICgvXmZpbGU6XFwvXFwvL2kudGVzdChzb3VyY2UpKSB7XG4gICAgcmV0dXJuIGRlY29kZVVSSUNvbXBvbmVudChzb3VyY2UucmVwbGFjZSgvXmZpbGU6XFwvXFwvL2ksICcnKSk7XG4gIH1cblxuICBpZiAoc291cmNlLnN0YXJ0c1dpdGgoJy8nKSkge1xuICAgIHJldHVybiBzb3VyY2UucmVwbGFjZSgvXlxcL0Bmc1xcLy8sICcvJyk7XG4gIH1cblxuICB0cnkge1xuICAgIHJldHVybiB1cmxUb0ZpbGVOYW1lKG5ldyBVUkwoc291cmNlLCBtYXBVcmwpLmhyZWYpO1xuICB9IGNhdGNoIHtcbiAgICByZXR1cm4gc291cmNlO1xuICB9XG59O1xuXG4vKipcbiAqIFBhcnNlcyBhIHNvdXJjZSBtYXAgb2JqZWN0IGludG8gYSBsb29rdXAtZnJpZW5kbHkgc3RydWN0dXJlXG4gKiBJbmRleCBtYXBzICh3aXRoIGBzZWN0aW9uc2ApIGFyZSBub3Qgc3VwcG9ydGVkXG4gKiBAcGFyYW0ge09iamVjdH0gcmF3TWFwIC0gU291cmNlIG1hcCBKU09OXG4gKiBAcGFyYW0ge3N0cmluZ30gbWFwVXJsIC0gVVJMIHRoZSBtYXAgd2FzIGxvYWRlZCBmcm9tLCB1c2VkIHRvIHJlc29sdmUgcmVsYXRpdmUgc291cmNlc1xuICogQHJldHVybnMge09iamVjdHxudWxsfSBQYXJzZWQgc291cmNlIG1hcCBvciBudWxsIGlmIHVuc3VwcG9ydGVkXG4gKi9cbmV4cG9ydCBjb25zdCBwYXJzZVNvdXJjZU1hcCA9IChyYXdNYXAsIG1hcFVybCkgPT4ge1xuICBpZiAoIXJhd01hcCB8fCB0eXBlb2YgcmF3TWFwLm1hcHBpbmdzICE9PSAnc3RyaW5nJyB8fCAhQXJyYXkuaXNBcnJheShyYXdNYXAuc291cmNlcykpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuXG4gIGNvbnN0IHNvdXJjZVJvb3QgPSByYXdNYXAuc291cmNlUm9vdCB8fCAnJztcbiAgY29uc3Qgc291cmNlcyA9IHJhd01hcC5zb3VyY2VzLm1hcCgoc291cmNlKSA9PiB7XG4gICAgY29uc3Qgd2l0aFJvb3QgPSBzb3VyY2VSb290ICYmICEvXlthLXpdKzovaS50ZXN0KHNvdXJjZSkgPyBgJHtzb3VyY2VSb290fSR7c291cmNlfWAgOiBzb3VyY2U7XG4gICAgcmV0dXJuIG5vcm1hbGl6ZVNvdXJjZU5hbWUod2l0aFJvb3QsIG1hcFVybCk7XG4gIH0pO1xuXG4gIGNvbnN0IHN0YXRlID0gWzAsIDAsIDBdO1xuICBjb25zdCBsaW5lcyA9IHJhd01hcC5tYXBwaW5ncy5zcGxpdCgnOycpLm1hcCgobGluZSkgPT4gZGVjb2RlTWFwcGluZ3NMaW5lKGxpbmUsIHN0YXRlKSk7XG5cbiAgcmV0dXJuIHsgc291cmNlcywgbGluZXMgfTtcbn07XG5cbi8qKlxuICogRmluZHMgdGhlIG9yaWdpbmFsIHBvc2l0aW9uIG9mIGEgZ2VuZXJhdGVkIHBvc2l0aW9uXG4gKiBAcGFyYW0ge09iamVjdH0gbWFwIC0gUGFyc2VkIHNvdXJjZSBtYXBcbiAqIEBwYXJhbSB7bnVtYmVyfSBsaW5lIC0gMS1iYXNlZCBnZW5lcmF0ZWQgbGluZVxuICogQHBhcmFtIHtudW1iZXJ9IGNvbHVtbiAtIDEtYmFzZWQgZ2VuZXJhdGVkIGNvbHVtblxuICogQHJldHVybnMge09iamVjdHxudWxsfSBPcmlnaW5hbCBwb3NpdGlvbiAoeyBmaWxlTmFtZSwgbGluZU51bWJlciwgY29sdW1uTnVtYmVyIH0pIG9yIG51bGxcbiAqL1xuZXhwb3J0IGNvbnN0IG9yaWdpbmFsUG9zaXRpb25Gb3IgPSAobWFwLCBsaW5lLCBjb2x1bW4pID0+IHtcbiAgY29uc3Qgc2VnbWVudHMgPSBtYXA/LmxpbmVzW2xpbmUgLSAxXTtcbiAgaWYgKCFzZWdtZW50cyB8fCBzZWdtZW50cy5sZW5ndGggPT09IDApIHJldHVybiBudWxsO1xuXG4gIGNvbnN0IGdlbmVyYXRlZENvbHVtbiA9IE1hdGgubWF4KDAsIChjb2x1bW4gfHwgMSkgLSAxKTtcbiAgbGV0IG1hdGNoID0gbnVsbDtcbiAgZm9yIChjb25zdCBzZWdtZW50IG9mIHNlZ21lbnRzKSB7XG4gICAgaWYgKHNlZ21lbnRbMF0gPiBnZW5lcmF0ZWRDb2x1bW4pIGJyZWFrO1xuICAgIG1hdGNoID0gc2VnbWVudDtcbiAgfVxuICBtYXRjaCA9IG1hdGNoIHx8IHNlZ21lbnRzWzBdO1xuXG4gIGNvbnN0IGZpbGVOYW1lID0gbWFwLnNvdXJjZXNbbWF0Y2hbMV1dO1xuICBpZiAoIWZpbGVOYW1lKSByZXR1cm4gbnVsbDtcblxuICByZXR1cm4geyBmaWxlTmFtZSwgbGluZU51bWJlcjogbWF0Y2hbMl0gKyAxLCBjb2x1bW5OdW1iZXI6IG1hdGNoWzNdICsgMSB9O1xufTtcblxuLyoqXG4gKiBEZWNvZGVzIGEgYmFzZTY0IGRhdGEgVVJMIHBheWxvYWQgYXMgVVRGLTggdGV4dFxuICogQHBhcmFtIHtzdHJpbmd9IGRhdGFVcmwgLSBkYXRhOiBVUkxcbiAqIEByZXR1cm5zIHtzdHJpbmd9IERlY29kZWQgdGV4dFxuICovXG5jb25zdCBkZWNvZGVEYXRhVXJsID0gKGRhdGFVcmwpID0+IHtcbiAgY29uc3QgW2hlYWRlciwgcGF5bG9hZCA9ICcnXSA9IGRhdGFVcmwuc3BsaXQoJywnKTtcbiAgaWYgKCFoZWFkZXIuaW5jbHVkZXMoJztiYXNlNjQnKSkge1xuICAgIHJldHVybiBkZWNvZGVVUklDb21wb25lbnQocGF5bG9hZCk7XG4gIH1cblxuICBjb25zdCBiaW5hcnkgPSBhdG9iKHBheWxvYWQpO1xuICBjb25zdCBieXRlcyA9IFVpbnQ4QXJyYXkuZnJvbShiaW5hcnksIChjaGFyKSA9PiBjaGFyLmNoYXJDb2RlQXQoMCkpO1xuICByZXR1cm4gbmV3IFRleHREZWNvZGVyKCkuZGVjb2RlKGJ5dGVzKTtcbn07XG5cbi8qKlxuICogTG9hZHMgYW5kIHBhcnNlcyB0aGUgc291cmNlIG1hcCBvZiBhIHNjcmlwdCBzZXJ2ZWQgYnkgdGhlIGRldiBzZXJ2ZXJcbiAqIFN1cHBvcnRzIGlubGluZSAoZGF0YTogVVJMKSBhbmQgZXh0ZXJuYWwgYHNvdXJjZU1hcHBpbmdVUkxgIHJlZmVyZW5jZXNcbiAqIEBwYXJhbSB7c3RyaW5nfSBzY3JpcHRVcmwgLSBTY3JpcHQgVVJMXG4gKiBAcmV0dXJucyB7UHJvbWlzZTxPYmplY3R8bnVsbD59IFBhcnNlZCBzb3VyY2UgbWFwIG9yIG51bGwgaWYgdW5hdmFpbGFibGVcbiAqL1xuZXhwb3J0IGNvbnN0IGxvYWRTb3VyY2VNYXAgPSBhc3luYyAoc2NyaXB0VXJsKSA9PiB7XG4gIHRyeSB7XG4gICAgY29uc3QgcmVzcG9uc2UgPSBhd2FpdCBmZXRjaChzY3JpcHRVcmwpO1xuICAgIGlmICghcmVzcG9uc2Uub2spIHJldHVybiBudWxsO1xuXG4gICAgY29uc3QgY29kZSA9IGF3YWl0IHJlc3BvbnNlLnRleHQoKTtcbiAgICBjb25zdCByZWZlcmVuY2VzID0gWy4uLmNvZGUubWF0Y2hBbGwoL1xcL1xcL1sjQF1cXHMqc291cmNlTWFwcGluZ1VSTD0oXFxTKykvZyldO1xuICAgIGlmIChyZWZlcmVuY2VzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIG51bGw7XG5cbiAgICBjb25zdCByZWZlcmVuY2UgPSByZWZlcmVuY2VzW3JlZmVyZW5jZXMubGVuZ3RoIC0gMV1bMV07XG5cbiAgICBpZiAocmVmZXJlbmNlLnN0YXJ0c1dpdGgoJ2RhdGE6JykpIHtcbiAgICAgIHJldHVybiBwYXJzZVNvdXJjZU1hcChKU09OLnBhcnNlKGRlY29kZURhdGFVcmwocmVmZXJlbmNlKSksIHNjcmlwdFVybCk7XG4gICAgfVxuXG4gICAgY29uc3QgbWFwVXJsID0gbmV3IFVSTChyZWZlcmVuY2UsIHNjcmlwdFVybCkuaHJlZjtcbiAgICBjb25zdCBtYXBSZXNwb25zZSA9IGF3YWl0IGZldGNoKG1hcFVybCk7XG4gICAgaWYgKCFtYXBSZXNwb25zZS5vaykgcmV0dXJuIG51bGw7XG5cbiAgICByZXR1cm4gcGFyc2VTb3VyY2VNYXAoYXdhaXQgbWFwUmVzcG9uc2UuanNvbigpLCBtYXBVcmwpO1xuICB9IGNhdGNoIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxufTtcbiIsIi8qKlxuICogU291cmNlIGxvY2F0aW9uIGhlbHBlcnMgc2hhcmVkIGJ5IHRoZSBVSSBhbmQgY2xpZW50IGJ1bmRsZXNcbiAqIEEgc291cmNlIGxvY2F0aW9uIGlzIHsgZmlsZU5hbWUsIGxpbmVOdW1iZXIsIGNvbHVtbk51bWJlciB9ICgxLWJhc2VkIGxpbmUgYW5kIGNvbHVtbilcbiAqL1xuaW1wb3J0IHsgbG9hZFNvdXJjZU1hcCwgb3JpZ2luYWxQb3NpdGlvbkZvciwgdXJsVG9GaWxlTmFtZSB9IGZyb20gJy4vc291cmNlLW1hcC5qcyc7XG5cbmNvbnN0IHNvdXJjZU1hcHMgPSBuZXcgTWFwKCk7IC8vIHNjcmlwdCBVUkwgLT4gcGFyc2VkIHNvdXJjZSBtYXAsIG9yIG51bGwgd2hlbiB1bmF2YWlsYWJsZVxuY29uc3QgcGVuZGluZ1NjcmlwdFVybHMgPSBuZXcgU2V0KCk7XG5jb25zdCBzdGFja1NvdXJjZUNhY2hlID0gbmV3IFdlYWtNYXAoKTsgLy8gX2RlYnVnU3RhY2sgRXJyb3IgLT4gcmVzb2x2ZWQgc291cmNlIGxvY2F0aW9uXG5cbi8vIEZyYW1lcyBjcmVhdGVkIGJ5IFJlYWN0IGl0c2VsZiAoSlNYIHJ1bnRpbWUsIHJlY29uY2lsZXIpIHJhdGhlciB0aGFuIGJ5IGEgY29tcG9uZW50J3MgcmVuZGVyXG5jb25zdCBSRUFDVF9JTlRFUk5BTF9GVU5DVElPTlMgPSBuZXcgU2V0KFsnanN4REVWJywgJ2pzeCcsICdqc3hzJywgJ2NyZWF0ZUVsZW1lbnQnXSk7XG5jb25zdCBSRUFDVF9JTlRFUk5BTF9GSUxFUyA9XG4gIC9ub2RlX21vZHVsZXNbL1xcXFxdKHJlYWN0fHJlYWN0LWRvbXxzY2hlZHVsZXIpWy9cXFxcXXxyZWFjdFstX11qc3hbLV9dZGV2Wy1fXXJ1bnRpbWV8cmVhY3RbLV9danN4Wy1fXXJ1bnRpbWV8cmVhY3QtZG9tWy1fXWNsaWVudHxyZWFjdC1kb21cXC5kZXZlbG9wbWVudC9pO1xuXG4vKipcbiAqIFBhcnNlcyBhbiBFcnJvciBzdGFjayBpbnRvIGZyYW1lc1xuICogU3VwcG9ydHMgVjggKGBhdCBmbiAodXJsOmxpbmU6Y29sKWApIGFuZCBGaXJlZm94L1NhZmFyaSAoYGZuQHVybDpsaW5lOmNvbGApIGZvcm1hdHNcbiAqIEBwYXJhbSB7c3RyaW5nfSBzdGFjayAtIEVycm9yIHN0YWNrIHN0cmluZ1xuICogQHJldHVybnMge0FycmF5PE9iamVjdD59IEZyYW1lcyAoeyBmdW5jdGlvbk5hbWUsIHVybCwgbGluZU51bWJlciwgY29sdW1uTnVtYmVyIH0pXG4gKi9cbmV4cG9ydCBjb25zdCBwYXJzZVN0YWNrRnJhbWVzID0gKHN0YWNrKSA9PiB7XG4gIGlmICghc3RhY2sgfHwgdHlwZW9mIHN0YWNrICE9PSAnc3RyaW5nJykgcmV0dXJuIFtdO1xuXG4gIGNvbnN0IGZyYW1lcyA9IFtdO1xuICBmb3IgKGNvbnN0IGxpbmUgb2Ygc3RhY2suc3BsaXQoJ1xcbicpKSB7XG4gICAgY29uc3QgbWF0Y2ggPVxuICAgICAgbGluZS5tYXRjaCgvXlxccyphdCAoPzooLio/KSBcXCgpPyguKz8pOihcXGQrKTooXFxkKylcXCk/XFxzKiQvKSB8fFxuICAgICAgbGluZS5tYXRjaCgvXlxccyooLio/KUAoLis/KTooXFxkKyk6KFxcZCspXFxzKiQvKTtcblxuICAgIGlmIChtYXRjaCkge1xuICAgICAgZnJhbWVzLnB1c2goe1xuICAgICAgICBmdW5jdGlvbk5hbWU6IChtYXRjaFsxXSB8fCAnJylcbiAgICAgICAgICAucmVwbGFjZSgvXihhc3luY3xuZXcpIC8sICcnKVxuICAgICAgICAgIC5zcGxpdCgnLicpXG4gICAgICAgICAgLnBvcCgpLFxuICAgICAgICB1cmw6IG1hdGNoWzJdLFxuICAgICAgICBsaW5lTnVtYmVyOiBwYXJzZUludChtYXRjaFszXSwgMTApLFxuICAgICAgICBjb2x1bW5OdW1iZXI6IHBhcnNlSW50KG1hdGNoWzRdLCAxMCksXG4gICAgICB9KTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gZnJhbWVzO1xufTtcblxuLyoqXG4gKiBNYXBzIGEgc3RhY2sgZnJhbWUgdG8gYW4gb3JpZ2luYWwgc291cmNlIGxvY2F0aW9uXG4gKiBVc2VzIHRoZSBzY3JpcHQncyBzb3VyY2UgbWFwIHdoZW4gaXQgaGFzIGJlZW4gbG9hZGVkLCBvdGhlcndpc2UgcXVldWVzIGl0IGZvciBsb2FkaW5nXG4gKiBhbmQgZmFsbHMgYmFjayB0byB0aGUgZ2VuZXJhdGVkIHBvc2l0aW9uXG4gKiBAcGFyYW0ge09iamVjdH0gZnJhbWUgLSBTdGFjayBmcmFtZVxuICogQHJldHVybnMge3tzb3VyY2U6IE9iamVjdCwgaXNNYXBwZWQ6IGJvb2xlYW59fSBTb3VyY2UgbG9jYXRpb24gYW5kIHdoZXRoZXIgaXQgaXMgZmluYWxcbiAqL1xuY29uc3QgbWFwU3RhY2tGcmFtZSA9IChmcmFtZSkgPT4ge1xuICBjb25zdCBzY3JpcHRVcmwgPSBmcmFtZS51cmw7XG4gIGNvbnN0IGlzRmV0Y2hhYmxlID0gL15odHRwcz86XFwvXFwvL2kudGVzdChzY3JpcHRVcmwpO1xuXG4gIGlmIChpc0ZldGNoYWJsZSAmJiBzb3VyY2VNYXBzLmhhcyhzY3JpcHRVcmwpKSB7XG4gICAgY29uc3QgbWFwID0gc291cmNlTWFwcy5nZXQoc2NyaXB0VXJsKTtcbiAgICBjb25zdCBvcmlnaW5hbCA9IG1hcCAmJiBvcmlnaW5hbFBvc2l0aW9uRm9yKG1hcCwgZnJhbWUubGluZU51bWJlciwgZnJhbWUuY29sdW1uTnVtYmVyKTtcbiAgICBpZiAob3JpZ2luYWwpIHtcbiAgICAgIHJldHVybiB7IHNvdXJjZTogb3JpZ2luYWwsIGlzTWFwcGVkOiB0cnVlIH07XG4gICAgfVxuICB9IGVsc2UgaWYgKGlzRmV0Y2hhYmxlKSB7XG4gICAgcGVuZGluZ1NjcmlwdFVybHMuYWRkKHNjcmlwdFVybCk7XG4gIH1cblxuICByZXR1cm4ge1xuICAgIHNvdXJjZToge1xuICAgICAgZmlsZU5hbWU6IHVybFRvRmlsZU5hbWUoZnJhbWUudXJsKSxcbiAgICAgIGxpbmVOdW1iZXI6IGZyYW1lLmxpbmVOdW1iZXIsXG4gICAgICBjb2x1bW5OdW1iZXI6IGZyYW1lLmNvbHVtbk51bWJlcixcbiAgICB9LFxuICAgIGlzTWFwcGVkOiAhaXNGZXRjaGFibGUgfHwgc291cmNlTWFwcy5oYXMoc2NyaXB0VXJsKSxcbiAgfTtcbn07XG5cbi8qKlxuICogUmVzb2x2ZXMgdGhlIHNvdXJjZSBsb2NhdGlvbiBmcm9tIGEgUmVhY3QgMTkgYF9kZWJ1Z1N0YWNrYFxuICogVGhlIGZpcnN0IGZyYW1lIG91dHNpZGUgUmVhY3QgaW50ZXJuYWxzIGlzIHRoZSByZW5kZXIgdGhhdCBjcmVhdGVkIHRoZSBlbGVtZW50LFxuICogd2hpY2ggaXMgd2hhdCBgX2RlYnVnU291cmNlYCB1c2VkIHRvIGRlc2NyaWJlXG4gKiBAcGFyYW0ge0Vycm9yfHN0cmluZ30gZGVidWdTdGFjayAtIEZpYmVyIGBfZGVidWdTdGFja2BcbiAqIEByZXR1cm5zIHtPYmplY3R8bnVsbH0gU291cmNlIGxvY2F0aW9uIG9yIG51bGxcbiAqL1xuY29uc3QgZ2V0U3RhY2tTb3VyY2UgPSAoZGVidWdTdGFjaykgPT4ge1xuICBjb25zdCBpc0Vycm9yT2JqZWN0ID0gdHlwZW9mIGRlYnVnU3RhY2sgPT09ICdvYmplY3QnICYmIGRlYnVnU3RhY2sgIT09IG51bGw7XG4gIGlmIChpc0Vycm9yT2JqZWN0ICYmIHN0YWNrU291cmNlQ2FjaGUuaGFzKGRlYnVnU3RhY2spKSB7XG4gICAgcmV0dXJuIHN0YWNrU291cmNlQ2FjaGUuZ2V0KGRlYnVnU3RhY2spO1xuICB9XG5cbiAgY29uc3QgZnJhbWVzID0gcGFyc2VTdGFja0ZyYW1lcyhpc0Vycm9yT2JqZWN0ID8gZGVidWdTdGFjay5zdGFjayA6IGRlYnVnU3RhY2spO1xuICBsZXQgcmVzdWx0ID0gbnVsbDtcbiAgbGV0IGlzRmluYWwgPSB0cnVlO1xuXG4gIGZvciAoY29uc3QgZnJhbWUgb2YgZnJhbWVzKSB7XG4gICAgaWYgKFJFQUNUX0lOVEVSTkFMX0ZVTkNUSU9OUy5oYXMoZnJhbWUuZnVuY3Rpb25OYW1lKSkgY29udGludWU7XG5cbiAgICBjb25zdCB7IHNvdXJjZSwgaXNNYXBwZWQgfSA9IG1hcFN0YWNrRnJhbWUoZnJhbWUpO1xuICAgIGlzRmluYWwgPSBpc0ZpbmFsICYmIGlzTWFwcGVkO1xuXG4gICAgaWYgKHNvdXJjZS5maWxlTmFtZSAmJiAhUkVBQ1RfSU5URVJOQUxfRklMRVMudGVzdChzb3VyY2UuZmlsZU5hbWUpKSB7XG4gICAgICByZXN1bHQgPSBzb3VyY2U7XG4gICAgICBicmVhaztcbiAgICB9XG4gIH1cblxuICBpZiAoaXNFcnJvck9iamVjdCAmJiBpc0ZpbmFsKSB7XG4gICAgc3RhY2tTb3VyY2VDYWNoZS5zZXQoZGVidWdTdGFjaywgcmVzdWx0KTtcbiAgfVxuXG4gIHJldHVybiByZXN1bHQ7XG59O1xuXG4vKipcbiAqIEdldHMgdGhlIHNvdXJjZSBsb2NhdGlvbiBSZWFjdCByZWNvcmRlZCBmb3IgYSBmaWJlclxuICogVXNlcyBgX2RlYnVnU291cmNlYCAoUmVhY3QgPD0gMTgpIGFuZCBmYWxscyBiYWNrIHRvIGBfZGVidWdTdGFja2AgKFJlYWN0IDE5KylcbiAqIEBwYXJhbSB7T2JqZWN0fSBmaWJlciAtIFJlYWN0IGZpYmVyIG5vZGVcbiAqIEByZXR1cm5zIHtPYmplY3R8bnVsbH0gU291cmNlIGxvY2F0aW9uIG9yIG51bGwgaWYgbm90IGF2YWlsYWJsZVxuICovXG5leHBvcnQgY29uc3QgZ2V0RmliZXJTb3VyY2UgPSAoZmliZXIpID0+IHtcbiAgY29uc3Qgc291cmNlID0gZmliZXI/Ll9kZWJ1Z1NvdXJjZTtcbiAgaWYgKHNvdXJjZSAmJiBzb3VyY2UuZmlsZU5hbWUpIHtcbiAgICByZXR1cm4ge1xuICAgICAgZmlsZU5hbWU6IHNvdXJjZS5maWxlTmFtZSxcbiAgICAgIGxpbmVOdW1iZXI6IHNvdXJjZS5saW5lTnVtYmVyIHx8IG51bGwsXG4gICAgICBjb2x1bW5OdW1iZXI6IHNvdXJjZS5jb2x1bW5OdW1iZXIgfHwgbnVsbCxcbiAgICB9O1xuICB9XG5cbiAgaWYgKGZpYmVyPy5fZGVidWdTdGFjaykge1xuICAgIHRyeSB7XG4gICAgICByZXR1cm4gZ2V0U3RhY2tTb3VyY2UoZmliZXIuX2RlYnVnU3RhY2spO1xuICAgIH0gY2F0Y2gge1xuICAgICAgcmV0dXJuIG51bGw7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIG51bGw7XG59O1xuXG4vKipcbiAqIExvYWRzIHNvdXJjZSBtYXBzIGZvciBzY3JpcHRzIHNlZW4gaW4gc3RhY2sgZnJhbWVzIHNpbmNlIHRoZSBsYXN0IGNhbGxcbiAqIEFmdGVyIGl0IHJlc29sdmVzLCBnZXRGaWJlclNvdXJjZSByZXR1cm5zIG9yaWdpbmFsIGZpbGUgcG9zaXRpb25zIGZvciB0aG9zZSBzY3JpcHRzXG4gKiBAcmV0dXJucyB7UHJvbWlzZTxib29sZWFuPn0gVHJ1ZSBpZiBhbnkgbmV3IHNvdXJjZSBtYXAgd2FzIGxvYWRlZFxuICovXG5leHBvcnQgY29uc3QgbG9hZFBlbmRpbmdTb3VyY2VNYXBzID0gYXN5bmMgKCkgPT4ge1xuICBjb25zdCBzY3JpcHRVcmxzID0gWy4uLnBlbmRpbmdTY3JpcHRVcmxzXS5maWx0ZXIoKHVybCkgPT4gIXNvdXJjZU1hcHMuaGFzKHVybCkpO1xuICBwZW5kaW5nU2NyaXB0VXJscy5jbGVhcigpO1xuXG4gIGlmIChzY3JpcHRVcmxzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIGZhbHNlO1xuXG4gIGNvbnN0IG1hcHMgPSBhd2FpdCBQcm9taXNlLmFsbChzY3JpcHRVcmxzLm1hcCgodXJsKSA9PiBsb2FkU291cmNlTWFwKHVybCkpKTtcbiAgc2NyaXB0VXJscy5mb3JFYWNoKCh1cmwsIGluZGV4KSA9PiBzb3VyY2VNYXBzLnNldCh1cmwsIG1hcHNbaW5kZXhdKSk7XG5cbiAgcmV0dXJuIG1hcHMuc29tZShCb29sZWFuKTtcbn07XG5cbi8qKlxuICogU2VyaWFsaXplcyBhIHNvdXJjZSBsb2NhdGlvbiB0byB0aGUgYGZpbGU6bGluZTpjb2x1bW5gIGZvcm1hdCB1c2VkIGluIERPTSBhdHRyaWJ1dGVzXG4gKiBAcGFyYW0ge09iamVjdH0gc291cmNlIC0gU291cmNlIGxvY2F0aW9uXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBTZXJpYWxpemVkIGxvY2F0aW9uIG9yIGVtcHR5IHN0cmluZ1xuICovXG5leHBvcnQgY29uc3QgZm9ybWF0U291cmNlTG9jYXRpb24gPSAoc291cmNlKSA9PiB7XG4gIGlmICghc291cmNlIHx8ICFzb3VyY2UuZmlsZU5hbWUpIHJldHVybiAnJztcbiAgcmV0dXJuIGAke3NvdXJjZS5maWxlTmFtZX06JHtzb3VyY2UubGluZU51bWJlciB8fCAnJ306JHtzb3VyY2UuY29sdW1uTnVtYmVyIHx8ICcnfWA7XG59O1xuXG4vKipcbiAqIFBhcnNlcyBhIGBmaWxlOmxpbmU6Y29sdW1uYCBzdHJpbmcgYmFjayB0byBhIHNvdXJjZSBsb2NhdGlvblxuICogTGluZSBhbmQgY29sdW1uIGFyZSBtYXRjaGVkIGZyb20gdGhlIGVuZCBzbyBXaW5kb3dzIGRyaXZlIGxldHRlcnMgYXJlIGtlcHQgaW4gdGhlIGZpbGUgbmFtZVxuICogQHBhcmFtIHtzdHJpbmd9IHZhbHVlIC0gU2VyaWFsaXplZCBsb2NhdGlvblxuICogQHJldHVybnMge09iamVjdHxudWxsfSBTb3VyY2UgbG9jYXRpb24gb3IgbnVsbFxuICovXG5leHBvcnQgY29uc3QgcGFyc2VTb3VyY2VMb2NhdGlvbiA9ICh2YWx1ZSkgPT4ge1xuICBpZiAoIXZhbHVlKSByZXR1cm4gbnVsbDtcblxuICBjb25zdCBtYXRjaCA9IFN0cmluZyh2YWx1ZSkubWF0Y2goL14oLis/KTooXFxkKik6KFxcZCopJC8pO1xuICBpZiAoIW1hdGNoKSB7XG4gICAgcmV0dXJuIHsgZmlsZU5hbWU6IFN0cmluZyh2YWx1ZSksIGxpbmVOdW1iZXI6IG51bGwsIGNvbHVtbk51bWJlcjogbnVsbCB9O1xuICB9XG5cbiAgcmV0dXJuIHtcbiAgICBmaWxlTmFtZTogbWF0Y2hbMV0sXG4gICAgbGluZU51bWJlcjogbWF0Y2hbMl0gPyBwYXJzZUludChtYXRjaFsyXSwgMTApIDogbnVsbCxcbiAgICBjb2x1bW5OdW1iZXI6IG1hdGNoWzNdID8gcGFyc2VJbnQobWF0Y2hbM10sIDEwKSA6IG51bGwsXG4gIH07XG59O1xuIiwiLyoqXG4gKiBFZGl0b3IgVVJMIGhlbHBlcnMgc2hhcmVkIGJ5IHRoZSBVSSBhbmQgY2xpZW50IGJ1bmRsZXNcbiAqIEluc3RlYWQgb2YgdGhlIHNlcnZlciBsYXVuY2hpbmcgYW4gZWRpdG9yIHByb2Nlc3MgKHdoaWNoIGZhaWxzIHdoZW4gdGhlIHNlcnZlciBydW5zIGluIGFcbiAqIGNvbnRhaW5lciBvciBvdmVyIFNTSCksIHRoZSBicm93c2VyIGNhbiBvcGVuIHRoZSByZXNvbHZlZCBmaWxlIHRocm91Z2ggYW4gZWRpdG9yIFVSTCBzY2hlbWVcbiAqL1xuaW1wb3J0IHsgRURJVE9SX1VSTF9TQ0hFTUVTIH0gZnJvbSAnLi9jb25zdGFudHMuanMnO1xuXG5jb25zdCBFRElUT1JfUFJFRkVSRU5DRV9LRVkgPSAneHJheS1yZWFjdDplZGl0b3InO1xuXG4vLyBQcmVmZXJlbmNlIHZhbHVlIGZvciBsYXVuY2hpbmcgdGhlIGVkaXRvciBvbiB0aGUgc2VydmVyIGV2ZW4gaWYgdGhlIHByb2plY3Qgc2V0cyBhIFVSTCBzY2hlbWVcbmV4cG9ydCBjb25zdCBFRElUT1JfUFJFRkVSRU5DRV9TRVJWRVIgPSAnc2VydmVyJztcblxuLyoqXG4gKiBHZXRzIHRoZSBlZGl0b3IgdGhlIHVzZXIgcGlja2VkIGluIHRoZSBhY3Rpb24gYmFyXG4gKiBAcmV0dXJucyB7c3RyaW5nfSAnJyAocHJvamVjdCBkZWZhdWx0KSwgJ3NlcnZlcicgb3IgYW4gZWRpdG9yIFVSTCBzY2hlbWVcbiAqL1xuZXhwb3J0IGNvbnN0IGdldEVkaXRvclByZWZlcmVuY2UgPSAoKSA9PiB7XG4gIHRyeSB7XG4gICAgcmV0dXJuIHdpbmRvdy5sb2NhbFN0b3JhZ2UuZ2V0SXRlbShFRElUT1JfUFJFRkVSRU5DRV9LRVkpIHx8ICcnO1xuICB9IGNhdGNoIHtcbiAgICByZXR1cm4gJyc7IC8vIFN0b3JhZ2UgZGlzYWJsZWQgKGUuZy4sIHByaXZhY3kgc2V0dGluZ3MpXG4gIH1cbn07XG5cbi8qKlxuICogU3RvcmVzIHRoZSBlZGl0b3IgdGhlIHVzZXIgcGlja2VkIGluIHRoZSBhY3Rpb24gYmFyXG4gKiBAcGFyYW0ge3N0cmluZ30gcHJlZmVyZW5jZSAtICcnIChwcm9qZWN0IGRlZmF1bHQpLCAnc2VydmVyJyBvciBhbiBlZGl0b3IgVVJMIHNjaGVtZVxuICovXG5leHBvcnQgY29uc3Qgc2V0RWRpdG9yUHJlZmVyZW5jZSA9IChwcmVmZXJlbmNlKSA9PiB7XG4gIHRyeSB7XG4gICAgaWYgKHByZWZlcmVuY2UpIHtcbiAgICAgIHdpbmRvdy5sb2NhbFN0b3JhZ2Uuc2V0SXRlbShFRElUT1JfUFJFRkVSRU5DRV9LRVksIHByZWZlcmVuY2UpO1xuICAgIH0gZWxzZSB7XG4gICAgICB3aW5kb3cubG9jYWxTdG9yYWdlLnJlbW92ZUl0ZW0oRURJVE9SX1BSRUZFUkVOQ0VfS0VZKTtcbiAgICB9XG4gIH0gY2F0Y2gge1xuICAgIC8vIFN0b3JhZ2UgZGlzYWJsZWQsIHRoZSBjaG9pY2Ugb25seSBsYXN0cyBmb3IgdGhpcyBwYWdlXG4gIH1cbn07XG5cbi8qKlxuICogR2V0cyB0aGUgVVJMIHNjaGVtZSB0byBvcGVuIGZpbGVzIHdpdGg6IHRoZSB1c2VyJ3MgY2hvaWNlLCB0aGVuIHRoZSBwcm9qZWN0J3MgZWRpdG9yVXJsXG4gKiBAcmV0dXJucyB7c3RyaW5nfG51bGx9IEVkaXRvciBVUkwgc2NoZW1lLCBvciBudWxsIHRvIGxldCB0aGUgc2VydmVyIGxhdW5jaCB0aGUgZWRpdG9yXG4gKi9cbmV4cG9ydCBjb25zdCBnZXRFZGl0b3JVcmxTY2hlbWUgPSAoKSA9PiB7XG4gIGNvbnN0IHByZWZlcmVuY2UgPSBnZXRFZGl0b3JQcmVmZXJlbmNlKCk7XG4gIGlmIChwcmVmZXJlbmNlID09PSBFRElUT1JfUFJFRkVSRU5DRV9TRVJWRVIpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuICBpZiAoRURJVE9SX1VSTF9TQ0hFTUVTLmluY2x1ZGVzKHByZWZlcmVuY2UpKSB7XG4gICAgcmV0dXJuIHByZWZlcmVuY2U7XG4gIH1cblxuICBjb25zdCBwcm9qZWN0U2NoZW1lID0gdHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgPyB3aW5kb3cuX19YUkFZX1JFQUNUX0VESVRPUl9VUkxfXyA6IG51bGw7XG4gIHJldHVybiBFRElUT1JfVVJMX1NDSEVNRVMuaW5jbHVkZXMocHJvamVjdFNjaGVtZSkgPyBwcm9qZWN0U2NoZW1lIDogbnVsbDtcbn07XG5cbi8qKlxuICogQ29udmVydHMgYSBmaWxlIHBhdGggdG8gYSBVUkwgcGF0aDogZm9yd2FyZCBzbGFzaGVzIGFuZCBhIGxlYWRpbmcgc2xhc2ggKEM6XFxhcHAgLT4gL0M6L2FwcClcbiAqIEBwYXJhbSB7c3RyaW5nfSBmaWxlUGF0aCAtIEZpbGUgcGF0aFxuICogQHJldHVybnMge3N0cmluZ30gVVJMIHBhdGhcbiAqL1xuY29uc3QgdG9VcmxQYXRoID0gKGZpbGVQYXRoKSA9PiBmaWxlUGF0aC5yZXBsYWNlKC9cXFxcL2csICcvJykucmVwbGFjZSgvXig/IVxcLykvLCAnLycpO1xuXG4vKipcbiAqIEJ1aWxkcyB0aGUgZWRpdG9yIFVSTCBmb3IgYSBmaWxlIGxvY2F0aW9uXG4gKiBAcGFyYW0ge3N0cmluZ30gc2NoZW1lIC0gRWRpdG9yIFVSTCBzY2hlbWUgKCd2c2NvZGUnLCAnY3Vyc29yJywgJ2lkZWEnLCAnamV0YnJhaW5zJywgJ3N1YmwnKVxuICogQHBhcmFtIHtPYmplY3R9IGxvY2F0aW9uIC0gRmlsZSBsb2NhdGlvbiAoeyBwYXRoLCBsaW5lLCBjb2x1bW4gfSwgMS1iYXNlZCBsaW5lIGFuZCBjb2x1bW4pXG4gKiBAcGFyYW0ge09iamVjdH0gb3B0aW9ucyAtIFVSTCBvcHRpb25zXG4gKiBAcGFyYW0ge3N0cmluZ30gb3B0aW9ucy5yZW1vdGUgLSBWUyBDb2RlL0N1cnNvciByZW1vdGUgYXV0aG9yaXR5IChlLmcuLCAnZGV2LWNvbnRhaW5lcis8aWQ+JylcbiAqIEBwYXJhbSB7c3RyaW5nfSBvcHRpb25zLnByb2plY3RSb290IC0gUHJvamVjdCByb290IChKZXRCcmFpbnMgVG9vbGJveCBvcGVucyBwcm9qZWN0LXJlbGF0aXZlIHBhdGhzKVxuICogQHJldHVybnMge3N0cmluZ3xudWxsfSBFZGl0b3IgVVJMIG9yIG51bGwgZm9yIHVua25vd24gc2NoZW1lc1xuICovXG5leHBvcnQgY29uc3QgYnVpbGRFZGl0b3JVcmwgPSAoc2NoZW1lLCBsb2NhdGlvbiwgb3B0aW9ucyA9IHt9KSA9PiB7XG4gIGNvbnN0IGZpbGVQYXRoID0gdG9VcmxQYXRoKGxvY2F0aW9uLnBhdGgpO1xuICBjb25zdCBsaW5lID0gbG9jYXRpb24ubGluZSB8fCAxO1xuICBjb25zdCBjb2x1bW4gPSBsb2NhdGlvbi5jb2x1bW4gfHwgMTtcblxuICBzd2l0Y2ggKHNjaGVtZSkge1xuICAgIGNhc2UgJ3ZzY29kZSc6XG4gICAgY2FzZSAnY3Vyc29yJzoge1xuICAgICAgY29uc3QgdGFyZ2V0ID0gb3B0aW9ucy5yZW1vdGVcbiAgICAgICAgPyBgdnNjb2RlLXJlbW90ZS8ke29wdGlvbnMucmVtb3RlfSR7ZmlsZVBhdGh9YFxuICAgICAgICA6IGBmaWxlJHtmaWxlUGF0aH1gO1xuICAgICAgcmV0dXJuIGAke3NjaGVtZX06Ly8ke2VuY29kZVVSSSh0YXJnZXQpfToke2xpbmV9OiR7Y29sdW1ufWA7XG4gICAgfVxuICAgIGNhc2UgJ2lkZWEnOlxuICAgICAgcmV0dXJuIGBpZGVhOi8vb3Blbj9maWxlPSR7ZW5jb2RlVVJJQ29tcG9uZW50KGxvY2F0aW9uLnBhdGgpfSZsaW5lPSR7bGluZX0mY29sdW1uPSR7Y29sdW1ufWA7XG4gICAgY2FzZSAnamV0YnJhaW5zJzoge1xuICAgICAgY29uc3Qgcm9vdCA9IHRvVXJsUGF0aChvcHRpb25zLnByb2plY3RSb290IHx8ICcnKS5yZXBsYWNlKC9cXC8rJC8sICcnKTtcbiAgICAgIGNvbnN0IHByb2plY3QgPSByb290LnNwbGl0KCcvJykucG9wKCk7XG4gICAgICBjb25zdCByZWxhdGl2ZVBhdGggPVxuICAgICAgICByb290ICYmIGZpbGVQYXRoLnN0YXJ0c1dpdGgoYCR7cm9vdH0vYCkgPyBmaWxlUGF0aC5zbGljZShyb290Lmxlbmd0aCArIDEpIDogZmlsZVBhdGg7XG4gICAgICAvLyBUb29sYm94IG5hdmlnYXRlcyB0byAwLWJhc2VkIHBvc2l0aW9uc1xuICAgICAgcmV0dXJuIGBqZXRicmFpbnM6Ly9pZGVhL25hdmlnYXRlL3JlZmVyZW5jZT9wcm9qZWN0PSR7ZW5jb2RlVVJJQ29tcG9uZW50KHByb2plY3QpfSZwYXRoPSR7ZW5jb2RlVVJJQ29tcG9uZW50KGAke3JlbGF0aXZlUGF0aH06JHtsaW5lIC0gMX06JHtjb2x1bW4gLSAxfWApfWA7XG4gICAgfVxuICAgIGNhc2UgJ3N1YmwnOlxuICAgICAgcmV0dXJuIGBzdWJsOi8vb3Blbj91cmw9JHtlbmNvZGVVUklDb21wb25lbnQoYGZpbGU6Ly8ke2ZpbGVQYXRofWApfSZsaW5lPSR7bGluZX0mY29sdW1uPSR7Y29sdW1ufWA7XG4gICAgZGVmYXVsdDpcbiAgICAgIHJldHVybiBudWxsO1xuICB9XG59O1xuXG4vKipcbiAqIE9wZW5zIGFuIGVkaXRvciBVUkw7IHRoZSBicm93c2VyIGhhbmRzIGN1c3RvbSBzY2hlbWVzIHRvIHRoZSBPUyB3aXRob3V0IGxlYXZpbmcgdGhlIHBhZ2VcbiAqIEBwYXJhbSB7c3RyaW5nfSB1cmwgLSBFZGl0b3IgVVJMXG4gKi9cbmV4cG9ydCBjb25zdCBvcGVuRWRpdG9yVXJsID0gKHVybCkgPT4ge1xuICB3aW5kb3cubG9jYXRpb24uaHJlZiA9IHVybDtcbn07XG4iLCJpbXBvcnQgKiBhcyBjb25zdGFudHMgZnJvbSAnLi9jb25zdGFudHMuanMnO1xuaW1wb3J0IHsgYWN0aW9uQmFyIH0gZnJvbSAnLi9wYXJ0aWFscy5qcyc7XG5pbXBvcnQgY3NzIGZyb20gJy4vY3NzLmpzJztcbmltcG9ydCB7XG4gIGdldEZpYmVyU291cmNlLFxuICBmb3JtYXRTb3VyY2VMb2NhdGlvbixcbiAgcGFyc2VTb3VyY2VMb2NhdGlvbixcbiAgbG9hZFBlbmRpbmdTb3VyY2VNYXBzLFxufSBmcm9tICcuL3NvdXJjZS1sb2NhdGlvbi5qcyc7XG5pbXBvcnQge1xuICBnZXRFZGl0b3JQcmVmZXJlbmNlLFxuICBzZXRFZGl0b3JQcmVmZXJlbmNlLFxuICBFRElUT1JfUFJFRkVSRU5DRV9TRVJWRVIsXG59IGZyb20gJy4vZWRpdG9yLXVybC5qcyc7XG5pbXBvcnQge1xuICBVSV9NT0RFX0ZVTEwsXG4gIFVJX01PREVfU0lNUExFLFxuICBBVkFJTEFCTEVfVUlfTU9ERVMsXG4gIEVESVRPUl9VUkxfTEFCRUxTLFxufSBmcm9tICcuL2NvbnN0YW50cy5qcyc7XG5cbmNvbnN0IE1BWF9GSUJFUl9ERVBUSCA9IDUwOyAvLyBQcmV2ZW50IGluZmluaXRlIGxvb3BzXG5cbmxldCBwcm9qZWN0Um9vdCA9IG51bGw7XG5sZXQgd29ya3NwYWNlUGFja2FnZXMgPSBbXTsgLy8gW3sgbmFtZSwgcGF0aCB9XSB3aXRoIG5vcm1hbGl6ZWQgcGF0aHMgYW5kIGxvd2VyY2FzZSBuYW1lc1xubGV0IHVzYWdlTWFwID0ge307XG5sZXQgaW1wb3J0TWFwID0ge307IC8vIGZpbGVQYXRoIC0+IHsgaW1wb3J0ZWROYW1lIC0+IHJlc29sdmVkIGZpbGUgb3IgbnVsbCB9XG5sZXQgcHJvamVjdEZpbGVQYXRocyA9IG5ldyBTZXQoKTtcbmxldCBub3JtYWxpemVkUHJvamVjdEZpbGVQYXRocyA9IG5ldyBTZXQoKTsgLy8gUHJlLW5vcm1hbGl6ZWQgcGF0aHMgZm9yIE8oMSkgbG9va3VwXG5sZXQgY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleCA9IG5ldyBNYXAoKTsgLy8gY29tcG9uZW50TmFtZSAtPiBTZXQ8ZmlsZVBhdGg+IGZvciBPKDEpIGxvb2t1cFxuY29uc3Qgbm9ybWFsaXplUGF0aENhY2hlID0gbmV3IE1hcCgpOyAvLyBNZW1vaXphdGlvbiBjYWNoZSBmb3Igbm9ybWFsaXplUGF0aFxubGV0IGN1cnJlbnRNb2RlID0gVUlfTU9ERV9GVUxMO1xuY29uc3Qgc3RhbXBlZEluc3RhbmNlSWRzID0gbmV3IFdlYWtNYXAoKTsgLy8gcm9vdCBlbGVtZW50IG9mIGEgc3RhbXBlZCBjb21wb25lbnQgLT4gb3ZlcmxheSB1aWRcbmNvbnN0IHNlcnZlckNvbXBvbmVudElkcyA9IG5ldyBXZWFrTWFwKCk7IC8vIHNlcnZlciBjb21wb25lbnQgaW5mbyAtPiBvdmVybGF5IHVpZFxubGV0IG5leHRTdGFtcGVkSW5zdGFuY2VJZCA9IDA7XG5sZXQgbmV4dFNlcnZlckNvbXBvbmVudElkID0gMDtcblxuLy8gS2VlcCBpbiBzeW5jIHdpdGggSUdOT1JFRF9ESVJTIGluIGxpYi9jb25zdGFudHMuanMsIHdoaWNoIHRoZSBzZXJ2ZXIgc2tpcHMgd2hlbiBzY2FubmluZ1xuY29uc3QgRVhURVJOQUxfUEFUVEVSTlMgPSBbXG4gIC9ub2RlX21vZHVsZXMvaSxcbiAgL1xcLm5leHRbL1xcXFxdL2ksXG4gIC9kaXN0Wy9cXFxcXS9pLFxuICAvYnVpbGRbL1xcXFxdL2ksXG4gIC9cXC5naXRbL1xcXFxdL2ksXG4gIC9cXC5jYWNoZVsvXFxcXF0vaSxcbiAgL2NvdmVyYWdlWy9cXFxcXS9pLFxuXTtcblxuLyoqXG4gKiBOb3JtYWxpemVzIGEgZmlsZSBwYXRoIGZvciBjb21wYXJpc29uXG4gKiBIYW5kbGVzIGJvdGggVW5peCBhbmQgV2luZG93cyBwYXRocywgcmVsYXRpdmUgYW5kIGFic29sdXRlXG4gKiBVc2VzIG1lbW9pemF0aW9uIGNhY2hlIGZvciByZXBlYXRlZCBjYWxscyB3aXRoIHNhbWUgcGF0aFxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gRmlsZSBwYXRoIHRvIG5vcm1hbGl6ZVxuICogQHJldHVybnMge3N0cmluZ30gTm9ybWFsaXplZCBwYXRoXG4gKi9cbmNvbnN0IG5vcm1hbGl6ZVBhdGggPSAoZmlsZVBhdGgpID0+IHtcbiAgaWYgKCFmaWxlUGF0aCkgcmV0dXJuICcnO1xuXG4gIGNvbnN0IGNhY2hlZCA9IG5vcm1hbGl6ZVBhdGhDYWNoZS5nZXQoZmlsZVBhdGgpO1xuICBpZiAoY2FjaGVkICE9PSB1bmRlZmluZWQpIHJldHVybiBjYWNoZWQ7XG5cbiAgbGV0IG5vcm1hbGl6ZWQgPSBTdHJpbmcoZmlsZVBhdGgpLnJlcGxhY2UoL1xcXFwvZywgJy8nKTtcbiAgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZWQucmVwbGFjZSgvXlxcLyt8XFwvKyQvZywgJycpO1xuICBub3JtYWxpemVkID0gbm9ybWFsaXplZC50b0xvd2VyQ2FzZSgpO1xuXG4gIG5vcm1hbGl6ZVBhdGhDYWNoZS5zZXQoZmlsZVBhdGgsIG5vcm1hbGl6ZWQpO1xuICByZXR1cm4gbm9ybWFsaXplZDtcbn07XG5cbi8qKlxuICogQ2hlY2tzIGlmIGEgZmlsZSBwYXRoIGlzIGV4dGVybmFsIChub2RlX21vZHVsZXMsIGJ1aWxkIGFydGlmYWN0cywgZXRjLilcbiAqIEBwYXJhbSB7c3RyaW5nfSBmaWxlUGF0aCAtIEZpbGUgcGF0aCB0byBjaGVja1xuICogQHJldHVybnMge2Jvb2xlYW59IFRydWUgaWYgcGF0aCBpcyBleHRlcm5hbFxuICovXG5jb25zdCBpc0V4dGVybmFsUGF0aCA9IChmaWxlUGF0aCkgPT4ge1xuICBpZiAoIWZpbGVQYXRoKSByZXR1cm4gZmFsc2U7XG5cbiAgY29uc3Qgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZVBhdGgoZmlsZVBhdGgpO1xuXG4gIHJldHVybiBFWFRFUk5BTF9QQVRURVJOUy5zb21lKChwYXR0ZXJuKSA9PiBwYXR0ZXJuLnRlc3Qobm9ybWFsaXplZCkpO1xufTtcblxuLyoqXG4gKiBDaGVja3MgaWYgYSBmaWxlIHBhdGggYmVsb25ncyB0byBhIHdvcmtzcGFjZSBwYWNrYWdlIHRoZSBwcm9qZWN0IGRlcGVuZHMgb25cbiAqIE1hdGNoZXMgdGhlIHBhY2thZ2UgZGlyZWN0b3J5IGFuZCBub2RlX21vZHVsZXMgc3ltbGlua3MgdG8gaXQgKG5vZGVfbW9kdWxlcy88bmFtZT4vLi4uKVxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gRmlsZSBwYXRoIHRvIGNoZWNrXG4gKiBAcmV0dXJucyB7Ym9vbGVhbn0gVHJ1ZSBmb3Igd29ya3NwYWNlIHBhY2thZ2UgZmlsZXNcbiAqL1xuY29uc3QgaXNXb3Jrc3BhY2VQYXRoID0gKGZpbGVQYXRoKSA9PiB7XG4gIGlmICghZmlsZVBhdGggfHwgd29ya3NwYWNlUGFja2FnZXMubGVuZ3RoID09PSAwKSByZXR1cm4gZmFsc2U7XG5cbiAgY29uc3Qgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZVBhdGgoZmlsZVBhdGgpO1xuICBjb25zdCBsaW5rSW5kZXggPSBub3JtYWxpemVkLmxhc3RJbmRleE9mKCdub2RlX21vZHVsZXMvJyk7XG4gIHJldHVybiB3b3Jrc3BhY2VQYWNrYWdlcy5zb21lKCh7IG5hbWUsIHBhdGggfSkgPT4ge1xuICAgIGlmIChub3JtYWxpemVkLnN0YXJ0c1dpdGgoYCR7cGF0aH0vYCkpIHtcbiAgICAgIC8vIERlcGVuZGVuY2llcyBpbnN0YWxsZWQgaW5zaWRlIHRoZSBwYWNrYWdlIGFyZSBub3QgcGFydCBvZiBpdFxuICAgICAgcmV0dXJuICFub3JtYWxpemVkLnNsaWNlKHBhdGgubGVuZ3RoKS5pbmNsdWRlcygnL25vZGVfbW9kdWxlcy8nKTtcbiAgICB9XG4gICAgcmV0dXJuIChcbiAgICAgIGxpbmtJbmRleCAhPT0gLTEgJiYgbm9ybWFsaXplZC5zdGFydHNXaXRoKGAke25hbWV9L2AsIGxpbmtJbmRleCArICdub2RlX21vZHVsZXMvJy5sZW5ndGgpXG4gICAgKTtcbiAgfSk7XG59O1xuXG4vKipcbiAqIERldGVjdHMgcHJvamVjdCByb290IGZyb20gYSBmaWxlIHBhdGggYnkgZmluZGluZyBjb21tb24gYmFzZSBwYXRoXG4gKiBAcGFyYW0ge0FycmF5PHN0cmluZz59IGZpbGVQYXRocyAtIEFycmF5IG9mIGZpbGUgcGF0aHMgZnJvbSBmaWJlcnNcbiAqIEByZXR1cm5zIHtzdHJpbmd8bnVsbH0gRGV0ZWN0ZWQgcHJvamVjdCByb290IG9yIG51bGxcbiAqL1xuY29uc3QgZGV0ZWN0UHJvamVjdFJvb3RGcm9tUGF0aHMgPSAoZmlsZVBhdGhzKSA9PiB7XG4gIGlmICghZmlsZVBhdGhzIHx8IGZpbGVQYXRocy5sZW5ndGggPT09IDApIHJldHVybiBudWxsO1xuXG4gIGNvbnN0IHByb2plY3RQYXRocyA9IGZpbGVQYXRocy5maWx0ZXIoKHBhdGgpID0+IHBhdGggJiYgIWlzRXh0ZXJuYWxQYXRoKHBhdGgpKS5tYXAobm9ybWFsaXplUGF0aCk7XG5cbiAgaWYgKHByb2plY3RQYXRocy5sZW5ndGggPT09IDApIHJldHVybiBudWxsO1xuXG4gIGNvbnN0IHBhdGhQYXJ0cyA9IHByb2plY3RQYXRocy5tYXAoKHBhdGgpID0+IHBhdGguc3BsaXQoJy8nKSk7XG4gIGNvbnN0IG1pbkxlbmd0aCA9IE1hdGgubWluKC4uLnBhdGhQYXJ0cy5tYXAoKHBhcnRzKSA9PiBwYXJ0cy5sZW5ndGgpKTtcblxuICBsZXQgY29tbW9uUGFydHMgPSBbXTtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBtaW5MZW5ndGg7IGkrKykge1xuICAgIGNvbnN0IHBhcnQgPSBwYXRoUGFydHNbMF1baV07XG4gICAgaWYgKHBhdGhQYXJ0cy5ldmVyeSgocGFydHMpID0+IHBhcnRzW2ldID09PSBwYXJ0KSkge1xuICAgICAgY29tbW9uUGFydHMucHVzaChwYXJ0KTtcbiAgICB9IGVsc2Uge1xuICAgICAgYnJlYWs7XG4gICAgfVxuICB9XG5cbiAgaWYgKGNvbW1vblBhcnRzLmxlbmd0aCA+IDApIHtcbiAgICByZXR1cm4gJy8nICsgY29tbW9uUGFydHMuam9pbignLycpO1xuICB9XG5cbiAgY29uc3QgZmlyc3RQYXRoID0gcHJvamVjdFBhdGhzWzBdO1xuICBjb25zdCBsYXN0U2xhc2ggPSBmaXJzdFBhdGgubGFzdEluZGV4T2YoJy8nKTtcbiAgaWYgKGxhc3RTbGFzaCA+IDApIHtcbiAgICByZXR1cm4gJy8nICsgZmlyc3RQYXRoLnN1YnN0cmluZygwLCBsYXN0U2xhc2gpO1xuICB9XG5cbiAgcmV0dXJuIG51bGw7XG59O1xuXG4vKipcbiAqIFJlbW92ZXMgY29uc2VjdXRpdmUgZHVwbGljYXRlIGNvbXBvbmVudCBuYW1lcyBmcm9tIGFuIGFycmF5XG4gKiBAcGFyYW0ge0FycmF5PHN0cmluZz59IHBhdGggLSBBcnJheSBvZiBjb21wb25lbnQgbmFtZXNcbiAqIEByZXR1cm5zIHtBcnJheTxzdHJpbmc+fSBBcnJheSB3aXRoIGNvbnNlY3V0aXZlIGR1cGxpY2F0ZXMgcmVtb3ZlZFxuICovXG5jb25zdCByZW1vdmVDb25zZWN1dGl2ZUR1cGxpY2F0ZXMgPSAocGF0aCkgPT4ge1xuICBpZiAocGF0aC5sZW5ndGggPT09IDApIHJldHVybiBwYXRoO1xuXG4gIGNvbnN0IHJlc3VsdCA9IFtwYXRoWzBdXTtcbiAgZm9yIChsZXQgaSA9IDE7IGkgPCBwYXRoLmxlbmd0aDsgaSsrKSB7XG4gICAgaWYgKHBhdGhbaV0udG9Mb3dlckNhc2UoKSAhPT0gcGF0aFtpIC0gMV0udG9Mb3dlckNhc2UoKSkge1xuICAgICAgcmVzdWx0LnB1c2gocGF0aFtpXSk7XG4gICAgfVxuICB9XG4gIHJldHVybiByZXN1bHQ7XG59O1xuXG4vKipcbiAqIFVwZGF0ZXMgdGhlIGNsZWFyIGJ1dHRvbiB2aXNpYmlsaXR5IGJhc2VkIG9uIGlucHV0IHZhbHVlXG4gKiBAcGFyYW0ge0hUTUxJbnB1dEVsZW1lbnR9IGlucHV0IC0gU2VhcmNoIGlucHV0IGVsZW1lbnRcbiAqL1xuY29uc3QgdXBkYXRlQ2xlYXJCdXR0b24gPSAoaW5wdXQpID0+IHtcbiAgY29uc3QgY2xlYXJCdXR0b24gPSBpbnB1dD8ucGFyZW50RWxlbWVudD8ucXVlcnlTZWxlY3RvcignLnNlYXJjaC1jbGVhcicpO1xuICBpZiAoY2xlYXJCdXR0b24pIHtcbiAgICBjbGVhckJ1dHRvbi5zdHlsZS5kaXNwbGF5ID0gaW5wdXQudmFsdWUubGVuZ3RoID4gMCA/ICdmbGV4JyA6ICdub25lJztcbiAgfVxufTtcblxuLyoqXG4gKiBIYW5kbGVzIHNlYXJjaCBpbnB1dCBjaGFuZ2VzIHRvIGhpZ2hsaWdodCBtYXRjaGluZyBjb21wb25lbnRzXG4gKiBAcGFyYW0ge0V2ZW50fSBldmVudCAtIElucHV0IGV2ZW50XG4gKi9cbmNvbnN0IGhhbmRsZVNlYXJjaENoYW5nZSA9IChldmVudCkgPT4ge1xuICBjb25zdCBpbnB1dCA9IGV2ZW50LnRhcmdldDtcbiAgY29uc3QgdmFsdWUgPSBpbnB1dC52YWx1ZS50b0xvd2VyQ2FzZSgpO1xuICBjb25zdCByZWdFeHAgPSBuZXcgUmVnRXhwKGBeJHt2YWx1ZX18JHt2YWx1ZX0kYCk7XG4gIGNvbnN0IGVsZW1lbnRzID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvckFsbChgLiR7Y29uc3RhbnRzLnhyYXlSZWFjdEVsZW1DTn1gKTtcblxuICB1cGRhdGVDbGVhckJ1dHRvbihpbnB1dCk7XG5cbiAgZm9yIChjb25zdCBlbGVtIG9mIGVsZW1lbnRzKSB7XG4gICAgaWYgKHZhbHVlLmxlbmd0aCA+PSAyKSB7XG4gICAgICBjb25zdCBzZWFyY2hOYW1lID0gZWxlbS5nZXRBdHRyaWJ1dGUoJ2RhdGEteHJheS1yZWFjdC1lbGVtZW50LXNlYXJjaC1uYW1lJyk7XG4gICAgICBpZiAoc2VhcmNoTmFtZSAmJiBzZWFyY2hOYW1lLm1hdGNoKHJlZ0V4cCkpIHtcbiAgICAgICAgZWxlbS5jbGFzc0xpc3QuYWRkKCctaGlnaGxpZ2h0ZWQnKTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIGVsZW0uY2xhc3NMaXN0LnJlbW92ZSgnLWhpZ2hsaWdodGVkJyk7XG4gICAgICB9XG4gICAgfSBlbHNlIHtcbiAgICAgIGVsZW0uY2xhc3NMaXN0LnJlbW92ZSgnLWhpZ2hsaWdodGVkJyk7XG4gICAgfVxuICB9XG59O1xuXG4vKipcbiAqIEhhbmRsZXMgY2xlYXIgYnV0dG9uIGNsaWNrIHRvIHJlc2V0IHNlYXJjaFxuICovXG5jb25zdCBoYW5kbGVTZWFyY2hDbGVhciA9ICgpID0+IHtcbiAgY29uc3QgaW5wdXQgPSBkb2N1bWVudC5nZXRFbGVtZW50QnlJZCgnc2VhcmNoLWNvbXBvbmVudCcpO1xuICBpZiAoaW5wdXQpIHtcbiAgICBpbnB1dC52YWx1ZSA9ICcnO1xuICAgIGlucHV0LmZvY3VzKCk7XG4gICAgdXBkYXRlQ2xlYXJCdXR0b24oaW5wdXQpO1xuICAgIGNvbnN0IGVsZW1lbnRzID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvckFsbChgLiR7Y29uc3RhbnRzLnhyYXlSZWFjdEVsZW1DTn1gKTtcbiAgICBlbGVtZW50cy5mb3JFYWNoKChlbGVtKSA9PiBlbGVtLmNsYXNzTGlzdC5yZW1vdmUoJy1oaWdobGlnaHRlZCcpKTtcbiAgfVxufTtcblxuLyoqXG4gKiBGaWxscyB0aGUgZWRpdG9yIHNlbGVjdCBvZiB0aGUgYWN0aW9uIGJhciBhbmQgc3RvcmVzIHRoZSB1c2VyJ3MgY2hvaWNlXG4gKiBUaGUgY2hvaWNlIGlzIGtlcHQgaW4gbG9jYWxTdG9yYWdlLCBzbyBpdCBhcHBsaWVzIHRvIGV2ZXJ5IHBhZ2Ugb2YgdGhlIHByb2plY3RcbiAqL1xuY29uc3Qgc2V0dXBFZGl0b3JTZWxlY3QgPSAoKSA9PiB7XG4gIGNvbnN0IHNlbGVjdCA9IGRvY3VtZW50LmdldEVsZW1lbnRCeUlkKCd4cmF5LXJlYWN0LWVkaXRvcicpO1xuICBpZiAoIXNlbGVjdCB8fCBzZWxlY3QuaGFzQXR0cmlidXRlKCdkYXRhLWxpc3RlbmVyLWF0dGFjaGVkJykpIHtcbiAgICByZXR1cm47XG4gIH1cblxuICBjb25zdCBwcm9qZWN0U2NoZW1lID0gd2luZG93Ll9fWFJBWV9SRUFDVF9FRElUT1JfVVJMX187XG4gIGNvbnN0IHByb2plY3REZWZhdWx0ID0gRURJVE9SX1VSTF9MQUJFTFNbcHJvamVjdFNjaGVtZV0gfHwgJ2VkaXRvciBvbiBzZXJ2ZXInO1xuICBjb25zdCBvcHRpb25zID0gW1xuICAgIFsnJywgYFByb2plY3QgZGVmYXVsdCAoJHtwcm9qZWN0RGVmYXVsdH0pYF0sXG4gICAgW0VESVRPUl9QUkVGRVJFTkNFX1NFUlZFUiwgJ0VkaXRvciBvbiBzZXJ2ZXInXSxcbiAgICAuLi5PYmplY3QuZW50cmllcyhFRElUT1JfVVJMX0xBQkVMUyksXG4gIF07XG5cbiAgc2VsZWN0LmlubmVySFRNTCA9IG9wdGlvbnNcbiAgICAubWFwKChbdmFsdWUsIGxhYmVsXSkgPT4gYDxvcHRpb24gdmFsdWU9XCIke3ZhbHVlfVwiPiR7bGFiZWx9PC9vcHRpb24+YClcbiAgICAuam9pbignJyk7XG4gIHNlbGVjdC52YWx1ZSA9IGdldEVkaXRvclByZWZlcmVuY2UoKTtcbiAgc2VsZWN0LnNldEF0dHJpYnV0ZSgnZGF0YS1saXN0ZW5lci1hdHRhY2hlZCcsICd0cnVlJyk7XG4gIHNlbGVjdC5hZGRFdmVudExpc3RlbmVyKCdjaGFuZ2UnLCAoKSA9PiBzZXRFZGl0b3JQcmVmZXJlbmNlKHNlbGVjdC52YWx1ZSkpO1xufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBjdXJyZW50IG1vZGUgZnJvbSB3aW5kb3cgb3IgZGVmYXVsdHMgdG8gVUlfTU9ERV9GVUxMXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBDdXJyZW50IG1vZGUgKFVJX01PREVfRlVMTCBvciBVSV9NT0RFX1NJTVBMRSlcbiAqL1xuY29uc3QgZ2V0Q3VycmVudE1vZGUgPSAoKSA9PiB7XG4gIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cuX19YUkFZX1JFQUNUX01PREVfXykge1xuICAgIGNvbnN0IG1vZGUgPSB3aW5kb3cuX19YUkFZX1JFQUNUX01PREVfXztcbiAgICByZXR1cm4gQVZBSUxBQkxFX1VJX01PREVTLmluY2x1ZGVzKG1vZGUpID8gbW9kZSA6IFVJX01PREVfRlVMTDtcbiAgfVxuICByZXR1cm4gVUlfTU9ERV9GVUxMO1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBjdXJyZW50IG1vZGVcbiAqIEBwYXJhbSB7c3RyaW5nfSBtb2RlIC0gTW9kZSB0byBzZXQgKFVJX01PREVfRlVMTCBvciBVSV9NT0RFX1NJTVBMRSlcbiAqL1xuZXhwb3J0IGNvbnN0IHNldE1vZGUgPSAobW9kZSkgPT4ge1xuICBjdXJyZW50TW9kZSA9IEFWQUlMQUJMRV9VSV9NT0RFUy5pbmNsdWRlcyhtb2RlKSA/IG1vZGUgOiBVSV9NT0RFX0ZVTEw7XG4gIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJykge1xuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfTU9ERV9fID0gY3VycmVudE1vZGU7XG4gIH1cbn07XG5cbi8qKlxuICogR2V0cyB0aGUgY3VycmVudCBtb2RlXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBDdXJyZW50IG1vZGVcbiAqL1xuZXhwb3J0IGNvbnN0IGdldE1vZGUgPSAoKSA9PiB7XG4gIHJldHVybiBjdXJyZW50TW9kZTtcbn07XG5cbi8qKlxuICogQ3JlYXRlcyBhbiBvdmVybGF5IGVsZW1lbnQgZm9yIGEgUmVhY3QgY29tcG9uZW50XG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSBlbGVtIC0gVGhlIERPTSBlbGVtZW50XG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50TmFtZSAtIE5hbWUgb2YgdGhlIFJlYWN0IGNvbXBvbmVudFxuICogQHBhcmFtIHtPYmplY3R9IHNvdXJjZSAtIE9wdGlvbmFsIHNvdXJjZSBsb2NhdGlvbiBvZiB0aGUgcmVuZGVyZWQgZWxlbWVudFxuICogQHBhcmFtIHtib29sZWFufSBpc1NlcnZlciAtIFdoZXRoZXIgdGhlIGNvbXBvbmVudCBpcyBhIFJlYWN0IFNlcnZlciBDb21wb25lbnRcbiAqIEByZXR1cm5zIHtPYmplY3R9IE9iamVjdCBjb250YWluaW5nIG9yaWdpbmFsIGVsZW1lbnQgYW5kIG92ZXJsYXkgZWxlbWVudFxuICovXG5jb25zdCBjcmVhdGVFbGVtRm9yQ29tcG9uZW50ID0gKGVsZW0sIGNvbXBvbmVudE5hbWUsIHNvdXJjZSA9IG51bGwsIGlzU2VydmVyID0gZmFsc2UpID0+IHtcbiAgY29uc3QgeHJheVJlYWN0RWxlbSA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ2RpdicpO1xuICBjb25zdCBib3VuZGluZ0NsaWVudFJlY3QgPSBlbGVtLmdldEJvdW5kaW5nQ2xpZW50UmVjdCgpO1xuXG4gIHhyYXlSZWFjdEVsZW0uY2xhc3NOYW1lID0gY29uc3RhbnRzLnhyYXlSZWFjdEVsZW1DTjtcbiAgaWYgKGlzU2VydmVyKSB7XG4gICAgeHJheVJlYWN0RWxlbS5jbGFzc0xpc3QuYWRkKCctc2VydmVyJyk7XG4gIH1cbiAgeHJheVJlYWN0RWxlbS5zZXRBdHRyaWJ1dGUoJ2RhdGEteHJheS1yZWFjdC1lbGVtZW50LW5hbWUnLCBjb21wb25lbnROYW1lKTtcbiAgeHJheVJlYWN0RWxlbS5zZXRBdHRyaWJ1dGUoJ2RhdGEteHJheS1yZWFjdC1lbGVtZW50LXNlYXJjaC1uYW1lJywgY29tcG9uZW50TmFtZS50b0xvd2VyQ2FzZSgpKTtcbiAgeHJheVJlYWN0RWxlbS5zdHlsZS5oZWlnaHQgPSBgJHtib3VuZGluZ0NsaWVudFJlY3QuaGVpZ2h0fXB4YDtcbiAgeHJheVJlYWN0RWxlbS5zdHlsZS53aWR0aCA9IGAke2JvdW5kaW5nQ2xpZW50UmVjdC53aWR0aH1weGA7XG4gIHhyYXlSZWFjdEVsZW0uc3R5bGUudG9wID0gYCR7Ym91bmRpbmdDbGllbnRSZWN0LnRvcCArIHdpbmRvdy5zY3JvbGxZfXB4YDtcbiAgeHJheVJlYWN0RWxlbS5zdHlsZS5sZWZ0ID0gYCR7Ym91bmRpbmdDbGllbnRSZWN0LmxlZnQgKyB3aW5kb3cuc2Nyb2xsWH1weGA7XG4gIHhyYXlSZWFjdEVsZW0uc3R5bGUuekluZGV4ID0gY29uc3RhbnRzLnpJbmRleDtcblxuICBpZiAoc291cmNlKSB7XG4gICAgeHJheVJlYWN0RWxlbS5zZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlSZWFjdFNvdXJjZUF0dHIsIGZvcm1hdFNvdXJjZUxvY2F0aW9uKHNvdXJjZSkpO1xuICAgIGlmIChzb3VyY2UuZXhhY3QpIHtcbiAgICAgIHhyYXlSZWFjdEVsZW0uc2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RTb3VyY2VFeGFjdEF0dHIsICd0cnVlJyk7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHsgZWxlbSwgeHJheVJlYWN0RWxlbSB9O1xufTtcblxuLyoqXG4gKiBDaGVja3MgaWYgYSBuYW1lIGlzIGFuIEhUTUwgZWxlbWVudFxuICogQHBhcmFtIHtzdHJpbmd9IG5hbWUgLSBDb21wb25lbnQgb3IgZWxlbWVudCBuYW1lXG4gKiBAcmV0dXJucyB7Ym9vbGVhbn0gVHJ1ZSBpZiBpdCdzIGFuIEhUTUwgZWxlbWVudFxuICovXG5jb25zdCBpc0hUTUxFbGVtZW50ID0gKG5hbWUpID0+IHtcbiAgaWYgKCFuYW1lIHx8IHR5cGVvZiBuYW1lICE9PSAnc3RyaW5nJykgcmV0dXJuIGZhbHNlO1xuICByZXR1cm4gY29uc3RhbnRzLkhUTUxfRUxFTUVOVFMuaGFzKG5hbWUudG9Mb3dlckNhc2UoKSk7XG59O1xuXG4vKipcbiAqIFJlYWRzIHRoZSBjb21wb25lbnQgbmFtZSBhbmQgc291cmNlIGxvY2F0aW9uIHN0YW1wZWQgb24gYSBob3N0IGVsZW1lbnQgYXQgYnVpbGQgdGltZVxuICogQHBhcmFtIHtIVE1MRWxlbWVudH0gZWxlbSAtIERPTSBlbGVtZW50XG4gKiBAcmV0dXJucyB7T2JqZWN0fG51bGx9IE9iamVjdCB3aXRoIG93bmVyIGNvbXBvbmVudCBuYW1lIGFuZCBleGFjdCBzb3VyY2UsIG9yIG51bGxcbiAqL1xuY29uc3QgZ2V0U3RhbXBlZENvbXBvbmVudCA9IChlbGVtKSA9PiB7XG4gIGNvbnN0IHZhbHVlID0gZWxlbSAmJiBlbGVtLmdldEF0dHJpYnV0ZSA/IGVsZW0uZ2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5U291cmNlQXR0cikgOiBudWxsO1xuICBpZiAoIXZhbHVlKSByZXR1cm4gbnVsbDtcblxuICByZXR1cm4ge1xuICAgIG5hbWU6IGVsZW0uZ2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5Q29tcG9uZW50QXR0cikgfHwgbnVsbCxcbiAgICBzb3VyY2U6IHsgLi4ucGFyc2VTb3VyY2VMb2NhdGlvbih2YWx1ZSksIGV4YWN0OiB0cnVlIH0sXG4gIH07XG59O1xuXG4vKipcbiAqIEdldHMgYSBzdGFibGUgb3ZlcmxheSB1aWQgZm9yIGEgc3RhbXBlZCBjb21wb25lbnQgaW5zdGFuY2Ugd2l0aG91dCBSZWFjdCBpbnRlcm5hbHNcbiAqIFRoZSBpbnN0YW5jZSBpcyBpZGVudGlmaWVkIGJ5IGl0cyBvdXRlcm1vc3QgZWxlbWVudCBzdGFtcGVkIHdpdGggdGhlIHNhbWUgY29tcG9uZW50IG5hbWVcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBTdGFtcGVkIERPTSBlbGVtZW50XG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50TmFtZSAtIE93bmVyIGNvbXBvbmVudCBuYW1lIGZyb20gdGhlIHN0YW1wXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBPdmVybGF5IHVpZFxuICovXG5jb25zdCBnZXRTdGFtcGVkSW5zdGFuY2VJZCA9IChlbGVtLCBjb21wb25lbnROYW1lKSA9PiB7XG4gIGxldCByb290RWxlbSA9IGVsZW07XG4gIHdoaWxlIChcbiAgICByb290RWxlbS5wYXJlbnRFbGVtZW50ICYmXG4gICAgcm9vdEVsZW0ucGFyZW50RWxlbWVudC5nZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlDb21wb25lbnRBdHRyKSA9PT0gY29tcG9uZW50TmFtZVxuICApIHtcbiAgICByb290RWxlbSA9IHJvb3RFbGVtLnBhcmVudEVsZW1lbnQ7XG4gIH1cblxuICBpZiAoIXN0YW1wZWRJbnN0YW5jZUlkcy5oYXMocm9vdEVsZW0pKSB7XG4gICAgc3RhbXBlZEluc3RhbmNlSWRzLnNldChyb290RWxlbSwgYHhyYXktJHtuZXh0U3RhbXBlZEluc3RhbmNlSWQrK31gKTtcbiAgfVxuICByZXR1cm4gc3RhbXBlZEluc3RhbmNlSWRzLmdldChyb290RWxlbSk7XG59O1xuXG4vKipcbiAqIFBpY2tzIHRoZSBzb3VyY2UgbG9jYXRpb24gdG8gb3BlbiBmb3IgYW4gb3ZlcmxheVxuICogQSBidWlsZC10aW1lIHN0YW1wIGlzIGV4YWN0IHdoZW4gaXQgd2FzIHdyaXR0ZW4gaW5zaWRlIHRoZSBvdmVybGF5J3Mgb3duIGNvbXBvbmVudCxcbiAqIG90aGVyd2lzZSB0aGUgbG9jYXRpb24gUmVhY3QgcmVwb3J0ZWQgaXMgdXNlZFxuICogQHBhcmFtIHtIVE1MRWxlbWVudH0gZWxlbSAtIERPTSBlbGVtZW50IHRoZSBvdmVybGF5IGNvdmVyc1xuICogQHBhcmFtIHtzdHJpbmd9IGNvbXBvbmVudE5hbWUgLSBPdmVybGF5IGNvbXBvbmVudCBuYW1lXG4gKiBAcGFyYW0ge09iamVjdH0gZmliZXJTb3VyY2UgLSBTb3VyY2UgbG9jYXRpb24gZnJvbSBSZWFjdCBmaWJlcnNcbiAqIEByZXR1cm5zIHtPYmplY3R8bnVsbH0gU291cmNlIGxvY2F0aW9uXG4gKi9cbmNvbnN0IGdldE92ZXJsYXlTb3VyY2UgPSAoZWxlbSwgY29tcG9uZW50TmFtZSwgZmliZXJTb3VyY2UpID0+IHtcbiAgY29uc3Qgc3RhbXBlZCA9IGdldFN0YW1wZWRDb21wb25lbnQoZWxlbSk7XG4gIGlmIChzdGFtcGVkICYmIHN0YW1wZWQubmFtZSA9PT0gY29tcG9uZW50TmFtZSkge1xuICAgIHJldHVybiBzdGFtcGVkLnNvdXJjZTtcbiAgfVxuXG4gIHJldHVybiBmaWJlclNvdXJjZSB8fCAoc3RhbXBlZCA/IHsgLi4uc3RhbXBlZC5zb3VyY2UsIGV4YWN0OiBmYWxzZSB9IDogbnVsbCk7XG59O1xuXG4vKipcbiAqIEJ1aWxkcyB0aGUgY29tcG9uZW50IGxpc3Qgb2YgYW4gZWxlbWVudCBmcm9tIGJ1aWxkLXRpbWUgc3RhbXBzIG9uIGl0IGFuZCBpdHMgYW5jZXN0b3JzXG4gKiBVc2VkIHdoZW4gUmVhY3QgaW50ZXJuYWxzIGFyZSBub3QgYXZhaWxhYmxlIChlLmcuLCBQcmVhY3Qgb3Igc3RyaXBwZWQgZmliZXJzKVxuICogQHBhcmFtIHtIVE1MRWxlbWVudH0gZWxlbSAtIERPTSBlbGVtZW50XG4gKiBAcmV0dXJucyB7QXJyYXl9IENvbXBvbmVudCBvYmplY3RzIGluIHBhcmVudCAtPiBjaGlsZCBvcmRlclxuICovXG5jb25zdCBnZXRTdGFtcGVkQ29tcG9uZW50c0Zyb21FbGVtZW50ID0gKGVsZW0pID0+IHtcbiAgY29uc3QgY29tcG9uZW50cyA9IFtdO1xuICBsZXQgY3VycmVudEVsZW0gPSBlbGVtO1xuXG4gIHdoaWxlIChjdXJyZW50RWxlbSAmJiBjdXJyZW50RWxlbSAhPT0gZG9jdW1lbnQuYm9keSkge1xuICAgIGNvbnN0IHN0YW1wZWQgPSBnZXRTdGFtcGVkQ29tcG9uZW50KGN1cnJlbnRFbGVtKTtcbiAgICBjb25zdCBsYXN0Q29tcG9uZW50ID0gY29tcG9uZW50c1tjb21wb25lbnRzLmxlbmd0aCAtIDFdO1xuICAgIGlmIChzdGFtcGVkICYmIHN0YW1wZWQubmFtZSAmJiAoIWxhc3RDb21wb25lbnQgfHwgbGFzdENvbXBvbmVudC5uYW1lICE9PSBzdGFtcGVkLm5hbWUpKSB7XG4gICAgICBjb21wb25lbnRzLnB1c2goe1xuICAgICAgICBuYW1lOiBzdGFtcGVkLm5hbWUsXG4gICAgICAgIGZpbGU6IHN0YW1wZWQuc291cmNlLmZpbGVOYW1lLFxuICAgICAgICBpc0ludGVybmFsOiB0cnVlLFxuICAgICAgICBpc1N0YW1wZWQ6IHRydWUsXG4gICAgICB9KTtcbiAgICB9XG4gICAgY3VycmVudEVsZW0gPSBjdXJyZW50RWxlbS5wYXJlbnRFbGVtZW50O1xuICB9XG5cbiAgcmV0dXJuIGNvbXBvbmVudHMucmV2ZXJzZSgpO1xufTtcblxuLyoqXG4gKiBSZXNvbHZlcyBjb21wb25lbnQgbmFtZSBmcm9tIGVsZW1lbnQgdHlwZSBhbmQgZmliZXJcbiAqIEhhbmRsZXMgZnVuY3Rpb24gY29tcG9uZW50cywgY2xhc3MgY29tcG9uZW50cywgZm9yd2FyZFJlZiwgbWVtbywgZXRjLlxuICogQHBhcmFtIHsqfSBlbGVtZW50VHlwZSAtIFJlYWN0IGVsZW1lbnQgdHlwZVxuICogQHBhcmFtIHtPYmplY3R9IGZpYmVyIC0gUmVhY3QgZmliZXIgbm9kZVxuICogQHJldHVybnMge3N0cmluZ3xudWxsfSBDb21wb25lbnQgbmFtZSBvciBudWxsXG4gKi9cbmNvbnN0IHJlc29sdmVDb21wb25lbnROYW1lID0gKGVsZW1lbnRUeXBlLCBmaWJlciA9IG51bGwpID0+IHtcbiAgaWYgKCFlbGVtZW50VHlwZSkgcmV0dXJuIG51bGw7XG5cbiAgaWYgKHR5cGVvZiBlbGVtZW50VHlwZSA9PT0gJ2Z1bmN0aW9uJykge1xuICAgIGlmIChlbGVtZW50VHlwZS5kaXNwbGF5TmFtZSkge1xuICAgICAgcmV0dXJuIGVsZW1lbnRUeXBlLmRpc3BsYXlOYW1lO1xuICAgIH1cblxuICAgIGlmIChlbGVtZW50VHlwZS5uYW1lICYmIGVsZW1lbnRUeXBlLm5hbWUgIT09ICdBbm9ueW1vdXMnKSB7XG4gICAgICByZXR1cm4gZWxlbWVudFR5cGUubmFtZTtcbiAgICB9XG5cbiAgICBpZiAoZWxlbWVudFR5cGUucmVuZGVyKSB7XG4gICAgICByZXR1cm4gcmVzb2x2ZUNvbXBvbmVudE5hbWUoZWxlbWVudFR5cGUucmVuZGVyLCBmaWJlcik7XG4gICAgfVxuXG4gICAgaWYgKGVsZW1lbnRUeXBlLiQkdHlwZW9mICYmIGVsZW1lbnRUeXBlLnR5cGUpIHtcbiAgICAgIHJldHVybiByZXNvbHZlQ29tcG9uZW50TmFtZShlbGVtZW50VHlwZS50eXBlLCBmaWJlcik7XG4gICAgfVxuICB9XG5cbiAgaWYgKHR5cGVvZiBlbGVtZW50VHlwZSA9PT0gJ3N0cmluZycpIHtcbiAgICByZXR1cm4gZWxlbWVudFR5cGU7XG4gIH1cblxuICBpZiAoZWxlbWVudFR5cGUgJiYgZWxlbWVudFR5cGUuJCR0eXBlb2YpIHtcbiAgICBpZiAoZWxlbWVudFR5cGUudHlwZSkge1xuICAgICAgcmV0dXJuIHJlc29sdmVDb21wb25lbnROYW1lKGVsZW1lbnRUeXBlLnR5cGUsIGZpYmVyKTtcbiAgICB9XG4gIH1cblxuICBjb25zdCBmaWJlclNvdXJjZSA9IGdldEZpYmVyU291cmNlKGZpYmVyKTtcbiAgaWYgKGZpYmVyU291cmNlKSB7XG4gICAgY29uc3QgZmlsZU5hbWUgPSBmaWJlclNvdXJjZS5maWxlTmFtZTtcbiAgICBpZiAoZmlsZU5hbWUpIHtcbiAgICAgIGNvbnN0IG1hdGNoID0gZmlsZU5hbWUubWF0Y2goLyhbXi9cXFxcXSspXFwuKGpzeD98dHN4PykkLyk7XG4gICAgICBpZiAobWF0Y2gpIHtcbiAgICAgICAgcmV0dXJuIG1hdGNoWzFdO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBudWxsO1xufTtcblxuLyoqXG4gKiBDaGVja3MgaWYgYSBjb21wb25lbnQgYmVsb25ncyB0byB0aGUgcHJvamVjdCBiYXNlZCBvbiBpdHMgc291cmNlIGZpbGUgcGF0aFxuICogQHBhcmFtIHtPYmplY3R9IGZpYmVyIC0gUmVhY3QgZmliZXIgbm9kZVxuICogQHBhcmFtIHtzdHJpbmd9IHByb2plY3RSb290UGF0aCAtIFByb2plY3Qgcm9vdCBwYXRoIGZvciBjb21wYXJpc29uXG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50TmFtZSAtIE9wdGlvbmFsIGNvbXBvbmVudCBuYW1lIHRvIGNoZWNrIGFnYWluc3QgcHJvamVjdCBmaWxlc1xuICogQHJldHVybnMge2Jvb2xlYW59IFRydWUgaWYgY29tcG9uZW50IGJlbG9uZ3MgdG8gcHJvamVjdFxuICovXG5jb25zdCBpc1Byb2plY3RDb21wb25lbnQgPSAoZmliZXIsIHByb2plY3RSb290UGF0aCwgY29tcG9uZW50TmFtZSA9IG51bGwpID0+IHtcbiAgaWYgKCFwcm9qZWN0Um9vdFBhdGgpIHtcbiAgICByZXR1cm4gdHJ1ZTtcbiAgfVxuXG4gIGNvbnN0IGZpbGVQYXRoID0gZ2V0RmliZXJTb3VyY2UoZmliZXIpPy5maWxlTmFtZTtcblxuICBpZiAoZmlsZVBhdGgpIHtcbiAgICBpZiAoaXNXb3Jrc3BhY2VQYXRoKGZpbGVQYXRoKSkge1xuICAgICAgcmV0dXJuIHRydWU7XG4gICAgfVxuXG4gICAgaWYgKGlzRXh0ZXJuYWxQYXRoKGZpbGVQYXRoKSkge1xuICAgICAgcmV0dXJuIGZhbHNlO1xuICAgIH1cblxuICAgIGNvbnN0IG5vcm1hbGl6ZWRGaWxlUGF0aCA9IG5vcm1hbGl6ZVBhdGgoZmlsZVBhdGgpO1xuICAgIGNvbnN0IG5vcm1hbGl6ZWRQcm9qZWN0Um9vdCA9IG5vcm1hbGl6ZVBhdGgocHJvamVjdFJvb3RQYXRoKTtcblxuICAgIGlmIChub3JtYWxpemVkRmlsZVBhdGguc3RhcnRzV2l0aChub3JtYWxpemVkUHJvamVjdFJvb3QpKSB7XG4gICAgICByZXR1cm4gdHJ1ZTtcbiAgICB9XG5cbiAgICBpZiAoXG4gICAgICAhbm9ybWFsaXplZEZpbGVQYXRoLmluY2x1ZGVzKCdub2RlX21vZHVsZXMnKSAmJlxuICAgICAgIW5vcm1hbGl6ZWRGaWxlUGF0aC5zdGFydHNXaXRoKCcvJykgJiZcbiAgICAgICFub3JtYWxpemVkRmlsZVBhdGgubWF0Y2goL15bYS16XTovaSlcbiAgICApIHtcbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH1cblxuICAgIHJldHVybiBmYWxzZTtcbiAgfVxuXG4gIGlmIChjb21wb25lbnROYW1lKSB7XG4gICAgY29uc3Qgbm9ybWFsaXplZENvbXBvbmVudE5hbWUgPSBjb21wb25lbnROYW1lLnRvTG93ZXJDYXNlKCk7XG4gICAgLy8gTygxKSBsb29rdXAgdXNpbmcgcHJlLWJ1aWx0IGluZGV4IGluc3RlYWQgb2YgTyhtKSBsb29wIHRocm91Z2ggYWxsIGZpbGVzXG4gICAgaWYgKGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguaGFzKG5vcm1hbGl6ZWRDb21wb25lbnROYW1lKSkge1xuICAgICAgcmV0dXJuIHRydWU7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGZhbHNlO1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBwcm9qZWN0IHJvb3QgcGF0aCBmb3IgZmlsdGVyaW5nXG4gKiBAcGFyYW0ge3N0cmluZ30gcm9vdFBhdGggLSBQcm9qZWN0IHJvb3QgcGF0aFxuICovXG5leHBvcnQgY29uc3Qgc2V0UHJvamVjdFJvb3QgPSAocm9vdFBhdGgpID0+IHtcbiAgcHJvamVjdFJvb3QgPSByb290UGF0aCA/IG5vcm1hbGl6ZVBhdGgocm9vdFBhdGgpIDogbnVsbDtcblxuICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX1JPT1RfXyAmJiAhcHJvamVjdFJvb3QpIHtcbiAgICBwcm9qZWN0Um9vdCA9IG5vcm1hbGl6ZVBhdGgod2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX1JPT1RfXyk7XG4gIH1cbn07XG5cbi8qKlxuICogU2V0cyB0aGUgd29ya3NwYWNlIHBhY2thZ2VzIHdob3NlIGNvbXBvbmVudHMgY291bnQgYXMgcHJvamVjdCBjb21wb25lbnRzXG4gKiBAcGFyYW0ge0FycmF5PE9iamVjdD59IHBhY2thZ2VzIC0gV29ya3NwYWNlIHBhY2thZ2VzICh7IG5hbWUsIHBhdGggfSlcbiAqL1xuZXhwb3J0IGNvbnN0IHNldFdvcmtzcGFjZVBhY2thZ2VzID0gKHBhY2thZ2VzKSA9PiB7XG4gIHdvcmtzcGFjZVBhY2thZ2VzID0gKHBhY2thZ2VzIHx8IFtdKVxuICAgIC5maWx0ZXIoXG4gICAgICAod29ya3NwYWNlUGFja2FnZSkgPT4gd29ya3NwYWNlUGFja2FnZSAmJiB3b3Jrc3BhY2VQYWNrYWdlLm5hbWUgJiYgd29ya3NwYWNlUGFja2FnZS5wYXRoLFxuICAgIClcbiAgICAubWFwKCh7IG5hbWUsIHBhdGggfSkgPT4gKHsgbmFtZTogbmFtZS50b0xvd2VyQ2FzZSgpLCBwYXRoOiBub3JtYWxpemVQYXRoKHBhdGgpIH0pKTtcbn07XG5cbi8qKlxuICogR2V0cyB0aGUgY3VycmVudCBwcm9qZWN0IHJvb3QgcGF0aFxuICogQHJldHVybnMge3N0cmluZ3xudWxsfSBQcm9qZWN0IHJvb3QgcGF0aCBvciBudWxsXG4gKi9cbmV4cG9ydCBjb25zdCBnZXRQcm9qZWN0Um9vdCA9ICgpID0+IHtcbiAgcmV0dXJuIHByb2plY3RSb290O1xufTtcblxuLyoqXG4gKiBTZXRzIHRoZSB1c2FnZSBtYXAgZm9yIGZpbHRlcmluZyBleHRlcm5hbCBjb21wb25lbnRzXG4gKiBAcGFyYW0ge09iamVjdH0gbWFwIC0gVXNhZ2UgbWFwIChmaWxlIHBhdGggLT4gQXJyYXkgb2YgY29tcG9uZW50IG5hbWVzKVxuICovXG5leHBvcnQgY29uc3Qgc2V0VXNhZ2VNYXAgPSAobWFwKSA9PiB7XG4gIHVzYWdlTWFwID0gbWFwIHx8IHt9O1xuXG4gIGlmIChcbiAgICB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJlxuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfVVNBR0VfTUFQX18gJiZcbiAgICBPYmplY3Qua2V5cyh1c2FnZU1hcCkubGVuZ3RoID09PSAwXG4gICkge1xuICAgIHVzYWdlTWFwID0gd2luZG93Ll9fWFJBWV9SRUFDVF9VU0FHRV9NQVBfXztcbiAgfVxuXG4gIGlmIChwcm9qZWN0RmlsZVBhdGhzLnNpemUgPT09IDApIHtcbiAgICBwcm9qZWN0RmlsZVBhdGhzID0gbmV3IFNldChPYmplY3Qua2V5cyh1c2FnZU1hcCB8fCB7fSkpO1xuICB9IGVsc2Uge1xuICAgIE9iamVjdC5rZXlzKHVzYWdlTWFwIHx8IHt9KS5mb3JFYWNoKChmaWxlUGF0aCkgPT4gcHJvamVjdEZpbGVQYXRocy5hZGQoZmlsZVBhdGgpKTtcbiAgfVxufTtcblxuLyoqXG4gKiBTZXRzIHRoZSBpbXBvcnQgbWFwIGZvciBmaWx0ZXJpbmcgZXh0ZXJuYWwgY29tcG9uZW50cyAoZmFsbGJhY2spXG4gKiBAcGFyYW0ge09iamVjdH0gbWFwIC0gSW1wb3J0IG1hcCAoZmlsZSBwYXRoIC0+IEFycmF5IG9mIGNvbXBvbmVudCBuYW1lcylcbiAqL1xuZXhwb3J0IGNvbnN0IHNldEltcG9ydE1hcCA9IChtYXApID0+IHtcbiAgaW1wb3J0TWFwID0gbWFwIHx8IHt9O1xuXG4gIGlmIChcbiAgICB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJlxuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfSU1QT1JUX01BUF9fICYmXG4gICAgT2JqZWN0LmtleXMoaW1wb3J0TWFwKS5sZW5ndGggPT09IDBcbiAgKSB7XG4gICAgaW1wb3J0TWFwID0gd2luZG93Ll9fWFJBWV9SRUFDVF9JTVBPUlRfTUFQX187XG4gIH1cblxuICBPYmplY3Qua2V5cyhpbXBvcnRNYXAgfHwge30pLmZvckVhY2goKGZpbGVQYXRoKSA9PiBwcm9qZWN0RmlsZVBhdGhzLmFkZChmaWxlUGF0aCkpO1xufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBrZXlzIGEgcHJvamVjdCBmaWxlIGlzIGluZGV4ZWQgdW5kZXI6IGl0cyBmaWxlIG5hbWUgYW5kIGRpcmVjdG9yeSBuYW1lc1xuICogQHBhcmFtIHtzdHJpbmd9IG5vcm1hbGl6ZWQgLSBOb3JtYWxpemVkIGZpbGUgcGF0aFxuICogQHJldHVybnMge0FycmF5PHN0cmluZz59IEluZGV4IGtleXNcbiAqL1xuY29uc3QgZ2V0UHJvamVjdEZpbGVJbmRleEtleXMgPSAobm9ybWFsaXplZCkgPT4ge1xuICBjb25zdCBwYXRoUGFydHMgPSBub3JtYWxpemVkLnNwbGl0KCcvJyk7XG4gIGNvbnN0IGZpbGVuYW1lID0gcGF0aFBhcnRzW3BhdGhQYXJ0cy5sZW5ndGggLSAxXSB8fCAnJztcbiAgY29uc3QgZmlsZW5hbWVXaXRob3V0RXh0ID0gZmlsZW5hbWUucmVwbGFjZSgvXFwuKHRzeD98anN4PykkLywgJycpO1xuICBjb25zdCBrZXlzID0gZmlsZW5hbWVXaXRob3V0RXh0ID8gW2ZpbGVuYW1lV2l0aG91dEV4dF0gOiBbXTtcblxuICBmb3IgKGNvbnN0IHBhcnQgb2YgcGF0aFBhcnRzLnNsaWNlKDAsIC0xKSkge1xuICAgIGlmIChwYXJ0ICYmIHBhcnQubGVuZ3RoID4gMSkge1xuICAgICAga2V5cy5wdXNoKHBhcnQpO1xuICAgIH1cbiAgfVxuXG4gIHJldHVybiBrZXlzO1xufTtcblxuLyoqXG4gKiBBZGRzIGEgcHJvamVjdCBmaWxlIHRvIHRoZSBub3JtYWxpemVkIHBhdGhzIGFuZCBjb21wb25lbnQgbmFtZSBpbmRleFxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gUHJvamVjdCBmaWxlIHBhdGhcbiAqL1xuY29uc3QgaW5kZXhQcm9qZWN0RmlsZSA9IChmaWxlUGF0aCkgPT4ge1xuICBjb25zdCBub3JtYWxpemVkID0gbm9ybWFsaXplUGF0aChmaWxlUGF0aCk7XG4gIG5vcm1hbGl6ZWRQcm9qZWN0RmlsZVBhdGhzLmFkZChub3JtYWxpemVkKTtcblxuICBmb3IgKGNvbnN0IGtleSBvZiBnZXRQcm9qZWN0RmlsZUluZGV4S2V5cyhub3JtYWxpemVkKSkge1xuICAgIGlmICghY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleC5oYXMoa2V5KSkge1xuICAgICAgY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleC5zZXQoa2V5LCBuZXcgU2V0KCkpO1xuICAgIH1cbiAgICBjb21wb25lbnROYW1lVG9GaWxlc0luZGV4LmdldChrZXkpLmFkZChmaWxlUGF0aCk7XG4gIH1cbn07XG5cbi8qKlxuICogUmVtb3ZlcyBhIHByb2plY3QgZmlsZSBmcm9tIHRoZSBub3JtYWxpemVkIHBhdGhzIGFuZCBjb21wb25lbnQgbmFtZSBpbmRleFxuICogQHBhcmFtIHtzdHJpbmd9IGZpbGVQYXRoIC0gUHJvamVjdCBmaWxlIHBhdGhcbiAqL1xuY29uc3QgdW5pbmRleFByb2plY3RGaWxlID0gKGZpbGVQYXRoKSA9PiB7XG4gIGNvbnN0IG5vcm1hbGl6ZWQgPSBub3JtYWxpemVQYXRoKGZpbGVQYXRoKTtcbiAgbm9ybWFsaXplZFByb2plY3RGaWxlUGF0aHMuZGVsZXRlKG5vcm1hbGl6ZWQpO1xuXG4gIGZvciAoY29uc3Qga2V5IG9mIGdldFByb2plY3RGaWxlSW5kZXhLZXlzKG5vcm1hbGl6ZWQpKSB7XG4gICAgY29uc3QgZmlsZXMgPSBjb21wb25lbnROYW1lVG9GaWxlc0luZGV4LmdldChrZXkpO1xuICAgIGlmICghZmlsZXMpIGNvbnRpbnVlO1xuICAgIGZpbGVzLmRlbGV0ZShmaWxlUGF0aCk7XG4gICAgaWYgKGZpbGVzLnNpemUgPT09IDApIHtcbiAgICAgIGNvbXBvbmVudE5hbWVUb0ZpbGVzSW5kZXguZGVsZXRlKGtleSk7XG4gICAgfVxuICB9XG59O1xuXG4vKipcbiAqIFNldHMgdGhlIGxpc3Qgb2YgYWxsIHByb2plY3QgZmlsZXMgZm91bmQgaW4gc291cmNlUGF0aCBmb2xkZXJzXG4gKiBAcGFyYW0ge0FycmF5PHN0cmluZz59IGZpbGVzIC0gQXJyYXkgb2YgYWxsIGZpbGUgcGF0aHMgZm91bmQgaW4gc291cmNlUGF0aFxuICovXG5leHBvcnQgY29uc3Qgc2V0UHJvamVjdEZpbGVzID0gKGZpbGVzKSA9PiB7XG4gIGxldCBmaWxlTGlzdCA9IGZpbGVzIHx8IFtdO1xuXG4gIGlmIChcbiAgICB0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJlxuICAgIHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9GSUxFU19fICYmXG4gICAgZmlsZUxpc3QubGVuZ3RoID09PSAwXG4gICkge1xuICAgIGNvbnN0IGdsb2JhbEZpbGVzID0gd2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX0ZJTEVTX187XG4gICAgaWYgKEFycmF5LmlzQXJyYXkoZ2xvYmFsRmlsZXMpKSB7XG4gICAgICBmaWxlTGlzdCA9IFsuLi5nbG9iYWxGaWxlc107XG4gICAgfVxuICB9XG5cbiAgcHJvamVjdEZpbGVQYXRocyA9IG5ldyBTZXQoZmlsZUxpc3QpO1xuXG4gIC8vIFByZS1jb21wdXRlIG5vcm1hbGl6ZWQgcGF0aHMgYW5kIGNvbXBvbmVudCBuYW1lIGluZGV4IGZvciBPKDEpIGxvb2t1cHNcbiAgbm9ybWFsaXplZFByb2plY3RGaWxlUGF0aHMuY2xlYXIoKTtcbiAgY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleC5jbGVhcigpO1xuXG4gIGZvciAoY29uc3QgZmlsZVBhdGggb2YgZmlsZUxpc3QpIHtcbiAgICBpbmRleFByb2plY3RGaWxlKGZpbGVQYXRoKTtcbiAgfVxufTtcblxuLyoqXG4gKiBBcHBsaWVzIGEgdXNhZ2UgbWFwIGRlbHRhIHNlbnQgYnkgdGhlIHNlcnZlciBhZnRlciBmaWxlcyBjaGFuZ2VkXG4gKiBAcGFyYW0ge09iamVjdH0gcGF0Y2ggLSBEZWx0YSAoeyBzZXQ6IHtmaWxlUGF0aDogQXJyYXk8c3RyaW5nPn0sIHJlbW92ZTogQXJyYXk8c3RyaW5nPiB9KVxuICovXG5leHBvcnQgY29uc3QgYXBwbHlVc2FnZU1hcFBhdGNoID0gKHBhdGNoKSA9PiB7XG4gIGlmICghcGF0Y2gpIHJldHVybjtcblxuICBPYmplY3QuZW50cmllcyhwYXRjaC5zZXQgfHwge30pLmZvckVhY2goKFtmaWxlUGF0aCwgY29tcG9uZW50c10pID0+IHtcbiAgICB1c2FnZU1hcFtmaWxlUGF0aF0gPSBjb21wb25lbnRzO1xuICAgIHByb2plY3RGaWxlUGF0aHMuYWRkKGZpbGVQYXRoKTtcbiAgfSk7XG4gIChwYXRjaC5yZW1vdmUgfHwgW10pLmZvckVhY2goKGZpbGVQYXRoKSA9PiB7XG4gICAgZGVsZXRlIHVzYWdlTWFwW2ZpbGVQYXRoXTtcbiAgfSk7XG59O1xuXG4vKipcbiAqIEFwcGxpZXMgYW4gaW1wb3J0IG1hcCBkZWx0YSBzZW50IGJ5IHRoZSBzZXJ2ZXIgYWZ0ZXIgZmlsZXMgY2hhbmdlZFxuICogQHBhcmFtIHtPYmplY3R9IHBhdGNoIC0gRGVsdGEgKHsgc2V0OiB7ZmlsZVBhdGg6IHtuYW1lOiByZXNvbHZlZEZpbGV9fSwgcmVtb3ZlOiBBcnJheTxzdHJpbmc+IH0pXG4gKi9cbmV4cG9ydCBjb25zdCBhcHBseUltcG9ydE1hcFBhdGNoID0gKHBhdGNoKSA9PiB7XG4gIGlmICghcGF0Y2gpIHJldHVybjtcblxuICBPYmplY3QuZW50cmllcyhwYXRjaC5zZXQgfHwge30pLmZvckVhY2goKFtmaWxlUGF0aCwgY29tcG9uZW50c10pID0+IHtcbiAgICBpbXBvcnRNYXBbZmlsZVBhdGhdID0gY29tcG9uZW50cztcbiAgICBwcm9qZWN0RmlsZVBhdGhzLmFkZChmaWxlUGF0aCk7XG4gIH0pO1xuICAocGF0Y2gucmVtb3ZlIHx8IFtdKS5mb3JFYWNoKChmaWxlUGF0aCkgPT4ge1xuICAgIGRlbGV0ZSBpbXBvcnRNYXBbZmlsZVBhdGhdO1xuICB9KTtcbn07XG5cbi8qKlxuICogQXBwbGllcyBhIHByb2plY3QgZmlsZXMgZGVsdGEgc2VudCBieSB0aGUgc2VydmVyIGFmdGVyIGZpbGVzIHdlcmUgYWRkZWQgb3IgZGVsZXRlZFxuICogQHBhcmFtIHtPYmplY3R9IHBhdGNoIC0gRGVsdGEgKHsgYWRkZWQ6IEFycmF5PHN0cmluZz4sIHJlbW92ZWQ6IEFycmF5PHN0cmluZz4gfSlcbiAqL1xuZXhwb3J0IGNvbnN0IGFwcGx5UHJvamVjdEZpbGVzUGF0Y2ggPSAocGF0Y2gpID0+IHtcbiAgaWYgKCFwYXRjaCkgcmV0dXJuO1xuXG4gIChwYXRjaC5hZGRlZCB8fCBbXSkuZm9yRWFjaCgoZmlsZVBhdGgpID0+IHtcbiAgICBpZiAocHJvamVjdEZpbGVQYXRocy5oYXMoZmlsZVBhdGgpKSByZXR1cm47XG4gICAgcHJvamVjdEZpbGVQYXRocy5hZGQoZmlsZVBhdGgpO1xuICAgIGluZGV4UHJvamVjdEZpbGUoZmlsZVBhdGgpO1xuICB9KTtcbiAgKHBhdGNoLnJlbW92ZWQgfHwgW10pLmZvckVhY2goKGZpbGVQYXRoKSA9PiB7XG4gICAgcHJvamVjdEZpbGVQYXRocy5kZWxldGUoZmlsZVBhdGgpO1xuICAgIHVuaW5kZXhQcm9qZWN0RmlsZShmaWxlUGF0aCk7XG4gIH0pO1xufTtcblxuLyoqXG4gKiBTYW1wbGVzIGZpbGUgcGF0aHMgb2YgcHJvamVjdCBjb21wb25lbnRzIGZyb20gUmVhY3QgZmliZXJzIGZvdW5kIGluIHRoZSBET01cbiAqIEByZXR1cm5zIHtBcnJheTxzdHJpbmc+fSBTb3VyY2UgZmlsZSBwYXRoc1xuICovXG5jb25zdCBjb2xsZWN0RmlsZVBhdGhzRnJvbURPTSA9ICgpID0+IHtcbiAgY29uc3QgZmlsZVBhdGhzID0gW107XG4gIGNvbnN0IG1heFNhbXBsZXMgPSA1MDsgLy8gTGltaXQgc2FtcGxlcyBmb3IgcGVyZm9ybWFuY2VcbiAgbGV0IHNhbXBsZXMgPSAwO1xuXG4gIGNvbnN0IHdhbGtlciA9IGRvY3VtZW50LmNyZWF0ZVRyZWVXYWxrZXIoZG9jdW1lbnQuYm9keSwgTm9kZUZpbHRlci5TSE9XX0VMRU1FTlQsIG51bGwsIGZhbHNlKTtcblxuICBsZXQgbm9kZTtcbiAgd2hpbGUgKChub2RlID0gd2Fsa2VyLm5leHROb2RlKCkpICYmIHNhbXBsZXMgPCBtYXhTYW1wbGVzKSB7XG4gICAgY29uc3QgZmliZXJLZXkgPSBPYmplY3Qua2V5cyhub2RlKS5maW5kKFxuICAgICAgKGtleSkgPT4ga2V5LnN0YXJ0c1dpdGgoJ19fcmVhY3RGaWJlciQnKSB8fCBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEludGVybmFsSW5zdGFuY2UkJyksXG4gICAgKTtcblxuICAgIGlmIChmaWJlcktleSkge1xuICAgICAgY29uc3QgZmliZXIgPSBub2RlW2ZpYmVyS2V5XTtcbiAgICAgIGxldCBjdXJyZW50RmliZXIgPSBmaWJlcjtcbiAgICAgIGxldCBkZXB0aCA9IDA7XG5cbiAgICAgIHdoaWxlIChjdXJyZW50RmliZXIgJiYgZGVwdGggPCAxMCkge1xuICAgICAgICBjb25zdCBmaWJlclNvdXJjZSA9IGdldEZpYmVyU291cmNlKGN1cnJlbnRGaWJlcik7XG4gICAgICAgIGlmIChmaWJlclNvdXJjZSkge1xuICAgICAgICAgIGNvbnN0IGZpbGVQYXRoID0gZmliZXJTb3VyY2UuZmlsZU5hbWU7XG4gICAgICAgICAgaWYgKCFpc0V4dGVybmFsUGF0aChmaWxlUGF0aCkpIHtcbiAgICAgICAgICAgIGZpbGVQYXRocy5wdXNoKGZpbGVQYXRoKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgY3VycmVudEZpYmVyID0gY3VycmVudEZpYmVyLnJldHVybjtcbiAgICAgICAgZGVwdGgrKztcbiAgICAgICAgc2FtcGxlcysrO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBmaWxlUGF0aHM7XG59O1xuXG4vKipcbiAqIEF0dGVtcHRzIHRvIGRldGVjdCBwcm9qZWN0IHJvb3QgZnJvbSBmaWJlciB0cmVlIHdoZW4gc2VydmVyIGlzIG5vdCBhdmFpbGFibGVcbiAqIFNjYW5zIERPTSBmb3IgUmVhY3QgZmliZXJzIGFuZCBleHRyYWN0cyBmaWxlIHBhdGhzIHRvIGluZmVyIHByb2plY3Qgcm9vdFxuICovXG5jb25zdCBkZXRlY3RQcm9qZWN0Um9vdEZyb21ET00gPSBhc3luYyAoKSA9PiB7XG4gIGlmIChwcm9qZWN0Um9vdCkge1xuICAgIHJldHVybjtcbiAgfVxuXG4gIHRyeSB7XG4gICAgLy8gVGhlIGZpcnN0IHBhc3MgcXVldWVzIHRoZSBzY3JpcHRzIGJlaGluZCBzdGFjay1iYXNlZCBsb2NhdGlvbnMgKFJlYWN0IDE5KSBzbyB0aGVcbiAgICAvLyBzZWNvbmQgcGFzcyBzZWVzIG9yaWdpbmFsIGZpbGVzIGluc3RlYWQgb2YgYnVuZGxlIFVSTHNcbiAgICBjb2xsZWN0RmlsZVBhdGhzRnJvbURPTSgpO1xuICAgIGF3YWl0IGxvYWRQZW5kaW5nU291cmNlTWFwcygpO1xuXG4gICAgaWYgKHByb2plY3RSb290KSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgY29uc3QgZmlsZVBhdGhzID0gY29sbGVjdEZpbGVQYXRoc0Zyb21ET00oKTtcblxuICAgIGlmIChmaWxlUGF0aHMubGVuZ3RoID4gMCkge1xuICAgICAgY29uc3QgZGV0ZWN0ZWRSb290ID0gZGV0ZWN0UHJvamVjdFJvb3RGcm9tUGF0aHMoZmlsZVBhdGhzKTtcbiAgICAgIGlmIChkZXRlY3RlZFJvb3QpIHtcbiAgICAgICAgcHJvamVjdFJvb3QgPSBkZXRlY3RlZFJvb3Q7XG4gICAgICB9XG4gICAgfVxuICB9IGNhdGNoIHtcbiAgICAvLyBTaWxlbnRseSBmYWlsIC0gcHJvamVjdCByb290IGRldGVjdGlvbiBpcyBvcHRpb25hbFxuICB9XG59O1xuXG4vKipcbiAqIENoZWNrcyBpZiBhbiBleHRlcm5hbCBjb21wb25lbnQgaXMgdXNlZCBieSBhbnkgaW50ZXJuYWwgY29tcG9uZW50IGluIHRoZSBzZWVuIGxpc3RcbiAqIENoZWNrcyB1c2FnZSBtYXAgZmlyc3QgKHByaW1hcnkpLCB0aGVuIGltcG9ydCBtYXAgKGZhbGxiYWNrKVxuICogQHBhcmFtIHtzdHJpbmd9IGNvbXBvbmVudE5hbWUgLSBFeHRlcm5hbCBjb21wb25lbnQgbmFtZSB0byBjaGVja1xuICogQHBhcmFtIHtBcnJheX0gc2VlbkludGVybmFsQ29tcG9uZW50cyAtIEFycmF5IG9mIGludGVybmFsIGNvbXBvbmVudHMgc2VlbiBzbyBmYXIgaW4gcGF0aFxuICogQHJldHVybnMge2Jvb2xlYW59IFRydWUgaWYgY29tcG9uZW50IGlzIHVzZWQgYnkgYW55IHNlZW4gaW50ZXJuYWwgY29tcG9uZW50XG4gKi9cbmNvbnN0IGlzVXNlZEJ5SW50ZXJuYWxDb21wb25lbnRzID0gKGNvbXBvbmVudE5hbWUsIHNlZW5JbnRlcm5hbENvbXBvbmVudHMpID0+IHtcbiAgaWYgKCFjb21wb25lbnROYW1lIHx8IHNlZW5JbnRlcm5hbENvbXBvbmVudHMubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuIGZhbHNlO1xuICB9XG5cbiAgaWYgKE9iamVjdC5rZXlzKHVzYWdlTWFwKS5sZW5ndGggPT09IDAgJiYgT2JqZWN0LmtleXMoaW1wb3J0TWFwKS5sZW5ndGggPT09IDApIHtcbiAgICByZXR1cm4gdHJ1ZTtcbiAgfVxuXG4gIGZvciAoY29uc3QgaW50ZXJuYWxDb21wIG9mIHNlZW5JbnRlcm5hbENvbXBvbmVudHMpIHtcbiAgICBjb25zdCBmaWxlUGF0aCA9IGludGVybmFsQ29tcC5maWxlO1xuICAgIGlmICghZmlsZVBhdGgpIGNvbnRpbnVlO1xuXG4gICAgaWYgKHVzYWdlTWFwW2ZpbGVQYXRoXSAmJiBBcnJheS5pc0FycmF5KHVzYWdlTWFwW2ZpbGVQYXRoXSkpIHtcbiAgICAgIGlmICh1c2FnZU1hcFtmaWxlUGF0aF0uaW5jbHVkZXMoY29tcG9uZW50TmFtZSkpIHtcbiAgICAgICAgcmV0dXJuIHRydWU7XG4gICAgICB9XG4gICAgfVxuXG4gICAgLy8gSW1wb3J0ZWQgbmFtZSAtPiByZXNvbHZlZCBmaWxlLCBvciBhIHBsYWluIG5hbWUgbGlzdCAod2luZG93Ll9fWFJBWV9SRUFDVF9JTVBPUlRfTUFQX18pXG4gICAgY29uc3QgaW1wb3J0cyA9IGltcG9ydE1hcFtmaWxlUGF0aF07XG4gICAgaWYgKFxuICAgICAgQXJyYXkuaXNBcnJheShpbXBvcnRzKVxuICAgICAgICA/IGltcG9ydHMuaW5jbHVkZXMoY29tcG9uZW50TmFtZSlcbiAgICAgICAgOiBpbXBvcnRzPy5bY29tcG9uZW50TmFtZV0gIT09IHVuZGVmaW5lZFxuICAgICkge1xuICAgICAgcmV0dXJuIHRydWU7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGZhbHNlO1xufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBSZWFjdCBTZXJ2ZXIgQ29tcG9uZW50cyB0aGF0IHJldHVybmVkIGEgZmliZXIncyBlbGVtZW50XG4gKiBTZXJ2ZXIgY29tcG9uZW50cyBsZWF2ZSBubyBmaWJlcjsgUmVhY3QgMTkgYXR0YWNoZXMgdGhlaXIgY29tcG9uZW50IGluZm8gZnJvbSB0aGUgUlNDXG4gKiBwYXlsb2FkIHRvIHRoZSBmaWJlcnMgb2YgdGhlIGVsZW1lbnRzIHRoZXkgcmV0dXJuZWRcbiAqIEBwYXJhbSB7T2JqZWN0fSBmaWJlciAtIFJlYWN0IGZpYmVyIG5vZGVcbiAqIEByZXR1cm5zIHtBcnJheTxPYmplY3Q+fSBDb21wb25lbnQgaW5mb3MgKHsgbmFtZSwgZW52LCAuLi4gfSkgaW4gY2hpbGQgLT4gcGFyZW50IG9yZGVyXG4gKi9cbmNvbnN0IGdldFNlcnZlckNvbXBvbmVudEluZm9zID0gKGZpYmVyKSA9PiB7XG4gIGlmICghQXJyYXkuaXNBcnJheShmaWJlci5fZGVidWdJbmZvKSkgcmV0dXJuIFtdO1xuXG4gIC8vIE90aGVyIGVudHJpZXMgYXJlIHRpbWluZ3MgYW5kIGF3YWl0ZWQgSS9PXG4gIHJldHVybiBmaWJlci5fZGVidWdJbmZvXG4gICAgLmZpbHRlcigoaW5mbykgPT4gaW5mbyAmJiB0eXBlb2YgaW5mby5uYW1lID09PSAnc3RyaW5nJyAmJiAnZW52JyBpbiBpbmZvKVxuICAgIC5yZXZlcnNlKCk7XG59O1xuXG4vKipcbiAqIEdldHMgYSBzdGFibGUgb3ZlcmxheSB1aWQgZm9yIGEgc2VydmVyIGNvbXBvbmVudCBpbnN0YW5jZVxuICogQHBhcmFtIHtPYmplY3R9IGluZm8gLSBTZXJ2ZXIgY29tcG9uZW50IGluZm8gc2hhcmVkIGJ5IHRoZSBmaWJlcnMgb2YgaXRzIGVsZW1lbnRzXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBPdmVybGF5IHVpZFxuICovXG5jb25zdCBnZXRTZXJ2ZXJDb21wb25lbnRJZCA9IChpbmZvKSA9PiB7XG4gIGlmICghc2VydmVyQ29tcG9uZW50SWRzLmhhcyhpbmZvKSkge1xuICAgIHNlcnZlckNvbXBvbmVudElkcy5zZXQoaW5mbywgYHhyYXktc2VydmVyLSR7bmV4dFNlcnZlckNvbXBvbmVudElkKyt9YCk7XG4gIH1cbiAgcmV0dXJuIHNlcnZlckNvbXBvbmVudElkcy5nZXQoaW5mbyk7XG59O1xuXG4vKipcbiAqIEdldHMgdGhlIHJvdXRlIG1vZHVsZSBhIFJlYWN0IFJvdXRlciByb3V0ZSBmaWJlciByZW5kZXJzIGluIGZyYW1ld29yayBtb2RlXG4gKiBSZWFjdCBSb3V0ZXIgdjcgZnJhbWV3b3JrIG1vZGUgYW5kIFJlbWl4IHJlbmRlciBlYWNoIG1hdGNoZWQgcm91dGUgaW4gYSBgUmVuZGVyZWRSb3V0ZWA7IHRoZVxuICogaWRzIG9mIHRoZWlyIHJvdXRlcyBhcmUgcm91dGUgbW9kdWxlIHBhdGhzIChlLmcuLCAncm91dGVzL2hvbWUnKSBsaXN0ZWQgaW4gdGhlIHJvdXRlIG1hbmlmZXN0XG4gKiBAcGFyYW0ge09iamVjdH0gZmliZXIgLSBSZWFjdCBmaWJlciBub2RlXG4gKiBAcmV0dXJucyB7c3RyaW5nfG51bGx9IFJvdXRlIGlkLCBvciBudWxsIGlmIHRoZSBmaWJlciBkb2VzIG5vdCByZW5kZXIgYSByb3V0ZSBtb2R1bGVcbiAqL1xuY29uc3QgZ2V0Um91dGVNb2R1bGVJZCA9IChmaWJlcikgPT4ge1xuICBjb25zdCBwcm9wcyA9IGZpYmVyLm1lbW9pemVkUHJvcHM7XG4gIGNvbnN0IHJvdXRlSWQgPSBwcm9wcz8ubWF0Y2g/LnJvdXRlPy5pZDtcbiAgaWYgKHR5cGVvZiByb3V0ZUlkICE9PSAnc3RyaW5nJyB8fCAhcHJvcHMucm91dGVDb250ZXh0KSByZXR1cm4gbnVsbDtcblxuICBjb25zdCBtYW5pZmVzdCA9IHdpbmRvdy5fX3JlYWN0Um91dGVyTWFuaWZlc3QgfHwgd2luZG93Ll9fcmVtaXhNYW5pZmVzdDtcbiAgcmV0dXJuIG1hbmlmZXN0Py5yb3V0ZXM/Lltyb3V0ZUlkXSA/IHJvdXRlSWQgOiBudWxsO1xufTtcblxuLyoqXG4gKiBUcmF2ZXJzZXMgdGhlIGZpYmVyIHRyZWUgdG8gZmluZCBSZWFjdCBjb21wb25lbnRzLCBza2lwcGluZyBIVE1MIGVsZW1lbnRzXG4gKiBGaWx0ZXJzIG91dCBleHRlcm5hbCBsaWJyYXJ5IGNvbXBvbmVudHMgYmFzZWQgb24gdXNhZ2UvaW1wb3J0IG1hcHNcbiAqIEBwYXJhbSB7T2JqZWN0fSBmaWJlciAtIFN0YXJ0aW5nIGZpYmVyIG5vZGVcbiAqIEBwYXJhbSB7bnVtYmVyfSBtYXhEZXB0aCAtIE1heGltdW0gZGVwdGggdG8gdHJhdmVyc2VcbiAqIEByZXR1cm5zIHtBcnJheX0gQXJyYXkgb2YgY29tcG9uZW50IGluZm9ybWF0aW9uIG9iamVjdHNcbiAqL1xuY29uc3QgdHJhdmVyc2VGaWJlclRyZWUgPSAoZmliZXIsIG1heERlcHRoID0gTUFYX0ZJQkVSX0RFUFRIKSA9PiB7XG4gIGNvbnN0IGFsbENvbXBvbmVudHMgPSBbXTtcbiAgY29uc3QgaW50ZXJuYWxDb21wb25lbnRzID0gW107XG4gIGxldCBjdXJyZW50RmliZXIgPSBmaWJlcjtcbiAgbGV0IGRlcHRoID0gMDtcbiAgLy8gUGVyZm9ybWFuY2UgaW1wcm92ZW1lbnRzXG4gIGNvbnN0IHZpc2l0ZWQgPSBuZXcgU2V0KCk7XG4gIGNvbnN0IHNlZW5TZXJ2ZXJJbmZvcyA9IG5ldyBTZXQoKTtcblxuICB3aGlsZSAoY3VycmVudEZpYmVyICYmIGRlcHRoIDwgbWF4RGVwdGgpIHtcbiAgICBpZiAodmlzaXRlZC5oYXMoY3VycmVudEZpYmVyKSkge1xuICAgICAgYnJlYWs7XG4gICAgfVxuICAgIHZpc2l0ZWQuYWRkKGN1cnJlbnRGaWJlcik7XG5cbiAgICBjb25zdCBlbGVtZW50VHlwZSA9IGN1cnJlbnRGaWJlci5lbGVtZW50VHlwZSB8fCBjdXJyZW50RmliZXIudHlwZTtcblxuICAgIGlmIChlbGVtZW50VHlwZSkge1xuICAgICAgY29uc3QgY29tcG9uZW50TmFtZSA9IHJlc29sdmVDb21wb25lbnROYW1lKGVsZW1lbnRUeXBlLCBjdXJyZW50RmliZXIpO1xuXG4gICAgICBpZiAoY29tcG9uZW50TmFtZSkge1xuICAgICAgICBpZiAoIWlzSFRNTEVsZW1lbnQoY29tcG9uZW50TmFtZSkpIHtcbiAgICAgICAgICBjb25zdCBpc0ludGVybmFsID0gaXNQcm9qZWN0Q29tcG9uZW50KGN1cnJlbnRGaWJlciwgcHJvamVjdFJvb3QsIGNvbXBvbmVudE5hbWUpO1xuXG4gICAgICAgICAgY29uc3QgZmlsZVBhdGggPSBnZXRGaWJlclNvdXJjZShjdXJyZW50RmliZXIpPy5maWxlTmFtZSB8fCBudWxsO1xuXG4gICAgICAgICAgYWxsQ29tcG9uZW50cy5wdXNoKHtcbiAgICAgICAgICAgIG5hbWU6IGNvbXBvbmVudE5hbWUsXG4gICAgICAgICAgICBmaWJlcjogY3VycmVudEZpYmVyLFxuICAgICAgICAgICAgZWxlbWVudFR5cGU6IGVsZW1lbnRUeXBlLFxuICAgICAgICAgICAgZGVwdGg6IGRlcHRoLFxuICAgICAgICAgICAgaXNJbnRlcm5hbDogaXNJbnRlcm5hbCxcbiAgICAgICAgICAgIGZpbGU6IGZpbGVQYXRoLFxuICAgICAgICAgIH0pO1xuXG4gICAgICAgICAgaWYgKGlzSW50ZXJuYWwpIHtcbiAgICAgICAgICAgIGludGVybmFsQ29tcG9uZW50cy5wdXNoKHsgbmFtZTogY29tcG9uZW50TmFtZSwgZmlsZTogZmlsZVBhdGggfSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuXG4gICAgLy8gUm91dGUgbW9kdWxlcyBhcmUgcHJvamVjdCBmaWxlcywgdGhlIHNlcnZlciBmaW5kcyB0aGVtIGJ5IHJvdXRlIGlkXG4gICAgY29uc3Qgcm91dGVJZCA9IGdldFJvdXRlTW9kdWxlSWQoY3VycmVudEZpYmVyKTtcbiAgICBpZiAocm91dGVJZCkge1xuICAgICAgYWxsQ29tcG9uZW50cy5wdXNoKHtcbiAgICAgICAgbmFtZTogcm91dGVJZCxcbiAgICAgICAgZmliZXI6IGN1cnJlbnRGaWJlcixcbiAgICAgICAgZWxlbWVudFR5cGU6IG51bGwsXG4gICAgICAgIGRlcHRoOiBkZXB0aCxcbiAgICAgICAgaXNJbnRlcm5hbDogdHJ1ZSxcbiAgICAgICAgaXNSb3V0ZTogdHJ1ZSxcbiAgICAgICAgZmlsZTogbnVsbCxcbiAgICAgIH0pO1xuICAgICAgaW50ZXJuYWxDb21wb25lbnRzLnB1c2goeyBuYW1lOiByb3V0ZUlkLCBmaWxlOiBudWxsIH0pO1xuICAgIH1cblxuICAgIC8vIFNlcnZlciBjb21wb25lbnRzIHJlbmRlciBpbiB0aGUgcHJvamVjdCdzIG93biBSU0MgcGF5bG9hZCwgc28gdGhleSBhcmUgcHJvamVjdCBjb21wb25lbnRzXG4gICAgZm9yIChjb25zdCBpbmZvIG9mIGdldFNlcnZlckNvbXBvbmVudEluZm9zKGN1cnJlbnRGaWJlcikpIHtcbiAgICAgIGlmIChzZWVuU2VydmVySW5mb3MuaGFzKGluZm8pKSBjb250aW51ZTtcbiAgICAgIHNlZW5TZXJ2ZXJJbmZvcy5hZGQoaW5mbyk7XG5cbiAgICAgIGFsbENvbXBvbmVudHMucHVzaCh7XG4gICAgICAgIG5hbWU6IGluZm8ubmFtZSxcbiAgICAgICAgZmliZXI6IGN1cnJlbnRGaWJlcixcbiAgICAgICAgZWxlbWVudFR5cGU6IG51bGwsXG4gICAgICAgIGRlcHRoOiBkZXB0aCxcbiAgICAgICAgaXNJbnRlcm5hbDogdHJ1ZSxcbiAgICAgICAgaXNTZXJ2ZXI6IHRydWUsXG4gICAgICAgIHNlcnZlckluZm86IGluZm8sXG4gICAgICAgIGZpbGU6IG51bGwsXG4gICAgICB9KTtcbiAgICAgIGludGVybmFsQ29tcG9uZW50cy5wdXNoKHsgbmFtZTogaW5mby5uYW1lLCBmaWxlOiBudWxsIH0pO1xuICAgIH1cblxuICAgIGN1cnJlbnRGaWJlciA9IGN1cnJlbnRGaWJlci5yZXR1cm4gfHwgY3VycmVudEZpYmVyLl9vd25lcjtcbiAgICBkZXB0aCsrO1xuICB9XG5cbiAgY29uc3QgZmlsdGVyZWRDb21wb25lbnRzID0gW107XG4gIGZvciAoY29uc3QgY29tcCBvZiBhbGxDb21wb25lbnRzKSB7XG4gICAgaWYgKGNvbXAuaXNJbnRlcm5hbCkge1xuICAgICAgZmlsdGVyZWRDb21wb25lbnRzLnB1c2goe1xuICAgICAgICBuYW1lOiBjb21wLm5hbWUsXG4gICAgICAgIGZpYmVyOiBjb21wLmZpYmVyLFxuICAgICAgICBlbGVtZW50VHlwZTogY29tcC5lbGVtZW50VHlwZSxcbiAgICAgICAgZGVwdGg6IGNvbXAuZGVwdGgsXG4gICAgICAgIGZpbGU6IGNvbXAuZmlsZSxcbiAgICAgICAgaXNJbnRlcm5hbDogY29tcC5pc0ludGVybmFsLFxuICAgICAgICBpc1NlcnZlcjogY29tcC5pc1NlcnZlcixcbiAgICAgICAgc2VydmVySW5mbzogY29tcC5zZXJ2ZXJJbmZvLFxuICAgICAgICBpc1JvdXRlOiBjb21wLmlzUm91dGUsXG4gICAgICB9KTtcbiAgICB9IGVsc2Uge1xuICAgICAgaWYgKGlzVXNlZEJ5SW50ZXJuYWxDb21wb25lbnRzKGNvbXAubmFtZSwgaW50ZXJuYWxDb21wb25lbnRzKSkge1xuICAgICAgICBmaWx0ZXJlZENvbXBvbmVudHMucHVzaCh7XG4gICAgICAgICAgbmFtZTogY29tcC5uYW1lLFxuICAgICAgICAgIGZpYmVyOiBjb21wLmZpYmVyLFxuICAgICAgICAgIGVsZW1lbnRUeXBlOiBjb21wLmVsZW1lbnRUeXBlLFxuICAgICAgICAgIGRlcHRoOiBjb21wLmRlcHRoLFxuICAgICAgICAgIGZpbGU6IGNvbXAuZmlsZSxcbiAgICAgICAgICBpc0ludGVybmFsOiBjb21wLmlzSW50ZXJuYWwsXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBmaWx0ZXJlZENvbXBvbmVudHM7XG59O1xuXG4vKipcbiAqIEdldHMgUmVhY3QgY29tcG9uZW50IGluZm9ybWF0aW9uIGZyb20gYSBET00gZWxlbWVudCB1c2luZyBSZWFjdCBEZXZUb29scyBwcm90b2NvbFxuICogU3VwcG9ydHMgUmVhY3QgMTgrIGFuZCBmYWxscyBiYWNrIHRvIGxlZ2FjeSBkZXRlY3Rpb24gZm9yIG9sZGVyIHZlcnNpb25zXG4gKiBFbmhhbmNlZCB0byBza2lwIEhUTUwgZWxlbWVudHMgYW5kIGZpbmQgYWN0dWFsIFJlYWN0IGNvbXBvbmVudHNcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBUaGUgRE9NIGVsZW1lbnRcbiAqIEByZXR1cm5zIHtPYmplY3R9IE9iamVjdCB3aXRoIGNvbXBvbmVudCBuYW1lLCBvcHRpb25hbCB1aWQgYW5kIHNvdXJjZSBsb2NhdGlvblxuICovXG5jb25zdCBnZXRDb21wb25lbnRPYmogPSAoZWxlbSkgPT4ge1xuICBpZiAod2luZG93Ll9fUkVBQ1RfREVWVE9PTFNfR0xPQkFMX0hPT0tfXykge1xuICAgIHRyeSB7XG4gICAgICBjb25zdCBmaWJlcktleSA9IE9iamVjdC5rZXlzKGVsZW0pLmZpbmQoXG4gICAgICAgIChrZXkpID0+IGtleS5zdGFydHNXaXRoKCdfX3JlYWN0RmliZXIkJykgfHwga2V5LnN0YXJ0c1dpdGgoJ19fcmVhY3RJbnRlcm5hbEluc3RhbmNlJCcpLFxuICAgICAgKTtcblxuICAgICAgaWYgKGZpYmVyS2V5KSB7XG4gICAgICAgIGNvbnN0IGZpYmVyID0gZWxlbVtmaWJlcktleV07XG4gICAgICAgIGNvbnN0IGNvbXBvbmVudHMgPSB0cmF2ZXJzZUZpYmVyVHJlZShmaWJlcik7XG5cbiAgICAgICAgaWYgKGNvbXBvbmVudHMubGVuZ3RoID4gMCkge1xuICAgICAgICAgIGNvbnN0IGZpcnN0Q29tcG9uZW50ID0gY29tcG9uZW50c1swXTtcbiAgICAgICAgICBjb25zdCB1aWQgPSBmaXJzdENvbXBvbmVudC5pc1NlcnZlclxuICAgICAgICAgICAgPyBnZXRTZXJ2ZXJDb21wb25lbnRJZChmaXJzdENvbXBvbmVudC5zZXJ2ZXJJbmZvKVxuICAgICAgICAgICAgOiBmaXJzdENvbXBvbmVudC5maWJlci5fZGVidWdJRCB8fFxuICAgICAgICAgICAgICBgJHtmaXJzdENvbXBvbmVudC5maWJlci5pbmRleCB8fCAnJ30ke2ZpcnN0Q29tcG9uZW50LmZpYmVyLmtleSB8fCAnJ31gO1xuICAgICAgICAgIGNvbnN0IHJldmVyc2VkSGllcmFyY2h5ID0gY29tcG9uZW50cy5yZXZlcnNlKCkubWFwKChjKSA9PiBjLm5hbWUpO1xuICAgICAgICAgIGNvbnN0IHN0YW1wZWQgPSBnZXRTdGFtcGVkQ29tcG9uZW50KGVsZW0pO1xuICAgICAgICAgIC8vIE1pbmlmaWVkIGRpc3BsYXkgbmFtZXMgZG8gbm90IGFwcGVhciBpbiB0aGUgaGllcmFyY2h5LCBwcmVmZXIgdGhlIHN0YW1wZWQgb3duZXJcbiAgICAgICAgICBjb25zdCBuYW1lID1cbiAgICAgICAgICAgIHN0YW1wZWQgJiYgc3RhbXBlZC5uYW1lICYmICFyZXZlcnNlZEhpZXJhcmNoeS5pbmNsdWRlcyhzdGFtcGVkLm5hbWUpXG4gICAgICAgICAgICAgID8gc3RhbXBlZC5uYW1lXG4gICAgICAgICAgICAgIDogZmlyc3RDb21wb25lbnQubmFtZTtcbiAgICAgICAgICAvLyBUaGUgaG9zdCBlbGVtZW50J3Mgb3duIGxvY2F0aW9uIHBvaW50cyBpbnNpZGUgdGhlIGNvbXBvbmVudCB0aGF0IHJlbmRlcmVkIGl0XG4gICAgICAgICAgY29uc3QgZmliZXJTb3VyY2UgPSBnZXRGaWJlclNvdXJjZShmaWJlcikgfHwgZ2V0RmliZXJTb3VyY2UoZmlyc3RDb21wb25lbnQuZmliZXIpO1xuICAgICAgICAgIGNvbnN0IHNvdXJjZSA9IGdldE92ZXJsYXlTb3VyY2UoZWxlbSwgbmFtZSwgZmliZXJTb3VyY2UpO1xuICAgICAgICAgIGNvbnN0IGlzU2VydmVyID0gQm9vbGVhbihmaXJzdENvbXBvbmVudC5pc1NlcnZlcikgJiYgbmFtZSA9PT0gZmlyc3RDb21wb25lbnQubmFtZTtcbiAgICAgICAgICByZXR1cm4geyBuYW1lLCB1aWQsIGhpZXJhcmNoeTogcmV2ZXJzZWRIaWVyYXJjaHksIHNvdXJjZSwgaXNTZXJ2ZXIgfTtcbiAgICAgICAgfVxuICAgICAgfVxuICAgIH0gY2F0Y2gge1xuICAgICAgLy8gU2lsZW50bHkgZmFsbCBiYWNrIHRvIGxlZ2FjeSBkZXRlY3Rpb25cbiAgICB9XG4gIH1cblxuICBmb3IgKGNvbnN0IGtleSBvZiBPYmplY3Qua2V5cyhlbGVtKSkge1xuICAgIGlmIChrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEludGVybmFsSW5zdGFuY2UkJykpIHtcbiAgICAgIGNvbnN0IGZpYmVyTm9kZSA9IGVsZW1ba2V5XTtcbiAgICAgIGlmIChmaWJlck5vZGUpIHtcbiAgICAgICAgdHJ5IHtcbiAgICAgICAgICBjb25zdCBjb21wb25lbnRzID0gdHJhdmVyc2VGaWJlclRyZWUoZmliZXJOb2RlKTtcbiAgICAgICAgICBpZiAoY29tcG9uZW50cy5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgICBjb25zdCBmaXJzdENvbXBvbmVudCA9IGNvbXBvbmVudHNbMF07XG4gICAgICAgICAgICBjb25zdCByZXZlcnNlZEhpZXJhcmNoeSA9IGNvbXBvbmVudHMucmV2ZXJzZSgpLm1hcCgoYykgPT4gYy5uYW1lKTtcbiAgICAgICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICAgIG5hbWU6IGZpcnN0Q29tcG9uZW50Lm5hbWUsXG4gICAgICAgICAgICAgIHVpZDogYCR7ZmliZXJOb2RlLl9tb3VudEluZGV4IHx8ICcnfSR7ZmliZXJOb2RlLl9tb3VudE9yZGVyIHx8ICcnfWAsXG4gICAgICAgICAgICAgIGhpZXJhcmNoeTogcmV2ZXJzZWRIaWVyYXJjaHksXG4gICAgICAgICAgICAgIHNvdXJjZTogZ2V0RmliZXJTb3VyY2UoZmliZXJOb2RlKSB8fCBnZXRGaWJlclNvdXJjZShmaXJzdENvbXBvbmVudC5maWJlciksXG4gICAgICAgICAgICB9O1xuICAgICAgICAgIH1cbiAgICAgICAgfSBjYXRjaCB7XG4gICAgICAgICAgLy8gQ29udGludWUgdG8gb2xkIGxlZ2FjeSBkZXRlY3Rpb25cbiAgICAgICAgfVxuICAgICAgfVxuXG4gICAgICBpZiAoZmliZXJOb2RlICYmIGZpYmVyTm9kZS5fY3VycmVudEVsZW1lbnQpIHtcbiAgICAgICAgY29uc3Qgb3duZXIgPSBmaWJlck5vZGUuX2N1cnJlbnRFbGVtZW50Ll9vd25lcjtcbiAgICAgICAgY29uc3QgZmliZXIgPSBvd25lciAmJiBvd25lci5faW5zdGFuY2U7XG4gICAgICAgIGlmIChmaWJlcikge1xuICAgICAgICAgIGNvbnN0IGNvbXBvbmVudE5hbWUgPSBmaWJlci5jb25zdHJ1Y3Rvci5uYW1lO1xuICAgICAgICAgIGlmICghaXNIVE1MRWxlbWVudChjb21wb25lbnROYW1lKSkge1xuICAgICAgICAgICAgcmV0dXJuIHtcbiAgICAgICAgICAgICAgbmFtZTogY29tcG9uZW50TmFtZSxcbiAgICAgICAgICAgICAgdWlkOiBgJHtvd25lci5fbW91bnRJbmRleCB8fCAnJ30ke293bmVyLl9tb3VudE9yZGVyIHx8ICcnfWAsXG4gICAgICAgICAgICB9O1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfSBlbHNlIGlmIChmaWJlck5vZGUpIHtcbiAgICAgICAgY29uc3QgZmliZXIgPSBmaWJlck5vZGUucmV0dXJuPy5zdGF0ZU5vZGU/Ll9yZWFjdEludGVybmFsRmliZXI7XG4gICAgICAgIGlmIChmaWJlcikge1xuICAgICAgICAgIGNvbnN0IGNvbXBvbmVudE5hbWUgPSBmaWJlci50eXBlPy5uYW1lIHx8ICdVbmtub3duJztcbiAgICAgICAgICBpZiAoY29tcG9uZW50TmFtZSAhPT0gJ1Vua25vd24nICYmICFpc0hUTUxFbGVtZW50KGNvbXBvbmVudE5hbWUpKSB7XG4gICAgICAgICAgICByZXR1cm4geyBuYW1lOiBjb21wb25lbnROYW1lIH07XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgY29uc3Qgc3RhbXBlZCA9IGdldFN0YW1wZWRDb21wb25lbnQoZWxlbSk7XG4gIGlmIChzdGFtcGVkICYmIHN0YW1wZWQubmFtZSkge1xuICAgIHJldHVybiB7XG4gICAgICBuYW1lOiBzdGFtcGVkLm5hbWUsXG4gICAgICB1aWQ6IGdldFN0YW1wZWRJbnN0YW5jZUlkKGVsZW0sIHN0YW1wZWQubmFtZSksXG4gICAgICBzb3VyY2U6IHN0YW1wZWQuc291cmNlLFxuICAgIH07XG4gIH1cblxuICBjb25zdCB0YWdOYW1lID0gZWxlbS50YWdOYW1lPy50b0xvd2VyQ2FzZSgpO1xuICBpZiAodGFnTmFtZSAmJiBpc0hUTUxFbGVtZW50KHRhZ05hbWUpKSB7XG4gICAgcmV0dXJuIHsgbmFtZTogdGFnTmFtZSB9O1xuICB9XG5cbiAgcmV0dXJuIHt9O1xufTtcblxuLyoqXG4gKiBDcmVhdGVzIGEgY2FjaGVkIGZ1bmN0aW9uIGZvciBzZWFyY2hpbmcgYW5kIGNyZWF0aW5nIGNvbXBvbmVudCBvdmVybGF5c1xuICogQHJldHVybnMge0Z1bmN0aW9ufSBGdW5jdGlvbiB0aGF0IGNyZWF0ZXMgb3ZlcmxheSBlbGVtZW50cyBmb3IgY29tcG9uZW50c1xuICovXG5jb25zdCBzZWFyY2hBbmRDcmVhdGVDb21wb25lbnRDYWNoZWQgPSAoKSA9PiB7XG4gIC8vIFBlcmZvcm1hbmNlIGltcHJvdmVtZW50c1xuICBjb25zdCB1aWRzID0gbmV3IFNldCgpO1xuICByZXR1cm4gKGVsZW0pID0+IHtcbiAgICBjb25zdCB7IG5hbWUsIHVpZCwgc291cmNlLCBpc1NlcnZlciB9ID0gZ2V0Q29tcG9uZW50T2JqKGVsZW0pO1xuXG4gICAgaWYgKG5hbWUgJiYgbmFtZSAhPT0gJ1Vua25vd24nKSB7XG4gICAgICBpZiAodWlkKSB7XG4gICAgICAgIGlmICghdWlkcy5oYXModWlkKSkge1xuICAgICAgICAgIHVpZHMuYWRkKHVpZCk7XG4gICAgICAgICAgcmV0dXJuIGNyZWF0ZUVsZW1Gb3JDb21wb25lbnQoZWxlbSwgbmFtZSwgc291cmNlLCBpc1NlcnZlcik7XG4gICAgICAgIH1cbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHJldHVybiBjcmVhdGVFbGVtRm9yQ29tcG9uZW50KGVsZW0sIG5hbWUsIHNvdXJjZSwgaXNTZXJ2ZXIpO1xuICAgICAgfVxuICAgIH1cbiAgICByZXR1cm4gbnVsbDtcbiAgfTtcbn07XG5cbi8qKlxuICogRXh0cmFjdHMgY29tcG9uZW50IG9iamVjdHMgZnJvbSBSZWFjdCBmaWJlciB0cmVlXG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSBlbGVtIC0gRE9NIGVsZW1lbnQgdG8gZXh0cmFjdCBjb21wb25lbnRzIGZyb21cbiAqIEByZXR1cm5zIHtBcnJheX0gQXJyYXkgb2YgY29tcG9uZW50IG9iamVjdHMgZnJvbSBmaWJlciB0cmVlXG4gKi9cbmNvbnN0IGdldENvbXBvbmVudHNGcm9tRWxlbWVudCA9IChlbGVtKSA9PiB7XG4gIGxldCBjb21wb25lbnRzID0gW107XG5cbiAgaWYgKHdpbmRvdy5fX1JFQUNUX0RFVlRPT0xTX0dMT0JBTF9IT09LX18pIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgZmliZXJLZXkgPSBPYmplY3Qua2V5cyhlbGVtKS5maW5kKFxuICAgICAgICAoa2V5KSA9PiBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEZpYmVyJCcpIHx8IGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSxcbiAgICAgICk7XG5cbiAgICAgIGlmIChmaWJlcktleSkge1xuICAgICAgICBjb25zdCBmaWJlciA9IGVsZW1bZmliZXJLZXldO1xuICAgICAgICBjb21wb25lbnRzID0gdHJhdmVyc2VGaWJlclRyZWUoZmliZXIpO1xuICAgICAgICAvLyBSZXZlcnNlIHRvIGdldCBwYXJlbnQgLT4gY2hpbGQgb3JkZXIgKHRyYXZlcnNhbCBnb2VzIGNoaWxkIC0+IHBhcmVudClcbiAgICAgICAgY29tcG9uZW50cyA9IGNvbXBvbmVudHMucmV2ZXJzZSgpO1xuICAgICAgfVxuICAgIH0gY2F0Y2gge1xuICAgICAgLy8gU2lsZW50bHkgZmFsbCBiYWNrIHRvIGxlZ2FjeSBkZXRlY3Rpb25cbiAgICB9XG4gIH1cblxuICBpZiAoY29tcG9uZW50cy5sZW5ndGggPT09IDApIHtcbiAgICBmb3IgKGNvbnN0IGtleSBvZiBPYmplY3Qua2V5cyhlbGVtKSkge1xuICAgICAgaWYgKGtleS5zdGFydHNXaXRoKCdfX3JlYWN0SW50ZXJuYWxJbnN0YW5jZSQnKSkge1xuICAgICAgICBjb25zdCBmaWJlck5vZGUgPSBlbGVtW2tleV07XG4gICAgICAgIGlmIChmaWJlck5vZGUpIHtcbiAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgY29tcG9uZW50cyA9IHRyYXZlcnNlRmliZXJUcmVlKGZpYmVyTm9kZSk7XG4gICAgICAgICAgICAvLyBSZXZlcnNlIHRvIGdldCBwYXJlbnQgLT4gY2hpbGQgb3JkZXJcbiAgICAgICAgICAgIGNvbXBvbmVudHMgPSBjb21wb25lbnRzLnJldmVyc2UoKTtcbiAgICAgICAgICAgIGJyZWFrO1xuICAgICAgICAgIH0gY2F0Y2gge1xuICAgICAgICAgICAgLy8gU2lsZW50bHkgY29udGludWUgdG8gbmV4dCBkZXRlY3Rpb24gbWV0aG9kXG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgaWYgKGNvbXBvbmVudHMubGVuZ3RoID09PSAwKSB7XG4gICAgcmV0dXJuIGdldFN0YW1wZWRDb21wb25lbnRzRnJvbUVsZW1lbnQoZWxlbSk7XG4gIH1cblxuICAvLyBDb21wb25lbnRzIHRoYXQgc3RhbXBlZCB0aGlzIGVsZW1lbnQgb3IgaXRzIGFuY2VzdG9ycyBhdCBidWlsZCB0aW1lIGFyZSBwcm9qZWN0IGNvbXBvbmVudHNcbiAgY29uc3Qgc3RhbXBlZEZpbGVzID0gbmV3IE1hcCgpO1xuICBmb3IgKGxldCBjdXJyZW50ID0gZWxlbTsgY3VycmVudCAmJiBjdXJyZW50ICE9PSBkb2N1bWVudC5ib2R5OyBjdXJyZW50ID0gY3VycmVudC5wYXJlbnRFbGVtZW50KSB7XG4gICAgY29uc3Qgc3RhbXBlZCA9IGdldFN0YW1wZWRDb21wb25lbnQoY3VycmVudCk7XG4gICAgaWYgKHN0YW1wZWQgJiYgc3RhbXBlZC5uYW1lICYmICFzdGFtcGVkRmlsZXMuaGFzKHN0YW1wZWQubmFtZSkpIHtcbiAgICAgIHN0YW1wZWRGaWxlcy5zZXQoc3RhbXBlZC5uYW1lLCBzdGFtcGVkLnNvdXJjZS5maWxlTmFtZSk7XG4gICAgfVxuICB9XG5cbiAgZm9yIChjb25zdCBjb21wIG9mIGNvbXBvbmVudHMpIHtcbiAgICBpZiAoc3RhbXBlZEZpbGVzLmhhcyhjb21wLm5hbWUpKSB7XG4gICAgICBjb21wLmlzSW50ZXJuYWwgPSB0cnVlO1xuICAgICAgY29tcC5pc1N0YW1wZWQgPSB0cnVlO1xuICAgICAgY29tcC5maWxlID0gY29tcC5maWxlIHx8IHN0YW1wZWRGaWxlcy5nZXQoY29tcC5uYW1lKTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gY29tcG9uZW50cztcbn07XG5cbi8qKlxuICogR2V0cyBjb21wb25lbnQgcGF0aCBmcm9tIERPTSB0cmF2ZXJzYWwgKGZhbGxiYWNrIG1ldGhvZClcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBET00gZWxlbWVudCB0byBzdGFydCB0cmF2ZXJzYWwgZnJvbVxuICogQHJldHVybnMge0FycmF5fSBBcnJheSBvZiBjb21wb25lbnQgbmFtZXMgZnJvbSBET00gdHJhdmVyc2FsXG4gKi9cbmNvbnN0IGdldERvbVBhdGggPSAoZWxlbSkgPT4ge1xuICBsZXQgY3VycmVudEVsZW0gPSBlbGVtO1xuICBjb25zdCBkb21QYXRoID0gW107XG4gIGNvbnN0IHNlZW5Db21wb25lbnROYW1lcyA9IG5ldyBTZXQoKTtcblxuICB3aGlsZSAoY3VycmVudEVsZW0gJiYgY3VycmVudEVsZW0ucGFyZW50Tm9kZSAmJiBkb21QYXRoLmxlbmd0aCA8IDIwKSB7XG4gICAgY3VycmVudEVsZW0gPSBjdXJyZW50RWxlbS5wYXJlbnROb2RlO1xuICAgIGNvbnN0IHsgbmFtZTogY29tcG9uZW50IH0gPSBnZXRDb21wb25lbnRPYmooY3VycmVudEVsZW0pO1xuICAgIGlmIChjb21wb25lbnQgJiYgY29tcG9uZW50ICE9PSAnVW5rbm93bicgJiYgIWlzSFRNTEVsZW1lbnQoY29tcG9uZW50KSkge1xuICAgICAgY29uc3Qgbm9ybWFsaXplZE5hbWUgPSBjb21wb25lbnQudG9Mb3dlckNhc2UoKTtcbiAgICAgIGlmICghc2VlbkNvbXBvbmVudE5hbWVzLmhhcyhub3JtYWxpemVkTmFtZSkpIHtcbiAgICAgICAgc2VlbkNvbXBvbmVudE5hbWVzLmFkZChub3JtYWxpemVkTmFtZSk7XG4gICAgICAgIGRvbVBhdGgudW5zaGlmdChjb21wb25lbnQpO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIHJldHVybiBkb21QYXRoO1xufTtcblxuLyoqXG4gKiBCdWlsZHMgZnVsbCBjb21wb25lbnQgc3RydWN0dXJlIHBhdGggKGluY2x1ZGVzIGFsbCBjb21wb25lbnRzKVxuICogQHBhcmFtIHtBcnJheX0gY29tcG9uZW50cyAtIENvbXBvbmVudCBvYmplY3RzIGZyb20gZmliZXIgdHJlZVxuICogQHBhcmFtIHtzdHJpbmd9IGN1cnJlbnRDb21wb25lbnROYW1lIC0gTmFtZSBvZiBjdXJyZW50IGNvbXBvbmVudFxuICogQHBhcmFtIHtIVE1MRWxlbWVudH0gZWxlbSAtIE9yaWdpbmFsIERPTSBlbGVtZW50IGZvciBmYWxsYmFja1xuICogQHJldHVybnMge3N0cmluZ30gRnVsbCBjb21wb25lbnQgcGF0aCBzdHJ1Y3R1cmVcbiAqL1xuY29uc3QgYnVpbGRGdWxsU3RydWN0dXJlID0gKGNvbXBvbmVudHMsIGN1cnJlbnRDb21wb25lbnROYW1lLCBlbGVtKSA9PiB7XG4gIGlmIChjb21wb25lbnRzLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBmaWx0ZXJlZENvbXBvbmVudHMgPSBjb21wb25lbnRzLmZpbHRlcihcbiAgICAgIChjb21wKSA9PiBjb21wLm5hbWUgIT09IGN1cnJlbnRDb21wb25lbnROYW1lICYmICFpc0hUTUxFbGVtZW50KGNvbXAubmFtZSksXG4gICAgKTtcblxuICAgIGlmIChmaWx0ZXJlZENvbXBvbmVudHMubGVuZ3RoID4gMCkge1xuICAgICAgY29uc3QgZnVsbFBhdGggPSBmaWx0ZXJlZENvbXBvbmVudHMubWFwKChjb21wKSA9PiBjb21wLm5hbWUpO1xuICAgICAgcmV0dXJuIFsuLi5mdWxsUGF0aCwgY3VycmVudENvbXBvbmVudE5hbWVdLmpvaW4oJyAtPiAnKTtcbiAgICB9XG5cbiAgICByZXR1cm4gY3VycmVudENvbXBvbmVudE5hbWU7XG4gIH1cblxuICBjb25zdCBkb21QYXRoID0gZ2V0RG9tUGF0aChlbGVtKTtcblxuICBpZiAoZG9tUGF0aC5sZW5ndGggPiAwKSB7XG4gICAgcmV0dXJuIFsuLi5kb21QYXRoLCBjdXJyZW50Q29tcG9uZW50TmFtZV0uam9pbignIC0+ICcpO1xuICB9XG5cbiAgcmV0dXJuIGN1cnJlbnRDb21wb25lbnROYW1lO1xufTtcblxuLyoqXG4gKiBCdWlsZHMgZmlsdGVyZWQgY29tcG9uZW50IHN0cnVjdHVyZSBwYXRoIChvbmx5IHByb2plY3Qtb3duZWQgY29tcG9uZW50cylcbiAqIEBwYXJhbSB7QXJyYXl9IGNvbXBvbmVudHMgLSBDb21wb25lbnQgb2JqZWN0cyBmcm9tIGZpYmVyIHRyZWVcbiAqIEBwYXJhbSB7c3RyaW5nfSBjdXJyZW50Q29tcG9uZW50TmFtZSAtIE5hbWUgb2YgY3VycmVudCBjb21wb25lbnRcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IGVsZW0gLSBPcmlnaW5hbCBET00gZWxlbWVudCBmb3IgZmFsbGJhY2tcbiAqIEByZXR1cm5zIHtzdHJpbmd9IEZpbHRlcmVkIGNvbXBvbmVudCBwYXRoIHN0cnVjdHVyZVxuICovXG5jb25zdCBidWlsZEZpbHRlcmVkU3RydWN0dXJlID0gKGNvbXBvbmVudHMsIGN1cnJlbnRDb21wb25lbnROYW1lLCBlbGVtKSA9PiB7XG4gIGlmIChjb21wb25lbnRzLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBmaWx0ZXJlZENvbXBvbmVudHMgPSBjb21wb25lbnRzLmZpbHRlcihcbiAgICAgIChjb21wKSA9PiBjb21wLm5hbWUgIT09IGN1cnJlbnRDb21wb25lbnROYW1lICYmICFpc0hUTUxFbGVtZW50KGNvbXAubmFtZSksXG4gICAgKTtcblxuICAgIGNvbnN0IHNlZW5Db21wb25lbnRzID0gbmV3IFNldCgpO1xuICAgIGNvbnN0IHByb2plY3RPd25lZENvbXBvbmVudHMgPSBbXTtcblxuICAgIGZvciAoY29uc3QgY29tcCBvZiBmaWx0ZXJlZENvbXBvbmVudHMpIHtcbiAgICAgIGlmICghY29tcC5pc0ludGVybmFsKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuXG4gICAgICBjb25zdCBub3JtYWxpemVkTmFtZSA9IGNvbXAubmFtZS50b0xvd2VyQ2FzZSgpO1xuXG4gICAgICAvLyBDb21wb25lbnRzIHN0YW1wZWQgYXQgYnVpbGQgdGltZSBhcmUga25vd24gcHJvamVjdCBjb21wb25lbnRzLCBubyBuYW1lIG1hdGNoaW5nIG5lZWRlZFxuICAgICAgaWYgKGNvbXAuaXNTdGFtcGVkKSB7XG4gICAgICAgIGNvbnN0IGNvbXBvbmVudEtleSA9IGAke25vcm1hbGl6ZWROYW1lfToke25vcm1hbGl6ZVBhdGgoY29tcC5maWxlKX1gO1xuICAgICAgICBpZiAoIXNlZW5Db21wb25lbnRzLmhhcyhjb21wb25lbnRLZXkpKSB7XG4gICAgICAgICAgc2VlbkNvbXBvbmVudHMuYWRkKGNvbXBvbmVudEtleSk7XG4gICAgICAgICAgcHJvamVjdE93bmVkQ29tcG9uZW50cy5wdXNoKGNvbXApO1xuICAgICAgICB9XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuXG4gICAgICBpZiAoY29tcC5maWxlKSB7XG4gICAgICAgIGNvbnN0IG5vcm1hbGl6ZWRGaWxlID0gY29tcC5maWxlLnRvTG93ZXJDYXNlKCk7XG4gICAgICAgIGNvbnN0IHBhdGhQYXJ0cyA9IG5vcm1hbGl6ZWRGaWxlLnNwbGl0KC9bL1xcXFxdLyk7XG4gICAgICAgIGNvbnN0IGZpbGVuYW1lID0gcGF0aFBhcnRzW3BhdGhQYXJ0cy5sZW5ndGggLSAxXTtcbiAgICAgICAgY29uc3QgZmlsZW5hbWVXaXRob3V0RXh0ID0gZmlsZW5hbWUucmVwbGFjZSgvXFwuKHRzeD98anN4PykkLywgJycpO1xuXG4gICAgICAgIGNvbnN0IG5hbWVNYXRjaGVzRmlsZSA9XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuaW5jbHVkZXMoYC8ke25vcm1hbGl6ZWROYW1lfWApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuaW5jbHVkZXMoYFxcXFwke25vcm1hbGl6ZWROYW1lfWApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuZW5kc1dpdGgoYC8ke25vcm1hbGl6ZWROYW1lfS50c3hgKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGAvJHtub3JtYWxpemVkTmFtZX0udHNgKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGAvJHtub3JtYWxpemVkTmFtZX0uanN4YCkgfHxcbiAgICAgICAgICBub3JtYWxpemVkRmlsZS5lbmRzV2l0aChgLyR7bm9ybWFsaXplZE5hbWV9LmpzYCkgfHxcbiAgICAgICAgICBub3JtYWxpemVkRmlsZS5lbmRzV2l0aChgXFxcXCR7bm9ybWFsaXplZE5hbWV9LnRzeGApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuZW5kc1dpdGgoYFxcXFwke25vcm1hbGl6ZWROYW1lfS50c2ApIHx8XG4gICAgICAgICAgbm9ybWFsaXplZEZpbGUuZW5kc1dpdGgoYFxcXFwke25vcm1hbGl6ZWROYW1lfS5qc3hgKSB8fFxuICAgICAgICAgIG5vcm1hbGl6ZWRGaWxlLmVuZHNXaXRoKGBcXFxcJHtub3JtYWxpemVkTmFtZX0uanNgKSB8fFxuICAgICAgICAgIGZpbGVuYW1lV2l0aG91dEV4dCA9PT0gbm9ybWFsaXplZE5hbWU7XG5cbiAgICAgICAgLy8gTygxKSBsb29rdXAgdXNpbmcgcHJlLWJ1aWx0IGluZGV4IGluc3RlYWQgb2YgTyhtKSBzcHJlYWQgKyBzb21lICsgaW5jbHVkZXNcbiAgICAgICAgY29uc3QgaW5Qcm9qZWN0RmlsZVBhdGhzID0gY29tcG9uZW50TmFtZVRvRmlsZXNJbmRleC5oYXMobm9ybWFsaXplZE5hbWUpO1xuXG4gICAgICAgIGlmICghbmFtZU1hdGNoZXNGaWxlICYmICFpblByb2plY3RGaWxlUGF0aHMpIHtcbiAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgfVxuXG4gICAgICAgIC8vIERlZHVwbGljYXRlIGJ5IGNvbXBvbmVudCBpZGVudGl0eTogdXNlIG5vcm1hbGl6ZWQgbmFtZSArIG5vcm1hbGl6ZWQgZmlsZSBwYXRoIGFzIHVuaXF1ZSBrZXlcbiAgICAgICAgLy8gVGhpcyBlbnN1cmVzIHRoYXQ6XG4gICAgICAgIC8vIDEuIFRoZSBzYW1lIGNvbXBvbmVudCAoc2FtZSBuYW1lLCBzYW1lIGZpbGUpIGFwcGVhcmluZyBtdWx0aXBsZSB0aW1lcyBpcyBvbmx5IHNob3duIG9uY2VcbiAgICAgICAgLy8gICAgKGUuZy4sIFdlYkFwcExheW91dCAtPiBXZWJBcHBMYXlvdXQgLT4gV2ViQXBwTGF5b3V0KVxuICAgICAgICAvLyAyLiBEaWZmZXJlbnQgY29tcG9uZW50cyB3aXRoIHRoZSBzYW1lIG5hbWUgYnV0IGRpZmZlcmVudCBmaWxlcyBhcmUgYm90aCBzaG93blxuICAgICAgICAvLyAgICAoZS5nLiwgY29tcG9uZW50c19sZWZ0L1BhcmVudC5qc3ggdnMgY29tcG9uZW50c19yaWdodC9QYXJlbnQuanN4KVxuICAgICAgICBjb25zdCBub3JtYWxpemVkRmlsZVBhdGggPSBub3JtYWxpemVQYXRoKGNvbXAuZmlsZSk7XG4gICAgICAgIGNvbnN0IGNvbXBvbmVudEtleSA9IGAke25vcm1hbGl6ZWROYW1lfToke25vcm1hbGl6ZWRGaWxlUGF0aH1gO1xuXG4gICAgICAgIGlmIChzZWVuQ29tcG9uZW50cy5oYXMoY29tcG9uZW50S2V5KSkge1xuICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICB9XG5cbiAgICAgICAgc2VlbkNvbXBvbmVudHMuYWRkKGNvbXBvbmVudEtleSk7XG4gICAgICAgIHByb2plY3RPd25lZENvbXBvbmVudHMucHVzaChjb21wKTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIGNvbnN0IGNvbXBvbmVudEtleSA9IG5vcm1hbGl6ZWROYW1lO1xuXG4gICAgICAgIGlmIChzZWVuQ29tcG9uZW50cy5oYXMoY29tcG9uZW50S2V5KSkge1xuICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICB9XG5cbiAgICAgICAgc2VlbkNvbXBvbmVudHMuYWRkKGNvbXBvbmVudEtleSk7XG4gICAgICAgIHByb2plY3RPd25lZENvbXBvbmVudHMucHVzaChjb21wKTtcbiAgICAgIH1cbiAgICB9XG5cbiAgICBpZiAocHJvamVjdE93bmVkQ29tcG9uZW50cy5sZW5ndGggPiAwKSB7XG4gICAgICBjb25zdCBmaWx0ZXJlZFBhdGggPSBwcm9qZWN0T3duZWRDb21wb25lbnRzLm1hcCgoY29tcCkgPT4gY29tcC5uYW1lKTtcbiAgICAgIGNvbnN0IGN1cnJlbnROYW1lTG93ZXIgPSBjdXJyZW50Q29tcG9uZW50TmFtZS50b0xvd2VyQ2FzZSgpO1xuICAgICAgY29uc3QgcGF0aENvbnRhaW5zQ3VycmVudCA9IGZpbHRlcmVkUGF0aC5zb21lKFxuICAgICAgICAobmFtZSkgPT4gbmFtZS50b0xvd2VyQ2FzZSgpID09PSBjdXJyZW50TmFtZUxvd2VyLFxuICAgICAgKTtcblxuICAgICAgbGV0IGZpbmFsUGF0aDtcbiAgICAgIGlmICghcGF0aENvbnRhaW5zQ3VycmVudCkge1xuICAgICAgICBmaW5hbFBhdGggPSBbLi4uZmlsdGVyZWRQYXRoLCBjdXJyZW50Q29tcG9uZW50TmFtZV07XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBmaW5hbFBhdGggPSBmaWx0ZXJlZFBhdGg7XG4gICAgICB9XG5cbiAgICAgIC8vIFJlbW92ZSBjb25zZWN1dGl2ZSBkdXBsaWNhdGVzIG9mIHRoZSBzYW1lIGNvbXBvbmVudHMgYmVmb3JlIGpvaW5pbmdcbiAgICAgIGZpbmFsUGF0aCA9IHJlbW92ZUNvbnNlY3V0aXZlRHVwbGljYXRlcyhmaW5hbFBhdGgpO1xuICAgICAgcmV0dXJuIGZpbmFsUGF0aC5qb2luKCcgLT4gJyk7XG4gICAgfVxuXG4gICAgcmV0dXJuIGN1cnJlbnRDb21wb25lbnROYW1lO1xuICB9XG5cbiAgY29uc3QgZG9tUGF0aCA9IGdldERvbVBhdGgoZWxlbSk7XG5cbiAgaWYgKGRvbVBhdGgubGVuZ3RoID4gMCkge1xuICAgIGNvbnN0IGN1cnJlbnROYW1lTG93ZXIgPSBjdXJyZW50Q29tcG9uZW50TmFtZS50b0xvd2VyQ2FzZSgpO1xuICAgIGNvbnN0IHBhdGhDb250YWluc0N1cnJlbnQgPSBkb21QYXRoLnNvbWUoKG5hbWUpID0+IG5hbWUudG9Mb3dlckNhc2UoKSA9PT0gY3VycmVudE5hbWVMb3dlcik7XG5cbiAgICBsZXQgZmluYWxQYXRoO1xuICAgIGlmICghcGF0aENvbnRhaW5zQ3VycmVudCkge1xuICAgICAgZmluYWxQYXRoID0gWy4uLmRvbVBhdGgsIGN1cnJlbnRDb21wb25lbnROYW1lXTtcbiAgICB9IGVsc2Uge1xuICAgICAgZmluYWxQYXRoID0gZG9tUGF0aDtcbiAgICB9XG5cbiAgICAvLyBSZW1vdmUgY29uc2VjdXRpdmUgZHVwbGljYXRlcyBvZiB0aGUgc2FtZSBjb21wb25lbnRzIGJlZm9yZSBqb2luaW5nXG4gICAgZmluYWxQYXRoID0gcmVtb3ZlQ29uc2VjdXRpdmVEdXBsaWNhdGVzKGZpbmFsUGF0aCk7XG4gICAgcmV0dXJuIGZpbmFsUGF0aC5qb2luKCcgLT4gJyk7XG4gIH1cblxuICByZXR1cm4gY3VycmVudENvbXBvbmVudE5hbWU7XG59O1xuXG4vKipcbiAqIEFkZHMgdGhlIGFic29sdXRlIGNvbXBvbmVudCBwYXRoIHRvIGFuIG92ZXJsYXkgZWxlbWVudFxuICogVXNlcyBmaWJlci1iYXNlZCBoaWVyYXJjaHkgZm9yIGFjY3VyYXRlIFJlYWN0IGNvbXBvbmVudCBwYXRoc1xuICogQHBhcmFtIHtIVE1MRWxlbWVudH0gZWxlbSAtIE9yaWdpbmFsIERPTSBlbGVtZW50XG4gKiBAcGFyYW0ge0hUTUxFbGVtZW50fSB4cmF5UmVhY3RFbGVtIC0gT3ZlcmxheSBlbGVtZW50XG4gKi9cbmNvbnN0IGFkZEFic29sdXRlQ29tcG9uZW50UGF0aCA9IChlbGVtLCB4cmF5UmVhY3RFbGVtKSA9PiB7XG4gIGNvbnN0IGN1cnJlbnRDb21wb25lbnROYW1lID0geHJheVJlYWN0RWxlbS5nZXRBdHRyaWJ1dGUoJ2RhdGEteHJheS1yZWFjdC1lbGVtZW50LW5hbWUnKSB8fCAnJztcblxuICBjb25zdCBjb21wb25lbnRzID0gZ2V0Q29tcG9uZW50c0Zyb21FbGVtZW50KGVsZW0pO1xuXG4gIGNvbnN0IGZ1bGxTdHJ1Y3R1cmUgPSBidWlsZEZ1bGxTdHJ1Y3R1cmUoY29tcG9uZW50cywgY3VycmVudENvbXBvbmVudE5hbWUsIGVsZW0pO1xuICBjb25zdCBmaWx0ZXJlZFN0cnVjdHVyZSA9IGJ1aWxkRmlsdGVyZWRTdHJ1Y3R1cmUoY29tcG9uZW50cywgY3VycmVudENvbXBvbmVudE5hbWUsIGVsZW0pO1xuXG4gIHhyYXlSZWFjdEVsZW0uc2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RDb21wUGF0aEF0dHIsIGZ1bGxTdHJ1Y3R1cmUpO1xuICB4cmF5UmVhY3RFbGVtLnNldEF0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0RmlsdGVyZWRDb21wUGF0aEF0dHIsIGZpbHRlcmVkU3RydWN0dXJlKTtcblxuICAvLyBUaGUgcGF0aHMga2VlcCBwbGFpbiBuYW1lcyBzbyB0aGUgc2VydmVyIGNhbiByZXNvbHZlIHRoZW0sIHNlcnZlciBjb21wb25lbnRzIGFuZCByb3V0ZVxuICAvLyBtb2R1bGVzIGFyZSBtYXJrZWQgYXBhcnRcbiAgY29uc3Qgc2VydmVyQ29tcG9uZW50cyA9IG5ldyBTZXQoY29tcG9uZW50cy5maWx0ZXIoKGMpID0+IGMuaXNTZXJ2ZXIpLm1hcCgoYykgPT4gYy5uYW1lKSk7XG4gIGlmICh4cmF5UmVhY3RFbGVtLmNsYXNzTGlzdC5jb250YWlucygnLXNlcnZlcicpKSB7XG4gICAgc2VydmVyQ29tcG9uZW50cy5hZGQoY3VycmVudENvbXBvbmVudE5hbWUpO1xuICB9XG4gIGlmIChzZXJ2ZXJDb21wb25lbnRzLnNpemUgPiAwKSB7XG4gICAgeHJheVJlYWN0RWxlbS5zZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlSZWFjdFNlcnZlckNvbXBzQXR0ciwgWy4uLnNlcnZlckNvbXBvbmVudHNdLmpvaW4oJywnKSk7XG4gIH1cbiAgY29uc3Qgcm91dGVNb2R1bGVzID0gY29tcG9uZW50cy5maWx0ZXIoKGMpID0+IGMuaXNSb3V0ZSkubWFwKChjKSA9PiBjLm5hbWUpO1xuICBpZiAocm91dGVNb2R1bGVzLmxlbmd0aCA+IDApIHtcbiAgICB4cmF5UmVhY3RFbGVtLnNldEF0dHJpYnV0ZShjb25zdGFudHMueHJheVJlYWN0Um91dGVNb2R1bGVzQXR0ciwgcm91dGVNb2R1bGVzLmpvaW4oJywnKSk7XG4gIH1cblxuICAvLyBTb3VyY2UgbWFwcyBtYXkgaGF2ZSBsb2FkZWQgc2luY2UgdGhlIG92ZXJsYXkgd2FzIGNyZWF0ZWQsIHJlZnJlc2ggc3RhY2stYmFzZWQgbG9jYXRpb25zXG4gIGNvbnN0IGZpYmVyS2V5ID0gT2JqZWN0LmtleXMoZWxlbSkuZmluZCgoa2V5KSA9PiBrZXkuc3RhcnRzV2l0aCgnX19yZWFjdEZpYmVyJCcpKTtcbiAgY29uc3QgbGVhZkNvbXBvbmVudCA9IGNvbXBvbmVudHNbY29tcG9uZW50cy5sZW5ndGggLSAxXTtcbiAgY29uc3QgZmliZXJTb3VyY2UgPVxuICAgIChmaWJlcktleSAmJiBnZXRGaWJlclNvdXJjZShlbGVtW2ZpYmVyS2V5XSkpIHx8XG4gICAgKGxlYWZDb21wb25lbnQgJiYgbGVhZkNvbXBvbmVudC5maWJlciAmJiBnZXRGaWJlclNvdXJjZShsZWFmQ29tcG9uZW50LmZpYmVyKSk7XG4gIGNvbnN0IHNvdXJjZSA9IGdldE92ZXJsYXlTb3VyY2UoZWxlbSwgY3VycmVudENvbXBvbmVudE5hbWUsIGZpYmVyU291cmNlKTtcbiAgaWYgKHNvdXJjZSkge1xuICAgIHhyYXlSZWFjdEVsZW0uc2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RTb3VyY2VBdHRyLCBmb3JtYXRTb3VyY2VMb2NhdGlvbihzb3VyY2UpKTtcbiAgfVxufTtcblxuLyoqXG4gKiBSZWFkcyBhIGNvbW1hLXNlcGFyYXRlZCBsaXN0IG9mIG5hbWVzIGZyb20gYW4gb3ZlcmxheSBhdHRyaWJ1dGVcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IHhyYXlSZWFjdEVsZW0gLSBPdmVybGF5IGVsZW1lbnRcbiAqIEBwYXJhbSB7c3RyaW5nfSBhdHRyIC0gQXR0cmlidXRlIG5hbWVcbiAqIEByZXR1cm5zIHtBcnJheTxzdHJpbmc+fSBOYW1lc1xuICovXG5jb25zdCBnZXROYW1lc0F0dHIgPSAoeHJheVJlYWN0RWxlbSwgYXR0cikgPT5cbiAgKHhyYXlSZWFjdEVsZW0uZ2V0QXR0cmlidXRlKGF0dHIpIHx8ICcnKS5zcGxpdCgnLCcpLmZpbHRlcihCb29sZWFuKTtcblxuLyoqXG4gKiBSZW5kZXJzIGEgY29tcG9uZW50IHBhdGggaW4gdGhlIGFjdGlvbiBiYXIsIG1hcmtpbmcgc2VydmVyIGNvbXBvbmVudHMgYW5kIHJvdXRlIG1vZHVsZXNcbiAqIEBwYXJhbSB7SFRNTEVsZW1lbnR9IHBhdGhFbGVtZW50IC0gUGF0aCBlbGVtZW50IG9mIHRoZSBhY3Rpb24gYmFyXG4gKiBAcGFyYW0ge3N0cmluZ30gY29tcG9uZW50c1BhdGggLSBDb21wb25lbnQgcGF0aCAoZS5nLiwgJ3Jvb3QgLT4gcm91dGVzL2hvbWUgLT4gSG9tZScpXG4gKiBAcGFyYW0ge01hcDxzdHJpbmcsIE9iamVjdD59IG1hcmtzIC0gTWFya2VkIG5hbWVzIC0+IHsgY2xhc3NOYW1lLCB0aXRsZSB9XG4gKi9cbmNvbnN0IHJlbmRlckNvbXBvbmVudHNQYXRoID0gKHBhdGhFbGVtZW50LCBjb21wb25lbnRzUGF0aCwgbWFya3MpID0+IHtcbiAgcGF0aEVsZW1lbnQucmVwbGFjZUNoaWxkcmVuKCk7XG4gIGNvbXBvbmVudHNQYXRoLnNwbGl0KCcgLT4gJykuZm9yRWFjaCgobmFtZSwgaW5kZXgpID0+IHtcbiAgICBpZiAoaW5kZXggPiAwKSB7XG4gICAgICBwYXRoRWxlbWVudC5hcHBlbmQoJyAtPiAnKTtcbiAgICB9XG4gICAgY29uc3QgbWFyayA9IG1hcmtzLmdldChuYW1lKTtcbiAgICBpZiAobWFyaykge1xuICAgICAgY29uc3QgbWFya2VkTmFtZSA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ3NwYW4nKTtcbiAgICAgIG1hcmtlZE5hbWUuY2xhc3NOYW1lID0gbWFyay5jbGFzc05hbWU7XG4gICAgICBtYXJrZWROYW1lLnRpdGxlID0gbWFyay50aXRsZTtcbiAgICAgIG1hcmtlZE5hbWUudGV4dENvbnRlbnQgPSBuYW1lO1xuICAgICAgcGF0aEVsZW1lbnQuYXBwZW5kKG1hcmtlZE5hbWUpO1xuICAgIH0gZWxzZSB7XG4gICAgICBwYXRoRWxlbWVudC5hcHBlbmQobmFtZSk7XG4gICAgfVxuICB9KTtcbn07XG5cbi8qKlxuICogSGFuZGxlcyBtb3VzZW92ZXIgZXZlbnRzIG9uIG92ZXJsYXkgZWxlbWVudHNcbiAqIEBwYXJhbSB7RXZlbnR9IGV2ZW50IC0gTW91c2VvdmVyIGV2ZW50XG4gKi9cbmNvbnN0IG9uWHJheVJlYWN0TW91c2VvdmVyID0gKGV2ZW50KSA9PiB7XG4gIGNvbnN0IHsgdGFyZ2V0IH0gPSBldmVudDtcbiAgaWYgKHRhcmdldC5jbGFzc0xpc3QuY29udGFpbnMoY29uc3RhbnRzLnhyYXlSZWFjdEVsZW1DTikpIHtcbiAgICBjb25zdCBjb21wb25lbnRzUGF0aCA9XG4gICAgICB0YXJnZXQuZ2V0QXR0cmlidXRlKGNvbnN0YW50cy54cmF5UmVhY3RGaWx0ZXJlZENvbXBQYXRoQXR0cikgfHxcbiAgICAgIHRhcmdldC5nZXRBdHRyaWJ1dGUoY29uc3RhbnRzLnhyYXlSZWFjdENvbXBQYXRoQXR0cikgfHxcbiAgICAgICcnO1xuICAgIGNvbnN0IHBhdGhFbGVtZW50ID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3QtYWN0aW9ucy13cmFwcGVyIC5jb21wb25lbnRzLXBhdGgnKTtcbiAgICBpZiAocGF0aEVsZW1lbnQpIHtcbiAgICAgIGNvbnN0IG1hcmtzID0gbmV3IE1hcCgpO1xuICAgICAgZ2V0TmFtZXNBdHRyKHRhcmdldCwgY29uc3RhbnRzLnhyYXlSZWFjdFNlcnZlckNvbXBzQXR0cikuZm9yRWFjaCgobmFtZSkgPT5cbiAgICAgICAgbWFya3Muc2V0KG5hbWUsIHsgY2xhc3NOYW1lOiAnc2VydmVyLWNvbXBvbmVudCcsIHRpdGxlOiAnUmVhY3QgU2VydmVyIENvbXBvbmVudCcgfSksXG4gICAgICApO1xuICAgICAgZ2V0TmFtZXNBdHRyKHRhcmdldCwgY29uc3RhbnRzLnhyYXlSZWFjdFJvdXRlTW9kdWxlc0F0dHIpLmZvckVhY2goKG5hbWUpID0+XG4gICAgICAgIG1hcmtzLnNldChuYW1lLCB7IGNsYXNzTmFtZTogJ3JvdXRlLW1vZHVsZScsIHRpdGxlOiAnUm91dGUgbW9kdWxlJyB9KSxcbiAgICAgICk7XG4gICAgICByZW5kZXJDb21wb25lbnRzUGF0aChwYXRoRWxlbWVudCwgY29tcG9uZW50c1BhdGgsIG1hcmtzKTtcbiAgICB9XG4gIH1cbn07XG5cbi8qKlxuICogVG9nZ2xlcyB0aGUgeHJheS1yZWFjdCBvdmVybGF5IG9uL29mZlxuICovXG5jb25zdCB0b2dnbGVYcmF5UmVhY3QgPSAoKSA9PiB7XG4gIGNvbnN0IGJvZHkgPSBkb2N1bWVudC5ib2R5O1xuXG4gIGlmIChib2R5LmNsYXNzTGlzdC5jb250YWlucygneHJheS1yZWFjdC1lbmFibGVkJykpIHtcbiAgICBib2R5LmNsYXNzTGlzdC5yZW1vdmUoJ3hyYXktcmVhY3QtZW5hYmxlZCcpO1xuICAgIGNvbnN0IHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoYC4ke2NvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ059YCk7XG4gICAgY29uc3QgeHJheVJlYWN0QWN0aW9uQmFyID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3QtYWN0aW9uLWJhcicpO1xuICAgIGNvbnN0IHhyYXlSZWFjdFN0eWxlVGFnID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnhyYXktcmVhY3Qtc3R5bGUtdGFnJyk7XG4gICAgY29uc3QgdGVtcEVsZW1lbnRzID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvckFsbCgnLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wJyk7XG5cbiAgICBpZiAoeHJheVJlYWN0QWN0aW9uQmFyKSB7XG4gICAgICB4cmF5UmVhY3RBY3Rpb25CYXIuY2xhc3NMaXN0LnJlbW92ZSgnLXNpbXBsZS1tb2RlJyk7XG4gICAgfVxuICAgIGlmICh4cmF5UmVhY3RFbGVtZW50c1dyYXBwZXIpIHtcbiAgICAgIHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlci5yZW1vdmUoKTtcbiAgICB9XG4gICAgaWYgKHhyYXlSZWFjdEFjdGlvbkJhcikgeHJheVJlYWN0QWN0aW9uQmFyLnJlbW92ZSgpO1xuICAgIGlmICh4cmF5UmVhY3RTdHlsZVRhZykgeHJheVJlYWN0U3R5bGVUYWcucmVtb3ZlKCk7XG4gICAgdGVtcEVsZW1lbnRzLmZvckVhY2goKGVsKSA9PiBlbC5yZW1vdmUoKSk7XG5cbiAgICBib2R5LnJlbW92ZUV2ZW50TGlzdGVuZXIoJ21vdXNlb3ZlcicsIG9uWHJheVJlYWN0TW91c2VvdmVyKTtcbiAgfSBlbHNlIHtcbiAgICBib2R5LmNsYXNzTGlzdC5hZGQoJ3hyYXktcmVhY3QtZW5hYmxlZCcpO1xuXG4gICAgY3VycmVudE1vZGUgPSBnZXRDdXJyZW50TW9kZSgpO1xuXG4gICAgbGV0IHN0eWxlRWxlbWVudCA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoJy54cmF5LXJlYWN0LXN0eWxlLXRhZycpO1xuICAgIGlmICghc3R5bGVFbGVtZW50KSB7XG4gICAgICBzdHlsZUVsZW1lbnQgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCdzdHlsZScpO1xuICAgICAgc3R5bGVFbGVtZW50LmNsYXNzTmFtZSA9ICd4cmF5LXJlYWN0LXN0eWxlLXRhZyc7XG4gICAgICBzdHlsZUVsZW1lbnQudGV4dENvbnRlbnQgPSBjc3M7XG4gICAgICBkb2N1bWVudC5oZWFkLmFwcGVuZENoaWxkKHN0eWxlRWxlbWVudCk7XG4gICAgfVxuXG4gICAgY29uc3QgZXhpc3RpbmdBY3Rpb25CYXIgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yKCcueHJheS1yZWFjdC1hY3Rpb24tYmFyJyk7XG4gICAgaWYgKCFleGlzdGluZ0FjdGlvbkJhcikge1xuICAgICAgYm9keS5pbnNlcnRBZGphY2VudEhUTUwoJ2JlZm9yZWVuZCcsIGFjdGlvbkJhcik7XG4gICAgfSBlbHNlIHtcbiAgICAgIGNvbnN0IGV4aXN0aW5nQ2xlYXJCdXR0b24gPSBleGlzdGluZ0FjdGlvbkJhci5xdWVyeVNlbGVjdG9yKCcuc2VhcmNoLWNsZWFyJyk7XG4gICAgICBpZiAoZXhpc3RpbmdDbGVhckJ1dHRvbiAmJiAhZXhpc3RpbmdDbGVhckJ1dHRvbi5oYXNBdHRyaWJ1dGUoJ2RhdGEtbGlzdGVuZXItYXR0YWNoZWQnKSkge1xuICAgICAgICBleGlzdGluZ0NsZWFyQnV0dG9uLnNldEF0dHJpYnV0ZSgnZGF0YS1saXN0ZW5lci1hdHRhY2hlZCcsICd0cnVlJyk7XG4gICAgICAgIGV4aXN0aW5nQ2xlYXJCdXR0b24uYWRkRXZlbnRMaXN0ZW5lcignY2xpY2snLCBoYW5kbGVTZWFyY2hDbGVhcik7XG4gICAgICB9XG4gICAgfVxuICAgIGlmIChjdXJyZW50TW9kZSA9PT0gVUlfTU9ERV9TSU1QTEUgJiYgZXhpc3RpbmdBY3Rpb25CYXIpIHtcbiAgICAgIGV4aXN0aW5nQWN0aW9uQmFyLmNsYXNzTGlzdC5hZGQoJy1zaW1wbGUtbW9kZScpO1xuICAgIH0gZWxzZSBpZiAoY3VycmVudE1vZGUgPT09IFVJX01PREVfU0lNUExFICYmICFleGlzdGluZ0FjdGlvbkJhcikge1xuICAgICAgc2V0VGltZW91dCgoKSA9PiB7XG4gICAgICAgIGNvbnN0IGFjdGlvbkJhciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoJy54cmF5LXJlYWN0LWFjdGlvbi1iYXInKTtcbiAgICAgICAgaWYgKGFjdGlvbkJhcikge1xuICAgICAgICAgIGFjdGlvbkJhci5jbGFzc0xpc3QuYWRkKCctc2ltcGxlLW1vZGUnKTtcbiAgICAgICAgfVxuICAgICAgfSwgMCk7XG4gICAgfSBlbHNlIGlmIChjdXJyZW50TW9kZSAhPT0gVUlfTU9ERV9TSU1QTEUgJiYgZXhpc3RpbmdBY3Rpb25CYXIpIHtcbiAgICAgIGV4aXN0aW5nQWN0aW9uQmFyLmNsYXNzTGlzdC5yZW1vdmUoJy1zaW1wbGUtbW9kZScpO1xuICAgIH1cbiAgICBjb25zdCBzZWFyY2hJbnB1dCA9IGRvY3VtZW50LmdldEVsZW1lbnRCeUlkKCdzZWFyY2gtY29tcG9uZW50Jyk7XG4gICAgaWYgKHNlYXJjaElucHV0KSB7XG4gICAgICBzZWFyY2hJbnB1dC5hZGRFdmVudExpc3RlbmVyKCdpbnB1dCcsIGhhbmRsZVNlYXJjaENoYW5nZSk7XG4gICAgICB1cGRhdGVDbGVhckJ1dHRvbihzZWFyY2hJbnB1dCk7XG4gICAgfVxuICAgIGNvbnN0IGNsZWFyQnV0dG9uID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcignLnNlYXJjaC1jbGVhcicpO1xuICAgIGlmIChjbGVhckJ1dHRvbiAmJiAhY2xlYXJCdXR0b24uaGFzQXR0cmlidXRlKCdkYXRhLWxpc3RlbmVyLWF0dGFjaGVkJykpIHtcbiAgICAgIGNsZWFyQnV0dG9uLnNldEF0dHJpYnV0ZSgnZGF0YS1saXN0ZW5lci1hdHRhY2hlZCcsICd0cnVlJyk7XG4gICAgICBjbGVhckJ1dHRvbi5hZGRFdmVudExpc3RlbmVyKCdjbGljaycsIGhhbmRsZVNlYXJjaENsZWFyKTtcbiAgICB9XG4gICAgc2V0dXBFZGl0b3JTZWxlY3QoKTtcbiAgICBib2R5LmFkZEV2ZW50TGlzdGVuZXIoJ21vdXNlb3ZlcicsIG9uWHJheVJlYWN0TW91c2VvdmVyKTtcblxuICAgIGNvbnN0IGV4aXN0aW5nV3JhcHBlciA9IGRvY3VtZW50LnF1ZXJ5U2VsZWN0b3IoYC4ke2NvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ059YCk7XG4gICAgaWYgKGV4aXN0aW5nV3JhcHBlcikge1xuICAgICAgZXhpc3RpbmdXcmFwcGVyLnJlbW92ZSgpO1xuICAgIH1cblxuICAgIGNvbnN0IHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlciA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ2RpdicpO1xuICAgIHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlci5jbGFzc05hbWUgPSBjb25zdGFudHMueHJheVJlYWN0V3JhcHBlckNOO1xuICAgIGlmIChjdXJyZW50TW9kZSA9PT0gVUlfTU9ERV9TSU1QTEUpIHtcbiAgICAgIHhyYXlSZWFjdEVsZW1lbnRzV3JhcHBlci5jbGFzc0xpc3QuYWRkKCctc2ltcGxlLW1vZGUnKTtcbiAgICB9XG4gICAgYm9keS5hcHBlbmQoeHJheVJlYWN0RWxlbWVudHNXcmFwcGVyKTtcbiAgICBpZiAoY3VycmVudE1vZGUgPT09IFVJX01PREVfU0lNUExFKSB7XG4gICAgICBjb25zdCBhY3Rpb25CYXIgPSBkb2N1bWVudC5xdWVyeVNlbGVjdG9yKCcueHJheS1yZWFjdC1hY3Rpb24tYmFyJyk7XG4gICAgICBpZiAoYWN0aW9uQmFyKSB7XG4gICAgICAgIGFjdGlvbkJhci5jbGFzc0xpc3QuYWRkKCctc2ltcGxlLW1vZGUnKTtcbiAgICAgIH1cbiAgICB9XG4gICAgY29uc3QgZXhpc3RpbmdMb2FkaW5nID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvckFsbCgnLnhyYXktcmVhY3QtZWxlbWVudC10ZW1wJyk7XG4gICAgZXhpc3RpbmdMb2FkaW5nLmZvckVhY2goKGVsKSA9PiBlbC5yZW1vdmUoKSk7XG5cbiAgICBjb25zdCBsb2FkaW5nRWxlbWVudCA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoJ2RpdicpO1xuICAgIGxvYWRpbmdFbGVtZW50LmNsYXNzTmFtZSA9ICd4cmF5LXJlYWN0LWVsZW1lbnQgeHJheS1yZWFjdC1lbGVtZW50LXRlbXAnO1xuICAgIGxvYWRpbmdFbGVtZW50LnN0eWxlLmhlaWdodCA9IGAke3dpbmRvdy5pbm5lckhlaWdodH1weGA7XG4gICAgbG9hZGluZ0VsZW1lbnQuc3R5bGUud2lkdGggPSBgJHt3aW5kb3cuaW5uZXJXaWR0aH1weGA7XG4gICAgbG9hZGluZ0VsZW1lbnQuc3R5bGUudG9wID0gYCR7d2luZG93LnNjcm9sbFl9cHhgO1xuICAgIGxvYWRpbmdFbGVtZW50LnN0eWxlLmxlZnQgPSBgJHt3aW5kb3cuc2Nyb2xsWH1weGA7XG4gICAgbG9hZGluZ0VsZW1lbnQuc3R5bGUuekluZGV4ID0gJzEwMDAwJztcbiAgICBsb2FkaW5nRWxlbWVudC5pbm5lckhUTUwgPSAnPGRpdiBjbGFzcz1cInhyYXktcmVhY3Qtc3Bpbm5lciB4cmF5LXJlYWN0LWVsZW1lbnQtdGVtcFwiPjwvZGl2Pic7XG4gICAgeHJheVJlYWN0RWxlbWVudHNXcmFwcGVyLmFwcGVuZENoaWxkKGxvYWRpbmdFbGVtZW50KTtcblxuICAgIC8vIFBlcmZvcm1hbmNlIGltcHJvdmVtZW50c1xuICAgIGNvbnN0IHByb2Nlc3NFbGVtZW50c0FzeW5jID0gKCkgPT4ge1xuICAgICAgY29uc3QgeHJheVJlYWN0T2JqZWN0cyA9IFtdO1xuICAgICAgY29uc3Qgc2VhcmNoQW5kQ3JlYXRlQ29tcG9uZW50ID0gc2VhcmNoQW5kQ3JlYXRlQ29tcG9uZW50Q2FjaGVkKCk7XG4gICAgICBjb25zdCBhbGxFbGVtZW50cyA9IEFycmF5LmZyb20oYm9keS5nZXRFbGVtZW50c0J5VGFnTmFtZSgnKicpKS5maWx0ZXIoKGVsZW0pID0+IHtcbiAgICAgICAgcmV0dXJuIChcbiAgICAgICAgICAhZWxlbS5jbGFzc0xpc3QuY29udGFpbnMoJ3hyYXktcmVhY3QtZWxlbWVudC10ZW1wJykgJiZcbiAgICAgICAgICAhZWxlbS5jbG9zZXN0KCcueHJheS1yZWFjdC1hY3Rpb24tYmFyJykgJiZcbiAgICAgICAgICAhZWxlbS5jbG9zZXN0KGAuJHtjb25zdGFudHMueHJheVJlYWN0V3JhcHBlckNOfWApXG4gICAgICAgICk7XG4gICAgICB9KTtcbiAgICAgIGNvbnN0IGJhdGNoU2l6ZSA9IDIwO1xuICAgICAgbGV0IGluZGV4ID0gMDtcblxuICAgICAgY29uc3QgcHJvY2Vzc0JhdGNoID0gKCkgPT4ge1xuICAgICAgICBjb25zdCBlbmRJbmRleCA9IE1hdGgubWluKGluZGV4ICsgYmF0Y2hTaXplLCBhbGxFbGVtZW50cy5sZW5ndGgpO1xuXG4gICAgICAgIGZvciAobGV0IGkgPSBpbmRleDsgaSA8IGVuZEluZGV4OyBpKyspIHtcbiAgICAgICAgICBjb25zdCBlbGVtID0gYWxsRWxlbWVudHNbaV07XG4gICAgICAgICAgY29uc3QgeHJheVJlYWN0T2JqID0gc2VhcmNoQW5kQ3JlYXRlQ29tcG9uZW50KGVsZW0pO1xuICAgICAgICAgIGlmICh4cmF5UmVhY3RPYmopIHtcbiAgICAgICAgICAgIHhyYXlSZWFjdE9iamVjdHMucHVzaCh4cmF5UmVhY3RPYmopO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIGluZGV4ID0gZW5kSW5kZXg7XG5cbiAgICAgICAgaWYgKGluZGV4IDwgYWxsRWxlbWVudHMubGVuZ3RoKSB7XG4gICAgICAgICAgc2V0VGltZW91dChwcm9jZXNzQmF0Y2gsIDEpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgIGxldCBwYXRoSW5kZXggPSAwO1xuICAgICAgICAgIGNvbnN0IHBhdGhCYXRjaFNpemUgPSAxMDtcblxuICAgICAgICAgIGNvbnN0IHByb2Nlc3NQYXRocyA9ICgpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IGVuZEluZGV4ID0gTWF0aC5taW4ocGF0aEluZGV4ICsgcGF0aEJhdGNoU2l6ZSwgeHJheVJlYWN0T2JqZWN0cy5sZW5ndGgpO1xuXG4gICAgICAgICAgICBmb3IgKGxldCBpID0gcGF0aEluZGV4OyBpIDwgZW5kSW5kZXg7IGkrKykge1xuICAgICAgICAgICAgICBjb25zdCB7IGVsZW0sIHhyYXlSZWFjdEVsZW0gfSA9IHhyYXlSZWFjdE9iamVjdHNbaV07XG4gICAgICAgICAgICAgIGFkZEFic29sdXRlQ29tcG9uZW50UGF0aChlbGVtLCB4cmF5UmVhY3RFbGVtKTtcbiAgICAgICAgICAgIH1cblxuICAgICAgICAgICAgcGF0aEluZGV4ID0gZW5kSW5kZXg7XG5cbiAgICAgICAgICAgIGlmIChwYXRoSW5kZXggPCB4cmF5UmVhY3RPYmplY3RzLmxlbmd0aCkge1xuICAgICAgICAgICAgICBzZXRUaW1lb3V0KHByb2Nlc3NQYXRocywgMSk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICBjb25zdCB3cmFwcGVyID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcihgLiR7Y29uc3RhbnRzLnhyYXlSZWFjdFdyYXBwZXJDTn1gKTtcbiAgICAgICAgICAgICAgaWYgKHdyYXBwZXIpIHtcbiAgICAgICAgICAgICAgICBjb25zdCB0ZW1wRWxlbWVudHMgPSB3cmFwcGVyLnF1ZXJ5U2VsZWN0b3JBbGwoJy54cmF5LXJlYWN0LWVsZW1lbnQtdGVtcCcpO1xuICAgICAgICAgICAgICAgIHRlbXBFbGVtZW50cy5mb3JFYWNoKChlbCkgPT4gZWwucmVtb3ZlKCkpO1xuICAgICAgICAgICAgICAgIHdyYXBwZXIuYXBwZW5kKC4uLnhyYXlSZWFjdE9iamVjdHMubWFwKChvYmopID0+IG9iai54cmF5UmVhY3RFbGVtKSk7XG4gICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9O1xuXG4gICAgICAgICAgLy8gUmVzb2x2ZSBzdGFjay1iYXNlZCBsb2NhdGlvbnMgKFJlYWN0IDE5KSB0aHJvdWdoIHRoZSBkZXYgc2VydmVyJ3Mgc291cmNlIG1hcHMgZmlyc3RcbiAgICAgICAgICBsb2FkUGVuZGluZ1NvdXJjZU1hcHMoKVxuICAgICAgICAgICAgLmNhdGNoKCgpID0+IGZhbHNlKVxuICAgICAgICAgICAgLnRoZW4oKCkgPT4gc2V0VGltZW91dChwcm9jZXNzUGF0aHMsIDEpKTtcbiAgICAgICAgfVxuICAgICAgfTtcblxuICAgICAgc2V0VGltZW91dChwcm9jZXNzQmF0Y2gsIDEpO1xuICAgIH07XG5cbiAgICBwcm9jZXNzRWxlbWVudHNBc3luYygpO1xuICB9XG59O1xuXG4vKipcbiAqIEtleWRvd24gZXZlbnQgaGFuZGxlciBmb3IgeHJheS1yZWFjdCBzaG9ydGN1dHNcbiAqIE1hdGNoZXMgeHJheS1yYWlsczogQ21kK1NoaWZ0K1ggKE1hYykgLyBDdHJsK1NoaWZ0K1ggKFdpbmRvd3MvTGludXgpXG4gKi9cbmxldCBrZXlkb3duSGFuZGxlciA9IG51bGw7XG5sZXQgaXNIYW5kbGVyUmVnaXN0ZXJlZCA9IGZhbHNlO1xuXG5jb25zdCBjcmVhdGVLZXlkb3duSGFuZGxlciA9ICgpID0+IHtcbiAgcmV0dXJuIChldmVudCkgPT4ge1xuICAgIGlmIChldmVudC5rZXkgPT09ICdFc2NhcGUnKSB7XG4gICAgICBjb25zdCBib2R5ID0gZG9jdW1lbnQuYm9keTtcbiAgICAgIGlmIChib2R5ICYmIGJvZHkuY2xhc3NMaXN0LmNvbnRhaW5zKCd4cmF5LXJlYWN0LWVuYWJsZWQnKSkge1xuICAgICAgICB0b2dnbGVYcmF5UmVhY3QoKTtcbiAgICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcbiAgICAgIH1cbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBpc01hYyA9IG5hdmlnYXRvci5wbGF0Zm9ybS50b1VwcGVyQ2FzZSgpLmluZGV4T2YoJ01BQycpID49IDA7XG4gICAgY29uc3QgaXNNZXRhT3JDdHJsID0gaXNNYWMgPyBldmVudC5tZXRhS2V5IDogZXZlbnQuY3RybEtleTtcbiAgICBjb25zdCBpc1NoaWZ0ID0gZXZlbnQuc2hpZnRLZXk7XG4gICAgY29uc3QgaXNYID0gZXZlbnQua2V5ID09PSAneCcgfHwgZXZlbnQua2V5ID09PSAnWCcgfHwgZXZlbnQua2V5Q29kZSA9PT0gODg7XG5cbiAgICBpZiAoaXNNZXRhT3JDdHJsICYmIGlzU2hpZnQgJiYgaXNYKSB7XG4gICAgICB0b2dnbGVYcmF5UmVhY3QoKTtcbiAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICBldmVudC5zdG9wUHJvcGFnYXRpb24oKTtcbiAgICB9XG4gIH07XG59O1xuXG4vKipcbiAqIEhhbmRsZXMga2V5Ym9hcmQgc2hvcnRjdXQgdG8gdG9nZ2xlIHhyYXktcmVhY3RcbiAqIEVuc3VyZXMgdGhlIGxpc3RlbmVyIGlzIG9ubHkgcmVnaXN0ZXJlZCBvbmNlXG4gKi9cbmNvbnN0IGhhbmRsZVhyYXlSZWFjdFRvZ2dsZSA9ICgpID0+IHtcbiAgaWYgKGlzSGFuZGxlclJlZ2lzdGVyZWQpIHtcbiAgICByZXR1cm47XG4gIH1cblxuICBpZiAoIWtleWRvd25IYW5kbGVyKSB7XG4gICAga2V5ZG93bkhhbmRsZXIgPSBjcmVhdGVLZXlkb3duSGFuZGxlcigpO1xuICB9XG5cbiAgZG9jdW1lbnQuYWRkRXZlbnRMaXN0ZW5lcigna2V5ZG93bicsIGtleWRvd25IYW5kbGVyLCB0cnVlKTtcbiAgaXNIYW5kbGVyUmVnaXN0ZXJlZCA9IHRydWU7XG59O1xuXG4vKipcbiAqIFR1cm5zIHRoZSBvdmVybGF5cyBvbiBvciBvZmYgKGUuZy4sIGZyb20gdGhlIFN0b3J5Ym9vayB0b29sYmFyKVxuICogQHBhcmFtIHtib29sZWFufSBpc0VuYWJsZWQgLSBXaGV0aGVyIHRoZSBvdmVybGF5cyBzaG91bGQgYmUgc2hvd25cbiAqL1xuZXhwb3J0IGNvbnN0IHNldFhyYXlSZWFjdEVuYWJsZWQgPSAoaXNFbmFibGVkKSA9PiB7XG4gIGlmIChkb2N1bWVudC5ib2R5LmNsYXNzTGlzdC5jb250YWlucygneHJheS1yZWFjdC1lbmFibGVkJykgIT09IEJvb2xlYW4oaXNFbmFibGVkKSkge1xuICAgIHRvZ2dsZVhyYXlSZWFjdCgpO1xuICB9XG59O1xuXG4vKipcbiAqIFJlYnVpbGRzIHRoZSBvdmVybGF5cyBmb3IgdGhlIGN1cnJlbnQgRE9NIGlmIHRoZXkgYXJlIHNob3duIChlLmcuLCBhZnRlciBhIHN0b3J5IHJlLXJlbmRlcnMpXG4gKi9cbmV4cG9ydCBjb25zdCByZWZyZXNoWHJheVJlYWN0ID0gKCkgPT4ge1xuICBpZiAoZG9jdW1lbnQuYm9keS5jbGFzc0xpc3QuY29udGFpbnMoJ3hyYXktcmVhY3QtZW5hYmxlZCcpKSB7XG4gICAgdG9nZ2xlWHJheVJlYWN0KCk7XG4gICAgdG9nZ2xlWHJheVJlYWN0KCk7XG4gIH1cbn07XG5cbi8qKlxuICogRW5hYmxlcyB4cmF5LXJlYWN0IGZ1bmN0aW9uYWxpdHlcbiAqL1xuZXhwb3J0IGNvbnN0IGVuYWJsZVhyYXlSZWFjdCA9ICgpID0+IHtcbiAgY3VycmVudE1vZGUgPSBnZXRDdXJyZW50TW9kZSgpO1xuXG4gIGlmICghcHJvamVjdFJvb3QpIHtcbiAgICBpZiAodHlwZW9mIHdpbmRvdyAhPT0gJ3VuZGVmaW5lZCcgJiYgd2luZG93Ll9fWFJBWV9SRUFDVF9QUk9KRUNUX1JPT1RfXykge1xuICAgICAgcHJvamVjdFJvb3QgPSBub3JtYWxpemVQYXRoKHdpbmRvdy5fX1hSQVlfUkVBQ1RfUFJPSkVDVF9ST09UX18pO1xuICAgIH0gZWxzZSB7XG4gICAgICBzZXRUaW1lb3V0KCgpID0+IHtcbiAgICAgICAgZGV0ZWN0UHJvamVjdFJvb3RGcm9tRE9NKCk7XG4gICAgICB9LCAxMDAwKTtcbiAgICB9XG4gIH1cblxuICBpZiAod29ya3NwYWNlUGFja2FnZXMubGVuZ3RoID09PSAwICYmIHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gICAgc2V0V29ya3NwYWNlUGFja2FnZXMod2luZG93Ll9fWFJBWV9SRUFDVF9XT1JLU1BBQ0VfUEFDS0FHRVNfXyk7XG4gIH1cblxuICAvLyBJbnRlZ3JhdGlvbnMgd2l0aCBhIHRvZ2dsZSBvZiB0aGVpciBvd24gKGUuZy4sIHRoZSBTdG9yeWJvb2sgdG9vbGJhcikgdHVybiB0aGUgc2hvcnRjdXQgb2ZmXG4gIGlmICh0eXBlb2Ygd2luZG93ICE9PSAndW5kZWZpbmVkJyAmJiB3aW5kb3cuX19YUkFZX1JFQUNUX1NIT1JUQ1VUX18gPT09IGZhbHNlKSB7XG4gICAgcmV0dXJuO1xuICB9XG5cbiAgaWYgKGRvY3VtZW50LnJlYWR5U3RhdGUgPT09ICdsb2FkaW5nJykge1xuICAgIGRvY3VtZW50LmFkZEV2ZW50TGlzdGVuZXIoJ0RPTUNvbnRlbnRMb2FkZWQnLCBoYW5kbGVYcmF5UmVhY3RUb2dnbGUpO1xuICB9IGVsc2Uge1xuICAgIGhhbmRsZVhyYXlSZWFjdFRvZ2dsZSgpO1xuICB9XG59O1xuIiwiaW1wb3J0IHtcbiAgZW5hYmxlWHJheVJlYWN0LFxuICBzZXRYcmF5UmVhY3RFbmFibGVkLFxuICByZWZyZXNoWHJheVJlYWN0LFxuICBzZXRQcm9qZWN0Um9vdCxcbiAgc2V0V29ya3NwYWNlUGFja2FnZXMsXG4gIHNldFVzYWdlTWFwLFxuICBzZXRJbXBvcnRNYXAsXG4gIHNldFByb2plY3RGaWxlcyxcbiAgYXBwbHlVc2FnZU1hcFBhdGNoLFxuICBhcHBseUltcG9ydE1hcFBhdGNoLFxuICBhcHBseVByb2plY3RGaWxlc1BhdGNoLFxuICBzZXRNb2RlLFxufSBmcm9tICcuLi9zcmMvdWktdXRpbHMuanMnO1xuXG4vLyBFeHBvc2UgZnVuY3Rpb25zIGdsb2JhbGx5IGZvciBjbGllbnQgYnVuZGxlIHRvIHVzZVxuaWYgKHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnKSB7XG4gIHdpbmRvdy54cmF5UmVhY3RTZXRQcm9qZWN0Um9vdCA9IHNldFByb2plY3RSb290O1xuICB3aW5kb3cueHJheVJlYWN0U2V0V29ya3NwYWNlUGFja2FnZXMgPSBzZXRXb3Jrc3BhY2VQYWNrYWdlcztcbiAgd2luZG93LnhyYXlSZWFjdFNldFVzYWdlTWFwID0gc2V0VXNhZ2VNYXA7XG4gIHdpbmRvdy54cmF5UmVhY3RTZXRJbXBvcnRNYXAgPSBzZXRJbXBvcnRNYXA7XG4gIHdpbmRvdy54cmF5UmVhY3RTZXRQcm9qZWN0RmlsZXMgPSBzZXRQcm9qZWN0RmlsZXM7XG4gIHdpbmRvdy54cmF5UmVhY3RBcHBseVVzYWdlTWFwUGF0Y2ggPSBhcHBseVVzYWdlTWFwUGF0Y2g7XG4gIHdpbmRvdy54cmF5UmVhY3RBcHBseUltcG9ydE1hcFBhdGNoID0gYXBwbHlJbXBvcnRNYXBQYXRjaDtcbiAgd2luZG93LnhyYXlSZWFjdEFwcGx5UHJvamVjdEZpbGVzUGF0Y2ggPSBhcHBseVByb2plY3RGaWxlc1BhdGNoO1xuICB3aW5kb3cueHJheVJlYWN0U2V0TW9kZSA9IHNldE1vZGU7XG4gIHdpbmRvdy54cmF5UmVhY3RTZXRFbmFibGVkID0gc2V0WHJheVJlYWN0RW5hYmxlZDtcbiAgd2luZG93LnhyYXlSZWFjdFJlZnJlc2ggPSByZWZyZXNoWHJheVJlYWN0O1xufVxuXG5lbmFibGVYcmF5UmVhY3QoKTtcbiJdLCJuYW1lcyI6WyJjb25zdGFudHMueHJheVJlYWN0RWxlbUNOIiwiY29uc3RhbnRzLnpJbmRleCIsImNvbnN0YW50cy54cmF5UmVhY3RTb3VyY2VBdHRyIiwiY29uc3RhbnRzLnhyYXlSZWFjdFNvdXJjZUV4YWN0QXR0ciIsImNvbnN0YW50cy5IVE1MX0VMRU1FTlRTIiwiY29uc3RhbnRzLnhyYXlTb3VyY2VBdHRyIiwiY29uc3RhbnRzLnhyYXlDb21wb25lbnRBdHRyIiwiY29uc3RhbnRzLnhyYXlSZWFjdENvbXBQYXRoQXR0ciIsImNvbnN0YW50cy54cmF5UmVhY3RGaWx0ZXJlZENvbXBQYXRoQXR0ciIsImNvbnN0YW50cy54cmF5UmVhY3RTZXJ2ZXJDb21wc0F0dHIiLCJjb25zdGFudHMueHJheVJlYWN0Um91dGVNb2R1bGVzQXR0ciIsImNvbnN0YW50cy54cmF5UmVhY3RXcmFwcGVyQ04iXSwibWFwcGluZ3MiOiI7OztFQUFPLE1BQU0sZUFBZSxHQUFHLG9CQUFvQjtFQUM1QyxNQUFNLGtCQUFrQixHQUFHLDZCQUE2QjtFQUN4RCxNQUFNLHFCQUFxQixHQUFHLGlDQUFpQztFQUMvRCxNQUFNLDZCQUE2QixHQUFHLDBDQUEwQztFQUNoRixNQUFNLG1CQUFtQixHQUFHLHdCQUF3QjtFQUNwRCxNQUFNLHdCQUF3QixHQUFHLDhCQUE4QjtFQUN0RTtFQUNPLE1BQU0sd0JBQXdCLEdBQUcsbUNBQW1DO0VBQzNFO0VBQ08sTUFBTSx5QkFBeUIsR0FBRywrQkFBK0I7RUFDeEU7RUFDTyxNQUFNLGNBQWMsR0FBRyxrQkFBa0I7RUFDekMsTUFBTSxpQkFBaUIsR0FBRyxxQkFBcUI7RUFDL0MsTUFBTSxNQUFNLEdBQUcsS0FBSzs7RUFFcEIsTUFBTSxZQUFZLEdBQUcsTUFBTTtFQUMzQixNQUFNLGNBQWMsR0FBRyxRQUFRO0VBQy9CLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxZQUFZLEVBQUUsY0FBYyxDQUFDOztFQUV6RCxNQUFNLGlCQUFpQixHQUFHO0VBQ2pDLEVBQUUsTUFBTSxFQUFFLFNBQVM7RUFDbkIsRUFBRSxNQUFNLEVBQUUsUUFBUTtFQUNsQixFQUFFLElBQUksRUFBRSxlQUFlO0VBQ3ZCLEVBQUUsU0FBUyxFQUFFLG1CQUFtQjtFQUNoQyxFQUFFLElBQUksRUFBRSxjQUFjO0VBQ3RCLENBQUM7O0VBR00sTUFBTSxhQUFhLEdBQUcsSUFBSSxHQUFHLENBQUM7RUFDckMsRUFBRSxLQUFLO0VBQ1AsRUFBRSxNQUFNO0VBQ1IsRUFBRSxNQUFNO0VBQ1IsRUFBRSxRQUFRO0VBQ1YsRUFBRSxPQUFPO0VBQ1QsRUFBRSxHQUFHO0VBQ0wsRUFBRSxLQUFLO0VBQ1AsRUFBRSxHQUFHO0VBQ0wsRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxPQUFPO0VBQ1QsRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxPQUFPO0VBQ1QsRUFBRSxPQUFPO0VBQ1QsRUFBRSxPQUFPO0VBQ1QsRUFBRSxTQUFTO0VBQ1gsRUFBRSxTQUFTO0VBQ1gsRUFBRSxRQUFRO0VBQ1YsRUFBRSxRQUFRO0VBQ1YsRUFBRSxLQUFLO0VBQ1AsRUFBRSxNQUFNO0VBQ1IsRUFBRSxPQUFPO0VBQ1QsRUFBRSxPQUFPO0VBQ1QsRUFBRSxRQUFRO0VBQ1YsRUFBRSxRQUFRO0VBQ1YsRUFBRSxVQUFVO0VBQ1osRUFBRSxVQUFVO0VBQ1osRUFBRSxRQUFRO0VBQ1YsRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxRQUFRO0VBQ1YsRUFBRSxJQUFJO0VBQ04sRUFBRSxHQUFHO0VBQ0wsRUFBRSxHQUFHO0VBQ0wsRUFBRSxHQUFHO0VBQ0wsRUFBRSxPQUFPO0VBQ1QsRUFBRSxLQUFLO0VBQ1AsRUFBRSxLQUFLO0VBQ1AsRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxJQUFJO0VBQ04sRUFBRSxLQUFLO0VBQ1AsRUFBRSxNQUFNO0VBQ1IsRUFBRSxZQUFZO0VBQ2QsRUFBRSxNQUFNO0VBQ1IsRUFBRSxRQUFRO0VBQ1YsRUFBRSxLQUFLO0VBQ1AsRUFBRSxNQUFNO0VBQ1IsRUFBRSxRQUFRO0VBQ1YsRUFBRSxNQUFNO0VBQ1IsRUFBRSxNQUFNO0VBQ1IsRUFBRSxVQUFVO0VBQ1osRUFBRSxTQUFTO0VBQ1gsRUFBRSxRQUFRO0VBQ1YsRUFBRSxPQUFPO0VBQ1QsRUFBRSxRQUFRO0VBQ1YsRUFBRSxPQUFPO0VBQ1QsRUFBRSxPQUFPO0VBQ1QsRUFBRSxRQUFRO0VBQ1YsRUFBRSxPQUFPO0VBQ1QsRUFBRSxNQUFNO0VBQ1IsRUFBRSxNQUFNO0VBQ1IsRUFBRSxPQUFPO0VBQ1QsRUFBRSxRQUFRO0VBQ1YsRUFBRSxVQUFVO0VBQ1osRUFBRSxVQUFVO0VBQ1osQ0FBQyxDQUFDOztBQ3hHRixZQUFlO0FBQ2Y7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0EsQ0FBQzs7RUN4Uk0sTUFBTSxTQUFTLEdBQUc7QUFDekI7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0E7QUFDQTtBQUNBO0FBQ0EsQ0FBQzs7RUN0QkQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTs7RUFFQSxNQUFNLFlBQVksR0FBRyxrRUFBa0U7RUFDdkYsTUFBTSxhQUFhLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEtBQUssQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQzs7RUFFcEY7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLElBQUksRUFBRSxLQUFLLEtBQUs7RUFDNUMsRUFBRSxNQUFNLFFBQVEsR0FBRyxFQUFFO0VBQ3JCLEVBQUUsSUFBSSxlQUFlLEdBQUcsQ0FBQzs7RUFFekIsRUFBRSxLQUFLLE1BQU0sT0FBTyxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7RUFDekMsSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFOztFQUVsQixJQUFJLE1BQU0sTUFBTSxHQUFHLEVBQUU7RUFDckIsSUFBSSxJQUFJLEtBQUssR0FBRyxDQUFDO0VBQ2pCLElBQUksSUFBSSxLQUFLLEdBQUcsQ0FBQzs7RUFFakIsSUFBSSxLQUFLLE1BQU0sSUFBSSxJQUFJLE9BQU8sRUFBRTtFQUNoQyxNQUFNLE1BQU0sS0FBSyxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDO0VBQzNDLE1BQU0sSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFOztFQUUvQixNQUFNLEtBQUssSUFBSSxDQUFDLEtBQUssR0FBRyxFQUFFLEtBQUssS0FBSztFQUNwQyxNQUFNLElBQUksS0FBSyxHQUFHLEVBQUUsRUFBRTtFQUN0QixRQUFRLEtBQUssSUFBSSxDQUFDO0VBQ2xCLE1BQU0sQ0FBQyxNQUFNO0VBQ2IsUUFBUSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsRUFBRSxLQUFLLElBQUksQ0FBQyxDQUFDLEdBQUcsS0FBSyxJQUFJLENBQUMsQ0FBQztFQUMzRCxRQUFRLEtBQUssR0FBRyxDQUFDO0VBQ2pCLFFBQVEsS0FBSyxHQUFHLENBQUM7RUFDakIsTUFBTTtFQUNOLElBQUk7O0VBRUosSUFBSSxlQUFlLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7RUFDckMsSUFBSSxJQUFJLE1BQU0sQ0FBQyxNQUFNLElBQUksQ0FBQyxFQUFFO0VBQzVCLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUM7RUFDM0IsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQztFQUMzQixNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxNQUFNLENBQUMsQ0FBQyxDQUFDO0VBQzNCLE1BQU0sUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLGVBQWUsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0VBQ3BFLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxRQUFRO0VBQ2pCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNPLE1BQU0sYUFBYSxHQUFHLENBQUMsR0FBRyxLQUFLO0VBQ3RDLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRSxPQUFPLEdBQUc7O0VBRXRCLEVBQUUsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLHNCQUFzQixDQUFDLEVBQUU7RUFDOUMsSUFBSSxPQUFPLEdBQUcsQ0FBQyxPQUFPLENBQUMsc0JBQXNCLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQztFQUM1RixFQUFFOztFQUVGLEVBQUUsSUFBSTtFQUNOLElBQUksTUFBTSxNQUFNLEdBQUcsSUFBSSxHQUFHLENBQUMsR0FBRyxDQUFDO0VBQy9CLElBQUksSUFBSSxNQUFNLENBQUMsUUFBUSxLQUFLLE9BQU8sRUFBRTtFQUNyQyxNQUFNLE9BQU8sa0JBQWtCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQztFQUNoRCxJQUFJOztFQUVKLElBQUksTUFBTSxRQUFRLEdBQUcsa0JBQWtCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQztFQUN4RCxJQUFJLElBQUksUUFBUSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsRUFBRTtFQUN0QyxNQUFNLE9BQU8sUUFBUSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDO0VBQzFDLElBQUk7RUFDSixJQUFJLE9BQU8sUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDO0VBQ3ZDLEVBQUUsQ0FBQyxDQUFDLE1BQU07RUFDVixJQUFJLE9BQU8sR0FBRyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDO0VBQ25DLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxDQUFDLE1BQU0sRUFBRSxNQUFNLEtBQUs7RUFDdkQsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLE9BQU8sTUFBTTs7RUFFNUIsRUFBRSxNQUFNLFlBQVksR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLDJCQUEyQixDQUFDO0VBQ2hFLEVBQUUsSUFBSSxZQUFZLEVBQUU7RUFDcEIsSUFBSSxPQUFPLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQztFQUMvQyxFQUFFOztFQUVGLEVBQUUsSUFBSSxhQUFhLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFO0VBQ2xDLElBQUksT0FBTyxrQkFBa0IsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQztFQUNoRSxFQUFFOztFQUVGLEVBQUUsSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxFQUFFO0VBQzlCLElBQUksT0FBTyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxHQUFHLENBQUM7RUFDMUMsRUFBRTs7RUFFRixFQUFFLElBQUk7RUFDTixJQUFJLE9BQU8sYUFBYSxDQUFDLElBQUksR0FBRyxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUM7RUFDdEQsRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWLElBQUksT0FBTyxNQUFNO0VBQ2pCLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxjQUFjLEdBQUcsQ0FBQyxNQUFNLEVBQUUsTUFBTSxLQUFLO0VBQ2xELEVBQUUsSUFBSSxDQUFDLE1BQU0sSUFBSSxPQUFPLE1BQU0sQ0FBQyxRQUFRLEtBQUssUUFBUSxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUU7RUFDeEYsSUFBSSxPQUFPLElBQUk7RUFDZixFQUFFOztFQUVGLEVBQUUsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLFVBQVUsSUFBSSxFQUFFO0VBQzVDLEVBQUUsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLEtBQUs7RUFDakQsSUFBSSxNQUFNLFFBQVEsR0FBRyxVQUFVLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxVQUFVLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU07RUFDaEcsSUFBSSxPQUFPLG1CQUFtQixDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUM7RUFDaEQsRUFBRSxDQUFDLENBQUM7O0VBRUosRUFBRSxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0VBQ3pCLEVBQUUsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxLQUFLLGtCQUFrQixDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQzs7RUFFekYsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRTtFQUMzQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxDQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsTUFBTSxLQUFLO0VBQzFELEVBQUUsTUFBTSxRQUFRLEdBQUcsR0FBRyxFQUFFLEtBQUssQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO0VBQ3ZDLEVBQUUsSUFBSSxDQUFDLFFBQVEsSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxPQUFPLElBQUk7O0VBRXJELEVBQUUsTUFBTSxlQUFlLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztFQUN4RCxFQUFFLElBQUksS0FBSyxHQUFHLElBQUk7RUFDbEIsRUFBRSxLQUFLLE1BQU0sT0FBTyxJQUFJLFFBQVEsRUFBRTtFQUNsQyxJQUFJLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLGVBQWUsRUFBRTtFQUN0QyxJQUFJLEtBQUssR0FBRyxPQUFPO0VBQ25CLEVBQUU7RUFDRixFQUFFLEtBQUssR0FBRyxLQUFLLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQzs7RUFFOUIsRUFBRSxNQUFNLFFBQVEsR0FBRyxHQUFHLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztFQUN4QyxFQUFFLElBQUksQ0FBQyxRQUFRLEVBQUUsT0FBTyxJQUFJOztFQUU1QixFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsWUFBWSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUU7RUFDM0UsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxhQUFhLEdBQUcsQ0FBQyxPQUFPLEtBQUs7RUFDbkMsRUFBRSxNQUFNLENBQUMsTUFBTSxFQUFFLE9BQU8sR0FBRyxFQUFFLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQztFQUNuRCxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxFQUFFO0VBQ25DLElBQUksT0FBTyxrQkFBa0IsQ0FBQyxPQUFPLENBQUM7RUFDdEMsRUFBRTs7RUFFRixFQUFFLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUM7RUFDOUIsRUFBRSxNQUFNLEtBQUssR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0VBQ3JFLEVBQUUsT0FBTyxJQUFJLFdBQVcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUM7RUFDeEMsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGFBQWEsR0FBRyxPQUFPLFNBQVMsS0FBSztFQUNsRCxFQUFFLElBQUk7RUFDTixJQUFJLE1BQU0sUUFBUSxHQUFHLE1BQU0sS0FBSyxDQUFDLFNBQVMsQ0FBQztFQUMzQyxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLE9BQU8sSUFBSTs7RUFFakMsSUFBSSxNQUFNLElBQUksR0FBRyxNQUFNLFFBQVEsQ0FBQyxJQUFJLEVBQUU7RUFDdEMsSUFBSSxNQUFNLFVBQVUsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxvQ0FBb0MsQ0FBQyxDQUFDO0VBQy9FLElBQUksSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxPQUFPLElBQUk7O0VBRTVDLElBQUksTUFBTSxTQUFTLEdBQUcsVUFBVSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDOztFQUUxRCxJQUFJLElBQUksU0FBUyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsRUFBRTtFQUN2QyxNQUFNLE9BQU8sY0FBYyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDO0VBQzVFLElBQUk7O0VBRUosSUFBSSxNQUFNLE1BQU0sR0FBRyxJQUFJLEdBQUcsQ0FBQyxTQUFTLEVBQUUsU0FBUyxDQUFDLENBQUMsSUFBSTtFQUNyRCxJQUFJLE1BQU0sV0FBVyxHQUFHLE1BQU0sS0FBSyxDQUFDLE1BQU0sQ0FBQztFQUMzQyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLE9BQU8sSUFBSTs7RUFFcEMsSUFBSSxPQUFPLGNBQWMsQ0FBQyxNQUFNLFdBQVcsQ0FBQyxJQUFJLEVBQUUsRUFBRSxNQUFNLENBQUM7RUFDM0QsRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWLElBQUksT0FBTyxJQUFJO0VBQ2YsRUFBRTtFQUNGLENBQUM7O0VDNU1EO0VBQ0E7RUFDQTtFQUNBOztFQUdBLE1BQU0sVUFBVSxHQUFHLElBQUksR0FBRyxFQUFFLENBQUM7RUFDN0IsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLEdBQUcsRUFBRTtFQUNuQyxNQUFNLGdCQUFnQixHQUFHLElBQUksT0FBTyxFQUFFLENBQUM7O0VBRXZDO0VBQ0EsTUFBTSx3QkFBd0IsR0FBRyxJQUFJLEdBQUcsQ0FBQyxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLGVBQWUsQ0FBQyxDQUFDO0VBQ3BGLE1BQU0sb0JBQW9CO0VBQzFCLEVBQUUsc0pBQXNKOztFQUV4SjtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGdCQUFnQixHQUFHLENBQUMsS0FBSyxLQUFLO0VBQzNDLEVBQUUsSUFBSSxDQUFDLEtBQUssSUFBSSxPQUFPLEtBQUssS0FBSyxRQUFRLEVBQUUsT0FBTyxFQUFFOztFQUVwRCxFQUFFLE1BQU0sTUFBTSxHQUFHLEVBQUU7RUFDbkIsRUFBRSxLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7RUFDeEMsSUFBSSxNQUFNLEtBQUs7RUFDZixNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsOENBQThDLENBQUM7RUFDaEUsTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLGlDQUFpQyxDQUFDOztFQUVuRCxJQUFJLElBQUksS0FBSyxFQUFFO0VBQ2YsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUFDO0VBQ2xCLFFBQVEsWUFBWSxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUU7RUFDckMsV0FBVyxPQUFPLENBQUMsZUFBZSxFQUFFLEVBQUU7RUFDdEMsV0FBVyxLQUFLLENBQUMsR0FBRztFQUNwQixXQUFXLEdBQUcsRUFBRTtFQUNoQixRQUFRLEdBQUcsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO0VBQ3JCLFFBQVEsVUFBVSxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDO0VBQzFDLFFBQVEsWUFBWSxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDO0VBQzVDLE9BQU8sQ0FBQztFQUNSLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsT0FBTyxNQUFNO0VBQ2YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sYUFBYSxHQUFHLENBQUMsS0FBSyxLQUFLO0VBQ2pDLEVBQUUsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLEdBQUc7RUFDN0IsRUFBRSxNQUFNLFdBQVcsR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQzs7RUFFckQsRUFBRSxJQUFJLFdBQVcsSUFBSSxVQUFVLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFO0VBQ2hELElBQUksTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUM7RUFDekMsSUFBSSxNQUFNLFFBQVEsR0FBRyxHQUFHLElBQUksbUJBQW1CLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLFlBQVksQ0FBQztFQUMxRixJQUFJLElBQUksUUFBUSxFQUFFO0VBQ2xCLE1BQU0sT0FBTyxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRTtFQUNqRCxJQUFJO0VBQ0osRUFBRSxDQUFDLE1BQU0sSUFBSSxXQUFXLEVBQUU7RUFDMUIsSUFBSSxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDO0VBQ3BDLEVBQUU7O0VBRUYsRUFBRSxPQUFPO0VBQ1QsSUFBSSxNQUFNLEVBQUU7RUFDWixNQUFNLFFBQVEsRUFBRSxhQUFhLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQztFQUN4QyxNQUFNLFVBQVUsRUFBRSxLQUFLLENBQUMsVUFBVTtFQUNsQyxNQUFNLFlBQVksRUFBRSxLQUFLLENBQUMsWUFBWTtFQUN0QyxLQUFLO0VBQ0wsSUFBSSxRQUFRLEVBQUUsQ0FBQyxXQUFXLElBQUksVUFBVSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUM7RUFDdkQsR0FBRztFQUNILENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGNBQWMsR0FBRyxDQUFDLFVBQVUsS0FBSztFQUN2QyxFQUFFLE1BQU0sYUFBYSxHQUFHLE9BQU8sVUFBVSxLQUFLLFFBQVEsSUFBSSxVQUFVLEtBQUssSUFBSTtFQUM3RSxFQUFFLElBQUksYUFBYSxJQUFJLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRTtFQUN6RCxJQUFJLE9BQU8sZ0JBQWdCLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQztFQUMzQyxFQUFFOztFQUVGLEVBQUUsTUFBTSxNQUFNLEdBQUcsZ0JBQWdCLENBQUMsYUFBYSxHQUFHLFVBQVUsQ0FBQyxLQUFLLEdBQUcsVUFBVSxDQUFDO0VBQ2hGLEVBQUUsSUFBSSxNQUFNLEdBQUcsSUFBSTtFQUNuQixFQUFFLElBQUksT0FBTyxHQUFHLElBQUk7O0VBRXBCLEVBQUUsS0FBSyxNQUFNLEtBQUssSUFBSSxNQUFNLEVBQUU7RUFDOUIsSUFBSSxJQUFJLHdCQUF3QixDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLEVBQUU7O0VBRTFELElBQUksTUFBTSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDO0VBQ3JELElBQUksT0FBTyxHQUFHLE9BQU8sSUFBSSxRQUFROztFQUVqQyxJQUFJLElBQUksTUFBTSxDQUFDLFFBQVEsSUFBSSxDQUFDLG9CQUFvQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEVBQUU7RUFDeEUsTUFBTSxNQUFNLEdBQUcsTUFBTTtFQUNyQixNQUFNO0VBQ04sSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLGFBQWEsSUFBSSxPQUFPLEVBQUU7RUFDaEMsSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQztFQUM1QyxFQUFFOztFQUVGLEVBQUUsT0FBTyxNQUFNO0VBQ2YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGNBQWMsR0FBRyxDQUFDLEtBQUssS0FBSztFQUN6QyxFQUFFLE1BQU0sTUFBTSxHQUFHLEtBQUssRUFBRSxZQUFZO0VBQ3BDLEVBQUUsSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLFFBQVEsRUFBRTtFQUNqQyxJQUFJLE9BQU87RUFDWCxNQUFNLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUTtFQUMvQixNQUFNLFVBQVUsRUFBRSxNQUFNLENBQUMsVUFBVSxJQUFJLElBQUk7RUFDM0MsTUFBTSxZQUFZLEVBQUUsTUFBTSxDQUFDLFlBQVksSUFBSSxJQUFJO0VBQy9DLEtBQUs7RUFDTCxFQUFFOztFQUVGLEVBQUUsSUFBSSxLQUFLLEVBQUUsV0FBVyxFQUFFO0VBQzFCLElBQUksSUFBSTtFQUNSLE1BQU0sT0FBTyxjQUFjLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQztFQUM5QyxJQUFJLENBQUMsQ0FBQyxNQUFNO0VBQ1osTUFBTSxPQUFPLElBQUk7RUFDakIsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLElBQUk7RUFDYixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLHFCQUFxQixHQUFHLFlBQVk7RUFDakQsRUFBRSxNQUFNLFVBQVUsR0FBRyxDQUFDLEdBQUcsaUJBQWlCLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0VBQ2pGLEVBQUUsaUJBQWlCLENBQUMsS0FBSyxFQUFFOztFQUUzQixFQUFFLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsT0FBTyxLQUFLOztFQUUzQyxFQUFFLE1BQU0sSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLGFBQWEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0VBQzdFLEVBQUUsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsRUFBRSxLQUFLLEtBQUssVUFBVSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7O0VBRXRFLEVBQUUsT0FBTyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQztFQUMzQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG9CQUFvQixHQUFHLENBQUMsTUFBTSxLQUFLO0VBQ2hELEVBQUUsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFO0VBQzVDLEVBQUUsT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLFVBQVUsSUFBSSxFQUFFLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxZQUFZLElBQUksRUFBRSxDQUFDLENBQUM7RUFDckYsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG1CQUFtQixHQUFHLENBQUMsS0FBSyxLQUFLO0VBQzlDLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxPQUFPLElBQUk7O0VBRXpCLEVBQUUsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxxQkFBcUIsQ0FBQztFQUMxRCxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUU7RUFDZCxJQUFJLE9BQU8sRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRTtFQUM1RSxFQUFFOztFQUVGLEVBQUUsT0FBTztFQUNULElBQUksUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7RUFDdEIsSUFBSSxVQUFVLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsSUFBSTtFQUN4RCxJQUFJLFlBQVksRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJO0VBQzFELEdBQUc7RUFDSCxDQUFDOztFQzFMRDtFQUNBO0VBQ0E7RUFDQTtFQUNBOztFQUdBLE1BQU0scUJBQXFCLEdBQUcsbUJBQW1COztFQUVqRDtFQUNPLE1BQU0sd0JBQXdCLEdBQUcsUUFBUTs7RUFFaEQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG1CQUFtQixHQUFHLE1BQU07RUFDekMsRUFBRSxJQUFJO0VBQ04sSUFBSSxPQUFPLE1BQU0sQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLHFCQUFxQixDQUFDLElBQUksRUFBRTtFQUNuRSxFQUFFLENBQUMsQ0FBQyxNQUFNO0VBQ1YsSUFBSSxPQUFPLEVBQUUsQ0FBQztFQUNkLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxtQkFBbUIsR0FBRyxDQUFDLFVBQVUsS0FBSztFQUNuRCxFQUFFLElBQUk7RUFDTixJQUFJLElBQUksVUFBVSxFQUFFO0VBQ3BCLE1BQU0sTUFBTSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMscUJBQXFCLEVBQUUsVUFBVSxDQUFDO0VBQ3BFLElBQUksQ0FBQyxNQUFNO0VBQ1gsTUFBTSxNQUFNLENBQUMsWUFBWSxDQUFDLFVBQVUsQ0FBQyxxQkFBcUIsQ0FBQztFQUMzRCxJQUFJO0VBQ0osRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWO0VBQ0EsRUFBRTtFQUNGLENBQUM7O0VDakJELE1BQU0sZUFBZSxHQUFHLEVBQUUsQ0FBQzs7RUFFM0IsSUFBSSxXQUFXLEdBQUcsSUFBSTtFQUN0QixJQUFJLGlCQUFpQixHQUFHLEVBQUUsQ0FBQztFQUMzQixJQUFJLFFBQVEsR0FBRyxFQUFFO0VBQ2pCLElBQUksU0FBUyxHQUFHLEVBQUUsQ0FBQztFQUNuQixJQUFJLGdCQUFnQixHQUFHLElBQUksR0FBRyxFQUFFO0VBQ2hDLElBQUksMEJBQTBCLEdBQUcsSUFBSSxHQUFHLEVBQUUsQ0FBQztFQUMzQyxJQUFJLHlCQUF5QixHQUFHLElBQUksR0FBRyxFQUFFLENBQUM7RUFDMUMsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLEdBQUcsRUFBRSxDQUFDO0VBQ3JDLElBQUksV0FBVyxHQUFHLFlBQVk7RUFDOUIsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLE9BQU8sRUFBRSxDQUFDO0VBQ3pDLE1BQU0sa0JBQWtCLEdBQUcsSUFBSSxPQUFPLEVBQUUsQ0FBQztFQUN6QyxJQUFJLHFCQUFxQixHQUFHLENBQUM7RUFDN0IsSUFBSSxxQkFBcUIsR0FBRyxDQUFDOztFQUU3QjtFQUNBLE1BQU0saUJBQWlCLEdBQUc7RUFDMUIsRUFBRSxlQUFlO0VBQ2pCLEVBQUUsY0FBYztFQUNoQixFQUFFLFlBQVk7RUFDZCxFQUFFLGFBQWE7RUFDZixFQUFFLGFBQWE7RUFDZixFQUFFLGVBQWU7RUFDakIsRUFBRSxnQkFBZ0I7RUFDbEIsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sYUFBYSxHQUFHLENBQUMsUUFBUSxLQUFLO0VBQ3BDLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUU7O0VBRTFCLEVBQUUsTUFBTSxNQUFNLEdBQUcsa0JBQWtCLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQztFQUNqRCxFQUFFLElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRSxPQUFPLE1BQU07O0VBRXpDLEVBQUUsSUFBSSxVQUFVLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDO0VBQ3ZELEVBQUUsVUFBVSxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLEVBQUUsQ0FBQztFQUNuRCxFQUFFLFVBQVUsR0FBRyxVQUFVLENBQUMsV0FBVyxFQUFFOztFQUV2QyxFQUFFLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDO0VBQzlDLEVBQUUsT0FBTyxVQUFVO0VBQ25CLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sY0FBYyxHQUFHLENBQUMsUUFBUSxLQUFLO0VBQ3JDLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxPQUFPLEtBQUs7O0VBRTdCLEVBQUUsTUFBTSxVQUFVLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQzs7RUFFNUMsRUFBRSxPQUFPLGlCQUFpQixDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sS0FBSyxPQUFPLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0VBQ3RFLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxlQUFlLEdBQUcsQ0FBQyxRQUFRLEtBQUs7RUFDdEMsRUFBRSxJQUFJLENBQUMsUUFBUSxJQUFJLGlCQUFpQixDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsT0FBTyxLQUFLOztFQUUvRCxFQUFFLE1BQU0sVUFBVSxHQUFHLGFBQWEsQ0FBQyxRQUFRLENBQUM7RUFDNUMsRUFBRSxNQUFNLFNBQVMsR0FBRyxVQUFVLENBQUMsV0FBVyxDQUFDLGVBQWUsQ0FBQztFQUMzRCxFQUFFLE9BQU8saUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUs7RUFDcEQsSUFBSSxJQUFJLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO0VBQzNDO0VBQ0EsTUFBTSxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLGdCQUFnQixDQUFDO0VBQ3RFLElBQUk7RUFDSixJQUFJO0VBQ0osTUFBTSxTQUFTLEtBQUssRUFBRSxJQUFJLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLEdBQUcsZUFBZSxDQUFDLE1BQU07RUFDOUY7RUFDQSxFQUFFLENBQUMsQ0FBQztFQUNKLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sMEJBQTBCLEdBQUcsQ0FBQyxTQUFTLEtBQUs7RUFDbEQsRUFBRSxJQUFJLENBQUMsU0FBUyxJQUFJLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLE9BQU8sSUFBSTs7RUFFdkQsRUFBRSxNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUM7O0VBRW5HLEVBQUUsSUFBSSxZQUFZLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxPQUFPLElBQUk7O0VBRTVDLEVBQUUsTUFBTSxTQUFTLEdBQUcsWUFBWSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0VBQy9ELEVBQUUsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDOztFQUV2RSxFQUFFLElBQUksV0FBVyxHQUFHLEVBQUU7RUFDdEIsRUFBRSxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsU0FBUyxFQUFFLENBQUMsRUFBRSxFQUFFO0VBQ3RDLElBQUksTUFBTSxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztFQUNoQyxJQUFJLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLEVBQUU7RUFDdkQsTUFBTSxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUM1QixJQUFJLENBQUMsTUFBTTtFQUNYLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLElBQUksV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDOUIsSUFBSSxPQUFPLEdBQUcsR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQztFQUN0QyxFQUFFOztFQUVGLEVBQUUsTUFBTSxTQUFTLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQztFQUNuQyxFQUFFLE1BQU0sU0FBUyxHQUFHLFNBQVMsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDO0VBQzlDLEVBQUUsSUFBSSxTQUFTLEdBQUcsQ0FBQyxFQUFFO0VBQ3JCLElBQUksT0FBTyxHQUFHLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDO0VBQ2xELEVBQUU7O0VBRUYsRUFBRSxPQUFPLElBQUk7RUFDYixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLDJCQUEyQixHQUFHLENBQUMsSUFBSSxLQUFLO0VBQzlDLEVBQUUsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxPQUFPLElBQUk7O0VBRXBDLEVBQUUsTUFBTSxNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7RUFDMUIsRUFBRSxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtFQUN4QyxJQUFJLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxLQUFLLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLEVBQUU7RUFDN0QsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztFQUMxQixJQUFJO0VBQ0osRUFBRTtFQUNGLEVBQUUsT0FBTyxNQUFNO0VBQ2YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxLQUFLLEtBQUs7RUFDckMsRUFBRSxNQUFNLFdBQVcsR0FBRyxLQUFLLEVBQUUsYUFBYSxFQUFFLGFBQWEsQ0FBQyxlQUFlLENBQUM7RUFDMUUsRUFBRSxJQUFJLFdBQVcsRUFBRTtFQUNuQixJQUFJLFdBQVcsQ0FBQyxLQUFLLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsR0FBRyxNQUFNLEdBQUcsTUFBTTtFQUN4RSxFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxLQUFLLEtBQUs7RUFDdEMsRUFBRSxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTTtFQUM1QixFQUFFLE1BQU0sS0FBSyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsV0FBVyxFQUFFO0VBQ3pDLEVBQUUsTUFBTSxNQUFNLEdBQUcsSUFBSSxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7RUFDbEQsRUFBRSxNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLEVBQUVBLGVBQXlCLENBQUMsQ0FBQyxDQUFDOztFQUU3RSxFQUFFLGlCQUFpQixDQUFDLEtBQUssQ0FBQzs7RUFFMUIsRUFBRSxLQUFLLE1BQU0sSUFBSSxJQUFJLFFBQVEsRUFBRTtFQUMvQixJQUFJLElBQUksS0FBSyxDQUFDLE1BQU0sSUFBSSxDQUFDLEVBQUU7RUFDM0IsTUFBTSxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLHFDQUFxQyxDQUFDO0VBQ2pGLE1BQU0sSUFBSSxVQUFVLElBQUksVUFBVSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRTtFQUNsRCxRQUFRLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQztFQUMxQyxNQUFNLENBQUMsTUFBTTtFQUNiLFFBQVEsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDO0VBQzdDLE1BQU07RUFDTixJQUFJLENBQUMsTUFBTTtFQUNYLE1BQU0sSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDO0VBQzNDLElBQUk7RUFDSixFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQSxNQUFNLGlCQUFpQixHQUFHLE1BQU07RUFDaEMsRUFBRSxNQUFNLEtBQUssR0FBRyxRQUFRLENBQUMsY0FBYyxDQUFDLGtCQUFrQixDQUFDO0VBQzNELEVBQUUsSUFBSSxLQUFLLEVBQUU7RUFDYixJQUFJLEtBQUssQ0FBQyxLQUFLLEdBQUcsRUFBRTtFQUNwQixJQUFJLEtBQUssQ0FBQyxLQUFLLEVBQUU7RUFDakIsSUFBSSxpQkFBaUIsQ0FBQyxLQUFLLENBQUM7RUFDNUIsSUFBSSxNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLEVBQUVBLGVBQXlCLENBQUMsQ0FBQyxDQUFDO0VBQy9FLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQztFQUNyRSxFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0saUJBQWlCLEdBQUcsTUFBTTtFQUNoQyxFQUFFLE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxjQUFjLENBQUMsbUJBQW1CLENBQUM7RUFDN0QsRUFBRSxJQUFJLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxZQUFZLENBQUMsd0JBQXdCLENBQUMsRUFBRTtFQUNoRSxJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE1BQU0sYUFBYSxHQUFHLE1BQU0sQ0FBQyx5QkFBeUI7RUFDeEQsRUFBRSxNQUFNLGNBQWMsR0FBRyxpQkFBaUIsQ0FBQyxhQUFhLENBQUMsSUFBSSxrQkFBa0I7RUFDL0UsRUFBRSxNQUFNLE9BQU8sR0FBRztFQUNsQixJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsaUJBQWlCLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDO0VBQy9DLElBQUksQ0FBQyx3QkFBd0IsRUFBRSxrQkFBa0IsQ0FBQztFQUNsRCxJQUFJLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQztFQUN4QyxHQUFHOztFQUVILEVBQUUsTUFBTSxDQUFDLFNBQVMsR0FBRztFQUNyQixLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxLQUFLLENBQUMsZUFBZSxFQUFFLEtBQUssQ0FBQyxFQUFFLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQztFQUN6RSxLQUFLLElBQUksQ0FBQyxFQUFFLENBQUM7RUFDYixFQUFFLE1BQU0sQ0FBQyxLQUFLLEdBQUcsbUJBQW1CLEVBQUU7RUFDdEMsRUFBRSxNQUFNLENBQUMsWUFBWSxDQUFDLHdCQUF3QixFQUFFLE1BQU0sQ0FBQztFQUN2RCxFQUFFLE1BQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsTUFBTSxtQkFBbUIsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7RUFDNUUsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sY0FBYyxHQUFHLE1BQU07RUFDN0IsRUFBRSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsSUFBSSxNQUFNLENBQUMsbUJBQW1CLEVBQUU7RUFDbkUsSUFBSSxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsbUJBQW1CO0VBQzNDLElBQUksT0FBTyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLFlBQVk7RUFDbEUsRUFBRTtFQUNGLEVBQUUsT0FBTyxZQUFZO0VBQ3JCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLE9BQU8sR0FBRyxDQUFDLElBQUksS0FBSztFQUNqQyxFQUFFLFdBQVcsR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxHQUFHLFlBQVk7RUFDdkUsRUFBRSxJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVcsRUFBRTtFQUNyQyxJQUFJLE1BQU0sQ0FBQyxtQkFBbUIsR0FBRyxXQUFXO0VBQzVDLEVBQUU7RUFDRixDQUFDOztFQVVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHNCQUFzQixHQUFHLENBQUMsSUFBSSxFQUFFLGFBQWEsRUFBRSxNQUFNLEdBQUcsSUFBSSxFQUFFLFFBQVEsR0FBRyxLQUFLLEtBQUs7RUFDekYsRUFBRSxNQUFNLGFBQWEsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQztFQUNyRCxFQUFFLE1BQU0sa0JBQWtCLEdBQUcsSUFBSSxDQUFDLHFCQUFxQixFQUFFOztFQUV6RCxFQUFFLGFBQWEsQ0FBQyxTQUFTLEdBQUdBLGVBQXlCO0VBQ3JELEVBQUUsSUFBSSxRQUFRLEVBQUU7RUFDaEIsSUFBSSxhQUFhLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUM7RUFDMUMsRUFBRTtFQUNGLEVBQUUsYUFBYSxDQUFDLFlBQVksQ0FBQyw4QkFBOEIsRUFBRSxhQUFhLENBQUM7RUFDM0UsRUFBRSxhQUFhLENBQUMsWUFBWSxDQUFDLHFDQUFxQyxFQUFFLGFBQWEsQ0FBQyxXQUFXLEVBQUUsQ0FBQztFQUNoRyxFQUFFLGFBQWEsQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxrQkFBa0IsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO0VBQy9ELEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7RUFDN0QsRUFBRSxhQUFhLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLEVBQUUsa0JBQWtCLENBQUMsR0FBRyxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDO0VBQzFFLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxJQUFJLEdBQUcsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLElBQUksR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztFQUM1RSxFQUFFLGFBQWEsQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHQyxNQUFnQjs7RUFFL0MsRUFBRSxJQUFJLE1BQU0sRUFBRTtFQUNkLElBQUksYUFBYSxDQUFDLFlBQVksQ0FBQ0MsbUJBQTZCLEVBQUUsb0JBQW9CLENBQUMsTUFBTSxDQUFDLENBQUM7RUFDM0YsSUFBSSxJQUFJLE1BQU0sQ0FBQyxLQUFLLEVBQUU7RUFDdEIsTUFBTSxhQUFhLENBQUMsWUFBWSxDQUFDQyx3QkFBa0MsRUFBRSxNQUFNLENBQUM7RUFDNUUsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRTtFQUNoQyxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGFBQWEsR0FBRyxDQUFDLElBQUksS0FBSztFQUNoQyxFQUFFLElBQUksQ0FBQyxJQUFJLElBQUksT0FBTyxJQUFJLEtBQUssUUFBUSxFQUFFLE9BQU8sS0FBSztFQUNyRCxFQUFFLE9BQU9DLGFBQXVCLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQztFQUN4RCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLG1CQUFtQixHQUFHLENBQUMsSUFBSSxLQUFLO0VBQ3RDLEVBQUUsTUFBTSxLQUFLLEdBQUcsSUFBSSxJQUFJLElBQUksQ0FBQyxZQUFZLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQ0MsY0FBd0IsQ0FBQyxHQUFHLElBQUk7RUFDOUYsRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLE9BQU8sSUFBSTs7RUFFekIsRUFBRSxPQUFPO0VBQ1QsSUFBSSxJQUFJLEVBQUUsSUFBSSxDQUFDLFlBQVksQ0FBQ0MsaUJBQTJCLENBQUMsSUFBSSxJQUFJO0VBQ2hFLElBQUksTUFBTSxFQUFFLEVBQUUsR0FBRyxtQkFBbUIsQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFO0VBQzFELEdBQUc7RUFDSCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLElBQUksRUFBRSxhQUFhLEtBQUs7RUFDdEQsRUFBRSxJQUFJLFFBQVEsR0FBRyxJQUFJO0VBQ3JCLEVBQUU7RUFDRixJQUFJLFFBQVEsQ0FBQyxhQUFhO0VBQzFCLElBQUksUUFBUSxDQUFDLGFBQWEsQ0FBQyxZQUFZLENBQUNBLGlCQUEyQixDQUFDLEtBQUs7RUFDekUsSUFBSTtFQUNKLElBQUksUUFBUSxHQUFHLFFBQVEsQ0FBQyxhQUFhO0VBQ3JDLEVBQUU7O0VBRUYsRUFBRSxJQUFJLENBQUMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxFQUFFO0VBQ3pDLElBQUksa0JBQWtCLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssRUFBRSxxQkFBcUIsRUFBRSxDQUFDLENBQUMsQ0FBQztFQUN2RSxFQUFFO0VBQ0YsRUFBRSxPQUFPLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUM7RUFDekMsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGdCQUFnQixHQUFHLENBQUMsSUFBSSxFQUFFLGFBQWEsRUFBRSxXQUFXLEtBQUs7RUFDL0QsRUFBRSxNQUFNLE9BQU8sR0FBRyxtQkFBbUIsQ0FBQyxJQUFJLENBQUM7RUFDM0MsRUFBRSxJQUFJLE9BQU8sSUFBSSxPQUFPLENBQUMsSUFBSSxLQUFLLGFBQWEsRUFBRTtFQUNqRCxJQUFJLE9BQU8sT0FBTyxDQUFDLE1BQU07RUFDekIsRUFBRTs7RUFFRixFQUFFLE9BQU8sV0FBVyxLQUFLLE9BQU8sR0FBRyxFQUFFLEdBQUcsT0FBTyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLEdBQUcsSUFBSSxDQUFDO0VBQzlFLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSwrQkFBK0IsR0FBRyxDQUFDLElBQUksS0FBSztFQUNsRCxFQUFFLE1BQU0sVUFBVSxHQUFHLEVBQUU7RUFDdkIsRUFBRSxJQUFJLFdBQVcsR0FBRyxJQUFJOztFQUV4QixFQUFFLE9BQU8sV0FBVyxJQUFJLFdBQVcsS0FBSyxRQUFRLENBQUMsSUFBSSxFQUFFO0VBQ3ZELElBQUksTUFBTSxPQUFPLEdBQUcsbUJBQW1CLENBQUMsV0FBVyxDQUFDO0VBQ3BELElBQUksTUFBTSxhQUFhLEdBQUcsVUFBVSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0VBQzNELElBQUksSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxDQUFDLGFBQWEsSUFBSSxhQUFhLENBQUMsSUFBSSxLQUFLLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtFQUM1RixNQUFNLFVBQVUsQ0FBQyxJQUFJLENBQUM7RUFDdEIsUUFBUSxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUk7RUFDMUIsUUFBUSxJQUFJLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxRQUFRO0VBQ3JDLFFBQVEsVUFBVSxFQUFFLElBQUk7RUFDeEIsUUFBUSxTQUFTLEVBQUUsSUFBSTtFQUN2QixPQUFPLENBQUM7RUFDUixJQUFJO0VBQ0osSUFBSSxXQUFXLEdBQUcsV0FBVyxDQUFDLGFBQWE7RUFDM0MsRUFBRTs7RUFFRixFQUFFLE9BQU8sVUFBVSxDQUFDLE9BQU8sRUFBRTtFQUM3QixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLFdBQVcsRUFBRSxLQUFLLEdBQUcsSUFBSSxLQUFLO0VBQzVELEVBQUUsSUFBSSxDQUFDLFdBQVcsRUFBRSxPQUFPLElBQUk7O0VBRS9CLEVBQUUsSUFBSSxPQUFPLFdBQVcsS0FBSyxVQUFVLEVBQUU7RUFDekMsSUFBSSxJQUFJLFdBQVcsQ0FBQyxXQUFXLEVBQUU7RUFDakMsTUFBTSxPQUFPLFdBQVcsQ0FBQyxXQUFXO0VBQ3BDLElBQUk7O0VBRUosSUFBSSxJQUFJLFdBQVcsQ0FBQyxJQUFJLElBQUksV0FBVyxDQUFDLElBQUksS0FBSyxXQUFXLEVBQUU7RUFDOUQsTUFBTSxPQUFPLFdBQVcsQ0FBQyxJQUFJO0VBQzdCLElBQUk7O0VBRUosSUFBSSxJQUFJLFdBQVcsQ0FBQyxNQUFNLEVBQUU7RUFDNUIsTUFBTSxPQUFPLG9CQUFvQixDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDO0VBQzVELElBQUk7O0VBRUosSUFBSSxJQUFJLFdBQVcsQ0FBQyxRQUFRLElBQUksV0FBVyxDQUFDLElBQUksRUFBRTtFQUNsRCxNQUFNLE9BQU8sb0JBQW9CLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUM7RUFDMUQsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLE9BQU8sV0FBVyxLQUFLLFFBQVEsRUFBRTtFQUN2QyxJQUFJLE9BQU8sV0FBVztFQUN0QixFQUFFOztFQUVGLEVBQUUsSUFBSSxXQUFXLElBQUksV0FBVyxDQUFDLFFBQVEsRUFBRTtFQUMzQyxJQUFJLElBQUksV0FBVyxDQUFDLElBQUksRUFBRTtFQUMxQixNQUFNLE9BQU8sb0JBQW9CLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUM7RUFDMUQsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxNQUFNLFdBQVcsR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDO0VBQzNDLEVBQUUsSUFBSSxXQUFXLEVBQUU7RUFDbkIsSUFBSSxNQUFNLFFBQVEsR0FBRyxXQUFXLENBQUMsUUFBUTtFQUN6QyxJQUFJLElBQUksUUFBUSxFQUFFO0VBQ2xCLE1BQU0sTUFBTSxLQUFLLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyx5QkFBeUIsQ0FBQztFQUM3RCxNQUFNLElBQUksS0FBSyxFQUFFO0VBQ2pCLFFBQVEsT0FBTyxLQUFLLENBQUMsQ0FBQyxDQUFDO0VBQ3ZCLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sSUFBSTtFQUNiLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGtCQUFrQixHQUFHLENBQUMsS0FBSyxFQUFFLGVBQWUsRUFBRSxhQUFhLEdBQUcsSUFBSSxLQUFLO0VBQzdFLEVBQUUsSUFBSSxDQUFDLGVBQWUsRUFBRTtFQUN4QixJQUFJLE9BQU8sSUFBSTtFQUNmLEVBQUU7O0VBRUYsRUFBRSxNQUFNLFFBQVEsR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLEVBQUUsUUFBUTs7RUFFbEQsRUFBRSxJQUFJLFFBQVEsRUFBRTtFQUNoQixJQUFJLElBQUksZUFBZSxDQUFDLFFBQVEsQ0FBQyxFQUFFO0VBQ25DLE1BQU0sT0FBTyxJQUFJO0VBQ2pCLElBQUk7O0VBRUosSUFBSSxJQUFJLGNBQWMsQ0FBQyxRQUFRLENBQUMsRUFBRTtFQUNsQyxNQUFNLE9BQU8sS0FBSztFQUNsQixJQUFJOztFQUVKLElBQUksTUFBTSxrQkFBa0IsR0FBRyxhQUFhLENBQUMsUUFBUSxDQUFDO0VBQ3RELElBQUksTUFBTSxxQkFBcUIsR0FBRyxhQUFhLENBQUMsZUFBZSxDQUFDOztFQUVoRSxJQUFJLElBQUksa0JBQWtCLENBQUMsVUFBVSxDQUFDLHFCQUFxQixDQUFDLEVBQUU7RUFDOUQsTUFBTSxPQUFPLElBQUk7RUFDakIsSUFBSTs7RUFFSixJQUFJO0VBQ0osTUFBTSxDQUFDLGtCQUFrQixDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUM7RUFDbEQsTUFBTSxDQUFDLGtCQUFrQixDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUM7RUFDekMsTUFBTSxDQUFDLGtCQUFrQixDQUFDLEtBQUssQ0FBQyxVQUFVO0VBQzFDLE1BQU07RUFDTixNQUFNLE9BQU8sSUFBSTtFQUNqQixJQUFJOztFQUVKLElBQUksT0FBTyxLQUFLO0VBQ2hCLEVBQUU7O0VBRUYsRUFBRSxJQUFJLGFBQWEsRUFBRTtFQUNyQixJQUFJLE1BQU0sdUJBQXVCLEdBQUcsYUFBYSxDQUFDLFdBQVcsRUFBRTtFQUMvRDtFQUNBLElBQUksSUFBSSx5QkFBeUIsQ0FBQyxHQUFHLENBQUMsdUJBQXVCLENBQUMsRUFBRTtFQUNoRSxNQUFNLE9BQU8sSUFBSTtFQUNqQixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sS0FBSztFQUNkLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGNBQWMsR0FBRyxDQUFDLFFBQVEsS0FBSztFQUM1QyxFQUFFLFdBQVcsR0FBRyxRQUFRLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQyxHQUFHLElBQUk7O0VBRXpELEVBQUUsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLDJCQUEyQixJQUFJLENBQUMsV0FBVyxFQUFFO0VBQzNGLElBQUksV0FBVyxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsMkJBQTJCLENBQUM7RUFDbkUsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG9CQUFvQixHQUFHLENBQUMsUUFBUSxLQUFLO0VBQ2xELEVBQUUsaUJBQWlCLEdBQUcsQ0FBQyxRQUFRLElBQUksRUFBRTtFQUNyQyxLQUFLLE1BQU07RUFDWCxNQUFNLENBQUMsZ0JBQWdCLEtBQUssZ0JBQWdCLElBQUksZ0JBQWdCLENBQUMsSUFBSSxJQUFJLGdCQUFnQixDQUFDLElBQUk7RUFDOUY7RUFDQSxLQUFLLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxXQUFXLEVBQUUsRUFBRSxJQUFJLEVBQUUsYUFBYSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztFQUN2RixDQUFDOztFQVVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxXQUFXLEdBQUcsQ0FBQyxHQUFHLEtBQUs7RUFDcEMsRUFBRSxRQUFRLEdBQUcsR0FBRyxJQUFJLEVBQUU7O0VBRXRCLEVBQUU7RUFDRixJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVc7RUFDakMsSUFBSSxNQUFNLENBQUMsd0JBQXdCO0VBQ25DLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLEtBQUs7RUFDckMsSUFBSTtFQUNKLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyx3QkFBd0I7RUFDOUMsRUFBRTs7RUFFRixFQUFFLElBQUksZ0JBQWdCLENBQUMsSUFBSSxLQUFLLENBQUMsRUFBRTtFQUNuQyxJQUFJLGdCQUFnQixHQUFHLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0VBQzNELEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLEtBQUssZ0JBQWdCLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0VBQ3JGLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxZQUFZLEdBQUcsQ0FBQyxHQUFHLEtBQUs7RUFDckMsRUFBRSxTQUFTLEdBQUcsR0FBRyxJQUFJLEVBQUU7O0VBRXZCLEVBQUU7RUFDRixJQUFJLE9BQU8sTUFBTSxLQUFLLFdBQVc7RUFDakMsSUFBSSxNQUFNLENBQUMseUJBQXlCO0VBQ3BDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEtBQUs7RUFDdEMsSUFBSTtFQUNKLElBQUksU0FBUyxHQUFHLE1BQU0sQ0FBQyx5QkFBeUI7RUFDaEQsRUFBRTs7RUFFRixFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLFFBQVEsS0FBSyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7RUFDcEYsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSx1QkFBdUIsR0FBRyxDQUFDLFVBQVUsS0FBSztFQUNoRCxFQUFFLE1BQU0sU0FBUyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDO0VBQ3pDLEVBQUUsTUFBTSxRQUFRLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRTtFQUN4RCxFQUFFLE1BQU0sa0JBQWtCLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLENBQUM7RUFDbkUsRUFBRSxNQUFNLElBQUksR0FBRyxrQkFBa0IsR0FBRyxDQUFDLGtCQUFrQixDQUFDLEdBQUcsRUFBRTs7RUFFN0QsRUFBRSxLQUFLLE1BQU0sSUFBSSxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFO0VBQzdDLElBQUksSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDakMsTUFBTSxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUNyQixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sSUFBSTtFQUNiLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGdCQUFnQixHQUFHLENBQUMsUUFBUSxLQUFLO0VBQ3ZDLEVBQUUsTUFBTSxVQUFVLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQztFQUM1QyxFQUFFLDBCQUEwQixDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUM7O0VBRTVDLEVBQUUsS0FBSyxNQUFNLEdBQUcsSUFBSSx1QkFBdUIsQ0FBQyxVQUFVLENBQUMsRUFBRTtFQUN6RCxJQUFJLElBQUksQ0FBQyx5QkFBeUIsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUU7RUFDN0MsTUFBTSx5QkFBeUIsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLElBQUksR0FBRyxFQUFFLENBQUM7RUFDbkQsSUFBSTtFQUNKLElBQUkseUJBQXlCLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUM7RUFDcEQsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGtCQUFrQixHQUFHLENBQUMsUUFBUSxLQUFLO0VBQ3pDLEVBQUUsTUFBTSxVQUFVLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQztFQUM1QyxFQUFFLDBCQUEwQixDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUM7O0VBRS9DLEVBQUUsS0FBSyxNQUFNLEdBQUcsSUFBSSx1QkFBdUIsQ0FBQyxVQUFVLENBQUMsRUFBRTtFQUN6RCxJQUFJLE1BQU0sS0FBSyxHQUFHLHlCQUF5QixDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUM7RUFDcEQsSUFBSSxJQUFJLENBQUMsS0FBSyxFQUFFO0VBQ2hCLElBQUksS0FBSyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUM7RUFDMUIsSUFBSSxJQUFJLEtBQUssQ0FBQyxJQUFJLEtBQUssQ0FBQyxFQUFFO0VBQzFCLE1BQU0seUJBQXlCLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQztFQUMzQyxJQUFJO0VBQ0osRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLGVBQWUsR0FBRyxDQUFDLEtBQUssS0FBSztFQUMxQyxFQUFFLElBQUksUUFBUSxHQUFHLEtBQUssSUFBSSxFQUFFOztFQUU1QixFQUFFO0VBQ0YsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXO0VBQ2pDLElBQUksTUFBTSxDQUFDLDRCQUE0QjtFQUN2QyxJQUFJLFFBQVEsQ0FBQyxNQUFNLEtBQUs7RUFDeEIsSUFBSTtFQUNKLElBQUksTUFBTSxXQUFXLEdBQUcsTUFBTSxDQUFDLDRCQUE0QjtFQUMzRCxJQUFJLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsRUFBRTtFQUNwQyxNQUFNLFFBQVEsR0FBRyxDQUFDLEdBQUcsV0FBVyxDQUFDO0VBQ2pDLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsZ0JBQWdCLEdBQUcsSUFBSSxHQUFHLENBQUMsUUFBUSxDQUFDOztFQUV0QztFQUNBLEVBQUUsMEJBQTBCLENBQUMsS0FBSyxFQUFFO0VBQ3BDLEVBQUUseUJBQXlCLENBQUMsS0FBSyxFQUFFOztFQUVuQyxFQUFFLEtBQUssTUFBTSxRQUFRLElBQUksUUFBUSxFQUFFO0VBQ25DLElBQUksZ0JBQWdCLENBQUMsUUFBUSxDQUFDO0VBQzlCLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ08sTUFBTSxrQkFBa0IsR0FBRyxDQUFDLEtBQUssS0FBSztFQUM3QyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUU7O0VBRWQsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLEtBQUs7RUFDdEUsSUFBSSxRQUFRLENBQUMsUUFBUSxDQUFDLEdBQUcsVUFBVTtFQUNuQyxJQUFJLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUM7RUFDbEMsRUFBRSxDQUFDLENBQUM7RUFDSixFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sSUFBSSxFQUFFLEVBQUUsT0FBTyxDQUFDLENBQUMsUUFBUSxLQUFLO0VBQzdDLElBQUksT0FBTyxRQUFRLENBQUMsUUFBUSxDQUFDO0VBQzdCLEVBQUUsQ0FBQyxDQUFDO0VBQ0osQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNPLE1BQU0sbUJBQW1CLEdBQUcsQ0FBQyxLQUFLLEtBQUs7RUFDOUMsRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFOztFQUVkLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQyxLQUFLO0VBQ3RFLElBQUksU0FBUyxDQUFDLFFBQVEsQ0FBQyxHQUFHLFVBQVU7RUFDcEMsSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0VBQ2xDLEVBQUUsQ0FBQyxDQUFDO0VBQ0osRUFBRSxDQUFDLEtBQUssQ0FBQyxNQUFNLElBQUksRUFBRSxFQUFFLE9BQU8sQ0FBQyxDQUFDLFFBQVEsS0FBSztFQUM3QyxJQUFJLE9BQU8sU0FBUyxDQUFDLFFBQVEsQ0FBQztFQUM5QixFQUFFLENBQUMsQ0FBQztFQUNKLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLHNCQUFzQixHQUFHLENBQUMsS0FBSyxLQUFLO0VBQ2pELEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRTs7RUFFZCxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxFQUFFLEVBQUUsT0FBTyxDQUFDLENBQUMsUUFBUSxLQUFLO0VBQzVDLElBQUksSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUU7RUFDeEMsSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0VBQ2xDLElBQUksZ0JBQWdCLENBQUMsUUFBUSxDQUFDO0VBQzlCLEVBQUUsQ0FBQyxDQUFDO0VBQ0osRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLElBQUksRUFBRSxFQUFFLE9BQU8sQ0FBQyxDQUFDLFFBQVEsS0FBSztFQUM5QyxJQUFJLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUM7RUFDckMsSUFBSSxrQkFBa0IsQ0FBQyxRQUFRLENBQUM7RUFDaEMsRUFBRSxDQUFDLENBQUM7RUFDSixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSx1QkFBdUIsR0FBRyxNQUFNO0VBQ3RDLEVBQUUsTUFBTSxTQUFTLEdBQUcsRUFBRTtFQUN0QixFQUFFLE1BQU0sVUFBVSxHQUFHLEVBQUUsQ0FBQztFQUN4QixFQUFFLElBQUksT0FBTyxHQUFHLENBQUM7O0VBRWpCLEVBQUUsTUFBTSxNQUFNLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsVUFBVSxDQUFDLFlBQVksRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDOztFQUUvRixFQUFFLElBQUksSUFBSTtFQUNWLEVBQUUsT0FBTyxDQUFDLElBQUksR0FBRyxNQUFNLENBQUMsUUFBUSxFQUFFLEtBQUssT0FBTyxHQUFHLFVBQVUsRUFBRTtFQUM3RCxJQUFJLE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSTtFQUMzQyxNQUFNLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxVQUFVLENBQUMsZUFBZSxDQUFDLElBQUksR0FBRyxDQUFDLFVBQVUsQ0FBQywwQkFBMEIsQ0FBQztFQUM1RixLQUFLOztFQUVMLElBQUksSUFBSSxRQUFRLEVBQUU7RUFDbEIsTUFBTSxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDO0VBQ2xDLE1BQU0sSUFBSSxZQUFZLEdBQUcsS0FBSztFQUM5QixNQUFNLElBQUksS0FBSyxHQUFHLENBQUM7O0VBRW5CLE1BQU0sT0FBTyxZQUFZLElBQUksS0FBSyxHQUFHLEVBQUUsRUFBRTtFQUN6QyxRQUFRLE1BQU0sV0FBVyxHQUFHLGNBQWMsQ0FBQyxZQUFZLENBQUM7RUFDeEQsUUFBUSxJQUFJLFdBQVcsRUFBRTtFQUN6QixVQUFVLE1BQU0sUUFBUSxHQUFHLFdBQVcsQ0FBQyxRQUFRO0VBQy9DLFVBQVUsSUFBSSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsRUFBRTtFQUN6QyxZQUFZLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO0VBQ3BDLFVBQVU7RUFDVixRQUFRO0VBQ1IsUUFBUSxZQUFZLEdBQUcsWUFBWSxDQUFDLE1BQU07RUFDMUMsUUFBUSxLQUFLLEVBQUU7RUFDZixRQUFRLE9BQU8sRUFBRTtFQUNqQixNQUFNO0VBQ04sSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLFNBQVM7RUFDbEIsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sd0JBQXdCLEdBQUcsWUFBWTtFQUM3QyxFQUFFLElBQUksV0FBVyxFQUFFO0VBQ25CLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsSUFBSTtFQUNOO0VBQ0E7RUFDQSxJQUFJLHVCQUF1QixFQUFFO0VBQzdCLElBQUksTUFBTSxxQkFBcUIsRUFBRTs7RUFFakMsSUFBSSxJQUFJLFdBQVcsRUFBRTtFQUNyQixNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLE1BQU0sU0FBUyxHQUFHLHVCQUF1QixFQUFFOztFQUUvQyxJQUFJLElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDOUIsTUFBTSxNQUFNLFlBQVksR0FBRywwQkFBMEIsQ0FBQyxTQUFTLENBQUM7RUFDaEUsTUFBTSxJQUFJLFlBQVksRUFBRTtFQUN4QixRQUFRLFdBQVcsR0FBRyxZQUFZO0VBQ2xDLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRSxDQUFDLENBQUMsTUFBTTtFQUNWO0VBQ0EsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLDBCQUEwQixHQUFHLENBQUMsYUFBYSxFQUFFLHNCQUFzQixLQUFLO0VBQzlFLEVBQUUsSUFBSSxDQUFDLGFBQWEsSUFBSSxzQkFBc0IsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO0VBQzdELElBQUksT0FBTyxLQUFLO0VBQ2hCLEVBQUU7O0VBRUYsRUFBRSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7RUFDakYsSUFBSSxPQUFPLElBQUk7RUFDZixFQUFFOztFQUVGLEVBQUUsS0FBSyxNQUFNLFlBQVksSUFBSSxzQkFBc0IsRUFBRTtFQUNyRCxJQUFJLE1BQU0sUUFBUSxHQUFHLFlBQVksQ0FBQyxJQUFJO0VBQ3RDLElBQUksSUFBSSxDQUFDLFFBQVEsRUFBRTs7RUFFbkIsSUFBSSxJQUFJLFFBQVEsQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFO0VBQ2pFLE1BQU0sSUFBSSxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxFQUFFO0VBQ3RELFFBQVEsT0FBTyxJQUFJO0VBQ25CLE1BQU07RUFDTixJQUFJOztFQUVKO0VBQ0EsSUFBSSxNQUFNLE9BQU8sR0FBRyxTQUFTLENBQUMsUUFBUSxDQUFDO0VBQ3ZDLElBQUk7RUFDSixNQUFNLEtBQUssQ0FBQyxPQUFPLENBQUMsT0FBTztFQUMzQixVQUFVLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYTtFQUN4QyxVQUFVLE9BQU8sR0FBRyxhQUFhLENBQUMsS0FBSztFQUN2QyxNQUFNO0VBQ04sTUFBTSxPQUFPLElBQUk7RUFDakIsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxPQUFPLEtBQUs7RUFDZCxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSx1QkFBdUIsR0FBRyxDQUFDLEtBQUssS0FBSztFQUMzQyxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsRUFBRSxPQUFPLEVBQUU7O0VBRWpEO0VBQ0EsRUFBRSxPQUFPLEtBQUssQ0FBQztFQUNmLEtBQUssTUFBTSxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxPQUFPLElBQUksQ0FBQyxJQUFJLEtBQUssUUFBUSxJQUFJLEtBQUssSUFBSSxJQUFJO0VBQzVFLEtBQUssT0FBTyxFQUFFO0VBQ2QsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLElBQUksS0FBSztFQUN2QyxFQUFFLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7RUFDckMsSUFBSSxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsWUFBWSxFQUFFLHFCQUFxQixFQUFFLENBQUMsQ0FBQyxDQUFDO0VBQzFFLEVBQUU7RUFDRixFQUFFLE9BQU8sa0JBQWtCLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQztFQUNyQyxDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLEtBQUssS0FBSztFQUNwQyxFQUFFLE1BQU0sS0FBSyxHQUFHLEtBQUssQ0FBQyxhQUFhO0VBQ25DLEVBQUUsTUFBTSxPQUFPLEdBQUcsS0FBSyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRTtFQUN6QyxFQUFFLElBQUksT0FBTyxPQUFPLEtBQUssUUFBUSxJQUFJLENBQUMsS0FBSyxDQUFDLFlBQVksRUFBRSxPQUFPLElBQUk7O0VBRXJFLEVBQUUsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLHFCQUFxQixJQUFJLE1BQU0sQ0FBQyxlQUFlO0VBQ3pFLEVBQUUsT0FBTyxRQUFRLEVBQUUsTUFBTSxHQUFHLE9BQU8sQ0FBQyxHQUFHLE9BQU8sR0FBRyxJQUFJO0VBQ3JELENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGlCQUFpQixHQUFHLENBQUMsS0FBSyxFQUFFLFFBQVEsR0FBRyxlQUFlLEtBQUs7RUFDakUsRUFBRSxNQUFNLGFBQWEsR0FBRyxFQUFFO0VBQzFCLEVBQUUsTUFBTSxrQkFBa0IsR0FBRyxFQUFFO0VBQy9CLEVBQUUsSUFBSSxZQUFZLEdBQUcsS0FBSztFQUMxQixFQUFFLElBQUksS0FBSyxHQUFHLENBQUM7RUFDZjtFQUNBLEVBQUUsTUFBTSxPQUFPLEdBQUcsSUFBSSxHQUFHLEVBQUU7RUFDM0IsRUFBRSxNQUFNLGVBQWUsR0FBRyxJQUFJLEdBQUcsRUFBRTs7RUFFbkMsRUFBRSxPQUFPLFlBQVksSUFBSSxLQUFLLEdBQUcsUUFBUSxFQUFFO0VBQzNDLElBQUksSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxFQUFFO0VBQ25DLE1BQU07RUFDTixJQUFJO0VBQ0osSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQzs7RUFFN0IsSUFBSSxNQUFNLFdBQVcsR0FBRyxZQUFZLENBQUMsV0FBVyxJQUFJLFlBQVksQ0FBQyxJQUFJOztFQUVyRSxJQUFJLElBQUksV0FBVyxFQUFFO0VBQ3JCLE1BQU0sTUFBTSxhQUFhLEdBQUcsb0JBQW9CLENBQUMsV0FBVyxFQUFFLFlBQVksQ0FBQzs7RUFFM0UsTUFBTSxJQUFJLGFBQWEsRUFBRTtFQUN6QixRQUFRLElBQUksQ0FBQyxhQUFhLENBQUMsYUFBYSxDQUFDLEVBQUU7RUFDM0MsVUFBVSxNQUFNLFVBQVUsR0FBRyxrQkFBa0IsQ0FBQyxZQUFZLEVBQUUsV0FBVyxFQUFFLGFBQWEsQ0FBQzs7RUFFekYsVUFBVSxNQUFNLFFBQVEsR0FBRyxjQUFjLENBQUMsWUFBWSxDQUFDLEVBQUUsUUFBUSxJQUFJLElBQUk7O0VBRXpFLFVBQVUsYUFBYSxDQUFDLElBQUksQ0FBQztFQUM3QixZQUFZLElBQUksRUFBRSxhQUFhO0VBQy9CLFlBQVksS0FBSyxFQUFFLFlBQVk7RUFDL0IsWUFBWSxXQUFXLEVBQUUsV0FBVztFQUNwQyxZQUFZLEtBQUssRUFBRSxLQUFLO0VBQ3hCLFlBQVksVUFBVSxFQUFFLFVBQVU7RUFDbEMsWUFBWSxJQUFJLEVBQUUsUUFBUTtFQUMxQixXQUFXLENBQUM7O0VBRVosVUFBVSxJQUFJLFVBQVUsRUFBRTtFQUMxQixZQUFZLGtCQUFrQixDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxDQUFDO0VBQzVFLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7O0VBRUo7RUFDQSxJQUFJLE1BQU0sT0FBTyxHQUFHLGdCQUFnQixDQUFDLFlBQVksQ0FBQztFQUNsRCxJQUFJLElBQUksT0FBTyxFQUFFO0VBQ2pCLE1BQU0sYUFBYSxDQUFDLElBQUksQ0FBQztFQUN6QixRQUFRLElBQUksRUFBRSxPQUFPO0VBQ3JCLFFBQVEsS0FBSyxFQUFFLFlBQVk7RUFDM0IsUUFBUSxXQUFXLEVBQUUsSUFBSTtFQUN6QixRQUFRLEtBQUssRUFBRSxLQUFLO0VBQ3BCLFFBQVEsVUFBVSxFQUFFLElBQUk7RUFDeEIsUUFBUSxPQUFPLEVBQUUsSUFBSTtFQUNyQixRQUFRLElBQUksRUFBRSxJQUFJO0VBQ2xCLE9BQU8sQ0FBQztFQUNSLE1BQU0sa0JBQWtCLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUM7RUFDNUQsSUFBSTs7RUFFSjtFQUNBLElBQUksS0FBSyxNQUFNLElBQUksSUFBSSx1QkFBdUIsQ0FBQyxZQUFZLENBQUMsRUFBRTtFQUM5RCxNQUFNLElBQUksZUFBZSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRTtFQUNyQyxNQUFNLGVBQWUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDOztFQUUvQixNQUFNLGFBQWEsQ0FBQyxJQUFJLENBQUM7RUFDekIsUUFBUSxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7RUFDdkIsUUFBUSxLQUFLLEVBQUUsWUFBWTtFQUMzQixRQUFRLFdBQVcsRUFBRSxJQUFJO0VBQ3pCLFFBQVEsS0FBSyxFQUFFLEtBQUs7RUFDcEIsUUFBUSxVQUFVLEVBQUUsSUFBSTtFQUN4QixRQUFRLFFBQVEsRUFBRSxJQUFJO0VBQ3RCLFFBQVEsVUFBVSxFQUFFLElBQUk7RUFDeEIsUUFBUSxJQUFJLEVBQUUsSUFBSTtFQUNsQixPQUFPLENBQUM7RUFDUixNQUFNLGtCQUFrQixDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQztFQUM5RCxJQUFJOztFQUVKLElBQUksWUFBWSxHQUFHLFlBQVksQ0FBQyxNQUFNLElBQUksWUFBWSxDQUFDLE1BQU07RUFDN0QsSUFBSSxLQUFLLEVBQUU7RUFDWCxFQUFFOztFQUVGLEVBQUUsTUFBTSxrQkFBa0IsR0FBRyxFQUFFO0VBQy9CLEVBQUUsS0FBSyxNQUFNLElBQUksSUFBSSxhQUFhLEVBQUU7RUFDcEMsSUFBSSxJQUFJLElBQUksQ0FBQyxVQUFVLEVBQUU7RUFDekIsTUFBTSxrQkFBa0IsQ0FBQyxJQUFJLENBQUM7RUFDOUIsUUFBUSxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7RUFDdkIsUUFBUSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7RUFDekIsUUFBUSxXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVc7RUFDckMsUUFBUSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7RUFDekIsUUFBUSxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7RUFDdkIsUUFBUSxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7RUFDbkMsUUFBUSxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVE7RUFDL0IsUUFBUSxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7RUFDbkMsUUFBUSxPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU87RUFDN0IsT0FBTyxDQUFDO0VBQ1IsSUFBSSxDQUFDLE1BQU07RUFDWCxNQUFNLElBQUksMEJBQTBCLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxrQkFBa0IsQ0FBQyxFQUFFO0VBQ3JFLFFBQVEsa0JBQWtCLENBQUMsSUFBSSxDQUFDO0VBQ2hDLFVBQVUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJO0VBQ3pCLFVBQVUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLO0VBQzNCLFVBQVUsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXO0VBQ3ZDLFVBQVUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLO0VBQzNCLFVBQVUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJO0VBQ3pCLFVBQVUsVUFBVSxFQUFFLElBQUksQ0FBQyxVQUFVO0VBQ3JDLFNBQVMsQ0FBQztFQUNWLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sa0JBQWtCO0VBQzNCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLGVBQWUsR0FBRyxDQUFDLElBQUksS0FBSztFQUNsQyxFQUFFLElBQUksTUFBTSxDQUFDLDhCQUE4QixFQUFFO0VBQzdDLElBQUksSUFBSTtFQUNSLE1BQU0sTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJO0VBQzdDLFFBQVEsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxlQUFlLENBQUMsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLDBCQUEwQixDQUFDO0VBQzlGLE9BQU87O0VBRVAsTUFBTSxJQUFJLFFBQVEsRUFBRTtFQUNwQixRQUFRLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7RUFDcEMsUUFBUSxNQUFNLFVBQVUsR0FBRyxpQkFBaUIsQ0FBQyxLQUFLLENBQUM7O0VBRW5ELFFBQVEsSUFBSSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUNuQyxVQUFVLE1BQU0sY0FBYyxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUM7RUFDOUMsVUFBVSxNQUFNLEdBQUcsR0FBRyxjQUFjLENBQUM7RUFDckMsY0FBYyxvQkFBb0IsQ0FBQyxjQUFjLENBQUMsVUFBVTtFQUM1RCxjQUFjLGNBQWMsQ0FBQyxLQUFLLENBQUMsUUFBUTtFQUMzQyxjQUFjLENBQUMsRUFBRSxjQUFjLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsRUFBRSxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsSUFBSSxFQUFFLENBQUMsQ0FBQztFQUNwRixVQUFVLE1BQU0saUJBQWlCLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0VBQzNFLFVBQVUsTUFBTSxPQUFPLEdBQUcsbUJBQW1CLENBQUMsSUFBSSxDQUFDO0VBQ25EO0VBQ0EsVUFBVSxNQUFNLElBQUk7RUFDcEIsWUFBWSxPQUFPLElBQUksT0FBTyxDQUFDLElBQUksSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSTtFQUMvRSxnQkFBZ0IsT0FBTyxDQUFDO0VBQ3hCLGdCQUFnQixjQUFjLENBQUMsSUFBSTtFQUNuQztFQUNBLFVBQVUsTUFBTSxXQUFXLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQyxJQUFJLGNBQWMsQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDO0VBQzNGLFVBQVUsTUFBTSxNQUFNLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxXQUFXLENBQUM7RUFDbEUsVUFBVSxNQUFNLFFBQVEsR0FBRyxPQUFPLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxJQUFJLElBQUksS0FBSyxjQUFjLENBQUMsSUFBSTtFQUMzRixVQUFVLE9BQU8sRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLFNBQVMsRUFBRSxpQkFBaUIsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFO0VBQzlFLFFBQVE7RUFDUixNQUFNO0VBQ04sSUFBSSxDQUFDLENBQUMsTUFBTTtFQUNaO0VBQ0EsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxLQUFLLE1BQU0sR0FBRyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7RUFDdkMsSUFBSSxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsMEJBQTBCLENBQUMsRUFBRTtFQUNwRCxNQUFNLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUM7RUFDakMsTUFBTSxJQUFJLFNBQVMsRUFBRTtFQUNyQixRQUFRLElBQUk7RUFDWixVQUFVLE1BQU0sVUFBVSxHQUFHLGlCQUFpQixDQUFDLFNBQVMsQ0FBQztFQUN6RCxVQUFVLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7RUFDckMsWUFBWSxNQUFNLGNBQWMsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDO0VBQ2hELFlBQVksTUFBTSxpQkFBaUIsR0FBRyxVQUFVLENBQUMsT0FBTyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUM7RUFDN0UsWUFBWSxPQUFPO0VBQ25CLGNBQWMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxJQUFJO0VBQ3ZDLGNBQWMsR0FBRyxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUM7RUFDakYsY0FBYyxTQUFTLEVBQUUsaUJBQWlCO0VBQzFDLGNBQWMsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsSUFBSSxjQUFjLENBQUMsY0FBYyxDQUFDLEtBQUssQ0FBQztFQUN2RixhQUFhO0VBQ2IsVUFBVTtFQUNWLFFBQVEsQ0FBQyxDQUFDLE1BQU07RUFDaEI7RUFDQSxRQUFRO0VBQ1IsTUFBTTs7RUFFTixNQUFNLElBQUksU0FBUyxJQUFJLFNBQVMsQ0FBQyxlQUFlLEVBQUU7RUFDbEQsUUFBUSxNQUFNLEtBQUssR0FBRyxTQUFTLENBQUMsZUFBZSxDQUFDLE1BQU07RUFDdEQsUUFBUSxNQUFNLEtBQUssR0FBRyxLQUFLLElBQUksS0FBSyxDQUFDLFNBQVM7RUFDOUMsUUFBUSxJQUFJLEtBQUssRUFBRTtFQUNuQixVQUFVLE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsSUFBSTtFQUN0RCxVQUFVLElBQUksQ0FBQyxhQUFhLENBQUMsYUFBYSxDQUFDLEVBQUU7RUFDN0MsWUFBWSxPQUFPO0VBQ25CLGNBQWMsSUFBSSxFQUFFLGFBQWE7RUFDakMsY0FBYyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEtBQUssQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLEVBQUUsS0FBSyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQztFQUN6RSxhQUFhO0VBQ2IsVUFBVTtFQUNWLFFBQVE7RUFDUixNQUFNLENBQUMsTUFBTSxJQUFJLFNBQVMsRUFBRTtFQUM1QixRQUFRLE1BQU0sS0FBSyxHQUFHLFNBQVMsQ0FBQyxNQUFNLEVBQUUsU0FBUyxFQUFFLG1CQUFtQjtFQUN0RSxRQUFRLElBQUksS0FBSyxFQUFFO0VBQ25CLFVBQVUsTUFBTSxhQUFhLEdBQUcsS0FBSyxDQUFDLElBQUksRUFBRSxJQUFJLElBQUksU0FBUztFQUM3RCxVQUFVLElBQUksYUFBYSxLQUFLLFNBQVMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxhQUFhLENBQUMsRUFBRTtFQUM1RSxZQUFZLE9BQU8sRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFO0VBQzFDLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsTUFBTSxPQUFPLEdBQUcsbUJBQW1CLENBQUMsSUFBSSxDQUFDO0VBQzNDLEVBQUUsSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLElBQUksRUFBRTtFQUMvQixJQUFJLE9BQU87RUFDWCxNQUFNLElBQUksRUFBRSxPQUFPLENBQUMsSUFBSTtFQUN4QixNQUFNLEdBQUcsRUFBRSxvQkFBb0IsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQztFQUNuRCxNQUFNLE1BQU0sRUFBRSxPQUFPLENBQUMsTUFBTTtFQUM1QixLQUFLO0VBQ0wsRUFBRTs7RUFFRixFQUFFLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsV0FBVyxFQUFFO0VBQzdDLEVBQUUsSUFBSSxPQUFPLElBQUksYUFBYSxDQUFDLE9BQU8sQ0FBQyxFQUFFO0VBQ3pDLElBQUksT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUU7RUFDNUIsRUFBRTs7RUFFRixFQUFFLE9BQU8sRUFBRTtFQUNYLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLDhCQUE4QixHQUFHLE1BQU07RUFDN0M7RUFDQSxFQUFFLE1BQU0sSUFBSSxHQUFHLElBQUksR0FBRyxFQUFFO0VBQ3hCLEVBQUUsT0FBTyxDQUFDLElBQUksS0FBSztFQUNuQixJQUFJLE1BQU0sRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDOztFQUVqRSxJQUFJLElBQUksSUFBSSxJQUFJLElBQUksS0FBSyxTQUFTLEVBQUU7RUFDcEMsTUFBTSxJQUFJLEdBQUcsRUFBRTtFQUNmLFFBQVEsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUU7RUFDNUIsVUFBVSxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQztFQUN2QixVQUFVLE9BQU8sc0JBQXNCLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDO0VBQ3JFLFFBQVE7RUFDUixNQUFNLENBQUMsTUFBTTtFQUNiLFFBQVEsT0FBTyxzQkFBc0IsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUM7RUFDbkUsTUFBTTtFQUNOLElBQUk7RUFDSixJQUFJLE9BQU8sSUFBSTtFQUNmLEVBQUUsQ0FBQztFQUNILENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sd0JBQXdCLEdBQUcsQ0FBQyxJQUFJLEtBQUs7RUFDM0MsRUFBRSxJQUFJLFVBQVUsR0FBRyxFQUFFOztFQUVyQixFQUFFLElBQUksTUFBTSxDQUFDLDhCQUE4QixFQUFFO0VBQzdDLElBQUksSUFBSTtFQUNSLE1BQU0sTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJO0VBQzdDLFFBQVEsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxlQUFlLENBQUMsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLDBCQUEwQixDQUFDO0VBQzlGLE9BQU87O0VBRVAsTUFBTSxJQUFJLFFBQVEsRUFBRTtFQUNwQixRQUFRLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7RUFDcEMsUUFBUSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsS0FBSyxDQUFDO0VBQzdDO0VBQ0EsUUFBUSxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRTtFQUN6QyxNQUFNO0VBQ04sSUFBSSxDQUFDLENBQUMsTUFBTTtFQUNaO0VBQ0EsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO0VBQy9CLElBQUksS0FBSyxNQUFNLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO0VBQ3pDLE1BQU0sSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLDBCQUEwQixDQUFDLEVBQUU7RUFDdEQsUUFBUSxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDO0VBQ25DLFFBQVEsSUFBSSxTQUFTLEVBQUU7RUFDdkIsVUFBVSxJQUFJO0VBQ2QsWUFBWSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsU0FBUyxDQUFDO0VBQ3JEO0VBQ0EsWUFBWSxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRTtFQUM3QyxZQUFZO0VBQ1osVUFBVSxDQUFDLENBQUMsTUFBTTtFQUNsQjtFQUNBLFVBQVU7RUFDVixRQUFRO0VBQ1IsTUFBTTtFQUNOLElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtFQUMvQixJQUFJLE9BQU8sK0JBQStCLENBQUMsSUFBSSxDQUFDO0VBQ2hELEVBQUU7O0VBRUY7RUFDQSxFQUFFLE1BQU0sWUFBWSxHQUFHLElBQUksR0FBRyxFQUFFO0VBQ2hDLEVBQUUsS0FBSyxJQUFJLE9BQU8sR0FBRyxJQUFJLEVBQUUsT0FBTyxJQUFJLE9BQU8sS0FBSyxRQUFRLENBQUMsSUFBSSxFQUFFLE9BQU8sR0FBRyxPQUFPLENBQUMsYUFBYSxFQUFFO0VBQ2xHLElBQUksTUFBTSxPQUFPLEdBQUcsbUJBQW1CLENBQUMsT0FBTyxDQUFDO0VBQ2hELElBQUksSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLElBQUksSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFO0VBQ3BFLE1BQU0sWUFBWSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDO0VBQzdELElBQUk7RUFDSixFQUFFOztFQUVGLEVBQUUsS0FBSyxNQUFNLElBQUksSUFBSSxVQUFVLEVBQUU7RUFDakMsSUFBSSxJQUFJLFlBQVksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO0VBQ3JDLE1BQU0sSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJO0VBQzVCLE1BQU0sSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJO0VBQzNCLE1BQU0sSUFBSSxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsSUFBSSxJQUFJLFlBQVksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUMxRCxJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sVUFBVTtFQUNuQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLFVBQVUsR0FBRyxDQUFDLElBQUksS0FBSztFQUM3QixFQUFFLElBQUksV0FBVyxHQUFHLElBQUk7RUFDeEIsRUFBRSxNQUFNLE9BQU8sR0FBRyxFQUFFO0VBQ3BCLEVBQUUsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLEdBQUcsRUFBRTs7RUFFdEMsRUFBRSxPQUFPLFdBQVcsSUFBSSxXQUFXLENBQUMsVUFBVSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsRUFBRSxFQUFFO0VBQ3ZFLElBQUksV0FBVyxHQUFHLFdBQVcsQ0FBQyxVQUFVO0VBQ3hDLElBQUksTUFBTSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsR0FBRyxlQUFlLENBQUMsV0FBVyxDQUFDO0VBQzVELElBQUksSUFBSSxTQUFTLElBQUksU0FBUyxLQUFLLFNBQVMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsRUFBRTtFQUMzRSxNQUFNLE1BQU0sY0FBYyxHQUFHLFNBQVMsQ0FBQyxXQUFXLEVBQUU7RUFDcEQsTUFBTSxJQUFJLENBQUMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxFQUFFO0VBQ25ELFFBQVEsa0JBQWtCLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQztFQUM5QyxRQUFRLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDO0VBQ2xDLE1BQU07RUFDTixJQUFJO0VBQ0osRUFBRTs7RUFFRixFQUFFLE9BQU8sT0FBTztFQUNoQixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLEtBQUs7RUFDdkUsRUFBRSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzdCLElBQUksTUFBTSxrQkFBa0IsR0FBRyxVQUFVLENBQUMsTUFBTTtFQUNoRCxNQUFNLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxJQUFJLEtBQUssb0JBQW9CLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUMvRSxLQUFLOztFQUVMLElBQUksSUFBSSxrQkFBa0IsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQ3ZDLE1BQU0sTUFBTSxRQUFRLEdBQUcsa0JBQWtCLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUM7RUFDbEUsTUFBTSxPQUFPLENBQUMsR0FBRyxRQUFRLEVBQUUsb0JBQW9CLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO0VBQzdELElBQUk7O0VBRUosSUFBSSxPQUFPLG9CQUFvQjtFQUMvQixFQUFFOztFQUVGLEVBQUUsTUFBTSxPQUFPLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQzs7RUFFbEMsRUFBRSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzFCLElBQUksT0FBTyxDQUFDLEdBQUcsT0FBTyxFQUFFLG9CQUFvQixDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztFQUMxRCxFQUFFOztFQUVGLEVBQUUsT0FBTyxvQkFBb0I7RUFDN0IsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sc0JBQXNCLEdBQUcsQ0FBQyxVQUFVLEVBQUUsb0JBQW9CLEVBQUUsSUFBSSxLQUFLO0VBQzNFLEVBQUUsSUFBSSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUM3QixJQUFJLE1BQU0sa0JBQWtCLEdBQUcsVUFBVSxDQUFDLE1BQU07RUFDaEQsTUFBTSxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsSUFBSSxLQUFLLG9CQUFvQixJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7RUFDL0UsS0FBSzs7RUFFTCxJQUFJLE1BQU0sY0FBYyxHQUFHLElBQUksR0FBRyxFQUFFO0VBQ3BDLElBQUksTUFBTSxzQkFBc0IsR0FBRyxFQUFFOztFQUVyQyxJQUFJLEtBQUssTUFBTSxJQUFJLElBQUksa0JBQWtCLEVBQUU7RUFDM0MsTUFBTSxJQUFJLENBQUMsSUFBSSxDQUFDLFVBQVUsRUFBRTtFQUM1QixRQUFRO0VBQ1IsTUFBTTs7RUFFTixNQUFNLE1BQU0sY0FBYyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFOztFQUVwRDtFQUNBLE1BQU0sSUFBSSxJQUFJLENBQUMsU0FBUyxFQUFFO0VBQzFCLFFBQVEsTUFBTSxZQUFZLEdBQUcsQ0FBQyxFQUFFLGNBQWMsQ0FBQyxDQUFDLEVBQUUsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0VBQzVFLFFBQVEsSUFBSSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUU7RUFDL0MsVUFBVSxjQUFjLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQztFQUMxQyxVQUFVLHNCQUFzQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7RUFDM0MsUUFBUTtFQUNSLFFBQVE7RUFDUixNQUFNOztFQUVOLE1BQU0sSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFO0VBQ3JCLFFBQVEsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUU7RUFDdEQsUUFBUSxNQUFNLFNBQVMsR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQztFQUN2RCxRQUFRLE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztFQUN4RCxRQUFRLE1BQU0sa0JBQWtCLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLENBQUM7O0VBRXpFLFFBQVEsTUFBTSxlQUFlO0VBQzdCLFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQyxDQUFDO0VBQ3ZELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsRUFBRSxjQUFjLENBQUMsQ0FBQyxDQUFDO0VBQ3hELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7RUFDM0QsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztFQUMxRCxVQUFVLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDO0VBQzNELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUM7RUFDMUQsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxFQUFFLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQztFQUM1RCxVQUFVLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQUUsY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0VBQzNELFVBQVUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsRUFBRSxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7RUFDNUQsVUFBVSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztFQUMzRCxVQUFVLGtCQUFrQixLQUFLLGNBQWM7O0VBRS9DO0VBQ0EsUUFBUSxNQUFNLGtCQUFrQixHQUFHLHlCQUF5QixDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUM7O0VBRWhGLFFBQVEsSUFBSSxDQUFDLGVBQWUsSUFBSSxDQUFDLGtCQUFrQixFQUFFO0VBQ3JELFVBQVU7RUFDVixRQUFROztFQUVSO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBLFFBQVEsTUFBTSxrQkFBa0IsR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUMzRCxRQUFRLE1BQU0sWUFBWSxHQUFHLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLENBQUM7O0VBRXRFLFFBQVEsSUFBSSxjQUFjLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxFQUFFO0VBQzlDLFVBQVU7RUFDVixRQUFROztFQUVSLFFBQVEsY0FBYyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUM7RUFDeEMsUUFBUSxzQkFBc0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO0VBQ3pDLE1BQU0sQ0FBQyxNQUFNO0VBQ2IsUUFBUSxNQUFNLFlBQVksR0FBRyxjQUFjOztFQUUzQyxRQUFRLElBQUksY0FBYyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRTtFQUM5QyxVQUFVO0VBQ1YsUUFBUTs7RUFFUixRQUFRLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDO0VBQ3hDLFFBQVEsc0JBQXNCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztFQUN6QyxNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLElBQUksc0JBQXNCLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUMzQyxNQUFNLE1BQU0sWUFBWSxHQUFHLHNCQUFzQixDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDO0VBQzFFLE1BQU0sTUFBTSxnQkFBZ0IsR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLEVBQUU7RUFDakUsTUFBTSxNQUFNLG1CQUFtQixHQUFHLFlBQVksQ0FBQyxJQUFJO0VBQ25ELFFBQVEsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLGdCQUFnQjtFQUN6RCxPQUFPOztFQUVQLE1BQU0sSUFBSSxTQUFTO0VBQ25CLE1BQU0sSUFBSSxDQUFDLG1CQUFtQixFQUFFO0VBQ2hDLFFBQVEsU0FBUyxHQUFHLENBQUMsR0FBRyxZQUFZLEVBQUUsb0JBQW9CLENBQUM7RUFDM0QsTUFBTSxDQUFDLE1BQU07RUFDYixRQUFRLFNBQVMsR0FBRyxZQUFZO0VBQ2hDLE1BQU07O0VBRU47RUFDQSxNQUFNLFNBQVMsR0FBRywyQkFBMkIsQ0FBQyxTQUFTLENBQUM7RUFDeEQsTUFBTSxPQUFPLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO0VBQ25DLElBQUk7O0VBRUosSUFBSSxPQUFPLG9CQUFvQjtFQUMvQixFQUFFOztFQUVGLEVBQUUsTUFBTSxPQUFPLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQzs7RUFFbEMsRUFBRSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO0VBQzFCLElBQUksTUFBTSxnQkFBZ0IsR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLEVBQUU7RUFDL0QsSUFBSSxNQUFNLG1CQUFtQixHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxLQUFLLGdCQUFnQixDQUFDOztFQUUvRixJQUFJLElBQUksU0FBUztFQUNqQixJQUFJLElBQUksQ0FBQyxtQkFBbUIsRUFBRTtFQUM5QixNQUFNLFNBQVMsR0FBRyxDQUFDLEdBQUcsT0FBTyxFQUFFLG9CQUFvQixDQUFDO0VBQ3BELElBQUksQ0FBQyxNQUFNO0VBQ1gsTUFBTSxTQUFTLEdBQUcsT0FBTztFQUN6QixJQUFJOztFQUVKO0VBQ0EsSUFBSSxTQUFTLEdBQUcsMkJBQTJCLENBQUMsU0FBUyxDQUFDO0VBQ3RELElBQUksT0FBTyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztFQUNqQyxFQUFFOztFQUVGLEVBQUUsT0FBTyxvQkFBb0I7RUFDN0IsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLHdCQUF3QixHQUFHLENBQUMsSUFBSSxFQUFFLGFBQWEsS0FBSztFQUMxRCxFQUFFLE1BQU0sb0JBQW9CLEdBQUcsYUFBYSxDQUFDLFlBQVksQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLEVBQUU7O0VBRS9GLEVBQUUsTUFBTSxVQUFVLEdBQUcsd0JBQXdCLENBQUMsSUFBSSxDQUFDOztFQUVuRCxFQUFFLE1BQU0sYUFBYSxHQUFHLGtCQUFrQixDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLENBQUM7RUFDbEYsRUFBRSxNQUFNLGlCQUFpQixHQUFHLHNCQUFzQixDQUFDLFVBQVUsRUFBRSxvQkFBb0IsRUFBRSxJQUFJLENBQUM7O0VBRTFGLEVBQUUsYUFBYSxDQUFDLFlBQVksQ0FBQ0MscUJBQStCLEVBQUUsYUFBYSxDQUFDO0VBQzVFLEVBQUUsYUFBYSxDQUFDLFlBQVksQ0FBQ0MsNkJBQXVDLEVBQUUsaUJBQWlCLENBQUM7O0VBRXhGO0VBQ0E7RUFDQSxFQUFFLE1BQU0sZ0JBQWdCLEdBQUcsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztFQUMzRixFQUFFLElBQUksYUFBYSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLEVBQUU7RUFDbkQsSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsb0JBQW9CLENBQUM7RUFDOUMsRUFBRTtFQUNGLEVBQUUsSUFBSSxnQkFBZ0IsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxFQUFFO0VBQ2pDLElBQUksYUFBYSxDQUFDLFlBQVksQ0FBQ0Msd0JBQWtDLEVBQUUsQ0FBQyxHQUFHLGdCQUFnQixDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0VBQ25HLEVBQUU7RUFDRixFQUFFLE1BQU0sWUFBWSxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0VBQzdFLEVBQUUsSUFBSSxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtFQUMvQixJQUFJLGFBQWEsQ0FBQyxZQUFZLENBQUNDLHlCQUFtQyxFQUFFLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7RUFDM0YsRUFBRTs7RUFFRjtFQUNBLEVBQUUsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxlQUFlLENBQUMsQ0FBQztFQUNuRixFQUFFLE1BQU0sYUFBYSxHQUFHLFVBQVUsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztFQUN6RCxFQUFFLE1BQU0sV0FBVztFQUNuQixJQUFJLENBQUMsUUFBUSxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7RUFDL0MsS0FBSyxhQUFhLElBQUksYUFBYSxDQUFDLEtBQUssSUFBSSxjQUFjLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO0VBQ2pGLEVBQUUsTUFBTSxNQUFNLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxFQUFFLG9CQUFvQixFQUFFLFdBQVcsQ0FBQztFQUMxRSxFQUFFLElBQUksTUFBTSxFQUFFO0VBQ2QsSUFBSSxhQUFhLENBQUMsWUFBWSxDQUFDUixtQkFBNkIsRUFBRSxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztFQUMzRixFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0E7RUFDQSxNQUFNLFlBQVksR0FBRyxDQUFDLGFBQWEsRUFBRSxJQUFJO0VBQ3pDLEVBQUUsQ0FBQyxhQUFhLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQzs7RUFFckU7RUFDQTtFQUNBO0VBQ0E7RUFDQTtFQUNBO0VBQ0EsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLFdBQVcsRUFBRSxjQUFjLEVBQUUsS0FBSyxLQUFLO0VBQ3JFLEVBQUUsV0FBVyxDQUFDLGVBQWUsRUFBRTtFQUMvQixFQUFFLGNBQWMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxFQUFFLEtBQUssS0FBSztFQUN4RCxJQUFJLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRTtFQUNuQixNQUFNLFdBQVcsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDO0VBQ2hDLElBQUk7RUFDSixJQUFJLE1BQU0sSUFBSSxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDO0VBQ2hDLElBQUksSUFBSSxJQUFJLEVBQUU7RUFDZCxNQUFNLE1BQU0sVUFBVSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDO0VBQ3ZELE1BQU0sVUFBVSxDQUFDLFNBQVMsR0FBRyxJQUFJLENBQUMsU0FBUztFQUMzQyxNQUFNLFVBQVUsQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUs7RUFDbkMsTUFBTSxVQUFVLENBQUMsV0FBVyxHQUFHLElBQUk7RUFDbkMsTUFBTSxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQztFQUNwQyxJQUFJLENBQUMsTUFBTTtFQUNYLE1BQU0sV0FBVyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7RUFDOUIsSUFBSTtFQUNKLEVBQUUsQ0FBQyxDQUFDO0VBQ0osQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxLQUFLLEtBQUs7RUFDeEMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsS0FBSztFQUMxQixFQUFFLElBQUksTUFBTSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUNGLGVBQXlCLENBQUMsRUFBRTtFQUM1RCxJQUFJLE1BQU0sY0FBYztFQUN4QixNQUFNLE1BQU0sQ0FBQyxZQUFZLENBQUNRLDZCQUF1QyxDQUFDO0VBQ2xFLE1BQU0sTUFBTSxDQUFDLFlBQVksQ0FBQ0QscUJBQStCLENBQUM7RUFDMUQsTUFBTSxFQUFFO0VBQ1IsSUFBSSxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLDhDQUE4QyxDQUFDO0VBQzlGLElBQUksSUFBSSxXQUFXLEVBQUU7RUFDckIsTUFBTSxNQUFNLEtBQUssR0FBRyxJQUFJLEdBQUcsRUFBRTtFQUM3QixNQUFNLFlBQVksQ0FBQyxNQUFNLEVBQUVFLHdCQUFrQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSTtFQUM1RSxRQUFRLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEVBQUUsU0FBUyxFQUFFLGtCQUFrQixFQUFFLEtBQUssRUFBRSx3QkFBd0IsRUFBRSxDQUFDO0VBQzNGLE9BQU87RUFDUCxNQUFNLFlBQVksQ0FBQyxNQUFNLEVBQUVDLHlCQUFtQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSTtFQUM3RSxRQUFRLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEVBQUUsU0FBUyxFQUFFLGNBQWMsRUFBRSxLQUFLLEVBQUUsY0FBYyxFQUFFLENBQUM7RUFDN0UsT0FBTztFQUNQLE1BQU0sb0JBQW9CLENBQUMsV0FBVyxFQUFFLGNBQWMsRUFBRSxLQUFLLENBQUM7RUFDOUQsSUFBSTtFQUNKLEVBQUU7RUFDRixDQUFDOztFQUVEO0VBQ0E7RUFDQTtFQUNBLE1BQU0sZUFBZSxHQUFHLE1BQU07RUFDOUIsRUFBRSxNQUFNLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSTs7RUFFNUIsRUFBRSxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDLEVBQUU7RUFDckQsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQztFQUMvQyxJQUFJLE1BQU0sd0JBQXdCLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRUMsa0JBQTRCLENBQUMsQ0FBQyxDQUFDO0VBQy9GLElBQUksTUFBTSxrQkFBa0IsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLHdCQUF3QixDQUFDO0VBQy9FLElBQUksTUFBTSxpQkFBaUIsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLHVCQUF1QixDQUFDO0VBQzdFLElBQUksTUFBTSxZQUFZLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLDBCQUEwQixDQUFDOztFQUU5RSxJQUFJLElBQUksa0JBQWtCLEVBQUU7RUFDNUIsTUFBTSxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUN6RCxJQUFJO0VBQ0osSUFBSSxJQUFJLHdCQUF3QixFQUFFO0VBQ2xDLE1BQU0sd0JBQXdCLENBQUMsTUFBTSxFQUFFO0VBQ3ZDLElBQUk7RUFDSixJQUFJLElBQUksa0JBQWtCLEVBQUUsa0JBQWtCLENBQUMsTUFBTSxFQUFFO0VBQ3ZELElBQUksSUFBSSxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBQyxNQUFNLEVBQUU7RUFDckQsSUFBSSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQzs7RUFFN0MsSUFBSSxJQUFJLENBQUMsbUJBQW1CLENBQUMsV0FBVyxFQUFFLG9CQUFvQixDQUFDO0VBQy9ELEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsQ0FBQzs7RUFFNUMsSUFBSSxXQUFXLEdBQUcsY0FBYyxFQUFFOztFQUVsQyxJQUFJLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsdUJBQXVCLENBQUM7RUFDdEUsSUFBSSxJQUFJLENBQUMsWUFBWSxFQUFFO0VBQ3ZCLE1BQU0sWUFBWSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDO0VBQ3BELE1BQU0sWUFBWSxDQUFDLFNBQVMsR0FBRyxzQkFBc0I7RUFDckQsTUFBTSxZQUFZLENBQUMsV0FBVyxHQUFHLEdBQUc7RUFDcEMsTUFBTSxRQUFRLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxZQUFZLENBQUM7RUFDN0MsSUFBSTs7RUFFSixJQUFJLE1BQU0saUJBQWlCLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyx3QkFBd0IsQ0FBQztFQUM5RSxJQUFJLElBQUksQ0FBQyxpQkFBaUIsRUFBRTtFQUM1QixNQUFNLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxXQUFXLEVBQUUsU0FBUyxDQUFDO0VBQ3JELElBQUksQ0FBQyxNQUFNO0VBQ1gsTUFBTSxNQUFNLG1CQUFtQixHQUFHLGlCQUFpQixDQUFDLGFBQWEsQ0FBQyxlQUFlLENBQUM7RUFDbEYsTUFBTSxJQUFJLG1CQUFtQixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7RUFDOUYsUUFBUSxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsd0JBQXdCLEVBQUUsTUFBTSxDQUFDO0VBQzFFLFFBQVEsbUJBQW1CLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLGlCQUFpQixDQUFDO0VBQ3hFLE1BQU07RUFDTixJQUFJO0VBQ0osSUFBSSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksaUJBQWlCLEVBQUU7RUFDN0QsTUFBTSxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQztFQUNyRCxJQUFJLENBQUMsTUFBTSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksQ0FBQyxpQkFBaUIsRUFBRTtFQUNyRSxNQUFNLFVBQVUsQ0FBQyxNQUFNO0VBQ3ZCLFFBQVEsTUFBTSxTQUFTLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyx3QkFBd0IsQ0FBQztFQUMxRSxRQUFRLElBQUksU0FBUyxFQUFFO0VBQ3ZCLFVBQVUsU0FBUyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDO0VBQ2pELFFBQVE7RUFDUixNQUFNLENBQUMsRUFBRSxDQUFDLENBQUM7RUFDWCxJQUFJLENBQUMsTUFBTSxJQUFJLFdBQVcsS0FBSyxjQUFjLElBQUksaUJBQWlCLEVBQUU7RUFDcEUsTUFBTSxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQztFQUN4RCxJQUFJO0VBQ0osSUFBSSxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsY0FBYyxDQUFDLGtCQUFrQixDQUFDO0VBQ25FLElBQUksSUFBSSxXQUFXLEVBQUU7RUFDckIsTUFBTSxXQUFXLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLGtCQUFrQixDQUFDO0VBQy9ELE1BQU0saUJBQWlCLENBQUMsV0FBVyxDQUFDO0VBQ3BDLElBQUk7RUFDSixJQUFJLE1BQU0sV0FBVyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsZUFBZSxDQUFDO0VBQy9ELElBQUksSUFBSSxXQUFXLElBQUksQ0FBQyxXQUFXLENBQUMsWUFBWSxDQUFDLHdCQUF3QixDQUFDLEVBQUU7RUFDNUUsTUFBTSxXQUFXLENBQUMsWUFBWSxDQUFDLHdCQUF3QixFQUFFLE1BQU0sQ0FBQztFQUNoRSxNQUFNLFdBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxPQUFPLEVBQUUsaUJBQWlCLENBQUM7RUFDOUQsSUFBSTtFQUNKLElBQUksaUJBQWlCLEVBQUU7RUFDdkIsSUFBSSxJQUFJLENBQUMsZ0JBQWdCLENBQUMsV0FBVyxFQUFFLG9CQUFvQixDQUFDOztFQUU1RCxJQUFJLE1BQU0sZUFBZSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLEVBQUVBLGtCQUE0QixDQUFDLENBQUMsQ0FBQztFQUN0RixJQUFJLElBQUksZUFBZSxFQUFFO0VBQ3pCLE1BQU0sZUFBZSxDQUFDLE1BQU0sRUFBRTtFQUM5QixJQUFJOztFQUVKLElBQUksTUFBTSx3QkFBd0IsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQztFQUNsRSxJQUFJLHdCQUF3QixDQUFDLFNBQVMsR0FBR0Esa0JBQTRCO0VBQ3JFLElBQUksSUFBSSxXQUFXLEtBQUssY0FBYyxFQUFFO0VBQ3hDLE1BQU0sd0JBQXdCLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUM7RUFDNUQsSUFBSTtFQUNKLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyx3QkFBd0IsQ0FBQztFQUN6QyxJQUFJLElBQUksV0FBVyxLQUFLLGNBQWMsRUFBRTtFQUN4QyxNQUFNLE1BQU0sU0FBUyxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsd0JBQXdCLENBQUM7RUFDeEUsTUFBTSxJQUFJLFNBQVMsRUFBRTtFQUNyQixRQUFRLFNBQVMsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQztFQUMvQyxNQUFNO0VBQ04sSUFBSTtFQUNKLElBQUksTUFBTSxlQUFlLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLDBCQUEwQixDQUFDO0VBQ2pGLElBQUksZUFBZSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7O0VBRWhELElBQUksTUFBTSxjQUFjLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUM7RUFDeEQsSUFBSSxjQUFjLENBQUMsU0FBUyxHQUFHLDRDQUE0QztFQUMzRSxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQztFQUMzRCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQztFQUN6RCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztFQUNwRCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsSUFBSSxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztFQUNyRCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLE9BQU87RUFDekMsSUFBSSxjQUFjLENBQUMsU0FBUyxHQUFHLGdFQUFnRTtFQUMvRixJQUFJLHdCQUF3QixDQUFDLFdBQVcsQ0FBQyxjQUFjLENBQUM7O0VBRXhEO0VBQ0EsSUFBSSxNQUFNLG9CQUFvQixHQUFHLE1BQU07RUFDdkMsTUFBTSxNQUFNLGdCQUFnQixHQUFHLEVBQUU7RUFDakMsTUFBTSxNQUFNLHdCQUF3QixHQUFHLDhCQUE4QixFQUFFO0VBQ3ZFLE1BQU0sTUFBTSxXQUFXLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEtBQUs7RUFDdEYsUUFBUTtFQUNSLFVBQVUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyx5QkFBeUIsQ0FBQztFQUM3RCxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQztFQUNqRCxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRUEsa0JBQTRCLENBQUMsQ0FBQztFQUMxRDtFQUNBLE1BQU0sQ0FBQyxDQUFDO0VBQ1IsTUFBTSxNQUFNLFNBQVMsR0FBRyxFQUFFO0VBQzFCLE1BQU0sSUFBSSxLQUFLLEdBQUcsQ0FBQzs7RUFFbkIsTUFBTSxNQUFNLFlBQVksR0FBRyxNQUFNO0VBQ2pDLFFBQVEsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEdBQUcsU0FBUyxFQUFFLFdBQVcsQ0FBQyxNQUFNLENBQUM7O0VBRXhFLFFBQVEsS0FBSyxJQUFJLENBQUMsR0FBRyxLQUFLLEVBQUUsQ0FBQyxHQUFHLFFBQVEsRUFBRSxDQUFDLEVBQUUsRUFBRTtFQUMvQyxVQUFVLE1BQU0sSUFBSSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7RUFDckMsVUFBVSxNQUFNLFlBQVksR0FBRyx3QkFBd0IsQ0FBQyxJQUFJLENBQUM7RUFDN0QsVUFBVSxJQUFJLFlBQVksRUFBRTtFQUM1QixZQUFZLGdCQUFnQixDQUFDLElBQUksQ0FBQyxZQUFZLENBQUM7RUFDL0MsVUFBVTtFQUNWLFFBQVE7O0VBRVIsUUFBUSxLQUFLLEdBQUcsUUFBUTs7RUFFeEIsUUFBUSxJQUFJLEtBQUssR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFO0VBQ3hDLFVBQVUsVUFBVSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7RUFDckMsUUFBUSxDQUFDLE1BQU07RUFDZixVQUFVLElBQUksU0FBUyxHQUFHLENBQUM7RUFDM0IsVUFBVSxNQUFNLGFBQWEsR0FBRyxFQUFFOztFQUVsQyxVQUFVLE1BQU0sWUFBWSxHQUFHLE1BQU07RUFDckMsWUFBWSxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsR0FBRyxhQUFhLEVBQUUsZ0JBQWdCLENBQUMsTUFBTSxDQUFDOztFQUV6RixZQUFZLEtBQUssSUFBSSxDQUFDLEdBQUcsU0FBUyxFQUFFLENBQUMsR0FBRyxRQUFRLEVBQUUsQ0FBQyxFQUFFLEVBQUU7RUFDdkQsY0FBYyxNQUFNLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxHQUFHLGdCQUFnQixDQUFDLENBQUMsQ0FBQztFQUNqRSxjQUFjLHdCQUF3QixDQUFDLElBQUksRUFBRSxhQUFhLENBQUM7RUFDM0QsWUFBWTs7RUFFWixZQUFZLFNBQVMsR0FBRyxRQUFROztFQUVoQyxZQUFZLElBQUksU0FBUyxHQUFHLGdCQUFnQixDQUFDLE1BQU0sRUFBRTtFQUNyRCxjQUFjLFVBQVUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDO0VBQ3pDLFlBQVksQ0FBQyxNQUFNO0VBQ25CLGNBQWMsTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRUEsa0JBQTRCLENBQUMsQ0FBQyxDQUFDO0VBQ3hGLGNBQWMsSUFBSSxPQUFPLEVBQUU7RUFDM0IsZ0JBQWdCLE1BQU0sWUFBWSxHQUFHLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQywwQkFBMEIsQ0FBQztFQUN6RixnQkFBZ0IsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7RUFDekQsZ0JBQWdCLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDO0VBQ25GLGNBQWM7RUFDZCxZQUFZO0VBQ1osVUFBVSxDQUFDOztFQUVYO0VBQ0EsVUFBVSxxQkFBcUI7RUFDL0IsYUFBYSxLQUFLLENBQUMsTUFBTSxLQUFLO0VBQzlCLGFBQWEsSUFBSSxDQUFDLE1BQU0sVUFBVSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUMsQ0FBQztFQUNwRCxRQUFRO0VBQ1IsTUFBTSxDQUFDOztFQUVQLE1BQU0sVUFBVSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7RUFDakMsSUFBSSxDQUFDOztFQUVMLElBQUksb0JBQW9CLEVBQUU7RUFDMUIsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDQSxJQUFJLGNBQWMsR0FBRyxJQUFJO0VBQ3pCLElBQUksbUJBQW1CLEdBQUcsS0FBSzs7RUFFL0IsTUFBTSxvQkFBb0IsR0FBRyxNQUFNO0VBQ25DLEVBQUUsT0FBTyxDQUFDLEtBQUssS0FBSztFQUNwQixJQUFJLElBQUksS0FBSyxDQUFDLEdBQUcsS0FBSyxRQUFRLEVBQUU7RUFDaEMsTUFBTSxNQUFNLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSTtFQUNoQyxNQUFNLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDLEVBQUU7RUFDakUsUUFBUSxlQUFlLEVBQUU7RUFDekIsUUFBUSxLQUFLLENBQUMsY0FBYyxFQUFFO0VBQzlCLE1BQU07RUFDTixNQUFNO0VBQ04sSUFBSTs7RUFFSixJQUFJLE1BQU0sS0FBSyxHQUFHLFNBQVMsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7RUFDdEUsSUFBSSxNQUFNLFlBQVksR0FBRyxLQUFLLEdBQUcsS0FBSyxDQUFDLE9BQU8sR0FBRyxLQUFLLENBQUMsT0FBTztFQUM5RCxJQUFJLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxRQUFRO0VBQ2xDLElBQUksTUFBTSxHQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsS0FBSyxHQUFHLElBQUksS0FBSyxDQUFDLEdBQUcsS0FBSyxHQUFHLElBQUksS0FBSyxDQUFDLE9BQU8sS0FBSyxFQUFFOztFQUU5RSxJQUFJLElBQUksWUFBWSxJQUFJLE9BQU8sSUFBSSxHQUFHLEVBQUU7RUFDeEMsTUFBTSxlQUFlLEVBQUU7RUFDdkIsTUFBTSxLQUFLLENBQUMsY0FBYyxFQUFFO0VBQzVCLE1BQU0sS0FBSyxDQUFDLGVBQWUsRUFBRTtFQUM3QixJQUFJO0VBQ0osRUFBRSxDQUFDO0VBQ0gsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDQTtFQUNBLE1BQU0scUJBQXFCLEdBQUcsTUFBTTtFQUNwQyxFQUFFLElBQUksbUJBQW1CLEVBQUU7RUFDM0IsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLENBQUMsY0FBYyxFQUFFO0VBQ3ZCLElBQUksY0FBYyxHQUFHLG9CQUFvQixFQUFFO0VBQzNDLEVBQUU7O0VBRUYsRUFBRSxRQUFRLENBQUMsZ0JBQWdCLENBQUMsU0FBUyxFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUM7RUFDNUQsRUFBRSxtQkFBbUIsR0FBRyxJQUFJO0VBQzVCLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ0E7RUFDTyxNQUFNLG1CQUFtQixHQUFHLENBQUMsU0FBUyxLQUFLO0VBQ2xELEVBQUUsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsb0JBQW9CLENBQUMsS0FBSyxPQUFPLENBQUMsU0FBUyxDQUFDLEVBQUU7RUFDckYsSUFBSSxlQUFlLEVBQUU7RUFDckIsRUFBRTtFQUNGLENBQUM7O0VBRUQ7RUFDQTtFQUNBO0VBQ08sTUFBTSxnQkFBZ0IsR0FBRyxNQUFNO0VBQ3RDLEVBQUUsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsb0JBQW9CLENBQUMsRUFBRTtFQUM5RCxJQUFJLGVBQWUsRUFBRTtFQUNyQixJQUFJLGVBQWUsRUFBRTtFQUNyQixFQUFFO0VBQ0YsQ0FBQzs7RUFFRDtFQUNBO0VBQ0E7RUFDTyxNQUFNLGVBQWUsR0FBRyxNQUFNO0VBQ3JDLEVBQUUsV0FBVyxHQUFHLGNBQWMsRUFBRTs7RUFFaEMsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFO0VBQ3BCLElBQUksSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLElBQUksTUFBTSxDQUFDLDJCQUEyQixFQUFFO0VBQzdFLE1BQU0sV0FBVyxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsMkJBQTJCLENBQUM7RUFDckUsSUFBSSxDQUFDLE1BQU07RUFDWCxNQUFNLFVBQVUsQ0FBQyxNQUFNO0VBQ3ZCLFFBQVEsd0JBQXdCLEVBQUU7RUFDbEMsTUFBTSxDQUFDLEVBQUUsSUFBSSxDQUFDO0VBQ2QsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLGlCQUFpQixDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxFQUFFO0VBQ3ZFLElBQUksb0JBQW9CLENBQUMsTUFBTSxDQUFDLGlDQUFpQyxDQUFDO0VBQ2xFLEVBQUU7O0VBRUY7RUFDQSxFQUFFLElBQUksT0FBTyxNQUFNLEtBQUssV0FBVyxJQUFJLE1BQU0sQ0FBQyx1QkFBdUIsS0FBSyxLQUFLLEVBQUU7RUFDakYsSUFBSTtFQUNKLEVBQUU7O0VBRUYsRUFBRSxJQUFJLFFBQVEsQ0FBQyxVQUFVLEtBQUssU0FBUyxFQUFFO0VBQ3pDLElBQUksUUFBUSxDQUFDLGdCQUFnQixDQUFDLGtCQUFrQixFQUFFLHFCQUFxQixDQUFDO0VBQ3hFLEVBQUUsQ0FBQyxNQUFNO0VBQ1QsSUFBSSxxQkFBcUIsRUFBRTtFQUMzQixFQUFFO0VBQ0YsQ0FBQzs7RUMvcUREO0VBQ0EsSUFBSSxPQUFPLE1BQU0sS0FBSyxXQUFXLEVBQUU7RUFDbkMsRUFBRSxNQUFNLENBQUMsdUJBQXVCLEdBQUcsY0FBYztFQUNqRCxFQUFFLE1BQU0sQ0FBQyw2QkFBNkIsR0FBRyxvQkFBb0I7RUFDN0QsRUFBRSxNQUFNLENBQUMsb0JBQW9CLEdBQUcsV0FBVztFQUMzQyxFQUFFLE1BQU0sQ0FBQyxxQkFBcUIsR0FBRyxZQUFZO0VBQzdDLEVBQUUsTUFBTSxDQUFDLHdCQUF3QixHQUFHLGVBQWU7RUFDbkQsRUFBRSxNQUFNLENBQUMsMkJBQTJCLEdBQUcsa0JBQWtCO0VBQ3pELEVBQUUsTUFBTSxDQUFDLDRCQUE0QixHQUFHLG1CQUFtQjtFQUMzRCxFQUFFLE1BQU0sQ0FBQywrQkFBK0IsR0FBRyxzQkFBc0I7RUFDakUsRUFBRSxNQUFNLENBQUMsZ0JBQWdCLEdBQUcsT0FBTztFQUNuQyxFQUFFLE1BQU0sQ0FBQyxtQkFBbUIsR0FBRyxtQkFBbUI7RUFDbEQsRUFBRSxNQUFNLENBQUMsZ0JBQWdCLEdBQUcsZ0JBQWdCO0VBQzVDOztFQUVBLGVBQWUsRUFBRTs7Ozs7OyJ9
@@ -36,4 +36,11 @@ export default [
       'import/no-duplicates': 'error',
     },
   },
+  {
+    // storybook is an optional peer dependency, only installed in projects using the addon
+    files: ['lib/storybook/**/*.js'],
+    rules: {
+      'import/no-unresolved': ['error', { ignore: ['^storybook/'] }],
+    },
+  },
 ];
@@ -1,4 +1,15 @@
-export { XrayReactWebpackPlugin, xrayReactVitePlugin } from './lib/plugins/index.js';
+export {
+  XrayReactWebpackPlugin,
+  xrayReactVitePlugin,
+  xrayReactRouterPlugin,
+  XrayReactRspackPlugin,
+  xrayReactRsbuildPlugin,
+  xrayReactEsbuildPlugin,
+  xrayReactRollupPlugin,
+  withXrayReact,
+} from './lib/plugins/index.js';
+export { createXrayServer, XrayServer } from './lib/xray-server.js';
+export { ConfigError, loadProjectConfig } from './lib/project-config.js';
 
 // Legacy export for backward compatibility
 export { XrayReactWebpackPlugin as XrayReactPlugin } from './lib/plugins/index.js';
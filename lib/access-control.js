@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import os from 'os';
+
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * Creates a random per-session token the injected client has to present
+ * @returns {string} Token
+ */
+export function createSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Compares a presented token with the expected one in constant time
+ * @param {string} expected - Session token
+ * @param {*} presented - Token sent by the client
+ * @returns {boolean} True if the tokens match
+ */
+export function isValidToken(expected, presented) {
+  if (typeof presented !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const presentedBuffer = Buffer.from(presented);
+  return (
+    expectedBuffer.length === presentedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, presentedBuffer)
+  );
+}
+
+/**
+ * Normalizes an origin (scheme://host[:port]) for comparison
+ * @param {string} origin - Origin or URL
+ * @returns {string|null} Normalized origin or null if invalid
+ */
+export function normalizeOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    return url.origin === 'null' ? null : url.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses a comma-separated list of origins (e.g., XRAY_REACT_ALLOWED_ORIGINS)
+ * @param {string|Array<string>} value - Origins
+ * @returns {Array<string>} Origins, '*' kept as-is
+ */
+export function parseOrigins(value) {
+  const origins = Array.isArray(value) ? value : String(value || '').split(',');
+  return origins.map((origin) => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Checks if an origin is a loopback origin (localhost, 127.0.0.1 or [::1] on any port)
+ * @param {string} origin - Origin
+ * @returns {boolean} True for loopback origins
+ */
+export function isLoopbackOrigin(origin) {
+  try {
+    return LOOPBACK_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks if a remote address is a loopback address
+ * @param {string} address - Remote address of a request
+ * @returns {boolean} True for loopback addresses
+ */
+export function isLoopbackAddress(address) {
+  return LOOPBACK_ADDRESSES.has(address);
+}
+
+/**
+ * Checks if a request origin may connect
+ * Loopback origins are always allowed; other origins must be listed (or '*' is listed)
+ * @param {string} origin - Origin header of the request
+ * @param {Set<string>} allowedOrigins - Normalized allowed origins
+ * @returns {boolean} True if allowed
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+  if (allowedOrigins.has('*') || isLoopbackOrigin(origin)) {
+    return true;
+  }
+  const normalized = normalizeOrigin(origin);
+  return normalized !== null && allowedOrigins.has(normalized);
+}
+
+/**
+ * Gets the origins a dev server can be reached at from other machines
+ * Loopback hosts are skipped (always allowed); wildcard hosts expand to the
+ * machine's network addresses
+ * @param {Object} devServer - Dev server address
+ * @param {string} devServer.protocol - 'http' or 'https'
+ * @param {string|boolean} devServer.host - Configured host (true, '0.0.0.0' and '::' mean all)
+ * @param {number} devServer.port - Port the dev server listens on
+ * @returns {Array<string>} Origins
+ */
+export function getDevServerOrigins({ protocol = 'http', host, port }) {
+  if (!host || !port || host === 'localhost' || isLoopbackAddress(host)) {
+    return [];
+  }
+
+  const isWildcard =
+    host === true || ['0.0.0.0', '::', 'local-ip', 'local-ipv4', 'local-ipv6'].includes(host);
+  const hosts = isWildcard
+    ? Object.values(os.networkInterfaces())
+        .flat()
+        .filter((network) => network && !network.internal)
+        .map((network) => (network.family === 'IPv6' ? `[${network.address}]` : network.address))
+    : [host];
+
+  return hosts.map((name) => `${protocol}://${name}:${port}`);
+}
@@ -0,0 +1,92 @@
+import path from 'path';
+import { XRAY_SOURCE_ATTR, XRAY_COMPONENT_ATTR } from './constants.js';
+import { isHostTagName, formatSourceAttribute } from './jsx-source-transform.js';
+
+/**
+ * Finds the name of the component that renders a JSX element
+ * Walks up to the nearest capitalized function, arrow function or class
+ * (including ones wrapped in memo/forwardRef)
+ * @param {Object} jsxPath - Babel path of the JSX opening element
+ * @returns {string|null} Component name or null
+ */
+function getOwnerComponentName(jsxPath) {
+  let current = jsxPath.parentPath;
+
+  while (current) {
+    const { node } = current;
+    let name = null;
+
+    if (current.isFunctionDeclaration() || current.isClassDeclaration()) {
+      name = node.id && node.id.name;
+    } else if (current.isFunctionExpression() || current.isArrowFunctionExpression()) {
+      const declarator = current.findParent(
+        (parent) => parent.isVariableDeclarator() || parent.isStatement(),
+      );
+      if (declarator && declarator.isVariableDeclarator() && declarator.node.id.name) {
+        name = declarator.node.id.name;
+      }
+    } else if (current.isClassExpression()) {
+      name = node.id && node.id.name;
+    }
+
+    if (name && /^[A-Z]/.test(name)) {
+      return name;
+    }
+
+    current = current.parentPath;
+  }
+
+  return null;
+}
+
+/**
+ * Babel plugin that stamps JSX host elements of project files with their source location
+ * and owning component, in development builds only
+ *
+ * Usage (babel.config.js):
+ *   plugins: [['xray-react/babel', { projectRoot: __dirname }]]
+ *
+ * @param {Object} api - Babel plugin API
+ * @param {Object} options - Plugin options
+ * @param {string} options.projectRoot - Root that source paths are made relative to (default: cwd)
+ * @returns {Object} Babel plugin
+ */
+export default function xrayReactBabelPlugin(api, options = {}) {
+  const { types: t } = api;
+  const isProduction = typeof api.env === 'function' && api.env('production');
+
+  return {
+    name: 'xray-react',
+    visitor: isProduction
+      ? {}
+      : {
+          JSXOpeningElement(jsxPath, state) {
+            const { node } = jsxPath;
+            const filePath = state.filename || state.file?.opts?.filename;
+
+            if (!filePath || /[/\\]node_modules[/\\]/.test(filePath) || !node.loc) return;
+            if (!t.isJSXIdentifier(node.name) || !isHostTagName(node.name.name)) return;
+
+            const hasSourceAttr = node.attributes.some(
+              (attr) => t.isJSXAttribute(attr) && attr.name.name === XRAY_SOURCE_ATTR,
+            );
+            if (hasSourceAttr) return;
+
+            const projectRoot = path.resolve(options.projectRoot || state.cwd || process.cwd());
+            const { line, column } = node.loc.start;
+            const source = formatSourceAttribute(filePath, projectRoot, line, column + 1);
+
+            node.attributes.push(
+              t.jsxAttribute(t.jsxIdentifier(XRAY_SOURCE_ATTR), t.stringLiteral(source)),
+            );
+
+            const owner = getOwnerComponentName(jsxPath);
+            if (owner) {
+              node.attributes.push(
+                t.jsxAttribute(t.jsxIdentifier(XRAY_COMPONENT_ATTR), t.stringLiteral(owner)),
+              );
+            }
+          },
+        },
+  };
+}
@@ -0,0 +1,602 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createXrayServer } from './xray-server.js';
+import {
+  detectProjectRoot,
+  detectProjectRootByPackageJson,
+  explainComponentCandidate,
+  scanSourceFiles,
+} from './source-utils.js';
+import { getEditorCommand, getEditorTemplate, splitCommandTemplate } from './editor-utils.js';
+import { parsePathMappings } from './path-mappings.js';
+import { ConfigError } from './project-config.js';
+import { AVAILABLE_UI_MODES, EDITOR_URL_SCHEMES } from './constants.js';
+
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const UI_BUNDLES = ['xray-react-ui.min.js', 'xray-react-client.min.js'];
+const FALLBACK_OPENERS = ['open', 'start', 'xdg-open'];
+
+// Flags that mirror environment variables; a flag wins over the variable
+const ENV_FLAGS = {
+  'project-root': 'XRAY_REACT_PROJECT_ROOT',
+  port: 'XRAY_REACT_PORT',
+  host: 'XRAY_REACT_HOST',
+  token: 'XRAY_REACT_TOKEN',
+  'allowed-origins': 'XRAY_REACT_ALLOWED_ORIGINS',
+  mode: 'XRAY_REACT_MODE',
+  editor: 'XRAY_REACT_EDITOR',
+  'editor-template': 'XRAY_REACT_EDITOR_TEMPLATE',
+  'editor-url': 'XRAY_REACT_EDITOR_URL',
+  'path-mappings': 'XRAY_REACT_PATH_MAPPINGS',
+  'editor-remote': 'XRAY_REACT_EDITOR_REMOTE',
+};
+
+const CLI_OPTIONS = {
+  'project-root': { type: 'string' },
+  'source-path': { type: 'string', multiple: true },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  token: { type: 'string' },
+  'allowed-origins': { type: 'string' },
+  mode: { type: 'string' },
+  editor: { type: 'string' },
+  'editor-template': { type: 'string' },
+  'editor-url': { type: 'string' },
+  'path-mappings': { type: 'string' },
+  'editor-remote': { type: 'string' },
+  hierarchy: { type: 'string' },
+  json: { type: 'boolean' },
+  'no-watch': { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  'no-workspaces': { type: 'boolean' },
+  'no-token': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+const HELP = `Usage: xray-react <command> [options]
+
+Commands:
+  serve                      Start the standalone server
+  index                      Print the component index
+  which <Component>          Show the file a component opens and why
+  doctor                     Check the setup (editor, project root, port, bundles)
+
+Options:
+  --project-root <path>      Project root (env: XRAY_REACT_PROJECT_ROOT)
+  --source-path <path>       Directory to index, repeatable (default: detected)
+  --port <number>            Server port (env: XRAY_REACT_PORT, default: 8124)
+  --host <address>           Host to bind to (env: XRAY_REACT_HOST, default: 127.0.0.1)
+  --token <token>            Token clients must send (env: XRAY_REACT_TOKEN,
+                             default: random per session)
+  --allowed-origins <list>   Comma-separated non-loopback origins allowed to connect
+                             (env: XRAY_REACT_ALLOWED_ORIGINS)
+  --mode <full|simple>       UI mode (env: XRAY_REACT_MODE, default: full)
+  --editor <command>         Editor command (env: XRAY_REACT_EDITOR)
+  --editor-template <tpl>    Editor command template or preset, e.g. "zed {file}:{line}"
+                             (env: XRAY_REACT_EDITOR_TEMPLATE)
+  --editor-url <scheme>      Open files from the browser via vscode, cursor, idea, jetbrains
+                             or subl URLs (env: XRAY_REACT_EDITOR_URL)
+  --editor-remote <remote>   VS Code/Cursor remote, e.g. dev-container+<id>
+                             (env: XRAY_REACT_EDITOR_REMOTE)
+  --path-mappings <list>     Server=editor path prefixes, e.g. /app=/Users/me/proj, or auto
+                             (env: XRAY_REACT_PATH_MAPPINGS)
+  --hierarchy <path>         which: component path, e.g. "App -> Layout -> Navbar"
+  --json                     index, which: print JSON
+  --no-watch                 serve: do not re-index files when they change
+  --no-cache                 Do not use node_modules/.cache/xray-react
+  --no-workspaces            Do not index the workspace packages the project depends on
+  --no-token                 serve: accept clients without a token
+  -h, --help                 Show this help
+  -v, --version              Show the version
+`;
+
+/**
+ * Error with a message meant for the command line (printed without a stack trace unless
+ * `DEBUG` is set)
+ */
+class CliError extends Error {}
+
+/**
+ * Reads the xray-react package version
+ * @returns {string} Version
+ */
+function getVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PACKAGE_ROOT, 'package.json'), 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Validates flags and exports the ones that mirror environment variables
+ * @param {Object} values - Parsed flag values
+ */
+function applyEnvFlags(values) {
+  if (values.port !== undefined) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new CliError(`Invalid --port "${values.port}": expected a number from 1 to 65535`);
+    }
+  }
+
+  if (values.mode !== undefined && !AVAILABLE_UI_MODES.includes(values.mode)) {
+    throw new CliError(
+      `Invalid --mode "${values.mode}": expected one of ${AVAILABLE_UI_MODES.join(', ')}`,
+    );
+  }
+
+  if (values['editor-url'] !== undefined && !EDITOR_URL_SCHEMES.includes(values['editor-url'])) {
+    throw new CliError(
+      `Invalid --editor-url "${values['editor-url']}": expected one of ${EDITOR_URL_SCHEMES.join(', ')}`,
+    );
+  }
+
+  if (values['path-mappings'] !== undefined && values['path-mappings'] !== 'auto') {
+    try {
+      parsePathMappings(values['path-mappings']);
+    } catch (error) {
+      throw new CliError(`Invalid --path-mappings: ${error.message}`);
+    }
+  }
+
+  Object.entries(ENV_FLAGS).forEach(([flag, envName]) => {
+    if (values[flag] !== undefined) {
+      process.env[envName] = values[flag];
+    }
+  });
+}
+
+/**
+ * Creates a server for the project described by the flags (not started)
+ * @param {Object} values - Parsed flag values
+ * @returns {XrayServer} Server instance
+ */
+function createServerFromFlags(values) {
+  const projectRoot = detectProjectRoot();
+  const sourcePaths = (values['source-path'] || []).map((sourcePath) =>
+    path.resolve(projectRoot, sourcePath),
+  );
+
+  return createXrayServer({
+    projectRoot: projectRoot,
+    sourcePaths: sourcePaths,
+    // Without the flags, the config file decides
+    watch: values['no-watch'] ? false : undefined,
+    cache: values['no-cache'] ? false : undefined,
+    workspaces: values['no-workspaces'] ? false : undefined,
+    // Without a configured token, a random one is printed for the manually added client
+    token: values['no-token'] ? false : process.env.XRAY_REACT_TOKEN || undefined,
+  });
+}
+
+/**
+ * Prints the globals a manually added client needs to connect to a started server
+ * @param {XrayServer} server - Started server
+ */
+export function printClientConfig(server) {
+  if (!server.token) return;
+
+  console.log('xray-react: Set the session token before the client script loads:');
+  console.log(`  <script>${server.getClientConfigScript()}</script>`);
+}
+
+/**
+ * Formats a candidate location relative to the project root
+ * @param {Object} candidate - Source candidate ({ path, line })
+ * @param {string} projectRoot - Project root
+ * @returns {string} `relative/path.tsx:line`
+ */
+function formatCandidate(candidate, projectRoot) {
+  const relativePath = path.relative(projectRoot, candidate.path) || candidate.path;
+  return candidate.line ? `${relativePath}:${candidate.line}` : relativePath;
+}
+
+/**
+ * `xray-react serve`: starts the standalone server until interrupted
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<number>} Exit code
+ */
+async function serve(values) {
+  const server = createServerFromFlags(values);
+
+  process.on('SIGINT', () => {
+    console.log('\nxray-react: Shutting down server...');
+    server.close().then(() => process.exit(0));
+  });
+
+  try {
+    await server.start();
+    printClientConfig(server);
+    return 0;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * `xray-react index`: prints the component index
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<number>} Exit code
+ */
+async function printIndex(values) {
+  const server = createServerFromFlags(values);
+  await server.loadConfig();
+  await server.buildIndex();
+
+  if (values.json) {
+    const index = {
+      projectRoot: server.projectRoot,
+      sourcePaths: server.getSourcePaths(),
+      workspacePackages: server.workspacePackages,
+      files: server.allProjectFiles,
+      sources: server.sources,
+      usageMap: server.usageMap,
+      importMap: server.importMap,
+    };
+    console.log(JSON.stringify(index, null, 2));
+    return 0;
+  }
+
+  const names = Object.keys(server.sources).sort((a, b) => a.localeCompare(b));
+  console.log(`Project root: ${server.projectRoot}`);
+  console.log(`Source paths: ${server.getSourcePaths().join(', ')}`);
+  if (server.workspacePackages.length > 0) {
+    const packageNames = server.workspacePackages.map(({ name }) => name);
+    console.log(`Workspace packages: ${packageNames.join(', ')}`);
+  }
+  console.log(`${server.allProjectFiles.length} files, ${names.length} components\n`);
+
+  names.forEach((name) => {
+    const candidates = server.sources[name];
+    const locations = candidates.map((c) => formatCandidate(c, server.projectRoot));
+    const marker = candidates.length > 1 ? ` (${candidates.length} files)` : '';
+    console.log(`${name}${marker}`);
+    locations.forEach((location) => console.log(`  ${location}`));
+  });
+
+  return 0;
+}
+
+/**
+ * `xray-react which <Component>`: prints the file a click would open and why
+ * @param {string} componentName - Component name
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<number>} Exit code
+ */
+async function which(componentName, values) {
+  if (!componentName) {
+    throw new CliError('Missing component name: xray-react which <Component> [--hierarchy "..."]');
+  }
+
+  const hierarchy = values.hierarchy
+    ? values.hierarchy
+        .split('->')
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : [componentName];
+  if (!hierarchy.includes(componentName)) {
+    hierarchy.push(componentName);
+  }
+
+  const server = createServerFromFlags(values);
+  await server.loadConfig();
+  await server.buildIndex();
+
+  const { candidate, candidates, ambiguous, reason } = explainComponentCandidate(
+    componentName,
+    hierarchy,
+    server.sources,
+    server.importMap,
+  );
+
+  // Like a click, fall back to the nearest ancestor that has a file
+  let fallback = null;
+  if (!candidate) {
+    const ancestors = hierarchy.slice(0, hierarchy.indexOf(componentName)).reverse();
+    for (const ancestor of ancestors) {
+      const result = explainComponentCandidate(
+        ancestor,
+        hierarchy,
+        server.sources,
+        server.importMap,
+      );
+      if (result.candidate) {
+        fallback = { name: ancestor, ...result };
+        break;
+      }
+    }
+  }
+
+  if (values.json) {
+    console.log(
+      JSON.stringify(
+        {
+          component: componentName,
+          hierarchy: hierarchy,
+          file: candidate ? candidate.path : null,
+          line: candidate ? candidate.line : null,
+          reason: reason,
+          ambiguous: ambiguous,
+          candidates: candidates,
+          fallback: fallback
+            ? { component: fallback.name, file: fallback.candidate.path, reason: fallback.reason }
+            : null,
+        },
+        null,
+        2,
+      ),
+    );
+    return candidate || fallback ? 0 : 1;
+  }
+
+  console.log(`Hierarchy: ${hierarchy.join(' -> ')}`);
+  if (candidate) {
+    const guess = ambiguous ? ' (ambiguous, best guess)' : '';
+    console.log(`${componentName} -> ${formatCandidate(candidate, server.projectRoot)}${guess}`);
+  } else {
+    console.log(`${componentName} -> no file`);
+  }
+  console.log(`Reason: ${reason}`);
+
+  if (candidates.length > 1) {
+    console.log('Candidates:');
+    candidates.forEach((c) => {
+      const marker = c === candidate ? '*' : ' ';
+      const context = c.context && c.context.length > 0 ? c.context.join(', ') : 'none';
+      console.log(
+        `  ${marker} ${formatCandidate(c, server.projectRoot)} (context: ${context}, priority: ${c.priority || 0})`,
+      );
+    });
+  }
+
+  if (fallback) {
+    console.log(
+      `A click opens the nearest ancestor with a file instead: ${fallback.name} -> ${formatCandidate(fallback.candidate, server.projectRoot)}`,
+    );
+  }
+
+  return candidate || fallback ? 0 : 1;
+}
+
+/**
+ * Checks whether a TCP port can be listened on
+ * @param {number} port - Port
+ * @param {string} host - Host the server binds to
+ * @returns {Promise<boolean>} True if the port is free
+ */
+function isPortAvailable(port, host) {
+  return new Promise((resolve) => {
+    const tester = net.createServer();
+    tester.once('error', () => resolve(false));
+    tester.listen(port, host, () => tester.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Checks whether a command can be found on PATH
+ * @param {string} cmd - Command name
+ * @returns {boolean} True if an executable with that name exists on PATH
+ */
+function isOnPath(cmd) {
+  const extensions = process.platform === 'win32' ? ['', '.exe', '.cmd', '.bat'] : [''];
+  return (process.env.PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .some((dir) => extensions.some((ext) => fs.existsSync(path.join(dir, `${cmd}${ext}`))));
+}
+
+/**
+ * `xray-react doctor`: checks the setup and explains what to fix
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<number>} Exit code (1 if any check failed)
+ */
+async function doctor(values) {
+  const results = [];
+  const report = (status, label, detail) => results.push({ status, label, detail });
+
+  const nodeMajor = Number(process.versions.node.split('.')[0]);
+  if (nodeMajor >= 22) {
+    report('ok', 'Node.js', process.versions.node);
+  } else {
+    report('warn', 'Node.js', `${process.versions.node} (xray-react requires >= 22)`);
+  }
+
+  const projectRoot = detectProjectRoot();
+  let rootSource = 'current directory (no package.json found)';
+  if (values['project-root']) {
+    rootSource = '--project-root';
+  } else if (process.env.XRAY_REACT_PROJECT_ROOT && projectRoot !== process.cwd()) {
+    rootSource = 'XRAY_REACT_PROJECT_ROOT';
+  } else if (detectProjectRootByPackageJson(process.cwd()) === projectRoot) {
+    rootSource = 'nearest package.json';
+  }
+
+  if (!fs.existsSync(projectRoot)) {
+    report('error', 'Project root', `${projectRoot} does not exist (from ${rootSource})`);
+  } else if (!fs.existsSync(path.join(projectRoot, 'package.json'))) {
+    report('warn', 'Project root', `${projectRoot} (from ${rootSource}) has no package.json`);
+  } else {
+    report('ok', 'Project root', `${projectRoot} (from ${rootSource})`);
+  }
+
+  const server = createServerFromFlags(values);
+  try {
+    await server.loadConfig();
+    if (server.configPath) {
+      report('ok', 'Config file', server.configPath);
+    }
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    report('error', 'Config file', error.message);
+  }
+
+  if (server.workspacePackages.length > 0) {
+    const packages = server.workspacePackages.map(
+      ({ name, dir }) => `${name} (${path.relative(projectRoot, dir)})`,
+    );
+    report('ok', 'Workspace packages', packages.join(', '));
+  }
+
+  let fileCount = 0;
+  for (const sourcePath of server.getSourcePaths()) {
+    if (!fs.existsSync(sourcePath)) {
+      report('error', 'Source path', `${sourcePath} does not exist`);
+      continue;
+    }
+    const count = (await scanSourceFiles(sourcePath, server.sourceFilter)).length;
+    fileCount += count;
+    report(count > 0 ? 'ok' : 'warn', 'Source path', `${sourcePath} (${count} files)`);
+  }
+
+  if (fileCount > 0) {
+    await server.buildIndex();
+    const componentCount = Object.keys(server.sources).length;
+    report(
+      componentCount > 0 ? 'ok' : 'error',
+      'Component index',
+      `${componentCount} components in ${fileCount} files`,
+    );
+  } else {
+    report('error', 'Component index', 'No .js/.jsx/.ts/.tsx files found; check --source-path');
+  }
+
+  const editor = server.editor || getEditorCommand();
+  const editorTemplate = getEditorTemplate(server.editorTemplate);
+  const isCommandAvailable = (cmd) => (path.isAbsolute(cmd) ? fs.existsSync(cmd) : isOnPath(cmd));
+
+  if (server.editorUrl) {
+    const remote = server.editorRemote ? ` on ${server.editorRemote}` : '';
+    report('ok', 'Editor', `The browser opens ${server.editorUrl}:// URLs${remote}`);
+  } else if (editorTemplate) {
+    let templateCommand = null;
+    try {
+      [templateCommand] = splitCommandTemplate(editorTemplate);
+    } catch (error) {
+      report('error', 'Editor', `${error.message}; check XRAY_REACT_EDITOR_TEMPLATE`);
+    }
+    if (templateCommand && isCommandAvailable(templateCommand)) {
+      report('ok', 'Editor', editorTemplate);
+    } else if (templateCommand) {
+      report(
+        'error',
+        'Editor',
+        `"${templateCommand}" was not found; check XRAY_REACT_EDITOR_TEMPLATE or --editor-template`,
+      );
+    }
+  } else if (FALLBACK_OPENERS.includes(editor)) {
+    report(
+      'warn',
+      'Editor',
+      `No editor detected, falling back to "${editor}" (line and column are ignored); set XRAY_REACT_EDITOR or --editor`,
+    );
+  } else if (isCommandAvailable(editor)) {
+    report('ok', 'Editor', editor);
+  } else {
+    report('error', 'Editor', `"${editor}" was not found; check XRAY_REACT_EDITOR or --editor`);
+  }
+
+  if (server.pathMappings.length > 0) {
+    const mappings = server.pathMappings.map(({ from, to }) => `${from} -> ${to}`);
+    report('ok', 'Path mappings', mappings.join(', '));
+  } else if ((process.env.XRAY_REACT_PATH_MAPPINGS || server.config.pathMappings) === 'auto') {
+    report('warn', 'Path mappings', 'Nothing detected; set them explicitly (from=to)');
+  }
+
+  const port = server.port;
+  const host = process.env.XRAY_REACT_HOST || '127.0.0.1';
+  if (await isPortAvailable(port, host)) {
+    report('ok', 'Port', `${host}:${port} is free`);
+  } else {
+    report(
+      'warn',
+      'Port',
+      `${port} is in use; pages connect to whatever listens there (another xray-react server?)`,
+    );
+  }
+
+  UI_BUNDLES.forEach((bundle) => {
+    const bundlePath = path.join(PACKAGE_ROOT, 'build', bundle);
+    if (fs.existsSync(bundlePath)) {
+      report('ok', 'UI bundle', bundlePath);
+    } else {
+      report('error', 'UI bundle', `${bundlePath} is missing; run "npm run build" in xray-react`);
+    }
+  });
+
+  // Bundler plugins serve the bundles from the project's own node_modules
+  const installedBuild = path.join(projectRoot, 'node_modules', 'xray-react', 'build');
+  if (fs.existsSync(installedBuild)) {
+    report('ok', 'Installed package', installedBuild);
+  } else {
+    report(
+      'warn',
+      'Installed package',
+      `${installedBuild} not found; the Webpack/Vite plugins inject the UI from there`,
+    );
+  }
+
+  const symbols = { ok: '✓', warn: '!', error: '✗' };
+  results.forEach(({ status, label, detail }) => {
+    console.log(`${symbols[status]} ${label}: ${detail}`);
+  });
+
+  return results.some((result) => result.status === 'error') ? 1 : 0;
+}
+
+/**
+ * Runs the xray-react command-line interface
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+    const [command, ...rest] = positionals;
+
+    if (values.version) {
+      console.log(getVersion());
+      return 0;
+    }
+    if (values.help || !command || command === 'help') {
+      console.log(HELP);
+      return command || values.help ? 0 : 1;
+    }
+
+    applyEnvFlags(values);
+
+    switch (command) {
+      case 'serve':
+        return await serve(values);
+      case 'index':
+        return await printIndex(values);
+      case 'which':
+        return await which(rest[0], values);
+      case 'doctor':
+        return await doctor(values);
+      default:
+        throw new CliError(`Unknown command "${command}". Run "xray-react --help" for usage.`);
+    }
+  } catch (error) {
+    if (
+      error instanceof CliError ||
+      error instanceof ConfigError ||
+      error.code?.startsWith('ERR_PARSE_ARGS')
+    ) {
+      console.error(`xray-react: ${error.message}`);
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      return 1;
+    }
+    throw error;
+  }
+}
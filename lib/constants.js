@@ -9,6 +9,47 @@ export const UI_MODE_FULL = 'full';
 export const UI_MODE_SIMPLE = 'simple';
 export const AVAILABLE_UI_MODES = [UI_MODE_FULL, UI_MODE_SIMPLE];
 
+// Editor URL schemes the browser can open files with instead of the server launching an editor
+export const EDITOR_URL_SCHEMES = ['vscode', 'cursor', 'idea', 'jetbrains', 'subl'];
+
+// Statuses of the `xray-react-component` acknowledgement
+export const OPEN_STATUS_OPENED = 'opened';
+export const OPEN_STATUS_NOT_FOUND = 'not-found';
+export const OPEN_STATUS_AMBIGUOUS = 'ambiguous';
+export const OPEN_STATUS_FAILED = 'failed';
+
+// How the client talks to the server: its own Socket.IO port, the WebSocket of Vite's dev
+// server, or an event stream mounted on webpack-dev-server. Events on the dev servers are
+// prefixed; acknowledgements come back as separate events (Vite) or responses (event stream).
+export const TRANSPORT_SOCKET_IO = 'socket.io';
+export const TRANSPORT_VITE = 'vite';
+export const TRANSPORT_DEV_SERVER = 'dev-server';
+export const AVAILABLE_TRANSPORTS = [TRANSPORT_SOCKET_IO, TRANSPORT_VITE, TRANSPORT_DEV_SERVER];
+export const HOT_EVENT_PREFIX = 'xray-react:';
+export const HOT_CONNECT_EVENT = `${HOT_EVENT_PREFIX}connect`;
+export const HOT_ACK_EVENT = `${HOT_EVENT_PREFIX}ack`;
+// Routes of the event stream transport: GET `${path}/events`, POST `${path}/events/<event>`
+export const EVENT_STREAM_PATH = '/__xray-react';
+export const EVENT_STREAM_TOKEN_HEADER = 'x-xray-react-token';
+
+// Storybook story files (CSF)
+export const STORY_FILE_PATTERN = /\.stories\.(ts|js|tsx|jsx|mjs)$/i;
+
+// Attributes stamped on host JSX elements by the build-time source transform
+export const XRAY_SOURCE_ATTR = 'data-xray-source';
+export const XRAY_COMPONENT_ATTR = 'data-xray-component';
+
+// Directories never scanned or watched (mirrors EXTERNAL_PATTERNS in src/ui-utils.js)
+export const IGNORED_DIRS = [
+  'node_modules',
+  '.next',
+  'dist',
+  'build',
+  '.git',
+  '.cache',
+  'coverage',
+];
+
 export const EXCLUDED_FILE_PATTERNS = [
   /\.styles\.(ts|js|tsx|jsx)$/i,
   /\.style\.(ts|js|tsx|jsx)$/i,
@@ -1,7 +1,9 @@
-import { exec } from 'child_process';
+import { spawn } from 'child_process';
 import { platform } from 'process';
 import fs from 'fs';
 import os from 'os';
+import path from 'path';
+import { toEditorPath } from './path-mappings.js';
 
 /**
  * Finds the full path to a command by checking common locations
@@ -74,41 +76,342 @@ export function getEditorCommand() {
   }
 }
 
+/**
+ * Builds the editor arguments that open a file at a given position
+ * Each editor has its own syntax for jumping to a line and column
+ * @param {string} cmd - Editor command or full path to it
+ * @param {string} filepath - Path to the file to open
+ * @param {Object} location - Optional position in the file
+ * @param {number} location.line - 1-based line number
+ * @param {number} location.column - 1-based column number
+ * @returns {Array<string>} Arguments to pass to the editor
+ */
+export function getEditorArgs(cmd, filepath, { line, column } = {}) {
+  if (!line) {
+    return [filepath];
+  }
+
+  const editor = path
+    .basename(cmd)
+    .toLowerCase()
+    .replace(/\.(exe|cmd|bat)$/, '');
+  const col = column || 1;
+
+  if (['code', 'code-insiders', 'codium', 'cursor', 'windsurf'].includes(editor)) {
+    return ['-g', `${filepath}:${line}:${col}`];
+  }
+
+  if (['subl', 'sublime_text'].includes(editor)) {
+    return [`${filepath}:${line}:${col}`];
+  }
+
+  if (['webstorm', 'idea', 'phpstorm', 'pycharm', 'rider', 'goland', 'clion'].includes(editor)) {
+    return ['--line', String(line), '--column', String(col), filepath];
+  }
+
+  if (['vi', 'vim', 'nvim', 'gvim', 'mvim'].includes(editor)) {
+    return [`+${line}`, filepath];
+  }
+
+  if (editor === 'mate') {
+    return ['-l', `${line}:${col}`, filepath];
+  }
+
+  return [filepath];
+}
+
+/**
+ * Checks if a file is inside one of the allowed root directories
+ * Symlinks are resolved so a link inside the project cannot point outside of it
+ * @param {string} filepath - Path to check
+ * @param {string|Array<string>} roots - Allowed root directories
+ * @returns {boolean} True if the file is inside a root
+ */
+export function isPathInsideRoots(filepath, roots) {
+  const realPath = (target) => {
+    try {
+      return fs.realpathSync(target);
+    } catch {
+      return path.resolve(target);
+    }
+  };
+
+  const resolvedFile = realPath(filepath);
+  return [].concat(roots || []).some((root) => {
+    const relative = path.relative(realPath(root), resolvedFile);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  });
+}
+
+/**
+ * Named editor command templates, usable as XRAY_REACT_EDITOR_TEMPLATE / editorTemplate values
+ */
+export const EDITOR_TEMPLATE_PRESETS = {
+  code: 'code -g {file}:{line}:{column}',
+  cursor: 'cursor -g {file}:{line}:{column}',
+  subl: 'subl {file}:{line}:{column}',
+  zed: 'zed {file}:{line}:{column}',
+  idea: 'idea --line {line} --column {column} {file}',
+  webstorm: 'webstorm --line {line} --column {column} {file}',
+  // Neovim started with `nvim --listen /tmp/nvim.sock`; the path is passed as a Vim string and
+  // escaped with fnameescape(), so it cannot end the :edit command or chain another one
+  nvim: "nvim --server /tmp/nvim.sock --remote-expr \"execute(['edit ' .. fnameescape({file:vim}), 'call cursor({line}, {column})'])\"",
+  // Helix running in the active tmux pane
+  'helix-tmux': 'tmux send-keys Escape ":open {file}:{line}:{column}" Enter',
+  emacs: 'emacsclient -n +{line}:{column} {file}',
+};
+
+/**
+ * Gets the configured editor command template, resolving preset names
+ * @param {string} template - Template or preset name (default: XRAY_REACT_EDITOR_TEMPLATE)
+ * @returns {string|null} Template or null if none is configured
+ */
+export function getEditorTemplate(template = null) {
+  const value = template || process.env.XRAY_REACT_EDITOR_TEMPLATE;
+  if (!value) return null;
+  return Object.hasOwn(EDITOR_TEMPLATE_PRESETS, value) ? EDITOR_TEMPLATE_PRESETS[value] : value;
+}
+
+/**
+ * Splits a command template into arguments, following shell quoting rules:
+ * whitespace separates arguments, '...' is literal, "..." and \ escape the next character
+ * Placeholders are substituted after splitting, so values never become extra arguments
+ * @param {string} template - Command template
+ * @returns {Array<string>} Arguments (the first one is the command)
+ * @throws {Error} If a quote is not closed or the template is empty
+ */
+export function splitCommandTemplate(template) {
+  const args = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else current += char;
+    } else if (char === '\\' && (quote === null || /["\\$`]/.test(template[i + 1] || ''))) {
+      current = (current || '') + (template[i + 1] || '');
+      i++;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current = current || '';
+    } else if (/\s/.test(char)) {
+      if (current !== null) args.push(current);
+      current = null;
+    } else {
+      current = (current || '') + char;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} in editor template: ${template}`);
+  }
+  if (current !== null) args.push(current);
+  if (args.length === 0) {
+    throw new Error('Editor template is empty');
+  }
+
+  return args;
+}
+
+/**
+ * Quotes a value as a Vim single-quoted string literal, in which only `'` is special
+ * @param {string} value - Value
+ * @returns {string} Vim string literal
+ */
+function toVimString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Renders a command template for a file
+ * Supported placeholders: {file}, {relativeFile}, {line}, {column}, {projectRoot}; a `:vim`
+ * suffix ({file:vim}) renders the value as a Vim string literal for --remote-expr commands
+ * @param {string} template - Command template
+ * @param {string} filepath - Path to the file to open
+ * @param {Object} location - Optional position in the file ({ line, column }, default: 1)
+ * @param {string} projectRoot - Project root for {relativeFile} and {projectRoot}
+ * @returns {Array<string>} Arguments (the first one is the command)
+ */
+export function renderEditorTemplate(template, filepath, location = {}, projectRoot = null) {
+  const root = projectRoot || process.cwd();
+  const values = {
+    file: filepath,
+    relativeFile: path.relative(root, filepath) || path.basename(filepath),
+    line: String((location && location.line) || 1),
+    column: String((location && location.column) || 1),
+    projectRoot: root,
+  };
+
+  return splitCommandTemplate(template).map((arg) =>
+    arg.replace(/\{(file|relativeFile|line|column|projectRoot)(:vim)?\}/g, (match, name, vim) =>
+      vim ? toVimString(values[name]) : values[name],
+    ),
+  );
+}
+
+// Characters cmd.exe interprets, escaped with ^ (quotes too, so cmd never enters quote mode)
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Finds the file a Windows command runs, trying the PATHEXT extensions in each PATH directory
+ * @param {string} command - Command or full path to it
+ * @returns {string} Full path, or the command itself if not found
+ */
+function resolveWindowsCommand(command) {
+  if (path.extname(command)) return command;
+
+  const extensions = (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+  const dirs = path.isAbsolute(command) ? [''] : (process.env.PATH || '').split(';');
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, `${command}${ext}`);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return command;
+}
+
+/**
+ * Escapes an argument for a cmd.exe command line
+ * The argument is quoted for the program's own parsing, then every cmd metacharacter is escaped.
+ * Batch files parse their arguments a second time, so they are escaped twice.
+ * @param {string} arg - Argument
+ * @param {boolean} isBatchFile - Whether cmd.exe runs a batch file with the argument
+ * @returns {string} Escaped argument
+ */
+export function escapeCmdArgument(arg, isBatchFile = false) {
+  const quoted = `"${String(arg)
+    .replace(/(\\*)"/g, '$1$1\\"')
+    .replace(/(\\*)$/, '$1$1')}"`;
+  const escaped = quoted.replace(CMD_META_CHARS, '^$1');
+  return isBatchFile ? escaped.replace(CMD_META_CHARS, '^$1') : escaped;
+}
+
+/**
+ * Wraps a command for spawning without a shell
+ * Windows batch shims such as code.cmd cannot be spawned directly and run through cmd.exe,
+ * with every argument escaped so file names and positions are never interpreted
+ * @param {string} command - Command or full path to it
+ * @param {Array<string>} args - Arguments
+ * @param {string} targetPlatform - Platform to build the process for (default: the current one)
+ * @returns {{command: string, args: Array<string>}} Process to spawn
+ */
+export function getSpawnCommand(command, args, targetPlatform = platform) {
+  if (targetPlatform !== 'win32') {
+    return { command: command, args: args };
+  }
+
+  const resolved = resolveWindowsCommand(command);
+  if (/\.(exe|com)$/i.test(resolved)) {
+    return { command: resolved, args: args };
+  }
+
+  const commandLine = [
+    resolved.replace(CMD_META_CHARS, '^$1'),
+    ...args.map((arg) => escapeCmdArgument(arg, true)),
+  ].join(' ');
+  return { command: 'cmd.exe', args: ['/d', '/s', '/c', `"${commandLine}"`] };
+}
+
+/**
+ * Builds the process to spawn for opening a file: the command and its argument array
+ * No shell is involved, so paths are never interpreted
+ * @param {string} cmd - Editor command or full path to it
+ * @param {string} filepath - Path to the file to open
+ * @param {Object} location - Optional position in the file ({ line, column })
+ * @returns {{command: string, args: Array<string>}} Process to spawn
+ */
+export function getOpenCommand(cmd, filepath, location = {}) {
+  if (cmd === 'open' && platform === 'darwin') {
+    return { command: 'open', args: [filepath] };
+  }
+  if (cmd === 'start' && platform === 'win32') {
+    return {
+      command: 'cmd.exe',
+      args: ['/d', '/s', '/c', `"start "" ${escapeCmdArgument(filepath)}"`],
+    };
+  }
+
+  return getSpawnCommand(cmd, getEditorArgs(cmd, filepath, location || {}));
+}
+
 /**
  * Opens a file in the user's preferred editor
+ * Uses the editor command template when one is configured, the editor command otherwise
  * @param {string} filepath - Path to the file to open
+ * @param {Object} location - Optional position to open the file at ({ line, column })
  * @param {string} editorCmd - Optional editor command (defaults to detected editor)
+ * @param {Object} options - Open options
+ * @param {string|Array<string>} options.allowedRoots - Directories the file must be inside of
+ *   (e.g., the project root); files elsewhere are refused
+ * @param {string} options.template - Editor command template or preset name
+ *   (default: XRAY_REACT_EDITOR_TEMPLATE)
+ * @param {string} options.projectRoot - Project root for template placeholders
+ * @param {Array<Object>} options.pathMappings - Server -> editor path mappings applied to the
+ *   file and project root passed to the editor (see path-mappings.js)
+ * @returns {boolean} True if the editor was launched
  */
-export function openFile(filepath, editorCmd = null) {
-  const cmd = editorCmd || getEditorCommand();
+export function openFile(filepath, location = {}, editorCmd = null, options = {}) {
+  const { allowedRoots = null, template = null, projectRoot = null, pathMappings = [] } = options;
+
+  if (allowedRoots && !isPathInsideRoots(filepath, allowedRoots)) {
+    console.warn(`xray-react: Refusing to open ${filepath}: outside of the project root`);
+    return false;
+  }
+  // Windows file names cannot contain quotes; refuse instead of escaping for cmd.exe
+  if (platform === 'win32' && filepath.includes('"')) {
+    console.warn(`xray-react: Refusing to open ${filepath}: invalid file name`);
+    return false;
+  }
 
+  // Root checks use server paths; the editor gets the paths it can open
+  const editorPath = toEditorPath(filepath, pathMappings);
+  const editorRoot = projectRoot && toEditorPath(projectRoot, pathMappings);
+  const editorTemplate = getEditorTemplate(template);
   let command;
-  if (cmd === 'open' && platform === 'darwin') {
-    command = `open "${filepath}"`;
-  } else if (cmd === 'start' && platform === 'win32') {
-    command = `start "" "${filepath}"`;
-  } else if (
-    cmd.includes('code') ||
-    cmd.includes('cursor') ||
-    cmd.includes('webstorm') ||
-    cmd.includes('subl')
-  ) {
-    command = `"${cmd}" "${filepath}"`;
+  let args;
+
+  if (editorTemplate) {
+    try {
+      const [templateCommand, ...templateArgs] = renderEditorTemplate(
+        editorTemplate,
+        editorPath,
+        location,
+        editorRoot,
+      );
+      ({ command, args } = getSpawnCommand(templateCommand, templateArgs));
+    } catch (error) {
+      console.error(`xray-react: ${error.message}`);
+      return false;
+    }
   } else {
-    command = `"${cmd}" "${filepath}"`;
+    ({ command, args } = getOpenCommand(editorCmd || getEditorCommand(), editorPath, location));
   }
 
-  const shell = platform === 'win32' ? 'cmd.exe' : '/bin/bash';
   const env = {
     ...process.env,
     PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin:/opt/homebrew/bin',
   };
 
-  exec(command, { shell: shell, env: env }, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`xray-react: Failed to open file in editor: ${error.message}`);
-      console.error(`xray-react: Command: ${command}`);
-      if (stderr) console.error(`xray-react: Stderr: ${stderr}`);
-    }
+  const child = spawn(command, args, {
+    env: env,
+    detached: true,
+    stdio: 'ignore',
+    windowsHide: true,
+    windowsVerbatimArguments: command === 'cmd.exe',
   });
+
+  child.on('error', (error) => {
+    console.error(`xray-react: Failed to open file in editor: ${error.message}`);
+    console.error(`xray-react: Command: ${command} ${args.join(' ')}`);
+  });
+  child.unref();
+
+  return true;
 }
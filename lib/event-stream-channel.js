@@ -0,0 +1,177 @@
+import { randomUUID } from 'crypto';
+import {
+  HOT_EVENT_PREFIX,
+  HOT_CONNECT_EVENT,
+  EVENT_STREAM_PATH,
+  EVENT_STREAM_TOKEN_HEADER,
+} from './constants.js';
+
+// Comment lines keep idle streams open through proxies
+const KEEP_ALIVE_INTERVAL = 30000;
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Writes an event to an event stream response
+ * @param {Object} res - HTTP response of the stream
+ * @param {string} event - Event name
+ * @param {*} data - Event data (JSON)
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`);
+}
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a JSON request body, unless a body parser already did
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object|null>} Parsed body or null if it is not valid JSON
+ */
+function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object') {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        req.destroy();
+        resolve(null);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        resolve(null);
+      }
+    });
+    req.on('error', () => resolve(null));
+  });
+}
+
+/**
+ * Serves xray-react clients from a dev server's middleware stack (webpack-dev-server's
+ * `setupMiddlewares`), on the origin and port of the app
+ * Each page opens a Server-Sent Events stream (`GET /__xray-react/events`) for the events the
+ * server pushes and POSTs its own events to `/__xray-react/events/<event>`; acknowledgements are
+ * the responses. Pages get sockets with the `emit`/`on` methods of a Socket.IO socket.
+ * @param {Object} options - Channel options
+ * @param {Function} options.isAllowedRequest - Checks the origin of the events a page POSTs
+ * @param {Function} options.isAuthorized - Checks the token a request carries
+ * @param {Function} options.onConnection - Called with the socket of each connected page
+ * @returns {Object} Channel: `middleware(req, res, next)`, `emit(event, data)` to all pages, `close()`
+ */
+export function createEventStreamChannel({ isAllowedRequest, isAuthorized, onConnection }) {
+  const clients = new Map(); // client id -> { res, handlers }
+  const eventsPath = `${EVENT_STREAM_PATH}/events`;
+
+  const keepAlive = setInterval(() => {
+    clients.forEach(({ res }) => res.write(': keep-alive\n\n'));
+  }, KEEP_ALIVE_INTERVAL);
+  keepAlive.unref();
+
+  const openStream = (req, res) => {
+    const id = randomUUID();
+    const handlers = new Map();
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keeps reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    clients.set(id, { res, handlers });
+    req.on('close', () => clients.delete(id));
+
+    // The page sends its id with the events it POSTs
+    writeEvent(res, HOT_CONNECT_EVENT, { id });
+    onConnection({
+      emit: (event, data) => writeEvent(res, `${HOT_EVENT_PREFIX}${event}`, data),
+      on: (event, handler) => handlers.set(event, handler),
+    });
+  };
+
+  const handleEvent = async (req, res, event) => {
+    const message = await readJsonBody(req);
+    const handler = clients.get(message?.client)?.handlers.get(event);
+    if (!handler) {
+      sendJson(res, 404, { error: 'Unknown client or event' });
+      return;
+    }
+
+    // Handlers acknowledge synchronously; events without acknowledgement get a null result
+    let isAcknowledged = false;
+    handler(message.payload, (result) => {
+      isAcknowledged = true;
+      sendJson(res, 200, { result });
+    });
+    if (!isAcknowledged) {
+      sendJson(res, 200, { result: null });
+    }
+  };
+
+  return {
+    middleware: (req, res, next) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== eventsPath && !url.pathname.startsWith(`${eventsPath}/`)) {
+        next();
+        return;
+      }
+
+      // Pages POST with fetch, which always sends an Origin header, unlike the same-origin stream
+      if (req.method === 'POST' && !isAllowedRequest(req)) {
+        console.warn(`xray-react: Rejected an event from origin ${req.headers.origin}`);
+        sendJson(res, 403, { error: 'Origin not allowed' });
+        return;
+      }
+
+      // EventSource cannot send headers, so the stream passes the token in the query string
+      const token =
+        req.method === 'GET'
+          ? url.searchParams.get('token')
+          : req.headers[EVENT_STREAM_TOKEN_HEADER];
+      if (!isAuthorized(token)) {
+        console.warn('xray-react: Rejected a page with an invalid session token');
+        sendJson(res, 403, { error: 'Invalid session token' });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === eventsPath) {
+        openStream(req, res);
+      } else if (req.method === 'POST' && url.pathname !== eventsPath) {
+        const event = decodeURIComponent(url.pathname.slice(eventsPath.length + 1));
+        handleEvent(req, res, event).catch((error) => {
+          console.error(`xray-react: Failed to handle ${event}`, error);
+          if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+          }
+        });
+      } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+      }
+    },
+
+    emit: (event, data) => {
+      clients.forEach(({ res }) => writeEvent(res, `${HOT_EVENT_PREFIX}${event}`, data));
+    },
+
+    close: () => {
+      clearInterval(keepAlive);
+      clients.forEach(({ res }) => res.end());
+      clients.clear();
+    },
+  };
+}
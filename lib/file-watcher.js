@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { IGNORED_DIRS } from './constants.js';
+
+const DEFAULT_DEBOUNCE_MS = 100;
+const IGNORED_DIR_PATTERN = new RegExp(
+  `(^|[/\\\\])(${IGNORED_DIRS.map((dir) => dir.replace(/\./g, '\\.')).join('|')})([/\\\\]|$)`,
+);
+
+/**
+ * Watches source directories and reports changed paths in batches
+ * Uses recursive fs.watch; events for the same path within the debounce window are merged
+ * @param {Array<string>} sourcePaths - Directories to watch
+ * @param {Function} onChange - Called with an array of absolute paths (files or directories)
+ *   that were changed, added or deleted; may return a promise
+ * @param {Object} options - Watcher options
+ * @param {number} options.debounce - Debounce window in milliseconds (default: 100)
+ * @returns {{close: Function}} Watcher handle
+ */
+export function watchSourcePaths(sourcePaths, onChange, options = {}) {
+  const debounce = options.debounce ?? DEFAULT_DEBOUNCE_MS;
+  const pending = new Set();
+  const watchers = [];
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changedPaths = [...pending];
+    pending.clear();
+
+    Promise.resolve()
+      .then(() => onChange(changedPaths))
+      .catch((error) => {
+        console.error('xray-react: Error while re-indexing changed files', error);
+      });
+  };
+
+  sourcePaths.forEach((sourcePath) => {
+    if (!fs.existsSync(sourcePath)) return;
+
+    try {
+      const watcher = fs.watch(sourcePath, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+
+        const relativePath = filename.toString();
+        if (IGNORED_DIR_PATTERN.test(relativePath)) return;
+
+        pending.add(path.join(sourcePath, relativePath));
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, debounce);
+      });
+
+      watcher.on('error', (error) => {
+        console.warn(`xray-react: Stopped watching ${sourcePath}`, error.message);
+      });
+      watchers.push(watcher);
+    } catch (error) {
+      console.warn(`xray-react: Unable to watch ${sourcePath}`, error.message);
+    }
+  });
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pending.clear();
+      watchers.forEach((watcher) => watcher.close());
+      watchers.length = 0;
+    },
+  };
+}
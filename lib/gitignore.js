@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { IGNORED_DIRS } from './constants.js';
+import { globToRegExp } from './source-filter.js';
+
+/**
+ * Parses the patterns of a .gitignore file
+ * @param {string} content - File content
+ * @returns {Array<Object>} Rules ({ regex, negate, directoryOnly }), in file order
+ */
+export function parseGitignore(content) {
+  return content.split(/\r?\n/).flatMap((line) => {
+    // Trailing spaces are ignored unless escaped
+    let pattern = line.replace(/(?<!\\)\s+$/, '').replace(/\\ /g, ' ');
+    if (!pattern || pattern.startsWith('#')) return [];
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\(?=[#!])/, '');
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return [];
+
+    // A slash at the start or in the middle anchors the pattern to the .gitignore directory,
+    // otherwise it matches at any depth
+    const isAnchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    return [{ regex: globToRegExp(isAnchored ? pattern : `**/${pattern}`), negate, directoryOnly }];
+  });
+}
+
+/**
+ * Finds the root of the git repository a directory belongs to
+ * @param {string} dir - Directory
+ * @returns {string|null} Repository root or null outside a repository
+ */
+function findRepositoryRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Creates a matcher for paths that must not be indexed below a directory: directories from
+ * IGNORED_DIRS and paths ignored by .gitignore files (those of the repository above the
+ * directory, nested ones and .git/info/exclude). A path inside an ignored directory is ignored.
+ * .gitignore files are read once per matcher; create a new matcher after they change.
+ * @param {string} baseDir - Directory being scanned or watched
+ * @returns {{isIgnored: Function}} Ignore matcher
+ */
+export function createIgnoreMatcher(baseDir) {
+  const root = path.resolve(baseDir);
+  const repositoryRoot = findRepositoryRoot(root);
+  const rulesByDir = new Map();
+  const ignoredDirs = new Map();
+
+  const readRules = (filePath) => {
+    try {
+      return parseGitignore(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return [];
+    }
+  };
+
+  const getRules = (dir) => {
+    if (!rulesByDir.has(dir)) {
+      const rules = readRules(path.join(dir, '.gitignore'));
+      if (dir === repositoryRoot) {
+        rules.unshift(...readRules(path.join(dir, '.git', 'info', 'exclude')));
+      }
+      rulesByDir.set(dir, rules);
+    }
+    return rulesByDir.get(dir);
+  };
+
+  // .gitignore files that apply to an entry, outermost first
+  const getRuleDirs = (entryPath) => {
+    const top = repositoryRoot || root;
+    const dirs = [];
+    for (let dir = path.dirname(entryPath); ; dir = path.dirname(dir)) {
+      dirs.unshift(dir);
+      if (dir === top || path.dirname(dir) === dir) break;
+    }
+    return dirs;
+  };
+
+  const isEntryIgnored = (entryPath, isDirectory) => {
+    if (isDirectory && IGNORED_DIRS.includes(path.basename(entryPath))) return true;
+
+    // Deeper files and later lines take precedence
+    let ignored = false;
+    getRuleDirs(entryPath).forEach((dir) => {
+      const relativePath = path.relative(dir, entryPath).split(path.sep).join('/');
+      getRules(dir).forEach((rule) => {
+        if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+          ignored = !rule.negate;
+        }
+      });
+    });
+    return ignored;
+  };
+
+  const isDirIgnored = (dir) => {
+    if (!ignoredDirs.has(dir)) {
+      ignoredDirs.set(dir, isEntryIgnored(dir, true));
+    }
+    return ignoredDirs.get(dir);
+  };
+
+  return {
+    /**
+     * Checks if a path below the base directory is ignored
+     * @param {string} filePath - Absolute path
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @returns {boolean} True if the path or one of its parent directories is ignored
+     */
+    isIgnored(filePath, isDirectory = false) {
+      const relativePath = path.relative(root, filePath);
+      if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return false;
+      }
+
+      const segments = relativePath.split(path.sep);
+      let dir = root;
+      for (const segment of segments.slice(0, -1)) {
+        dir = path.join(dir, segment);
+        if (isDirIgnored(dir)) return true;
+      }
+
+      const entryPath = path.join(dir, segments[segments.length - 1]);
+      return isDirectory ? isDirIgnored(entryPath) : isEntryIgnored(entryPath, false);
+    },
+  };
+}
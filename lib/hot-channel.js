@@ -0,0 +1,52 @@
+import { HOT_EVENT_PREFIX, HOT_CONNECT_EVENT, HOT_ACK_EVENT } from './constants.js';
+
+/**
+ * Serves xray-react clients over a dev server's WebSocket (Vite's `server.ws`)
+ * Each page announces itself with HOT_CONNECT_EVENT and gets a socket with the `emit`/`on`
+ * methods of a Socket.IO socket, so the server handles both transports the same way.
+ * Vite checks the origin of these connections itself.
+ * @param {Object} ws - Vite WebSocket server (`on(event, (data, client) => {})`, `send(event, data)`)
+ * @param {Object} options - Channel options
+ * @param {Function} options.isAuthorized - Checks the token a page connects with
+ * @param {Function} options.onConnection - Called with the socket of each connected page
+ * @returns {Object} Channel that broadcasts to all pages (`emit(event, data)`)
+ */
+export function createHotChannel(ws, { isAuthorized, onConnection }) {
+  const clientHandlers = new WeakMap(); // Vite client -> Map of event -> handler
+  const listenedEvents = new Set();
+
+  // One WebSocket listener per event, dispatched to the handler of the page that sent it
+  const listen = (event) => {
+    if (listenedEvents.has(event)) return;
+    listenedEvents.add(event);
+
+    ws.on(`${HOT_EVENT_PREFIX}${event}`, (message, client) => {
+      const handler = clientHandlers.get(client)?.get(event);
+      if (!handler) return;
+
+      const ack = message?.id
+        ? (result) => client.send(HOT_ACK_EVENT, { id: message.id, result })
+        : undefined;
+      handler(message?.payload, ack);
+    });
+  };
+
+  ws.on(HOT_CONNECT_EVENT, (message, client) => {
+    if (!isAuthorized(message?.token)) {
+      console.warn('xray-react: Rejected a page with an invalid session token');
+      return;
+    }
+
+    const handlers = new Map();
+    clientHandlers.set(client, handlers);
+    onConnection({
+      emit: (event, data) => client.send(`${HOT_EVENT_PREFIX}${event}`, data),
+      on: (event, handler) => {
+        handlers.set(event, handler);
+        listen(event);
+      },
+    });
+  });
+
+  return { emit: (event, data) => ws.send(`${HOT_EVENT_PREFIX}${event}`, data) };
+}
@@ -0,0 +1,71 @@
+import { getImportedName } from './source-utils.js';
+
+// Longest chain of barrel files followed for one import
+const MAX_REEXPORT_DEPTH = 20;
+
+/**
+ * Finds the file that declares an export, following barrel files
+ * (`export * from`, `export { Foo } from`, `export { default as Foo } from`)
+ * @param {string} filePath - Module the name is imported from
+ * @param {string} exportedName - Exported name ('default' for default exports)
+ * @param {Object} graph - Graph access
+ * @param {Object} graph.resolver - Module resolver (see module-resolver.js)
+ * @param {Function} graph.getRecord - Returns the file record of a file ({ declarations,
+ *   reexports }), or null if it cannot be read
+ * @param {Set<string>} seen - Modules already visited for this lookup
+ * @returns {string|null} Declaring file, or null if the module does not export the name
+ */
+export function findExportingFile(filePath, exportedName, graph, seen = new Set()) {
+  if (seen.has(filePath) || seen.size > MAX_REEXPORT_DEPTH) return null;
+  seen.add(filePath);
+
+  const record = graph.getRecord(filePath);
+  if (!record) return null;
+
+  const reexports = record.reexports || [];
+  const named = reexports.find(({ exported }) => exported === exportedName);
+  if (named) {
+    const target = graph.resolver.resolve(named.source, filePath);
+    if (!target) return null;
+    // `export * as Icons from './icons'` exports the module itself
+    return named.imported === '*' ? target : findExportingFile(target, named.imported, graph, seen);
+  }
+
+  if (exportedName === 'default' || record.declarations.some(({ name }) => name === exportedName)) {
+    return filePath;
+  }
+
+  // `export *` never re-exports the default export
+  for (const { source } of reexports.filter(({ exported }) => exported === '*')) {
+    const target = graph.resolver.resolve(source, filePath);
+    const file = target && findExportingFile(target, exportedName, graph, seen);
+    if (file) return file;
+  }
+  return null;
+}
+
+/**
+ * Resolves the imports of a file to the files declaring the imported components
+ * @param {string} filePath - Importing file
+ * @param {Array<Object>} specifiers - Import specifiers of the file ({ local, imported, source })
+ * @param {Object} graph - Graph access ({ resolver, getRecord }, see findExportingFile)
+ * @returns {Object} Imported name -> declaring file, or null for packages and unresolved modules
+ */
+export function resolveFileImports(filePath, specifiers, graph) {
+  const imports = {};
+
+  specifiers.forEach((specifier) => {
+    const name = getImportedName(specifier);
+    if (!name || imports[name]) return;
+
+    const modulePath = graph.resolver.resolve(specifier.source, filePath);
+    if (!modulePath || specifier.imported === '*') {
+      imports[name] = modulePath;
+      return;
+    }
+    // A module that does not seem to export the name is still the best guess
+    imports[name] = findExportingFile(modulePath, specifier.imported, graph) || modulePath;
+  });
+
+  return imports;
+}
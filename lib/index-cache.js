@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Bump when the shape of cached file records changes
+const INDEX_CACHE_FORMAT = 3;
+
+/**
+ * Reads the installed xray-react version
+ * @returns {string} Package version or 'unknown'
+ */
+function getPackageVersion() {
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.resolve(__dirname, '../package.json'), 'utf8'),
+    );
+    return packageJson.version || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Gets the path of the index cache file for a project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {string} Path to node_modules/.cache/xray-react/index.json
+ */
+export function getIndexCachePath(projectRoot) {
+  return path.join(projectRoot, 'node_modules', '.cache', 'xray-react', 'index.json');
+}
+
+/**
+ * Creates the key a cache is valid for
+ * Changes whenever the xray-react version, the cache format or the indexing config changes
+ * @param {Object} config - Indexing config (project root, source paths, ...)
+ * @returns {string} Cache key
+ */
+export function createIndexCacheKey(config) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ format: INDEX_CACHE_FORMAT, version: getPackageVersion(), config }))
+    .digest('hex');
+}
+
+/**
+ * Hashes file content to recognize unchanged files whose mtime changed (e.g., after git checkout)
+ * @param {string} content - File content
+ * @returns {string} Content hash
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Loads cached file records
+ * @param {string} cachePath - Path to the cache file
+ * @param {string} key - Expected cache key
+ * @returns {Map<string, Object>} File path -> record; empty when missing, corrupt or stale
+ */
+export function loadIndexCache(cachePath, key) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (cache.key !== key || !cache.files) {
+      return new Map();
+    }
+    return new Map(Object.entries(cache.files));
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Writes file records to the cache
+ * Failures are ignored: the cache only speeds up warm starts
+ * @param {string} cachePath - Path to the cache file
+ * @param {string} key - Cache key
+ * @param {Map<string, Object>} records - File path -> record
+ */
+export function saveIndexCache(cachePath, key, records) {
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ key, files: Object.fromEntries(records) }));
+    fs.renameSync(tempPath, cachePath);
+  } catch (error) {
+    console.warn(`xray-react: Unable to write index cache ${cachePath}`, error.message);
+  }
+}
@@ -0,0 +1,112 @@
+import path from 'path';
+import MagicString from 'magic-string';
+import { XRAY_SOURCE_ATTR, XRAY_COMPONENT_ATTR } from './constants.js';
+import { tokenize } from './source-tokenizer.js';
+import { collectComponentScopes } from './source-utils.js';
+
+/**
+ * Checks if a JSX tag name is a host (DOM) element
+ * @param {string} tagName - JSX tag name
+ * @returns {boolean} True for lowercase names like `div` or `my-element`
+ */
+export function isHostTagName(tagName) {
+  return /^[a-z][a-z0-9-]*$/.test(tagName || '');
+}
+
+/**
+ * Formats the value of the source attribute stamped on host elements
+ * @param {string} filePath - Absolute path of the source file
+ * @param {string} projectRoot - Project root the path is made relative to
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @returns {string} `relative/path.tsx:line:column`
+ */
+export function formatSourceAttribute(filePath, projectRoot, line, column) {
+  const relativePath = projectRoot ? path.relative(projectRoot, filePath) : filePath;
+  return `${relativePath.split(path.sep).join('/')}:${line}:${column}`;
+}
+
+/**
+ * Reads the JSX host elements of a token list (see findJsxHostElements)
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} Host elements
+ */
+function getHostElements(tokens) {
+  return tokens
+    .filter((token) => token.type === 'jsx' && isHostTagName(token.value))
+    .map((token) => ({
+      tagName: token.value,
+      start: token.start,
+      nameEnd: token.nameEnd,
+      hasSourceAttr: token.attributes.includes(XRAY_SOURCE_ATTR),
+    }));
+}
+
+/**
+ * Finds JSX host elements in a source file without a full parser
+ * Relies on the source tokenizer, which skips comments, strings, template literals, regular
+ * expressions and TypeScript generics such as `<T,>` and `Array<string>`
+ * @param {string} code - Source code
+ * @returns {Array<{tagName: string, start: number, nameEnd: number, hasSourceAttr: boolean}>}
+ *   Host elements with the offset of `<` and of the end of the tag name
+ */
+export function findJsxHostElements(code) {
+  return getHostElements(tokenize(code));
+}
+
+/**
+ * Stamps every JSX host element of a project file with its source location and the component
+ * declaration that encloses it: `<div data-xray-source="src/App.tsx:12:5" data-xray-component="App">`
+ * @param {string} code - Source code (before JSX is compiled)
+ * @param {Object} options - Transform options
+ * @param {string} options.filePath - Absolute path of the file
+ * @param {string} options.projectRoot - Project root source paths are made relative to
+ * @returns {{code: string, map: Object}|null} Transformed code with its source map, or null when
+ *   there is nothing to stamp
+ */
+export function transformJsxSource(code, { filePath, projectRoot }) {
+  if (!code || !code.includes('<')) {
+    return null;
+  }
+
+  const tokens = tokenize(code);
+  const elements = getHostElements(tokens).filter((element) => !element.hasSourceAttr);
+  if (elements.length === 0) {
+    return null;
+  }
+
+  const scopes = collectComponentScopes(tokens);
+  const lineStarts = [0];
+  for (let index = 0; index < code.length; index++) {
+    if (code.charCodeAt(index) === 10) lineStarts.push(index + 1);
+  }
+
+  const result = new MagicString(code);
+  let lineIndex = 0;
+
+  for (const element of elements) {
+    while (lineIndex + 1 < lineStarts.length && lineStarts[lineIndex + 1] <= element.start) {
+      lineIndex++;
+    }
+
+    const line = lineIndex + 1;
+    const column = element.start - lineStarts[lineIndex] + 1;
+    // Nested scopes start after the scopes around them, so the last match is the innermost
+    const owner = scopes.findLast(
+      (scope) => scope.start <= element.start && element.start < scope.end,
+    )?.name;
+
+    let attributes = ` ${XRAY_SOURCE_ATTR}="${formatSourceAttribute(filePath, projectRoot, line, column)}"`;
+    if (owner) {
+      attributes += ` ${XRAY_COMPONENT_ATTR}="${owner}"`;
+    }
+
+    result.appendLeft(element.nameEnd, attributes);
+  }
+
+  return {
+    code: result.toString(),
+    // Column mappings let devtools and error overlays point past the inserted attributes
+    map: result.generateMap({ source: filePath, includeContent: true, hires: true }),
+  };
+}
@@ -0,0 +1,28 @@
+import { transformJsxSource } from '../jsx-source-transform.js';
+
+/**
+ * Webpack loader that stamps JSX host elements with their source location
+ * Registered by XrayReactWebpackPlugin as a `pre` loader, so it sees the original source
+ * before babel-loader, swc-loader or ts-loader compile JSX away
+ * @param {string} source - Module source
+ * @param {Object} inputMap - Source map of a previous loader, kept when nothing is stamped
+ */
+export default function jsxSourceLoader(source, inputMap) {
+  const { projectRoot } = this.getOptions();
+
+  let transformed = null;
+  try {
+    transformed = transformJsxSource(source, {
+      filePath: this.resourcePath,
+      projectRoot: projectRoot || this.rootContext,
+    });
+  } catch (error) {
+    console.error(`xray-react: Failed to add source attributes to ${this.resourcePath}`, error);
+  }
+
+  if (!transformed) {
+    this.callback(null, source, inputMap);
+    return;
+  }
+  this.callback(null, transformed.code, transformed.map);
+}
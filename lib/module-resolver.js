@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { IGNORED_DIRS, REACT_FILE_EXTS } from './constants.js';
+import { findWorkspacePackage } from './workspaces.js';
+
+const TSCONFIG_FILE_NAMES = ['tsconfig.json', 'jsconfig.json'];
+const RESOLVE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.cjs', '.mts', '.cts'];
+// TypeScript sources imported with the extension of their output (`import './Button.js'`)
+const OUTPUT_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'] };
+// package.json entry points tried for workspace packages, before their index files
+const PACKAGE_ENTRY_FIELDS = ['source', 'exports', 'module', 'main'];
+
+/**
+ * Parses JSON with comments and trailing commas, as used by tsconfig.json and jsconfig.json
+ * @param {string} content - File content
+ * @returns {Object} Parsed value
+ * @throws {SyntaxError} If the content is not valid JSON after removing comments
+ */
+export function parseJsonc(content) {
+  let output = '';
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '"') {
+      // Copy strings as-is, they may contain `//` or `/*` (e.g., "@/*")
+      const start = i;
+      for (i++; i < content.length && content[i] !== '"'; i++) {
+        if (content[i] === '\\') i++;
+      }
+      output += content.slice(start, ++i);
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Finds a config file named in `extends`: a relative path or a package (e.g., @tsconfig/next)
+ * @param {string} specifier - `extends` value
+ * @param {string} configPath - Config file that extends it
+ * @returns {string|null} Path to the extended config or null if not found
+ */
+function resolveExtendedConfig(specifier, configPath) {
+  const dir = path.dirname(configPath);
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    const resolved = path.resolve(dir, specifier);
+    return [resolved, `${resolved}.json`].find((file) => fs.existsSync(file)) || null;
+  }
+
+  const require = createRequire(configPath);
+  for (const candidate of [specifier, `${specifier}.json`, `${specifier}/tsconfig.json`]) {
+    try {
+      return require.resolve(candidate);
+    } catch {
+      // Try the next form
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the module resolution options of a tsconfig.json/jsconfig.json, following `extends`
+ * @param {string} configPath - Config file
+ * @param {Set<string>} seen - Configs already read (guards against `extends` cycles)
+ * @returns {{baseUrl: string|null, paths: Object|null, pathsBase: string|null}} Options with
+ *   absolute baseUrl and the directory `paths` are relative to
+ */
+export function readCompilerPathOptions(configPath, seen = new Set()) {
+  const options = { baseUrl: null, paths: null, pathsBase: null };
+  if (seen.has(configPath)) return options;
+  seen.add(configPath);
+
+  let config;
+  try {
+    config = parseJsonc(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`xray-react: Unable to read ${configPath}: ${error.message}`);
+    return options;
+  }
+
+  // Later configs in `extends` arrays override earlier ones, the config itself overrides all
+  const extended = [].concat(config.extends || []);
+  extended.forEach((specifier) => {
+    const extendedPath = resolveExtendedConfig(specifier, configPath);
+    if (extendedPath) {
+      const base = readCompilerPathOptions(extendedPath, seen);
+      Object.keys(options).forEach((key) => {
+        if (base[key] !== null) options[key] = base[key];
+      });
+    }
+  });
+
+  const dir = path.dirname(configPath);
+  const compilerOptions = config.compilerOptions || {};
+  if (typeof compilerOptions.baseUrl === 'string') {
+    options.baseUrl = path.resolve(dir, compilerOptions.baseUrl);
+  }
+  if (compilerOptions.paths && typeof compilerOptions.paths === 'object') {
+    options.paths = compilerOptions.paths;
+    options.pathsBase = dir;
+  }
+  return options;
+}
+
+/**
+ * Normalizes bundler aliases to a list of { find, replacement, exact }
+ * Accepts Vite's `resolve.alias` ([{ find, replacement }] or { find: replacement }) and
+ * webpack's `resolve.alias` ({ name: path }, `name$` for exact matches, or
+ * [{ name, alias, onlyModule }])
+ * @param {Array<Object>|Object} aliases - Bundler aliases
+ * @returns {Array<Object>} Aliases; replacements are arrays, `false` entries are dropped
+ */
+export function normalizeAliases(aliases) {
+  if (!aliases) return [];
+
+  const entries = Array.isArray(aliases)
+    ? aliases.map((alias) =>
+        'find' in alias
+          ? { find: alias.find, replacement: alias.replacement, exact: false }
+          : { find: alias.name, replacement: alias.alias, exact: Boolean(alias.onlyModule) },
+      )
+    : Object.entries(aliases).map(([find, replacement]) => ({
+        find: find.endsWith('$') ? find.slice(0, -1) : find,
+        replacement,
+        exact: find.endsWith('$'),
+      }));
+
+  return entries
+    .filter(({ find, replacement }) => find && replacement)
+    .map((alias) => ({ ...alias, replacement: [].concat(alias.replacement) }))
+    .filter(({ replacement }) => replacement.every((target) => typeof target === 'string'));
+}
+
+/**
+ * Applies an alias to a specifier
+ * @param {string} specifier - Module specifier
+ * @param {Object} alias - Normalized alias
+ * @returns {Array<string>|null} Replaced specifiers or null if the alias does not apply
+ */
+function applyAlias(specifier, { find, replacement, exact }) {
+  if (find instanceof RegExp) {
+    return find.test(specifier)
+      ? replacement.map((target) => specifier.replace(find, target))
+      : null;
+  }
+  if (specifier === find) return replacement;
+  if (!exact && specifier.startsWith(`${find}/`)) {
+    return replacement.map((target) => `${target}${specifier.slice(find.length)}`);
+  }
+  return null;
+}
+
+/**
+ * Matches a specifier against tsconfig `paths` patterns; the longest prefix wins
+ * @param {string} specifier - Module specifier
+ * @param {Object} paths - `compilerOptions.paths`
+ * @returns {Array<string>} Substituted targets (relative to the paths base)
+ */
+function matchTsconfigPaths(specifier, paths) {
+  let best = null;
+
+  Object.entries(paths).forEach(([pattern, targets]) => {
+    if (!Array.isArray(targets)) return;
+
+    const starIndex = pattern.indexOf('*');
+    if (starIndex === -1) {
+      if (pattern === specifier) best = { prefixLength: Infinity, targets, wildcard: '' };
+      return;
+    }
+
+    const prefix = pattern.slice(0, starIndex);
+    const suffix = pattern.slice(starIndex + 1);
+    if (
+      specifier.length >= prefix.length + suffix.length &&
+      specifier.startsWith(prefix) &&
+      specifier.endsWith(suffix) &&
+      (!best || prefix.length > best.prefixLength)
+    ) {
+      const wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+      best = { prefixLength: prefix.length, targets, wildcard };
+    }
+  });
+
+  return best ? best.targets.map((target) => target.replace('*', best.wildcard)) : [];
+}
+
+/**
+ * Gets the entry file candidates of a workspace package (relative to its directory)
+ * Source entries come first; entries in build output directories (dist, build) come last
+ * @param {Object} packageJson - package.json of the package
+ * @returns {Array<string>} Entry candidates
+ */
+function getPackageEntries(packageJson) {
+  const entries = PACKAGE_ENTRY_FIELDS.map((field) => {
+    let entry = packageJson[field];
+    // `exports` may be a string, a conditions object or a subpath map with '.'
+    while (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      entry = entry['.'] ?? entry.source ?? entry.import ?? entry.default ?? null;
+    }
+    return typeof entry === 'string' ? entry : null;
+  }).filter(Boolean);
+
+  const isBuildOutput = (entry) =>
+    entry.split('/').some((segment) => IGNORED_DIRS.includes(segment));
+  return [
+    ...entries.filter((entry) => !isBuildOutput(entry)),
+    'src/index',
+    'index',
+    ...entries.filter(isBuildOutput),
+  ];
+}
+
+/**
+ * Creates a resolver from import specifiers to project files
+ * Resolves relative paths, bundler aliases, tsconfig.json/jsconfig.json `paths` and `baseUrl`
+ * (from the config nearest to the importing file), workspace packages, extensionless
+ * specifiers and index files. Packages outside the workspace resolve to null.
+ * Results are cached; call clear() after files were added or removed.
+ * @param {Object} options - Resolver options
+ * @param {Array<Object>|Object} options.aliases - Bundler aliases (see normalizeAliases)
+ * @param {Array<string>} options.extensions - Extra extensions to try (e.g., from the config)
+ * @param {Array<Object>} options.workspacePackages - Workspace packages ({ name, dir })
+ * @returns {{resolve: Function, clear: Function}} Module resolver
+ */
+export function createModuleResolver({ aliases = [], extensions = [], workspacePackages = [] }) {
+  const normalizedAliases = normalizeAliases(aliases);
+  const allExtensions = [...new Set([...RESOLVE_EXTENSIONS, ...REACT_FILE_EXTS, ...extensions])];
+  const pathOptionsByDir = new Map();
+  const resolved = new Map();
+
+  const isFile = (filePath) => fs.statSync(filePath, { throwIfNoEntry: false })?.isFile() ?? false;
+  const isDirectory = (filePath) =>
+    fs.statSync(filePath, { throwIfNoEntry: false })?.isDirectory() ?? false;
+
+  // Finds the file a path without (or with an output) extension refers to
+  const resolveFile = (basePath) => {
+    if (isFile(basePath)) return basePath;
+
+    const extension = path.extname(basePath);
+    for (const sourceExtension of OUTPUT_EXTENSIONS[extension] || []) {
+      const sourcePath = `${basePath.slice(0, -extension.length)}${sourceExtension}`;
+      if (isFile(sourcePath)) return sourcePath;
+    }
+
+    const withExtension = allExtensions.map((ext) => `${basePath}${ext}`).find(isFile);
+    if (withExtension) return withExtension;
+
+    if (isDirectory(basePath)) {
+      return allExtensions.map((ext) => path.join(basePath, `index${ext}`)).find(isFile) || null;
+    }
+    return null;
+  };
+
+  // tsconfig.json/jsconfig.json options of the nearest config above a directory
+  const getPathOptions = (dir) => {
+    if (!pathOptionsByDir.has(dir)) {
+      const configPath = TSCONFIG_FILE_NAMES.map((name) => path.join(dir, name)).find((file) =>
+        fs.existsSync(file),
+      );
+      const parent = path.dirname(dir);
+      let options = null;
+      if (configPath) {
+        options = readCompilerPathOptions(configPath);
+      } else if (parent !== dir && !fs.existsSync(path.join(dir, '.git'))) {
+        options = getPathOptions(parent);
+      }
+      pathOptionsByDir.set(dir, options);
+    }
+    return pathOptionsByDir.get(dir);
+  };
+
+  const resolveWorkspacePackage = (specifier) => {
+    const workspacePackage = workspacePackages.find(
+      ({ name }) => specifier === name || specifier.startsWith(`${name}/`),
+    );
+    if (!workspacePackage) return null;
+
+    const subpath = specifier.slice(workspacePackage.name.length + 1);
+    if (subpath) {
+      return (
+        resolveFile(path.join(workspacePackage.dir, subpath)) ||
+        resolveFile(path.join(workspacePackage.dir, 'src', subpath))
+      );
+    }
+
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(
+        fs.readFileSync(path.join(workspacePackage.dir, 'package.json'), 'utf8'),
+      );
+    } catch {
+      // Fall back to the index files
+    }
+    for (const entry of getPackageEntries(packageJson)) {
+      const file = resolveFile(path.join(workspacePackage.dir, entry));
+      if (file) return file;
+    }
+    return null;
+  };
+
+  const resolveSpecifier = (specifier, fromDir, depth = 0) => {
+    if (specifier.startsWith('.')) {
+      return resolveFile(path.resolve(fromDir, specifier));
+    }
+    if (path.isAbsolute(specifier)) {
+      return resolveFile(specifier);
+    }
+    if (depth > 5) return null; // Aliases pointing at each other
+
+    for (const alias of normalizedAliases) {
+      const replaced = applyAlias(specifier, alias);
+      if (!replaced) continue;
+      for (const target of replaced) {
+        const file = path.isAbsolute(target)
+          ? resolveFile(target)
+          : resolveSpecifier(target, fromDir, depth + 1);
+        if (file) return file;
+      }
+    }
+
+    const pathOptions = getPathOptions(fromDir);
+    if (pathOptions?.paths) {
+      const base = pathOptions.baseUrl || pathOptions.pathsBase;
+      for (const target of matchTsconfigPaths(specifier, pathOptions.paths)) {
+        const file = resolveFile(path.resolve(base, target));
+        if (file) return file;
+      }
+    }
+    if (pathOptions?.baseUrl) {
+      const file = resolveFile(path.resolve(pathOptions.baseUrl, specifier));
+      if (file) return file;
+    }
+
+    return resolveWorkspacePackage(specifier);
+  };
+
+  return {
+    /**
+     * Resolves an import specifier
+     * @param {string} specifier - Module specifier (e.g., './Button', '@/ui', '@acme/ui')
+     * @param {string} fromFile - Importing file
+     * @returns {string|null} Resolved file or null for external or missing modules
+     */
+    resolve(specifier, fromFile) {
+      const fromDir = path.dirname(fromFile);
+      const key = `${fromDir}\0${specifier}`;
+      if (!resolved.has(key)) {
+        let file = resolveSpecifier(specifier, fromDir);
+        // Files of workspace packages reached through node_modules are indexed by their real path
+        if (file && findWorkspacePackage(file, workspacePackages)) {
+          try {
+            file = fs.realpathSync(file);
+          } catch {
+            // Keep the unresolved path
+          }
+        }
+        resolved.set(key, file);
+      }
+      return resolved.get(key);
+    },
+
+    /**
+     * Forgets cached resolutions and tsconfig options
+     */
+    clear() {
+      resolved.clear();
+      pathOptionsByDir.clear();
+    },
+  };
+}
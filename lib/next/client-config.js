@@ -0,0 +1,10 @@
+// Next.js inlines the `env` values withXrayReact sets, the UI and client read them as globals
+if (typeof window !== 'undefined') {
+  window.__XRAY_REACT_MODE__ = window.__XRAY_REACT_MODE__ || process.env.XRAY_REACT_CLIENT_MODE;
+  if (process.env.XRAY_REACT_CLIENT_PORT) {
+    window.__XRAY_REACT_PORT__ = Number(process.env.XRAY_REACT_CLIENT_PORT);
+  }
+  if (process.env.XRAY_REACT_CLIENT_TOKEN) {
+    window.__XRAY_REACT_TOKEN__ = process.env.XRAY_REACT_CLIENT_TOKEN;
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Next.js client entry for xray-react
+ * withXrayReact adds it to the client entries of webpack builds; with Turbopack, import it from
+ * `instrumentation-client.js`. The config module has to run before the UI and client modules.
+ */
+import './client-config.js';
+import '../xray-react-ui.js';
+import '../xray-react-client.js';
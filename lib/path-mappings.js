@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Path mappings between the machine running the server (e.g., a Docker container or WSL) and
+ * the machine running the editor. A mapping is { from, to }: `from` is a server path prefix
+ * (e.g., /app), `to` the matching editor path prefix (e.g., /Users/me/proj or \\wsl$\Ubuntu).
+ */
+
+/**
+ * Trims trailing separators from a path prefix (keeping a root such as / or C:\)
+ * @param {string} prefix - Path prefix
+ * @returns {string} Prefix without trailing separators
+ */
+function trimPrefix(prefix) {
+  const trimmed = prefix.replace(/[/\\]+$/, '');
+  return trimmed === '' || /^[A-Za-z]:$/.test(trimmed) ? prefix : trimmed;
+}
+
+/**
+ * Replaces a path prefix, using the separator style of the new prefix
+ * @param {string} filePath - Path to map
+ * @param {string} from - Prefix to replace
+ * @param {string} to - New prefix
+ * @returns {string|null} Mapped path, or null if the path does not start with `from`
+ */
+function replacePrefix(filePath, from, to) {
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  const normalizedFrom = from.replace(/\\/g, '/');
+  const isRoot = normalizedFrom.endsWith('/');
+
+  if (
+    normalizedPath !== normalizedFrom &&
+    !normalizedPath.startsWith(isRoot ? normalizedFrom : `${normalizedFrom}/`)
+  ) {
+    return null;
+  }
+
+  const rest = normalizedPath.slice(normalizedFrom.length).replace(/^\//, '');
+  if (!rest) return to;
+
+  const separator = to.includes('\\') && !to.includes('/') ? '\\' : '/';
+  const base = to.replace(/[/\\]+$/, '');
+  return `${base}${separator}${rest.split('/').join(separator)}`;
+}
+
+/**
+ * Parses path mappings from an option or environment variable value
+ * Accepts [{ from, to }], { from: to } or 'from=to,from2=to2'
+ * @param {Array<Object>|Object|string} value - Path mappings
+ * @returns {Array<{from: string, to: string}>} Mappings, longest `from` first
+ * @throws {Error} If an entry is not a from/to pair
+ */
+export function parsePathMappings(value) {
+  if (!value) return [];
+
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separatorIndex = entry.indexOf('=');
+        if (separatorIndex === -1) {
+          throw new Error(`Invalid path mapping "${entry}": expected from=to`);
+        }
+        return { from: entry.slice(0, separatorIndex), to: entry.slice(separatorIndex + 1) };
+      });
+  } else if (Array.isArray(value)) {
+    entries = value;
+  } else {
+    entries = Object.entries(value).map(([from, to]) => ({ from, to }));
+  }
+
+  return entries
+    .map((entry) => {
+      if (!entry || typeof entry.from !== 'string' || typeof entry.to !== 'string') {
+        throw new Error(`Invalid path mapping ${JSON.stringify(entry)}: expected { from, to }`);
+      }
+      if (!entry.from.trim() || !entry.to.trim()) {
+        throw new Error(`Invalid path mapping ${JSON.stringify(entry)}: empty path`);
+      }
+      return { from: trimPrefix(entry.from.trim()), to: trimPrefix(entry.to.trim()) };
+    })
+    .sort((a, b) => b.from.length - a.from.length);
+}
+
+/**
+ * Maps a server path to the path the editor expects
+ * @param {string} filePath - Server path
+ * @param {Array<{from: string, to: string}>} mappings - Path mappings
+ * @returns {string} Editor path (unchanged if no mapping applies)
+ */
+export function toEditorPath(filePath, mappings) {
+  for (const mapping of mappings || []) {
+    const mapped = replacePrefix(filePath, mapping.from, mapping.to);
+    if (mapped !== null) return mapped;
+  }
+  return filePath;
+}
+
+/**
+ * Maps a path sent back by the browser or the editor to the server path
+ * @param {string} filePath - Editor path
+ * @param {Array<{from: string, to: string}>} mappings - Path mappings
+ * @returns {string} Server path (unchanged if no mapping applies)
+ */
+export function toServerPath(filePath, mappings) {
+  const reversed = [...(mappings || [])].sort((a, b) => b.to.length - a.to.length);
+  for (const mapping of reversed) {
+    const mapped = replacePrefix(filePath, mapping.to, mapping.from);
+    if (mapped !== null) return mapped;
+  }
+  return filePath;
+}
+
+/**
+ * Detects the host directory a Docker bind mount comes from, using /proc/self/mountinfo
+ * @param {string} projectRoot - Project root inside the container
+ * @returns {{from: string, to: string}|null} Mapping or null if not detected
+ */
+function detectDockerMapping(projectRoot) {
+  let mountInfo;
+  try {
+    mountInfo = fs.readFileSync('/proc/self/mountinfo', 'utf8');
+  } catch {
+    return null;
+  }
+
+  // Fields: id, parent id, major:minor, root (path inside the source), mount point, ...
+  const mounts = mountInfo
+    .split('\n')
+    .map((line) => line.split(' '))
+    .filter((fields) => fields.length > 4 && fields[3] !== '/')
+    .map((fields) => ({
+      root: fields[3].replace(/\\040/g, ' '),
+      mountPoint: fields[4].replace(/\\040/g, ' '),
+    }))
+    .filter(
+      ({ mountPoint }) =>
+        mountPoint !== '/' &&
+        (projectRoot === mountPoint || projectRoot.startsWith(`${mountPoint}/`)),
+    )
+    .sort((a, b) => b.mountPoint.length - a.mountPoint.length);
+
+  if (mounts.length === 0) return null;
+
+  const { root, mountPoint } = mounts[0];
+  // Docker Desktop exposes host folders under these prefixes
+  const windowsDrive = /^\/run\/desktop\/mnt\/host\/([a-z])(\/.*)?$/.exec(root);
+  const hostPath = windowsDrive
+    ? `${windowsDrive[1].toUpperCase()}:${(windowsDrive[2] || '/').replace(/\//g, '\\')}`
+    : root.replace(/^\/host_mnt(?=\/)/, '');
+
+  return { from: mountPoint, to: hostPath };
+}
+
+/**
+ * Detects path mappings for Docker containers (from the project's bind mount) and WSL
+ * (to \\wsl$\<distro>, for editors running on Windows)
+ * @param {string} projectRoot - Project root
+ * @returns {Array<{from: string, to: string}>} Detected mappings
+ */
+export function detectPathMappings(projectRoot) {
+  if (fs.existsSync('/.dockerenv')) {
+    const mapping = detectDockerMapping(path.resolve(projectRoot));
+    return mapping ? [mapping] : [];
+  }
+
+  const distro = process.env.WSL_DISTRO_NAME;
+  if (distro) {
+    return [{ from: '/', to: `\\\\wsl$\\${distro}\\` }];
+  }
+
+  return [];
+}
+
+/**
+ * Resolves the path mappings of a server
+ * @param {Array<Object>|Object|string} value - Configured mappings, or 'auto' to detect them
+ *   (default: XRAY_REACT_PATH_MAPPINGS)
+ * @param {string} projectRoot - Project root
+ * @returns {Array<{from: string, to: string}>} Mappings
+ */
+export function resolvePathMappings(value, projectRoot) {
+  const configured = value || process.env.XRAY_REACT_PATH_MAPPINGS;
+  if (configured === 'auto') {
+    return detectPathMappings(projectRoot);
+  }
+  return parsePathMappings(configured);
+}
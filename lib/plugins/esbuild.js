@@ -0,0 +1,70 @@
+import { resolveProjectRoot } from '../source-utils.js';
+import { createPluginServer, getBundleScripts, getRegisteredFilePath } from './shared.js';
+import { UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+
+const INJECT_NAMESPACE = 'xray-react';
+const INJECT_MODULE_ID = 'xray-react:inject';
+
+/**
+ * esbuild plugin for xray-react
+ * Registers component sources from `onLoad` and adds the UI and client bundles to every entry
+ * point through esbuild's `inject` option, so they also reach pages served by `serve` mode.
+ * The injected scripts are a virtual module, so each build gets its own server's port and token.
+ * esbuild does not tell plugins whether a build runs under `context().serve()`/`watch()`, so the
+ * plugin only runs with `dev: true`
+ * @param {Object} params - Plugin options (same as xrayReactVitePlugin, plus `dev` to enable it)
+ * @returns {Object} esbuild plugin
+ */
+export function xrayReactEsbuildPlugin(params = {}) {
+  const runServer = typeof params.server !== 'undefined' ? params.server : true;
+  const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
+  let server = null;
+
+  return {
+    name: 'xray-react',
+
+    async setup(build) {
+      if (params.dev !== true) return;
+
+      const options = build.initialOptions;
+      const projectRoot = resolveProjectRoot({
+        sourcePath: params.sourcePath,
+        fallbackPath: options.absWorkingDir || process.cwd(),
+      });
+      if (runServer) {
+        server = server || createPluginServer(params, projectRoot, mode);
+        // Port, token and mode from xray-react.config are needed before the scripts are loaded
+        await server.loadConfig();
+      }
+
+      options.inject = [...(options.inject || []), INJECT_MODULE_ID];
+      build.onResolve({ filter: /^xray-react:inject$/ }, () => ({
+        path: INJECT_MODULE_ID,
+        namespace: INJECT_NAMESPACE,
+      }));
+      build.onLoad({ filter: /.*/, namespace: INJECT_NAMESPACE }, () => ({
+        contents: getBundleScripts({ mode, server }) || '',
+        loader: 'js',
+      }));
+
+      if (!server) return;
+
+      build.onLoad({ filter: /\.(jsx?|tsx?|mjs|cjs)$/, namespace: 'file' }, (args) => {
+        const filePath = getRegisteredFilePath(args.path);
+        if (filePath) {
+          server.registerFile(filePath);
+        }
+        return null; // Let esbuild or other plugins load the file
+      });
+
+      build.onEnd(() => {
+        // Start errors are logged by the server, keep the build running
+        server.start().catch(() => {});
+      });
+
+      build.onDispose(() => {
+        server.close();
+      });
+    },
+  };
+}
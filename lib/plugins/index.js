@@ -1,2 +1,7 @@
 export { XrayReactWebpackPlugin } from './webpack.js';
 export { xrayReactVitePlugin } from './vite.js';
+export { xrayReactRouterPlugin } from './react-router.js';
+export { XrayReactRspackPlugin, xrayReactRsbuildPlugin } from './rspack.js';
+export { xrayReactEsbuildPlugin } from './esbuild.js';
+export { xrayReactRollupPlugin } from './rollup.js';
+export { withXrayReact } from './next.js';
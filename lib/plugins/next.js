@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveProjectRoot } from '../source-utils.js';
+import { createPluginServer, getSourceLoaderRule } from './shared.js';
+import { UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PHASE_DEVELOPMENT_SERVER = 'phase-development-server';
+// Client entries of the App Router and the Pages Router
+const CLIENT_ENTRY_NAMES = ['main-app', 'main'];
+const CLIENT_MODULE_PATH = path.resolve(__dirname, '../next/client.js');
+const CLIENT_MODULE_IMPORT = 'xray-react/next/client';
+const INSTRUMENTATION_CLIENT_FILES = ['js', 'ts', 'mjs', 'jsx', 'tsx'].flatMap((ext) => [
+  `instrumentation-client.${ext}`,
+  `src/instrumentation-client.${ext}`,
+]);
+// Next evaluates the config in its parent process and again in each server worker it spawns.
+// Workers inherit the session of the process that started the xray-react server.
+const SESSION_ENV = 'XRAY_REACT_NEXT_SESSION';
+
+/**
+ * Reads the session of the process that already started the xray-react server
+ * @returns {Object|null} Session ({ port, token, mode }) or null
+ */
+function readSession() {
+  try {
+    return JSON.parse(process.env[SESSION_ENV]) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Starts the xray-react server once per `next dev` and gets the session the client connects with
+ * @param {Object} params - Plugin options
+ * @param {string} projectRoot - Resolved project root
+ * @param {string} mode - UI mode
+ * @returns {Promise<Object>} Session ({ port, token, mode })
+ */
+async function startSession(params, projectRoot, mode) {
+  const existing = readSession();
+  if (existing) return existing;
+
+  const server = createPluginServer(params, projectRoot, mode);
+  // Port, token and mode from xray-react.config are needed before the client env is set
+  await server.loadConfig();
+
+  const session = { port: server.port, token: server.token, mode: server.mode };
+  process.env[SESSION_ENV] = JSON.stringify(session);
+  // Start errors are logged by the server, keep `next dev` running
+  server.start().catch(() => {});
+  return session;
+}
+
+/**
+ * Adds the client module in front of an entry's modules
+ * @param {string|Array|Object} entry - Webpack entry description
+ * @returns {string|Array|Object} Entry description with the client module
+ */
+function prependClientModule(entry) {
+  if (typeof entry === 'string') return [CLIENT_MODULE_PATH, entry];
+  if (Array.isArray(entry)) {
+    return entry.includes(CLIENT_MODULE_PATH) ? entry : [CLIENT_MODULE_PATH, ...entry];
+  }
+  if (entry && entry.import) {
+    return { ...entry, import: prependClientModule(entry.import) };
+  }
+  return entry;
+}
+
+/**
+ * Warns when Turbopack runs without the client module in instrumentation-client
+ * Turbopack has no plugin API to add it to the client entry
+ * @param {string} projectRoot - Project root
+ */
+function checkTurbopackClient(projectRoot) {
+  const hasClientImport = INSTRUMENTATION_CLIENT_FILES.some((file) => {
+    const filePath = path.join(projectRoot, file);
+    return (
+      fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8').includes(CLIENT_MODULE_IMPORT)
+    );
+  });
+
+  if (!hasClientImport) {
+    console.warn(
+      `xray-react: Turbopack does not support injecting the UI, add \`import '${CLIENT_MODULE_IMPORT}';\` to instrumentation-client.js`,
+    );
+  }
+}
+
+/**
+ * Next.js config wrapper for xray-react
+ * In `next dev`, starts the xray-react server, passes its port and token to the client through
+ * `env`, stamps JSX source attributes in client and server builds (webpack only) and adds the UI
+ * and client bundles to the App Router and Pages Router client entries. Turbopack builds load
+ * them from `instrumentation-client.js` instead.
+ * @param {Object|Function} nextConfig - Next.js config object or config function
+ * @param {Object} params - Plugin options (same as xrayReactVitePlugin)
+ * @returns {Function} Next.js config function
+ */
+export function withXrayReact(nextConfig = {}, params = {}) {
+  const runServer = typeof params.server !== 'undefined' ? params.server : true;
+
+  return async (phase, context) => {
+    const config =
+      typeof nextConfig === 'function' ? await nextConfig(phase, context) : { ...nextConfig };
+    if (phase !== PHASE_DEVELOPMENT_SERVER) return config;
+
+    const projectRoot = resolveProjectRoot({
+      sourcePath: params.sourcePath,
+      fallbackPath: process.cwd(),
+    });
+    const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
+    const session = runServer ? await startSession(params, projectRoot, mode) : null;
+
+    if (process.env.TURBOPACK) {
+      checkTurbopackClient(projectRoot);
+    }
+
+    const userWebpack = config.webpack;
+    return {
+      ...config,
+      // Inlined into client code as process.env.XRAY_REACT_CLIENT_*
+      env: {
+        ...config.env,
+        XRAY_REACT_CLIENT_MODE: session ? session.mode : mode,
+        XRAY_REACT_CLIENT_PORT: session ? String(session.port) : '',
+        XRAY_REACT_CLIENT_TOKEN: session?.token || '',
+      },
+      webpack(webpackConfig, options) {
+        const result =
+          typeof userWebpack === 'function' ? userWebpack(webpackConfig, options) : webpackConfig;
+        if (!options.dev) return result;
+
+        // Server components only render on the server, their stamps reach the page as HTML
+        if (params.sourceAttributes !== false) {
+          result.module.rules.push(getSourceLoaderRule(projectRoot));
+        }
+
+        if (!options.isServer) {
+          const entry = result.entry;
+          result.entry = async () => {
+            const entries = typeof entry === 'function' ? await entry() : entry;
+            CLIENT_ENTRY_NAMES.filter((name) => entries[name]).forEach((name) => {
+              entries[name] = prependClientModule(entries[name]);
+            });
+            return entries;
+          };
+        }
+        return result;
+      },
+    };
+  };
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveProjectRoot } from '../source-utils.js';
+import { getDevServerOrigins } from '../access-control.js';
+import { createPluginServer, getRegisteredFilePath } from './shared.js';
+import { createSourceAttributesPlugin, HOT_MODULE_ID, HOT_MODULE_CODE } from './vite.js';
+import {
+  UI_MODE_FULL,
+  AVAILABLE_UI_MODES,
+  TRANSPORT_SOCKET_IO,
+  TRANSPORT_VITE,
+} from '../constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CLIENT_MODULE_ID = 'virtual:xray-react/client';
+const CLIENT_CONFIG_MODULE_ID = 'virtual:xray-react/client-config';
+// The app's entry.client or the framework's default one when the app has none
+const ENTRY_CLIENT_PATTERN = /[/\\]entry\.client\.[cm]?[jt]sx?$/;
+const ROUTE_MODULE_EXTS = ['.tsx', '.ts', '.jsx', '.js'];
+
+/**
+ * Finds a route module file by its path without extension
+ * @param {string} basePath - Path without extension
+ * @returns {string|null} Route module file or null
+ */
+function findRouteModuleFile(basePath) {
+  const ext = ROUTE_MODULE_EXTS.find((routeExt) => fs.existsSync(`${basePath}${routeExt}`));
+  return ext ? `${basePath}${ext}` : null;
+}
+
+/**
+ * Finds the route modules of the file-based route conventions: the root route and the
+ * `routes/` files and folders (`routes/blog.$slug.tsx`, `routes/blog/route.tsx`)
+ * Used when the framework's route config is not available
+ * @param {string} appDirectory - App directory
+ * @returns {Array<Object>} Route modules ({ id, path })
+ */
+function findConventionalRouteModules(appDirectory) {
+  const routeModules = [];
+  const rootFile = findRouteModuleFile(path.join(appDirectory, 'root'));
+  if (rootFile) {
+    routeModules.push({ id: 'root', path: rootFile });
+  }
+
+  const routesDir = path.join(appDirectory, 'routes');
+  if (!fs.existsSync(routesDir)) return routeModules;
+
+  fs.readdirSync(routesDir, { withFileTypes: true }).forEach((entry) => {
+    const entryPath = path.join(routesDir, entry.name);
+    if (entry.isDirectory()) {
+      const routeFile = findRouteModuleFile(path.join(entryPath, 'route'));
+      if (routeFile) {
+        routeModules.push({ id: `routes/${entry.name}`, path: routeFile });
+      }
+    } else if (ROUTE_MODULE_EXTS.includes(path.extname(entry.name))) {
+      const id = `routes/${path.basename(entry.name, path.extname(entry.name))}`;
+      routeModules.push({ id, path: entryPath });
+    }
+  });
+  return routeModules;
+}
+
+/**
+ * Gets the route modules of the app
+ * Combines the route config the React Router or Remix Vite plugin resolved (`routes.ts`, flat
+ * routes, ...) with the file conventions, which also cover routes added since that config was
+ * resolved. Route ids are the module paths relative to the app directory, without extension.
+ * @param {Object} viteConfig - Resolved Vite config
+ * @param {string} fallbackAppDirectory - App directory used without a framework config
+ * @returns {{appDirectory: string, routeModules: Array<Object>}} App directory and route modules
+ */
+function getRouteModules(viteConfig, fallbackAppDirectory) {
+  const context = viteConfig.__reactRouterPluginContext || viteConfig.__remixPluginContext;
+  const frameworkConfig = context && (context.reactRouterConfig || context.remixConfig);
+  const appDirectory = frameworkConfig?.appDirectory || fallbackAppDirectory;
+
+  const configuredModules = Object.values(frameworkConfig?.routes || {}).map(({ id, file }) => ({
+    id,
+    path: path.resolve(appDirectory, file),
+  }));
+  const routeModules = new Map();
+  [...configuredModules, ...findConventionalRouteModules(appDirectory)]
+    .filter((routeModule) => fs.existsSync(routeModule.path))
+    .forEach((routeModule) => {
+      if (!routeModules.has(routeModule.path)) {
+        routeModules.set(routeModule.path, routeModule);
+      }
+    });
+
+  return { appDirectory, routeModules: [...routeModules.values()] };
+}
+
+/**
+ * React Router framework mode (v7) and Remix (Vite) plugin for xray-react
+ * These apps render HTML on the server, often streamed, and have no index.html, so the UI and
+ * client are imported by the entry client module instead of being injected into the HTML.
+ * Route modules are registered under their route ids, which the UI shows in the component path.
+ * Like xrayReactVitePlugin, pages talk to the server over Vite's HMR WebSocket by default.
+ * Returns the main plugin, preceded by the source attributes plugin unless
+ * `sourceAttributes: false` is passed
+ * @param {Object} params - Plugin options (same as xrayReactVitePlugin, plus `appDirectory` for
+ *   apps without the React Router or Remix Vite plugin config, default: 'app')
+ * @returns {Array<Object>|Object} Vite plugins
+ */
+export function xrayReactRouterPlugin(params = {}) {
+  const runServer = typeof params.server !== 'undefined' ? params.server : true;
+  const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
+  const transport = params.transport === TRANSPORT_SOCKET_IO ? TRANSPORT_SOCKET_IO : TRANSPORT_VITE;
+  let server = null;
+  let projectRoot = null;
+  let viteConfig = null;
+  let appDirectory = null;
+
+  const updateRouteModules = () => {
+    const routes = getRouteModules(
+      viteConfig,
+      path.resolve(viteConfig.root, params.appDirectory || 'app'),
+    );
+    appDirectory = routes.appDirectory;
+    server.setRouteModules(routes.routeModules);
+  };
+
+  const plugin = {
+    name: 'xray-react:react-router',
+    enforce: 'post',
+    apply: 'serve',
+
+    async configResolved(config) {
+      viteConfig = config;
+      projectRoot = resolveProjectRoot({
+        sourcePath: params.sourcePath,
+        compilationContext: config.root,
+        fallbackPath: process.cwd(),
+      });
+      if (!runServer) return;
+
+      server = server || createPluginServer(params, projectRoot, mode, transport);
+      // Port, token and mode from xray-react.config are needed before the client config is served
+      await server.loadConfig();
+      server.setAliases(config.resolve.alias);
+      updateRouteModules();
+      // Start errors are logged by the server, keep the dev server running
+      server.start().catch(() => {});
+    },
+
+    resolveId(id) {
+      return [CLIENT_MODULE_ID, CLIENT_CONFIG_MODULE_ID, HOT_MODULE_ID].includes(id)
+        ? `\0${id}`
+        : null;
+    },
+
+    load(id) {
+      if (id === `\0${CLIENT_CONFIG_MODULE_ID}`) {
+        let code = `window.__XRAY_REACT_MODE__=${JSON.stringify(server ? server.mode : mode)};`;
+        if (server) {
+          code += `\n${server.getClientConfigScript()}`;
+        }
+        return code;
+      }
+
+      if (id === `\0${HOT_MODULE_ID}`) {
+        return HOT_MODULE_CODE;
+      }
+
+      if (id === `\0${CLIENT_MODULE_ID}`) {
+        // The config module has to run before the UI and client modules
+        const modules = [CLIENT_CONFIG_MODULE_ID, path.resolve(__dirname, '../xray-react-ui.js')];
+        if (server) {
+          if (transport === TRANSPORT_VITE) {
+            modules.push(HOT_MODULE_ID);
+          }
+          modules.push(path.resolve(__dirname, '../xray-react-client.js'));
+        }
+        return modules.map((modulePath) => `import ${JSON.stringify(modulePath)};`).join('\n');
+      }
+
+      const filePath = server && getRegisteredFilePath(id);
+      if (filePath) {
+        server.registerFile(filePath);
+      }
+      return null;
+    },
+
+    transform(code, id, options) {
+      if (options?.ssr || !ENTRY_CLIENT_PATTERN.test(id.split('?')[0])) {
+        return null;
+      }
+
+      // Appended so line mappings stay valid; imports still run before the entry hydrates
+      return { code: `${code}\nimport ${JSON.stringify(CLIENT_MODULE_ID)};\n`, map: null };
+    },
+
+    configureServer(viteServer) {
+      if (!server) return;
+
+      if (transport === TRANSPORT_VITE) {
+        server.attachHotChannel(viteServer.ws);
+      }
+
+      // Allow the page to connect when the dev server is opened from another machine
+      if (transport === TRANSPORT_SOCKET_IO && viteServer.httpServer) {
+        viteServer.httpServer.once('listening', () => {
+          const address = viteServer.httpServer.address();
+          getDevServerOrigins({
+            protocol: viteServer.config.server.https ? 'https' : 'http',
+            host: viteServer.config.server.host,
+            port: address && address.port,
+          }).forEach((origin) => server.allowOrigin(origin));
+        });
+      }
+
+      // Routes come and go with files in the app directory
+      viteServer.watcher.on('all', (event, changedPath) => {
+        const isAddedOrRemoved = ['add', 'unlink', 'addDir', 'unlinkDir'].includes(event);
+        if (isAddedOrRemoved && appDirectory && changedPath.startsWith(appDirectory)) {
+          updateRouteModules();
+        }
+      });
+    },
+
+    buildEnd() {
+      if (server) {
+        server.close();
+      }
+    },
+  };
+
+  if (params.sourceAttributes === false) {
+    return plugin;
+  }
+
+  return [createSourceAttributesPlugin(() => projectRoot || process.cwd()), plugin];
+}
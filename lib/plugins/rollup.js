@@ -0,0 +1,56 @@
+import { resolveProjectRoot } from '../source-utils.js';
+import { createPluginServer, getBundleScripts, getRegisteredFilePath } from './shared.js';
+import { UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+
+/**
+ * Rollup plugin for xray-react
+ * Active in watch mode (`rollup -w`) unless `dev` is passed: registers component sources from
+ * `load` and appends the UI and client bundles to the entry chunks
+ * @param {Object} params - Plugin options (same as xrayReactVitePlugin, plus `dev` to force
+ *   (true) or skip (false) the integration instead of following watch mode)
+ * @returns {Object} Rollup plugin
+ */
+export function xrayReactRollupPlugin(params = {}) {
+  const runServer = typeof params.server !== 'undefined' ? params.server : true;
+  const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
+  let server = null;
+  let isActive = false;
+
+  return {
+    name: 'xray-react',
+
+    async buildStart() {
+      isActive = params.dev ?? this.meta.watchMode;
+      if (!isActive || !runServer) return;
+
+      if (!server) {
+        const projectRoot = resolveProjectRoot({
+          sourcePath: params.sourcePath,
+          fallbackPath: process.cwd(),
+        });
+        server = createPluginServer(params, projectRoot, mode);
+      }
+      // Start errors are logged by the server, keep the build running
+      await server.start().catch(() => {});
+    },
+
+    load(id) {
+      const filePath = server && getRegisteredFilePath(id);
+      if (filePath) {
+        server.registerFile(filePath);
+      }
+      return null;
+    },
+
+    footer(chunk) {
+      if (!isActive || !chunk.isEntry) return '';
+      return getBundleScripts({ mode, server }) || '';
+    },
+
+    async closeWatcher() {
+      if (server) {
+        await server.close();
+      }
+    },
+  };
+}
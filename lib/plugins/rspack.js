@@ -0,0 +1,167 @@
+import { XrayReactWebpackPlugin } from './webpack.js';
+import { getBundleScripts } from './shared.js';
+import { getDevServerOrigins } from '../access-control.js';
+import { TRANSPORT_DEV_SERVER } from '../constants.js';
+
+const pluginName = 'XrayReactRspackPlugin';
+
+/**
+ * Rspack plugin for xray-react
+ * Shares server creation, module filtering and the JSX source loader with the webpack plugin, but
+ * only uses APIs Rspack supports: modules are collected in `finishModules` and the scripts are
+ * appended to the entry chunks with `compiler.webpack.sources` in `processAssets`
+ */
+export class XrayReactRspackPlugin extends XrayReactWebpackPlugin {
+  /**
+   * Gets the JavaScript files of the entry chunks (the chunks that run an entry's modules)
+   * @param {Object} compilation - Rspack compilation
+   * @returns {Array<string>} Asset names
+   */
+  getEntryFiles(compilation) {
+    const files = new Set();
+    compilation.entrypoints.forEach((entrypoint) => {
+      const chunk = entrypoint.getEntrypointChunk();
+      [...chunk.files].filter((file) => file.endsWith('.js')).forEach((file) => files.add(file));
+    });
+    return [...files];
+  }
+
+  /**
+   * Applies the plugin to the Rspack compiler
+   * @param {Object} compiler - Rspack compiler instance
+   */
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+
+    this.applySourceLoader(compiler);
+    this.applyDevServerMiddleware(compiler);
+    this.devServerOrigins = this.getDevServerOrigins(compiler.options.devServer);
+
+    const isServerBuild =
+      ['node', 'async-node'].includes(compiler.options.target) || compiler.name === 'server';
+
+    compiler.hooks.thisCompilation.tap(pluginName, (compilation) => {
+      if (isServerBuild) return;
+
+      compilation.hooks.processAssets.tap(
+        { name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONS },
+        () => {
+          const entryFiles = this.params.output
+            ? [this.params.output]
+            : this.getEntryFiles(compilation);
+          if (entryFiles.length === 0) {
+            console.warn('xray-react: No entry chunk to inject scripts into');
+            return;
+          }
+
+          const script = getBundleScripts({
+            mode: this.mode,
+            server: this.runServer ? this.getServer(compiler.context) : null,
+          });
+          if (!script) return;
+
+          entryFiles
+            .filter((file) => compilation.getAsset(file))
+            .forEach((file) => {
+              compilation.updateAsset(
+                file,
+                (source) => new sources.ConcatSource(source, new sources.RawSource(script)),
+              );
+            });
+        },
+      );
+    });
+
+    if (this.runServer && !isServerBuild) {
+      // Port and mode from xray-react.config are needed before scripts are injected
+      compiler.hooks.beforeCompile.tapPromise(pluginName, async () => {
+        const server = this.getServer(compiler.context);
+        await server.loadConfig();
+        server.setAliases(compiler.options.resolve?.alias);
+      });
+
+      compiler.hooks.compilation.tap(pluginName, (compilation) => {
+        compilation.hooks.finishModules.tap(pluginName, (modules) => {
+          const sourcePath = this.params.sourcePath || compiler.context;
+          const server = this.getServer(compiler.context);
+
+          for (const module of modules) {
+            const resource = module.resource ? module.resource.split('?')[0] : null;
+            if (this.checkModuleResource(resource, sourcePath)) {
+              server.registerFile(resource);
+            }
+          }
+        });
+      });
+
+      compiler.hooks.done.tap(pluginName, () => {
+        // Start errors are logged by the server, keep the build running
+        this.getServer(compiler.context)
+          .start()
+          .catch(() => {});
+      });
+
+      this.applyShutdown(compiler, pluginName);
+    }
+  }
+}
+
+/**
+ * Rsbuild plugin for xray-react
+ * Adds XrayReactRspackPlugin to development builds of web environments
+ * @param {Object} params - Plugin options (same as XrayReactWebpackPlugin)
+ * @returns {Object} Rsbuild plugin
+ */
+export function xrayReactRsbuildPlugin(params = {}) {
+  let plugin = null;
+  // All environments share one plugin, and so one server
+  const getPlugin = () => {
+    plugin = plugin || new XrayReactRspackPlugin(params);
+    return plugin;
+  };
+
+  return {
+    name: 'xray-react',
+
+    setup(api) {
+      api.modifyRspackConfig((config, { isDev, target }) => {
+        if (!isDev || (target && target !== 'web')) return;
+
+        config.plugins = [...(config.plugins || []), getPlugin()];
+      });
+
+      // Rsbuild's dev server takes its middlewares from `dev.setupMiddlewares`, not `devServer`
+      if (params.transport === TRANSPORT_DEV_SERVER) {
+        api.modifyRsbuildConfig((config, { mergeRsbuildConfig }) =>
+          mergeRsbuildConfig(config, {
+            dev: {
+              setupMiddlewares: [
+                (middlewares) => {
+                  const xrayPlugin = getPlugin();
+                  if (!xrayPlugin.runServer) return;
+
+                  const server = xrayPlugin.getServer(api.context.rootPath);
+                  middlewares.unshift(server.createMiddleware());
+                },
+              ],
+            },
+          }),
+        );
+      }
+
+      // Rsbuild's dev server is not configured through `devServer`, allow its origins here
+      api.onAfterStartDevServer(({ port }) => {
+        if (!plugin) return;
+
+        const { server } = api.getNormalizedConfig();
+        plugin.allowDevServerOrigins(
+          getDevServerOrigins({
+            protocol: server.https ? 'https' : 'http',
+            host: server.host,
+            port: port,
+          }),
+        );
+      });
+    },
+  };
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createXrayServer } from '../xray-server.js';
+import { TRANSPORT_SOCKET_IO } from '../constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Creates the xray-react server for a bundler plugin from the plugin options
+ * @param {Object} params - Plugin options
+ * @param {string} projectRoot - Resolved project root
+ * @param {string} mode - UI mode
+ * @param {string} transport - How pages connect (default: the server's own Socket.IO port)
+ * @returns {XrayServer} Server instance (not started)
+ */
+export function createPluginServer(params, projectRoot, mode, transport = TRANSPORT_SOCKET_IO) {
+  return createXrayServer({
+    projectRoot: projectRoot,
+    port: params.port,
+    host: params.host,
+    token: params.token,
+    allowedOrigins: params.allowedOrigins,
+    editor: params.editor,
+    editorUrl: params.editorUrl,
+    editorRemote: params.editorRemote,
+    editorTemplate: params.editorTemplate,
+    pathMappings: params.pathMappings,
+    workspaces: params.workspaces,
+    aliases: params.aliases,
+    watch: params.watch,
+    cache: params.cache,
+    mode: mode,
+    transport: transport,
+  });
+}
+
+/**
+ * Gets the scripts appended to an entry chunk: the UI mode, the UI bundle and, with a server,
+ * the client config and client bundle
+ * @param {Object} options - Script options
+ * @param {string} options.mode - UI mode used without a server
+ * @param {XrayServer|null} options.server - Server the client connects to
+ * @returns {string|null} Scripts, or null if the UI bundle is missing
+ */
+export function getBundleScripts({ mode, server }) {
+  const dirname = process.cwd() || path.resolve(__dirname, '../..');
+  const pathToUIFile = path.resolve(dirname, 'node_modules/xray-react/build/xray-react-ui.min.js');
+  const pathToClientFile = path.resolve(
+    dirname,
+    'node_modules/xray-react/build/xray-react-client.min.js',
+  );
+
+  if (!fs.existsSync(pathToUIFile)) {
+    console.warn(`xray-react: UI file not found at ${pathToUIFile}`);
+    return null;
+  }
+
+  let scripts = `\nwindow.__XRAY_REACT_MODE__='${server ? server.mode : mode}';`;
+  scripts += `\n${fs.readFileSync(pathToUIFile, 'utf8')}`;
+  if (server && fs.existsSync(pathToClientFile)) {
+    scripts += `\n${server.getClientConfigScript()}`;
+    scripts += `\n${fs.readFileSync(pathToClientFile, 'utf8')}`;
+  }
+  return scripts;
+}
+
+/**
+ * Creates the webpack rule that runs the JSX source loader on project files
+ * The loader stamps host elements with data-xray-source/data-xray-component attributes
+ * @param {string} projectRoot - Project root the stamped paths are relative to
+ * @returns {Object} Webpack/Rspack module rule
+ */
+export function getSourceLoaderRule(projectRoot) {
+  return {
+    test: /\.(jsx|tsx|js)$/,
+    exclude: /[/\\]node_modules[/\\]/,
+    enforce: 'pre',
+    use: [
+      {
+        loader: path.resolve(__dirname, '../loaders/jsx-source-loader.js'),
+        options: { projectRoot: projectRoot },
+      },
+    ],
+  };
+}
+
+/**
+ * Checks if a loaded module is a project file the server should register
+ * @param {string} id - Module id or path (queries are ignored)
+ * @returns {string|null} File path, or null for virtual and node_modules modules
+ */
+export function getRegisteredFilePath(id) {
+  if (!id || id.startsWith('\0')) return null;
+
+  const filePath = id.split('?')[0];
+  if (filePath.includes('/node_modules/') || filePath.includes('\\node_modules\\')) return null;
+  return path.isAbsolute(filePath) ? filePath : null;
+}
@@ -1,125 +1,122 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Server } from 'socket.io';
-import { createServer } from 'http';
-import { openFile } from '../editor-utils.js';
+import { resolveProjectRoot } from '../source-utils.js';
+import { getDevServerOrigins } from '../access-control.js';
+import { transformJsxSource } from '../jsx-source-transform.js';
+import { createPluginServer } from './shared.js';
 import {
-  detectSourcePaths,
-  buildUsageMap,
-  buildImportMap,
-  scanSourceFiles,
-  extractComponentNames,
-  extractComponentContext,
-  findComponentFile,
-  getFilePriority,
-  resolveProjectRoot,
-  resolvePort,
-} from '../source-utils.js';
-import { REACT_FILE_EXTS, UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+  UI_MODE_FULL,
+  AVAILABLE_UI_MODES,
+  TRANSPORT_SOCKET_IO,
+  TRANSPORT_VITE,
+} from '../constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Hands Vite's HMR client to the client bundle, which is a classic script without import.meta
+export const HOT_MODULE_ID = 'virtual:xray-react/hot';
+export const HOT_MODULE_CODE = `if (import.meta.hot) {
+  window.__XRAY_REACT_HOT__ = import.meta.hot;
+  window.dispatchEvent(new Event('xray-react:hot'));
+}
+`;
+
+/**
+ * Creates the Vite plugin that stamps JSX host elements with their source location
+ * Runs before @vitejs/plugin-react / plugin-react-swc compile JSX away
+ * @param {Function} getProjectRoot - Returns the root source paths are made relative to
+ * @returns {Object} Vite plugin
+ */
+export function createSourceAttributesPlugin(getProjectRoot) {
+  return {
+    name: 'xray-react:source-attributes',
+    enforce: 'pre',
+    apply: 'serve',
+
+    transform(code, id) {
+      const filePath = id.split('?')[0];
+      if (filePath.startsWith('\0') || filePath.includes('/node_modules/')) {
+        return null;
+      }
+      if (!/\.(jsx|tsx|js)$/.test(filePath)) {
+        return null;
+      }
+
+      return transformJsxSource(code, { filePath: filePath, projectRoot: getProjectRoot() });
+    },
+  };
+}
+
 /**
  * Vite plugin for xray-react
+ * Pages talk to the server over Vite's own HMR WebSocket, unless `transport: 'socket.io'` is
+ * passed to start a separate Socket.IO server.
+ * Returns the main plugin, preceded by the source attributes plugin unless
+ * `sourceAttributes: false` is passed
  */
 export function xrayReactVitePlugin(params = {}) {
   const runServer = typeof params.server !== 'undefined' ? params.server : true;
   const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
-  const sources = {};
-  let usageMap = {};
-  let importMap = {};
-  let serverIO = null;
-  let httpServer = null;
+  const transport = params.transport === TRANSPORT_SOCKET_IO ? TRANSPORT_SOCKET_IO : TRANSPORT_VITE;
+  let server = null;
   let projectRoot = null;
 
   if (runServer) {
-    try {
-      projectRoot = resolveProjectRoot({
-        sourcePath: params.sourcePath,
-        compilationContext: null,
-        fallbackPath: process.cwd(),
-      });
-
-      const sourcePaths = detectSourcePaths(projectRoot);
-
-      usageMap = buildUsageMap(sourcePaths);
-
-      importMap = buildImportMap(sourcePaths);
-
-      const allProjectFiles = [];
-      sourcePaths.forEach((sourcePath) => {
-        if (fs.existsSync(sourcePath)) {
-          const files = scanSourceFiles(sourcePath);
-          allProjectFiles.push(...files);
-        }
-      });
-
-      const port = resolvePort({ port: params.port });
-
-      httpServer = createServer();
-      serverIO = new Server(httpServer, { cors: { origin: '*', methods: ['GET', 'POST'] } });
-      httpServer.listen(port);
-
-      serverIO.on('connection', (socket) => {
-        socket.emit('project-config', { projectRoot: projectRoot, port: port, mode: mode });
-
-        socket.emit('usage-map', { usage: usageMap });
-
-        socket.emit('import-map', { imports: importMap });
-
-        socket.emit('project-files', { files: allProjectFiles });
-
-        socket.on('xray-react-component', (structure) => {
-          if (structure) {
-            const hierarchy = structure.split(' -> ').map((name) => name.trim());
-            const componentNames = [...hierarchy].reverse();
+    projectRoot = resolveProjectRoot({
+      sourcePath: params.sourcePath,
+      compilationContext: null,
+      fallbackPath: process.cwd(),
+    });
+
+    server = createPluginServer(params, projectRoot, mode, transport);
+    // Start errors are logged by the server, keep the dev server running
+    server.start().catch(() => {});
+  }
 
-            for (const name of componentNames) {
-              const trimmedName = name.trim();
-              const filepath = findComponentFile(trimmedName, hierarchy, sources);
-              if (filepath && fs.existsSync(filepath)) {
-                openFile(filepath);
-                return;
-              }
-            }
-          }
-        });
-      });
+  let viteRoot = null;
 
-      console.log(`xray-react: Socket.IO server started on port ${port}`);
-      console.log(`xray-react: Editor: ${process.env.XRAY_REACT_EDITOR || 'not set'}`);
-    } catch (error) {
-      console.error('xray-react: Failed to start Socket.IO server', error);
+  // Client config, Vite hot module (HMR WebSocket transport) and client bundle
+  const getClientScripts = (basePath) => {
+    const scripts = [`<script>${server.getClientConfigScript()}</script>`];
+    if (transport === TRANSPORT_VITE) {
+      scripts.push(`<script type="module" src="/@id/${HOT_MODULE_ID}"></script>`);
     }
-  }
+    scripts.push(`<script src="${basePath}/xray-react-client.min.js"></script>`);
+    return scripts;
+  };
 
-  return {
+  const plugin = {
     name: 'xray-react',
     enforce: 'post',
     apply: 'serve',
 
+    async configResolved(config) {
+      viteRoot = config.root;
+      if (server) {
+        // Port and mode from xray-react.config are needed before scripts are injected
+        await server.loadConfig();
+        server.setAliases(config.resolve.alias);
+      }
+    },
+
+    resolveId(id) {
+      return id === HOT_MODULE_ID ? `\0${HOT_MODULE_ID}` : null;
+    },
+
     load(id) {
-      if (id && !id.includes('/node_modules/') && !id.includes('\\node_modules\\')) {
-        const ext = path.extname(id);
-        if (REACT_FILE_EXTS.includes(ext)) {
-          const componentNames = extractComponentNames(id);
-          const priority = getFilePriority(id);
-          const context = extractComponentContext(id, projectRoot);
-
-          componentNames.forEach((name) => {
-            if (!sources.hasOwnProperty(name)) {
-              sources[name] = [];
-            }
-            sources[name].push({ path: id, context: context, priority: priority });
-          });
-        }
+      if (id === `\0${HOT_MODULE_ID}`) {
+        return HOT_MODULE_CODE;
+      }
+
+      if (server && id && !id.includes('/node_modules/') && !id.includes('\\node_modules\\')) {
+        server.registerFile(id.split('?')[0]);
       }
       return null;
     },
 
-    configureServer(server) {
+    configureServer(viteServer) {
       const dirname = process.cwd() || path.resolve(__dirname, '../..');
       const pathToUIFile = path.resolve(
         dirname,
@@ -132,7 +129,23 @@ export function xrayReactVitePlugin(params = {}) {
 
       const basePath = '/node_modules/xray-react/build';
 
-      server.middlewares.use((req, res, next) => {
+      if (server && transport === TRANSPORT_VITE) {
+        server.attachHotChannel(viteServer.ws);
+      }
+
+      // Allow the page to connect when the dev server is opened from another machine
+      if (server && transport === TRANSPORT_SOCKET_IO && viteServer.httpServer) {
+        viteServer.httpServer.once('listening', () => {
+          const address = viteServer.httpServer.address();
+          getDevServerOrigins({
+            protocol: viteServer.config.server.https ? 'https' : 'http',
+            host: viteServer.config.server.host,
+            port: address && address.port,
+          }).forEach((origin) => server.allowOrigin(origin));
+        });
+      }
+
+      viteServer.middlewares.use((req, res, next) => {
         if (
           req.url === '/' ||
           req.url === '/index.html' ||
@@ -162,18 +175,20 @@ export function xrayReactVitePlugin(params = {}) {
                     : '';
 
               const alreadyInjected =
-                html.includes('xray-react-ui') || html.includes('__XRAY_REACT_PORT__');
+                html.includes('xray-react-ui') ||
+                html.includes('__XRAY_REACT_PORT__') ||
+                html.includes('__XRAY_REACT_TRANSPORT__');
 
               if (!alreadyInjected && html.includes('</body>')) {
                 const scripts = [];
                 if (fs.existsSync(pathToUIFile)) {
-                  scripts.push(`<script>window.__XRAY_REACT_MODE__='${mode}';</script>`);
+                  scripts.push(
+                    `<script>window.__XRAY_REACT_MODE__='${server ? server.mode : mode}';</script>`,
+                  );
                   scripts.push(`<script src="${basePath}/xray-react-ui.min.js"></script>`);
                 }
                 if (runServer && fs.existsSync(pathToClientFile)) {
-                  const port = resolvePort({ port: params.port });
-                  scripts.push(`<script>window.__XRAY_REACT_PORT__=${port};</script>`);
-                  scripts.push(`<script src="${basePath}/xray-react-client.min.js"></script>`);
+                  scripts.push(...getClientScripts(basePath));
                 }
 
                 if (scripts.length > 0) {
@@ -233,14 +248,14 @@ export function xrayReactVitePlugin(params = {}) {
       const basePath = '/node_modules/xray-react/build';
 
       if (fs.existsSync(pathToUIFile)) {
-        scripts.push(`<script>window.__XRAY_REACT_MODE__='${mode}';</script>`);
+        scripts.push(
+          `<script>window.__XRAY_REACT_MODE__='${server ? server.mode : mode}';</script>`,
+        );
         scripts.push(`<script src="${basePath}/xray-react-ui.min.js"></script>`);
       }
 
       if (runServer && fs.existsSync(pathToClientFile)) {
-        const port = resolvePort({ port: params.port });
-        scripts.push(`<script>window.__XRAY_REACT_PORT__=${port};</script>`);
-        scripts.push(`<script src="${basePath}/xray-react-client.min.js"></script>`);
+        scripts.push(...getClientScripts(basePath));
       }
 
       if (scripts.length > 0) {
@@ -256,12 +271,23 @@ export function xrayReactVitePlugin(params = {}) {
     },
 
     buildEnd() {
-      if (serverIO) {
-        serverIO.close();
-      }
-      if (httpServer) {
-        httpServer.close();
+      if (server) {
+        server.close();
       }
     },
   };
+
+  if (params.sourceAttributes === false) {
+    return plugin;
+  }
+
+  const getSourceRoot = () =>
+    projectRoot ||
+    resolveProjectRoot({
+      sourcePath: params.sourcePath,
+      compilationContext: viteRoot,
+      fallbackPath: process.cwd(),
+    });
+
+  return [createSourceAttributesPlugin(getSourceRoot), plugin];
 }
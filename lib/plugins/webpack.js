@@ -1,22 +1,16 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Server } from 'socket.io';
-import { createServer } from 'http';
-import { openFile } from '../editor-utils.js';
+import { resolveProjectRoot } from '../source-utils.js';
+import { getDevServerOrigins } from '../access-control.js';
+import { createPluginServer, getSourceLoaderRule } from './shared.js';
 import {
-  detectSourcePaths,
-  buildUsageMap,
-  buildImportMap,
-  scanSourceFiles,
-  extractComponentNames,
-  extractComponentContext,
-  findComponentFile,
-  getFilePriority,
-  resolveProjectRoot,
-  resolvePort,
-} from '../source-utils.js';
-import { REACT_FILE_EXTS, UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+  REACT_FILE_EXTS,
+  UI_MODE_FULL,
+  AVAILABLE_UI_MODES,
+  TRANSPORT_SOCKET_IO,
+  TRANSPORT_DEV_SERVER,
+} from '../constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,17 +18,124 @@ const __dirname = path.dirname(__filename);
 /**
  * Webpack plugin for xray-react
  * Supports Webpack 5+ using hooks API
+ * With `transport: 'dev-server'`, pages talk to the server through webpack-dev-server
+ * middleware on the app's own origin instead of a separate Socket.IO port
  */
 export class XrayReactWebpackPlugin {
   constructor(params = {}) {
     this.params = params;
     this.runServer = typeof params.server !== 'undefined' ? params.server : true;
     this.mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
-    this.sources = {};
-    this.usageMap = {};
-    this.importMap = {};
-    this.serverIO = null;
-    this.httpServer = null;
+    this.transport =
+      params.transport === TRANSPORT_DEV_SERVER ? TRANSPORT_DEV_SERVER : TRANSPORT_SOCKET_IO;
+    this.server = null;
+    this.devServerOrigins = [];
+    this.mountedMiddlewares = new WeakSet(); // middleware lists the middleware was added to
+  }
+
+  /**
+   * Collects the origins webpack-dev-server can be reached at, so the page may connect
+   * @param {Object} devServer - webpack-dev-server options
+   * @returns {Array<string>} Origins (loopback origins are always allowed); none while the port
+   * is one the dev server picks itself ('auto')
+   */
+  getDevServerOrigins(devServer) {
+    if (!devServer) return [];
+
+    const serverType =
+      typeof devServer.server === 'object' ? devServer.server?.type : devServer.server;
+    const isHttps = devServer.https || serverType === 'https' || serverType === 'spdy';
+    const port = Number(devServer.port ?? 8080);
+
+    return getDevServerOrigins({
+      protocol: isHttps ? 'https' : 'http',
+      host: devServer.host,
+      port: Number.isInteger(port) ? port : null,
+    });
+  }
+
+  /**
+   * Allows origins of the dev server, on the server if it already exists
+   * @param {Array<string>} origins - Origins
+   */
+  allowDevServerOrigins(origins) {
+    origins.forEach((origin) =>
+      this.server ? this.server.allowOrigin(origin) : this.devServerOrigins.push(origin),
+    );
+  }
+
+  /**
+   * Gets the shared xray-react server, creating it on first use
+   * @param {string} compilationContext - Webpack compilation context
+   * @returns {XrayServer} Server instance
+   */
+  getServer(compilationContext) {
+    if (!this.server) {
+      const projectRoot = resolveProjectRoot({
+        sourcePath: this.params.sourcePath,
+        compilationContext: compilationContext,
+        fallbackPath: process.cwd(),
+      });
+      this.server = createPluginServer(
+        {
+          ...this.params,
+          allowedOrigins: [...(this.params.allowedOrigins || []), ...this.devServerOrigins],
+        },
+        projectRoot,
+        this.mode,
+        this.transport,
+      );
+    }
+    return this.server;
+  }
+
+  /**
+   * Mounts the xray-react middleware on webpack-dev-server and allows the origins it listens on
+   * Added to the dev server config by the plugin; with the Node API, call it from your own
+   * `setupMiddlewares` option
+   * @param {Array} middlewares - webpack-dev-server middlewares
+   * @param {Object} devServer - webpack-dev-server instance
+   * @returns {Array} Middlewares
+   */
+  setupMiddlewares(middlewares, devServer) {
+    // The dev server resolves its host and port ('auto' or a string) before setting up middlewares
+    if (this.runServer && devServer?.options) {
+      this.allowDevServerOrigins(this.getDevServerOrigins(devServer.options));
+    }
+
+    const isMounted = this.mountedMiddlewares.has(middlewares);
+    if (!this.runServer || this.transport !== TRANSPORT_DEV_SERVER || isMounted) {
+      return middlewares;
+    }
+
+    this.mountedMiddlewares.add(middlewares);
+    const server = this.getServer(devServer?.compiler?.options?.context);
+    // Ahead of the compression middleware, which would buffer the event stream
+    middlewares.unshift({ name: 'xray-react', middleware: server.createMiddleware() });
+    return middlewares;
+  }
+
+  /**
+   * Chains setupMiddlewares into the webpack-dev-server config of the compiler, to mount the
+   * middleware and allow the origins of the running dev server
+   * webpack-cli creates the dev server from this config after the plugins are applied
+   * @param {Object} compiler - Webpack compiler instance
+   */
+  applyDevServerMiddleware(compiler) {
+    if (!this.runServer) return;
+
+    const devServer = compiler.options.devServer || {};
+    const userSetupMiddlewares = devServer.setupMiddlewares;
+    compiler.options.devServer = {
+      ...devServer,
+      setupMiddlewares: (middlewares, server) => {
+        const result =
+          typeof userSetupMiddlewares === 'function'
+            ? userSetupMiddlewares(middlewares, server)
+            : middlewares;
+        return this.setupMiddlewares(result, server);
+      },
+    };
   }
 
   /**
@@ -55,13 +156,39 @@ export class XrayReactWebpackPlugin {
   checkModuleResource(resource, sourcePath) {
     if (!resource) return false;
 
+    // Workspace packages the project depends on live outside its context
     const isNeededSource =
-      resource.includes(sourcePath) &&
+      (resource.includes(sourcePath) || Boolean(this.server?.isWorkspaceFile(resource))) &&
       !resource.includes('/node_modules/') &&
       !resource.includes('\\node_modules\\');
-    const isNeededFileExt = REACT_FILE_EXTS.includes(path.extname(resource));
+    // The server knows the extensions and include/exclude globs of the project config
+    const isNeededFile = this.server
+      ? this.server.isSourceFile(resource)
+      : REACT_FILE_EXTS.includes(path.extname(resource));
+
+    return isNeededSource && isNeededFile;
+  }
+
+  /**
+   * Registers the JSX source loader for project files in development builds
+   * The loader stamps host elements with data-xray-source/data-xray-component attributes
+   * @param {Object} compiler - Webpack compiler instance
+   */
+  applySourceLoader(compiler) {
+    const isDevelopment =
+      compiler.options.mode === 'development' || process.env.NODE_ENV === 'development';
+
+    if (!isDevelopment || this.params.sourceAttributes === false) {
+      return;
+    }
+
+    const projectRoot = resolveProjectRoot({
+      sourcePath: this.params.sourcePath,
+      compilationContext: compiler.options.context,
+      fallbackPath: process.cwd(),
+    });
 
-    return isNeededSource && isNeededFileExt;
+    compiler.options.module.rules.push(getSourceLoaderRule(projectRoot));
   }
 
   /**
@@ -71,6 +198,10 @@ export class XrayReactWebpackPlugin {
   apply(compiler) {
     const pluginName = 'XrayReactWebpackPlugin';
 
+    this.applySourceLoader(compiler);
+    this.applyDevServerMiddleware(compiler);
+    this.devServerOrigins = this.getDevServerOrigins(compiler.options.devServer);
+
     compiler.hooks.compilation.tap(pluginName, (compilation) => {
       compilation.hooks.processAssets.tapAsync(
         { name: pluginName, stage: compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE },
@@ -173,12 +304,13 @@ export class XrayReactWebpackPlugin {
 
               let combinedSource = currentSource;
 
-              combinedSource += `\nwindow.__XRAY_REACT_MODE__='${this.mode}';`;
+              const mode = this.server ? this.server.mode : this.mode;
+              combinedSource += `\nwindow.__XRAY_REACT_MODE__='${mode}';`;
               combinedSource += '\n' + uiScript;
 
               if (this.runServer && fs.existsSync(pathToClientFile)) {
-                const port = resolvePort({ port: this.params.port });
-                combinedSource += `\nwindow.__XRAY_REACT_PORT__=${port};`;
+                const server = this.getServer(compilation.options.context);
+                combinedSource += '\n' + server.getClientConfigScript();
 
                 const clientScript = fs.readFileSync(pathToClientFile, 'utf8');
                 combinedSource += '\n' + clientScript;
@@ -204,112 +336,50 @@ export class XrayReactWebpackPlugin {
     });
 
     if (this.runServer) {
+      // Port and mode from xray-react.config are needed before scripts are injected
+      compiler.hooks.beforeCompile.tapPromise(pluginName, async () => {
+        const server = this.getServer(compiler.options.context);
+        await server.loadConfig();
+        server.setAliases(compiler.options.resolve?.alias);
+      });
+
       compiler.hooks.compilation.tap(pluginName, (compilation) => {
         compilation.hooks.afterOptimizeModules.tap(pluginName, (modules) => {
           const sourcePath = this.params.sourcePath || compilation.options.context;
-
-          const projectRoot = resolveProjectRoot({
-            sourcePath: this.params.sourcePath,
-            compilationContext: compilation.options.context,
-            fallbackPath: process.cwd(),
-          });
+          const server = this.getServer(compilation.options.context);
 
           for (const module of modules) {
             const resource = module.resource || module.userRequest;
             if (this.checkModuleResource(resource, sourcePath)) {
-              const componentNames = extractComponentNames(resource);
-              const priority = getFilePriority(resource);
-              const context = extractComponentContext(resource, projectRoot);
-
-              componentNames.forEach((name) => {
-                if (!this.sources.hasOwnProperty(name)) {
-                  this.sources[name] = [];
-                }
-                this.sources[name].push({ path: resource, context: context, priority: priority });
-              });
+              server.registerFile(resource);
             }
           }
         });
       });
 
       compiler.hooks.done.tap(pluginName, (stats) => {
-        if (!this.serverIO) {
-          try {
-            const projectRoot = resolveProjectRoot({
-              sourcePath: this.params.sourcePath,
-              compilationContext: stats.compilation?.options?.context,
-              fallbackPath: process.cwd(),
-            });
-
-            const sourcePaths = detectSourcePaths(projectRoot);
-
-            this.usageMap = buildUsageMap(sourcePaths);
-
-            this.importMap = buildImportMap(sourcePaths);
-
-            const allProjectFiles = [];
-            sourcePaths.forEach((sourcePath) => {
-              if (fs.existsSync(sourcePath)) {
-                const files = scanSourceFiles(sourcePath);
-                allProjectFiles.push(...files);
-              }
-            });
-
-            const port = resolvePort({ port: this.params.port });
-
-            this.httpServer = createServer();
-            this.serverIO = new Server(this.httpServer, {
-              cors: { origin: '*', methods: ['GET', 'POST'] },
-            });
-            this.httpServer.listen(port);
-
-            this.serverIO.on('connection', (socket) => {
-              socket.emit('project-config', {
-                projectRoot: projectRoot,
-                port: port,
-                mode: this.mode,
-              });
-
-              socket.emit('usage-map', { usage: this.usageMap });
-
-              socket.emit('import-map', { imports: this.importMap });
-
-              socket.emit('project-files', { files: allProjectFiles });
-
-              socket.on('xray-react-component', (structure) => {
-                if (structure) {
-                  const hierarchy = structure.split(' -> ').map((name) => name.trim());
-                  const componentNames = [...hierarchy].reverse();
-
-                  for (const name of componentNames) {
-                    const trimmedName = name.trim();
-                    const filepath = findComponentFile(trimmedName, hierarchy, this.sources);
-                    if (filepath && fs.existsSync(filepath)) {
-                      openFile(filepath);
-                      return;
-                    }
-                  }
-                }
-              });
-            });
-
-            console.log(`xray-react: Socket.IO server started on port ${port}`);
-            console.log(`xray-react: Editor: ${process.env.XRAY_REACT_EDITOR || 'not set'}`);
-          } catch (error) {
-            console.error('xray-react: Failed to start Socket.IO server', error);
-          }
-        }
+        // Start errors are logged by the server, keep the build running
+        this.getServer(stats.compilation?.options?.context)
+          .start()
+          .catch(() => {});
       });
+
+      this.applyShutdown(compiler, pluginName);
     }
+  }
+
+  /**
+   * Closes the server with the compiler: when watch mode (or the dev server) stops, and on
+   * `compiler.close()`
+   * @param {Object} compiler - Webpack compiler instance
+   * @param {string} pluginName - Name to tap the hooks with
+   */
+  applyShutdown(compiler, pluginName) {
+    const closeServer = () => (this.server ? this.server.close() : Promise.resolve());
 
-    process.once('SIGINT', () => {
-      if (this.serverIO) {
-        this.serverIO.close();
-        if (this.httpServer) {
-          this.httpServer.close();
-        }
-      }
-      process.exit(0);
+    compiler.hooks.watchClose.tap(pluginName, () => {
+      closeServer().catch((error) => console.error('xray-react: Failed to close server', error));
     });
+    compiler.hooks.shutdown.tapPromise(pluginName, closeServer);
   }
 }
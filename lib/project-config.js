@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { AVAILABLE_UI_MODES, EDITOR_URL_SCHEMES } from './constants.js';
+import { parsePathMappings } from './path-mappings.js';
+
+// Looked up in the project root, first match wins
+export const CONFIG_FILE_NAMES = [
+  'xray-react.config.js',
+  'xray-react.config.mjs',
+  'xray-react.config.json',
+];
+
+/**
+ * Error in the project config file, with a message pointing at the file and option
+ */
+export class ConfigError extends Error {
+  constructor(message, configPath) {
+    super(configPath ? `${path.basename(configPath)}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+  }
+}
+
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim() !== '');
+
+// Option name -> validator returning an error message, or null when the value is valid
+const CONFIG_VALIDATORS = {
+  include: (value) => (isStringArray(value) ? null : 'must be an array of globs'),
+  exclude: (value) => (isStringArray(value) ? null : 'must be an array of globs'),
+  extensions: (value) =>
+    isStringArray(value) && value.every((ext) => /^\.[\w.-]+$/.test(ext))
+      ? null
+      : 'must be an array of extensions starting with a dot (e.g., [".mjs"])',
+  ignoreComponents: (value) =>
+    Array.isArray(value) &&
+    value.every((item) => item instanceof RegExp || (typeof item === 'string' && item !== ''))
+      ? null
+      : 'must be an array of component name globs or regular expressions',
+  port: (value) =>
+    Number.isInteger(value) && value >= 1 && value <= 65535
+      ? null
+      : 'must be an integer from 1 to 65535',
+  mode: (value) =>
+    AVAILABLE_UI_MODES.includes(value) ? null : `must be one of ${AVAILABLE_UI_MODES.join(', ')}`,
+  editor: (value) => (typeof value === 'string' && value ? null : 'must be a command'),
+  editorTemplate: (value) =>
+    typeof value === 'string' && value ? null : 'must be a command template or preset name',
+  editorUrl: (value) =>
+    EDITOR_URL_SCHEMES.includes(value) ? null : `must be one of ${EDITOR_URL_SCHEMES.join(', ')}`,
+  editorRemote: (value) => (typeof value === 'string' && value ? null : 'must be a string'),
+  pathMappings: (value) => {
+    if (value === 'auto') return null;
+    try {
+      parsePathMappings(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+  watch: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+  cache: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+  workspaces: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+};
+
+/**
+ * Validates a project config
+ * @param {Object} config - Config object
+ * @param {string} configPath - Config file (for error messages)
+ * @returns {Object} The config
+ * @throws {ConfigError} Listing every invalid or unknown option
+ */
+export function validateProjectConfig(config, configPath = null) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError('must export an object', configPath);
+  }
+
+  const problems = Object.entries(config).map(([key, value]) => {
+    const validate = CONFIG_VALIDATORS[key];
+    if (!validate) {
+      return `unknown option "${key}" (expected one of ${Object.keys(CONFIG_VALIDATORS).join(', ')})`;
+    }
+    if (value === undefined) return null;
+
+    const problem = validate(value);
+    return problem ? `"${key}" ${problem}, got ${JSON.stringify(value)}` : null;
+  });
+
+  const messages = problems.filter(Boolean);
+  if (messages.length > 0) {
+    throw new ConfigError(messages.join('; '), configPath);
+  }
+
+  return config;
+}
+
+/**
+ * Finds the project config file
+ * @param {string} projectRoot - Project root
+ * @returns {string|null} Path to the config file or null if there is none
+ */
+export function findProjectConfigFile(projectRoot) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = path.join(projectRoot, fileName);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads and validates the optional project config file (xray-react.config.{js,mjs,json})
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<{config: Object, configPath: string|null}>} Config ({} without a file)
+ * @throws {ConfigError} If the file cannot be loaded or is invalid
+ */
+export async function loadProjectConfig(projectRoot) {
+  const configPath = findProjectConfigFile(projectRoot);
+  if (!configPath) {
+    return { config: {}, configPath: null };
+  }
+
+  let config;
+  try {
+    if (configPath.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      // The mtime query reloads the file when it changed since the last import
+      const { mtimeMs } = fs.statSync(configPath);
+      const module = await import(`${pathToFileURL(configPath).href}?mtime=${mtimeMs}`);
+      config = module.default ?? module;
+    }
+  } catch (error) {
+    throw new ConfigError(`failed to load: ${error.message}`, configPath);
+  }
+
+  return { config: validateProjectConfig(config, configPath), configPath };
+}
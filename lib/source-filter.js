@@ -0,0 +1,153 @@
+import path from 'path';
+import { REACT_FILE_EXTS } from './constants.js';
+
+/**
+ * Converts a glob to a regular expression matching forward-slash paths
+ * Supports `**`, `*`, `?`, `{a,b}` and `[abc]`
+ * @param {string} pattern - Glob relative to the project root (e.g., 'apps/web/**')
+ * @returns {RegExp} Regular expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` anything below
+      const isSegment = pattern[i + 2] === '/';
+      source += isSegment ? '(?:.*/)?' : '.*';
+      i += isSegment ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern
+          .slice(i + 1, end)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Gets the directory part of a glob before its first wildcard
+ * @param {string} pattern - Glob
+ * @returns {string} Static base directory ('' for the root)
+ */
+export function getGlobBase(pattern) {
+  const segments = pattern.split('/');
+  const wildcardIndex = segments.findIndex((segment) => /[*?[{]/.test(segment));
+  return (wildcardIndex === -1 ? segments : segments.slice(0, wildcardIndex)).join('/');
+}
+
+/**
+ * Creates the filter deciding which files are indexed
+ * Include globs name files or directories (a directory includes everything below it);
+ * globs are relative to the project root
+ * @param {Object} options - Filter options
+ * @param {string} options.projectRoot - Project root
+ * @param {Array<string>} options.include - Globs of files or directories to index (default: all)
+ * @param {Array<string>} options.exclude - Globs of files or directories to skip
+ * @param {Array<string>} options.extensions - Extra file extensions besides .js/.jsx/.ts/.tsx
+ * @param {Array<string|RegExp>} options.ignoreComponents - Component names (globs) or patterns
+ *   to leave out of the index
+ * @returns {Object} Source filter
+ */
+export function createSourceFilter({
+  projectRoot,
+  include = [],
+  exclude = [],
+  extensions = [],
+  ignoreComponents = [],
+}) {
+  const toMatchers = (globs) =>
+    globs.flatMap((glob) => {
+      const normalized = glob.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+      return [globToRegExp(normalized), globToRegExp(`${normalized}/**`)];
+    });
+
+  const includeMatchers = toMatchers(include);
+  const excludeMatchers = toMatchers(exclude);
+  const componentMatchers = ignoreComponents.map((pattern) =>
+    pattern instanceof RegExp ? pattern : globToRegExp(pattern),
+  );
+  const allExtensions = [...new Set([...REACT_FILE_EXTS, ...extensions])];
+
+  const toRelative = (filePath) => path.relative(projectRoot, filePath).split(path.sep).join('/');
+
+  return {
+    extensions: allExtensions,
+
+    /**
+     * Directories to scan for the include globs
+     * @returns {Array<string>} Absolute directories, empty when nothing is included explicitly
+     */
+    getScanRoots() {
+      const roots = include.map((glob) =>
+        path.resolve(projectRoot, getGlobBase(glob.replace(/\\/g, '/').replace(/^\.\//, ''))),
+      );
+      // Drop roots nested in other roots
+      return [...new Set(roots)].filter(
+        (root) => !roots.some((other) => other !== root && root.startsWith(`${other}${path.sep}`)),
+      );
+    },
+
+    /**
+     * Checks if a file (or a directory below the project root) is excluded
+     * @param {string} filePath - Absolute path
+     * @returns {boolean} True if an exclude glob matches
+     */
+    isExcluded(filePath) {
+      const relative = toRelative(filePath);
+      return excludeMatchers.some((matcher) => matcher.test(relative));
+    },
+
+    /**
+     * Checks if a file is indexed: known extension, included and not excluded
+     * @param {string} filePath - Absolute path
+     * @returns {boolean} True for source files
+     */
+    isSourceFile(filePath) {
+      if (!allExtensions.includes(path.extname(filePath))) return false;
+
+      const relative = toRelative(filePath);
+      if (
+        includeMatchers.length > 0 &&
+        !includeMatchers.some((matcher) => matcher.test(relative))
+      ) {
+        return false;
+      }
+      return !excludeMatchers.some((matcher) => matcher.test(relative));
+    },
+
+    /**
+     * Checks if a component name is ignored
+     * @param {string} name - Component name
+     * @returns {boolean} True if an ignore pattern matches
+     */
+    isIgnoredComponent(name) {
+      return componentMatchers.some((matcher) => matcher.test(name));
+    },
+  };
+}
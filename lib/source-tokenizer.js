@@ -0,0 +1,352 @@
+/**
+ * Lightweight tokenizer for JS/TS/JSX/TSX source files
+ * Skips comments and understands strings, template literals, regular expressions and JSX
+ * (including JSX text, which may contain quotes), without pulling in a full parser.
+ */
+
+// Characters and keywords after which `<` starts a JSX element rather than a comparison
+const JSX_PRECEDING_CHARS = new Set(['(', '[', '{', ',', '=', ':', '?', '!', '&', '|', ';', '>']);
+const JSX_PRECEDING_KEYWORDS = new Set(['return', 'yield', 'await', 'case', 'default']);
+// Characters after which `/` starts a regular expression literal rather than a division
+const REGEX_PRECEDING_CHARS = new Set(['(', '[', '{', ',', '=', ':', '?', '!', '&', '|', ';']);
+const MULTI_CHAR_PUNCTUATORS = /^(?:=>|\.\.\.|===|!==|==|!=|<=|>=|&&|\|\||\?\?|\?\.)/;
+
+/**
+ * Splits source code into tokens
+ *
+ * Token types:
+ * - `name`: identifier or keyword
+ * - `punct`: punctuator (`{`, `=>`, `.`, ...)
+ * - `string`: string literal, `value` is the unquoted content
+ * - `template`, `regex`, `number`: literals (expressions inside templates are tokenized too)
+ * - `jsx`: opening tag of a JSX element, `value` is the tag name ('' for fragments), with
+ *   `nameEnd` (offset after the tag name) and `attributes` (attribute names)
+ *
+ * Every token has `start` (offset), `line` (1-based) and `depth` (enclosing `{}` nesting
+ * outside of JSX expression containers).
+ *
+ * @param {string} code - Source code
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.jsx - Whether `<` may start JSX (default: true; false for .ts files)
+ * @returns {Array<Object>} Tokens in source order
+ */
+export function tokenize(code, options = {}) {
+  const allowJsx = options.jsx !== false;
+  const tokens = [];
+  const length = code.length;
+  const lineStarts = [0];
+  let i = 0;
+  let depth = 0;
+
+  for (let index = 0; index < length; index++) {
+    if (code.charCodeAt(index) === 10) lineStarts.push(index + 1);
+  }
+
+  const lineAt = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  const push = (type, value, start, extra) => {
+    const token = { type, value, start, line: lineAt(start), depth };
+    tokens.push(extra ? Object.assign(token, extra) : token);
+    return token;
+  };
+
+  const skipWhitespaceAndComments = () => {
+    while (i < length) {
+      if (/\s/.test(code[i])) {
+        i++;
+      } else if (code.startsWith('//', i)) {
+        const end = code.indexOf('\n', i);
+        i = end === -1 ? length : end + 1;
+      } else if (code.startsWith('/*', i)) {
+        const end = code.indexOf('*/', i + 2);
+        i = end === -1 ? length : end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const skipString = (quote) => {
+    i++;
+    while (i < length && code[i] !== quote) {
+      if (code[i] === '\\') i++;
+      if (code[i] === '\n' && quote !== '`') break;
+      i++;
+    }
+    i++;
+  };
+
+  const skipRegex = () => {
+    i++;
+    let inClass = false;
+    while (i < length && code[i] !== '\n') {
+      if (code[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (code[i] === '[') inClass = true;
+      else if (code[i] === ']') inClass = false;
+      else if (code[i] === '/' && !inClass) break;
+      i++;
+    }
+    i++;
+    while (i < length && /[a-z]/i.test(code[i])) i++;
+  };
+
+  const readName = () => {
+    const match = /^[A-Za-z_$][\w$.:-]*/.exec(code.slice(i, i + 200));
+    if (!match) return null;
+    i += match[0].length;
+    return match[0];
+  };
+
+  let scanJs;
+  let parseJsxElement;
+
+  const skipTemplate = () => {
+    push('template', null, i);
+    i++;
+    while (i < length && code[i] !== '`') {
+      if (code[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (code[i] === '$' && code[i + 1] === '{') {
+        i += 2;
+        if (!scanJs(true)) return false;
+        continue;
+      }
+      i++;
+    }
+    i++;
+    return true;
+  };
+
+  const parseJsxChildren = (tagName) => {
+    while (i < length) {
+      const char = code[i];
+      if (char === '<') {
+        if (code[i + 1] === '/') {
+          i += 2;
+          skipWhitespaceAndComments();
+          const closingName = readName() || '';
+          skipWhitespaceAndComments();
+          if (closingName !== tagName || code[i] !== '>') return false;
+          i++;
+          return true;
+        }
+        if (!parseJsxElement()) return false;
+      } else if (char === '{') {
+        i++;
+        if (!scanJs(true)) return false;
+      } else {
+        i++;
+      }
+    }
+    return false;
+  };
+
+  const parseJsxElementBody = () => {
+    const start = i;
+    i++;
+    skipWhitespaceAndComments();
+
+    if (code[i] === '>') {
+      push('jsx', '', start, { nameEnd: i, attributes: [] });
+      i++;
+      return parseJsxChildren('');
+    }
+
+    const tagName = readName();
+    if (!tagName) return false;
+    const nameEnd = i;
+
+    skipWhitespaceAndComments();
+    if (code[i] === ',' || code.startsWith('extends', i)) {
+      return false;
+    }
+
+    const element = push('jsx', tagName, start, { nameEnd, attributes: [] });
+
+    while (i < length) {
+      skipWhitespaceAndComments();
+      const char = code[i];
+
+      if (char === '/' && code[i + 1] === '>') {
+        i += 2;
+        return true;
+      }
+      if (char === '>') {
+        i++;
+        return parseJsxChildren(tagName);
+      }
+      if (char === '{') {
+        i++;
+        if (!scanJs(true)) return false;
+        continue;
+      }
+
+      const attrName = /^[^\s=/>{]+/.exec(code.slice(i, i + 200));
+      if (!attrName) return false;
+      i += attrName[0].length;
+      element.attributes.push(attrName[0]);
+
+      skipWhitespaceAndComments();
+      if (code[i] !== '=') continue;
+      i++;
+      skipWhitespaceAndComments();
+
+      if (code[i] === '"' || code[i] === "'") {
+        const end = code.indexOf(code[i], i + 1);
+        if (end === -1) return false;
+        i = end + 1;
+      } else if (code[i] === '{') {
+        i++;
+        if (!scanJs(true)) return false;
+      } else if (code[i] === '<') {
+        if (!parseJsxElement()) return false;
+      } else {
+        return false;
+      }
+    }
+
+    return false;
+  };
+
+  parseJsxElement = () => {
+    const tokensBefore = tokens.length;
+    const depthBefore = depth;
+    const isElement = parseJsxElementBody();
+    if (!isElement) {
+      // Not JSX after all (or unterminated), drop anything recorded inside it
+      tokens.length = tokensBefore;
+      depth = depthBefore;
+    }
+    return isElement;
+  };
+
+  scanJs = (untilClosingBrace) => {
+    const startDepth = depth;
+    let prevChar = '';
+    let prevWord = '';
+
+    while (i < length) {
+      const char = code[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (code.startsWith('//', i) || code.startsWith('/*', i)) {
+        skipWhitespaceAndComments();
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(char)) {
+        const word = /^[\w$]+/.exec(code.slice(i, i + 100))[0];
+        push('name', word, i);
+        i += word.length;
+        prevChar = 'a';
+        prevWord = word;
+        continue;
+      }
+
+      if (/[0-9]/.test(char)) {
+        const number = /^[0-9][\w.]*/.exec(code.slice(i, i + 100))[0];
+        push('number', number, i);
+        i += number.length;
+        prevChar = '0';
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const start = i;
+        skipString(char);
+        push('string', code.slice(start + 1, Math.max(start + 1, i - 1)), start);
+        prevChar = 'a';
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '`') {
+        if (!skipTemplate()) return false;
+        prevChar = 'a';
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '/') {
+        if (
+          !prevChar ||
+          REGEX_PRECEDING_CHARS.has(prevChar) ||
+          JSX_PRECEDING_KEYWORDS.has(prevWord)
+        ) {
+          push('regex', null, i);
+          skipRegex();
+          prevChar = 'a';
+        } else {
+          push('punct', char, i);
+          i++;
+          prevChar = char;
+        }
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '<' && allowJsx) {
+        const startsJsx =
+          (!prevChar ||
+            JSX_PRECEDING_CHARS.has(prevChar) ||
+            JSX_PRECEDING_KEYWORDS.has(prevWord)) &&
+          /[A-Za-z_$>]/.test(code[i + 1] || '');
+
+        if (startsJsx) {
+          const start = i;
+          if (parseJsxElement()) {
+            prevChar = 'a';
+            prevWord = '';
+            continue;
+          }
+          i = start;
+        }
+      }
+
+      if (char === '}' && depth === startDepth && untilClosingBrace) {
+        i++;
+        return true;
+      }
+
+      const punctuator = MULTI_CHAR_PUNCTUATORS.exec(code.slice(i, i + 3));
+      const value = punctuator ? punctuator[0] : char;
+
+      if (char === '}') {
+        depth = Math.max(0, depth - 1);
+      }
+      push('punct', value, i);
+      if (char === '{') {
+        depth++;
+      }
+
+      i += value.length;
+      prevChar = value[value.length - 1];
+      prevWord = '';
+    }
+
+    return !untilClosingBrace;
+  };
+
+  scanJs(false);
+
+  return tokens;
+}
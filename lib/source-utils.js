@@ -7,28 +7,98 @@ import {
   JS_KEYWORDS,
   COMMON_SOURCE_DIRS,
 } from './constants.js';
+import { tokenize } from './source-tokenizer.js';
+import { createIgnoreMatcher } from './gitignore.js';
+import { findWorkspacePackage } from './workspaces.js';
+
+// Calls that wrap a component and keep it a component
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+// Keywords that start a statement, ending a declaration without a semicolon before them
+const STATEMENT_KEYWORDS = new Set([
+  'return',
+  'const',
+  'let',
+  'var',
+  'function',
+  'class',
+  'export',
+  'import',
+  'if',
+  'for',
+  'while',
+  'do',
+  'switch',
+  'try',
+  'throw',
+]);
 
 /**
- * Scans source files recursively
+ * Scans source files recursively without blocking the event loop
+ * Skips directories from IGNORED_DIRS and paths ignored by .gitignore files (including nested
+ * ones). Symlinked directories are only followed out of the scanned directory, and each real
+ * directory is scanned once, so symlink cycles end.
+ * @param {string} dir - Directory to scan
+ * @param {Object} filter - Optional source filter from the project config (see source-filter.js)
+ * @param {Object} ignoreMatcher - Optional ignore matcher (see gitignore.js, default: one for dir)
+ * @returns {Promise<Array<string>>} File paths
  */
-export function scanSourceFiles(dir, fileList = []) {
-  if (!fs.existsSync(dir)) {
+export async function scanSourceFiles(dir, filter = null, ignoreMatcher = null) {
+  const ignore = ignoreMatcher || createIgnoreMatcher(dir);
+  const visitedDirs = new Set();
+  const fileList = [];
+
+  let realRoot;
+  try {
+    realRoot = await fs.promises.realpath(dir);
+  } catch {
     return fileList;
   }
+  const isInsideRoot = (realPath) =>
+    realPath === realRoot || realPath.startsWith(`${realRoot}${path.sep}`);
+
+  const isSourceFile = (filePath) =>
+    filter ? filter.isSourceFile(filePath) : REACT_FILE_EXTS.includes(path.extname(filePath));
+
+  const walk = async (currentDir) => {
+    let entries;
+    try {
+      const realDir = await fs.promises.realpath(currentDir);
+      if (visitedDirs.has(realDir)) return;
+      visitedDirs.add(realDir);
+      entries = await fs.promises.readdir(currentDir, { withFileTypes: true });
+    } catch {
+      return; // Removed while scanning or not readable
+    }
 
-  const files = fs.readdirSync(dir);
-
-  files.forEach((file) => {
-    const filePath = path.join(dir, file);
-    const stat = fs.statSync(filePath);
+    for (const entry of entries) {
+      const filePath = path.join(currentDir, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (!stat) continue; // Broken link
+        isDirectory = stat.isDirectory();
+        isFile = stat.isFile();
+
+        // The target is scanned under its own path
+        if (isDirectory) {
+          const realPath = await fs.promises.realpath(filePath).catch(() => null);
+          if (!realPath || isInsideRoot(realPath)) continue;
+        }
+      }
 
-    if (stat.isDirectory()) {
-      scanSourceFiles(filePath, fileList);
-    } else if (REACT_FILE_EXTS.includes(path.extname(file))) {
-      fileList.push(filePath);
+      if (isDirectory) {
+        if (!ignore.isIgnored(filePath, true) && (!filter || !filter.isExcluded(filePath))) {
+          await walk(filePath);
+        }
+      } else if (isFile && isSourceFile(filePath) && !ignore.isIgnored(filePath)) {
+        fileList.push(filePath);
+      }
     }
-  });
+  };
 
+  await walk(dir);
   return fileList;
 }
 
@@ -41,15 +111,16 @@ export function shouldExcludeFile(filePath) {
 
 /**
  * Checks if a name should be excluded from component extraction
+ * HTML tags and keywords are lowercase, so components such as Header or Button are kept
  */
 export function shouldExcludeName(name) {
   if (!name || name.length < 2) return true;
 
-  if (HTML_ELEMENTS.includes(name.toLowerCase())) {
+  if (HTML_ELEMENTS.includes(name)) {
     return true;
   }
 
-  if (JS_KEYWORDS.includes(name.toLowerCase())) {
+  if (JS_KEYWORDS.includes(name)) {
     return true;
   }
 
@@ -57,250 +128,592 @@ export function shouldExcludeName(name) {
 }
 
 /**
- * Extracts component names from a file
- * Prioritizes actual React components over other exports
- * Includes standalone export default pattern and filename fallback
+ * Tokenizes file content, without JSX for plain TypeScript files
+ * @param {string} content - File content
  * @param {string} filePath - Path to the source file
- * @returns {Array<string>} Array of component names found in the file
+ * @returns {Array<Object>} Tokens
  */
-export function extractComponentNames(filePath) {
-  if (shouldExcludeFile(filePath)) {
-    return [];
+function tokenizeSource(content, filePath) {
+  return tokenize(content, { jsx: !/\.[mc]?ts$/.test(filePath || '') });
+}
+
+/**
+ * Finds the token that closes the bracket opened at an index
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the opening bracket token
+ * @returns {number} Index of the closing bracket token (last token if unbalanced)
+ */
+function findClosingToken(tokens, index) {
+  const open = tokens[index].value;
+  const close = { '(': ')', '[': ']', '{': '}' }[open];
+  let level = 0;
+
+  for (let j = index; j < tokens.length; j++) {
+    if (tokens[j].type !== 'punct') continue;
+    if (tokens[j].value === open) {
+      level++;
+    } else if (tokens[j].value === close && --level === 0) {
+      return j;
+    }
   }
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const componentNames = [];
-    const allNames = new Set();
+  return tokens.length - 1;
+}
 
-    // Priority 1: export default function ComponentName (most common pattern)
-    const defaultExportFunction = content.match(/export\s+default\s+function\s+(\w+)/);
-    if (defaultExportFunction && !shouldExcludeName(defaultExportFunction[1])) {
-      componentNames.push(defaultExportFunction[1]);
-      allNames.add(defaultExportFunction[1]);
+/**
+ * Checks if the expression starting at an index creates a component:
+ * a function, an arrow function, a class or a memo/forwardRef wrapper
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the first token of the initializer
+ * @returns {boolean} True if the initializer looks like a component
+ */
+function isComponentInitializer(tokens, index) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+  if (!token) return false;
+
+  if (token.type === 'name') {
+    if (['function', 'async', 'class'].includes(token.value)) return true;
+    if (COMPONENT_WRAPPERS.includes(token.value)) return true;
+    if (token.value === 'React' && next?.value === '.') {
+      return COMPONENT_WRAPPERS.includes(tokens[index + 2]?.value);
     }
+    return next?.value === '=>';
+  }
 
-    // Priority 2: export default const ComponentName = ...
-    const defaultExportConst = content.match(/export\s+default\s+const\s+(\w+)\s*=/);
-    if (defaultExportConst && !shouldExcludeName(defaultExportConst[1])) {
-      componentNames.push(defaultExportConst[1]);
-      allNames.add(defaultExportConst[1]);
-    }
+  if (token.value === '(') {
+    const after = tokens[findClosingToken(tokens, index) + 1];
+    return after?.value === '=>' || after?.value === ':';
+  }
+
+  // Generic arrow function: <T,>(props: T) => ...
+  return token.value === '<';
+}
+
+/**
+ * Reads a function, class or variable declaration starting at an index
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the declaration keyword
+ * @returns {Object|null} Declaration ({ name, line, isComponent }, plus the `initializer` index
+ *   of variables with one) or null
+ */
+function readDeclaration(tokens, index) {
+  let keyword = tokens[index];
+  if (keyword?.value === 'async' && tokens[index + 1]?.value === 'function') {
+    keyword = tokens[++index];
+  }
+  if (!keyword || keyword.type !== 'name') return null;
 
-    // Priority 2.5: export default ComponentName; (standalone export)
-    const standaloneDefaultExport = content.match(/export\s+default\s+(\w+)\s*;/);
-    if (
-      standaloneDefaultExport &&
-      !shouldExcludeName(standaloneDefaultExport[1]) &&
-      !allNames.has(standaloneDefaultExport[1])
+  if (keyword.value === 'function' || keyword.value === 'class') {
+    const nameToken = tokens[index + 1]?.value === '*' ? tokens[index + 2] : tokens[index + 1];
+    if (nameToken?.type !== 'name' || nameToken.value === 'extends') return null;
+    return { name: nameToken.value, line: keyword.line, isComponent: true };
+  }
+
+  if (!['const', 'let', 'var'].includes(keyword.value)) return null;
+
+  const nameToken = tokens[index + 1];
+  if (nameToken?.type !== 'name') return null;
+
+  // Skip a TypeScript annotation such as `: React.FC<Props>` up to the `=`
+  let j = index + 2;
+  if (tokens[j]?.value === ':') {
+    while (
+      j < tokens.length &&
+      !(['=', '>='].includes(tokens[j].value) && tokens[j].depth === keyword.depth) &&
+      tokens[j].value !== ';'
     ) {
-      componentNames.push(standaloneDefaultExport[1]);
-      allNames.add(standaloneDefaultExport[1]);
+      j++;
     }
+  }
+  if (!['=', '>='].includes(tokens[j]?.value)) {
+    return { name: nameToken.value, line: keyword.line, isComponent: false };
+  }
 
-    // Priority 3: export const ComponentName = () => or export const ComponentName = function()
-    const constComponents = content.matchAll(
-      /export\s+const\s+(\w+)\s*=\s*(?:\([^)]*\)\s*=>|function|React\.(?:forwardRef|memo))/g,
-    );
-    for (const match of constComponents) {
-      if (!shouldExcludeName(match[1]) && !allNames.has(match[1])) {
-        componentNames.push(match[1]);
-        allNames.add(match[1]);
-      }
-    }
+  return {
+    name: nameToken.value,
+    line: keyword.line,
+    isComponent: isComponentInitializer(tokens, j + 1),
+    initializer: j + 1,
+  };
+}
 
-    // Priority 4: export function ComponentName(
-    const functionDeclarations = content.matchAll(/export\s+function\s+(\w+)\s*\(/g);
-    for (const match of functionDeclarations) {
-      if (!shouldExcludeName(match[1]) && !allNames.has(match[1])) {
-        componentNames.push(match[1]);
-        allNames.add(match[1]);
+/**
+ * Finds the offset a variable declaration ends at: its `;` or `,`, the `}` of the enclosing
+ * block, or (without semicolons) a statement keyword starting a new line
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the first token of the initializer
+ * @param {number} depth - Brace depth of the declaration
+ * @returns {number} End offset (Infinity at the end of the file)
+ */
+function findDeclarationEnd(tokens, index, depth) {
+  let level = 0;
+
+  for (let j = index; j < tokens.length; j++) {
+    const token = tokens[j];
+    if (token.depth < depth) return token.start;
+
+    if (token.type === 'punct' && ['(', '['].includes(token.value)) {
+      level++;
+    } else if (token.type === 'punct' && [')', ']'].includes(token.value)) {
+      level--;
+    } else if (level === 0 && token.depth === depth) {
+      if (token.type === 'punct' && [';', ','].includes(token.value)) return token.start;
+      if (
+        j > index &&
+        token.type === 'name' &&
+        STATEMENT_KEYWORDS.has(token.value) &&
+        token.line > tokens[j - 1].line
+      ) {
+        return token.start;
       }
     }
+  }
 
-    // Priority 5: export class ComponentName
-    const classDeclarations = content.matchAll(/export\s+class\s+(\w+)/g);
-    for (const match of classDeclarations) {
-      if (!shouldExcludeName(match[1]) && !allNames.has(match[1])) {
-        componentNames.push(match[1]);
-        allNames.add(match[1]);
-      }
-    }
+  return Infinity;
+}
 
-    // Lower priority: const ComponentName = ... (non-exported, but might be used)
-    if (componentNames.length === 0) {
-      const localConstComponents = content.matchAll(
-        /(?:const|let|var)\s+(\w+)\s*=\s*(?:\([^)]*\)\s*=>|function|React\.(?:forwardRef|memo))/g,
-      );
-      for (const match of localConstComponents) {
-        if (!shouldExcludeName(match[1]) && !allNames.has(match[1])) {
-          componentNames.push(match[1]);
-          allNames.add(match[1]);
-        }
-      }
+/**
+ * Collects the scopes of component declarations at any depth: the bodies of capitalized
+ * functions and classes and the initializers of capitalized component variables
+ * Used to find the component that encloses a JSX element
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<{name: string, start: number, end: number}>} Scopes in source order, with the
+ *   offsets of the declaration and of its end
+ */
+export function collectComponentScopes(tokens) {
+  const scopes = [];
+
+  for (let index = 0; index < tokens.length; index++) {
+    const keyword = tokens[index];
+    // `async function` is read from its `function` token
+    if (keyword.type !== 'name' || keyword.value === 'async') continue;
+    if (['.', '?.'].includes(tokens[index - 1]?.value)) continue;
+
+    const declaration = readDeclaration(tokens, index);
+    if (!declaration?.isComponent || !/^[A-Z]/.test(declaration.name)) continue;
+
+    if (declaration.initializer) {
+      scopes.push({
+        name: declaration.name,
+        start: keyword.start,
+        end: findDeclarationEnd(tokens, declaration.initializer, keyword.depth),
+      });
+      continue;
     }
 
-    if (componentNames.length === 0) {
-      const filename = path.basename(filePath, path.extname(filePath));
-      if (!shouldExcludeName(filename)) {
-        componentNames.push(filename);
+    // The body is the first `{` outside the parameters (or the `extends` call)
+    let level = 0;
+    for (let j = index + 1; j < tokens.length; j++) {
+      const token = tokens[j];
+      if (token.type !== 'punct') continue;
+      if (token.value === '(') level++;
+      else if (token.value === ')') level--;
+      else if (token.value === '{' && level === 0) {
+        const closing = tokens[findClosingToken(tokens, j)];
+        scopes.push({ name: declaration.name, start: keyword.start, end: closing.start + 1 });
+        break;
       }
     }
+  }
 
-    return componentNames;
-  } catch (error) {
-    console.error(`xray-react: Error reading ${filePath}:`, error);
-    return [];
+  return scopes;
+}
+
+/**
+ * Reads the component name of a default export expression
+ * Handles `export default Foo` and wrapped components such as `memo(Foo)`,
+ * `React.forwardRef(Foo)` or `connect(mapState)(Foo)`
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the first token after `export default`
+ * @returns {string|null} Component name or null
+ */
+function readDefaultExportName(tokens, index) {
+  const first = tokens[index];
+  if (first?.type !== 'name') return null;
+
+  const next = tokens[index + 1];
+  if (!next || !['(', '.', '<'].includes(next.value)) {
+    return first.value;
+  }
+
+  let wrapped = null;
+  let level = 0;
+  for (let j = index; j < tokens.length; j++) {
+    const token = tokens[j];
+    if (token.value === '(') {
+      level++;
+    } else if (token.value === ')') {
+      level--;
+      if (level === 0 && tokens[j + 1]?.value !== '(') break;
+    } else if (
+      token.type === 'name' &&
+      tokens[j - 1].value === '(' &&
+      tokens[j + 1]?.value === ')'
+    ) {
+      wrapped = token.value;
+    } else if (
+      level === 0 &&
+      token.type !== 'name' &&
+      !['.', '<', '>', ','].includes(token.value)
+    ) {
+      break;
+    }
   }
+
+  return wrapped;
 }
 
 /**
- * Extracts JSX component usage from a source file
- * Scans for actual JSX usage patterns: <Component />, <Library.Component>, {condition && <Component />}
+ * Reads the entries of an export list: `export { Foo, Bar as default }`
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the `{` token
+ * @returns {{entries: Array<{local: string, exported: string}>, end: number}} Entries and the
+ *   index of the closing `}`
  */
-export function extractJSXUsageFromFile(filePath) {
-  if (shouldExcludeFile(filePath)) {
-    return new Set();
+function readExportList(tokens, index) {
+  const end = findClosingToken(tokens, index);
+  const entries = [];
+
+  for (let j = index + 1; j < end; j++) {
+    if (tokens[j].value === 'type' && tokens[j + 1]?.type === 'name' && j + 1 < end) {
+      j = tokens[j + 2]?.value === 'as' ? j + 3 : j + 1;
+      continue;
+    }
+    if (tokens[j].type !== 'name' && tokens[j].type !== 'string') continue;
+
+    const local = tokens[j].value;
+    let exported = local;
+    if (tokens[j + 1]?.value === 'as') {
+      exported = tokens[j + 2]?.value;
+      j += 2;
+    }
+    entries.push({ local, exported });
   }
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const usedComponents = new Set();
-    const htmlElementsSet = new Set(HTML_ELEMENTS.map((el) => el.toLowerCase()));
-
-    const selfClosingPattern = /<(\w+)(?:\.\w+)?\s*\/>/g;
-    let match;
-    while ((match = selfClosingPattern.exec(content)) !== null) {
-      const componentName = match[1];
-      if (!htmlElementsSet.has(componentName.toLowerCase()) && !shouldExcludeName(componentName)) {
-        usedComponents.add(componentName);
-      }
+  return { entries, end };
+}
+
+/**
+ * Extracts component declarations from tokens
+ * Prioritizes default exports, then exported components, then local ones, then the file name
+ * @param {Array<Object>} tokens - Tokens
+ * @param {string} filePath - Path to the source file (used for the filename fallback)
+ * @returns {Array<{name: string, line: number|null}>} Component names with their declaration line
+ */
+function collectComponentDeclarations(tokens, filePath) {
+  const localDeclarations = new Map(); // top-level name -> { line, isComponent }
+  const defaultExports = [];
+  const namedExports = [];
+  const exportedLocals = [];
+
+  const addLocal = (declaration) => {
+    if (declaration && !localDeclarations.has(declaration.name)) {
+      localDeclarations.set(declaration.name, declaration);
     }
+  };
 
-    const openingTagPattern = /<(\w+)(?:\.(\w+))?(?:\s|>|\/)/g;
-    while ((match = openingTagPattern.exec(content)) !== null) {
-      const componentName = match[1];
-      const namespacedComponent = match[2];
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type !== 'name' || token.depth !== 0) continue;
+    if (['.', '?.'].includes(tokens[index - 1]?.value)) continue;
 
-      if (namespacedComponent) {
-        if (
-          !htmlElementsSet.has(namespacedComponent.toLowerCase()) &&
-          !shouldExcludeName(namespacedComponent)
-        ) {
-          usedComponents.add(namespacedComponent);
-        }
-      } else {
-        if (
-          !htmlElementsSet.has(componentName.toLowerCase()) &&
-          !shouldExcludeName(componentName)
-        ) {
-          usedComponents.add(componentName);
-        }
-      }
+    if (token.value !== 'export') {
+      addLocal(readDeclaration(tokens, index));
+      continue;
     }
 
-    const conditionalPattern = /\{[^}]*?<(\w+)(?:\.(\w+))?(?:\s|>|\/)/g;
-    while ((match = conditionalPattern.exec(content)) !== null) {
-      const componentName = match[1];
-      const namespacedComponent = match[2];
+    const next = tokens[index + 1];
+    if (!next) break;
 
-      if (namespacedComponent) {
-        if (
-          !htmlElementsSet.has(namespacedComponent.toLowerCase()) &&
-          !shouldExcludeName(namespacedComponent)
-        ) {
-          usedComponents.add(namespacedComponent);
-        }
+    if (next.value === 'default') {
+      const declaration = readDeclaration(tokens, index + 2);
+      if (declaration) {
+        addLocal(declaration);
+        defaultExports.push({ name: declaration.name, line: token.line });
       } else {
-        if (
-          !htmlElementsSet.has(componentName.toLowerCase()) &&
-          !shouldExcludeName(componentName)
-        ) {
-          usedComponents.add(componentName);
+        const name = readDefaultExportName(tokens, index + 2);
+        if (name) defaultExports.push({ name, line: null, exportLine: token.line });
+      }
+    } else if (next.value === '{') {
+      const { entries, end } = readExportList(tokens, index + 1);
+      // Re-exports (`export { Foo } from './Foo'`) are declared elsewhere
+      if (tokens[end + 1]?.value !== 'from') {
+        entries.forEach(({ local, exported }) => {
+          if (exported === 'default') {
+            defaultExports.push({ name: local, line: null, exportLine: token.line });
+          } else {
+            exportedLocals.push(local);
+          }
+        });
+      }
+      index = end;
+    } else {
+      const declarationIndex = next.value === 'abstract' ? index + 2 : index + 1;
+      const declaration = readDeclaration(tokens, declarationIndex);
+      if (declaration) {
+        addLocal(declaration);
+        if (declaration.isComponent) {
+          namedExports.push({ name: declaration.name, line: token.line });
         }
       }
     }
+  }
 
-    return usedComponents;
-  } catch (error) {
-    console.error(`xray-react: Error extracting JSX usage from ${filePath}:`, error);
-    return new Set();
+  const componentNames = [];
+  const allNames = new Set();
+  const addComponent = (name, line, requireCapitalized = true) => {
+    if (!name || allNames.has(name) || shouldExcludeName(name)) return;
+    if (requireCapitalized && !/^[A-Z]/.test(name)) return;
+    componentNames.push({ name: name, line: line });
+    allNames.add(name);
+  };
+
+  // Default exports keep lowercase names: they can be imported under any name
+  defaultExports.forEach(({ name, line, exportLine }) => {
+    // Point at the declaration rather than the export statement when it is in the same file
+    const local = localDeclarations.get(name);
+    addComponent(name, line || local?.line || exportLine, false);
+  });
+  namedExports.forEach(({ name, line }) => addComponent(name, line));
+  exportedLocals.forEach((name) => {
+    const local = localDeclarations.get(name);
+    if (local?.isComponent) addComponent(name, local.line);
+  });
+
+  // Lower priority: non-exported components (might be used)
+  if (componentNames.length === 0) {
+    localDeclarations.forEach(({ name, line, isComponent }) => {
+      if (isComponent) addComponent(name, line);
+    });
   }
+
+  if (componentNames.length === 0) {
+    const filename = path.basename(filePath, path.extname(filePath));
+    if (!shouldExcludeName(filename)) {
+      componentNames.push({ name: filename, line: null });
+    }
+  }
+
+  return componentNames;
 }
 
 /**
- * Extracts import statements from a source file (fallback for usage detection)
+ * Extracts JSX component usages from tokens
+ * Namespaced usages (`<Library.Component>`) are recorded under the last segment
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<{name: string, line: number}>} Used components with the line of each usage
  */
-export function extractImportsFromFile(filePath) {
-  if (shouldExcludeFile(filePath)) {
-    return new Set();
-  }
+function collectJSXUsages(tokens) {
+  const usages = [];
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const importedComponents = new Set();
+  tokens.forEach((token) => {
+    if (token.type !== 'jsx' || !token.value) return;
 
-    const defaultImportPattern = /import\s+(\w+)\s+from\s+['"](.+?)['"]/g;
-    let match;
-    while ((match = defaultImportPattern.exec(content)) !== null) {
-      const componentName = match[1];
-      if (
-        !content.substring(Math.max(0, match.index - 10), match.index).includes('type ') &&
-        !shouldExcludeName(componentName)
-      ) {
-        importedComponents.add(componentName);
-      }
+    const parts = token.value.split('.');
+    const componentName = parts[parts.length - 1];
+    if (parts.length === 1 && /^[a-z]/.test(componentName)) return;
+
+    if (!shouldExcludeName(componentName)) {
+      usages.push({ name: componentName, line: token.line });
     }
+  });
 
-    const namedImportPattern = /import\s+\{\s*([^}]+)\s*\}\s+from\s+['"](.+?)['"]/g;
-    while ((match = namedImportPattern.exec(content)) !== null) {
-      const importsList = match[1];
-      const components = importsList.split(',').map((imp) => {
-        const trimmed = imp.trim();
-        const aliasMatch = trimmed.match(/^(\w+)(?:\s+as\s+\w+)?$/);
-        return aliasMatch ? aliasMatch[1] : trimmed.split(/\s+/)[0];
-      });
+  return usages;
+}
 
-      components.forEach((componentName) => {
-        if (componentName && !shouldExcludeName(componentName)) {
-          importedComponents.add(componentName);
-        }
-      });
+/**
+ * Extracts import specifiers from tokens
+ * Type-only imports, dynamic imports and side-effect imports are skipped
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} Specifiers ({ local, imported, source, line }), where `imported`
+ *   is 'default', '*' (namespace) or the exported name
+ */
+function collectImportSpecifiers(tokens) {
+  const specifiers = [];
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type !== 'name' || token.value !== 'import' || token.depth !== 0) continue;
+    if (tokens[index - 1]?.value === '.') continue;
+
+    let j = index + 1;
+    const first = tokens[j];
+    if (!first || (first.type !== 'name' && first.value !== '{' && first.value !== '*')) continue;
+
+    // import type { Props } from './types'
+    if (first.value === 'type' && ![',', 'from'].includes(tokens[j + 1]?.value)) continue;
+
+    const statement = [];
+    if (tokens[j].type === 'name') {
+      statement.push({ local: tokens[j].value, imported: 'default' });
+      j++;
+      if (tokens[j]?.value === ',') j++;
     }
 
-    const namespacePattern = /import\s+\*\s+as\s+(\w+)\s+from\s+['"](.+?)['"]/g;
-    while ((match = namespacePattern.exec(content)) !== null) {
-      const namespaceName = match[1];
-      if (!shouldExcludeName(namespaceName)) {
-        importedComponents.add(namespaceName);
-      }
+    if (tokens[j]?.value === '*' && tokens[j + 1]?.value === 'as') {
+      statement.push({ local: tokens[j + 2]?.value, imported: '*' });
+      j += 3;
+    } else if (tokens[j]?.value === '{') {
+      // Same shape as an export list: `imported as local`, `type` specifiers are skipped
+      const { entries, end } = readExportList(tokens, j);
+      entries.forEach(({ local, exported }) => {
+        statement.push({ local: exported, imported: local });
+      });
+      j = end + 1;
     }
 
-    const mixedImportPattern = /import\s+(\w+)(?:\s*,\s*\{([^}]+)\})?\s+from\s+['"](.+?)['"]/g;
-    while ((match = mixedImportPattern.exec(content)) !== null) {
-      const defaultComponent = match[1];
-      const namedImports = match[2];
+    if (tokens[j]?.value !== 'from' || tokens[j + 1]?.type !== 'string') continue;
 
-      if (defaultComponent && !shouldExcludeName(defaultComponent)) {
-        importedComponents.add(defaultComponent);
+    const source = tokens[j + 1].value;
+    statement.forEach(({ local, imported }) => {
+      if (local) {
+        specifiers.push({ local, imported, source, line: token.line });
       }
+    });
+    index = j + 1;
+  }
 
-      if (namedImports) {
-        const components = namedImports.split(',').map((imp) => {
-          const trimmed = imp.trim();
-          const aliasMatch = trimmed.match(/^(\w+)(?:\s+as\s+\w+)?$/);
-          return aliasMatch ? aliasMatch[1] : trimmed.split(/\s+/)[0];
-        });
+  return specifiers;
+}
 
-        components.forEach((componentName) => {
-          if (componentName && !shouldExcludeName(componentName)) {
-            importedComponents.add(componentName);
-          }
-        });
-      }
+/**
+ * Extracts re-exports from tokens (barrel files)
+ * Type-only re-exports are skipped
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} Re-exports ({ exported, imported, source }): `export * from` has
+ *   exported '*', `export * as ns from` and `export { default as Foo } from` have imported
+ *   '*' and 'default'
+ */
+function collectReExports(tokens) {
+  const reexports = [];
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type !== 'name' || token.value !== 'export' || token.depth !== 0) continue;
+
+    const next = tokens[index + 1];
+    let entries;
+    let fromIndex;
+    if (next?.value === '*') {
+      const namespace = tokens[index + 2]?.value === 'as' ? tokens[index + 3]?.value : null;
+      entries = [{ exported: namespace || '*', imported: '*' }];
+      fromIndex = namespace ? index + 4 : index + 2;
+    } else if (next?.value === '{') {
+      const { entries: list, end } = readExportList(tokens, index + 1);
+      entries = list.map(({ local, exported }) => ({ exported, imported: local }));
+      fromIndex = end + 1;
+    } else {
+      continue;
     }
 
-    return importedComponents;
+    if (tokens[fromIndex]?.value !== 'from' || tokens[fromIndex + 1]?.type !== 'string') continue;
+
+    const source = tokens[fromIndex + 1].value;
+    entries.forEach((entry) => reexports.push({ ...entry, source }));
+    index = fromIndex + 1;
+  }
+
+  return reexports;
+}
+
+/**
+ * Parses a source file: declared components, JSX usages, import specifiers and re-exports
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the source file
+ * @returns {Object} Parsed file ({ declarations, usages, imports, reexports })
+ */
+export function parseSourceFile(content, filePath) {
+  const tokens = tokenizeSource(content, filePath);
+
+  return {
+    declarations: collectComponentDeclarations(tokens, filePath),
+    usages: collectJSXUsages(tokens),
+    imports: collectImportSpecifiers(tokens),
+    reexports: collectReExports(tokens),
+  };
+}
+
+/**
+ * Gets the name an import map records for an import specifier:
+ * the local name of default and namespace imports, the exported name of named imports
+ * @param {Object} specifier - Import specifier ({ local, imported })
+ * @returns {string|null} Imported name, or null for names that are never components
+ */
+export function getImportedName({ local, imported }) {
+  const name = imported === 'default' || imported === '*' ? local : imported;
+  return name && !shouldExcludeName(name) ? name : null;
+}
+
+/**
+ * Gets the names an import map records for import specifiers
+ * @param {Array<Object>} specifiers - Import specifiers
+ * @returns {Set<string>} Imported names
+ */
+function getImportedNames(specifiers) {
+  return new Set(specifiers.map(getImportedName).filter(Boolean));
+}
+
+/**
+ * Extracts component declarations from a file
+ * Prioritizes actual React components over other exports
+ * Includes standalone export default pattern and filename fallback
+ * @param {string} filePath - Path to the source file
+ * @returns {Array<{name: string, line: number|null}>} Component names with their declaration line
+ */
+export function extractComponentDeclarations(filePath) {
+  if (shouldExcludeFile(filePath)) {
+    return [];
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return collectComponentDeclarations(tokenizeSource(content, filePath), filePath);
+  } catch (error) {
+    console.error(`xray-react: Error reading ${filePath}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Extracts component names from a file
+ * @param {string} filePath - Path to the source file
+ * @returns {Array<string>} Array of component names found in the file
+ */
+export function extractComponentNames(filePath) {
+  return extractComponentDeclarations(filePath).map((declaration) => declaration.name);
+}
+
+/**
+ * Extracts JSX component usage from a source file
+ * Finds JSX elements with the source tokenizer: <Component />, <Library.Component>, {cond && <Component />}
+ */
+export function extractJSXUsageFromFile(filePath) {
+  if (shouldExcludeFile(filePath)) {
+    return new Set();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const usages = collectJSXUsages(tokenizeSource(content, filePath));
+    return new Set(usages.map((usage) => usage.name));
+  } catch (error) {
+    console.error(`xray-react: Error extracting JSX usage from ${filePath}:`, error);
+    return new Set();
+  }
+}
+
+/**
+ * Extracts import statements from a source file (fallback for usage detection)
+ */
+export function extractImportsFromFile(filePath) {
+  if (shouldExcludeFile(filePath)) {
+    return new Set();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return getImportedNames(collectImportSpecifiers(tokenizeSource(content, filePath)));
   } catch (error) {
     console.error(`xray-react: Error extracting imports from ${filePath}:`, error);
     return new Set();
@@ -330,17 +743,18 @@ export function detectSourcePaths(projectRoot) {
 
 /**
  * Builds usage map by scanning all project source files for JSX component usage
+ * @returns {Promise<Object>} File path -> used component names
  */
-export function buildUsageMap(sourcePaths) {
+export async function buildUsageMap(sourcePaths) {
   const usageMap = {};
 
-  sourcePaths.forEach((sourcePath) => {
+  for (const sourcePath of sourcePaths) {
     if (!fs.existsSync(sourcePath)) {
       console.warn(`xray-react: Source path not found: ${sourcePath}`);
-      return;
+      continue;
     }
 
-    const files = scanSourceFiles(sourcePath);
+    const files = await scanSourceFiles(sourcePath);
 
     files.forEach((filePath) => {
       const usedComponents = extractJSXUsageFromFile(filePath);
@@ -348,24 +762,25 @@ export function buildUsageMap(sourcePaths) {
         usageMap[filePath] = Array.from(usedComponents);
       }
     });
-  });
+  }
 
   return usageMap;
 }
 
 /**
  * Builds import map by scanning all project source files for import statements
+ * @returns {Promise<Object>} File path -> imported component names
  */
-export function buildImportMap(sourcePaths) {
+export async function buildImportMap(sourcePaths) {
   const importMap = {};
 
-  sourcePaths.forEach((sourcePath) => {
+  for (const sourcePath of sourcePaths) {
     if (!fs.existsSync(sourcePath)) {
       console.warn(`xray-react: Source path not found: ${sourcePath}`);
-      return;
+      continue;
     }
 
-    const files = scanSourceFiles(sourcePath);
+    const files = await scanSourceFiles(sourcePath);
 
     files.forEach((filePath) => {
       const importedComponents = extractImportsFromFile(filePath);
@@ -373,7 +788,7 @@ export function buildImportMap(sourcePaths) {
         importMap[filePath] = Array.from(importedComponents);
       }
     });
-  });
+  }
 
   return importMap;
 }
@@ -403,15 +818,22 @@ export function getFilePriority(filePath) {
 /**
  * Extracts component context (parent component/directory) from file path
  * Used to disambiguate duplicate component names based on their location
+ * Files of workspace packages get their context from the package directory, plus the package name
  * @param {string} filePath - Full path to the component file
  * @param {string} projectRoot - Root directory of the project
- * @returns {Array<string>} Array of context identifiers (e.g., ["Navbar"])
+ * @param {Array<Object>} workspacePackages - Workspace packages ({ name, dir })
+ * @returns {Array<string>} Array of context identifiers (e.g., ["Navbar"] or ["Button", "@acme/ui"])
  */
-export function extractComponentContext(filePath, projectRoot) {
+export function extractComponentContext(filePath, projectRoot, workspacePackages = []) {
   if (!filePath || !projectRoot) {
     return [];
   }
 
+  const workspacePackage = findWorkspacePackage(filePath, workspacePackages);
+  if (workspacePackage) {
+    return [...extractComponentContext(filePath, workspacePackage.dir), workspacePackage.name];
+  }
+
   try {
     const relativePath = path.relative(projectRoot, filePath);
     const pathParts = relativePath.split(path.sep);
@@ -436,6 +858,45 @@ export function extractComponentContext(filePath, projectRoot) {
   }
 }
 
+/**
+ * Extracts everything the index needs from a source file in a single read:
+ * component declarations, JSX usage, imports, context and priority
+ * @param {string} filePath - Path to the source file
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} content - File content, read from disk if not provided
+ * @param {Array<Object>} workspacePackages - Workspace packages ({ name, dir }) for the context
+ * @returns {Object} File index ({ declarations, usage, imports, importSpecifiers, reexports,
+ *   context, priority })
+ */
+export function extractFileIndex(filePath, projectRoot, content = null, workspacePackages = []) {
+  const fileIndex = {
+    declarations: [],
+    usage: [],
+    imports: [],
+    importSpecifiers: [],
+    reexports: [],
+    context: extractComponentContext(filePath, projectRoot, workspacePackages),
+    priority: getFilePriority(filePath),
+  };
+
+  if (shouldExcludeFile(filePath)) {
+    return fileIndex;
+  }
+
+  try {
+    const parsed = parseSourceFile(content ?? fs.readFileSync(filePath, 'utf8'), filePath);
+    fileIndex.declarations = parsed.declarations;
+    fileIndex.usage = [...new Set(parsed.usages.map((usage) => usage.name))];
+    fileIndex.imports = Array.from(getImportedNames(parsed.imports));
+    fileIndex.importSpecifiers = parsed.imports;
+    fileIndex.reexports = parsed.reexports;
+  } catch (error) {
+    console.error(`xray-react: Error reading ${filePath}:`, error);
+  }
+
+  return fileIndex;
+}
+
 /**
  * Detects project root by finding package.json
  * Walks up directory tree from startPath until package.json is found
@@ -462,6 +923,32 @@ export function detectProjectRootByPackageJson(startPath = process.cwd()) {
   return null;
 }
 
+/**
+ * Detects project root using multiple strategies for standalone server:
+ * 1. XRAY_REACT_PROJECT_ROOT environment variable (highest priority)
+ * 2. Finding package.json by walking up directory tree
+ * 3. Using startPath as last resort
+ * @param {string} startPath - Starting directory path
+ * @returns {string} Project root path
+ */
+export function detectProjectRoot(startPath = process.cwd()) {
+  if (process.env.XRAY_REACT_PROJECT_ROOT) {
+    const envRoot = path.resolve(process.env.XRAY_REACT_PROJECT_ROOT);
+    if (fs.existsSync(envRoot)) {
+      return envRoot;
+    } else {
+      console.warn(`xray-react: XRAY_REACT_PROJECT_ROOT path does not exist: ${envRoot}`);
+    }
+  }
+
+  const packageJsonRoot = detectProjectRootByPackageJson(startPath);
+  if (packageJsonRoot) {
+    return packageJsonRoot;
+  }
+
+  return startPath;
+}
+
 /**
  * Resolves project root with correct precedence for plugins:
  * 1. Plugin param sourcePath (highest priority)
@@ -517,30 +1004,103 @@ export function resolvePort({ port, defaultPort = 8124 }) {
 }
 
 /**
- * Finds the correct component file using context-aware matching
- * Handles duplicate component names by matching against component hierarchy
- * @param {string} componentName - Name of the component to find
- * @param {Array<string>} hierarchy - Full component hierarchy path (e.g., ["Dashboard", "Navbar", "Logo"])
- * @param {Object} sources - Sources map (can be old format {name: path} or new format {name: [{path, context, priority}]})
- * @returns {string|null} File path to the component, or null if not found
+ * Picks between same-named candidates using the import graph: the candidate an ancestor's file
+ * imports, or the one declared in an ancestor's file; the nearest ancestor with a file wins
+ * @param {string} componentName - Component name
+ * @param {Array<Object>} candidates - Candidates for the name
+ * @param {Array<string>} ancestors - Ancestor names (root first)
+ * @param {Array<string|null>} ancestorFiles - Resolved files of the ancestors
+ * @param {Object} importMap - Import map (file path -> { imported name -> resolved file })
+ * @returns {{candidate: Object, reason: string}|null} Match and reason, or null
  */
-export function findComponentFile(componentName, hierarchy, sources) {
-  if (!componentName || !sources) {
-    return null;
+function matchImportedCandidate(componentName, candidates, ancestors, ancestorFiles, importMap) {
+  for (let index = ancestors.length - 1; index >= 0; index--) {
+    const file = ancestorFiles[index];
+    if (!file) continue;
+
+    const imports = importMap[file];
+    const importedFile = imports && !Array.isArray(imports) ? imports[componentName] : null;
+    const imported = importedFile && candidates.find((c) => c.path === importedFile);
+    if (imported) {
+      return {
+        candidate: imported,
+        reason: `picked the file ${ancestors[index]} (${file}) imports it from`,
+      };
+    }
+
+    const declared = candidates.find((c) => c.path === file);
+    if (declared) {
+      return {
+        candidate: declared,
+        reason: `picked the file that also declares ${ancestors[index]}`,
+      };
+    }
   }
+  return null;
+}
 
+/**
+ * Selects the candidate for a component given the resolved files of its ancestors
+ * @param {string} componentName - Component name
+ * @param {Array<string>} ancestors - Ancestor names (root first)
+ * @param {Function} getAncestorFiles - Returns the resolved files of the ancestors
+ * @param {Object} sources - Sources map
+ * @param {Object|null} importMap - Import map
+ * @returns {Object} Selection (see explainComponentCandidate)
+ */
+function selectComponentCandidate(componentName, ancestors, getAncestorFiles, sources, importMap) {
   const candidates = sources[componentName];
-  if (!candidates) return null;
+  if (!candidates) {
+    return {
+      candidate: null,
+      candidates: [],
+      ambiguous: false,
+      reason: `No file declares a component named ${componentName}`,
+    };
+  }
 
   if (typeof candidates === 'string') {
-    return candidates;
+    const candidate = { path: candidates, line: null };
+    return {
+      candidate,
+      candidates: [candidate],
+      ambiguous: false,
+      reason: 'Single file in legacy sources map',
+    };
   }
 
-  if (!Array.isArray(candidates) || candidates.length === 0) return null;
-  if (candidates.length === 1) return candidates[0].path;
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    return {
+      candidate: null,
+      candidates: [],
+      ambiguous: false,
+      reason: `No file declares a component named ${componentName}`,
+    };
+  }
+  if (candidates.length === 1) {
+    return {
+      candidate: candidates[0],
+      candidates,
+      ambiguous: false,
+      reason: `Only one file declares ${componentName}`,
+    };
+  }
 
-  const componentIndex = hierarchy.indexOf(componentName);
-  const parentComponent = componentIndex > 0 ? hierarchy[componentIndex - 1] : null;
+  const duplicates = `${candidates.length} files declare ${componentName}`;
+  if (importMap && ancestors.length > 0) {
+    const match = matchImportedCandidate(
+      componentName,
+      candidates,
+      ancestors,
+      getAncestorFiles(),
+      importMap,
+    );
+    if (match) {
+      return { ...match, candidates, ambiguous: false, reason: `${duplicates}; ${match.reason}` };
+    }
+  }
+
+  const parentComponent = ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
 
   if (parentComponent) {
     const match = candidates.find(
@@ -549,9 +1109,229 @@ export function findComponentFile(componentName, hierarchy, sources) {
         (c.context.includes(parentComponent) ||
           c.context.some((ctx) => ctx.toLowerCase() === parentComponent.toLowerCase())),
     );
-    if (match) return match.path;
+    if (match) {
+      return {
+        candidate: match,
+        candidates,
+        ambiguous: false,
+        reason: `${duplicates}; picked the one whose path context (${match.context.join(', ')}) matches the parent component ${parentComponent}`,
+      };
+    }
+  }
+
+  const sorted = [...candidates].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  const contextNote = parentComponent
+    ? `neither the imports nor the path context of the parent component ${parentComponent} tell them apart`
+    : `${componentName} has no parent in the hierarchy`;
+
+  return {
+    candidate: sorted[0],
+    candidates,
+    ambiguous: true,
+    reason: `${duplicates} and ${contextNote}; ambiguous, the best guess is the highest file priority (${sorted[0].priority || 0}), first indexed on ties`,
+  };
+}
+
+/**
+ * Selects the source candidate for a component and explains the choice
+ * Duplicate component names are told apart by the import graph: the files of the ancestors
+ * in the hierarchy are resolved root first, and the candidate an ancestor's file imports wins.
+ * Without an import match, the parent's name is matched against the candidates' path context.
+ * @param {string} componentName - Name of the component to find
+ * @param {Array<string>} hierarchy - Full component hierarchy path (e.g., ["Dashboard", "Navbar", "Logo"])
+ * @param {Object} sources - Sources map (can be old format {name: path} or new format {name: [{path, context, priority, line}]})
+ * @param {Object|null} importMap - Import map (file path -> { imported name -> resolved file })
+ * @returns {{candidate: Object|null, candidates: Array<Object>, ambiguous: boolean, reason: string}}
+ *   Selected candidate (or null; the best guess when ambiguous), all candidates for the name,
+ *   whether the candidates could not be told apart and a human-readable reason
+ */
+export function explainComponentCandidate(componentName, hierarchy, sources, importMap = null) {
+  if (!componentName || !sources) {
+    return {
+      candidate: null,
+      candidates: [],
+      ambiguous: false,
+      reason: 'No component name or sources map',
+    };
   }
 
-  const sorted = candidates.sort((a, b) => (b.priority || 0) - (a.priority || 0));
-  return sorted[0].path;
+  const componentIndex = hierarchy.indexOf(componentName);
+  const ancestors = componentIndex > 0 ? hierarchy.slice(0, componentIndex) : [];
+
+  let ancestorFiles = null;
+  const getAncestorFiles = () => {
+    if (!ancestorFiles) {
+      // Each ancestor is resolved with the files of the ancestors above it
+      ancestorFiles = [];
+      ancestors.forEach((name, index) => {
+        const { candidate, ambiguous } = selectComponentCandidate(
+          name,
+          ancestors.slice(0, index),
+          () => ancestorFiles,
+          sources,
+          importMap,
+        );
+        ancestorFiles.push(candidate && !ambiguous ? candidate.path : null);
+      });
+    }
+    return ancestorFiles;
+  };
+
+  return selectComponentCandidate(componentName, ancestors, getAncestorFiles, sources, importMap);
+}
+
+/**
+ * Finds the best source candidate for a component using import- and context-aware matching
+ * @param {string} componentName - Name of the component to find
+ * @param {Array<string>} hierarchy - Full component hierarchy path
+ * @param {Object} sources - Sources map
+ * @param {Object|null} importMap - Import map (file path -> { imported name -> resolved file })
+ * @returns {Object|null} Matching candidate ({ path, line, ... }), or null if not found
+ */
+export function findComponentCandidate(componentName, hierarchy, sources, importMap = null) {
+  return explainComponentCandidate(componentName, hierarchy, sources, importMap).candidate;
+}
+
+/**
+ * Finds the correct component file using import- and context-aware matching
+ * @param {string} componentName - Name of the component to find
+ * @param {Array<string>} hierarchy - Full component hierarchy path
+ * @param {Object} sources - Sources map
+ * @param {Object|null} importMap - Import map (file path -> { imported name -> resolved file })
+ * @returns {string|null} File path to the component, or null if not found
+ */
+export function findComponentFile(componentName, hierarchy, sources, importMap = null) {
+  const candidate = findComponentCandidate(componentName, hierarchy, sources, importMap);
+  return candidate ? candidate.path : null;
+}
+
+/**
+ * Converts a line or column sent by the client to a positive integer
+ * Positions end up in editor arguments, so anything else is dropped
+ * @param {*} value - Sent value
+ * @returns {number|null} Positive integer or null
+ */
+export function toPositiveInteger(value) {
+  const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isSafeInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Normalizes the payload of the `xray-react-component` event
+ * Older clients send the hierarchy string only, newer ones send { structure, source, open },
+ * plus the `choice` the user picked when the component was ambiguous
+ * @param {string|Object} payload - Event payload
+ * @returns {{hierarchy: Array<string>, source: Object|null, open: string, choice: Object|null}}
+ *   Component hierarchy, source location, who opens the file: 'editor' (the server) or 'url'
+ *   (the browser), and the picked candidate ({ path }, an editor path)
+ */
+export function parseComponentPayload(payload) {
+  const { structure, source, open, choice } =
+    typeof payload === 'string' ? { structure: payload } : payload || {};
+  const openWith = open === 'url' ? 'url' : 'editor';
+
+  if (!structure || typeof structure !== 'string') {
+    return { hierarchy: [], source: null, open: openWith, choice: null };
+  }
+
+  const hierarchy = structure.split(' -> ').map((name) => name.trim());
+  const hasSource = source && typeof source.fileName === 'string' && source.fileName;
+  const hasChoice = choice && typeof choice.path === 'string' && choice.path;
+
+  return {
+    hierarchy: hierarchy,
+    source: hasSource
+      ? {
+          fileName: source.fileName,
+          lineNumber: toPositiveInteger(source.lineNumber),
+          columnNumber: toPositiveInteger(source.columnNumber),
+          exact: source.exact === true,
+        }
+      : null,
+    open: openWith,
+    choice: hasChoice ? { path: choice.path } : null,
+  };
+}
+
+/**
+ * Resolves the file and position to open for a clicked component
+ * Exact (build-time stamped) locations are opened directly. Otherwise walks the hierarchy from
+ * leaf to root, using the reported source location when it points into the resolved file and
+ * the indexed declaration line when it does not
+ * @param {Array<string>} hierarchy - Component hierarchy (root to leaf)
+ * @param {Object|null} source - Source location ({ fileName, lineNumber, columnNumber, exact })
+ * @param {Object} sources - Sources map
+ * @param {string} projectRoot - Project root used to resolve relative source file names
+ * @param {Object|null} importMap - Import map used to tell same-named components apart
+ * @returns {{path: string, line: number|null, column: number|null}|null} Location to open; when
+ *   same-named components cannot be told apart, the best guess with all `candidates`
+ *   ({ path, line, context })
+ */
+export function resolveComponentLocation(
+  hierarchy,
+  source,
+  sources,
+  projectRoot,
+  importMap = null,
+) {
+  const sourcePath = source ? path.resolve(projectRoot || process.cwd(), source.fileName) : null;
+  const sourceLocation = sourcePath
+    ? { path: sourcePath, line: source.lineNumber || null, column: source.columnNumber || null }
+    : null;
+
+  // Locations stamped at build time inside the clicked component need no name matching
+  if (sourceLocation && source.exact && fs.existsSync(sourcePath)) {
+    return sourceLocation;
+  }
+
+  const componentNames = [...hierarchy].reverse(); // Try from leaf to root
+
+  for (const name of componentNames) {
+    const { candidate, candidates, ambiguous } = explainComponentCandidate(
+      name,
+      hierarchy,
+      sources,
+      importMap,
+    );
+
+    // Candidates of deleted files are dropped; a single remaining one is no longer ambiguous
+    const existingCandidates = ambiguous
+      ? candidates.filter((c) => c.path && fs.existsSync(c.path))
+      : [];
+    let resolved = candidate && fs.existsSync(candidate.path) ? candidate : null;
+    if (ambiguous && existingCandidates.length === 1) {
+      resolved = existingCandidates[0];
+    }
+
+    if (resolved) {
+      // The reported source location points into one of the candidates
+      const sourceCandidate =
+        sourcePath &&
+        source.lineNumber &&
+        candidates.find((c) => c.path && path.resolve(c.path) === sourcePath);
+      if (sourceCandidate) {
+        return {
+          path: sourceCandidate.path,
+          line: source.lineNumber,
+          column: source.columnNumber || null,
+        };
+      }
+
+      const location = { path: resolved.path, line: resolved.line || null, column: null };
+      if (existingCandidates.length > 1) {
+        location.candidates = existingCandidates.map((c) => ({
+          path: c.path,
+          line: c.line || null,
+          context: c.context || [],
+        }));
+      }
+      return location;
+    }
+  }
+
+  if (sourceLocation && fs.existsSync(sourcePath)) {
+    return sourceLocation;
+  }
+
+  return null;
 }
@@ -0,0 +1,12 @@
+// Storybook exposes STORYBOOK_* env values the preset sets to the preview, the UI and client
+// read them as globals. The toolbar replaces Cmd+Shift+X, which Storybook uses itself.
+if (typeof window !== 'undefined') {
+  window.__XRAY_REACT_MODE__ = window.__XRAY_REACT_MODE__ || process.env.STORYBOOK_XRAY_REACT_MODE;
+  if (process.env.STORYBOOK_XRAY_REACT_PORT) {
+    window.__XRAY_REACT_PORT__ = Number(process.env.STORYBOOK_XRAY_REACT_PORT);
+  }
+  if (process.env.STORYBOOK_XRAY_REACT_TOKEN) {
+    window.__XRAY_REACT_TOKEN__ = process.env.STORYBOOK_XRAY_REACT_TOKEN;
+  }
+  window.__XRAY_REACT_SHORTCUT__ = false;
+}
@@ -0,0 +1,7 @@
+// Shared by the manager and preview entries of the Storybook addon
+export const ADDON_ID = 'xray-react';
+export const TOOL_ID = `${ADDON_ID}/tool`;
+// Story global the toolbar toggles the overlays with
+export const GLOBAL_KEY = 'xrayReact';
+export const OPEN_STORY_EVENT = `${ADDON_ID}/open-story`;
+export const OPEN_COMPONENT_EVENT = `${ADDON_ID}/open-component`;
@@ -0,0 +1,63 @@
+/**
+ * Manager entry of the Storybook addon
+ * Adds the toolbar that toggles the overlays (Storybook already uses Cmd+Shift+X) and opens the
+ * story file or the component file of the current story
+ */
+import { createElement, Fragment } from 'react';
+import { addons, types, useGlobals, useStorybookApi } from 'storybook/internal/manager-api';
+import { IconButton } from 'storybook/internal/components';
+import {
+  ADDON_ID,
+  TOOL_ID,
+  GLOBAL_KEY,
+  OPEN_STORY_EVENT,
+  OPEN_COMPONENT_EVENT,
+} from './constants.js';
+
+/**
+ * Toolbar buttons of the addon
+ * @returns {Object} React element
+ */
+const XrayReactTool = () => {
+  const [globals, updateGlobals] = useGlobals();
+  const api = useStorybookApi();
+  const isEnabled = Boolean(globals[GLOBAL_KEY]);
+
+  return createElement(
+    Fragment,
+    null,
+    createElement(
+      IconButton,
+      {
+        key: 'toggle',
+        active: isEnabled,
+        title: 'Toggle xray-react overlays',
+        onClick: () => updateGlobals({ [GLOBAL_KEY]: !isEnabled }),
+      },
+      'X-ray',
+    ),
+    createElement(
+      IconButton,
+      { key: 'story', title: 'Open the story file', onClick: () => api.emit(OPEN_STORY_EVENT) },
+      'Story',
+    ),
+    createElement(
+      IconButton,
+      {
+        key: 'component',
+        title: 'Open the component file',
+        onClick: () => api.emit(OPEN_COMPONENT_EVENT),
+      },
+      'Component',
+    ),
+  );
+};
+
+addons.register(ADDON_ID, () => {
+  addons.add(TOOL_ID, {
+    type: types.TOOL,
+    title: 'xray-react',
+    match: ({ viewMode }) => viewMode === 'story' || viewMode === 'docs',
+    render: XrayReactTool,
+  });
+});
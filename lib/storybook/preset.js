@@ -0,0 +1,156 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveProjectRoot } from '../source-utils.js';
+import { getDevServerOrigins } from '../access-control.js';
+import { createPluginServer, getSourceLoaderRule } from '../plugins/shared.js';
+import { createSourceAttributesPlugin } from '../plugins/vite.js';
+import { UI_MODE_FULL, AVAILABLE_UI_MODES } from '../constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Storybook passes addon options mixed with its own (port, host, cache, ...), so only these reach
+// the server. Its port and host come from xray-react.config or XRAY_REACT_PORT/XRAY_REACT_HOST.
+const ADDON_OPTIONS = [
+  'sourcePath',
+  'mode',
+  'token',
+  'allowedOrigins',
+  'editorUrl',
+  'editorRemote',
+  'editorTemplate',
+  'pathMappings',
+  'workspaces',
+  'aliases',
+];
+
+let server = null;
+
+/**
+ * Checks if Storybook runs its dev server (`storybook dev`) rather than a static build
+ * @param {Object} options - Storybook preset options
+ * @returns {boolean} True in development
+ */
+function isDevelopment(options) {
+  return options.configType === 'DEVELOPMENT';
+}
+
+/**
+ * Gets the xray-react options from the addon options
+ * @param {Object} options - Storybook preset options
+ * @returns {Object} Plugin options
+ */
+function getParams(options) {
+  return Object.fromEntries(
+    ADDON_OPTIONS.filter((key) => typeof options[key] !== 'undefined').map((key) => [
+      key,
+      options[key],
+    ]),
+  );
+}
+
+/**
+ * Resolves the project root from the Storybook config directory (`.storybook`)
+ * @param {Object} options - Storybook preset options
+ * @returns {string} Project root
+ */
+function getProjectRoot(options) {
+  return resolveProjectRoot({
+    sourcePath: options.sourcePath,
+    fallbackPath: path.dirname(path.resolve(options.configDir || '.storybook')),
+  });
+}
+
+/**
+ * Starts the xray-react server once per `storybook dev`
+ * @param {Object} options - Storybook preset options
+ * @returns {Promise<XrayServer>} Server with its config loaded
+ */
+async function startServer(options) {
+  if (server) return server;
+
+  const params = getParams(options);
+  const mode = AVAILABLE_UI_MODES.includes(params.mode) ? params.mode : UI_MODE_FULL;
+  server = createPluginServer(params, getProjectRoot(options), mode);
+  // Port, token and mode from xray-react.config are needed before the preview env is set
+  await server.loadConfig();
+
+  getDevServerOrigins({
+    protocol: options.https ? 'https' : 'http',
+    host: options.host,
+    port: options.port,
+  }).forEach((origin) => server.allowOrigin(origin));
+  // Start errors are logged by the server, keep Storybook running
+  server.start().catch(() => {});
+  return server;
+}
+
+/**
+ * Adds the toolbar to the Storybook manager
+ * @param {Array<string>} entries - Manager entries
+ * @param {Object} options - Storybook preset options
+ * @returns {Array<string>} Manager entries
+ */
+export const managerEntries = (entries = [], options = {}) =>
+  isDevelopment(options) ? [...entries, path.resolve(__dirname, 'manager.js')] : entries;
+
+/**
+ * Adds the UI, the client and the toolbar handlers to the preview iframe
+ * @param {Array<string>} entries - Preview annotations
+ * @param {Object} options - Storybook preset options
+ * @returns {Array<string>} Preview annotations
+ */
+export const previewAnnotations = (entries = [], options = {}) =>
+  isDevelopment(options) ? [...entries, path.resolve(__dirname, 'preview.js')] : entries;
+
+/**
+ * Starts the server and passes its port, token and mode to the preview
+ * Storybook exposes STORYBOOK_* variables to the preview as process.env values
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Storybook preset options
+ * @returns {Promise<Object>} Environment variables
+ */
+export const env = async (env = {}, options = {}) => {
+  if (!isDevelopment(options)) return env;
+
+  const xrayServer = await startServer(options);
+  return {
+    ...env,
+    STORYBOOK_XRAY_REACT_MODE: xrayServer.mode,
+    STORYBOOK_XRAY_REACT_PORT: String(xrayServer.port),
+    STORYBOOK_XRAY_REACT_TOKEN: xrayServer.token || '',
+  };
+};
+
+/**
+ * Stamps JSX source attributes in Vite builder previews
+ * @param {Object} config - Vite config
+ * @param {Object} options - Storybook preset options
+ * @returns {Object} Vite config
+ */
+export const viteFinal = (config, options = {}) => {
+  if (!isDevelopment(options) || options.sourceAttributes === false) return config;
+
+  const projectRoot = getProjectRoot(options);
+  return {
+    ...config,
+    plugins: [...(config.plugins || []), createSourceAttributesPlugin(() => projectRoot)],
+  };
+};
+
+/**
+ * Stamps JSX source attributes in webpack builder previews
+ * @param {Object} config - Webpack config
+ * @param {Object} options - Storybook preset options
+ * @returns {Object} Webpack config
+ */
+export const webpackFinal = (config, options = {}) => {
+  if (!isDevelopment(options) || options.sourceAttributes === false) return config;
+
+  config.module = config.module || {};
+  config.module.rules = [
+    ...(config.module.rules || []),
+    getSourceLoaderRule(getProjectRoot(options)),
+  ];
+  return config;
+};
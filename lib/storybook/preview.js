@@ -0,0 +1,67 @@
+/**
+ * Preview entry of the Storybook addon
+ * Loads the UI and client into the preview iframe, shows the overlays while the toolbar toggle is
+ * on and opens the story file or the component file of the current story from the toolbar.
+ * The config module has to run before the UI and client modules.
+ */
+import { addons } from 'storybook/internal/preview-api';
+import { STORY_RENDERED, DOCS_RENDERED } from 'storybook/internal/core-events';
+import './client-config.js';
+import '../xray-react-ui.js';
+import '../xray-react-client.js';
+import { GLOBAL_KEY, OPEN_STORY_EVENT, OPEN_COMPONENT_EVENT } from './constants.js';
+
+// Story rendered last ({ fileName, componentName }) and the toolbar toggle state
+let currentStory = null;
+let isEnabled = false;
+
+/**
+ * Rebuilds the overlays for the rendered story, or removes them when the toggle is off
+ */
+const syncOverlays = () => {
+  if (!window.xrayReactSetEnabled) return;
+
+  if (isEnabled) {
+    window.xrayReactRefresh();
+  }
+  window.xrayReactSetEnabled(isEnabled);
+};
+
+/**
+ * Opens the story file of the current story, or the file of its `component`
+ * The server indexes story files by the path Storybook reports (`parameters.fileName`), so the
+ * component is looked up with the story file as its parent: `./src/Button.stories.tsx -> Button`
+ * @param {boolean} isComponent - Whether to open the component file
+ */
+const openCurrentStory = (isComponent) => {
+  if (!currentStory?.fileName || !window.xrayReactOpenComponentPath) return;
+
+  if (!isComponent) {
+    window.xrayReactOpenComponentPath(currentStory.fileName);
+  } else if (currentStory.componentName) {
+    window.xrayReactOpenComponentPath(`${currentStory.fileName} -> ${currentStory.componentName}`);
+  } else {
+    console.warn(`xray-react: No \`component\` set for the stories in ${currentStory.fileName}`);
+  }
+};
+
+addons.ready().then((channel) => {
+  channel.on(STORY_RENDERED, syncOverlays);
+  channel.on(DOCS_RENDERED, syncOverlays);
+  channel.on(OPEN_STORY_EVENT, () => openCurrentStory(false));
+  channel.on(OPEN_COMPONENT_EVENT, () => openCurrentStory(true));
+});
+
+export const initialGlobals = { [GLOBAL_KEY]: false };
+
+export const decorators = [
+  (storyFn, context) => {
+    const component = context.component;
+    currentStory = {
+      fileName: context.parameters.fileName,
+      componentName: component ? component.displayName || component.name || null : null,
+    };
+    isEnabled = Boolean(context.globals[GLOBAL_KEY]);
+    return storyFn();
+  },
+];
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { IGNORED_DIRS } from './constants.js';
+import { globToRegExp, getGlobBase } from './source-filter.js';
+
+// package.json fields whose packages count as dependencies of the app
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'optionalDependencies',
+];
+
+const NODE_MODULES_SEGMENT = '/node_modules/';
+
+/**
+ * Reads a package.json file
+ * @param {string} dir - Package directory
+ * @returns {Object|null} Parsed package.json or null if missing or invalid
+ */
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml file
+ * Supports the block (`- 'apps/*'`) and flow (`['apps/*']`) list styles
+ * @param {string} content - File content
+ * @returns {Array<string>} Package globs
+ */
+export function parsePnpmWorkspace(content) {
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = content.split(/\r?\n/).map((line) => line.replace(/\s+#.*$/, ''));
+  const start = lines.findIndex((line) => /^packages\s*:/.test(line));
+  if (start === -1) return [];
+
+  const inline = lines[start].replace(/^packages\s*:/, '').trim();
+  if (inline.startsWith('[')) {
+    return inline
+      .replace(/^\[|\]$/g, '')
+      .split(',')
+      .map(unquote)
+      .filter(Boolean);
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) break; // Next top-level key
+    const item = /^\s*-\s*(.+)$/.exec(line);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/**
+ * Gets the package globs a directory declares as a workspace root
+ * Checked in order: pnpm-workspace.yaml, the `workspaces` field of package.json (npm, Yarn,
+ * Bun) and lerna.json
+ * @param {string} dir - Directory
+ * @returns {Array<string>|null} Package globs or null if the directory is no workspace root
+ */
+export function getWorkspacePatterns(dir) {
+  const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    return parsePnpmWorkspace(fs.readFileSync(pnpmWorkspacePath, 'utf8'));
+  }
+
+  const workspaces = readPackageJson(dir)?.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (Array.isArray(workspaces?.packages)) return workspaces.packages;
+
+  const lernaJsonPath = path.join(dir, 'lerna.json');
+  if (fs.existsSync(lernaJsonPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(lernaJsonPath, 'utf8')).packages || ['packages/*'];
+    } catch {
+      return ['packages/*'];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the workspace root a project belongs to by walking up from the project root
+ * @param {string} projectRoot - Project root (an app package or the workspace root itself)
+ * @returns {{root: string, patterns: Array<string>}|null} Workspace root and package globs
+ */
+export function findWorkspaceRoot(projectRoot) {
+  let current = path.resolve(projectRoot);
+  while (true) {
+    const patterns = getWorkspacePatterns(current);
+    if (patterns) return { root: current, patterns };
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Lists the packages matching workspace globs
+ * @param {string} root - Workspace root
+ * @param {Array<string>} patterns - Package globs; globs starting with `!` exclude packages
+ * @returns {Array<{name: string, dir: string}>} Named packages
+ */
+export function listWorkspacePackages(root, patterns) {
+  const normalize = (pattern) => pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+  const includes = patterns.filter((pattern) => !pattern.startsWith('!')).map(normalize);
+  const excludes = patterns
+    .filter((pattern) => pattern.startsWith('!'))
+    .map((pattern) => globToRegExp(normalize(pattern)));
+  const packages = new Map();
+
+  includes.forEach((pattern) => {
+    const matcher = globToRegExp(pattern);
+    const maxDepth = pattern.includes('**') ? Infinity : pattern.split('/').length;
+
+    const visit = (dir, depth) => {
+      const relativeDir = path.relative(root, dir).split(path.sep).join('/');
+      if (matcher.test(relativeDir) && !excludes.some((exclude) => exclude.test(relativeDir))) {
+        const name = readPackageJson(dir)?.name;
+        if (name && !packages.has(name)) packages.set(name, { name, dir });
+      }
+      if (depth >= maxDepth) return;
+
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      entries
+        .filter((entry) => entry.isDirectory() && !IGNORED_DIRS.includes(entry.name))
+        .forEach((entry) => visit(path.join(dir, entry.name), depth + 1));
+    };
+
+    const base = getGlobBase(pattern);
+    visit(path.join(root, base), base ? base.split('/').length : 0);
+  });
+
+  return [...packages.values()];
+}
+
+/**
+ * Detects the workspace packages a project uses
+ * For an app inside a workspace these are the packages it depends on, directly or through other
+ * workspace packages; for the workspace root itself, all packages
+ * @param {string} projectRoot - Project root
+ * @returns {Array<{name: string, dir: string}>} Workspace packages (without the app itself)
+ */
+export function detectWorkspacePackages(projectRoot) {
+  const workspace = findWorkspaceRoot(projectRoot);
+  if (!workspace) return [];
+
+  const root = path.resolve(projectRoot);
+  const packages = listWorkspacePackages(workspace.root, workspace.patterns).filter(
+    ({ dir }) => dir !== root,
+  );
+  if (workspace.root === root) return packages;
+
+  const packagesByName = new Map(
+    packages.map((workspacePackage) => [workspacePackage.name, workspacePackage]),
+  );
+  const used = new Map();
+  const addDependencies = (dir) => {
+    const packageJson = readPackageJson(dir) || {};
+    DEPENDENCY_FIELDS.flatMap((field) => Object.keys(packageJson[field] || {})).forEach((name) => {
+      const workspacePackage = packagesByName.get(name);
+      if (workspacePackage && !used.has(name)) {
+        used.set(name, workspacePackage);
+        addDependencies(workspacePackage.dir);
+      }
+    });
+  };
+  addDependencies(root);
+
+  return [...used.values()];
+}
+
+/**
+ * Finds the workspace package a file belongs to
+ * Paths through node_modules symlinks (node_modules/<name>/...) are recognized as well
+ * @param {string} filePath - File path
+ * @param {Array<{name: string, dir: string}>} packages - Workspace packages
+ * @returns {{name: string, dir: string}|null} Workspace package or null
+ */
+export function findWorkspacePackage(filePath, packages) {
+  if (!filePath || !packages || packages.length === 0) return null;
+
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  const linkIndex = normalizedPath.lastIndexOf(NODE_MODULES_SEGMENT);
+  return (
+    packages.find(({ name, dir }) => {
+      const normalizedDir = dir.replace(/\\/g, '/');
+      if (normalizedPath.startsWith(`${normalizedDir}/`)) {
+        // Dependencies installed inside the package are not part of it
+        return !normalizedPath.slice(normalizedDir.length).includes(NODE_MODULES_SEGMENT);
+      }
+      return (
+        linkIndex !== -1 &&
+        normalizedPath.startsWith(`${name}/`, linkIndex + NODE_MODULES_SEGMENT.length)
+      );
+    }) || null
+  );
+}
+
+/**
+ * Maps a path through a node_modules symlink of a workspace package to the package directory
+ * @param {string} filePath - File path
+ * @param {Array<{name: string, dir: string}>} packages - Workspace packages
+ * @returns {string} Path inside the package directory (unchanged for other paths)
+ */
+export function toWorkspacePath(filePath, packages) {
+  const workspacePackage = findWorkspacePackage(filePath, packages);
+  if (!workspacePackage) return filePath;
+
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  const linkIndex = normalizedPath.lastIndexOf(NODE_MODULES_SEGMENT);
+  const prefix = `${NODE_MODULES_SEGMENT}${workspacePackage.name}/`;
+  if (linkIndex === -1 || !normalizedPath.startsWith(prefix, linkIndex)) return filePath;
+
+  return path.join(workspacePackage.dir, normalizedPath.slice(linkIndex + prefix.length));
+}
@@ -1,17 +1,150 @@
 import * as constants from '../src/constants.js';
-import { UI_MODE_FULL, AVAILABLE_UI_MODES } from '../lib/constants.js';
+import { parseSourceLocation } from '../src/source-location.js';
+import { getEditorUrlScheme, buildEditorUrl, openEditorUrl } from '../src/editor-url.js';
+import {
+  getRememberedChoice,
+  rememberChoice,
+  hideNotice,
+  showToast,
+  showCandidatePicker,
+} from '../src/open-result.js';
+import {
+  UI_MODE_FULL,
+  AVAILABLE_UI_MODES,
+  OPEN_STATUS_AMBIGUOUS,
+  OPEN_STATUS_NOT_FOUND,
+  OPEN_STATUS_FAILED,
+  TRANSPORT_VITE,
+  TRANSPORT_DEV_SERVER,
+  HOT_EVENT_PREFIX,
+  HOT_CONNECT_EVENT,
+  HOT_ACK_EVENT,
+  EVENT_STREAM_PATH,
+  EVENT_STREAM_TOKEN_HEADER,
+} from '../lib/constants.js';
 
 const getIOConnectURL = () => {
   const port = (typeof window !== 'undefined' && window.__XRAY_REACT_PORT__) || 8124;
   return `http://127.0.0.1:${port}`;
 };
 
+// Per-session token injected by the bundler plugin next to the port
+const getIOAuth = () => ({
+  token: (typeof window !== 'undefined' && window.__XRAY_REACT_TOKEN__) || undefined,
+});
+
+/**
+ * Waits for the Vite HMR client (`import.meta.hot`) the plugin's hot module exposes
+ * @returns {Promise<Object>} Vite hot context
+ */
+const getHotContext = () =>
+  new Promise((resolve) => {
+    if (window.__XRAY_REACT_HOT__) {
+      resolve(window.__XRAY_REACT_HOT__);
+      return;
+    }
+    window.addEventListener('xray-react:hot', () => resolve(window.__XRAY_REACT_HOT__), {
+      once: true,
+    });
+  });
+
+/**
+ * Wraps the Vite HMR client in the Socket.IO socket methods the client uses
+ * Acknowledgements come back as HOT_ACK_EVENT events with the id of their request
+ * @param {Object} hot - Vite hot context
+ * @returns {Object} Socket ({ on, emit, announce })
+ */
+const createHotSocket = (hot) => {
+  const pendingAcks = new Map(); // request id -> ack callback
+  let nextRequestId = 1;
+
+  hot.on(HOT_ACK_EVENT, ({ id, result }) => {
+    const ack = pendingAcks.get(id);
+    if (ack) {
+      pendingAcks.delete(id);
+      ack(result);
+    }
+  });
+
+  return {
+    on: (event, handler) => hot.on(`${HOT_EVENT_PREFIX}${event}`, handler),
+    emit: (event, payload, ack) => {
+      const id = typeof ack === 'function' ? nextRequestId++ : null;
+      if (id) {
+        pendingAcks.set(id, ack);
+      }
+      hot.send(`${HOT_EVENT_PREFIX}${event}`, { id, payload });
+    },
+    // The server sends the project config and index once the page announces itself
+    announce: () => hot.send(HOT_CONNECT_EVENT, getIOAuth()),
+  };
+};
+
+/**
+ * Connects to the event stream the webpack plugin mounts on webpack-dev-server
+ * Server events arrive over Server-Sent Events; the page POSTs its events, and the responses
+ * carry the acknowledgements. Requests go to the page's own origin.
+ * @returns {Object} Socket ({ on, emit })
+ */
+const createEventStreamSocket = () => {
+  const token = getIOAuth().token;
+  const query = token ? `?token=${encodeURIComponent(token)}` : '';
+  const source = new EventSource(`${EVENT_STREAM_PATH}/events${query}`);
+  let clientId = null;
+  // Events emitted before the server sent the page its id, sent once it arrives
+  const pendingEvents = [];
+
+  const post = (event, payload, ack) => {
+    fetch(`${EVENT_STREAM_PATH}/events/${encodeURIComponent(event)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [EVENT_STREAM_TOKEN_HEADER]: token || '' },
+      body: JSON.stringify({ client: clientId, payload }),
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((body) => {
+        if (body && typeof ack === 'function') {
+          ack(body.result);
+        }
+      })
+      .catch((error) => console.warn('xray-react: Request failed', error));
+  };
+
+  // EventSource reconnects by itself, and each connection gets a new id
+  source.addEventListener(HOT_CONNECT_EVENT, (message) => {
+    clientId = JSON.parse(message.data).id;
+    pendingEvents.splice(0).forEach((args) => post(...args));
+  });
+
+  source.addEventListener('error', () => {
+    // The server forgets the id of a dropped connection
+    clientId = null;
+    if (source.readyState === EventSource.CLOSED) {
+      console.warn('xray-react: Event stream closed');
+    }
+  });
+
+  return {
+    on: (event, handler) =>
+      source.addEventListener(`${HOT_EVENT_PREFIX}${event}`, (message) =>
+        handler(JSON.parse(message.data)),
+      ),
+    emit: (event, payload, ack) => {
+      if (clientId) {
+        post(event, payload, ack);
+      } else {
+        pendingEvents.push([event, payload, ack]);
+      }
+    },
+  };
+};
+
 /**
  * ClientIO class for handling Socket.IO connections
  */
 class ClientIO {
   constructor() {
     this.client = null;
+    this.editorProjectRoot = null; // Project root as the editor sees it (path mappings applied)
   }
 
   /**
@@ -46,32 +179,62 @@ class ClientIO {
   }
 
   /**
-   * Initializes Socket.IO connection
-   * @returns {Promise<boolean>} True if connected successfully
+   * Connects to the Socket.IO server, loading the client library first if needed
+   * @returns {Promise<Object|null>} Socket.IO socket or null
    */
-  async init() {
+  async connectSocketIO() {
     if (typeof window.io === 'undefined') {
       const isSuccess = await this.addScript();
       if (!isSuccess) {
-        return false;
+        return null;
       }
     }
 
-    try {
-      // Socket.IO 4.x uses io() instead of io.connect()
-      this.client = window.io(getIOConnectURL(), { transports: ['websocket', 'polling'] });
+    // Socket.IO 4.x uses io() instead of io.connect()
+    const socket = window.io(getIOConnectURL(), {
+      transports: ['websocket', 'polling'],
+      auth: getIOAuth(),
+    });
 
-      this.client.on('connect', () => {
-        // Connected successfully
-      });
+    socket.on('connect', () => {
+      // Connected successfully
+    });
 
-      this.client.on('disconnect', () => {
-        // Disconnected from server
-      });
+    socket.on('disconnect', () => {
+      // Disconnected from server
+    });
 
-      this.client.on('connect_error', (error) => {
-        console.warn('xray-react: Connection error', error);
-      });
+    socket.on('connect_error', (error) => {
+      console.warn('xray-react: Connection error', error);
+    });
+    return socket;
+  }
+
+  /**
+   * Connects over the transport the plugin chose: Vite's HMR WebSocket, the event stream on
+   * webpack-dev-server or the xray-react Socket.IO server
+   * @returns {Promise<Object|null>} Socket or null
+   */
+  async connect() {
+    if (window.__XRAY_REACT_TRANSPORT__ === TRANSPORT_VITE) {
+      return createHotSocket(await getHotContext());
+    }
+    if (window.__XRAY_REACT_TRANSPORT__ === TRANSPORT_DEV_SERVER) {
+      return createEventStreamSocket();
+    }
+    return this.connectSocketIO();
+  }
+
+  /**
+   * Initializes the connection and the handlers of the server's events
+   * @returns {Promise<boolean>} True if connected successfully
+   */
+  async init() {
+    try {
+      this.client = await this.connect();
+      if (!this.client) {
+        return false;
+      }
 
       this.client.on('project-config', (config) => {
         if (config) {
@@ -85,6 +248,18 @@ class ClientIO {
               window.xrayReactSetMode(mode);
             }
           }
+          if (typeof window !== 'undefined') {
+            window.__XRAY_REACT_EDITOR_URL__ = config.editorUrl || null;
+            window.__XRAY_REACT_EDITOR_REMOTE__ = config.editorRemote || null;
+          }
+          this.editorProjectRoot = config.editorProjectRoot || config.projectRoot || null;
+          if (typeof window !== 'undefined') {
+            if (window.xrayReactSetWorkspacePackages) {
+              window.xrayReactSetWorkspacePackages(config.workspacePackages || []);
+            } else {
+              window.__XRAY_REACT_WORKSPACE_PACKAGES__ = config.workspacePackages || [];
+            }
+          }
           if (config.projectRoot) {
             if (typeof window !== 'undefined' && window.xrayReactSetProjectRoot) {
               window.xrayReactSetProjectRoot(config.projectRoot);
@@ -133,6 +308,28 @@ class ClientIO {
         }
       });
 
+      // Incremental updates pushed by the server's file watcher
+      this.client.on('usage-map-patch', (patch) => {
+        if (patch && typeof window !== 'undefined' && window.xrayReactApplyUsageMapPatch) {
+          window.xrayReactApplyUsageMapPatch(patch);
+        }
+      });
+
+      this.client.on('import-map-patch', (patch) => {
+        if (patch && typeof window !== 'undefined' && window.xrayReactApplyImportMapPatch) {
+          window.xrayReactApplyImportMapPatch(patch);
+        }
+      });
+
+      this.client.on('project-files-patch', (patch) => {
+        if (patch && typeof window !== 'undefined' && window.xrayReactApplyProjectFilesPatch) {
+          window.xrayReactApplyProjectFilesPatch(patch);
+        }
+      });
+
+      if (this.client.announce) {
+        this.client.announce();
+      }
       return true;
     } catch (error) {
       console.error('xray-react: Failed to initialize Socket.IO', error);
@@ -141,6 +338,74 @@ class ClientIO {
   }
 }
 
+/**
+ * Asks the server to open a clicked component and handles its acknowledgement
+ * Ambiguous components show a picker; the pick is remembered for the component path
+ * @param {ClientIO} clientIO - Connected client
+ * @param {Object} payload - `xray-react-component` payload ({ structure, source, open, choice })
+ * @param {string|null} editorUrlScheme - Editor URL scheme when the browser opens the file
+ */
+const requestOpenComponent = (clientIO, payload, editorUrlScheme) => {
+  clientIO.client.emit('xray-react-component', payload, (result) => {
+    if (!result) return;
+
+    const componentName = payload.structure.split(' -> ').pop();
+    if (result.status === OPEN_STATUS_AMBIGUOUS) {
+      showCandidatePicker(payload.structure, result.candidates || [], {
+        projectRoot: clientIO.editorProjectRoot,
+        onPick: (candidate) => {
+          rememberChoice(payload.structure, candidate.path);
+          requestOpenComponent(
+            clientIO,
+            { ...payload, choice: { path: candidate.path } },
+            editorUrlScheme,
+          );
+        },
+      });
+      return;
+    }
+    if (result.status === OPEN_STATUS_NOT_FOUND) {
+      showToast(`No file found for ${componentName}`);
+      return;
+    }
+    if (result.status === OPEN_STATUS_FAILED) {
+      showToast(`Could not open the file of ${componentName}, see the xray-react server log`);
+      return;
+    }
+
+    hideNotice();
+    if (!editorUrlScheme || !result.location) return;
+
+    const url = buildEditorUrl(editorUrlScheme, result.location, {
+      remote: window.__XRAY_REACT_EDITOR_REMOTE__,
+      projectRoot: clientIO.editorProjectRoot,
+    });
+    if (url) {
+      openEditorUrl(url);
+    }
+  });
+};
+
+/**
+ * Opens the file of a component path, with the user's remembered pick for ambiguous components
+ * @param {ClientIO} clientIO - Connected client
+ * @param {string} componentPath - Component path (e.g., 'App -> Layout -> Header')
+ * @param {Object|null} source - Source location of the clicked element
+ */
+const openComponentPath = (clientIO, componentPath, source = null) => {
+  // Either the server launches the editor, or it resolves the file for an editor URL
+  const editorUrlScheme = getEditorUrlScheme();
+  const choice = getRememberedChoice(componentPath);
+  const payload = {
+    structure: componentPath,
+    source,
+    open: editorUrlScheme ? 'url' : 'editor',
+    choice: choice ? { path: choice } : null,
+  };
+
+  requestOpenComponent(clientIO, payload, editorUrlScheme);
+};
+
 /**
  * Initializes Socket.IO and sets up click listeners
  */
@@ -149,12 +414,23 @@ const initIOAndListeners = async () => {
   const isSuccess = await clientIO.init();
 
   if (isSuccess) {
+    // Lets integrations (e.g., the Storybook addon) open component paths without an overlay
+    window.xrayReactOpenComponentPath = (componentPath) => {
+      if (clientIO.client) {
+        openComponentPath(clientIO, componentPath);
+      }
+    };
+
     document.body.addEventListener('click', (event) => {
       const target = event.target;
       if (target.classList.contains(constants.xrayReactElemCN)) {
         const componentPath = target.getAttribute(constants.xrayReactCompPathAttr);
         if (componentPath && clientIO.client) {
-          clientIO.client.emit('xray-react-component', componentPath);
+          const source = parseSourceLocation(target.getAttribute(constants.xrayReactSourceAttr));
+          if (source) {
+            source.exact = target.hasAttribute(constants.xrayReactSourceExactAttr);
+          }
+          openComponentPath(clientIO, componentPath, source);
         }
       }
     });
@@ -1,19 +1,31 @@
 import {
   enableXrayReact,
+  setXrayReactEnabled,
+  refreshXrayReact,
   setProjectRoot,
+  setWorkspacePackages,
   setUsageMap,
   setImportMap,
   setProjectFiles,
+  applyUsageMapPatch,
+  applyImportMapPatch,
+  applyProjectFilesPatch,
   setMode,
 } from '../src/ui-utils.js';
 
 // Expose functions globally for client bundle to use
 if (typeof window !== 'undefined') {
   window.xrayReactSetProjectRoot = setProjectRoot;
+  window.xrayReactSetWorkspacePackages = setWorkspacePackages;
   window.xrayReactSetUsageMap = setUsageMap;
   window.xrayReactSetImportMap = setImportMap;
   window.xrayReactSetProjectFiles = setProjectFiles;
+  window.xrayReactApplyUsageMapPatch = applyUsageMapPatch;
+  window.xrayReactApplyImportMapPatch = applyImportMapPatch;
+  window.xrayReactApplyProjectFilesPatch = applyProjectFilesPatch;
   window.xrayReactSetMode = setMode;
+  window.xrayReactSetEnabled = setXrayReactEnabled;
+  window.xrayReactRefresh = refreshXrayReact;
 }
 
 enableXrayReact();
@@ -0,0 +1,1140 @@
+import fs from 'fs';
+import path from 'path';
+import { Server } from 'socket.io';
+import { createServer } from 'http';
+import { openFile, isPathInsideRoots, getEditorTemplate } from './editor-utils.js';
+import {
+  scanSourceFiles,
+  extractFileIndex,
+  extractComponentContext,
+  parseComponentPayload,
+  resolveComponentLocation,
+  getFilePriority,
+  detectSourcePaths,
+  resolveProjectRoot,
+  resolvePort,
+  toPositiveInteger,
+} from './source-utils.js';
+import { watchSourcePaths } from './file-watcher.js';
+import { resolvePathMappings, toEditorPath, toServerPath } from './path-mappings.js';
+import { loadProjectConfig } from './project-config.js';
+import { createSourceFilter } from './source-filter.js';
+import { createIgnoreMatcher } from './gitignore.js';
+import { createModuleResolver } from './module-resolver.js';
+import { resolveFileImports } from './import-graph.js';
+import { detectWorkspacePackages, findWorkspacePackage, toWorkspacePath } from './workspaces.js';
+import { createHotChannel } from './hot-channel.js';
+import { createEventStreamChannel } from './event-stream-channel.js';
+import {
+  createSessionToken,
+  isValidToken,
+  normalizeOrigin,
+  parseOrigins,
+  isLoopbackAddress,
+  isOriginAllowed,
+} from './access-control.js';
+import {
+  getIndexCachePath,
+  createIndexCacheKey,
+  hashContent,
+  loadIndexCache,
+  saveIndexCache,
+} from './index-cache.js';
+import {
+  UI_MODE_FULL,
+  AVAILABLE_UI_MODES,
+  EDITOR_URL_SCHEMES,
+  OPEN_STATUS_OPENED,
+  OPEN_STATUS_NOT_FOUND,
+  OPEN_STATUS_AMBIGUOUS,
+  OPEN_STATUS_FAILED,
+  STORY_FILE_PATTERN,
+  TRANSPORT_SOCKET_IO,
+  AVAILABLE_TRANSPORTS,
+} from './constants.js';
+
+/**
+ * xray-react server
+ * Owns the project index (component sources, usage, imports, project files), the Socket.IO
+ * protocol used by the client bundle, editor launching and shutdown.
+ * Shared by the standalone server and all bundler plugins.
+ */
+export class XrayServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.projectRoot - Project root (default: resolved from sourcePath/package.json)
+   * @param {string} options.sourcePath - Plugin-style sourcePath used to resolve the project root
+   * @param {Array<string>} options.sourcePaths - Directories to index (default: the config's include
+   *   globs, or detected in project root)
+   * @param {number} options.port - Port to listen on (default: XRAY_REACT_PORT or 8124)
+   * @param {string} options.host - Host to bind to (default: XRAY_REACT_HOST or 127.0.0.1)
+   * @param {string|boolean} options.token - Token clients must present; true generates a
+   *   per-session token, false disables the check (default: true)
+   * @param {Array<string>} options.allowedOrigins - Origins allowed to connect besides loopback
+   *   origins, added to XRAY_REACT_ALLOWED_ORIGINS; '*' allows any origin
+   * @param {string} options.mode - UI mode sent to clients (default: XRAY_REACT_MODE or 'full')
+   * @param {string} options.editor - Editor command (default: XRAY_REACT_EDITOR or detected)
+   * @param {string} options.editorUrl - Editor URL scheme the browser opens files with instead of
+   *   the server launching the editor: 'vscode', 'cursor', 'idea', 'jetbrains' or 'subl'
+   *   (default: XRAY_REACT_EDITOR_URL; users can override it in the UI)
+   * @param {string} options.editorRemote - VS Code/Cursor remote authority for editor URLs, e.g.
+   *   'dev-container+<id>' or 'ssh-remote+<host>' (default: XRAY_REACT_EDITOR_REMOTE)
+   * @param {string} options.editorTemplate - Editor command template with {file}, {relativeFile},
+   *   {line}, {column} and {projectRoot} placeholders, or a preset name; takes precedence over
+   *   options.editor (default: XRAY_REACT_EDITOR_TEMPLATE)
+   * @param {Array<Object>|Object|string} options.pathMappings - Server -> editor path prefixes
+   *   ([{ from, to }], { from: to } or 'from=to,...'), or 'auto' to detect Docker/WSL mappings
+   *   (default: XRAY_REACT_PATH_MAPPINGS)
+   * @param {boolean} options.watch - Re-index source files when they change (default: true)
+   * @param {boolean} options.cache - Persist the index in node_modules/.cache/xray-react (default: true)
+   * @param {boolean} options.workspaces - Index the workspace packages the project depends on
+   *   (pnpm, npm, Yarn or Lerna workspaces; default: true)
+   * @param {Array<Object>|Object} options.aliases - Bundler aliases imports are resolved with,
+   *   in Vite or webpack `resolve.alias` format (bundler plugins pass their bundler's aliases)
+   * @param {string} options.transport - 'socket.io' to listen on its own port (default), 'vite'
+   *   when pages connect through the Vite dev server's WebSocket (see attachHotChannel), or
+   *   'dev-server' when they connect through webpack-dev-server middleware (see createMiddleware)
+   * @param {Object} options.config - Project config to use instead of loading the
+   *   xray-react.config file (see project-config.js)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.projectRoot =
+      options.projectRoot ||
+      resolveProjectRoot({ sourcePath: options.sourcePath, fallbackPath: process.cwd() });
+    this.host = options.host || process.env.XRAY_REACT_HOST || '127.0.0.1';
+    if (options.token === false) {
+      this.token = null;
+    } else {
+      this.token = typeof options.token === 'string' ? options.token : createSessionToken();
+    }
+    this.allowedOrigins = new Set();
+    [
+      ...parseOrigins(options.allowedOrigins),
+      ...parseOrigins(process.env.XRAY_REACT_ALLOWED_ORIGINS),
+    ].forEach((origin) => this.allowOrigin(origin));
+
+    this.config = options.config || {};
+    this.configPath = null;
+    this.configPromise = options.config ? Promise.resolve(this.config) : null;
+
+    this.sources = {};
+    this.registeredSources = new Map(); // `${name}:${path}` -> { name, candidate }
+    this.usageMap = {};
+    this.importMap = {}; // file path -> { imported name -> declaring file or null }
+    this.fileRecords = new Map(); // file path -> { mtimeMs, size, hash, declarations, usage, ... }
+    this.moduleRecords = new Map(); // records of imported files outside the source paths
+    this.aliases = options.aliases || null;
+    this.routeIds = new Map(); // route module path -> route id (React Router framework mode, Remix)
+    this.isCacheDirty = false;
+    this.ignoreMatchers = new Map(); // source path -> .gitignore/IGNORED_DIRS matcher
+    this.resolveSettings();
+
+    this.transport = AVAILABLE_TRANSPORTS.includes(options.transport)
+      ? options.transport
+      : TRANSPORT_SOCKET_IO;
+    this.channels = []; // dev server channels (Vite WebSocket, webpack-dev-server event stream)
+    this.httpServer = null;
+    this.io = null;
+    this.watcher = null;
+    this.startPromise = null;
+  }
+
+  /**
+   * Resolves the settings that can come from the project config file
+   * Precedence: server options (plugin params) > environment variables (CLI flags) >
+   * xray-react.config file > defaults
+   */
+  resolveSettings() {
+    const { options, config } = this;
+
+    this.port = resolvePort({ port: options.port, defaultPort: config.port || 8124 });
+
+    const mode = options.mode || process.env.XRAY_REACT_MODE || config.mode;
+    this.mode = AVAILABLE_UI_MODES.includes(mode) ? mode : UI_MODE_FULL;
+
+    // Without an explicit editor, getEditorCommand() reads XRAY_REACT_EDITOR or detects one
+    this.editor = options.editor || (process.env.XRAY_REACT_EDITOR ? null : config.editor) || null;
+    this.editorTemplate =
+      options.editorTemplate ||
+      process.env.XRAY_REACT_EDITOR_TEMPLATE ||
+      config.editorTemplate ||
+      null;
+
+    const editorUrl =
+      options.editorUrl || process.env.XRAY_REACT_EDITOR_URL || config.editorUrl || null;
+    if (editorUrl && !EDITOR_URL_SCHEMES.includes(editorUrl)) {
+      console.warn(
+        `xray-react: Unknown editor URL scheme "${editorUrl}", expected one of ${EDITOR_URL_SCHEMES.join(', ')}`,
+      );
+    }
+    this.editorUrl = EDITOR_URL_SCHEMES.includes(editorUrl) ? editorUrl : null;
+    this.editorRemote =
+      options.editorRemote || process.env.XRAY_REACT_EDITOR_REMOTE || config.editorRemote || null;
+
+    try {
+      this.pathMappings = resolvePathMappings(
+        options.pathMappings || process.env.XRAY_REACT_PATH_MAPPINGS || config.pathMappings,
+        this.projectRoot,
+      );
+    } catch (error) {
+      console.error(`xray-react: ${error.message}`);
+      this.pathMappings = [];
+    }
+
+    this.watch = options.watch ?? config.watch ?? true;
+    const cache = options.cache ?? config.cache ?? true;
+    this.cachePath = cache === false ? null : getIndexCachePath(this.projectRoot);
+
+    const hasSourcePaths = Array.isArray(options.sourcePaths) && options.sourcePaths.length > 0;
+    this.indexConfig = {
+      include: hasSourcePaths ? [] : config.include || [],
+      exclude: config.exclude || [],
+      extensions: config.extensions || [],
+      ignoreComponents: config.ignoreComponents || [],
+    };
+    this.sourceFilter = createSourceFilter({ projectRoot: this.projectRoot, ...this.indexConfig });
+    this.sourcePaths = hasSourcePaths ? options.sourcePaths : this.sourceFilter.getScanRoots();
+
+    const workspaces = options.workspaces ?? config.workspaces ?? true;
+    this.workspacePackages = workspaces ? detectWorkspacePackages(this.projectRoot) : [];
+
+    this.moduleResolver = this.createModuleResolver();
+  }
+
+  /**
+   * Creates the resolver imports are resolved with (see module-resolver.js)
+   * @returns {Object} Module resolver
+   */
+  createModuleResolver() {
+    return createModuleResolver({
+      aliases: this.aliases,
+      extensions: this.sourceFilter.extensions,
+      workspacePackages: this.workspacePackages,
+    });
+  }
+
+  /**
+   * Sets the bundler aliases imports are resolved with
+   * Updates the import map of connected clients if the index is already built
+   * @param {Array<Object>|Object} aliases - Aliases in Vite or webpack `resolve.alias` format
+   */
+  setAliases(aliases) {
+    if (!aliases || aliases === this.aliases) return;
+
+    this.aliases = aliases;
+    this.moduleResolver = this.createModuleResolver();
+    if (this.fileRecords.size > 0) {
+      this.importMap = this.resolveImportMap();
+      this.broadcast('import-map', { imports: this.importMap });
+    }
+  }
+
+  /**
+   * Loads the project config file (xray-react.config.{js,mjs,json}) once and applies it
+   * @returns {Promise<Object>} Resolves with the config ({} without a file)
+   * @throws {ConfigError} If the config file cannot be loaded or is invalid
+   */
+  loadConfig() {
+    if (!this.configPromise) {
+      this.configPromise = loadProjectConfig(this.projectRoot).then(({ config, configPath }) => {
+        this.config = config;
+        this.configPath = configPath;
+        this.resolveSettings();
+        return config;
+      });
+    }
+    return this.configPromise;
+  }
+
+  /**
+   * Checks if a file is indexed: a source file extension, included and not excluded by the config
+   * @param {string} filePath - Absolute path
+   * @returns {boolean} True for source files
+   */
+  isSourceFile(filePath) {
+    return this.sourceFilter.isSourceFile(filePath);
+  }
+
+  /**
+   * Checks if a file belongs to one of the workspace packages the project depends on
+   * @param {string} filePath - Absolute path
+   * @returns {boolean} True for workspace package files
+   */
+  isWorkspaceFile(filePath) {
+    return findWorkspacePackage(filePath, this.workspacePackages) !== null;
+  }
+
+  /**
+   * Checks if a path is skipped when scanning: inside IGNORED_DIRS or ignored by .gitignore
+   * @param {string} filePath - Absolute path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean} True if ignored
+   */
+  isIgnoredPath(filePath, isDirectory = false) {
+    const ignoreMatcher = this.getIgnoreMatcher(filePath);
+    return ignoreMatcher ? ignoreMatcher.isIgnored(filePath, isDirectory) : false;
+  }
+
+  /**
+   * Gets the ignore matcher of the source path a path is in, reading .gitignore files on first use
+   * @param {string} filePath - Source path or a path inside one
+   * @returns {Object|null} Ignore matcher (see gitignore.js), null outside the source paths
+   */
+  getIgnoreMatcher(filePath) {
+    const sourcePath = this.getSourcePaths().find(
+      (dir) => filePath === dir || filePath.startsWith(`${dir}${path.sep}`),
+    );
+    if (!sourcePath) return null;
+
+    if (!this.ignoreMatchers.has(sourcePath)) {
+      this.ignoreMatchers.set(sourcePath, createIgnoreMatcher(sourcePath));
+    }
+    return this.ignoreMatchers.get(sourcePath);
+  }
+
+  /**
+   * Allows an origin (e.g., the dev server's URL) to connect
+   * @param {string} origin - Origin or URL, or '*' to allow any origin
+   */
+  allowOrigin(origin) {
+    const normalized = origin === '*' ? '*' : normalizeOrigin(origin);
+    if (normalized) {
+      this.allowedOrigins.add(normalized);
+    } else {
+      console.warn(`xray-react: Ignoring invalid allowed origin ${origin}`);
+    }
+  }
+
+  /**
+   * Gets the inline script that tells the injected client where and how to connect
+   * @returns {string} Script setting window.__XRAY_REACT_PORT__ and window.__XRAY_REACT_TOKEN__
+   */
+  getClientConfigScript() {
+    let script =
+      this.transport === TRANSPORT_SOCKET_IO
+        ? `window.__XRAY_REACT_PORT__=${this.port};`
+        : `window.__XRAY_REACT_TRANSPORT__=${JSON.stringify(this.transport)};`;
+    if (this.token) {
+      script += `window.__XRAY_REACT_TOKEN__=${JSON.stringify(this.token)};`;
+    }
+    return script;
+  }
+
+  /**
+   * Checks if an HTTP request (Socket.IO handshake) may connect
+   * Requests without an Origin header (not from a browser page) must come from this machine
+   * @param {Object} request - Incoming HTTP request
+   * @returns {boolean} True if allowed
+   */
+  isRequestAllowed(request) {
+    const origin = request.headers.origin;
+    if (!origin) {
+      return isLoopbackAddress(request.socket.remoteAddress);
+    }
+    return isOriginAllowed(origin, this.allowedOrigins);
+  }
+
+  /**
+   * Gets the directories files may be opened from
+   * @returns {Array<string>} Allowed roots
+   */
+  getAllowedRoots() {
+    return [this.projectRoot, ...this.workspacePackages.map(({ dir }) => dir)];
+  }
+
+  /**
+   * Gets the directories to index, detecting them in the project root and the workspace packages
+   * it depends on if not configured
+   * @returns {Array<string>} Source paths
+   */
+  getSourcePaths() {
+    if (this.sourcePaths.length === 0) {
+      this.sourcePaths = [this.projectRoot, ...this.workspacePackages.map(({ dir }) => dir)]
+        .flatMap((dir) => detectSourcePaths(dir))
+        // A workspace root's source paths may contain its packages
+        .filter((dir, index, dirs) => !dirs.some((other) => dir.startsWith(`${other}${path.sep}`)))
+        .filter((dir, index, dirs) => dirs.indexOf(dir) === index);
+    }
+    return this.sourcePaths;
+  }
+
+  /**
+   * Adds a component source candidate, ignoring duplicates of the same name and path
+   * @param {string} name - Component name
+   * @param {Object} candidate - Candidate ({ path, context, priority, line })
+   */
+  addSourceCandidate(name, candidate) {
+    if (!this.sources[name]) {
+      this.sources[name] = [];
+    }
+
+    const existing = this.sources[name].find((c) => c.path === candidate.path);
+    if (existing) {
+      existing.line = existing.line || candidate.line;
+      return;
+    }
+
+    this.sources[name].push(candidate);
+  }
+
+  /**
+   * All React files found in the source paths
+   * This includes all files, not just those with usage/imports
+   * @returns {Array<string>} File paths
+   */
+  get allProjectFiles() {
+    return [...this.fileRecords.keys()];
+  }
+
+  /**
+   * Gets the key the index cache is valid for
+   * @returns {string} Cache key
+   */
+  getCacheKey() {
+    return createIndexCacheKey({
+      projectRoot: this.projectRoot,
+      sourcePaths: this.getSourcePaths(),
+      workspacePackages: this.workspacePackages,
+      ...this.indexConfig,
+      // Regular expressions would serialize to {}
+      ignoreComponents: this.indexConfig.ignoreComponents.map(String),
+    });
+  }
+
+  /**
+   * Reads the index record of a file, reusing a known record when the file is unchanged
+   * Unchanged means same mtime and size, or same content hash when only the mtime moved
+   * @param {string} filePath - Path to the source file
+   * @param {Map<string, Object>} knownRecords - Previously indexed records (default: current index)
+   * @returns {Object|null} File record or null if the file no longer exists
+   */
+  readFileRecord(filePath, knownRecords = this.fileRecords) {
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile()) return null;
+
+    const known = knownRecords.get(filePath);
+    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) {
+      return known;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch {
+      return null;
+    }
+
+    const hash = hashContent(content);
+    if (known && known.hash === hash) {
+      return { ...known, mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+
+    return {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      hash: hash,
+      ...extractFileIndex(filePath, this.projectRoot, content, this.workspacePackages),
+    };
+  }
+
+  /**
+   * Gets the ids a file is found by besides its components: the route id of a framework route
+   * module (shown in the component path) and the path Storybook reports for a story file
+   * (`./src/Button.stories.tsx`, its `parameters.fileName`)
+   * @param {string} filePath - Path to the source file
+   * @returns {Array<string>} Ids
+   */
+  getModuleIds(filePath) {
+    const ids = [];
+    if (this.routeIds.has(filePath)) {
+      ids.push(this.routeIds.get(filePath));
+    }
+    if (STORY_FILE_PATTERN.test(filePath)) {
+      const relativePath = path.relative(this.projectRoot, filePath).split(path.sep).join('/');
+      ids.push(relativePath.startsWith('../') ? relativePath : `./${relativePath}`);
+    }
+    return ids;
+  }
+
+  /**
+   * Adds the components declared in a file to the sources map
+   * @param {string} filePath - Path to the source file
+   * @param {Object} record - File record (default: read from disk or the index)
+   * @returns {Array<Object>} Added entries ({ name, candidate })
+   */
+  indexFileSources(filePath, record = this.readFileRecord(filePath)) {
+    if (!record) return [];
+
+    const declarations = record.declarations.filter(
+      ({ name }) => !this.sourceFilter.isIgnoredComponent(name),
+    );
+    this.getModuleIds(filePath).forEach((id) => declarations.push({ name: id, line: null }));
+    return declarations.map(({ name, line }) => {
+      const candidate = {
+        path: filePath,
+        context: record.context,
+        priority: record.priority,
+        line: line,
+      };
+      this.addSourceCandidate(name, candidate);
+      return { name, candidate };
+    });
+  }
+
+  /**
+   * Adds a file record to the sources, usage map and project files
+   * The import map depends on other files and is resolved separately (see resolveImportMap)
+   * @param {string} filePath - Path to the source file
+   * @param {Object} record - File record
+   */
+  addFileRecord(filePath, record) {
+    this.fileRecords.set(filePath, record);
+    this.indexFileSources(filePath, record);
+
+    if (record.usage.length > 0) {
+      this.usageMap[filePath] = record.usage;
+    }
+  }
+
+  /**
+   * Removes a file from the sources, usage map and project files
+   * @param {string} filePath - Path to the source file
+   */
+  removeFileRecord(filePath) {
+    this.fileRecords.delete(filePath);
+    this.removeFileSources(filePath);
+    delete this.usageMap[filePath];
+  }
+
+  /**
+   * Gets the record of an imported file: from the index, or read on demand for files outside
+   * the source paths (e.g., barrel files of packages that are not indexed)
+   * @param {string} filePath - Path to the file
+   * @returns {Object|null} File record or null if the file cannot be read
+   */
+  getModuleRecord(filePath) {
+    if (this.fileRecords.has(filePath)) return this.fileRecords.get(filePath);
+
+    if (!this.moduleRecords.has(filePath)) {
+      this.moduleRecords.set(filePath, this.readFileRecord(filePath, this.moduleRecords));
+    }
+    return this.moduleRecords.get(filePath);
+  }
+
+  /**
+   * Resolves the imports of all indexed files to the files declaring the imported components,
+   * following path aliases, index files and barrel re-exports
+   * @returns {Object} Import map (file path -> { imported name -> declaring file or null })
+   */
+  resolveImportMap() {
+    this.moduleResolver.clear();
+    this.moduleRecords.clear();
+    const graph = {
+      resolver: this.moduleResolver,
+      getRecord: (filePath) => this.getModuleRecord(filePath),
+    };
+
+    const importMap = {};
+    this.fileRecords.forEach((record, filePath) => {
+      const imports = resolveFileImports(filePath, record.importSpecifiers || [], graph);
+      if (Object.keys(imports).length > 0) {
+        importMap[filePath] = imports;
+      }
+    });
+    return importMap;
+  }
+
+  /**
+   * Builds the full project index in a single pass over the source files
+   * Unchanged files are taken from the on-disk cache; sources registered by bundlers are kept.
+   * The files are found without blocking; the index is replaced at once when they are read.
+   * @returns {Promise<void>} Resolves once the index is built
+   */
+  async buildIndex() {
+    // Re-read .gitignore files on every full build
+    this.ignoreMatchers.clear();
+    const scannedFiles = [];
+    for (const sourcePath of this.getSourcePaths()) {
+      if (!fs.existsSync(sourcePath)) {
+        console.warn(`xray-react: Source path not found: ${sourcePath}`);
+        continue;
+      }
+      scannedFiles.push(
+        ...(await scanSourceFiles(
+          sourcePath,
+          this.sourceFilter,
+          this.getIgnoreMatcher(sourcePath),
+        )),
+      );
+    }
+
+    const cacheKey = this.cachePath ? this.getCacheKey() : null;
+    const knownRecords = this.cachePath ? loadIndexCache(this.cachePath, cacheKey) : new Map();
+    this.fileRecords.forEach((record, filePath) => knownRecords.set(filePath, record));
+
+    this.sources = {};
+    this.usageMap = {};
+    this.fileRecords = new Map();
+
+    scannedFiles.forEach((filePath) => {
+      if (this.fileRecords.has(filePath)) return;
+
+      const record = this.readFileRecord(filePath, knownRecords);
+      if (record) {
+        this.addFileRecord(filePath, record);
+      }
+    });
+
+    this.registeredSources.forEach(({ name, candidate }) =>
+      this.addSourceCandidate(name, candidate),
+    );
+    this.importMap = this.resolveImportMap();
+
+    if (this.cachePath) {
+      saveIndexCache(this.cachePath, cacheKey, this.fileRecords);
+      this.isCacheDirty = false;
+    }
+  }
+
+  /**
+   * Removes every component candidate that points at a file
+   * @param {string} filePath - Path to the source file
+   */
+  removeFileSources(filePath) {
+    Object.keys(this.sources).forEach((name) => {
+      const candidates = this.sources[name].filter((candidate) => candidate.path !== filePath);
+      if (candidates.length > 0) {
+        this.sources[name] = candidates;
+      } else {
+        delete this.sources[name];
+      }
+    });
+  }
+
+  /**
+   * Forgets the components registered for a file
+   * @param {string} filePath - Path to the source file
+   * @returns {boolean} True if the file had registered components
+   */
+  unregisterFile(filePath) {
+    let wasRegistered = false;
+    this.registeredSources.forEach((entry, key) => {
+      if (entry.candidate.path === filePath) {
+        this.registeredSources.delete(key);
+        wasRegistered = true;
+      }
+    });
+    return wasRegistered;
+  }
+
+  /**
+   * Registers the components of a module seen by a bundler
+   * Kept across source map rebuilds; registering a file again replaces its components
+   * @param {string} filePath - Path to the module file
+   */
+  registerFile(filePath) {
+    if (!this.isSourceFile(filePath)) return;
+
+    this.unregisterFile(filePath);
+    this.removeFileSources(filePath);
+    this.indexFileSources(filePath).forEach((entry) => {
+      this.registeredSources.set(`${entry.name}:${filePath}`, entry);
+    });
+  }
+
+  /**
+   * Sets the route modules of a framework router, so they can be found by route id
+   * React Router framework mode and Remix route ids are module paths (e.g., 'routes/home')
+   * @param {Array<Object>} routeModules - Route modules ({ id, path })
+   */
+  setRouteModules(routeModules) {
+    const changedFiles = new Set([...this.routeIds.keys(), ...routeModules.map((r) => r.path)]);
+    this.routeIds = new Map(routeModules.map(({ id, path: filePath }) => [filePath, id]));
+
+    changedFiles.forEach((filePath) => {
+      const record = this.fileRecords.get(filePath);
+      if (record) {
+        this.removeFileSources(filePath);
+        this.indexFileSources(filePath, record);
+      }
+    });
+  }
+
+  /**
+   * Registers a single component source (e.g., from the `register-source` event)
+   * @param {Object} data - Source data
+   * @param {string} data.name - Component name
+   * @param {string} data.path - Path to the component file (server or editor path)
+   * @param {number} data.line - Optional declaration line
+   */
+  registerSource({ name, path: sentPath, line }) {
+    if (!name || !sentPath || this.sourceFilter.isIgnoredComponent(name)) return;
+
+    const filePath = toWorkspacePath(
+      toServerPath(sentPath, this.pathMappings),
+      this.workspacePackages,
+    );
+    const candidate = {
+      path: filePath,
+      context: extractComponentContext(filePath, this.projectRoot, this.workspacePackages),
+      priority: getFilePriority(filePath),
+      line: line || null,
+    };
+    this.registeredSources.set(`${name}:${filePath}`, { name, candidate });
+    this.addSourceCandidate(name, candidate);
+  }
+
+  /**
+   * Expands watcher paths to the source files they affect
+   * A directory that still exists yields its files, a removed one the files indexed under it
+   * @param {Array<string>} changedPaths - Changed files or directories
+   * @returns {Promise<Set<string>>} Affected source files
+   */
+  async collectChangedFiles(changedPaths) {
+    const files = new Set();
+
+    // Changed .gitignore files apply to the next scans
+    if (changedPaths.some((changedPath) => path.basename(changedPath) === '.gitignore')) {
+      this.ignoreMatchers.clear();
+    }
+
+    // Paths reached through symlinks are indexed under their real path if it is in a source path
+    const resolvedPaths = changedPaths.map((changedPath) => {
+      try {
+        const realPath = fs.realpathSync(changedPath);
+        return this.getIgnoreMatcher(realPath) ? realPath : changedPath;
+      } catch {
+        return changedPath; // Deleted
+      }
+    });
+
+    for (const changedPath of new Set(resolvedPaths)) {
+      const stat = fs.statSync(changedPath, { throwIfNoEntry: false });
+      const isDirectory = Boolean(stat && stat.isDirectory());
+
+      if (isDirectory) {
+        if (!this.isIgnoredPath(changedPath, true)) {
+          const scannedFiles = await scanSourceFiles(
+            changedPath,
+            this.sourceFilter,
+            this.getIgnoreMatcher(changedPath),
+          );
+          scannedFiles.forEach((filePath) => files.add(filePath));
+        }
+      } else if (this.isSourceFile(changedPath)) {
+        files.add(changedPath);
+      } else if (!stat) {
+        const prefix = `${changedPath}${path.sep}`;
+        this.allProjectFiles
+          .filter((filePath) => filePath.startsWith(prefix))
+          .forEach((filePath) => files.add(filePath));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Re-indexes changed, added or deleted files and pushes the deltas to connected clients
+   * Patches sources, usage map, import map and project files instead of rebuilding them
+   * @param {Array<string>} changedPaths - Changed files or directories
+   * @returns {Promise<Object>} Applied patches ({ usage, imports, files })
+   */
+  async applyFileChanges(changedPaths) {
+    const usagePatch = { set: {}, remove: [] };
+    const importPatch = { set: {}, remove: [] };
+    const filesPatch = { added: [], removed: [] };
+
+    const patchMap = (patch, filePath, previousNames, names) => {
+      if (names.length > 0) {
+        if (JSON.stringify(previousNames) !== JSON.stringify(names)) {
+          patch.set[filePath] = names;
+        }
+      } else if (previousNames) {
+        patch.remove.push(filePath);
+      }
+    };
+
+    const changedFiles = await this.collectChangedFiles(changedPaths);
+    changedFiles.forEach((filePath) => {
+      const isKnown = this.fileRecords.has(filePath);
+      const previousUsage = this.usageMap[filePath];
+      // Files that became ignored are removed like deleted ones
+      const record = this.isIgnoredPath(filePath) ? null : this.readFileRecord(filePath);
+      const wasRegistered = this.unregisterFile(filePath);
+
+      this.removeFileRecord(filePath);
+      if (record) {
+        this.addFileRecord(filePath, record);
+      }
+      if (record && wasRegistered) {
+        this.registerFile(filePath);
+      }
+
+      patchMap(usagePatch, filePath, previousUsage, record ? record.usage : []);
+
+      if (record && !isKnown) {
+        filesPatch.added.push(filePath);
+      } else if (!record && isKnown) {
+        filesPatch.removed.push(filePath);
+      }
+      this.isCacheDirty = true;
+    });
+
+    // A change can move where imports of other files resolve to (added files, edited barrels)
+    if (changedFiles.size > 0) {
+      const previousImportMap = this.importMap;
+      this.importMap = this.resolveImportMap();
+      Object.entries(this.importMap).forEach(([filePath, imports]) => {
+        if (JSON.stringify(previousImportMap[filePath]) !== JSON.stringify(imports)) {
+          importPatch.set[filePath] = imports;
+        }
+      });
+      Object.keys(previousImportMap)
+        .filter((filePath) => !this.importMap[filePath])
+        .forEach((filePath) => importPatch.remove.push(filePath));
+    }
+
+    if (Object.keys(usagePatch.set).length > 0 || usagePatch.remove.length > 0) {
+      this.broadcast('usage-map-patch', usagePatch);
+    }
+    if (Object.keys(importPatch.set).length > 0 || importPatch.remove.length > 0) {
+      this.broadcast('import-map-patch', importPatch);
+    }
+    if (filesPatch.added.length > 0 || filesPatch.removed.length > 0) {
+      this.broadcast('project-files-patch', filesPatch);
+    }
+
+    return { usage: usagePatch, imports: importPatch, files: filesPatch };
+  }
+
+  /**
+   * Starts watching the source paths for changes
+   */
+  startWatching() {
+    if (this.watcher || this.watch === false) return;
+
+    this.watcher = watchSourcePaths(this.getSourcePaths(), (changedPaths) =>
+      this.applyFileChanges(changedPaths),
+    );
+  }
+
+  /**
+   * Sends an event to every connected client, whatever its transport
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  broadcast(event, data) {
+    this.io?.emit(event, data);
+    this.channels.forEach((channel) => channel.emit(event, data));
+  }
+
+  /**
+   * Sends the project index to a client, or to all clients
+   * @param {Object} target - Socket (Socket.IO or hot channel), all clients if omitted
+   */
+  emitIndex(target = null) {
+    const emit = target ? target.emit.bind(target) : this.broadcast.bind(this);
+    emit('usage-map', { usage: this.usageMap });
+    emit('import-map', { imports: this.importMap });
+    emit('project-files', { files: this.allProjectFiles });
+  }
+
+  /**
+   * Finds the candidate the user picked for an ambiguous component
+   * Only files indexed for a component of the hierarchy can be picked
+   * @param {Array<string>} hierarchy - Component hierarchy
+   * @param {Object} choice - Picked candidate ({ path }, an editor path)
+   * @returns {Object|null} Candidate ({ path, line, ... }) or null if the pick is unknown
+   */
+  findChosenCandidate(hierarchy, choice) {
+    const chosenPath = toWorkspacePath(
+      toServerPath(choice.path, this.pathMappings),
+      this.workspacePackages,
+    );
+    for (const name of [...hierarchy].reverse()) {
+      const candidates = Array.isArray(this.sources[name]) ? this.sources[name] : [];
+      const candidate = candidates.find((c) => c.path === chosenPath);
+      if (candidate) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Opens the file of a clicked component in the editor
+   * When the client opens files through an editor URL, the file is only resolved
+   * Paths sent by the browser are mapped to server paths, returned paths to editor paths
+   * @param {string|Object} payload - `xray-react-component` event payload
+   * @returns {{status: string, location: Object|null, candidates: Array<Object>}} Result sent as
+   *   the event's acknowledgement: status 'opened' with the opened (or resolved) location,
+   *   'not-found', 'ambiguous' with the candidates ({ path, line, context }) the user has to
+   *   pick from, or 'failed' when the file could not be opened
+   */
+  openComponent(payload) {
+    const { hierarchy, source: sentSource, open, choice } = parseComponentPayload(payload);
+    if (hierarchy.length === 0) {
+      return { status: OPEN_STATUS_NOT_FOUND, location: null, candidates: [] };
+    }
+
+    const source = sentSource && {
+      ...sentSource,
+      fileName: toWorkspacePath(
+        toServerPath(sentSource.fileName, this.pathMappings),
+        this.workspacePackages,
+      ),
+    };
+
+    // A remembered pick is ignored once the file is no longer indexed for the hierarchy
+    const chosen = choice && this.findChosenCandidate(hierarchy, choice);
+    let location;
+    if (chosen) {
+      const sourcePath = source && path.resolve(this.projectRoot, source.fileName);
+      location =
+        sourcePath === chosen.path && source.lineNumber
+          ? { path: chosen.path, line: source.lineNumber, column: source.columnNumber || null }
+          : { path: chosen.path, line: chosen.line || null, column: null };
+    } else {
+      location = resolveComponentLocation(
+        hierarchy,
+        source,
+        this.sources,
+        this.projectRoot,
+        this.importMap,
+      );
+    }
+
+    if (!location) {
+      const componentNames = [...hierarchy].reverse();
+      console.warn(`xray-react: No file found for components: ${componentNames.join(', ')}`);
+      return { status: OPEN_STATUS_NOT_FOUND, location: null, candidates: [] };
+    }
+
+    if (location.candidates) {
+      const candidates = location.candidates.map((candidate) => ({
+        ...candidate,
+        path: toEditorPath(candidate.path, this.pathMappings),
+      }));
+      return { status: OPEN_STATUS_AMBIGUOUS, location: null, candidates: candidates };
+    }
+
+    // Positions reach editor arguments and URLs, only whole numbers are passed on
+    location = {
+      ...location,
+      line: toPositiveInteger(location.line),
+      column: toPositiveInteger(location.column),
+    };
+    const editorLocation = { ...location, path: toEditorPath(location.path, this.pathMappings) };
+
+    if (open === 'url') {
+      if (!isPathInsideRoots(location.path, this.getAllowedRoots())) {
+        console.warn(`xray-react: Refusing to open ${location.path}: outside of the project root`);
+        return { status: OPEN_STATUS_FAILED, location: null, candidates: [] };
+      }
+      return { status: OPEN_STATUS_OPENED, location: editorLocation, candidates: [] };
+    }
+
+    const isOpened = openFile(location.path, location, this.editor, {
+      allowedRoots: this.getAllowedRoots(),
+      template: this.editorTemplate,
+      projectRoot: this.projectRoot,
+      pathMappings: this.pathMappings,
+    });
+    return isOpened
+      ? { status: OPEN_STATUS_OPENED, location: editorLocation, candidates: [] }
+      : { status: OPEN_STATUS_FAILED, location: null, candidates: [] };
+  }
+
+  /**
+   * Sends the project configuration and index to a client and handles its events
+   * @param {Object} socket - Socket.IO socket, or a hot channel socket with the same methods
+   */
+  handleConnection(socket) {
+    socket.emit('project-config', {
+      projectRoot: this.projectRoot,
+      port: this.port,
+      mode: this.mode,
+      editorUrl: this.editorUrl,
+      editorRemote: this.editorRemote,
+      // The project root as the editor sees it (for project-relative editor URLs)
+      editorProjectRoot: toEditorPath(this.projectRoot, this.pathMappings),
+      // Components of these packages are project components, even through node_modules symlinks
+      workspacePackages: this.workspacePackages.map(({ name, dir }) => ({ name, path: dir })),
+    });
+    this.emitIndex(socket);
+
+    socket.on('xray-react-component', (payload, ack) => {
+      const result = this.openComponent(payload);
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    });
+
+    socket.on('register-source', (data) => {
+      if (data) {
+        this.registerSource(data);
+      }
+    });
+
+    socket.on('rebuild-source-map', () => {
+      this.buildIndex()
+        .then(() => {
+          this.emitIndex();
+          socket.emit('source-map-rebuilt', { count: Object.keys(this.sources).length });
+        })
+        .catch((error) => {
+          console.error('xray-react: Failed to rebuild the index', error);
+          socket.emit('source-map-rebuilt', { error: error.message });
+        });
+    });
+  }
+
+  /**
+   * Serves pages over a dev server's WebSocket (Vite's `server.ws`) instead of the Socket.IO port
+   * Connections are handled like Socket.IO connections, with the same session token check
+   * @param {Object} ws - Vite WebSocket server
+   */
+  attachHotChannel(ws) {
+    this.channels.push(
+      createHotChannel(ws, {
+        isAuthorized: (token) => !this.token || isValidToken(this.token, token),
+        onConnection: (socket) => this.handleConnection(socket),
+      }),
+    );
+  }
+
+  /**
+   * Creates the middleware that serves pages from a dev server's middleware stack
+   * (webpack-dev-server's `setupMiddlewares`) instead of the Socket.IO port
+   * @returns {Function} Connect/Express middleware handling `/__xray-react/*` requests
+   */
+  createMiddleware() {
+    const channel = createEventStreamChannel({
+      isAllowedRequest: (request) => this.isRequestAllowed(request),
+      isAuthorized: (token) => !this.token || isValidToken(this.token, token),
+      onConnection: (socket) => this.handleConnection(socket),
+    });
+    this.channels.push(channel);
+    return channel.middleware;
+  }
+
+  /**
+   * Loads the project config, builds the index and starts the Socket.IO server
+   * Without the Socket.IO transport, only the index is built and watched
+   * @returns {Promise<XrayServer>} Resolves once the server is listening
+   */
+  start() {
+    if (!this.startPromise) {
+      this.startPromise = this.loadConfig()
+        .catch((error) => {
+          console.error(`xray-react: ${error.message}`);
+          throw error;
+        })
+        .then(() => this.listen());
+    }
+    return this.startPromise;
+  }
+
+  /**
+   * Builds the index and starts the Socket.IO server with the resolved settings
+   * @returns {Promise<XrayServer>} Resolves once the server is listening
+   */
+  async listen() {
+    await this.buildIndex();
+    this.startWatching();
+    if (this.transport !== TRANSPORT_SOCKET_IO) return this;
+
+    this.httpServer = createServer();
+    this.io = new Server(this.httpServer, {
+      cors: {
+        origin: (origin, callback) => callback(null, isOriginAllowed(origin, this.allowedOrigins)),
+        methods: ['GET', 'POST'],
+      },
+      allowRequest: (request, callback) => {
+        const isAllowed = this.isRequestAllowed(request);
+        if (!isAllowed) {
+          console.warn(`xray-react: Rejected connection from origin ${request.headers.origin}`);
+        }
+        callback(isAllowed ? null : 'Origin not allowed', isAllowed);
+      },
+    });
+    this.io.use((socket, next) => {
+      if (this.token && !isValidToken(this.token, socket.handshake.auth?.token)) {
+        next(new Error('xray-react: Invalid session token'));
+        return;
+      }
+      next();
+    });
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', (error) => {
+        console.error(`xray-react: Failed to start Socket.IO server on port ${this.port}`, error);
+        reject(error);
+      });
+
+      this.httpServer.listen(this.port, this.host, () => {
+        console.log(`xray-react: Socket.IO server running on ${this.host}:${this.port}`);
+        const editor = this.editorUrl
+          ? `${this.editorUrl}:// URLs opened by the browser`
+          : getEditorTemplate(this.editorTemplate) ||
+            this.editor ||
+            process.env.XRAY_REACT_EDITOR ||
+            'not set';
+        console.log(`xray-react: Editor: ${editor}`);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the watcher and the Socket.IO and HTTP servers, persisting pending index changes
+   * @returns {Promise<void>} Resolves once the server is closed
+   */
+  close() {
+    // A pending start would otherwise begin watching and listening after the server is closed
+    if (this.startPromise) {
+      const startPromise = this.startPromise;
+      this.startPromise = null;
+      return startPromise.catch(() => {}).then(() => this.close());
+    }
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    // Open event streams would keep the dev server from shutting down
+    this.channels.forEach((channel) => channel.close?.());
+
+    if (this.cachePath && this.isCacheDirty) {
+      saveIndexCache(this.cachePath, this.getCacheKey(), this.fileRecords);
+      this.isCacheDirty = false;
+    }
+
+    if (!this.httpServer) {
+      return Promise.resolve();
+    }
+
+    const httpServer = this.httpServer;
+    this.httpServer = null;
+
+    return new Promise((resolve) => {
+      this.io.close(() => resolve());
+      this.io = null;
+      // io.close() also closes the attached HTTP server
+      if (!httpServer.listening) {
+        resolve();
+      }
+    });
+  }
+}
+
+/**
+ * Creates an xray-react server (not started)
+ * @param {Object} options - Server options, see XrayServer
+ * @returns {XrayServer} Server instance; call start() to begin listening
+ */
+export function createXrayServer(options = {}) {
+  return new XrayServer(options);
+}
@@ -2,12 +2,30 @@ export const xrayReactElemCN = 'xray-react-element';
 export const xrayReactWrapperCN = 'xray-react-elements-wrapper';
 export const xrayReactCompPathAttr = 'data-xray-react-components-path';
 export const xrayReactFilteredCompPathAttr = 'data-xray-react-filtered-components-path';
+export const xrayReactSourceAttr = 'data-xray-react-source';
+export const xrayReactSourceExactAttr = 'data-xray-react-source-exact';
+// Names of the React Server Components in an overlay's path
+export const xrayReactServerCompsAttr = 'data-xray-react-server-components';
+// Route ids of the route modules in an overlay's path (React Router framework mode, Remix)
+export const xrayReactRouteModulesAttr = 'data-xray-react-route-modules';
+// Stamped on host elements at build time by the xray-react JSX transforms
+export const xraySourceAttr = 'data-xray-source';
+export const xrayComponentAttr = 'data-xray-component';
 export const zIndex = 10000;
 
 export const UI_MODE_FULL = 'full';
 export const UI_MODE_SIMPLE = 'simple';
 export const AVAILABLE_UI_MODES = [UI_MODE_FULL, UI_MODE_SIMPLE];
 
+export const EDITOR_URL_LABELS = {
+  vscode: 'VS Code',
+  cursor: 'Cursor',
+  idea: 'IntelliJ IDEA',
+  jetbrains: 'JetBrains Toolbox',
+  subl: 'Sublime Text',
+};
+export const EDITOR_URL_SCHEMES = Object.keys(EDITOR_URL_LABELS);
+
 export const HTML_ELEMENTS = new Set([
   'div',
   'span',
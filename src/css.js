@@ -59,6 +59,27 @@ export default `
   .xray-react-element.-highlighted {
     z-index: 99999 !important;
   }
+  .xray-react-element.-server {
+    background-color: rgba(128, 0, 128, 0.25);
+    border-color: purple;
+  }
+  .xray-react-element.-server::after {
+    background-color: purple;
+  }
+  .xray-react-element.-server:hover,
+  .xray-react-element.-server.-highlighted {
+    background-color: rgba(128, 0, 128, 0.75);
+    border-color: violet;
+  }
+  .xray-react-element.-server:hover::before,
+  .xray-react-element.-server.-highlighted::before {
+    color: violet;
+  }
+  .xray-react-element.-server:hover::after,
+  .xray-react-element.-server.-highlighted::after {
+    background-color: violet;
+    color: purple;
+  }
   .xray-react-action-bar {
     align-items: center;
     background-color: darkblue;
@@ -148,6 +169,12 @@ export default `
     white-space: nowrap;
     word-break: keep-all;
   }
+  .components-path .server-component {
+    color: violet;
+  }
+  .components-path .route-module {
+    color: gold;
+  }
   .components-path::-webkit-scrollbar {
     height: 4px;
   }
@@ -161,6 +188,65 @@ export default `
   .components-path::-webkit-scrollbar-thumb:hover {
     background: #00ffff;
   }
+  .editor-select-wrapper {
+    align-items: center;
+    color: lightgray;
+    display: flex;
+    flex-shrink: 0;
+    font-size: 11px;
+    gap: 6px;
+    margin-left: 15px;
+  }
+  #xray-react-editor {
+    background-color: lightgray;
+    border-radius: 3px;
+    border: 0;
+    font-size: 12px;
+    height: 24px;
+    outline: 0;
+  }
+  .xray-react-notice {
+    align-items: center;
+    background-color: darkblue;
+    border: 1px solid cyan;
+    border-radius: 3px;
+    bottom: 60px;
+    color: white;
+    display: flex;
+    flex-wrap: wrap;
+    font-family: "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    font-size: 12px;
+    gap: 6px;
+    left: 10px;
+    max-width: calc(100vw - 40px);
+    padding: 8px 10px;
+    position: fixed;
+    z-index: 1000000;
+  }
+  .xray-react-notice[hidden] {
+    display: none;
+  }
+  .xray-react-candidate {
+    background-color: lightgray;
+    border: 0;
+    border-radius: 3px;
+    color: darkblue;
+    cursor: pointer;
+    font-size: 12px;
+    padding: 3px 8px;
+  }
+  .xray-react-candidate:hover {
+    background-color: cyan;
+  }
+  .xray-react-notice-close {
+    background: none;
+    border: 0;
+    color: lightgray;
+    cursor: pointer;
+    font-size: 16px;
+    line-height: 1;
+    margin-left: auto;
+  }
   .xray-react-element-temp {
     display: flex !important;
     align-items: center !important;
@@ -0,0 +1,110 @@
+/**
+ * Editor URL helpers shared by the UI and client bundles
+ * Instead of the server launching an editor process (which fails when the server runs in a
+ * container or over SSH), the browser can open the resolved file through an editor URL scheme
+ */
+import { EDITOR_URL_SCHEMES } from './constants.js';
+
+const EDITOR_PREFERENCE_KEY = 'xray-react:editor';
+
+// Preference value for launching the editor on the server even if the project sets a URL scheme
+export const EDITOR_PREFERENCE_SERVER = 'server';
+
+/**
+ * Gets the editor the user picked in the action bar
+ * @returns {string} '' (project default), 'server' or an editor URL scheme
+ */
+export const getEditorPreference = () => {
+  try {
+    return window.localStorage.getItem(EDITOR_PREFERENCE_KEY) || '';
+  } catch {
+    return ''; // Storage disabled (e.g., privacy settings)
+  }
+};
+
+/**
+ * Stores the editor the user picked in the action bar
+ * @param {string} preference - '' (project default), 'server' or an editor URL scheme
+ */
+export const setEditorPreference = (preference) => {
+  try {
+    if (preference) {
+      window.localStorage.setItem(EDITOR_PREFERENCE_KEY, preference);
+    } else {
+      window.localStorage.removeItem(EDITOR_PREFERENCE_KEY);
+    }
+  } catch {
+    // Storage disabled, the choice only lasts for this page
+  }
+};
+
+/**
+ * Gets the URL scheme to open files with: the user's choice, then the project's editorUrl
+ * @returns {string|null} Editor URL scheme, or null to let the server launch the editor
+ */
+export const getEditorUrlScheme = () => {
+  const preference = getEditorPreference();
+  if (preference === EDITOR_PREFERENCE_SERVER) {
+    return null;
+  }
+  if (EDITOR_URL_SCHEMES.includes(preference)) {
+    return preference;
+  }
+
+  const projectScheme = typeof window !== 'undefined' ? window.__XRAY_REACT_EDITOR_URL__ : null;
+  return EDITOR_URL_SCHEMES.includes(projectScheme) ? projectScheme : null;
+};
+
+/**
+ * Converts a file path to a URL path: forward slashes and a leading slash (C:\app -> /C:/app)
+ * @param {string} filePath - File path
+ * @returns {string} URL path
+ */
+const toUrlPath = (filePath) => filePath.replace(/\\/g, '/').replace(/^(?!\/)/, '/');
+
+/**
+ * Builds the editor URL for a file location
+ * @param {string} scheme - Editor URL scheme ('vscode', 'cursor', 'idea', 'jetbrains', 'subl')
+ * @param {Object} location - File location ({ path, line, column }, 1-based line and column)
+ * @param {Object} options - URL options
+ * @param {string} options.remote - VS Code/Cursor remote authority (e.g., 'dev-container+<id>')
+ * @param {string} options.projectRoot - Project root (JetBrains Toolbox opens project-relative paths)
+ * @returns {string|null} Editor URL or null for unknown schemes
+ */
+export const buildEditorUrl = (scheme, location, options = {}) => {
+  const filePath = toUrlPath(location.path);
+  const line = location.line || 1;
+  const column = location.column || 1;
+
+  switch (scheme) {
+    case 'vscode':
+    case 'cursor': {
+      const target = options.remote
+        ? `vscode-remote/${options.remote}${filePath}`
+        : `file${filePath}`;
+      return `${scheme}://${encodeURI(target)}:${line}:${column}`;
+    }
+    case 'idea':
+      return `idea://open?file=${encodeURIComponent(location.path)}&line=${line}&column=${column}`;
+    case 'jetbrains': {
+      const root = toUrlPath(options.projectRoot || '').replace(/\/+$/, '');
+      const project = root.split('/').pop();
+      const relativePath =
+        root && filePath.startsWith(`${root}/`) ? filePath.slice(root.length + 1) : filePath;
+      // Toolbox navigates to 0-based positions
+      return `jetbrains://idea/navigate/reference?project=${encodeURIComponent(project)}&path=${encodeURIComponent(`${relativePath}:${line - 1}:${column - 1}`)}`;
+    }
+    case 'subl':
+      return `subl://open?url=${encodeURIComponent(`file://${filePath}`)}&line=${line}&column=${column}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Opens an editor URL; the browser hands custom schemes to the OS without leaving the page
+ * @param {string} url - Editor URL
+ */
+export const openEditorUrl = (url) => {
+  window.location.href = url;
+};
@@ -0,0 +1,150 @@
+/**
+ * Feedback for opening a clicked component, shown in the action bar
+ * The server acknowledges each click with a status; ambiguous components get a picker, components
+ * without a file a toast. Picked files are remembered per component path for the browser session.
+ */
+
+const CHOICES_KEY = 'xray-react:choices';
+const TOAST_DURATION = 4000;
+
+const sessionChoices = new Map(); // Fallback when sessionStorage is unavailable
+let hideTimer = null;
+
+/**
+ * Reads the remembered picks
+ * @returns {Object} Component path -> picked file (editor path)
+ */
+const readChoices = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(CHOICES_KEY)) || {};
+  } catch {
+    return Object.fromEntries(sessionChoices); // Storage disabled (e.g., privacy settings)
+  }
+};
+
+/**
+ * Gets the file the user picked for a component path in this session
+ * @param {string} componentPath - Component path (e.g., 'App -> Layout -> Header')
+ * @returns {string|null} Picked file (editor path) or null
+ */
+export const getRememberedChoice = (componentPath) => readChoices()[componentPath] || null;
+
+/**
+ * Remembers the file the user picked for a component path for the rest of the session
+ * @param {string} componentPath - Component path
+ * @param {string} filePath - Picked file (editor path)
+ */
+export const rememberChoice = (componentPath, filePath) => {
+  sessionChoices.set(componentPath, filePath);
+  try {
+    window.sessionStorage.setItem(
+      CHOICES_KEY,
+      JSON.stringify({ ...readChoices(), [componentPath]: filePath }),
+    );
+  } catch {
+    // Storage disabled, the pick only lasts for this page
+  }
+};
+
+/**
+ * Gets the notice element of the action bar
+ * @returns {HTMLElement|null} Notice element, or null while the overlay is off
+ */
+const getNotice = () => document.querySelector('.xray-react-action-bar .xray-react-notice');
+
+/**
+ * Hides the toast or picker
+ */
+export const hideNotice = () => {
+  clearTimeout(hideTimer);
+  const notice = getNotice();
+  if (notice) {
+    notice.hidden = true;
+    notice.replaceChildren();
+  }
+};
+
+/**
+ * Shows a message in the action bar for a few seconds
+ * @param {string} message - Message
+ */
+export const showToast = (message) => {
+  const notice = getNotice();
+  if (!notice) {
+    console.warn(`xray-react: ${message}`);
+    return;
+  }
+
+  hideNotice();
+  const text = document.createElement('span');
+  text.className = 'xray-react-notice-message';
+  text.textContent = message;
+  notice.append(text);
+  notice.hidden = false;
+  hideTimer = setTimeout(hideNotice, TOAST_DURATION);
+};
+
+/**
+ * Formats a file path relative to the project root for display
+ * @param {string} filePath - File path
+ * @param {string|null} projectRoot - Project root as the editor sees it
+ * @returns {string} Display path
+ */
+const formatPath = (filePath, projectRoot) => {
+  const root = projectRoot ? projectRoot.replace(/[/\\]+$/, '') : null;
+  if (root && (filePath.startsWith(`${root}/`) || filePath.startsWith(`${root}\\`))) {
+    return filePath.slice(root.length + 1);
+  }
+  return filePath;
+};
+
+/**
+ * Shows a picker for a component that matches several files
+ * @param {string} componentPath - Component path the candidates were resolved for
+ * @param {Array<Object>} candidates - Candidates ({ path, line, context })
+ * @param {Object} options - Picker options
+ * @param {string|null} options.projectRoot - Project root for shorter paths
+ * @param {Function} options.onPick - Called with the picked candidate
+ */
+export const showCandidatePicker = (componentPath, candidates, { projectRoot, onPick }) => {
+  const notice = getNotice();
+  if (!notice) {
+    console.warn(
+      `xray-react: ${componentPath} matches several files:`,
+      candidates.map(({ path }) => path),
+    );
+    return;
+  }
+
+  hideNotice();
+  const componentName = componentPath.split(' -> ').pop();
+  const title = document.createElement('span');
+  title.className = 'xray-react-notice-message';
+  title.textContent = `Several files declare ${componentName}, pick one:`;
+  notice.append(title);
+
+  candidates.forEach((candidate) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'xray-react-candidate';
+    const location = candidate.line ? `:${candidate.line}` : '';
+    button.textContent = `${formatPath(candidate.path, projectRoot)}${location}`;
+    if (candidate.context && candidate.context.length > 0) {
+      button.title = `Context: ${candidate.context.join(', ')}`;
+    }
+    button.addEventListener('click', () => {
+      hideNotice();
+      onPick(candidate);
+    });
+    notice.append(button);
+  });
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'xray-react-notice-close';
+  close.setAttribute('aria-label', 'Close');
+  close.textContent = '×';
+  close.addEventListener('click', hideNotice);
+  notice.append(close);
+  notice.hidden = false;
+};
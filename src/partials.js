@@ -13,6 +13,11 @@ export const actionBar = `
         </button>
       </div>
       <div class="components-path"></div>
+      <label class="editor-select-wrapper">
+        <span>Open in</span>
+        <select id="xray-react-editor" aria-label="Editor to open files in"></select>
+      </label>
     </div>
+    <div class="xray-react-notice" role="status" hidden></div>
   </div>
 `;
@@ -0,0 +1,187 @@
+/**
+ * Source location helpers shared by the UI and client bundles
+ * A source location is { fileName, lineNumber, columnNumber } (1-based line and column)
+ */
+import { loadSourceMap, originalPositionFor, urlToFileName } from './source-map.js';
+
+const sourceMaps = new Map(); // script URL -> parsed source map, or null when unavailable
+const pendingScriptUrls = new Set();
+const stackSourceCache = new WeakMap(); // _debugStack Error -> resolved source location
+
+// Frames created by React itself (JSX runtime, reconciler) rather than by a component's render
+const REACT_INTERNAL_FUNCTIONS = new Set(['jsxDEV', 'jsx', 'jsxs', 'createElement']);
+const REACT_INTERNAL_FILES =
+  /node_modules[/\\](react|react-dom|scheduler)[/\\]|react[-_]jsx[-_]dev[-_]runtime|react[-_]jsx[-_]runtime|react-dom[-_]client|react-dom\.development/i;
+
+/**
+ * Parses an Error stack into frames
+ * Supports V8 (`at fn (url:line:col)`) and Firefox/Safari (`fn@url:line:col`) formats
+ * @param {string} stack - Error stack string
+ * @returns {Array<Object>} Frames ({ functionName, url, lineNumber, columnNumber })
+ */
+export const parseStackFrames = (stack) => {
+  if (!stack || typeof stack !== 'string') return [];
+
+  const frames = [];
+  for (const line of stack.split('\n')) {
+    const match =
+      line.match(/^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+      line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+
+    if (match) {
+      frames.push({
+        functionName: (match[1] || '')
+          .replace(/^(async|new) /, '')
+          .split('.')
+          .pop(),
+        url: match[2],
+        lineNumber: parseInt(match[3], 10),
+        columnNumber: parseInt(match[4], 10),
+      });
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Maps a stack frame to an original source location
+ * Uses the script's source map when it has been loaded, otherwise queues it for loading
+ * and falls back to the generated position
+ * @param {Object} frame - Stack frame
+ * @returns {{source: Object, isMapped: boolean}} Source location and whether it is final
+ */
+const mapStackFrame = (frame) => {
+  const scriptUrl = frame.url;
+  const isFetchable = /^https?:\/\//i.test(scriptUrl);
+
+  if (isFetchable && sourceMaps.has(scriptUrl)) {
+    const map = sourceMaps.get(scriptUrl);
+    const original = map && originalPositionFor(map, frame.lineNumber, frame.columnNumber);
+    if (original) {
+      return { source: original, isMapped: true };
+    }
+  } else if (isFetchable) {
+    pendingScriptUrls.add(scriptUrl);
+  }
+
+  return {
+    source: {
+      fileName: urlToFileName(frame.url),
+      lineNumber: frame.lineNumber,
+      columnNumber: frame.columnNumber,
+    },
+    isMapped: !isFetchable || sourceMaps.has(scriptUrl),
+  };
+};
+
+/**
+ * Resolves the source location from a React 19 `_debugStack`
+ * The first frame outside React internals is the render that created the element,
+ * which is what `_debugSource` used to describe
+ * @param {Error|string} debugStack - Fiber `_debugStack`
+ * @returns {Object|null} Source location or null
+ */
+const getStackSource = (debugStack) => {
+  const isErrorObject = typeof debugStack === 'object' && debugStack !== null;
+  if (isErrorObject && stackSourceCache.has(debugStack)) {
+    return stackSourceCache.get(debugStack);
+  }
+
+  const frames = parseStackFrames(isErrorObject ? debugStack.stack : debugStack);
+  let result = null;
+  let isFinal = true;
+
+  for (const frame of frames) {
+    if (REACT_INTERNAL_FUNCTIONS.has(frame.functionName)) continue;
+
+    const { source, isMapped } = mapStackFrame(frame);
+    isFinal = isFinal && isMapped;
+
+    if (source.fileName && !REACT_INTERNAL_FILES.test(source.fileName)) {
+      result = source;
+      break;
+    }
+  }
+
+  if (isErrorObject && isFinal) {
+    stackSourceCache.set(debugStack, result);
+  }
+
+  return result;
+};
+
+/**
+ * Gets the source location React recorded for a fiber
+ * Uses `_debugSource` (React <= 18) and falls back to `_debugStack` (React 19+)
+ * @param {Object} fiber - React fiber node
+ * @returns {Object|null} Source location or null if not available
+ */
+export const getFiberSource = (fiber) => {
+  const source = fiber?._debugSource;
+  if (source && source.fileName) {
+    return {
+      fileName: source.fileName,
+      lineNumber: source.lineNumber || null,
+      columnNumber: source.columnNumber || null,
+    };
+  }
+
+  if (fiber?._debugStack) {
+    try {
+      return getStackSource(fiber._debugStack);
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Loads source maps for scripts seen in stack frames since the last call
+ * After it resolves, getFiberSource returns original file positions for those scripts
+ * @returns {Promise<boolean>} True if any new source map was loaded
+ */
+export const loadPendingSourceMaps = async () => {
+  const scriptUrls = [...pendingScriptUrls].filter((url) => !sourceMaps.has(url));
+  pendingScriptUrls.clear();
+
+  if (scriptUrls.length === 0) return false;
+
+  const maps = await Promise.all(scriptUrls.map((url) => loadSourceMap(url)));
+  scriptUrls.forEach((url, index) => sourceMaps.set(url, maps[index]));
+
+  return maps.some(Boolean);
+};
+
+/**
+ * Serializes a source location to the `file:line:column` format used in DOM attributes
+ * @param {Object} source - Source location
+ * @returns {string} Serialized location or empty string
+ */
+export const formatSourceLocation = (source) => {
+  if (!source || !source.fileName) return '';
+  return `${source.fileName}:${source.lineNumber || ''}:${source.columnNumber || ''}`;
+};
+
+/**
+ * Parses a `file:line:column` string back to a source location
+ * Line and column are matched from the end so Windows drive letters are kept in the file name
+ * @param {string} value - Serialized location
+ * @returns {Object|null} Source location or null
+ */
+export const parseSourceLocation = (value) => {
+  if (!value) return null;
+
+  const match = String(value).match(/^(.+?):(\d*):(\d*)$/);
+  if (!match) {
+    return { fileName: String(value), lineNumber: null, columnNumber: null };
+  }
+
+  return {
+    fileName: match[1],
+    lineNumber: match[2] ? parseInt(match[2], 10) : null,
+    columnNumber: match[3] ? parseInt(match[3], 10) : null,
+  };
+};
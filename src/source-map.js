@@ -0,0 +1,205 @@
+/**
+ * Minimal source map support for the browser bundle
+ * Loads the maps the dev server already serves for its scripts and maps generated positions
+ * back to original files. Only what stack frame mapping needs: VLQ mappings and source lookup.
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+/**
+ * Decodes one line of VLQ-encoded segments
+ * @param {string} line - Encoded segments of a generated line, separated by commas
+ * @param {Array<number>} state - Running [sourceIndex, sourceLine, sourceColumn] shared across lines
+ * @returns {Array<Array<number>>} Segments as [generatedColumn, sourceIndex, sourceLine, sourceColumn]
+ */
+const decodeMappingsLine = (line, state) => {
+  const segments = [];
+  let generatedColumn = 0;
+
+  for (const encoded of line.split(',')) {
+    if (!encoded) continue;
+
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of encoded) {
+      const digit = BASE64_VALUES.get(char);
+      if (digit === undefined) break;
+
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >> 1) : value >> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    generatedColumn += values[0] || 0;
+    if (values.length >= 4) {
+      state[0] += values[1];
+      state[1] += values[2];
+      state[2] += values[3];
+      segments.push([generatedColumn, state[0], state[1], state[2]]);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Converts a script URL served by a dev server to a file name
+ * @param {string} url - Script URL (http(s)://, webpack-internal://, file://)
+ * @returns {string} File name (absolute path, or path relative to the dev server root)
+ */
+export const urlToFileName = (url) => {
+  if (!url) return url;
+
+  if (url.startsWith('webpack-internal:///')) {
+    return url.replace('webpack-internal:///', '').replace(/^\.\//, '').replace(/\?.*$/, '');
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'file:') {
+      return decodeURIComponent(parsed.pathname);
+    }
+
+    const pathname = decodeURIComponent(parsed.pathname);
+    if (pathname.startsWith('/@fs/')) {
+      return pathname.slice('/@fs'.length);
+    }
+    return pathname.replace(/^\/+/, '');
+  } catch {
+    return url.replace(/\?.*$/, '');
+  }
+};
+
+/**
+ * Converts a source map `sources` entry to a file name
+ * Strips bundler URL schemes (webpack://, /@fs/) and resolves relative entries against the map URL
+ * @param {string} source - Source entry
+ * @param {string} mapUrl - URL of the source map
+ * @returns {string} File name (absolute path, or path relative to the dev server root)
+ */
+export const normalizeSourceName = (source, mapUrl) => {
+  if (!source) return source;
+
+  const webpackMatch = source.match(/^webpack:\/\/[^/]*\/(.*)$/);
+  if (webpackMatch) {
+    return webpackMatch[1].replace(/^\.\//, '');
+  }
+
+  if (/^file:\/\//i.test(source)) {
+    return decodeURIComponent(source.replace(/^file:\/\//i, ''));
+  }
+
+  if (source.startsWith('/')) {
+    return source.replace(/^\/@fs\//, '/');
+  }
+
+  try {
+    return urlToFileName(new URL(source, mapUrl).href);
+  } catch {
+    return source;
+  }
+};
+
+/**
+ * Parses a source map object into a lookup-friendly structure
+ * Index maps (with `sections`) are not supported
+ * @param {Object} rawMap - Source map JSON
+ * @param {string} mapUrl - URL the map was loaded from, used to resolve relative sources
+ * @returns {Object|null} Parsed source map or null if unsupported
+ */
+export const parseSourceMap = (rawMap, mapUrl) => {
+  if (!rawMap || typeof rawMap.mappings !== 'string' || !Array.isArray(rawMap.sources)) {
+    return null;
+  }
+
+  const sourceRoot = rawMap.sourceRoot || '';
+  const sources = rawMap.sources.map((source) => {
+    const withRoot = sourceRoot && !/^[a-z]+:/i.test(source) ? `${sourceRoot}${source}` : source;
+    return normalizeSourceName(withRoot, mapUrl);
+  });
+
+  const state = [0, 0, 0];
+  const lines = rawMap.mappings.split(';').map((line) => decodeMappingsLine(line, state));
+
+  return { sources, lines };
+};
+
+/**
+ * Finds the original position of a generated position
+ * @param {Object} map - Parsed source map
+ * @param {number} line - 1-based generated line
+ * @param {number} column - 1-based generated column
+ * @returns {Object|null} Original position ({ fileName, lineNumber, columnNumber }) or null
+ */
+export const originalPositionFor = (map, line, column) => {
+  const segments = map?.lines[line - 1];
+  if (!segments || segments.length === 0) return null;
+
+  const generatedColumn = Math.max(0, (column || 1) - 1);
+  let match = null;
+  for (const segment of segments) {
+    if (segment[0] > generatedColumn) break;
+    match = segment;
+  }
+  match = match || segments[0];
+
+  const fileName = map.sources[match[1]];
+  if (!fileName) return null;
+
+  return { fileName, lineNumber: match[2] + 1, columnNumber: match[3] + 1 };
+};
+
+/**
+ * Decodes a base64 data URL payload as UTF-8 text
+ * @param {string} dataUrl - data: URL
+ * @returns {string} Decoded text
+ */
+const decodeDataUrl = (dataUrl) => {
+  const [header, payload = ''] = dataUrl.split(',');
+  if (!header.includes(';base64')) {
+    return decodeURIComponent(payload);
+  }
+
+  const binary = atob(payload);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Loads and parses the source map of a script served by the dev server
+ * Supports inline (data: URL) and external `sourceMappingURL` references
+ * @param {string} scriptUrl - Script URL
+ * @returns {Promise<Object|null>} Parsed source map or null if unavailable
+ */
+export const loadSourceMap = async (scriptUrl) => {
+  try {
+    const response = await fetch(scriptUrl);
+    if (!response.ok) return null;
+
+    const code = await response.text();
+    const references = [...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)/g)];
+    if (references.length === 0) return null;
+
+    const reference = references[references.length - 1][1];
+
+    if (reference.startsWith('data:')) {
+      return parseSourceMap(JSON.parse(decodeDataUrl(reference)), scriptUrl);
+    }
+
+    const mapUrl = new URL(reference, scriptUrl).href;
+    const mapResponse = await fetch(mapUrl);
+    if (!mapResponse.ok) return null;
+
+    return parseSourceMap(await mapResponse.json(), mapUrl);
+  } catch {
+    return null;
+  }
+};
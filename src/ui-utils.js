@@ -1,19 +1,41 @@
 import * as constants from './constants.js';
 import { actionBar } from './partials.js';
 import css from './css.js';
-import { UI_MODE_FULL, UI_MODE_SIMPLE, AVAILABLE_UI_MODES } from './constants.js';
+import {
+  getFiberSource,
+  formatSourceLocation,
+  parseSourceLocation,
+  loadPendingSourceMaps,
+} from './source-location.js';
+import {
+  getEditorPreference,
+  setEditorPreference,
+  EDITOR_PREFERENCE_SERVER,
+} from './editor-url.js';
+import {
+  UI_MODE_FULL,
+  UI_MODE_SIMPLE,
+  AVAILABLE_UI_MODES,
+  EDITOR_URL_LABELS,
+} from './constants.js';
 
 const MAX_FIBER_DEPTH = 50; // Prevent infinite loops
 
 let projectRoot = null;
+let workspacePackages = []; // [{ name, path }] with normalized paths and lowercase names
 let usageMap = {};
-let importMap = {};
+let importMap = {}; // filePath -> { importedName -> resolved file or null }
 let projectFilePaths = new Set();
 let normalizedProjectFilePaths = new Set(); // Pre-normalized paths for O(1) lookup
 let componentNameToFilesIndex = new Map(); // componentName -> Set<filePath> for O(1) lookup
 const normalizePathCache = new Map(); // Memoization cache for normalizePath
 let currentMode = UI_MODE_FULL;
+const stampedInstanceIds = new WeakMap(); // root element of a stamped component -> overlay uid
+const serverComponentIds = new WeakMap(); // server component info -> overlay uid
+let nextStampedInstanceId = 0;
+let nextServerComponentId = 0;
 
+// Keep in sync with IGNORED_DIRS in lib/constants.js, which the server skips when scanning
 const EXTERNAL_PATTERNS = [
   /node_modules/i,
   /\.next[/\\]/i,
@@ -58,6 +80,28 @@ const isExternalPath = (filePath) => {
   return EXTERNAL_PATTERNS.some((pattern) => pattern.test(normalized));
 };
 
+/**
+ * Checks if a file path belongs to a workspace package the project depends on
+ * Matches the package directory and node_modules symlinks to it (node_modules/<name>/...)
+ * @param {string} filePath - File path to check
+ * @returns {boolean} True for workspace package files
+ */
+const isWorkspacePath = (filePath) => {
+  if (!filePath || workspacePackages.length === 0) return false;
+
+  const normalized = normalizePath(filePath);
+  const linkIndex = normalized.lastIndexOf('node_modules/');
+  return workspacePackages.some(({ name, path }) => {
+    if (normalized.startsWith(`${path}/`)) {
+      // Dependencies installed inside the package are not part of it
+      return !normalized.slice(path.length).includes('/node_modules/');
+    }
+    return (
+      linkIndex !== -1 && normalized.startsWith(`${name}/`, linkIndex + 'node_modules/'.length)
+    );
+  });
+};
+
 /**
  * Detects project root from a file path by finding common base path
  * @param {Array<string>} filePaths - Array of file paths from fibers
@@ -164,6 +208,32 @@ const handleSearchClear = () => {
   }
 };
 
+/**
+ * Fills the editor select of the action bar and stores the user's choice
+ * The choice is kept in localStorage, so it applies to every page of the project
+ */
+const setupEditorSelect = () => {
+  const select = document.getElementById('xray-react-editor');
+  if (!select || select.hasAttribute('data-listener-attached')) {
+    return;
+  }
+
+  const projectScheme = window.__XRAY_REACT_EDITOR_URL__;
+  const projectDefault = EDITOR_URL_LABELS[projectScheme] || 'editor on server';
+  const options = [
+    ['', `Project default (${projectDefault})`],
+    [EDITOR_PREFERENCE_SERVER, 'Editor on server'],
+    ...Object.entries(EDITOR_URL_LABELS),
+  ];
+
+  select.innerHTML = options
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = getEditorPreference();
+  select.setAttribute('data-listener-attached', 'true');
+  select.addEventListener('change', () => setEditorPreference(select.value));
+};
+
 /**
  * Gets the current mode from window or defaults to UI_MODE_FULL
  * @returns {string} Current mode (UI_MODE_FULL or UI_MODE_SIMPLE)
@@ -199,13 +269,18 @@ export const getMode = () => {
  * Creates an overlay element for a React component
  * @param {HTMLElement} elem - The DOM element
  * @param {string} componentName - Name of the React component
+ * @param {Object} source - Optional source location of the rendered element
+ * @param {boolean} isServer - Whether the component is a React Server Component
  * @returns {Object} Object containing original element and overlay element
  */
-const createElemForComponent = (elem, componentName) => {
+const createElemForComponent = (elem, componentName, source = null, isServer = false) => {
   const xrayReactElem = document.createElement('div');
   const boundingClientRect = elem.getBoundingClientRect();
 
   xrayReactElem.className = constants.xrayReactElemCN;
+  if (isServer) {
+    xrayReactElem.classList.add('-server');
+  }
   xrayReactElem.setAttribute('data-xray-react-element-name', componentName);
   xrayReactElem.setAttribute('data-xray-react-element-search-name', componentName.toLowerCase());
   xrayReactElem.style.height = `${boundingClientRect.height}px`;
@@ -214,6 +289,13 @@ const createElemForComponent = (elem, componentName) => {
   xrayReactElem.style.left = `${boundingClientRect.left + window.scrollX}px`;
   xrayReactElem.style.zIndex = constants.zIndex;
 
+  if (source) {
+    xrayReactElem.setAttribute(constants.xrayReactSourceAttr, formatSourceLocation(source));
+    if (source.exact) {
+      xrayReactElem.setAttribute(constants.xrayReactSourceExactAttr, 'true');
+    }
+  }
+
   return { elem, xrayReactElem };
 };
 
@@ -227,6 +309,88 @@ const isHTMLElement = (name) => {
   return constants.HTML_ELEMENTS.has(name.toLowerCase());
 };
 
+/**
+ * Reads the component name and source location stamped on a host element at build time
+ * @param {HTMLElement} elem - DOM element
+ * @returns {Object|null} Object with owner component name and exact source, or null
+ */
+const getStampedComponent = (elem) => {
+  const value = elem && elem.getAttribute ? elem.getAttribute(constants.xraySourceAttr) : null;
+  if (!value) return null;
+
+  return {
+    name: elem.getAttribute(constants.xrayComponentAttr) || null,
+    source: { ...parseSourceLocation(value), exact: true },
+  };
+};
+
+/**
+ * Gets a stable overlay uid for a stamped component instance without React internals
+ * The instance is identified by its outermost element stamped with the same component name
+ * @param {HTMLElement} elem - Stamped DOM element
+ * @param {string} componentName - Owner component name from the stamp
+ * @returns {string} Overlay uid
+ */
+const getStampedInstanceId = (elem, componentName) => {
+  let rootElem = elem;
+  while (
+    rootElem.parentElement &&
+    rootElem.parentElement.getAttribute(constants.xrayComponentAttr) === componentName
+  ) {
+    rootElem = rootElem.parentElement;
+  }
+
+  if (!stampedInstanceIds.has(rootElem)) {
+    stampedInstanceIds.set(rootElem, `xray-${nextStampedInstanceId++}`);
+  }
+  return stampedInstanceIds.get(rootElem);
+};
+
+/**
+ * Picks the source location to open for an overlay
+ * A build-time stamp is exact when it was written inside the overlay's own component,
+ * otherwise the location React reported is used
+ * @param {HTMLElement} elem - DOM element the overlay covers
+ * @param {string} componentName - Overlay component name
+ * @param {Object} fiberSource - Source location from React fibers
+ * @returns {Object|null} Source location
+ */
+const getOverlaySource = (elem, componentName, fiberSource) => {
+  const stamped = getStampedComponent(elem);
+  if (stamped && stamped.name === componentName) {
+    return stamped.source;
+  }
+
+  return fiberSource || (stamped ? { ...stamped.source, exact: false } : null);
+};
+
+/**
+ * Builds the component list of an element from build-time stamps on it and its ancestors
+ * Used when React internals are not available (e.g., Preact or stripped fibers)
+ * @param {HTMLElement} elem - DOM element
+ * @returns {Array} Component objects in parent -> child order
+ */
+const getStampedComponentsFromElement = (elem) => {
+  const components = [];
+  let currentElem = elem;
+
+  while (currentElem && currentElem !== document.body) {
+    const stamped = getStampedComponent(currentElem);
+    const lastComponent = components[components.length - 1];
+    if (stamped && stamped.name && (!lastComponent || lastComponent.name !== stamped.name)) {
+      components.push({
+        name: stamped.name,
+        file: stamped.source.fileName,
+        isInternal: true,
+        isStamped: true,
+      });
+    }
+    currentElem = currentElem.parentElement;
+  }
+
+  return components.reverse();
+};
+
 /**
  * Resolves component name from element type and fiber
  * Handles function components, class components, forwardRef, memo, etc.
@@ -265,8 +429,9 @@ const resolveComponentName = (elementType, fiber = null) => {
     }
   }
 
-  if (fiber && fiber._debugSource) {
-    const fileName = fiber._debugSource.fileName;
+  const fiberSource = getFiberSource(fiber);
+  if (fiberSource) {
+    const fileName = fiberSource.fileName;
     if (fileName) {
       const match = fileName.match(/([^/\\]+)\.(jsx?|tsx?)$/);
       if (match) {
@@ -290,9 +455,13 @@ const isProjectComponent = (fiber, projectRootPath, componentName = null) => {
     return true;
   }
 
-  const filePath = fiber?._debugSource?.fileName;
+  const filePath = getFiberSource(fiber)?.fileName;
 
   if (filePath) {
+    if (isWorkspacePath(filePath)) {
+      return true;
+    }
+
     if (isExternalPath(filePath)) {
       return false;
     }
@@ -338,6 +507,18 @@ export const setProjectRoot = (rootPath) => {
   }
 };
 
+/**
+ * Sets the workspace packages whose components count as project components
+ * @param {Array<Object>} packages - Workspace packages ({ name, path })
+ */
+export const setWorkspacePackages = (packages) => {
+  workspacePackages = (packages || [])
+    .filter(
+      (workspacePackage) => workspacePackage && workspacePackage.name && workspacePackage.path,
+    )
+    .map(({ name, path }) => ({ name: name.toLowerCase(), path: normalizePath(path) }));
+};
+
 /**
  * Gets the current project root path
  * @returns {string|null} Project root path or null
@@ -386,6 +567,60 @@ export const setImportMap = (map) => {
   Object.keys(importMap || {}).forEach((filePath) => projectFilePaths.add(filePath));
 };
 
+/**
+ * Gets the keys a project file is indexed under: its file name and directory names
+ * @param {string} normalized - Normalized file path
+ * @returns {Array<string>} Index keys
+ */
+const getProjectFileIndexKeys = (normalized) => {
+  const pathParts = normalized.split('/');
+  const filename = pathParts[pathParts.length - 1] || '';
+  const filenameWithoutExt = filename.replace(/\.(tsx?|jsx?)$/, '');
+  const keys = filenameWithoutExt ? [filenameWithoutExt] : [];
+
+  for (const part of pathParts.slice(0, -1)) {
+    if (part && part.length > 1) {
+      keys.push(part);
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Adds a project file to the normalized paths and component name index
+ * @param {string} filePath - Project file path
+ */
+const indexProjectFile = (filePath) => {
+  const normalized = normalizePath(filePath);
+  normalizedProjectFilePaths.add(normalized);
+
+  for (const key of getProjectFileIndexKeys(normalized)) {
+    if (!componentNameToFilesIndex.has(key)) {
+      componentNameToFilesIndex.set(key, new Set());
+    }
+    componentNameToFilesIndex.get(key).add(filePath);
+  }
+};
+
+/**
+ * Removes a project file from the normalized paths and component name index
+ * @param {string} filePath - Project file path
+ */
+const unindexProjectFile = (filePath) => {
+  const normalized = normalizePath(filePath);
+  normalizedProjectFilePaths.delete(normalized);
+
+  for (const key of getProjectFileIndexKeys(normalized)) {
+    const files = componentNameToFilesIndex.get(key);
+    if (!files) continue;
+    files.delete(filePath);
+    if (files.size === 0) {
+      componentNameToFilesIndex.delete(key);
+    }
+  }
+};
+
 /**
  * Sets the list of all project files found in sourcePath folders
  * @param {Array<string>} files - Array of all file paths found in sourcePath
@@ -411,72 +646,121 @@ export const setProjectFiles = (files) => {
   componentNameToFilesIndex.clear();
 
   for (const filePath of fileList) {
-    const normalized = normalizePath(filePath);
-    normalizedProjectFilePaths.add(normalized);
+    indexProjectFile(filePath);
+  }
+};
+
+/**
+ * Applies a usage map delta sent by the server after files changed
+ * @param {Object} patch - Delta ({ set: {filePath: Array<string>}, remove: Array<string> })
+ */
+export const applyUsageMapPatch = (patch) => {
+  if (!patch) return;
+
+  Object.entries(patch.set || {}).forEach(([filePath, components]) => {
+    usageMap[filePath] = components;
+    projectFilePaths.add(filePath);
+  });
+  (patch.remove || []).forEach((filePath) => {
+    delete usageMap[filePath];
+  });
+};
 
-    const pathParts = normalized.split('/');
-    const filename = pathParts[pathParts.length - 1] || '';
-    const filenameWithoutExt = filename.replace(/\.(tsx?|jsx?)$/, '');
+/**
+ * Applies an import map delta sent by the server after files changed
+ * @param {Object} patch - Delta ({ set: {filePath: {name: resolvedFile}}, remove: Array<string> })
+ */
+export const applyImportMapPatch = (patch) => {
+  if (!patch) return;
+
+  Object.entries(patch.set || {}).forEach(([filePath, components]) => {
+    importMap[filePath] = components;
+    projectFilePaths.add(filePath);
+  });
+  (patch.remove || []).forEach((filePath) => {
+    delete importMap[filePath];
+  });
+};
 
-    if (filenameWithoutExt) {
-      if (!componentNameToFilesIndex.has(filenameWithoutExt)) {
-        componentNameToFilesIndex.set(filenameWithoutExt, new Set());
-      }
-      componentNameToFilesIndex.get(filenameWithoutExt).add(filePath);
-    }
+/**
+ * Applies a project files delta sent by the server after files were added or deleted
+ * @param {Object} patch - Delta ({ added: Array<string>, removed: Array<string> })
+ */
+export const applyProjectFilesPatch = (patch) => {
+  if (!patch) return;
+
+  (patch.added || []).forEach((filePath) => {
+    if (projectFilePaths.has(filePath)) return;
+    projectFilePaths.add(filePath);
+    indexProjectFile(filePath);
+  });
+  (patch.removed || []).forEach((filePath) => {
+    projectFilePaths.delete(filePath);
+    unindexProjectFile(filePath);
+  });
+};
+
+/**
+ * Samples file paths of project components from React fibers found in the DOM
+ * @returns {Array<string>} Source file paths
+ */
+const collectFilePathsFromDOM = () => {
+  const filePaths = [];
+  const maxSamples = 50; // Limit samples for performance
+  let samples = 0;
 
-    for (const part of pathParts.slice(0, -1)) {
-      if (part && part.length > 1) {
-        if (!componentNameToFilesIndex.has(part)) {
-          componentNameToFilesIndex.set(part, new Set());
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, null, false);
+
+  let node;
+  while ((node = walker.nextNode()) && samples < maxSamples) {
+    const fiberKey = Object.keys(node).find(
+      (key) => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'),
+    );
+
+    if (fiberKey) {
+      const fiber = node[fiberKey];
+      let currentFiber = fiber;
+      let depth = 0;
+
+      while (currentFiber && depth < 10) {
+        const fiberSource = getFiberSource(currentFiber);
+        if (fiberSource) {
+          const filePath = fiberSource.fileName;
+          if (!isExternalPath(filePath)) {
+            filePaths.push(filePath);
+          }
         }
-        componentNameToFilesIndex.get(part).add(filePath);
+        currentFiber = currentFiber.return;
+        depth++;
+        samples++;
       }
     }
   }
+
+  return filePaths;
 };
 
 /**
  * Attempts to detect project root from fiber tree when server is not available
  * Scans DOM for React fibers and extracts file paths to infer project root
  */
-const detectProjectRootFromDOM = () => {
+const detectProjectRootFromDOM = async () => {
   if (projectRoot) {
     return;
   }
 
   try {
-    const filePaths = [];
-    const maxSamples = 50; // Limit samples for performance
-    let samples = 0;
-
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, null, false);
+    // The first pass queues the scripts behind stack-based locations (React 19) so the
+    // second pass sees original files instead of bundle URLs
+    collectFilePathsFromDOM();
+    await loadPendingSourceMaps();
 
-    let node;
-    while ((node = walker.nextNode()) && samples < maxSamples) {
-      const fiberKey = Object.keys(node).find(
-        (key) => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'),
-      );
-
-      if (fiberKey) {
-        const fiber = node[fiberKey];
-        let currentFiber = fiber;
-        let depth = 0;
-
-        while (currentFiber && depth < 10) {
-          if (currentFiber._debugSource && currentFiber._debugSource.fileName) {
-            const filePath = currentFiber._debugSource.fileName;
-            if (!isExternalPath(filePath)) {
-              filePaths.push(filePath);
-            }
-          }
-          currentFiber = currentFiber.return;
-          depth++;
-          samples++;
-        }
-      }
+    if (projectRoot) {
+      return;
     }
 
+    const filePaths = collectFilePathsFromDOM();
+
     if (filePaths.length > 0) {
       const detectedRoot = detectProjectRootFromPaths(filePaths);
       if (detectedRoot) {
@@ -514,16 +798,64 @@ const isUsedByInternalComponents = (componentName, seenInternalComponents) => {
       }
     }
 
-    if (importMap[filePath] && Array.isArray(importMap[filePath])) {
-      if (importMap[filePath].includes(componentName)) {
-        return true;
-      }
+    // Imported name -> resolved file, or a plain name list (window.__XRAY_REACT_IMPORT_MAP__)
+    const imports = importMap[filePath];
+    if (
+      Array.isArray(imports)
+        ? imports.includes(componentName)
+        : imports?.[componentName] !== undefined
+    ) {
+      return true;
     }
   }
 
   return false;
 };
 
+/**
+ * Gets the React Server Components that returned a fiber's element
+ * Server components leave no fiber; React 19 attaches their component info from the RSC
+ * payload to the fibers of the elements they returned
+ * @param {Object} fiber - React fiber node
+ * @returns {Array<Object>} Component infos ({ name, env, ... }) in child -> parent order
+ */
+const getServerComponentInfos = (fiber) => {
+  if (!Array.isArray(fiber._debugInfo)) return [];
+
+  // Other entries are timings and awaited I/O
+  return fiber._debugInfo
+    .filter((info) => info && typeof info.name === 'string' && 'env' in info)
+    .reverse();
+};
+
+/**
+ * Gets a stable overlay uid for a server component instance
+ * @param {Object} info - Server component info shared by the fibers of its elements
+ * @returns {string} Overlay uid
+ */
+const getServerComponentId = (info) => {
+  if (!serverComponentIds.has(info)) {
+    serverComponentIds.set(info, `xray-server-${nextServerComponentId++}`);
+  }
+  return serverComponentIds.get(info);
+};
+
+/**
+ * Gets the route module a React Router route fiber renders in framework mode
+ * React Router v7 framework mode and Remix render each matched route in a `RenderedRoute`; the
+ * ids of their routes are route module paths (e.g., 'routes/home') listed in the route manifest
+ * @param {Object} fiber - React fiber node
+ * @returns {string|null} Route id, or null if the fiber does not render a route module
+ */
+const getRouteModuleId = (fiber) => {
+  const props = fiber.memoizedProps;
+  const routeId = props?.match?.route?.id;
+  if (typeof routeId !== 'string' || !props.routeContext) return null;
+
+  const manifest = window.__reactRouterManifest || window.__remixManifest;
+  return manifest?.routes?.[routeId] ? routeId : null;
+};
+
 /**
  * Traverses the fiber tree to find React components, skipping HTML elements
  * Filters out external library components based on usage/import maps
@@ -538,6 +870,7 @@ const traverseFiberTree = (fiber, maxDepth = MAX_FIBER_DEPTH) => {
   let depth = 0;
   // Performance improvements
   const visited = new Set();
+  const seenServerInfos = new Set();
 
   while (currentFiber && depth < maxDepth) {
     if (visited.has(currentFiber)) {
@@ -554,10 +887,7 @@ const traverseFiberTree = (fiber, maxDepth = MAX_FIBER_DEPTH) => {
         if (!isHTMLElement(componentName)) {
           const isInternal = isProjectComponent(currentFiber, projectRoot, componentName);
 
-          let filePath = null;
-          if (currentFiber._debugSource && currentFiber._debugSource.fileName) {
-            filePath = currentFiber._debugSource.fileName;
-          }
+          const filePath = getFiberSource(currentFiber)?.fileName || null;
 
           allComponents.push({
             name: componentName,
@@ -575,6 +905,39 @@ const traverseFiberTree = (fiber, maxDepth = MAX_FIBER_DEPTH) => {
       }
     }
 
+    // Route modules are project files, the server finds them by route id
+    const routeId = getRouteModuleId(currentFiber);
+    if (routeId) {
+      allComponents.push({
+        name: routeId,
+        fiber: currentFiber,
+        elementType: null,
+        depth: depth,
+        isInternal: true,
+        isRoute: true,
+        file: null,
+      });
+      internalComponents.push({ name: routeId, file: null });
+    }
+
+    // Server components render in the project's own RSC payload, so they are project components
+    for (const info of getServerComponentInfos(currentFiber)) {
+      if (seenServerInfos.has(info)) continue;
+      seenServerInfos.add(info);
+
+      allComponents.push({
+        name: info.name,
+        fiber: currentFiber,
+        elementType: null,
+        depth: depth,
+        isInternal: true,
+        isServer: true,
+        serverInfo: info,
+        file: null,
+      });
+      internalComponents.push({ name: info.name, file: null });
+    }
+
     currentFiber = currentFiber.return || currentFiber._owner;
     depth++;
   }
@@ -589,6 +952,9 @@ const traverseFiberTree = (fiber, maxDepth = MAX_FIBER_DEPTH) => {
         depth: comp.depth,
         file: comp.file,
         isInternal: comp.isInternal,
+        isServer: comp.isServer,
+        serverInfo: comp.serverInfo,
+        isRoute: comp.isRoute,
       });
     } else {
       if (isUsedByInternalComponents(comp.name, internalComponents)) {
@@ -612,7 +978,7 @@ const traverseFiberTree = (fiber, maxDepth = MAX_FIBER_DEPTH) => {
  * Supports React 18+ and falls back to legacy detection for older versions
  * Enhanced to skip HTML elements and find actual React components
  * @param {HTMLElement} elem - The DOM element
- * @returns {Object} Object with component name and optional uid
+ * @returns {Object} Object with component name, optional uid and source location
  */
 const getComponentObj = (elem) => {
   if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
@@ -627,11 +993,22 @@ const getComponentObj = (elem) => {
 
         if (components.length > 0) {
           const firstComponent = components[0];
-          const uid =
-            firstComponent.fiber._debugID ||
-            `${firstComponent.fiber.index || ''}${firstComponent.fiber.key || ''}`;
+          const uid = firstComponent.isServer
+            ? getServerComponentId(firstComponent.serverInfo)
+            : firstComponent.fiber._debugID ||
+              `${firstComponent.fiber.index || ''}${firstComponent.fiber.key || ''}`;
           const reversedHierarchy = components.reverse().map((c) => c.name);
-          return { name: firstComponent.name, uid, hierarchy: reversedHierarchy };
+          const stamped = getStampedComponent(elem);
+          // Minified display names do not appear in the hierarchy, prefer the stamped owner
+          const name =
+            stamped && stamped.name && !reversedHierarchy.includes(stamped.name)
+              ? stamped.name
+              : firstComponent.name;
+          // The host element's own location points inside the component that rendered it
+          const fiberSource = getFiberSource(fiber) || getFiberSource(firstComponent.fiber);
+          const source = getOverlaySource(elem, name, fiberSource);
+          const isServer = Boolean(firstComponent.isServer) && name === firstComponent.name;
+          return { name, uid, hierarchy: reversedHierarchy, source, isServer };
         }
       }
     } catch {
@@ -652,6 +1029,7 @@ const getComponentObj = (elem) => {
               name: firstComponent.name,
               uid: `${fiberNode._mountIndex || ''}${fiberNode._mountOrder || ''}`,
               hierarchy: reversedHierarchy,
+              source: getFiberSource(fiberNode) || getFiberSource(firstComponent.fiber),
             };
           }
         } catch {
@@ -683,6 +1061,15 @@ const getComponentObj = (elem) => {
     }
   }
 
+  const stamped = getStampedComponent(elem);
+  if (stamped && stamped.name) {
+    return {
+      name: stamped.name,
+      uid: getStampedInstanceId(elem, stamped.name),
+      source: stamped.source,
+    };
+  }
+
   const tagName = elem.tagName?.toLowerCase();
   if (tagName && isHTMLElement(tagName)) {
     return { name: tagName };
@@ -699,16 +1086,16 @@ const searchAndCreateComponentCached = () => {
   // Performance improvements
   const uids = new Set();
   return (elem) => {
-    const { name, uid } = getComponentObj(elem);
+    const { name, uid, source, isServer } = getComponentObj(elem);
 
     if (name && name !== 'Unknown') {
       if (uid) {
         if (!uids.has(uid)) {
           uids.add(uid);
-          return createElemForComponent(elem, name);
+          return createElemForComponent(elem, name, source, isServer);
         }
       } else {
-        return createElemForComponent(elem, name);
+        return createElemForComponent(elem, name, source, isServer);
       }
     }
     return null;
@@ -758,6 +1145,27 @@ const getComponentsFromElement = (elem) => {
     }
   }
 
+  if (components.length === 0) {
+    return getStampedComponentsFromElement(elem);
+  }
+
+  // Components that stamped this element or its ancestors at build time are project components
+  const stampedFiles = new Map();
+  for (let current = elem; current && current !== document.body; current = current.parentElement) {
+    const stamped = getStampedComponent(current);
+    if (stamped && stamped.name && !stampedFiles.has(stamped.name)) {
+      stampedFiles.set(stamped.name, stamped.source.fileName);
+    }
+  }
+
+  for (const comp of components) {
+    if (stampedFiles.has(comp.name)) {
+      comp.isInternal = true;
+      comp.isStamped = true;
+      comp.file = comp.file || stampedFiles.get(comp.name);
+    }
+  }
+
   return components;
 };
 
@@ -839,6 +1247,16 @@ const buildFilteredStructure = (components, currentComponentName, elem) => {
 
       const normalizedName = comp.name.toLowerCase();
 
+      // Components stamped at build time are known project components, no name matching needed
+      if (comp.isStamped) {
+        const componentKey = `${normalizedName}:${normalizePath(comp.file)}`;
+        if (!seenComponents.has(componentKey)) {
+          seenComponents.add(componentKey);
+          projectOwnedComponents.push(comp);
+        }
+        continue;
+      }
+
       if (comp.file) {
         const normalizedFile = comp.file.toLowerCase();
         const pathParts = normalizedFile.split(/[/\\]/);
@@ -951,6 +1369,65 @@ const addAbsoluteComponentPath = (elem, xrayReactElem) => {
 
   xrayReactElem.setAttribute(constants.xrayReactCompPathAttr, fullStructure);
   xrayReactElem.setAttribute(constants.xrayReactFilteredCompPathAttr, filteredStructure);
+
+  // The paths keep plain names so the server can resolve them, server components and route
+  // modules are marked apart
+  const serverComponents = new Set(components.filter((c) => c.isServer).map((c) => c.name));
+  if (xrayReactElem.classList.contains('-server')) {
+    serverComponents.add(currentComponentName);
+  }
+  if (serverComponents.size > 0) {
+    xrayReactElem.setAttribute(constants.xrayReactServerCompsAttr, [...serverComponents].join(','));
+  }
+  const routeModules = components.filter((c) => c.isRoute).map((c) => c.name);
+  if (routeModules.length > 0) {
+    xrayReactElem.setAttribute(constants.xrayReactRouteModulesAttr, routeModules.join(','));
+  }
+
+  // Source maps may have loaded since the overlay was created, refresh stack-based locations
+  const fiberKey = Object.keys(elem).find((key) => key.startsWith('__reactFiber$'));
+  const leafComponent = components[components.length - 1];
+  const fiberSource =
+    (fiberKey && getFiberSource(elem[fiberKey])) ||
+    (leafComponent && leafComponent.fiber && getFiberSource(leafComponent.fiber));
+  const source = getOverlaySource(elem, currentComponentName, fiberSource);
+  if (source) {
+    xrayReactElem.setAttribute(constants.xrayReactSourceAttr, formatSourceLocation(source));
+  }
+};
+
+/**
+ * Reads a comma-separated list of names from an overlay attribute
+ * @param {HTMLElement} xrayReactElem - Overlay element
+ * @param {string} attr - Attribute name
+ * @returns {Array<string>} Names
+ */
+const getNamesAttr = (xrayReactElem, attr) =>
+  (xrayReactElem.getAttribute(attr) || '').split(',').filter(Boolean);
+
+/**
+ * Renders a component path in the action bar, marking server components and route modules
+ * @param {HTMLElement} pathElement - Path element of the action bar
+ * @param {string} componentsPath - Component path (e.g., 'root -> routes/home -> Home')
+ * @param {Map<string, Object>} marks - Marked names -> { className, title }
+ */
+const renderComponentsPath = (pathElement, componentsPath, marks) => {
+  pathElement.replaceChildren();
+  componentsPath.split(' -> ').forEach((name, index) => {
+    if (index > 0) {
+      pathElement.append(' -> ');
+    }
+    const mark = marks.get(name);
+    if (mark) {
+      const markedName = document.createElement('span');
+      markedName.className = mark.className;
+      markedName.title = mark.title;
+      markedName.textContent = name;
+      pathElement.append(markedName);
+    } else {
+      pathElement.append(name);
+    }
+  });
 };
 
 /**
@@ -966,7 +1443,14 @@ const onXrayReactMouseover = (event) => {
       '';
     const pathElement = document.querySelector('.xray-react-actions-wrapper .components-path');
     if (pathElement) {
-      pathElement.innerHTML = componentsPath;
+      const marks = new Map();
+      getNamesAttr(target, constants.xrayReactServerCompsAttr).forEach((name) =>
+        marks.set(name, { className: 'server-component', title: 'React Server Component' }),
+      );
+      getNamesAttr(target, constants.xrayReactRouteModulesAttr).forEach((name) =>
+        marks.set(name, { className: 'route-module', title: 'Route module' }),
+      );
+      renderComponentsPath(pathElement, componentsPath, marks);
     }
   }
 };
@@ -1040,6 +1524,7 @@ const toggleXrayReact = () => {
       clearButton.setAttribute('data-listener-attached', 'true');
       clearButton.addEventListener('click', handleSearchClear);
     }
+    setupEditorSelect();
     body.addEventListener('mouseover', onXrayReactMouseover);
 
     const existingWrapper = document.querySelector(`.${constants.xrayReactWrapperCN}`);
@@ -1127,7 +1612,10 @@ const toggleXrayReact = () => {
             }
           };
 
-          setTimeout(processPaths, 1);
+          // Resolve stack-based locations (React 19) through the dev server's source maps first
+          loadPendingSourceMaps()
+            .catch(() => false)
+            .then(() => setTimeout(processPaths, 1));
         }
       };
 
@@ -1186,6 +1674,26 @@ const handleXrayReactToggle = () => {
   isHandlerRegistered = true;
 };
 
+/**
+ * Turns the overlays on or off (e.g., from the Storybook toolbar)
+ * @param {boolean} isEnabled - Whether the overlays should be shown
+ */
+export const setXrayReactEnabled = (isEnabled) => {
+  if (document.body.classList.contains('xray-react-enabled') !== Boolean(isEnabled)) {
+    toggleXrayReact();
+  }
+};
+
+/**
+ * Rebuilds the overlays for the current DOM if they are shown (e.g., after a story re-renders)
+ */
+export const refreshXrayReact = () => {
+  if (document.body.classList.contains('xray-react-enabled')) {
+    toggleXrayReact();
+    toggleXrayReact();
+  }
+};
+
 /**
  * Enables xray-react functionality
  */
@@ -1202,6 +1710,15 @@ export const enableXrayReact = () => {
     }
   }
 
+  if (workspacePackages.length === 0 && typeof window !== 'undefined') {
+    setWorkspacePackages(window.__XRAY_REACT_WORKSPACE_PACKAGES__);
+  }
+
+  // Integrations with a toggle of their own (e.g., the Storybook toolbar) turn the shortcut off
+  if (typeof window !== 'undefined' && window.__XRAY_REACT_SHORTCUT__ === false) {
+    return;
+  }
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', handleXrayReactToggle);
   } else {
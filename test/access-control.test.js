@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSessionToken,
+  isValidToken,
+  normalizeOrigin,
+  isLoopbackOrigin,
+  isLoopbackAddress,
+  isOriginAllowed,
+} from '../lib/access-control.js';
+
+test('accepts only the exact session token', () => {
+  const token = createSessionToken();
+
+  assert.equal(isValidToken(token, token), true);
+  assert.equal(isValidToken(token, token.slice(0, -1)), false);
+  assert.equal(isValidToken(token, `${token}0`), false);
+  assert.equal(isValidToken(token, ''), false);
+  assert.equal(isValidToken(token, undefined), false);
+  assert.equal(isValidToken(token, { toString: () => token }), false);
+  assert.notEqual(createSessionToken(), token);
+});
+
+test('rejects a token that differs in one character', () => {
+  const token = 'a'.repeat(48);
+
+  assert.equal(isValidToken(token, `${'a'.repeat(47)}b`), false);
+});
+
+test('normalizes origins and rejects opaque ones', () => {
+  assert.equal(normalizeOrigin('http://App.test:3000/path?query'), 'http://app.test:3000');
+  assert.equal(normalizeOrigin('https://app.test:443'), 'https://app.test');
+  assert.equal(normalizeOrigin('null'), null);
+  assert.equal(normalizeOrigin('file:///etc/passwd'), null);
+  assert.equal(normalizeOrigin('not a url'), null);
+});
+
+test('recognizes loopback origins and addresses only', () => {
+  ['http://localhost:5173', 'http://127.0.0.1:1', 'https://[::1]:8443'].forEach((origin) => {
+    assert.equal(isLoopbackOrigin(origin), true, origin);
+  });
+  ['http://localhost.evil.test', 'http://127.0.0.2', 'http://192.168.1.2:3000', 'null'].forEach(
+    (origin) => {
+      assert.equal(isLoopbackOrigin(origin), false, origin);
+    },
+  );
+
+  ['127.0.0.1', '::1', '::ffff:127.0.0.1'].forEach((address) => {
+    assert.equal(isLoopbackAddress(address), true, address);
+  });
+  ['192.168.1.2', '::ffff:10.0.0.1', undefined].forEach((address) => {
+    assert.equal(isLoopbackAddress(address), false, String(address));
+  });
+});
+
+test('allows loopback and listed origins only', () => {
+  const allowed = new Set(['http://app.test:3000']);
+
+  assert.equal(isOriginAllowed('http://localhost:9999', allowed), true);
+  assert.equal(isOriginAllowed('http://app.test:3000', allowed), true);
+  assert.equal(isOriginAllowed('http://APP.test:3000/', allowed), true);
+  assert.equal(isOriginAllowed('http://app.test:3001', allowed), false);
+  assert.equal(isOriginAllowed('https://app.test:3000', allowed), false);
+  assert.equal(isOriginAllowed('http://evil.test', allowed), false);
+  assert.equal(isOriginAllowed('null', allowed), false);
+  assert.equal(isOriginAllowed('http://evil.test', new Set(['*'])), true);
+});
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EDITOR_TEMPLATE_PRESETS,
+  escapeCmdArgument,
+  getSpawnCommand,
+  isPathInsideRoots,
+  openFile,
+  renderEditorTemplate,
+} from '../lib/editor-utils.js';
+
+const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'xray-react-editor-')));
+const projectRoot = path.join(tempDir, 'project');
+const outsideDir = path.join(tempDir, 'outside');
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.mkdirSync(outsideDir);
+fs.writeFileSync(path.join(projectRoot, 'src', 'App.jsx'), '');
+fs.writeFileSync(path.join(outsideDir, 'secret.txt'), '');
+fs.symlinkSync(outsideDir, path.join(projectRoot, 'linked'), 'dir');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Unescaped cmd.exe metacharacters: not preceded by a caret
+const UNESCAPED_META = /(^|[^^])[&|<>%"]/;
+
+test('allows files inside the project root only', () => {
+  assert.equal(isPathInsideRoots(path.join(projectRoot, 'src', 'App.jsx'), projectRoot), true);
+  assert.equal(isPathInsideRoots(projectRoot, [outsideDir, projectRoot]), true);
+  assert.equal(isPathInsideRoots(path.join(outsideDir, 'secret.txt'), projectRoot), false);
+  assert.equal(isPathInsideRoots(path.join(projectRoot, '..', 'outside'), projectRoot), false);
+  assert.equal(isPathInsideRoots(`${projectRoot}-sibling/file.js`, projectRoot), false);
+  // A symlink inside the project cannot reach outside of it
+  assert.equal(
+    isPathInsideRoots(path.join(projectRoot, 'linked', 'secret.txt'), projectRoot),
+    false,
+  );
+  assert.equal(isPathInsideRoots('/etc/passwd', null), false);
+});
+
+test('refuses to open files outside of the allowed roots', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    [
+      path.join(outsideDir, 'secret.txt'),
+      path.join(projectRoot, '..', 'outside', 'secret.txt'),
+      path.join(projectRoot, 'linked', 'secret.txt'),
+    ].forEach((filepath) => {
+      assert.equal(
+        openFile(filepath, {}, 'xray-react-missing-editor', { allowedRoots: [projectRoot] }),
+        false,
+        filepath,
+      );
+    });
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /outside of the project root/);
+});
+
+test('escapes every cmd.exe metacharacter of an argument', () => {
+  assert.equal(escapeCmdArgument('a&b'), '^"a^&b^"');
+  assert.equal(escapeCmdArgument('50%|<in>^'), '^"50^%^|^<in^>^^^"');
+  assert.equal(escapeCmdArgument('say "hi"'), '^"say^ \\^"hi\\^"^"');
+  assert.equal(escapeCmdArgument('C:\\dir\\'), '^"C:\\dir\\\\^"');
+  // Batch files parse their arguments twice
+  assert.equal(escapeCmdArgument('a&b', true), '^^^"a^^^&b^^^"');
+
+  ['x" & calc & "', '%PATH%', 'a|b', 'a<b>c', '^&'].forEach((arg) => {
+    assert.doesNotMatch(escapeCmdArgument(arg), UNESCAPED_META, arg);
+  });
+});
+
+test('spawns commands directly outside of Windows', () => {
+  const args = ['-g', 'src/a & b.jsx:1:1'];
+
+  assert.deepEqual(getSpawnCommand('code', args, 'linux'), { command: 'code', args: args });
+});
+
+test('spawns Windows executables directly and batch files through escaped cmd.exe', () => {
+  const args = ['-g', 'C:\\app\\x" & calc & ".jsx:1:1'];
+
+  assert.deepEqual(getSpawnCommand('C:\\tools\\editor.exe', args, 'win32'), {
+    command: 'C:\\tools\\editor.exe',
+    args: args,
+  });
+
+  const { command, args: cmdArgs } = getSpawnCommand('C:\\tools\\code.cmd', args, 'win32');
+  assert.equal(command, 'cmd.exe');
+  assert.deepEqual(cmdArgs.slice(0, 3), ['/d', '/s', '/c']);
+  const commandLine = cmdArgs[3].slice(1, -1);
+  assert.ok(commandLine.startsWith('C:\\tools\\code.cmd '));
+  assert.doesNotMatch(commandLine, UNESCAPED_META);
+});
+
+test('passes the file to the nvim preset as an escaped Vim string', () => {
+  const filepath = "/project/src/it's a|b <CR>.jsx";
+  const args = renderEditorTemplate(EDITOR_TEMPLATE_PRESETS.nvim, filepath, {
+    line: 12,
+    column: 5,
+  });
+
+  assert.deepEqual(args, [
+    'nvim',
+    '--server',
+    '/tmp/nvim.sock',
+    '--remote-expr',
+    "execute(['edit ' .. fnameescape('/project/src/it''s a|b <CR>.jsx'), 'call cursor(12, 5)'])",
+  ]);
+});
+
+test('keeps template placeholder values in a single argument', () => {
+  assert.deepEqual(
+    renderEditorTemplate(
+      'edit --goto {file}:{line} {relativeFile}',
+      '/root/a b;c.jsx',
+      {},
+      '/root',
+    ),
+    ['edit', '--goto', '/root/a b;c.jsx:1', 'a b;c.jsx'],
+  );
+});
@@ -0,0 +1,173 @@
+import { EventEmitter } from 'events';
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventStreamChannel } from '../lib/event-stream-channel.js';
+import { isOriginAllowed, isValidToken } from '../lib/access-control.js';
+import { EVENT_STREAM_TOKEN_HEADER, HOT_CONNECT_EVENT } from '../lib/constants.js';
+
+const TOKEN = 'session-token';
+const APP_ORIGIN = 'http://192.168.1.10:3000';
+
+let channel = null;
+let sockets = null;
+
+/**
+ * Creates a mock HTTP request
+ * @param {Object} options - Request options
+ * @returns {Object} Request
+ */
+function createRequest({ method = 'GET', url, headers = {}, body }) {
+  const req = new EventEmitter();
+  return Object.assign(req, { method, url, headers, body, socket: { remoteAddress: '127.0.0.1' } });
+}
+
+/**
+ * Creates a mock HTTP response that records what is written
+ * @returns {Object} Response with `status`, `chunks` and a `done` promise resolved on `end()`
+ */
+function createResponse() {
+  let markDone;
+  const res = {
+    status: null,
+    headersSent: false,
+    chunks: [],
+    done: new Promise((resolve) => {
+      markDone = resolve;
+    }),
+    writeHead(status) {
+      res.status = status;
+      res.headersSent = true;
+    },
+    write(chunk) {
+      res.chunks.push(chunk);
+    },
+    end(chunk) {
+      if (chunk) res.chunks.push(chunk);
+      markDone();
+    },
+  };
+  return res;
+}
+
+/**
+ * Opens an event stream and gets the client id the channel sent
+ * @returns {Promise<string>} Client id
+ */
+function connect() {
+  const res = createResponse();
+  channel.middleware(
+    createRequest({ url: `/__xray-react/events?token=${TOKEN}` }),
+    res,
+    assert.fail,
+  );
+  assert.equal(res.status, 200);
+  const connectEvent = res.chunks.find((chunk) => chunk.startsWith(`event: ${HOT_CONNECT_EVENT}`));
+  return JSON.parse(connectEvent.split('data: ')[1]).id;
+}
+
+/**
+ * POSTs an event to the channel
+ * @param {string} event - Event name
+ * @param {Object} body - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Finished response, with the parsed JSON body as `json`
+ */
+async function post(event, body, headers = {}) {
+  const res = createResponse();
+  channel.middleware(
+    createRequest({
+      method: 'POST',
+      url: `/__xray-react/events/${event}`,
+      headers: { origin: APP_ORIGIN, [EVENT_STREAM_TOKEN_HEADER]: TOKEN, ...headers },
+      body,
+    }),
+    res,
+    assert.fail,
+  );
+  await res.done;
+  return { ...res, json: JSON.parse(res.chunks.join('')) };
+}
+
+beforeEach(() => {
+  sockets = [];
+  channel = createEventStreamChannel({
+    isAllowedRequest: (req) => isOriginAllowed(req.headers.origin, new Set([APP_ORIGIN])),
+    isAuthorized: (token) => isValidToken(TOKEN, token),
+    onConnection: (socket) => sockets.push(socket),
+  });
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  channel.close();
+  mock.restoreAll();
+});
+
+test('passes other requests on', () => {
+  const next = mock.fn();
+  channel.middleware(createRequest({ url: '/__xray-react/other' }), createResponse(), next);
+
+  assert.equal(next.mock.callCount(), 1);
+});
+
+test('acknowledges events of connected pages', async () => {
+  const client = connect();
+  sockets[0].on('ping', (payload, ack) => ack({ pong: payload.value }));
+
+  const res = await post('ping', { client, payload: { value: 1 } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json, { result: { pong: 1 } });
+});
+
+test('rejects events from origins that are not allowed', async () => {
+  const client = connect();
+  const handler = mock.fn();
+  sockets[0].on('ping', handler);
+
+  const res = await post('ping', { client }, { origin: 'http://evil.example' });
+  assert.equal(res.status, 403);
+  assert.deepEqual(res.json, { error: 'Origin not allowed' });
+  assert.equal(handler.mock.callCount(), 0);
+});
+
+test('rejects streams and events with a bad token', async () => {
+  const streamRes = createResponse();
+  channel.middleware(
+    createRequest({ url: '/__xray-react/events?token=wrong' }),
+    streamRes,
+    assert.fail,
+  );
+  assert.equal(streamRes.status, 403);
+  assert.equal(sockets.length, 0);
+
+  const client = connect();
+  const handler = mock.fn();
+  sockets[0].on('ping', handler);
+  for (const headers of [
+    { [EVENT_STREAM_TOKEN_HEADER]: 'wrong' },
+    { [EVENT_STREAM_TOKEN_HEADER]: '' },
+  ]) {
+    const res = await post('ping', { client }, headers);
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.json, { error: 'Invalid session token' });
+  }
+  assert.equal(handler.mock.callCount(), 0);
+});
+
+test('answers 500 when a handler throws', async () => {
+  const client = connect();
+  sockets[0].on('ping', () => {
+    throw new Error('boom');
+  });
+
+  const res = await post('ping', { client });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.json, { error: 'Internal server error' });
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('answers 404 for unknown clients', async () => {
+  const res = await post('ping', { client: 'unknown' });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,10 @@
+import React from 'react';
+import { Greeting } from './Greeting';
+
+export function App() {
+  return (
+    <main>
+      <Greeting name="fixture" />
+    </main>
+  );
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Greeting({ name }) {
+  return <p>Hello, {name}</p>;
+}
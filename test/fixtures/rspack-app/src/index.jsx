@@ -0,0 +1,4 @@
+import React from 'react';
+import { App } from './App';
+
+export const element = <App />;
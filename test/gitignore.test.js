@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIgnoreMatcher, parseGitignore } from '../lib/gitignore.js';
+import { scanSourceFiles } from '../lib/source-utils.js';
+
+let tempDir = null;
+let projectRoot = null;
+
+/**
+ * Writes files below the project root
+ * @param {Object} files - Relative path -> content
+ */
+function writeFiles(files) {
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+/**
+ * Gets the scanned files relative to the project root
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<Array<string>>} Sorted relative paths with forward slashes
+ */
+async function scan(dir = projectRoot) {
+  const files = await scanSourceFiles(dir);
+  return files.map((file) => path.relative(projectRoot, file).split(path.sep).join('/')).sort();
+}
+
+before(() => {
+  tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'xray-react-gitignore-')));
+  projectRoot = path.join(tempDir, 'project');
+  fs.mkdirSync(path.join(projectRoot, '.git'), { recursive: true });
+  writeFiles({
+    '.gitignore': [
+      '# generated code',
+      '*.generated.jsx',
+      '!keep.generated.jsx',
+      'build/',
+      '/Root.jsx',
+      'src/legacy/*.jsx',
+      '!src/legacy/Kept.jsx',
+    ].join('\n'),
+    'Root.jsx': '',
+    'src/Root.jsx': '',
+    'src/App.jsx': '',
+    'src/App.generated.jsx': '',
+    'src/keep.generated.jsx': '',
+    'src/build/Button.jsx': '',
+    'src/build.jsx/Card.jsx': '',
+    'src/legacy/Old.jsx': '',
+    'src/legacy/Kept.jsx': '',
+    'src/legacy/nested/Deep.jsx': '',
+    'src/feature/.gitignore': '!Local.generated.jsx\nDraft.jsx\n',
+    'src/feature/Local.generated.jsx': '',
+    'src/feature/Draft.jsx': '',
+    'node_modules/lib/Index.jsx': '',
+  });
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('parses negation, directory-only and anchored patterns', () => {
+  const rules = parseGitignore('# comment\n\n!keep.js\nbuild/\n/Root.jsx\nsrc/*.jsx  \n\\#hash\n');
+
+  assert.deepEqual(
+    rules.map(({ negate, directoryOnly }) => [negate, directoryOnly]),
+    [
+      [true, false],
+      [false, true],
+      [false, false],
+      [false, false],
+      [false, false],
+    ],
+  );
+  // Unanchored patterns match at any depth, anchored ones only from the .gitignore directory
+  assert.ok(rules[1].regex.test('a/b/build'));
+  assert.ok(rules[2].regex.test('Root.jsx'));
+  assert.equal(rules[2].regex.test('src/Root.jsx'), false);
+  assert.ok(rules[3].regex.test('src/App.jsx'));
+  assert.equal(rules[3].regex.test('lib/src/App.jsx'), false);
+  assert.ok(rules[4].regex.test('#hash'));
+});
+
+test('applies negations, directory-only and anchored patterns', () => {
+  const matcher = createIgnoreMatcher(projectRoot);
+  const isIgnored = (file, isDirectory) =>
+    matcher.isIgnored(path.join(projectRoot, file), isDirectory);
+
+  assert.equal(isIgnored('src/App.generated.jsx'), true);
+  assert.equal(isIgnored('src/keep.generated.jsx'), false);
+  assert.equal(isIgnored('src/build', true), true);
+  assert.equal(isIgnored('src/build/Button.jsx'), true);
+  // A directory-only pattern does not match a file of that name
+  assert.equal(isIgnored('src/build'), false);
+  assert.equal(isIgnored('Root.jsx'), true);
+  assert.equal(isIgnored('src/Root.jsx'), false);
+  assert.equal(isIgnored('src/legacy/Old.jsx'), true);
+  assert.equal(isIgnored('src/legacy/Kept.jsx'), false);
+  assert.equal(isIgnored('node_modules', true), true);
+  // Paths outside the base directory are never ignored
+  assert.equal(matcher.isIgnored(path.join(tempDir, 'Other.generated.jsx')), false);
+});
+
+test('lets nested .gitignore files override the outer ones', () => {
+  const matcher = createIgnoreMatcher(projectRoot);
+
+  assert.equal(matcher.isIgnored(path.join(projectRoot, 'src/feature/Local.generated.jsx')), false);
+  assert.equal(matcher.isIgnored(path.join(projectRoot, 'src/feature/Draft.jsx')), true);
+});
+
+test('scans only the files that are not ignored', async () => {
+  assert.deepEqual(await scan(), [
+    'src/App.jsx',
+    'src/Root.jsx',
+    'src/build.jsx/Card.jsx',
+    'src/feature/Local.generated.jsx',
+    'src/keep.generated.jsx',
+    'src/legacy/Kept.jsx',
+    'src/legacy/nested/Deep.jsx',
+  ]);
+});
+
+test('does not follow symlink cycles', async (t) => {
+  const outsideDir = path.join(tempDir, 'outside');
+  fs.mkdirSync(path.join(outsideDir, 'inner'), { recursive: true });
+  fs.writeFileSync(path.join(outsideDir, 'inner', 'Shared.jsx'), '');
+  try {
+    fs.symlinkSync(outsideDir, path.join(outsideDir, 'inner', 'back'), 'dir');
+    fs.symlinkSync(projectRoot, path.join(projectRoot, 'src', 'self'), 'dir');
+    fs.symlinkSync(outsideDir, path.join(projectRoot, 'src', 'linked'), 'dir');
+  } catch {
+    t.skip('symlinks are not supported');
+    return;
+  }
+
+  const files = await scan();
+  assert.deepEqual(
+    files.filter((file) => file.includes('Shared.jsx')),
+    ['src/linked/inner/Shared.jsx'],
+  );
+  assert.equal(
+    files.some((file) => file.startsWith('src/self/')),
+    false,
+  );
+});
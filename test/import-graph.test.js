@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findExportingFile, resolveFileImports } from '../lib/import-graph.js';
+
+/**
+ * Creates graph access over in-memory modules
+ * Specifiers are module paths, resolved as-is when the module exists
+ * @param {Object} modules - Module path -> { declarations, reexports }
+ * @returns {Object} Graph ({ resolver, getRecord })
+ */
+function createGraph(modules) {
+  return {
+    resolver: { resolve: (specifier) => (modules[specifier] ? specifier : null) },
+    getRecord: (filePath) => modules[filePath] || null,
+  };
+}
+
+const declares = (...names) => names.map((name) => ({ name }));
+
+const graph = createGraph({
+  '/ui/index.js': {
+    declarations: [],
+    reexports: [
+      { exported: '*', imported: '*', source: '/ui/buttons.js' },
+      { exported: 'Dialog', imported: 'Modal', source: '/ui/Modal.jsx' },
+      { exported: 'Card', imported: 'default', source: '/ui/Card.jsx' },
+      { exported: 'Icons', imported: '*', source: '/ui/icons.js' },
+      { exported: 'Gone', imported: 'Gone', source: '/ui/missing.js' },
+    ],
+  },
+  '/ui/buttons.js': {
+    declarations: [],
+    reexports: [{ exported: '*', imported: '*', source: '/ui/Button.jsx' }],
+  },
+  '/ui/Button.jsx': { declarations: declares('Button', 'IconButton'), reexports: [] },
+  '/ui/Modal.jsx': { declarations: declares('Modal'), reexports: [] },
+  '/ui/Card.jsx': { declarations: declares('Card'), reexports: [] },
+  '/ui/icons.js': { declarations: declares('Star'), reexports: [] },
+  // Barrels exporting each other
+  '/cycle/a.js': {
+    declarations: [],
+    reexports: [{ exported: '*', imported: '*', source: '/cycle/b.js' }],
+  },
+  '/cycle/b.js': {
+    declarations: declares('Found'),
+    reexports: [{ exported: '*', imported: '*', source: '/cycle/a.js' }],
+  },
+});
+
+test('follows export * chains to the declaring file', () => {
+  assert.equal(findExportingFile('/ui/index.js', 'IconButton', graph), '/ui/Button.jsx');
+});
+
+test('follows renamed and default re-exports', () => {
+  assert.equal(findExportingFile('/ui/index.js', 'Dialog', graph), '/ui/Modal.jsx');
+  assert.equal(findExportingFile('/ui/index.js', 'Card', graph), '/ui/Card.jsx');
+  assert.equal(findExportingFile('/ui/index.js', 'Icons', graph), '/ui/icons.js');
+});
+
+test('does not find names a module does not export', () => {
+  assert.equal(findExportingFile('/ui/index.js', 'Modal', graph), null);
+  assert.equal(findExportingFile('/ui/index.js', 'Gone', graph), null);
+  // `export *` does not re-export the default export
+  assert.equal(findExportingFile('/ui/buttons.js', 'default', graph), '/ui/buttons.js');
+});
+
+test('ends re-export cycles', () => {
+  assert.equal(findExportingFile('/cycle/a.js', 'Found', graph), '/cycle/b.js');
+  assert.equal(findExportingFile('/cycle/a.js', 'Missing', graph), null);
+});
+
+test('resolves the imports of a file to declaring files', () => {
+  const imports = resolveFileImports(
+    '/App.jsx',
+    [
+      { local: 'Button', imported: 'Button', source: '/ui/index.js' },
+      { local: 'Popup', imported: 'Dialog', source: '/ui/index.js' },
+      { local: 'UI', imported: '*', source: '/ui/index.js' },
+      { local: 'React', imported: 'default', source: 'react' },
+      { local: 'Unknown', imported: 'Unknown', source: '/ui/index.js' },
+    ],
+    graph,
+  );
+
+  assert.deepEqual(imports, {
+    Button: '/ui/Button.jsx',
+    Dialog: '/ui/Modal.jsx',
+    UI: '/ui/index.js',
+    React: null,
+    // Best guess: the imported module
+    Unknown: '/ui/index.js',
+  });
+});
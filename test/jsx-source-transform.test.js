@@ -0,0 +1,90 @@
+import { SourceMap } from 'module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformJsxSource } from '../lib/jsx-source-transform.js';
+
+const FILE_PATH = '/project/src/Card.jsx';
+const CODE = [
+  'export function Card({ title }) {',
+  '  return <section className="card"><h2>{title}</h2></section>;',
+  '}',
+  '',
+].join('\n');
+
+test('returns null when there is nothing to stamp', () => {
+  assert.equal(transformJsxSource('export const value = 1;\n', { filePath: FILE_PATH }), null);
+});
+
+test('stamps host elements with their source location and owner', () => {
+  const { code } = transformJsxSource(CODE, { filePath: FILE_PATH, projectRoot: '/project' });
+
+  assert.match(code, /<section data-xray-source="src\/Card\.jsx:2:10" data-xray-component="Card"/);
+  assert.match(code, /<h2 data-xray-source="src\/Card\.jsx:2:36" data-xray-component="Card">/);
+});
+
+test('maps columns after the inserted attributes back to the original source', () => {
+  const { code, map } = transformJsxSource(CODE, { filePath: FILE_PATH, projectRoot: '/project' });
+  const sourceMap = new SourceMap(JSON.parse(JSON.stringify(map)));
+  const generatedLine = code.split('\n')[1];
+
+  // SourceMap lines and columns are 0-based
+  const entry = sourceMap.findEntry(1, generatedLine.indexOf('{title}'));
+  assert.equal(entry.originalSource, FILE_PATH);
+  assert.equal(entry.originalLine, 1);
+  assert.equal(entry.originalColumn, CODE.split('\n')[1].indexOf('{title}'));
+});
+
+test('stamps elements with the component that encloses them', () => {
+  const code = [
+    'function Page({ rows }) {',
+    '  const Row = ({ row }) => <tr>{row}</tr>;',
+    '  const Cell = memo(function Cell() {',
+    '    return <td />;',
+    '  });',
+    '  return <table>{rows.map((row) => <Row row={row} />)}</table>;',
+    '}',
+    'class Layout extends React.Component {',
+    '  render() {',
+    '    return <main />;',
+    '  }',
+    '}',
+    'export const element = <div />;',
+    '',
+  ].join('\n');
+  const { code: transformed } = transformJsxSource(code, { filePath: FILE_PATH });
+
+  assert.match(transformed, /<tr data-xray-source="[^"]+:2:\d+" data-xray-component="Row">/);
+  assert.match(transformed, /<td data-xray-source="[^"]+:4:\d+" data-xray-component="Cell"/);
+  assert.match(transformed, /<table data-xray-source="[^"]+:6:\d+" data-xray-component="Page">/);
+  assert.match(transformed, /<main data-xray-source="[^"]+:10:\d+" data-xray-component="Layout"/);
+  assert.match(transformed, /<div data-xray-source="[^"]+:13:\d+" \/>/);
+});
+
+test('ends variable component scopes without semicolons', () => {
+  const code = [
+    'function Page() {',
+    '  const Row = () => <tr />',
+    '  return <table />',
+    '}',
+    '',
+  ].join('\n');
+  const { code: transformed } = transformJsxSource(code, { filePath: FILE_PATH });
+
+  assert.match(transformed, /<tr [^>]*data-xray-component="Row"/);
+  assert.match(transformed, /<table [^>]*data-xray-component="Page"/);
+});
+
+test('ignores declarations inside comments, strings and template literals', () => {
+  const code = [
+    'export function Card() {',
+    '  // function Fake() {}',
+    "  const label = 'const Other = () => null';",
+    '  const hint = `class Hint extends Base {}`;',
+    '  return <section />;',
+    '}',
+    '',
+  ].join('\n');
+  const { code: transformed } = transformJsxSource(code, { filePath: FILE_PATH });
+
+  assert.match(transformed, /<section [^>]*data-xray-component="Card"/);
+});
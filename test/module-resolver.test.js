@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseJsonc,
+  normalizeAliases,
+  readCompilerPathOptions,
+  createModuleResolver,
+} from '../lib/module-resolver.js';
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'xray-react-resolver-')));
+
+/**
+ * Writes files below the temporary project root
+ * @param {Object} files - Relative path -> content
+ */
+function writeFiles(files) {
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+const at = (file) => path.join(root, file);
+
+writeFiles({
+  '.git/HEAD': '',
+  'tsconfig.base.json': JSON.stringify({ compilerOptions: { paths: { '@base/*': ['src/*'] } } }),
+  'tsconfig.json': `{
+    // Comments and trailing commas are allowed
+    "extends": "./tsconfig.base.json",
+    "compilerOptions": {
+      "baseUrl": ".",
+      "paths": { "@/*": ["src/*"], "@ui": ["src/ui/index.ts"], "@ui/*": ["src/ui/components/*"], },
+    },
+  }`,
+  'src/App.tsx': '',
+  'src/Button.tsx': '',
+  'src/helpers.ts': '',
+  'src/ui/index.ts': '',
+  'src/ui/Card.jsx': '',
+  'src/ui/components/Modal.tsx': '',
+  'src/widgets/index.jsx': '',
+  'src/Page.mdx': '',
+  'lib/shared.js': '',
+  'packages/design/package.json': JSON.stringify({ name: '@acme/design', source: 'src/main.tsx' }),
+  'packages/design/src/main.tsx': '',
+  'packages/design/src/Icon.tsx': '',
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('parses JSON with comments and trailing commas', () => {
+  assert.deepEqual(parseJsonc('{ /* a */ "a": [1, 2,], // b\n "url": "http://x//y", }'), {
+    a: [1, 2],
+    url: 'http://x//y',
+  });
+});
+
+test('normalizes Vite and webpack aliases', () => {
+  assert.deepEqual(normalizeAliases([{ find: '@', replacement: '/src' }]), [
+    { find: '@', replacement: ['/src'], exact: false },
+  ]);
+  assert.deepEqual(normalizeAliases({ ui$: '/src/ui', lib: ['/a', '/b'], off: false }), [
+    { find: 'ui', replacement: ['/src/ui'], exact: true },
+    { find: 'lib', replacement: ['/a', '/b'], exact: false },
+  ]);
+  assert.deepEqual(normalizeAliases([{ name: 'x', alias: '/x', onlyModule: true }]), [
+    { find: 'x', replacement: ['/x'], exact: true },
+  ]);
+  assert.deepEqual(normalizeAliases(null), []);
+});
+
+test('reads tsconfig paths and baseUrl through extends', () => {
+  const options = readCompilerPathOptions(at('tsconfig.json'));
+
+  assert.equal(options.baseUrl, root);
+  assert.equal(options.pathsBase, root);
+  // The config's own paths replace the extended ones
+  assert.equal(options.paths['@base/*'], undefined);
+  assert.deepEqual(options.paths['@/*'], ['src/*']);
+});
+
+test('resolves relative specifiers with extension and index file probing', () => {
+  const resolver = createModuleResolver({ extensions: ['.mdx'] });
+  const from = at('src/App.tsx');
+
+  assert.equal(resolver.resolve('./Button', from), at('src/Button.tsx'));
+  assert.equal(resolver.resolve('./Button.js', from), at('src/Button.tsx'));
+  assert.equal(resolver.resolve('./helpers', from), at('src/helpers.ts'));
+  assert.equal(resolver.resolve('./widgets', from), at('src/widgets/index.jsx'));
+  assert.equal(resolver.resolve('./Page', from), at('src/Page.mdx'));
+  assert.equal(resolver.resolve('../lib/shared', from), at('lib/shared.js'));
+  assert.equal(resolver.resolve('./Missing', from), null);
+  assert.equal(resolver.resolve('react', from), null);
+});
+
+test('resolves tsconfig paths (longest prefix first) and baseUrl', () => {
+  const resolver = createModuleResolver({});
+  const from = at('src/App.tsx');
+
+  assert.equal(resolver.resolve('@/Button', from), at('src/Button.tsx'));
+  assert.equal(resolver.resolve('@ui', from), at('src/ui/index.ts'));
+  assert.equal(resolver.resolve('@ui/Modal', from), at('src/ui/components/Modal.tsx'));
+  assert.equal(resolver.resolve('src/helpers', from), at('src/helpers.ts'));
+  assert.equal(resolver.resolve('lib/shared', from), at('lib/shared.js'));
+});
+
+test('resolves bundler aliases before tsconfig paths', () => {
+  const resolver = createModuleResolver({
+    aliases: [
+      { find: '@', replacement: at('src/ui') },
+      { find: /^~(.*)$/, replacement: `${at('src')}$1` },
+      { find: 'shared', replacement: '@/Button' },
+    ],
+  });
+  const from = at('src/App.tsx');
+
+  assert.equal(resolver.resolve('@/Card', from), at('src/ui/Card.jsx'));
+  assert.equal(resolver.resolve('~/helpers', from), at('src/helpers.ts'));
+  // Aliased specifiers are resolved again, here through the tsconfig paths
+  assert.equal(resolver.resolve('shared', from), at('src/Button.tsx'));
+});
+
+test('resolves exact webpack aliases only for the exact specifier', () => {
+  const resolver = createModuleResolver({ aliases: { ui$: at('src/ui/index.ts') } });
+  const from = at('src/App.tsx');
+
+  assert.equal(resolver.resolve('ui', from), at('src/ui/index.ts'));
+  assert.equal(resolver.resolve('ui/Card', from), null);
+});
+
+test('resolves workspace packages to their source entry and subpaths', () => {
+  const resolver = createModuleResolver({
+    workspacePackages: [{ name: '@acme/design', dir: at('packages/design') }],
+  });
+  const from = at('src/App.tsx');
+
+  assert.equal(resolver.resolve('@acme/design', from), at('packages/design/src/main.tsx'));
+  assert.equal(resolver.resolve('@acme/design/Icon', from), at('packages/design/src/Icon.tsx'));
+  assert.equal(resolver.resolve('@acme/other', from), null);
+});
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConfigError,
+  findProjectConfigFile,
+  loadProjectConfig,
+  validateProjectConfig,
+} from '../lib/project-config.js';
+import { createXrayServer } from '../lib/xray-server.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xray-react-config-'));
+const ENV_NAMES = ['XRAY_REACT_PORT', 'XRAY_REACT_MODE', 'XRAY_REACT_EDITOR_TEMPLATE'];
+const savedEnv = Object.fromEntries(ENV_NAMES.map((name) => [name, process.env[name]]));
+
+/**
+ * Creates a project directory with files
+ * @param {string} name - Directory name
+ * @param {Object} files - File name -> content
+ * @returns {string} Project root
+ */
+function createProject(name, files = {}) {
+  const projectRoot = path.join(tempDir, name);
+  fs.mkdirSync(projectRoot, { recursive: true });
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  });
+  return projectRoot;
+}
+
+afterEach(() => {
+  ENV_NAMES.forEach((name) => {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  });
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('loads no config without a config file', async () => {
+  assert.deepEqual(await loadProjectConfig(createProject('empty')), {
+    config: {},
+    configPath: null,
+  });
+});
+
+test('loads xray-react.config.js, .mjs and .json files', async () => {
+  const jsRoot = createProject('js', {
+    'package.json': '{ "type": "module" }',
+    'xray-react.config.js': 'export default { port: 9001, ignoreComponents: [/^Styled/] };',
+  });
+  const mjsRoot = createProject('mjs', {
+    'xray-react.config.mjs': "export default { mode: 'simple' };",
+  });
+  const jsonRoot = createProject('json', {
+    'xray-react.config.json': '{ "exclude": ["src/legacy"], "watch": false }',
+  });
+
+  const js = await loadProjectConfig(jsRoot);
+  assert.equal(js.configPath, path.join(jsRoot, 'xray-react.config.js'));
+  assert.equal(js.config.port, 9001);
+  assert.ok(js.config.ignoreComponents[0] instanceof RegExp);
+  assert.deepEqual((await loadProjectConfig(mjsRoot)).config, { mode: 'simple' });
+  assert.deepEqual((await loadProjectConfig(jsonRoot)).config, {
+    exclude: ['src/legacy'],
+    watch: false,
+  });
+});
+
+test('prefers the .js config over .mjs and .json', () => {
+  const projectRoot = createProject('several', {
+    'xray-react.config.json': '{}',
+    'xray-react.config.mjs': 'export default {};',
+    'xray-react.config.js': 'export default {};',
+  });
+
+  assert.equal(findProjectConfigFile(projectRoot), path.join(projectRoot, 'xray-react.config.js'));
+});
+
+test('rejects config files that cannot be loaded', async () => {
+  const projectRoot = createProject('broken', { 'xray-react.config.json': '{ "port": ' });
+
+  await assert.rejects(loadProjectConfig(projectRoot), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /^xray-react\.config\.json: failed to load/);
+    return true;
+  });
+});
+
+test('rejects unknown and mistyped options, listing every problem', () => {
+  assert.throws(
+    () =>
+      validateProjectConfig(
+        { prot: 9000, port: '9000', extensions: ['mdx'], watch: 'yes' },
+        '/p/xray-react.config.js',
+      ),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.message, /^xray-react\.config\.js: /);
+      assert.match(error.message, /unknown option "prot"/);
+      assert.match(error.message, /"port" must be an integer from 1 to 65535, got "9000"/);
+      assert.match(error.message, /"extensions" must be an array of extensions/);
+      assert.match(error.message, /"watch" must be true or false/);
+      return true;
+    },
+  );
+  assert.throws(() => validateProjectConfig([]), /must export an object/);
+  assert.throws(() => validateProjectConfig({ port: 70000 }), /"port"/);
+  assert.throws(() => validateProjectConfig({ mode: 'compact' }), /"mode" must be one of/);
+  assert.throws(() => validateProjectConfig({ editorUrl: 'notepad' }), /"editorUrl"/);
+  assert.throws(() => validateProjectConfig({ include: [''] }), /"include"/);
+  assert.throws(() => validateProjectConfig({ ignoreComponents: [1] }), /"ignoreComponents"/);
+  assert.throws(() => validateProjectConfig({ pathMappings: 'nope' }), /pathMappings|from=to/);
+  assert.deepEqual(validateProjectConfig({ port: undefined, pathMappings: 'auto' }), {
+    port: undefined,
+    pathMappings: 'auto',
+  });
+});
+
+test('resolves settings as options > environment > config file > defaults', async () => {
+  const projectRoot = createProject('precedence', {
+    'xray-react.config.json': JSON.stringify({ port: 9100, mode: 'simple', editorTemplate: 'zed' }),
+  });
+  const load = async (options = {}) => {
+    const server = createXrayServer({ projectRoot, workspaces: false, watch: false, ...options });
+    await server.loadConfig();
+    return server;
+  };
+  ENV_NAMES.forEach((name) => delete process.env[name]);
+
+  const defaults = createXrayServer({ projectRoot: createProject('defaults'), workspaces: false });
+  await defaults.loadConfig();
+  assert.equal(defaults.port, 8124);
+  assert.equal(defaults.mode, 'full');
+  assert.equal(defaults.editorTemplate, null);
+
+  const fromConfig = await load();
+  assert.equal(fromConfig.port, 9100);
+  assert.equal(fromConfig.mode, 'simple');
+  assert.equal(fromConfig.editorTemplate, 'zed');
+
+  process.env.XRAY_REACT_PORT = '9200';
+  process.env.XRAY_REACT_MODE = 'full';
+  process.env.XRAY_REACT_EDITOR_TEMPLATE = 'code';
+  const fromEnv = await load();
+  assert.equal(fromEnv.port, 9200);
+  assert.equal(fromEnv.mode, 'full');
+  assert.equal(fromEnv.editorTemplate, 'code');
+
+  const fromOptions = await load({ port: 9300, mode: 'simple', editorTemplate: 'subl' });
+  assert.equal(fromOptions.port, 9300);
+  assert.equal(fromOptions.mode, 'simple');
+  assert.equal(fromOptions.editorTemplate, 'subl');
+});
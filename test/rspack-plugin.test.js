@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rspack } from '@rspack/core';
+import { XrayReactRspackPlugin } from '../lib/plugins/rspack.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKAGE_ROOT = path.resolve(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'rspack-app');
+
+let projectDir = null;
+let previousCwd = null;
+let plugin = null;
+let output = null;
+
+/**
+ * Runs a compiler once
+ * @param {Object} compiler - Rspack compiler
+ * @returns {Promise<Object>} Stats
+ */
+function runCompiler(compiler) {
+  return new Promise((resolve, reject) => {
+    compiler.run((error, stats) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stats);
+    });
+  });
+}
+
+before(async () => {
+  // The plugin reads the UI and client bundles from the project's node_modules/xray-react
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xray-react-rspack-'));
+  fs.cpSync(FIXTURE_DIR, projectDir, { recursive: true });
+  fs.mkdirSync(path.join(projectDir, 'node_modules'));
+  fs.symlinkSync(PACKAGE_ROOT, path.join(projectDir, 'node_modules', 'xray-react'), 'dir');
+  previousCwd = process.cwd();
+  process.chdir(projectDir);
+
+  plugin = new XrayReactRspackPlugin({
+    port: 18124,
+    token: 'fixture-token',
+    cache: false,
+    watch: false,
+    workspaces: false,
+  });
+  const compiler = rspack({
+    mode: 'development',
+    context: projectDir,
+    devtool: false,
+    entry: './src/index.jsx',
+    output: { path: path.join(projectDir, 'dist'), filename: 'main.js' },
+    externals: { react: 'React' },
+    resolve: { extensions: ['.jsx', '.js'] },
+    module: {
+      rules: [
+        {
+          test: /\.jsx$/,
+          loader: 'builtin:swc-loader',
+          options: {
+            jsc: {
+              parser: { syntax: 'ecmascript', jsx: true },
+              transform: { react: { runtime: 'classic' } },
+            },
+          },
+        },
+      ],
+    },
+    plugins: [plugin],
+  });
+
+  const stats = await runCompiler(compiler);
+  assert.equal(stats.hasErrors(), false, stats.toString({ all: false, errors: true }));
+  output = fs.readFileSync(path.join(projectDir, 'dist', 'main.js'), 'utf8');
+
+  await plugin.server.start();
+  await new Promise((resolve) => compiler.close(resolve));
+});
+
+after(async () => {
+  if (plugin?.server) {
+    await plugin.server.close();
+  }
+  process.chdir(previousCwd);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('appends the UI and client bundles to the entry chunk', () => {
+  assert.match(output, /window\.__XRAY_REACT_MODE__='full';/);
+  assert.ok(output.includes("const xrayReactWrapperCN = 'xray-react-elements-wrapper';"));
+  assert.match(output, /window\.__XRAY_REACT_PORT__=18124;/);
+  assert.match(output, /window\.__XRAY_REACT_TOKEN__="fixture-token";/);
+  assert.ok(output.includes('window.__XRAY_REACT_PORT__) || 8124'));
+  // Appended after the bundle's own modules
+  assert.ok(output.indexOf('__XRAY_REACT_MODE__') > output.indexOf('./src/Greeting.jsx'));
+});
+
+test('stamps JSX host elements with their source location', () => {
+  assert.match(output, /"data-xray-source": "src\/Greeting\.jsx:4:\d+"/);
+  assert.match(output, /"data-xray-component": "Greeting"/);
+});
+
+test('registers the modules of the build with the server', () => {
+  const registered = [...plugin.server.registeredSources.values()].map((entry) => [
+    entry.name,
+    path.relative(projectDir, entry.candidate.path),
+  ]);
+
+  assert.deepEqual(
+    registered.find(([name]) => name === 'App'),
+    ['App', path.join('src', 'App.jsx')],
+  );
+  assert.deepEqual(
+    registered.find(([name]) => name === 'Greeting'),
+    ['Greeting', path.join('src', 'Greeting.jsx')],
+  );
+});
+
+test('allows the origins of a dev server on the port it resolved', () => {
+  const devServerPlugin = new XrayReactRspackPlugin({ workspaces: false });
+  const devServer = { host: '192.168.1.10', port: 'auto' };
+  const compiler = { options: { devServer } };
+
+  devServerPlugin.applyDevServerMiddleware(compiler);
+  assert.deepEqual(devServerPlugin.getDevServerOrigins(devServer), []);
+  assert.deepEqual(devServerPlugin.getDevServerOrigins({ ...devServer, port: '3000' }), [
+    'http://192.168.1.10:3000',
+  ]);
+
+  // webpack-dev-server calls setupMiddlewares with its resolved options
+  const middlewares = [];
+  compiler.options.devServer.setupMiddlewares(middlewares, {
+    options: { ...devServer, port: 8081, server: { type: 'https' } },
+  });
+  assert.deepEqual(middlewares, []);
+  assert.deepEqual(devServerPlugin.devServerOrigins, ['https://192.168.1.10:8081']);
+});
+
+test('closes the server with the compiler instead of on SIGINT', async () => {
+  const shutdownPlugin = new XrayReactRspackPlugin({ workspaces: false });
+  const taps = {};
+  const hook = (name) => ({
+    tap: (pluginName, fn) => (taps[name] = fn),
+    tapPromise: (pluginName, fn) => (taps[name] = fn),
+  });
+  const sigintListeners = process.listenerCount('SIGINT');
+  let closeCount = 0;
+  shutdownPlugin.server = { close: async () => closeCount++ };
+
+  shutdownPlugin.applyShutdown(
+    { hooks: { watchClose: hook('watchClose'), shutdown: hook('shutdown') } },
+    'test',
+  );
+  taps.watchClose();
+  await taps.shutdown();
+
+  assert.equal(closeCount, 2);
+  assert.equal(process.listenerCount('SIGINT'), sigintListeners);
+});
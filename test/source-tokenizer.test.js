@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../lib/source-tokenizer.js';
+
+/**
+ * Gets the tag names of the JSX elements the tokenizer found
+ * @param {string} code - Source code
+ * @param {Object} options - Tokenizer options
+ * @returns {Array<string>} Tag names in source order
+ */
+function jsxTags(code, options) {
+  return tokenize(code, options)
+    .filter((token) => token.type === 'jsx')
+    .map((token) => token.value);
+}
+
+/**
+ * Gets the values of the name tokens
+ * @param {string} code - Source code
+ * @returns {Array<string>} Names in source order
+ */
+function names(code) {
+  return tokenize(code)
+    .filter((token) => token.type === 'name')
+    .map((token) => token.value);
+}
+
+test('skips comments', () => {
+  const code = [
+    '// <div> const Hidden = 1',
+    '/* <span> function Fake() {} */',
+    'const Shown = <p />;',
+  ].join('\n');
+
+  assert.deepEqual(jsxTags(code), ['p']);
+  assert.deepEqual(names(code), ['const', 'Shown']);
+});
+
+test('reads strings without looking into them', () => {
+  const tokens = tokenize(`const a = '<div>'; const b = "it's <span>";`);
+
+  assert.deepEqual(
+    tokens.filter((token) => token.type === 'string').map((token) => token.value),
+    ['<div>', "it's <span>"],
+  );
+  assert.equal(
+    tokens.some((token) => token.type === 'jsx'),
+    false,
+  );
+});
+
+test('tokenizes JSX inside template literal expressions only', () => {
+  const code = 'const html = `<p> ${cond ? <b>{`<i>`}</b> : null} </p>`;';
+
+  assert.deepEqual(jsxTags(code), ['b']);
+  assert.deepEqual(names(code), ['const', 'html', 'cond', 'null']);
+});
+
+test('tells regular expression literals from division', () => {
+  const regexes = (code) => tokenize(code).filter((token) => token.type === 'regex').length;
+
+  assert.equal(regexes('const pattern = /<div>[/]/g;'), 1);
+  assert.equal(regexes('if (/^a/.test(value)) {}'), 1);
+  assert.equal(regexes('return /x/;'), 1);
+  assert.equal(regexes('const half = total / 2 / count;'), 0);
+  assert.equal(regexes('const ratio = (a + b) / c;'), 0);
+  // A regex holding a tag must not open JSX
+  assert.deepEqual(jsxTags('const pattern = /<div>/; const el = <span />;'), ['span']);
+});
+
+test('does not read TypeScript generics as JSX', () => {
+  const code = [
+    'const identity = <T,>(value: T): T => value;',
+    'const list: Array<string> = [];',
+    'function map<T extends object>(items: Array<T>) { return <ul />; }',
+    'const compare = a < b && c > d;',
+  ].join('\n');
+
+  assert.deepEqual(jsxTags(code), ['ul']);
+});
+
+test('does not read `as` casts as JSX', () => {
+  const code = [
+    'const el = document.body as HTMLElement;',
+    'const list = value as Array<string>;',
+    'const node = (<div />) as unknown as Element;',
+  ].join('\n');
+
+  assert.deepEqual(jsxTags(code), ['div']);
+});
+
+test('does not tokenize JSX in plain TypeScript files', () => {
+  assert.deepEqual(jsxTags('const value = <T>input;', { jsx: false }), []);
+});
+
+test('reads fragments, member tags and attributes', () => {
+  const code = [
+    'return (',
+    '  <>',
+    '    <Foo.Bar title="a > b" onClick={() => <i />}>',
+    '      text with \'quotes" and {value}',
+    '      <svg:rect data-id={1} />',
+    '    </Foo.Bar>',
+    '  </>',
+    ');',
+  ].join('\n');
+  const tokens = tokenize(code).filter((token) => token.type === 'jsx');
+
+  assert.deepEqual(
+    tokens.map((token) => token.value),
+    ['', 'Foo.Bar', 'i', 'svg:rect'],
+  );
+  assert.deepEqual(tokens[1].attributes, ['title', 'onClick']);
+  assert.deepEqual(tokens[3].attributes, ['data-id']);
+  assert.equal(code.slice(tokens[1].start, tokens[1].nameEnd), '<Foo.Bar');
+});
+
+test('tracks brace depth and lines', () => {
+  const tokens = tokenize(
+    ['function App() {', '  if (a) {', '    return b;', '  }', '}'].join('\n'),
+  );
+  const token = (value) => tokens.find((candidate) => candidate.value === value);
+
+  assert.equal(token('function').depth, 0);
+  assert.equal(token('if').depth, 1);
+  assert.equal(token('return').depth, 2);
+  assert.equal(token('return').line, 3);
+});
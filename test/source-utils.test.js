@@ -0,0 +1,45 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shouldExcludeName, resolveComponentLocation } from '../lib/source-utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_SRC = path.join(__dirname, 'fixtures', 'rspack-app', 'src');
+
+test('excludes lowercase HTML tags and keywords but keeps components named after them', () => {
+  ['div', 'header', 'button', 'nav', 'return'].forEach((name) => {
+    assert.equal(shouldExcludeName(name), true, name);
+  });
+  ['Header', 'Button', 'Nav', 'Switch'].forEach((name) => {
+    assert.equal(shouldExcludeName(name), false, name);
+  });
+});
+
+test('resolves a duplicate component name when the other files no longer exist', () => {
+  const greetingPath = path.join(FIXTURE_SRC, 'Greeting.jsx');
+  const sources = {
+    Greeting: [
+      { path: path.join(FIXTURE_SRC, 'deleted', 'Greeting.jsx'), line: 1, context: ['deleted'] },
+      { path: greetingPath, line: 3, context: ['src'] },
+    ],
+  };
+
+  assert.deepEqual(resolveComponentLocation(['Greeting'], null, sources, FIXTURE_SRC), {
+    path: greetingPath,
+    line: 3,
+    column: null,
+  });
+});
+
+test('lists the candidates of a duplicate name that cannot be told apart', () => {
+  const sources = {
+    Greeting: [
+      { path: path.join(FIXTURE_SRC, 'App.jsx'), line: 4, context: ['src'] },
+      { path: path.join(FIXTURE_SRC, 'Greeting.jsx'), line: 3, context: ['src'] },
+    ],
+  };
+
+  const location = resolveComponentLocation(['Greeting'], null, sources, FIXTURE_SRC);
+  assert.equal(location.candidates.length, 2);
+});
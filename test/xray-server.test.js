@@ -0,0 +1,30 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createXrayServer } from '../lib/xray-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, 'fixtures', 'rspack-app');
+
+/**
+ * Creates a server for the fixture project with a project config
+ * @param {Object} config - xray-react.config contents
+ * @returns {XrayServer} Server instance (not started)
+ */
+function createServer(config = {}) {
+  return createXrayServer({ projectRoot: PROJECT_ROOT, config, workspaces: false, watch: false });
+}
+
+test('index cache key changes with the indexing config', () => {
+  const key = createServer().getCacheKey();
+
+  assert.equal(createServer().getCacheKey(), key);
+  assert.notEqual(createServer({ extensions: ['.mdx'] }).getCacheKey(), key);
+  assert.notEqual(createServer({ exclude: ['src/legacy'] }).getCacheKey(), key);
+  assert.notEqual(createServer({ include: ['src'] }).getCacheKey(), key);
+  assert.notEqual(
+    createServer({ ignoreComponents: [/^Styled/] }).getCacheKey(),
+    createServer({ ignoreComponents: [/^Legacy/] }).getCacheKey(),
+  );
+});